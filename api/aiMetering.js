@@ -0,0 +1,131 @@
+// Token metering and monthly AI budgets. Costs are tracked in micro-dollars
+// (USD * 1e6) so per-call fractions of a cent add up exactly; they are only
+// rounded to cents when they reach billing.
+
+// USD per million tokens, matched on the longest model-name prefix.
+export const DEFAULT_AI_PRICES = Object.freeze({
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-sonnet': { input: 3, output: 15 },
+  'claude-haiku': { input: 0.8, output: 4 },
+});
+
+// Unknown hosted models are priced like a mid-size model rather than free.
+const UNKNOWN_MODEL_PRICE = Object.freeze({ input: 1, output: 4 });
+const FREE_PROVIDERS = new Set(['local', 'stub']);
+
+export const AI_BUDGET_STATES = Object.freeze(['UNLIMITED', 'OK', 'WARN', 'EXCEEDED']);
+
+export const AI_BUDGET_DEFAULT = Object.freeze({
+  monthlyTokenLimit: 0,
+  monthlyCostLimitCents: 0,
+  warnPercent: 80,
+  hardStop: true,
+});
+
+function nonNegativeInt(value, fallback = 0) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// `AI_PRICE_TABLE` overrides or extends the defaults, e.g.
+// {"gpt-4o-mini":{"input":0.15,"output":0.6}}.
+export function parseAiPriceTable(raw = '') {
+  if (!raw) return { ...DEFAULT_AI_PRICES };
+  try {
+    const parsed = JSON.parse(String(raw));
+    const out = { ...DEFAULT_AI_PRICES };
+    for (const [model, price] of Object.entries(parsed || {})) {
+      const input = Number(price?.input);
+      const output = Number(price?.output);
+      if (!model || !Number.isFinite(input) || !Number.isFinite(output)) continue;
+      out[String(model).toLowerCase()] = { input: Math.max(0, input), output: Math.max(0, output) };
+    }
+    return out;
+  } catch {
+    return { ...DEFAULT_AI_PRICES };
+  }
+}
+
+export function priceForModel(provider = '', model = '', prices = DEFAULT_AI_PRICES) {
+  if (FREE_PROVIDERS.has(String(provider || '').toLowerCase())) return { input: 0, output: 0 };
+  const name = String(model || '').toLowerCase();
+  const match = Object.keys(prices)
+    .filter((prefix) => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : UNKNOWN_MODEL_PRICE;
+}
+
+export function aiCallCostMicros({ provider = '', model = '', usage = {} } = {}, prices = DEFAULT_AI_PRICES) {
+  const price = priceForModel(provider, model, prices);
+  const inputTokens = nonNegativeInt(usage.inputTokens);
+  const outputTokens = nonNegativeInt(usage.outputTokens);
+  // USD per 1M tokens is exactly micro-dollars per token.
+  return Math.round(inputTokens * price.input + outputTokens * price.output);
+}
+
+export function microsToCents(micros = 0) {
+  return Math.ceil(Math.max(0, Number(micros || 0)) / 10_000);
+}
+
+export function normalizeAiBudget(input = {}, fallback = AI_BUDGET_DEFAULT) {
+  const source = input && typeof input === 'object' ? input : {};
+  const warn = Math.floor(Number(source.warnPercent ?? fallback.warnPercent));
+  return {
+    monthlyTokenLimit: nonNegativeInt(source.monthlyTokenLimit, fallback.monthlyTokenLimit),
+    monthlyCostLimitCents: nonNegativeInt(source.monthlyCostLimitCents, fallback.monthlyCostLimitCents),
+    warnPercent: Number.isFinite(warn) ? Math.max(1, Math.min(100, warn)) : AI_BUDGET_DEFAULT.warnPercent,
+    hardStop: source.hardStop === undefined ? !!fallback.hardStop : source.hardStop !== false,
+  };
+}
+
+// A limit of 0 means "no limit" for that dimension; whichever limit is
+// closest to being used up decides the state.
+export function evaluateAiBudget(budgetRaw = {}, totals = {}) {
+  const budget = normalizeAiBudget(budgetRaw);
+  const tokens = nonNegativeInt(totals.totalTokens);
+  const costCents = microsToCents(totals.costMicros);
+  const ratios = [];
+  if (budget.monthlyTokenLimit > 0) ratios.push(tokens / budget.monthlyTokenLimit);
+  if (budget.monthlyCostLimitCents > 0) ratios.push(costCents / budget.monthlyCostLimitCents);
+  if (!ratios.length) {
+    return { state: 'UNLIMITED', percentUsed: 0, allowed: true, tokens, costCents, budget };
+  }
+  const used = Math.max(...ratios);
+  const state = used >= 1 ? 'EXCEEDED' : used * 100 >= budget.warnPercent ? 'WARN' : 'OK';
+  return {
+    state,
+    percentUsed: Number((used * 100).toFixed(1)),
+    allowed: !(state === 'EXCEEDED' && budget.hardStop),
+    tokens,
+    costCents,
+    budget,
+  };
+}
+
+// Folds per-license/per-site meter rows into period totals.
+export function sumAiUsageRows(rows = []) {
+  const totals = { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costMicros: 0, bySite: {} };
+  for (const row of rows) {
+    const inputTokens = nonNegativeInt(row?.inputTokens);
+    const outputTokens = nonNegativeInt(row?.outputTokens);
+    const calls = nonNegativeInt(row?.calls);
+    const costMicros = nonNegativeInt(row?.costMicros);
+    totals.calls += calls;
+    totals.inputTokens += inputTokens;
+    totals.outputTokens += outputTokens;
+    totals.totalTokens += inputTokens + outputTokens;
+    totals.costMicros += costMicros;
+    const site = String(row?.siteId || '') || '-';
+    const bucket = totals.bySite[site] || { calls: 0, totalTokens: 0, costMicros: 0 };
+    bucket.calls += calls;
+    bucket.totalTokens += inputTokens + outputTokens;
+    bucket.costMicros += costMicros;
+    totals.bySite[site] = bucket;
+  }
+  return totals;
+}
@@ -0,0 +1,115 @@
+// Effective AI policy is a field-by-field merge down GLOBAL -> ORG -> LICENSE
+// -> SITE. Each scope stores only the fields it overrides, plus the fields it
+// locks; a locked field can no longer be overridden further down.
+
+export const AI_POLICY_SCOPES = Object.freeze(['GLOBAL', 'ORG', 'LICENSE', 'SITE']);
+
+// A model name belongs to its provider, so overriding the provider below the
+// scope that picked the model resets the model to the new provider's default.
+const COUPLED_FIELDS = Object.freeze({ modelChoice: 'provider' });
+
+export function normalizeAiPolicyScope(value, fallback = 'ORG') {
+  const scope = String(value || '').trim().toUpperCase();
+  return AI_POLICY_SCOPES.includes(scope) ? scope : fallback;
+}
+
+function parsePolicy(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(String(raw || ''));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function normalizeLockedFields(input, fields) {
+  const list = Array.isArray(input) ? input : [];
+  return [...new Set(list.map((field) => String(field || '').trim()))].filter((field) =>
+    fields.includes(field)
+  );
+}
+
+// Rows written before layering hold a full policy; they still parse, they
+// just override every field.
+export function parseAiPolicyLayer(scope, scopeId, row, fields) {
+  const policy = parsePolicy(row?.policy);
+  const overrides = {};
+  for (const field of fields) {
+    if (Object.prototype.hasOwnProperty.call(policy, field)) overrides[field] = policy[field];
+  }
+  return {
+    scope,
+    scopeId,
+    overrides,
+    locked: normalizeLockedFields(row?.lockedFields, fields),
+    updatedAt: Number(row?.updatedAt || 0) || null,
+    updatedBy: String(row?.updatedBy || ''),
+  };
+}
+
+export function mergeAiPolicyLayers({ defaults, layers = [], normalize = (policy) => policy }) {
+  const merged = { ...defaults };
+  const origin = {};
+  for (const field of Object.keys(defaults)) {
+    origin[field] = { scope: 'DEFAULT', scopeId: '', depth: -1, lockedBy: '' };
+  }
+  const ignored = [];
+
+  layers.forEach((layer, depth) => {
+    for (const [field, value] of Object.entries(layer.overrides || {})) {
+      if (!origin[field]) continue;
+      if (origin[field].lockedBy) {
+        ignored.push({ field, scope: layer.scope, lockedBy: origin[field].lockedBy });
+        continue;
+      }
+      merged[field] = value;
+      origin[field] = { ...origin[field], scope: layer.scope, scopeId: layer.scopeId, depth };
+    }
+    for (const field of layer.locked || []) {
+      if (origin[field] && !origin[field].lockedBy) origin[field].lockedBy = layer.scope;
+    }
+  });
+
+  for (const [field, anchor] of Object.entries(COUPLED_FIELDS)) {
+    if (!origin[field] || !origin[anchor] || origin[field].lockedBy) continue;
+    if (origin[anchor].depth > origin[field].depth) {
+      merged[field] = '';
+      origin[field] = { ...origin[field], scope: origin[anchor].scope, scopeId: origin[anchor].scopeId };
+    }
+  }
+
+  const policy = normalize(merged);
+  const fields = {};
+  for (const [field, info] of Object.entries(origin)) {
+    fields[field] = {
+      value: policy[field],
+      scope: info.scope,
+      scopeId: info.scopeId,
+      locked: !!info.lockedBy,
+      lockedBy: info.lockedBy,
+    };
+  }
+  return { policy, fields, ignored };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// What a scope needs to store so its effective policy equals `policy`, given
+// what it inherits. Fields equal to the inherited value are left to inherit.
+export function diffAiPolicyOverrides(policy, inherited) {
+  const out = {};
+  for (const [field, value] of Object.entries(policy || {})) {
+    if (!Object.prototype.hasOwnProperty.call(inherited || {}, field)) continue;
+    if (!sameValue(value, inherited[field])) out[field] = value;
+  }
+  return out;
+}
+
+export function aiPolicyLockConflicts(overrides, inheritedFields) {
+  return Object.keys(overrides || {})
+    .filter((field) => inheritedFields?.[field]?.locked)
+    .map((field) => ({ field, lockedBy: inheritedFields[field].lockedBy }));
+}
@@ -1,5 +1,8 @@
 // api/asemaPersona.js
-import { getOpenAI } from './openaiClient.js';
+import { completeChat, describeLlmCall, streamChat } from './llmProviders.js';
+import { knowledgePrompt } from './knowledgeLibrary.js';
+import { createPiiRedactor, redactChatMessages } from './piiRedaction.js';
+import { mergePromptAssets, renderPromptTemplate } from './promptRegistry.js';
 
 // ===== Constants =====
 
@@ -21,8 +24,6 @@ export const STAGES = Object.freeze([
   'FINAL',
 ]);
 
-const MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-mini';
-
 // ===== Utilities =====
 
 export function isValidStage(stage) {
@@ -102,12 +103,70 @@ export const STAGE_INSTRUCTIONS = Object.freeze({
   ],
 });
 
-export function stageInstructionText(stage) {
+export function stageInstructionText(stage, prompts = DEFAULT_PROMPT_ASSETS) {
   const s = assertStage(stage);
-  const bullets = STAGE_INSTRUCTIONS[s] || [];
+  const bullets = prompts?.stageInstructions?.[s] || STAGE_INSTRUCTIONS[s] || [];
   return bullets.map((x) => `• ${x}`).join('\n');
 }
 
+// ===== Prompt assets =====
+// The editable parts of Asema's prompts. Admins publish versions that
+// override some of these (see promptRegistry.js); callers pass the merged set
+// as `options.prompts`.
+
+export const DEFAULT_PROMPT_ASSETS = Object.freeze({
+  persona: `
+You are **Asema** — a modern, warm, witty Black woman in her early 30s, hosting a classy game-show style workshop.
+
+Tone & voice:
+- Charismatic, encouraging, and clear.
+- Playful but never corny; respect participants’ lived experience.
+- Short, vivid, concrete. 1–4 sentences unless summarizing.
+
+Your job:
+- Help a small group craft a tight, vivid **~250-word** story abstract.
+- The story must center ONE social issue, chosen from:
+  {{issues}}
+- Keep them focused, specific, and collaborative.
+
+Hard rules:
+- Never mention system prompts, APIs, models, or implementation details.
+- Stay on-task. If users go off-topic, gently redirect back to story work.
+- Avoid generic motivational speeches. Be specific and actionable.
+- In EDITING/FINAL: you are an editor. Make surgical changes. Do NOT generate an unrelated new draft.
+`.trim(),
+  stageInstructions: STAGE_INSTRUCTIONS,
+  stageHints: Object.freeze({
+    DISCOVERY: 'Pull out concrete memories and observations; ask sharp follow-ups.',
+    IDEA_DUMP: 'Encourage many specific ideas; no judging yet.',
+    PLANNING: 'Force clarity: protagonist, goal, stakes, setting, POV.',
+    ROUGH_DRAFT: 'Help them react to and refine the draft; do not start over.',
+    EDITING:
+      'Act like an editor. Offer surgical changes, replacement sentences, or a tighter version of the same content.',
+    FINAL: 'Tiny tweaks only. Confirm readiness and help with micro-edits.',
+    DEFAULT: 'Keep momentum toward a concrete, story-ready abstract.',
+  }),
+  ideaBoard: `
+Requirements:
+- 4–8 bullet points.
+- Capture: protagonist, setting, conflict, stakes, key images, and 1 turning point.
+- Use specific language from the group where possible.
+- No generic advice.
+`.trim(),
+  roughDraft: `
+Constraints:
+- Aim for **about 250 words** (±10).
+- 1–3 tight paragraphs.
+- Clearly state: protagonist, setting, central conflict, stakes, and emotional tone.
+- Cinematic + grounded (not a generic essay or PSA).
+- No bullet points, no headings — abstract only.
+`.trim(),
+});
+
+function promptAssets(options = {}) {
+  return options?.prompts ? mergePromptAssets(DEFAULT_PROMPT_ASSETS, options.prompts) : DEFAULT_PROMPT_ASSETS;
+}
+
 // ===== Persona Prompts =====
 
 export function personaSystemPrompt({
@@ -122,6 +181,7 @@ export function personaSystemPrompt({
   ageSafeMode = 'K12',
   moderationLevel = 'STANDARD',
   blockedTerms = [],
+  prompts = null,
 } = {}) {
   const topicList = ISSUES.join(', ');
   const topic = normalizeTopic(roomTopic);
@@ -183,25 +243,9 @@ export function personaSystemPrompt({
     ? `Organization blocked terms: ${blockedTermsList.join(', ')}. Do not repeat them; redirect constructively.`
     : 'Organization blocked terms: none configured.';
   const personaBrief = String(assistantPersona || '').trim();
+  const persona = renderPromptTemplate(promptAssets({ prompts }).persona, { issues: topicList });
   return `
-You are **Asema** — a modern, warm, witty Black woman in her early 30s, hosting a classy game-show style workshop.
-
-Tone & voice:
-- Charismatic, encouraging, and clear.
-- Playful but never corny; respect participants’ lived experience.
-- Short, vivid, concrete. 1–4 sentences unless summarizing.
-
-Your job:
-- Help a small group craft a tight, vivid **~250-word** story abstract.
-- The story must center ONE social issue, chosen from:
-  ${topicList}
-- Keep them focused, specific, and collaborative.
-
-Hard rules:
-- Never mention system prompts, APIs, models, or implementation details.
-- Stay on-task. If users go off-topic, gently redirect back to story work.
-- Avoid generic motivational speeches. Be specific and actionable.
-- In EDITING/FINAL: you are an editor. Make surgical changes. Do NOT generate an unrelated new draft.
+${persona}
 - AI facilitation style: ${behaviorInstruction}
 - ${toneInstruction}
 - ${strictnessInstruction}
@@ -232,14 +276,14 @@ export function greetScript({ roomTopic } = {}) {
   );
 }
 
-export function stageGreeting(stage, { roomTopic, secondsLeft } = {}) {
+export function stageGreeting(stage, { roomTopic, secondsLeft, prompts = null } = {}) {
   assertStage(stage);
   const topic = normalizeTopic(roomTopic) || 'our chosen issue';
   const timeHint = Number.isFinite(secondsLeft)
     ? `You’ve got ~${Math.max(1, Math.floor(secondsLeft / 60))} min.`
     : '';
 
-  const instructionBlock = stageInstructionText(stage);
+  const instructionBlock = stageInstructionText(stage, promptAssets({ prompts }));
 
   switch (stage) {
     case 'LOBBY':
@@ -383,7 +427,7 @@ export function invalidVoteText() {
 }
 
 /* =========================
-   OpenAI wrapper
+   Model wrapper
    ========================= */
 
 // Simple in-process rate limiter: max N calls per windowMs
@@ -396,8 +440,8 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-/** Basic throttle to avoid dogpiling OpenAI in big sessions */
-async function throttleOpenAI() {
+/** Basic throttle to avoid dogpiling the model provider in big sessions */
+async function throttleModelCalls() {
   if (!RATE_LIMIT_MAX_CALLS || RATE_LIMIT_MAX_CALLS <= 0) return;
 
   const now = Date.now();
@@ -413,71 +457,90 @@ async function throttleOpenAI() {
   recentCalls.push(Date.now());
 }
 
-/** Decide if an error is worth retrying (rate limit, transient) */
-function isRetryableError(err) {
-  if (!err) return false;
-
-  const status = err.status || err.statusCode;
-  if (status && [429, 500, 502, 503, 504].includes(Number(status))) {
-    return true;
-  }
-
-  const msg = String(err.message || err).toLowerCase();
-  if (
-    msg.includes('rate limit') ||
-    msg.includes('timeout') ||
-    msg.includes('etimedout') ||
-    msg.includes('econnreset') ||
-    msg.includes('temporarily unavailable')
-  ) {
-    return true;
-  }
-
-  return false;
+// Provider, model and fallback come from the org's AI policy; retries and
+// timeouts are handled per provider in llmProviders.js. `stream` is an
+// optional sink ({ push(delta), settle(result) }) that relays the reply to
+// the room while it is being written; `onModelCall` receives what the AI
+// receipt records about the call that actually answered. `guard` runs before
+// the call and throws to refuse it (e.g. when the org's AI budget is spent).
+// `tools` offers structured actions; the calls the model makes go to
+// `onToolCalls` and are never applied here.
+function llmOptions(options = {}) {
+  return {
+    tools: Array.isArray(options?.tools) ? options.tools : [],
+    onToolCalls: options?.onToolCalls || null,
+    provider: options?.provider || '',
+    fallbackProvider: options?.fallbackProvider || '',
+    modelChoice: options?.modelChoice || '',
+    stream: options?.stream || null,
+    piiRedaction: options?.piiRedaction !== false,
+    onModelCall: options?.onModelCall || null,
+    guard: options?.guard || null,
+  };
 }
 
-async function callOpenAI(
+async function callModel(
   messages,
-  { maxTokens = 450, temperature = 0.7, modelChoice = MODEL } = {}
+  {
+    maxTokens = 450,
+    temperature = 0.7,
+    provider = '',
+    fallbackProvider = '',
+    modelChoice = '',
+    stream = null,
+    piiRedaction = true,
+    onModelCall = null,
+    guard = null,
+    tools = [],
+    onToolCalls = null,
+  } = {}
 ) {
-  const client = getOpenAI();
-  const MAX_RETRIES = 3;
-  const BASE_DELAY_MS = 250;
-
-  let lastError;
-
-  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-    try {
-      await throttleOpenAI();
-
-      const resolvedModel = String(modelChoice || MODEL).trim() || MODEL;
-      const res = await client.chat.completions.create({
-        model: resolvedModel,
-        messages,
-        max_tokens: maxTokens,
-        temperature,
-      });
-
-      return (res.choices?.[0]?.message?.content || '').trim();
-    } catch (err) {
-      lastError = err;
-      const retryable = isRetryableError(err);
-      const isLast = attempt === MAX_RETRIES - 1;
-
-      console.warn(
-        `[Asema callOpenAI] error on attempt ${attempt + 1}/${MAX_RETRIES}:`,
-        err?.message || err
-      );
-
-      if (!retryable || isLast) break;
-
-      const backoff = BASE_DELAY_MS * Math.pow(2, attempt);
-      const jitter = Math.floor(Math.random() * 150);
-      await sleep(backoff + jitter);
+  await guard?.();
+  await throttleModelCalls();
+  // With redaction on, the model only ever sees placeholders; the room sees
+  // the original words again, streamed deltas included.
+  const redactor = piiRedaction ? createPiiRedactor() : null;
+  const request = {
+    provider,
+    fallbackProvider,
+    model: String(modelChoice || '').trim(),
+    messages: redactor ? redactChatMessages(redactor, messages) : messages,
+    maxTokens,
+    temperature,
+    ...(tools.length ? { tools } : {}),
+  };
+  const finish = (out) => {
+    onModelCall?.(describeLlmCall(request, out, { redactions: redactor?.count || 0 }));
+    if (out.toolCalls?.length) {
+      onToolCalls?.(out.toolCalls.map((call) => ({ ...call, input: rehydrateToolInput(redactor, call.input) })));
     }
+    return redactor ? redactor.rehydrate(out.text) : out.text;
+  };
+  if (!stream) return finish(await completeChat(request));
+  const sink = redactor ? redactor.rehydrateStream((delta) => stream.push(delta)) : null;
+  const out = await streamChat(request, (delta) => (sink ? sink.push(delta) : stream.push(delta)));
+  sink?.flush();
+  stream.settle?.(out);
+  return finish(out);
+}
+
+// Tool arguments were written against the redacted prompt, so their strings
+// get the original words back the same way the reply text does.
+function rehydrateToolInput(redactor, value) {
+  if (!redactor) return value;
+  if (typeof value === 'string') return redactor.rehydrate(value);
+  if (Array.isArray(value)) return value.map((item) => rehydrateToolInput(redactor, item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rehydrateToolInput(redactor, item)]));
   }
+  return value;
+}
 
-  throw lastError || new Error('Asema OpenAI call failed');
+// `knowledge` is the list of library passages the server retrieved for this
+// call; they go in as one numbered system message.
+function knowledgeMessages(knowledge = [], { cite = true } = {}) {
+  const content = knowledgePrompt(Array.isArray(knowledge) ? knowledge : [], { cite });
+  return content ? [{ role: 'system', content }] : [];
 }
 
 function adjustedTemperature(baseTemperature, strictness) {
@@ -513,6 +576,8 @@ export async function editDraft({
   roomTopic,
   draftText,
   userRequest,
+  knowledge = [],
+  citationMode = false,
 } = {}) {
   const topic = normalizeTopic(roomTopic) || '';
   const sys = personaSystemPrompt({ roomTopic: topic });
@@ -545,10 +610,11 @@ ${draft}
 Return the updated draft now.
 `.trim();
 
-  return await callOpenAI(
+  return await callModel(
     [
       { role: 'system', content: sys },
       { role: 'system', content: editorRules },
+      ...knowledgeMessages(knowledge, { cite: citationMode }),
       { role: 'user', content: prompt },
     ],
     { maxTokens: 650, temperature: 0.35 }
@@ -577,7 +643,7 @@ Requirements:
 `.trim();
 
   try {
-    return await callOpenAI(
+    return await callModel(
       [{ role: 'system', content: sys }, { role: 'user', content: prompt }],
       { maxTokens: 180, temperature: 0.6 }
     );
@@ -612,7 +678,7 @@ Data:
 `.trim();
 
   try {
-    return await callOpenAI(
+    return await callModel(
       [{ role: 'system', content: sys }, { role: 'user', content: prompt }],
       { maxTokens: 200, temperature: 0.6 }
     );
@@ -637,7 +703,7 @@ export const Asema = {
 
   async greet(stage, roomTopic, options = {}) {
     const sys = personaSystemPrompt({ roomTopic, ...options });
-    const deterministic = stageGreeting(stage, { roomTopic });
+    const deterministic = stageGreeting(stage, { roomTopic, prompts: options?.prompts });
 
     // We now force stage greetings to contain clear instructions.
     const prompt = `
@@ -654,7 +720,7 @@ ${deterministic}
 `.trim();
 
     try {
-      return await callOpenAI(
+      return await callModel(
         [
           { role: 'system', content: sys },
           { role: 'user', content: prompt },
@@ -662,7 +728,7 @@ ${deterministic}
         {
           maxTokens: 260,
           temperature: adjustedTemperature(0.6, options?.strictness),
-          modelChoice: options?.modelChoice || MODEL,
+          ...llmOptions(options),
         }
       );
     } catch {
@@ -674,24 +740,8 @@ ${deterministic}
     const sys = personaSystemPrompt({ roomTopic, ...options });
     const text = String(userText || '').trim();
 
-    const stageHint = (() => {
-      switch (stage) {
-        case 'DISCOVERY':
-          return 'Pull out concrete memories and observations; ask sharp follow-ups.';
-        case 'IDEA_DUMP':
-          return 'Encourage many specific ideas; no judging yet.';
-        case 'PLANNING':
-          return 'Force clarity: protagonist, goal, stakes, setting, POV.';
-        case 'ROUGH_DRAFT':
-          return 'Help them react to and refine the draft; do not start over.';
-        case 'EDITING':
-          return 'Act like an editor. Offer surgical changes, replacement sentences, or a tighter version of the same content.';
-        case 'FINAL':
-          return 'Tiny tweaks only. Confirm readiness and help with micro-edits.';
-        default:
-          return 'Keep momentum toward a concrete, story-ready abstract.';
-      }
-    })();
+    const hints = promptAssets(options).stageHints || {};
+    const stageHint = hints[stage] || hints.DEFAULT || DEFAULT_PROMPT_ASSETS.stageHints.DEFAULT;
 
     const editorGuard = (stage === 'EDITING' || stage === 'FINAL')
       ? `
@@ -711,16 +761,18 @@ Response rules:
 - Be specific: refer to their exact question or story element.
 - ${stageHint}
 - If they say “remind us / recap / summarize”, give 4–8 bullets and next steps.
-- If they go off-topic away from the chosen issue, acknowledge briefly and redirect.
+- If they go off-topic away from the chosen issue, acknowledge briefly and redirect.${options?.tools?.length ? `
+- Use a tool only when the room asks for that action or it clearly helps; never say you did something without calling the tool.` : ''}
 
 ${editorGuard}
 `.trim();
 
     try {
-      return await callOpenAI(
+      return await callModel(
         [
           { role: 'system', content: sys },
           { role: 'system', content: instructions },
+          ...knowledgeMessages(options?.knowledge),
           { role: 'user', content: text },
         ],
         {
@@ -729,7 +781,7 @@ ${editorGuard}
             stage === 'EDITING' || stage === 'FINAL' ? 0.45 : 0.7,
             options?.strictness
           ),
-          modelChoice: options?.modelChoice || MODEL,
+          ...llmOptions(options),
         }
       );
     } catch {
@@ -745,26 +797,23 @@ ${editorGuard}
 Stage: ${stage}
 Create a tight "Idea Board" for a ~250-word story abstract.
 
-Requirements:
-- 4–8 bullet points.
-- Capture: protagonist, setting, conflict, stakes, key images, and 1 turning point.
-- Use specific language from the group where possible.
-- No generic advice.
+${promptAssets(options).ideaBoard}
 
 Ideas:
 ${text}
 `.trim();
 
     try {
-      return await callOpenAI(
+      return await callModel(
         [
           { role: 'system', content: sys },
+          ...knowledgeMessages(options?.knowledge),
           { role: 'user', content: prompt },
         ],
         {
           maxTokens: 420,
           temperature: adjustedTemperature(0.55, options?.strictness),
-          modelChoice: options?.modelChoice || MODEL,
+          ...llmOptions(options),
         }
       );
     } catch {
@@ -780,12 +829,7 @@ Using the notes below, write a **single ~250-word abstract** for a short story o
       topic || 'the chosen issue'
     }".
 
-Constraints:
-- Aim for **about 250 words** (±10).
-- 1–3 tight paragraphs.
-- Clearly state: protagonist, setting, central conflict, stakes, and emotional tone.
-- Cinematic + grounded (not a generic essay or PSA).
-- No bullet points, no headings — abstract only.
+${promptAssets(options).roughDraft}
 
 Idea Board:
 ${ideaSummary || '(very few notes; make smart but grounded assumptions)'} 
@@ -793,7 +837,7 @@ ${ideaSummary || '(very few notes; make smart but grounded assumptions)'}
 Return the abstract text now.
 `.trim();
 
-    const out = await callOpenAI(
+    const out = await callModel(
       [
         { role: 'system', content: sys },
         { role: 'user', content: prompt },
@@ -801,7 +845,7 @@ Return the abstract text now.
       {
         maxTokens: 650,
         temperature: adjustedTemperature(0.75, options?.strictness),
-        modelChoice: options?.modelChoice || MODEL,
+        ...llmOptions(options),
       }
     );
 
@@ -0,0 +1,128 @@
+import crypto from 'node:crypto';
+
+const DEFAULT_FLUSH_MS = 60;
+const SENTENCE_END = /[.!?…]+["'”’)\]]*\s+|\n+/g;
+
+// End of the last complete sentence in `text` at or after `from`, or `from`
+// when no sentence has closed yet.
+function lastSentenceEnd(text, from) {
+  let end = from;
+  SENTENCE_END.lastIndex = from;
+  let match = SENTENCE_END.exec(text);
+  while (match) {
+    end = match.index + match[0].length;
+    match = SENTENCE_END.exec(text);
+  }
+  return end;
+}
+
+// Relays one streamed Asema reply to a room as `asema_delta` events. Deltas
+// are coalesced so a fast model doesn't produce an event per token, and the
+// text so far is safety-checked before every flush: once it trips the policy
+// nothing more goes out and clients drop what they were showing.
+//
+// `isBlocked` is the synchronous check run on every flush. With `moderate`
+// (async, resolves truthy to block) text is only released a whole sentence at
+// a time, after the check has passed on everything up to that sentence, so a
+// classifier sees the text before the room does.
+//
+// `push` and `settle` make the relay usable as the `stream` option of the
+// Asema persona calls; the caller ends it with `finish` before persisting the
+// final message under the same `streamId`.
+export function createAsemaRelay({
+  publish,
+  isBlocked = () => false,
+  moderate = null,
+  meta = {},
+  flushMs = DEFAULT_FLUSH_MS,
+  streamId = '',
+} = {}) {
+  const id = streamId || `asema-${crypto.randomUUID().replace(/-/g, '').slice(0, 16)}`;
+  let text = '';
+  let released = 0;
+  let seq = 0;
+  let timer = null;
+  let blocked = false;
+  let finished = false;
+  let result = null;
+  let checking = Promise.resolve();
+  let closed = null;
+
+  function emit(payload) {
+    seq += 1;
+    publish({ streamId: id, ...meta, seq, ...payload });
+  }
+
+  function block() {
+    blocked = true;
+    emit({ done: true, discarded: true, partial: false });
+  }
+
+  function releaseNow() {
+    if (blocked || text.length <= released) return;
+    if (isBlocked(text)) return block();
+    const delta = text.slice(released);
+    released = text.length;
+    emit({ delta });
+  }
+
+  async function releaseChecked(all) {
+    if (blocked) return;
+    const end = all ? text.length : lastSentenceEnd(text, released);
+    if (end <= released) return;
+    const upTo = text.slice(0, end);
+    const stop = isBlocked(upTo) || (await Promise.resolve(moderate(upTo)).catch(() => true));
+    if (blocked) return;
+    if (stop) return block();
+    const delta = text.slice(released, end);
+    released = end;
+    emit({ delta });
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (blocked || finished) return;
+    if (!moderate) return releaseNow();
+    checking = checking.then(() => releaseChecked(false));
+  }
+
+  return {
+    streamId: id,
+    get text() {
+      return text;
+    },
+    get partial() {
+      return !!result?.partial;
+    },
+    push(delta) {
+      if (finished || blocked || !delta) return;
+      text += delta;
+      if (!timer) timer = setTimeout(flush, flushMs);
+    },
+    settle(out) {
+      result = out || null;
+    },
+    // `discard` tells clients the streamed text will not be persisted (the
+    // final message was replaced by a guard or a fallback). Resolves once the
+    // closing event is out; without `moderate` that has already happened.
+    finish({ discard = false } = {}) {
+      if (closed) return closed;
+      finished = true;
+      clearTimeout(timer);
+      timer = null;
+      const close = () => {
+        if (blocked || !seq) return;
+        emit({ done: true, discarded: !!discard, partial: !!result?.partial });
+      };
+      if (!moderate) {
+        if (!discard) releaseNow();
+        close();
+        closed = Promise.resolve();
+      } else {
+        closed = checking.then(() => (discard ? null : releaseChecked(true))).then(close);
+      }
+      return closed;
+    },
+  };
+}
@@ -0,0 +1,187 @@
+// Actions Asema can take on room state through structured tool calls. The
+// model only sees the tools the asking user's role and the room's stage allow,
+// and every call is validated again here before the server applies it, since
+// a model can still name a tool it was not offered or send malformed input.
+
+const FACILITATOR_ROLES = Object.freeze(['PRESENTER', 'ADMIN', 'SUPER_ADMIN']);
+
+const MAX_NOTE_CHARS = 280;
+const MAX_BEATS = 8;
+const MAX_BEAT_CHARS = 200;
+const MAX_REASON_CHARS = 200;
+const MAX_CLAIM_CHARS = 300;
+const MAX_QUOTE_CHARS = 400;
+
+export const ASEMA_TOOL_LIMITS = Object.freeze({
+  maxCallsPerReply: 3,
+  extensionMinSec: 30,
+  extensionMaxSec: 300,
+});
+
+// `stages` and `roles` are allow-lists; a null `roles` means anyone in the room.
+export const ASEMA_TOOLS = Object.freeze({
+  add_sticky_note: {
+    description: 'Add one short sticky note to the room idea board, e.g. to capture an idea a participant just shared.',
+    stages: ['DISCOVERY', 'IDEA_DUMP', 'PLANNING'],
+    roles: null,
+    parameters: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Note text, one idea, under 280 characters.' },
+        color: { type: 'string', enum: ['yellow', 'pink', 'blue', 'green', 'purple', 'orange'] },
+        tags: { type: 'array', items: { type: 'string' }, description: 'Optional tags such as claim or evidence.' },
+      },
+      required: ['text'],
+    },
+  },
+  propose_outline: {
+    description: 'Propose a story outline as ordered beats. It is added to the outline map as a proposal the group can edit.',
+    stages: ['PLANNING', 'ROUGH_DRAFT'],
+    roles: null,
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Short working title for the proposal.' },
+        beats: { type: 'array', items: { type: 'string' }, description: '3 to 8 beats in story order.' },
+      },
+      required: ['beats'],
+    },
+  },
+  open_vote: {
+    description: 'Open topic voting for the room when the group is ready to choose an issue.',
+    stages: ['DISCOVERY'],
+    roles: FACILITATOR_ROLES,
+    parameters: { type: 'object', properties: {}, required: [] },
+  },
+  request_extension: {
+    description: 'Ask the presenter for more time on the current stage. The presenter decides; this does not change the timer.',
+    stages: ['DISCOVERY', 'IDEA_DUMP', 'PLANNING', 'ROUGH_DRAFT', 'EDITING', 'FINAL'],
+    roles: null,
+    parameters: {
+      type: 'object',
+      properties: {
+        seconds: { type: 'integer', description: 'Extra seconds requested, 30 to 300.' },
+        reason: { type: 'string', description: 'One sentence the presenter will see.' },
+      },
+      required: ['seconds', 'reason'],
+    },
+  },
+  cite_evidence: {
+    description: 'Record a claim with supporting evidence from a numbered library passage on the evidence board.',
+    stages: ['IDEA_DUMP', 'PLANNING', 'ROUGH_DRAFT', 'EDITING'],
+    roles: null,
+    parameters: {
+      type: 'object',
+      properties: {
+        claim: { type: 'string', description: 'The claim the evidence supports.' },
+        passage: { type: 'integer', description: 'Number of the reference passage, as in [1].' },
+        quote: { type: 'string', description: 'Short quote or paraphrase from that passage.' },
+      },
+      required: ['claim', 'passage', 'quote'],
+    },
+  },
+});
+
+export const ASEMA_TOOL_NAMES = Object.freeze(Object.keys(ASEMA_TOOLS));
+
+function toolAllowed(tool, { stage = '', role = '' } = {}) {
+  if (!tool.stages.includes(String(stage || '').toUpperCase())) return 'tool_wrong_stage';
+  if (tool.roles && !tool.roles.includes(String(role || '').toUpperCase())) return 'tool_forbidden';
+  return '';
+}
+
+// Provider-neutral definitions ({ name, description, parameters }) for the
+// tools this caller may use right now. `passages` gates cite_evidence, which
+// is pointless without library passages to cite.
+export function asemaToolsFor({ stage = '', role = '', passages = [] } = {}) {
+  return ASEMA_TOOL_NAMES.filter((name) => {
+    if (toolAllowed(ASEMA_TOOLS[name], { stage, role })) return false;
+    return name !== 'cite_evidence' || passages.length > 0;
+  }).map((name) => ({
+    name,
+    description: ASEMA_TOOLS[name].description,
+    parameters: ASEMA_TOOLS[name].parameters,
+  }));
+}
+
+function cleanLine(value, max) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+function normalizeInput(name, input = {}, { passages = [] } = {}) {
+  if (name === 'add_sticky_note') {
+    const text = cleanLine(input.text, MAX_NOTE_CHARS);
+    if (!text) throw new Error('note_text_required');
+    const tags = (Array.isArray(input.tags) ? input.tags : []).map((tag) => cleanLine(tag, 24)).filter(Boolean);
+    return { text, ...(input.color ? { color: cleanLine(input.color, 12).toLowerCase() } : {}), ...(tags.length ? { tags } : {}) };
+  }
+  if (name === 'propose_outline') {
+    const beats = (Array.isArray(input.beats) ? input.beats : [])
+      .map((beat) => cleanLine(beat, MAX_BEAT_CHARS))
+      .filter(Boolean)
+      .slice(0, MAX_BEATS);
+    if (beats.length < 2) throw new Error('outline_beats_required');
+    return { title: cleanLine(input.title, 80), beats };
+  }
+  if (name === 'open_vote') return {};
+  if (name === 'request_extension') {
+    const seconds = Math.round(Number(input.seconds));
+    if (!Number.isFinite(seconds) || seconds <= 0) throw new Error('extension_seconds_invalid');
+    const reason = cleanLine(input.reason, MAX_REASON_CHARS);
+    if (!reason) throw new Error('extension_reason_required');
+    return {
+      seconds: Math.max(ASEMA_TOOL_LIMITS.extensionMinSec, Math.min(ASEMA_TOOL_LIMITS.extensionMaxSec, seconds)),
+      reason,
+    };
+  }
+  if (name === 'cite_evidence') {
+    const claim = cleanLine(input.claim, MAX_CLAIM_CHARS);
+    const quote = cleanLine(input.quote, MAX_QUOTE_CHARS);
+    if (!claim || !quote) throw new Error('evidence_text_required');
+    const n = Math.floor(Number(input.passage));
+    const passage = passages[n - 1];
+    if (!passage) throw new Error('evidence_passage_unknown');
+    return { claim, quote, passage: n, docId: passage.docId, title: passage.title, sourceUrl: passage.sourceUrl || '' };
+  }
+  throw new Error('tool_unknown');
+}
+
+// `call` is { name, input } from the provider. Returns { ok, name, input } or
+// { ok: false, name, error } with a snake_case reason for the decision log.
+export function validateAsemaToolCall(call = {}, { stage = '', role = '', passages = [] } = {}) {
+  const name = String(call?.name || '').trim();
+  const tool = ASEMA_TOOLS[name];
+  if (!tool) return { ok: false, name, error: 'tool_unknown' };
+  const denied = toolAllowed(tool, { stage, role });
+  if (denied) return { ok: false, name, error: denied };
+  const raw = call.input && typeof call.input === 'object' && !Array.isArray(call.input) ? call.input : {};
+  try {
+    return { ok: true, name, input: normalizeInput(name, raw, { passages }) };
+  } catch (err) {
+    return { ok: false, name, error: err.message };
+  }
+}
+
+// Text blocks the server writes into canvas sections for outline and
+// evidence calls. The evidence line carries a URL or a [n] marker so it
+// counts toward the CER gate's citation check.
+export function outlineProposalText({ title = '', beats = [] } = {}) {
+  return [`Proposed outline${title ? `: ${title}` : ''} (Asema)`, ...beats.map((beat, idx) => `${idx + 1}. ${beat}`)].join('\n');
+}
+
+export function evidenceEntryText({ claim = '', quote = '', title = '', sourceUrl = '', passage = 0 } = {}) {
+  const source = sourceUrl ? `${title} ${sourceUrl}` : `${title} [${passage}]`;
+  return `Claim: ${claim}\nEvidence: "${quote}" — ${source}`;
+}
+
+// One line per call for Asema's chat reply, so the room sees what was done.
+export function asemaToolActionLine(result = {}) {
+  const { name, input = {}, ok } = result;
+  if (!ok) return '';
+  if (name === 'add_sticky_note') return `📝 Added a sticky note: “${input.text}”`;
+  if (name === 'propose_outline') return `🧭 Added a proposed outline (${input.beats.length} beats) to the outline map.`;
+  if (name === 'open_vote') return '🗳️ Opened topic voting.';
+  if (name === 'request_extension') return `⏱️ Asked the presenter for ${input.seconds}s more: ${input.reason}`;
+  if (name === 'cite_evidence') return `🔎 Logged evidence from “${input.title}” on the evidence board.`;
+  return '';
+}
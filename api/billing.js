@@ -0,0 +1,408 @@
+import crypto from 'node:crypto';
+
+// Stripe billing pieces that do not touch storage: the REST client, webhook
+// signatures, event normalisation, the per-license billing state and dunning
+// rules. server.js owns the license and billing-table writes.
+
+export const STRIPE_WEBHOOK_TOLERANCE_SEC = 300;
+
+export const STRIPE_EVENT_TYPES = Object.freeze([
+  'invoice.paid',
+  'invoice.payment_failed',
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+]);
+
+export const DUNNING_DEFAULTS = Object.freeze({ graceDays: 14, reminderDays: [1, 3, 7] });
+
+const DAY_MS = 24 * 60 * 60_000;
+
+// ---------- REST client ----------
+
+// Stripe's form encoding: nested objects become key[sub], arrays key[0][sub].
+export function stripeForm(params = {}, prefix = '') {
+  const out = new URLSearchParams();
+  const walk = (value, key) => {
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value)) {
+      value.forEach((entry, idx) => walk(entry, `${key}[${idx}]`));
+    } else if (typeof value === 'object') {
+      for (const [sub, entry] of Object.entries(value)) walk(entry, key ? `${key}[${sub}]` : sub);
+    } else {
+      out.append(key, String(value));
+    }
+  };
+  walk(params, prefix);
+  return out.toString();
+}
+
+export function createStripeClient({ apiKey = '', baseUrl = 'https://api.stripe.com/v1', fetchImpl = fetch } = {}) {
+  if (!apiKey) throw new Error('stripe_api_key_required');
+  const root = String(baseUrl).replace(/\/+$/, '');
+
+  async function request(method, path, params = {}, { idempotencyKey = '' } = {}) {
+    const headers = { Authorization: `Bearer ${apiKey}` };
+    let url = `${root}${path}`;
+    let body;
+    if (method === 'GET') {
+      const query = stripeForm(params);
+      if (query) url += `?${query}`;
+    } else {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      body = stripeForm(params);
+    }
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+    const res = await fetchImpl(url, { method, headers, body });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = null;
+    }
+    if (!res.ok) {
+      const err = new Error('stripe_request_failed');
+      err.status = res.status;
+      err.detail = String(data?.error?.message || text).slice(0, 500);
+      throw err;
+    }
+    return data || {};
+  }
+
+  const id = (value) => encodeURIComponent(String(value || ''));
+  return {
+    request,
+    createCustomer: (params, options) => request('POST', '/customers', params, options),
+    updateCustomer: (customerId, params, options) => request('POST', `/customers/${id(customerId)}`, params, options),
+    createSubscription: (params, options) => request('POST', '/subscriptions', params, options),
+    updateSubscription: (subscriptionId, params, options) =>
+      request('POST', `/subscriptions/${id(subscriptionId)}`, params, options),
+    createInvoice: (params, options) => request('POST', '/invoices', params, options),
+    createInvoiceItem: (params, options) => request('POST', '/invoiceitems', params, options),
+  };
+}
+
+// ---------- webhook signatures ----------
+
+function signPayload(payload, secret, timestamp) {
+  return crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+export function stripeSignatureHeader(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${signPayload(String(payload), secret, timestamp)}`;
+}
+
+// Checks a Stripe-Signature header against the raw request body and returns
+// the parsed event. Any v1 signature may match, which covers secret rolls.
+export function verifyStripeSignature(
+  payload,
+  header,
+  secret,
+  { toleranceSec = STRIPE_WEBHOOK_TOLERANCE_SEC, now = Date.now() } = {}
+) {
+  if (!secret) throw new Error('webhook_secret_missing');
+  const raw = Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload || '');
+  let timestamp = 0;
+  const signatures = [];
+  for (const part of String(header || '').split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') timestamp = Number(value);
+    if (key === 'v1' && /^[0-9a-f]{64}$/.test(value || '')) signatures.push(value);
+  }
+  if (!timestamp || !signatures.length) throw new Error('webhook_signature_missing');
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSec) {
+    throw new Error('webhook_timestamp_out_of_tolerance');
+  }
+  const expected = Buffer.from(signPayload(raw, secret, timestamp), 'hex');
+  if (!signatures.some((sig) => crypto.timingSafeEqual(Buffer.from(sig, 'hex'), expected))) {
+    throw new Error('webhook_signature_invalid');
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error('webhook_payload_invalid');
+  }
+}
+
+// ---------- events ----------
+
+function stringId(value) {
+  if (!value) return '';
+  return typeof value === 'string' ? value : String(value.id || '');
+}
+
+function epochMs(seconds) {
+  const n = Number(seconds || 0);
+  return n > 0 ? n * 1000 : null;
+}
+
+// Invoices raised by a subscription carry its metadata under
+// subscription_details (parent.subscription_details on newer API versions).
+function metadataOf(object = {}) {
+  return {
+    ...(object.parent?.subscription_details?.metadata || {}),
+    ...(object.subscription_details?.metadata || {}),
+    ...(object.metadata || {}),
+  };
+}
+
+// The fields the handlers need from a Stripe event, whatever its API version.
+export function normalizeStripeEvent(event = {}) {
+  const object = event?.data?.object || {};
+  const type = String(event?.type || '');
+  const metadata = metadataOf(object);
+  const base = {
+    eventId: String(event?.id || ''),
+    type,
+    createdAt: epochMs(event?.created) || 0,
+    livemode: event?.livemode === true,
+    orgId: String(metadata.orgId || ''),
+    licenseId: String(metadata.licenseId || ''),
+    customerId: stringId(object.customer),
+  };
+  if (type.startsWith('invoice.')) {
+    return {
+      ...base,
+      kind: 'invoice',
+      invoiceId: stringId(object.id),
+      billingEventId: String(metadata.billingEventId || ''),
+      subscriptionId: stringId(object.subscription || object.parent?.subscription_details?.subscription),
+      amountDueCents: Math.max(0, Number(object.amount_due || 0)),
+      amountPaidCents: Math.max(0, Number(object.amount_paid || 0)),
+      currency: String(object.currency || 'usd').toUpperCase(),
+      attemptCount: Math.max(0, Number(object.attempt_count || 0)),
+      nextPaymentAttemptAt: epochMs(object.next_payment_attempt),
+      hostedInvoiceUrl: String(object.hosted_invoice_url || ''),
+    };
+  }
+  if (type.startsWith('customer.subscription.')) {
+    const item = object.items?.data?.[0] || {};
+    return {
+      ...base,
+      kind: 'subscription',
+      subscriptionId: stringId(object.id),
+      subscriptionStatus: type.endsWith('.deleted') ? 'canceled' : String(object.status || ''),
+      subscriptionItemId: stringId(item.id),
+      priceId: stringId(item.price),
+      currentPeriodEnd: epochMs(object.current_period_end || item.current_period_end),
+      cancelAtPeriodEnd: object.cancel_at_period_end === true,
+    };
+  }
+  return { ...base, kind: 'other' };
+}
+
+// ---------- billing state ----------
+
+const PAID_INVOICE_MEMORY = 20;
+
+// Failed invoices still owed, as invoiceId -> first failure. States saved
+// before this was tracked only know the latest invoice.
+function unpaidInvoicesOf(billing = {}) {
+  if (billing.unpaidInvoices && typeof billing.unpaidInvoices === 'object') return { ...billing.unpaidInvoices };
+  return billing.delinquentSince && billing.lastInvoiceId
+    ? { [billing.lastInvoiceId]: Number(billing.delinquentSince) }
+    : {};
+}
+
+// The billing state kept on a license record. Out-of-order deliveries are
+// expected: a failure for an invoice already paid, or a subscription event
+// older than the last one applied, leaves the state alone. Delinquency is
+// tracked per invoice, so paying an older invoice does not clear a newer
+// failure. Events without an invoice id fall back to comparing against the
+// last payment.
+export function applyBillingEvent(billing = {}, event = {}) {
+  const at = Number(event.createdAt || 0);
+  const next = { ...billing };
+  if (event.customerId) next.customerId = event.customerId;
+  const invoiceId = String(event.invoiceId || '');
+  const paidInvoiceIds = Array.isArray(billing.paidInvoiceIds) ? billing.paidInvoiceIds : [];
+  const stale = invoiceId
+    ? paidInvoiceIds.includes(invoiceId)
+    : !!billing.lastPaidAt && at < billing.lastPaidAt;
+
+  if (event.type === 'invoice.paid') {
+    if (stale) return { billing, changed: false };
+    // A payment we cannot tie to an invoice settles nothing we track.
+    const unpaid = unpaidInvoicesOf(billing);
+    if (invoiceId) delete unpaid[invoiceId];
+    const newest = !billing.lastPaidAt || at >= billing.lastPaidAt;
+    Object.assign(next, {
+      unpaidInvoices: unpaid,
+      paidInvoiceIds: invoiceId ? [...paidInvoiceIds, invoiceId].slice(-PAID_INVOICE_MEMORY) : paidInvoiceIds,
+      lastPaidAt: Math.max(Number(billing.lastPaidAt || 0), at),
+      ...(newest ? { lastInvoiceId: invoiceId } : {}),
+    });
+    const owed = Object.values(unpaid);
+    if (owed.length) {
+      const state = billing.state === 'SUSPENDED' ? 'SUSPENDED' : 'PAST_DUE';
+      Object.assign(next, { state, delinquentSince: Math.min(...owed) });
+    } else {
+      Object.assign(next, {
+        state: 'CURRENT',
+        delinquentSince: null,
+        remindersSent: [],
+        failedAttempts: 0,
+        nextPaymentAttemptAt: null,
+      });
+    }
+    return { billing: next, changed: true };
+  }
+
+  if (event.type === 'invoice.payment_failed') {
+    if (stale) return { billing, changed: false };
+    const unpaid = unpaidInvoicesOf(billing);
+    if (invoiceId) unpaid[invoiceId] = unpaid[invoiceId] && at ? Math.min(unpaid[invoiceId], at) : unpaid[invoiceId] || at;
+    Object.assign(next, {
+      state: 'PAST_DUE',
+      // A retry keeps the clock; an earlier failure delivered late moves it back.
+      delinquentSince: billing.delinquentSince && at ? Math.min(billing.delinquentSince, at) : billing.delinquentSince || at,
+      remindersSent: billing.delinquentSince ? billing.remindersSent || [] : [],
+      failedAttempts: event.attemptCount,
+      nextPaymentAttemptAt: event.nextPaymentAttemptAt,
+      lastInvoiceId: invoiceId,
+      unpaidInvoices: unpaid,
+    });
+    return { billing: next, changed: true };
+  }
+
+  if (event.kind === 'subscription') {
+    if (billing.subscriptionEventAt && at < billing.subscriptionEventAt) return { billing, changed: false };
+    Object.assign(next, {
+      subscriptionId: event.subscriptionId,
+      subscriptionItemId: event.subscriptionItemId || billing.subscriptionItemId || '',
+      priceId: event.priceId || billing.priceId || '',
+      subscriptionStatus: event.subscriptionStatus,
+      currentPeriodEnd: event.currentPeriodEnd,
+      cancelAtPeriodEnd: event.cancelAtPeriodEnd,
+      subscriptionEventAt: at,
+    });
+    // Stripe marks the subscription past_due/unpaid before (or instead of)
+    // a payment_failed we can attribute; start the clock either way.
+    if (['past_due', 'unpaid'].includes(event.subscriptionStatus) && !billing.delinquentSince) {
+      Object.assign(next, { state: 'PAST_DUE', delinquentSince: at, remindersSent: [] });
+    }
+    return { billing: next, changed: true };
+  }
+
+  return { billing, changed: false };
+}
+
+// License status billing wants after an event, or '' to leave it. `billing`
+// is the state with the event already applied. Billing only lifts suspensions
+// it imposed, and a payment only lifts one once nothing is still owed; a
+// manual suspension stays put.
+export function licenseStatusForBilling(currentStatus = 'ACTIVE', billing = {}, event = {}) {
+  const status = String(currentStatus || 'ACTIVE').toUpperCase();
+  const suspendedByDunning = status === 'SUSPENDED' && billing.suspendedBy === 'DUNNING';
+  if (status === 'SUSPENDED' && !suspendedByDunning) return '';
+
+  if (event.type === 'invoice.paid' && suspendedByDunning) return billing.delinquentSince ? '' : 'ACTIVE';
+  if (event.kind !== 'subscription') return '';
+  const sub = String(event.subscriptionStatus || '');
+  if (sub === 'canceled' || sub === 'incomplete_expired') return status === 'EXPIRED' ? '' : 'EXPIRED';
+  if (sub === 'active' && (status !== 'ACTIVE' || suspendedByDunning)) return 'ACTIVE';
+  if (sub === 'trialing' && status !== 'TRIAL') return 'TRIAL';
+  return '';
+}
+
+export function normalizeDunningPolicy(input = {}) {
+  const graceDays = Math.max(1, Math.min(90, Math.round(Number(input?.graceDays) || DUNNING_DEFAULTS.graceDays)));
+  const raw = Array.isArray(input?.reminderDays) ? input.reminderDays : DUNNING_DEFAULTS.reminderDays;
+  const reminderDays = [...new Set(raw.map((d) => Math.round(Number(d))).filter((d) => d >= 0 && d < graceDays))].sort(
+    (a, b) => a - b
+  );
+  return { graceDays, reminderDays };
+}
+
+// What dunning should do now for a license's billing state: nothing, send
+// the latest reminder not yet sent, or suspend once the grace period is over.
+export function dunningStep(billing = {}, policy = DUNNING_DEFAULTS, now = Date.now()) {
+  const since = Number(billing.delinquentSince || 0);
+  if (!since) return { action: 'NONE' };
+  const { graceDays, reminderDays } = normalizeDunningPolicy(policy);
+  const graceEndsAt = since + graceDays * DAY_MS;
+  const daysPastDue = Math.max(0, Math.floor((now - since) / DAY_MS));
+  if (now >= graceEndsAt) return { action: 'SUSPEND', graceEndsAt, daysPastDue };
+  const sent = new Set(billing.remindersSent || []);
+  const due = reminderDays.filter((day) => day <= daysPastDue && !sent.has(day));
+  if (due.length) return { action: 'REMIND', reminderDay: due[due.length - 1], graceEndsAt, daysPastDue };
+  return { action: 'NONE', graceEndsAt, daysPastDue };
+}
+
+// Admin-facing view of the billing state.
+export function describeBillingAccount(billing = {}, policy = DUNNING_DEFAULTS, now = Date.now()) {
+  const step = dunningStep(billing, policy, now);
+  return {
+    customerId: String(billing.customerId || ''),
+    subscriptionId: String(billing.subscriptionId || ''),
+    subscriptionStatus: String(billing.subscriptionStatus || ''),
+    currentPeriodEnd: billing.currentPeriodEnd || null,
+    cancelAtPeriodEnd: billing.cancelAtPeriodEnd === true,
+    state: String(billing.state || 'CURRENT'),
+    delinquentSince: billing.delinquentSince || null,
+    daysPastDue: step.daysPastDue ?? 0,
+    graceEndsAt: step.graceEndsAt || null,
+    failedAttempts: Number(billing.failedAttempts || 0),
+    lastPaidAt: billing.lastPaidAt || null,
+    unpaidInvoices: Object.keys(unpaidInvoicesOf(billing)),
+    suspendedBy: String(billing.suspendedBy || ''),
+  };
+}
+
+// ---------- replay fixtures ----------
+
+// A Stripe-shaped event for the local replayer and tests. Only the fields the
+// handlers read are filled in.
+export function sampleStripeEvent(type, options = {}) {
+  const {
+    orgId = '',
+    licenseId = '',
+    customerId = 'cus_local',
+    invoiceId = '',
+    subscriptionId = 'sub_local',
+    amountCents = 0,
+    status = '',
+    attemptCount = 1,
+    created = Math.floor(Date.now() / 1000),
+  } = options;
+  const metadata = { orgId, licenseId };
+  let object;
+  if (type.startsWith('invoice.')) {
+    const paid = type === 'invoice.paid';
+    object = {
+      id: invoiceId || `in_${crypto.randomBytes(6).toString('hex')}`,
+      object: 'invoice',
+      customer: customerId,
+      subscription: subscriptionId,
+      status: paid ? 'paid' : 'open',
+      amount_due: amountCents,
+      amount_paid: paid ? amountCents : 0,
+      currency: 'usd',
+      attempt_count: paid ? Math.max(1, attemptCount) : attemptCount,
+      next_payment_attempt: paid ? null : created + 3 * 24 * 60 * 60,
+      metadata,
+    };
+  } else if (type.startsWith('customer.subscription.')) {
+    object = {
+      id: subscriptionId,
+      object: 'subscription',
+      customer: customerId,
+      status: status || (type.endsWith('.deleted') ? 'canceled' : 'active'),
+      cancel_at_period_end: false,
+      current_period_end: created + 30 * 24 * 60 * 60,
+      items: { data: [{ id: 'si_local', price: { id: 'price_local' } }] },
+      metadata,
+    };
+  } else {
+    throw new Error('event_type_unsupported');
+  }
+  return {
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    object: 'event',
+    type,
+    created,
+    livemode: false,
+    data: { object },
+  };
+}
@@ -0,0 +1,220 @@
+export const CANVAS_SECTIONS = Object.freeze([
+  'stickyNotes',
+  'outlineMap',
+  'evidenceBoard',
+  'narrativeMap',
+]);
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const DEFAULT_HISTORY_CHARS = 24_000;
+const MAX_OP_PARTS = 400;
+
+// Text operations follow the ot.js shape: a list of components that walk the
+// whole base text. A positive integer retains that many characters, a string is
+// inserted, and a negative integer deletes that many characters.
+
+function isRetain(part) {
+  return Number.isInteger(part) && part > 0;
+}
+
+function isDelete(part) {
+  return Number.isInteger(part) && part < 0;
+}
+
+function isInsert(part) {
+  return typeof part === 'string' && part.length > 0;
+}
+
+function pushPart(op, part) {
+  if (part === 0 || part === '') return op;
+  const last = op[op.length - 1];
+  if (isRetain(part) && isRetain(last)) op[op.length - 1] = last + part;
+  else if (isDelete(part) && isDelete(last)) op[op.length - 1] = last + part;
+  else if (isInsert(part) && isInsert(last)) op[op.length - 1] = last + part;
+  else if (isInsert(part) && isDelete(last)) {
+    // Keep inserts ahead of deletes so equivalent ops compare equal.
+    const prev = op[op.length - 2];
+    if (isInsert(prev)) op[op.length - 2] = prev + part;
+    else op.splice(op.length - 1, 0, part);
+  } else op.push(part);
+  return op;
+}
+
+export function normalizeTextOp(raw) {
+  if (!Array.isArray(raw) || raw.length > MAX_OP_PARTS) throw new Error('canvas_op_invalid');
+  const op = [];
+  for (const part of raw) {
+    if (!Number.isInteger(part) && typeof part !== 'string') {
+      throw new Error('canvas_op_invalid');
+    }
+    pushPart(op, typeof part === 'string' ? part.replace(/\r\n?/g, '\n') : part);
+  }
+  return op;
+}
+
+export function textOpBaseLength(op = []) {
+  return op.reduce((sum, part) => sum + (isRetain(part) ? part : isDelete(part) ? -part : 0), 0);
+}
+
+export function isNoopTextOp(op = []) {
+  return op.every((part) => isRetain(part));
+}
+
+// A single replace around the common prefix and suffix. Autosave batches are
+// small, so this keeps ops compact without a full diff.
+export function diffTextOp(before = '', after = '') {
+  const a = String(before);
+  const b = String(after);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  const op = [];
+  pushPart(op, start);
+  pushPart(op, b.slice(start, endB));
+  pushPart(op, start - endA);
+  pushPart(op, a.length - endA);
+  return op;
+}
+
+export function applyTextOp(text = '', op = []) {
+  const source = String(text);
+  if (textOpBaseLength(op) !== source.length) throw new Error('canvas_op_base_mismatch');
+  let index = 0;
+  let out = '';
+  for (const part of op) {
+    if (isRetain(part)) {
+      out += source.slice(index, index + part);
+      index += part;
+    } else if (isDelete(part)) {
+      index -= part;
+    } else {
+      out += part;
+    }
+  }
+  return out;
+}
+
+// Returns [a', b'] so that apply(apply(s, a), b') === apply(apply(s, b), a').
+// When both sides insert at the same spot, `a` goes first.
+export function transformTextOps(a = [], b = []) {
+  if (textOpBaseLength(a) !== textOpBaseLength(b)) throw new Error('canvas_op_base_mismatch');
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let partA = a[i++];
+  let partB = b[j++];
+  for (;;) {
+    if (partA === undefined && partB === undefined) break;
+    if (isInsert(partA)) {
+      pushPart(aPrime, partA);
+      pushPart(bPrime, partA.length);
+      partA = a[i++];
+      continue;
+    }
+    if (isInsert(partB)) {
+      pushPart(aPrime, partB.length);
+      pushPart(bPrime, partB);
+      partB = b[j++];
+      continue;
+    }
+    if (partA === undefined || partB === undefined) throw new Error('canvas_op_base_mismatch');
+
+    const lenA = Math.abs(partA);
+    const lenB = Math.abs(partB);
+    const len = Math.min(lenA, lenB);
+    if (isRetain(partA) && isRetain(partB)) {
+      pushPart(aPrime, len);
+      pushPart(bPrime, len);
+    } else if (isDelete(partA) && isRetain(partB)) {
+      pushPart(aPrime, -len);
+    } else if (isRetain(partA) && isDelete(partB)) {
+      pushPart(bPrime, -len);
+    }
+    // Both deleting the same span: neither side has anything left to do.
+    partA = lenA === len ? a[i++] : Math.sign(partA) * (lenA - len);
+    partB = lenB === len ? b[j++] : Math.sign(partB) * (lenB - len);
+  }
+  return [aPrime, bPrime];
+}
+
+// Maps a caret offset through an op. Inserts exactly at the caret push it
+// forward, so a peer typing at your position does not pull you behind them.
+export function transformTextIndex(index = 0, op = []) {
+  let cursor = Math.max(0, Number(index) || 0);
+  let pos = 0;
+  let result = cursor;
+  for (const part of op) {
+    if (pos > cursor) break;
+    if (isRetain(part)) {
+      pos += part;
+    } else if (isInsert(part)) {
+      result += part.length;
+    } else {
+      const len = -part;
+      result -= Math.min(len, Math.max(0, cursor - pos));
+      pos += len;
+    }
+  }
+  return result;
+}
+
+function opChars(op = []) {
+  return op.reduce((sum, part) => sum + (isInsert(part) ? part.length : 1), 0);
+}
+
+function trimHistory(history, limit, maxChars) {
+  const out = history.slice(-limit);
+  let chars = out.reduce((sum, entry) => sum + opChars(entry.op), 0);
+  while (out.length > 1 && chars > maxChars) chars -= opChars(out.shift().op);
+  return out;
+}
+
+// Rebases an edit made against `baseRevision` onto the section's current text.
+// Returns the new section state plus the op as it was actually applied.
+export function applyCanvasSectionEdit(
+  section = {},
+  edit = {},
+  {
+    maxLength = Infinity,
+    historyLimit = DEFAULT_HISTORY_LIMIT,
+    historyChars = DEFAULT_HISTORY_CHARS,
+  } = {}
+) {
+  const text = String(section.text || '');
+  const revision = Math.max(0, Number(section.revision || 0));
+  const history = Array.isArray(section.history) ? section.history : [];
+  const baseRevision = Number(edit.baseRevision);
+  if (!Number.isInteger(baseRevision) || baseRevision < 0 || baseRevision > revision) {
+    throw new Error('canvas_revision_invalid');
+  }
+
+  const missed = history
+    .filter((entry) => Number(entry.revision) > baseRevision)
+    .sort((a, b) => a.revision - b.revision);
+  if (missed.length !== revision - baseRevision) throw new Error('canvas_revision_stale');
+
+  let op = normalizeTextOp(edit.op);
+  for (const entry of missed) [op] = transformTextOps(op, entry.op);
+  if (isNoopTextOp(op)) return { text, revision, history, op, changed: false };
+
+  const nextText = applyTextOp(text, op);
+  if (nextText.length > maxLength) throw new Error('canvas_section_too_long');
+  const nextRevision = revision + 1;
+  const nextHistory = trimHistory(
+    history.concat({
+      revision: nextRevision,
+      op,
+      uid: String(edit.uid || ''),
+      at: Number(edit.at || Date.now()),
+    }),
+    historyLimit,
+    historyChars
+  );
+  return { text: nextText, revision: nextRevision, history: nextHistory, op, changed: true };
+}
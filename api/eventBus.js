@@ -0,0 +1,297 @@
+import crypto from 'node:crypto';
+
+export const EVENT_BUS_BACKENDS = Object.freeze(['memory', 'redis', 'dynamo']);
+
+const DEFAULT_REDIS_CHANNEL = 'storibloom:stream-events';
+const DEFAULT_POLL_INTERVAL_MS = 1_000;
+const DEFAULT_POLL_LAG_MS = 5_000;
+const DEFAULT_POLL_BATCH = 200;
+const DEFAULT_SHARD_COUNT = 8;
+const DEFAULT_SHARD_BUCKET_MS = 60_000;
+const SORT_KEY_TIME_DIGITS = 15;
+const ERROR_LOG_INTERVAL_MS = 30_000;
+
+export function normalizeEventBusBackend(value) {
+  const backend = String(value || '').trim().toLowerCase();
+  return EVENT_BUS_BACKENDS.includes(backend) ? backend : 'memory';
+}
+
+export function createInstanceId() {
+  return `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Sort keys order lexicographically by publish time, so a poller can resume
+// from any point with a single range query.
+export function eventSortKey(at, origin = '', seq = 0) {
+  const time = String(Math.max(0, Math.floor(Number(at) || 0))).padStart(SORT_KEY_TIME_DIGITS, '0');
+  return `${time}#${origin}#${String(seq).padStart(8, '0')}`;
+}
+
+// The polling log is split so no single partition takes every write: a
+// record lives on channel `<time bucket>#<shard>`, the shard being a hash of
+// the message's room (else site, else kind), so one room's events share a
+// channel and keep their order.
+//
+// The price is on the read side: every poll queries each shard of every
+// bucket the read window touches, `shardCount` queries (twice that near a
+// bucket edge) per instance per poll, busy or idle. Size `shardCount` to the
+// write rate and no higher; a small deployment is fine with one or two.
+export function eventRoutingKey(message = {}) {
+  return String(message?.roomId || message?.siteId || message?.kind || '');
+}
+
+export function eventChannel(at, routingKey = '', { shardCount = DEFAULT_SHARD_COUNT, bucketMs = DEFAULT_SHARD_BUCKET_MS } = {}) {
+  const bucket = Math.floor(Math.max(0, Number(at) || 0) / bucketMs);
+  const shard = crypto.createHash('sha1').update(String(routingKey)).digest().readUInt32BE(0) % shardCount;
+  return `${bucket}#${shard}`;
+}
+
+// Every channel a record published between `fromAt` and `toAt` can be on.
+export function eventChannelsBetween(fromAt, toAt, { shardCount = DEFAULT_SHARD_COUNT, bucketMs = DEFAULT_SHARD_BUCKET_MS } = {}) {
+  const channels = [];
+  const first = Math.floor(Math.max(0, Number(fromAt) || 0) / bucketMs);
+  const last = Math.floor(Math.max(0, Number(toAt) || 0) / bucketMs);
+  for (let bucket = first; bucket <= last; bucket += 1) {
+    for (let shard = 0; shard < shardCount; shard += 1) channels.push(`${bucket}#${shard}`);
+  }
+  return channels;
+}
+
+function createLocalFanout({ instanceId, onError, now = () => Date.now() }) {
+  const handlers = new Set();
+  let seq = 0;
+
+  function deliver(envelope) {
+    for (const handler of Array.from(handlers)) {
+      try {
+        handler(envelope);
+      } catch (err) {
+        onError('handler', err);
+      }
+    }
+  }
+
+  function envelopeFor(message = {}) {
+    seq += 1;
+    return {
+      id: `${instanceId}:${seq}`,
+      origin: instanceId,
+      seq,
+      at: now(),
+      message,
+    };
+  }
+
+  function subscribe(handler) {
+    if (typeof handler !== 'function') return () => {};
+    handlers.add(handler);
+    return () => handlers.delete(handler);
+  }
+
+  return { deliver, envelopeFor, subscribe };
+}
+
+function defaultErrorLogger(backend) {
+  // Redis reconnects and failed polls repeat every few hundred ms during an outage.
+  const lastLoggedAt = new Map(); // stage -> ms
+  return (stage, err) => {
+    const now = Date.now();
+    if (now - Number(lastLoggedAt.get(stage) || 0) < ERROR_LOG_INTERVAL_MS) return;
+    lastLoggedAt.set(stage, now);
+    console.warn(`[event-bus:${backend}] ${stage} failed:`, err?.message || err);
+  };
+}
+
+export function createMemoryEventBus({ instanceId = createInstanceId(), onError } = {}) {
+  const local = createLocalFanout({
+    instanceId,
+    onError: onError || defaultErrorLogger('memory'),
+  });
+  return {
+    backend: 'memory',
+    instanceId,
+    subscribe: local.subscribe,
+    publish(message) {
+      const envelope = local.envelopeFor(message);
+      local.deliver(envelope);
+      return envelope;
+    },
+    async start() {},
+    async stop() {},
+  };
+}
+
+// Every instance delivers its own events locally before forwarding them, so a
+// broker outage degrades to single-instance behaviour instead of dropping events.
+export function createRedisEventBus({
+  createClient,
+  url,
+  channel = DEFAULT_REDIS_CHANNEL,
+  instanceId = createInstanceId(),
+  onError,
+} = {}) {
+  if (typeof createClient !== 'function') throw new Error('event_bus_redis_client_missing');
+  const reportError = onError || defaultErrorLogger('redis');
+  const local = createLocalFanout({ instanceId, onError: reportError });
+  let publisher = null;
+  let subscriber = null;
+
+  function onMessage(raw) {
+    let envelope = null;
+    try {
+      envelope = JSON.parse(raw);
+    } catch (err) {
+      reportError('decode', err);
+      return;
+    }
+    if (!envelope || envelope.origin === instanceId) return;
+    local.deliver(envelope);
+  }
+
+  return {
+    backend: 'redis',
+    instanceId,
+    subscribe: local.subscribe,
+    publish(message) {
+      const envelope = local.envelopeFor(message);
+      local.deliver(envelope);
+      if (publisher?.isReady) {
+        publisher.publish(channel, JSON.stringify(envelope)).catch((err) => {
+          reportError('publish', err);
+        });
+      }
+      return envelope;
+    },
+    async start() {
+      publisher = createClient(url ? { url } : {});
+      publisher.on('error', (err) => reportError('connection', err));
+      subscriber = publisher.duplicate();
+      subscriber.on('error', (err) => reportError('connection', err));
+      await publisher.connect();
+      await subscriber.connect();
+      await subscriber.subscribe(channel, onMessage);
+    },
+    async stop() {
+      const clients = [subscriber, publisher].filter(Boolean);
+      subscriber = null;
+      publisher = null;
+      await Promise.all(clients.map((client) => client.quit().catch(() => null)));
+    },
+  };
+}
+
+// `store` is any append-only log of channels with range reads:
+//   append({ channel, sortKey, envelope, at }) and
+//   listSince(channel, afterSortKey, limit) -> records
+// Each poll re-reads a short lag window because instance clocks drift; already
+// delivered ids are remembered for that window so nothing is delivered twice.
+export function createPollingEventBus({
+  store,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  lagMs = DEFAULT_POLL_LAG_MS,
+  batchSize = DEFAULT_POLL_BATCH,
+  shardCount = DEFAULT_SHARD_COUNT,
+  shardBucketMs = DEFAULT_SHARD_BUCKET_MS,
+  instanceId = createInstanceId(),
+  now = () => Date.now(),
+  onError,
+} = {}) {
+  if (!store || typeof store.append !== 'function' || typeof store.listSince !== 'function') {
+    throw new Error('event_bus_store_missing');
+  }
+  const reportError = onError || defaultErrorLogger('dynamo');
+  const local = createLocalFanout({ instanceId, onError: reportError, now });
+  const sharding = {
+    shardCount: Math.max(1, Math.floor(Number(shardCount) || DEFAULT_SHARD_COUNT)),
+    bucketMs: Math.max(1_000, Math.floor(Number(shardBucketMs) || DEFAULT_SHARD_BUCKET_MS)),
+  };
+  const seen = new Map(); // envelope id -> at
+  let cursorAt = now();
+  let timer = null;
+  let polling = null;
+
+  function remember(envelope) {
+    seen.set(envelope.id, Number(envelope.at || 0));
+  }
+
+  function pruneSeen(floorAt) {
+    for (const [id, at] of seen) {
+      if (at < floorAt) seen.delete(id);
+    }
+  }
+
+  async function readChannel(channel, afterKey) {
+    const out = [];
+    let after = afterKey;
+    for (;;) {
+      const records = await store.listSince(channel, after, batchSize);
+      out.push(...records);
+      if (records.length) after = String(records[records.length - 1]?.sortKey || after);
+      if (records.length < batchSize) return out;
+    }
+  }
+
+  async function pollOnce() {
+    const startedAt = now();
+    const fromAt = Math.min(cursorAt, startedAt) - lagMs;
+    const afterKey = eventSortKey(fromAt);
+    // Clocks ahead of ours may already have written into the next bucket.
+    const channels = eventChannelsBetween(fromAt, startedAt + lagMs, sharding);
+    const batches = await Promise.all(channels.map((channel) => readChannel(channel, afterKey)));
+    const records = batches
+      .flat()
+      .sort((a, b) => (a.sortKey < b.sortKey ? -1 : a.sortKey > b.sortKey ? 1 : 0));
+    let newestAt = cursorAt;
+    for (const record of records) {
+      const envelope = record?.envelope;
+      if (!envelope?.id || seen.has(envelope.id)) continue;
+      remember(envelope);
+      newestAt = Math.max(newestAt, Number(envelope.at || 0));
+      if (envelope.origin !== instanceId) local.deliver(envelope);
+    }
+    cursorAt = Math.max(newestAt, startedAt);
+    pruneSeen(cursorAt - lagMs * 2);
+  }
+
+  function schedule() {
+    timer = setTimeout(() => {
+      polling = pollOnce()
+        .catch((err) => reportError('poll', err))
+        .finally(() => {
+          polling = null;
+          if (timer) schedule();
+        });
+    }, pollIntervalMs);
+    if (typeof timer.unref === 'function') timer.unref();
+  }
+
+  return {
+    backend: 'dynamo',
+    instanceId,
+    subscribe: local.subscribe,
+    publish(message) {
+      const envelope = local.envelopeFor(message);
+      remember(envelope);
+      local.deliver(envelope);
+      store
+        .append({
+          channel: eventChannel(envelope.at, eventRoutingKey(message), sharding),
+          sortKey: eventSortKey(envelope.at, instanceId, envelope.seq),
+          envelope,
+          at: envelope.at,
+        })
+        .catch((err) => reportError('publish', err));
+      return envelope;
+    },
+    pollOnce,
+    async start() {
+      cursorAt = now();
+      if (!timer) schedule();
+    },
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      if (polling) await polling;
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import crypto from 'node:crypto';
+
+import { normalizeBallot, normalizeVoteConfig, readVoteConfig, tallyVote } from './voteTally.js';
+
+// Site-wide showcase ballot over the closed abstracts from /presenter/gallery.
+// Options are keyed by room index; a voter never sees their own room's entry.
+
+export function galleryBallotOptions(items = []) {
+  const seen = new Set();
+  const options = [];
+  for (const item of Array.isArray(items) ? items : []) {
+    const roomId = String(item?.roomId || '').trim();
+    const num = Math.floor(Number(item?.index || String(roomId).split('-')[1] || 0));
+    if (!roomId || !num || seen.has(num)) continue;
+    if (!String(item?.abstract || '').trim()) continue;
+    seen.add(num);
+    options.push({
+      num,
+      roomId,
+      label: String(item.topic || '').trim() || `Room ${num}`,
+      abstract: String(item.abstract).trim(),
+    });
+  }
+  return options.sort((a, b) => a.num - b.num);
+}
+
+export function createGalleryBallot({ siteId, items, config = {}, openedBy = '', now = Date.now() } = {}) {
+  const options = galleryBallotOptions(items);
+  if (options.length < 2) throw new Error('gallery_ballot_needs_two_entries');
+  return {
+    id: crypto.randomUUID(),
+    siteId: String(siteId || '').toUpperCase(),
+    open: true,
+    config: normalizeVoteConfig({ ...config, anonymous: false, seed: crypto.randomUUID() }),
+    options,
+    ballots: {},
+    openedBy,
+    openedAt: now,
+    closedAt: null,
+    updatedAt: now,
+  };
+}
+
+export function galleryBallotChoices(ballot, voterRoomId = '') {
+  const options = Array.isArray(ballot?.options) ? ballot.options : [];
+  return options.filter((opt) => opt.roomId !== voterRoomId);
+}
+
+function ballotNums(ballot) {
+  if (typeof ballot === 'number') return [ballot];
+  if (Array.isArray(ballot)) return ballot;
+  return Object.keys(ballot || {}).map(Number);
+}
+
+// Validates against every entry first so picking your own room gets its own
+// error instead of a generic invalid_choice.
+export function normalizeGalleryBallot(input = {}, ballot, voterRoomId = '') {
+  const config = readVoteConfig(ballot?.config);
+  const options = Array.isArray(ballot?.options) ? ballot.options : [];
+  const normalized = normalizeBallot(input, config, options.map(({ num }) => num));
+  const own = options.find((opt) => opt.roomId === voterRoomId);
+  if (own && ballotNums(normalized).includes(own.num)) throw new Error('own_room_excluded');
+  return normalized;
+}
+
+export function tallyGalleryBallot(ballot) {
+  const entries = Object.values(ballot?.ballots || {});
+  const options = Array.isArray(ballot?.options) ? ballot.options : [];
+  return tallyVote(
+    entries.map((entry) => entry.ballot),
+    options.map(({ num }) => num),
+    readVoteConfig(ballot?.config)
+  );
+}
+
+// Ballots cast per voting room, so presenters can see which rooms have voted.
+export function galleryBallotTurnout(ballot) {
+  const turnout = {};
+  for (const entry of Object.values(ballot?.ballots || {})) {
+    const roomId = String(entry?.roomId || '');
+    if (roomId) turnout[roomId] = (turnout[roomId] || 0) + 1;
+  }
+  return turnout;
+}
@@ -0,0 +1,189 @@
+// Per-org reference library: uploaded documents are split into overlapping
+// passages and ranked with BM25, all in-process. Asema sees the top passages
+// numbered [1]..[n] and cites them the same way, which is also the form
+// countEvidenceCitations accepts in the CER gate.
+
+export const KNOWLEDGE_KINDS = Object.freeze(['DATA_BRIEF', 'STYLE_GUIDE', 'LESSON_PLAN', 'REFERENCE']);
+
+export const KNOWLEDGE_LIMITS = Object.freeze({
+  maxDocChars: 120_000,
+  maxDocsPerOrg: 200,
+  chunkChars: 900,
+  chunkOverlap: 150,
+});
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be but by for from has have he her his how i if in into is it its me my no not of on or our ' +
+    'she so that the their them they this to was we were what when where which who why will with you your asema'
+  ).split(' ')
+);
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+export function tokenize(text = '') {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+export function normalizeKnowledgeDoc(input = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const title = String(source.title || '').replace(/\s+/g, ' ').trim().slice(0, 160);
+  const text = String(source.text || '').replace(/\r\n?/g, '\n').trim();
+  if (!title) throw new Error('title_required');
+  if (!text) throw new Error('text_required');
+  if (text.length > KNOWLEDGE_LIMITS.maxDocChars) throw new Error('document_too_large');
+  const kind = String(source.kind || '').trim().toUpperCase();
+  const sourceUrl = String(source.sourceUrl || '').trim();
+  return {
+    title,
+    kind: KNOWLEDGE_KINDS.includes(kind) ? kind : 'REFERENCE',
+    sourceUrl: /^https?:\/\/\S+$/i.test(sourceUrl) ? sourceUrl.slice(0, 500) : '',
+    text,
+  };
+}
+
+// Packs paragraphs (or sentences, for long paragraphs) into passages of about
+// `chunkChars`, carrying the tail of each passage into the next so a fact
+// that straddles a boundary is still retrievable.
+export function chunkDocument(text = '', { chunkChars = KNOWLEDGE_LIMITS.chunkChars, overlap = KNOWLEDGE_LIMITS.chunkOverlap } = {}) {
+  const pieces = String(text || '')
+    .split(/\n\s*\n/)
+    .map((para) => para.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap((para) => (para.length <= chunkChars ? [para] : para.match(/[^.!?]+[.!?]*\s*/g) || [para]))
+    .flatMap((piece) => {
+      const out = [];
+      for (let i = 0; i < piece.length; i += chunkChars) out.push(piece.slice(i, i + chunkChars).trim());
+      return out;
+    })
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > chunkChars) {
+      chunks.push(current);
+      const tail = current.slice(-overlap);
+      current = overlap > 0 ? `${tail.slice(tail.indexOf(' ') + 1)} ${piece}` : piece;
+    } else {
+      current = current ? `${current} ${piece}` : piece;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// `docs` are stored library rows: { docId, title, kind, sourceUrl, chunks: [text] }.
+export function buildKnowledgeIndex(docs = []) {
+  const passages = [];
+  const df = new Map();
+  for (const doc of docs) {
+    const chunks = Array.isArray(doc?.chunks) ? doc.chunks : [];
+    chunks.forEach((text, chunkIndex) => {
+      const tokens = tokenize(text);
+      if (!tokens.length) return;
+      const tf = new Map();
+      for (const token of tokens) tf.set(token, (tf.get(token) || 0) + 1);
+      for (const token of tf.keys()) df.set(token, (df.get(token) || 0) + 1);
+      passages.push({
+        docId: String(doc.docId || ''),
+        title: String(doc.title || ''),
+        kind: String(doc.kind || 'REFERENCE'),
+        sourceUrl: String(doc.sourceUrl || ''),
+        chunkIndex,
+        text: String(text),
+        tf,
+        length: tokens.length,
+      });
+    });
+  }
+  const avgLength = passages.length
+    ? passages.reduce((sum, passage) => sum + passage.length, 0) / passages.length
+    : 0;
+  return { passages, df, avgLength };
+}
+
+export function searchKnowledge(index, query = '', { limit = 4, perDoc = 2 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (!index?.passages?.length || !terms.length) return [];
+  const total = index.passages.length;
+  const scored = [];
+  for (const passage of index.passages) {
+    let score = 0;
+    for (const term of terms) {
+      const freq = passage.tf.get(term) || 0;
+      if (!freq) continue;
+      const df = index.df.get(term) || 0;
+      const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+      const norm = 1 - BM25_B + BM25_B * (passage.length / (index.avgLength || 1));
+      score += idf * ((freq * (BM25_K1 + 1)) / (freq + BM25_K1 * norm));
+    }
+    if (score > 0) scored.push({ passage, score });
+  }
+  scored.sort((a, b) => b.score - a.score);
+
+  // A single long document should not crowd out every other source.
+  const taken = new Map();
+  const results = [];
+  for (const { passage, score } of scored) {
+    const count = taken.get(passage.docId) || 0;
+    if (count >= perDoc) continue;
+    taken.set(passage.docId, count + 1);
+    results.push({
+      docId: passage.docId,
+      title: passage.title,
+      kind: passage.kind,
+      sourceUrl: passage.sourceUrl,
+      chunkIndex: passage.chunkIndex,
+      text: passage.text,
+      score: Number(score.toFixed(3)),
+    });
+    if (results.length >= limit) break;
+  }
+  return results;
+}
+
+export function knowledgePrompt(passages = [], { cite = true } = {}) {
+  if (!passages.length) return '';
+  const lines = passages.map(
+    (passage, idx) => `[${idx + 1}] ${passage.title}${passage.sourceUrl ? ` (${passage.sourceUrl})` : ''}\n${passage.text}`
+  );
+  return [
+    'Reference passages from the organization library:',
+    ...lines,
+    cite
+      ? 'Ground factual claims in these passages and cite them inline as [1], [2], etc. Never invent a citation number; if no passage supports a claim, say so.'
+      : 'Use these passages for accuracy. Do not add citation markers.',
+  ].join('\n\n');
+}
+
+// Passages the text actually cites, in citation order, keeping their numbers.
+export function citedPassages(text = '', passages = []) {
+  const seen = new Set();
+  const cited = [];
+  for (const match of String(text || '').matchAll(/\[(\d{1,3})\]/g)) {
+    const n = Number(match[1]);
+    if (seen.has(n) || n < 1 || n > passages.length) continue;
+    seen.add(n);
+    cited.push({ n, ...passages[n - 1] });
+  }
+  return cited;
+}
+
+export function appendSourceList(text = '', passages = []) {
+  const cited = citedPassages(text, passages);
+  if (!cited.length) return String(text || '');
+  const lines = cited
+    .sort((a, b) => a.n - b.n)
+    .map((passage) => `[${passage.n}] ${passage.title}${passage.sourceUrl ? ` — ${passage.sourceUrl}` : ''}`);
+  return `${String(text || '').trim()}\n\n**Sources**\n${lines.join('\n')}`;
+}
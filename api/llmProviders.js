@@ -0,0 +1,579 @@
+import crypto from 'node:crypto';
+
+import { getAzureOpenAI, getLocalOpenAI, getOpenAI } from './openaiClient.js';
+
+export const LLM_PROVIDERS = Object.freeze(['openai', 'azure_openai', 'anthropic', 'local', 'stub']);
+
+const PROVIDER_ALIASES = Object.freeze({
+  azure: 'azure_openai',
+  claude: 'anthropic',
+  ollama: 'local',
+  llamacpp: 'local',
+  llama_cpp: 'local',
+  offline: 'stub',
+});
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+export function normalizeLlmProvider(value, fallback = 'openai') {
+  const key = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const name = PROVIDER_ALIASES[key] || key;
+  return LLM_PROVIDERS.includes(name) ? name : fallback;
+}
+
+function positive(value, fallback) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Retry, timeout and fallback-model settings per provider. Hosted APIs retry
+// transient failures and drop to a cheaper model on the last attempt; a local
+// server is either up or not, so it gets one slow attempt.
+export function llmProviderSettings(env = process.env) {
+  return {
+    openai: {
+      model: env.OPENAI_MODEL || 'gpt-4.1-mini',
+      fallbackModel: env.OPENAI_FALLBACK_MODEL || 'gpt-4o-mini',
+      timeoutMs: positive(env.OPENAI_TIMEOUT_MS, 12_000),
+      maxAttempts: positive(env.OPENAI_MAX_ATTEMPTS, 3),
+      configured: !!env.OPENAI_API_KEY,
+    },
+    azure_openai: {
+      model: env.AZURE_OPENAI_DEPLOYMENT || '',
+      fallbackModel: env.AZURE_OPENAI_FALLBACK_DEPLOYMENT || '',
+      timeoutMs: positive(env.AZURE_OPENAI_TIMEOUT_MS, 15_000),
+      maxAttempts: positive(env.AZURE_OPENAI_MAX_ATTEMPTS, 3),
+      configured: !!(env.AZURE_OPENAI_ENDPOINT && env.AZURE_OPENAI_API_KEY && env.AZURE_OPENAI_DEPLOYMENT),
+    },
+    anthropic: {
+      model: env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+      fallbackModel: env.ANTHROPIC_FALLBACK_MODEL || '',
+      timeoutMs: positive(env.ANTHROPIC_TIMEOUT_MS, 20_000),
+      maxAttempts: positive(env.ANTHROPIC_MAX_ATTEMPTS, 3),
+      configured: !!env.ANTHROPIC_API_KEY,
+    },
+    local: {
+      model: env.LOCAL_LLM_MODEL || 'llama3.1',
+      fallbackModel: '',
+      timeoutMs: positive(env.LOCAL_LLM_TIMEOUT_MS, 60_000),
+      maxAttempts: positive(env.LOCAL_LLM_MAX_ATTEMPTS, 1),
+      configured: !!env.LOCAL_LLM_BASE_URL,
+    },
+    stub: {
+      model: 'stub',
+      fallbackModel: '',
+      timeoutMs: 0,
+      maxAttempts: 1,
+      configured: true,
+    },
+  };
+}
+
+export function defaultLlmModel(provider, env = process.env) {
+  return llmProviderSettings(env)[normalizeLlmProvider(provider)]?.model || '';
+}
+
+// Model names the hosted APIs use. Azure deployments and local models are
+// named by whoever runs them, so for those only Claude is ruled out.
+const HOSTED_MODEL_NAMES = Object.freeze({
+  openai: /^(gpt-|chatgpt-|o\d|ft:)/i,
+  anthropic: /^claude-/i,
+});
+
+export function llmModelFitsProvider(model, provider, env = process.env) {
+  const name = String(model || '').trim();
+  const normalized = normalizeLlmProvider(provider);
+  if (!name) return false;
+  if (normalized === 'stub' || name === defaultLlmModel(normalized, env)) return true;
+  const own = HOSTED_MODEL_NAMES[normalized];
+  if (own) return own.test(name);
+  return !HOSTED_MODEL_NAMES.anthropic.test(name);
+}
+
+export function isRetryableLlmError(err) {
+  if (!err) return false;
+  const status = Number(err.status || err.statusCode || 0);
+  if (RETRYABLE_STATUSES.has(status)) return true;
+  const text = `${err.code || ''} ${err.message || err}`.toLowerCase();
+  return (
+    text.includes('llm_timeout') ||
+    text.includes('rate limit') ||
+    text.includes('rate_limit') ||
+    text.includes('overloaded') ||
+    text.includes('timeout') ||
+    text.includes('etimedout') ||
+    text.includes('econnreset') ||
+    text.includes('temporarily unavailable')
+  );
+}
+
+// Tools are passed in one provider-neutral shape, { name, description,
+// parameters } with JSON Schema parameters, and come back as
+// { id, name, input }. Arguments that are not valid JSON arrive as {} so the
+// caller's validation rejects them instead of the call failing.
+function parseToolArguments(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(String(raw || '{}'));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function toOpenAiTools(tools = []) {
+  return tools.map((tool) => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description || '', parameters: tool.parameters || { type: 'object' } },
+  }));
+}
+
+// Anthropic takes the system prompt separately and needs strictly
+// alternating user/assistant turns starting with the user.
+export function toAnthropicRequest(messages = [], { model = '', maxTokens = 450, temperature = 0.7, tools = [] } = {}) {
+  const system = messages
+    .filter((msg) => msg?.role === 'system')
+    .map((msg) => String(msg.content || '').trim())
+    .filter(Boolean)
+    .join('\n\n');
+  const turns = [];
+  for (const msg of messages) {
+    if (!msg || msg.role === 'system') continue;
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+    const content = String(msg.content || '');
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) last.content += `\n\n${content}`;
+    else turns.push({ role, content });
+  }
+  if (!turns.length || turns[0].role !== 'user') turns.unshift({ role: 'user', content: '(continue)' });
+  return {
+    model,
+    max_tokens: maxTokens,
+    temperature: Math.max(0, Math.min(1, Number(temperature) || 0)),
+    ...(system ? { system } : {}),
+    ...(tools.length
+      ? {
+          tools: tools.map((tool) => ({
+            name: tool.name,
+            description: tool.description || '',
+            input_schema: tool.parameters || { type: 'object' },
+          })),
+        }
+      : {}),
+    messages: turns,
+  };
+}
+
+// Same messages in, same text out: a stand-in for tests and air-gapped demos.
+export function stubCompletion(messages = []) {
+  const lastUser = [...messages].reverse().find((msg) => msg?.role === 'user');
+  const line = String(lastUser?.content || '')
+    .split('\n')
+    .map((part) => part.trim())
+    .find(Boolean) || '';
+  const digest = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 8);
+  return `Offline Asema (${digest}): ${line.slice(0, 160)}`.trim();
+}
+
+// The stub calls a tool only when the user message spells it out as
+// `tool:<name> {json}` on its own line, and only if that tool was offered.
+export function stubToolCalls(messages = [], tools = []) {
+  const offered = new Set(tools.map((tool) => tool.name));
+  const lastUser = [...messages].reverse().find((msg) => msg?.role === 'user');
+  const calls = [];
+  for (const line of String(lastUser?.content || '').split('\n')) {
+    const match = /^\s*tool:([a-z_]+)\s*(\{.*\})?\s*$/.exec(line);
+    if (!match || !offered.has(match[1])) continue;
+    calls.push({ id: `stub_${calls.length + 1}`, name: match[1], input: parseToolArguments(match[2]) });
+  }
+  return calls;
+}
+
+function openAiCompatibleBackend(getClient) {
+  return {
+    async complete({ messages, model, maxTokens, temperature, tools = [], signal }) {
+      const res = await getClient().chat.completions.create(
+        { model, messages, max_tokens: maxTokens, temperature, ...(tools.length ? { tools: toOpenAiTools(tools) } : {}) },
+        { signal }
+      );
+      const message = res.choices?.[0]?.message || {};
+      return {
+        text: (message.content || '').trim(),
+        toolCalls: (message.tool_calls || []).map((call) => ({
+          id: String(call.id || ''),
+          name: String(call.function?.name || ''),
+          input: parseToolArguments(call.function?.arguments),
+        })),
+        usage: {
+          inputTokens: Number(res.usage?.prompt_tokens || 0),
+          outputTokens: Number(res.usage?.completion_tokens || 0),
+        },
+      };
+    },
+    async stream({ messages, model, maxTokens, temperature, tools = [], signal, onDelta }) {
+      const chunks = await getClient().chat.completions.create(
+        {
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          ...(tools.length ? { tools: toOpenAiTools(tools) } : {}),
+          stream: true,
+          stream_options: { include_usage: true },
+        },
+        { signal }
+      );
+      let text = '';
+      let usage = null;
+      // Tool call arguments arrive as string fragments keyed by call index.
+      const calls = [];
+      for await (const chunk of chunks) {
+        const delta = chunk.choices?.[0]?.delta?.content || '';
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+        for (const part of chunk.choices?.[0]?.delta?.tool_calls || []) {
+          const call = (calls[part.index ?? 0] ||= { id: '', name: '', args: '' });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.name += part.function.name;
+          if (part.function?.arguments) call.args += part.function.arguments;
+        }
+        if (chunk.usage) usage = chunk.usage;
+      }
+      return {
+        text: text.trim(),
+        toolCalls: calls.filter(Boolean).map((call) => ({ id: call.id, name: call.name, input: parseToolArguments(call.args) })),
+        usage: {
+          inputTokens: Number(usage?.prompt_tokens || 0),
+          outputTokens: Number(usage?.completion_tokens || 0),
+        },
+      };
+    },
+  };
+}
+
+// Yields the parsed `data:` payloads of a server-sent event stream.
+async function* sseEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let cut = buffer.indexOf('\n\n');
+    while (cut >= 0) {
+      const block = buffer.slice(0, cut);
+      buffer = buffer.slice(cut + 2);
+      const data = block
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .join('\n');
+      if (data) {
+        try {
+          yield JSON.parse(data);
+        } catch {
+          // Keep-alives and partial frames are not JSON.
+        }
+      }
+      cut = buffer.indexOf('\n\n');
+    }
+  }
+}
+
+function anthropicBackend(env, fetchImpl) {
+  async function post(body, signal) {
+    if (!env.ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY is not set');
+    const base = String(env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
+    const res = await fetchImpl(`${base}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': env.ANTHROPIC_API_KEY,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      const err = new Error(data?.error?.message || `anthropic_http_${res.status}`);
+      err.status = res.status;
+      err.code = data?.error?.type || '';
+      throw err;
+    }
+    return res;
+  }
+
+  return {
+    async complete({ messages, model, maxTokens, temperature, tools = [], signal }) {
+      const res = await post(toAnthropicRequest(messages, { model, maxTokens, temperature, tools }), signal);
+      const data = await res.json().catch(() => ({}));
+      const blocks = Array.isArray(data.content) ? data.content : [];
+      const text = blocks
+        .filter((block) => block?.type === 'text')
+        .map((block) => block.text)
+        .join('')
+        .trim();
+      return {
+        text,
+        toolCalls: blocks
+          .filter((block) => block?.type === 'tool_use')
+          .map((block) => ({ id: String(block.id || ''), name: String(block.name || ''), input: parseToolArguments(block.input) })),
+        usage: {
+          inputTokens: Number(data.usage?.input_tokens || 0),
+          outputTokens: Number(data.usage?.output_tokens || 0),
+        },
+      };
+    },
+    async stream({ messages, model, maxTokens, temperature, tools = [], signal, onDelta }) {
+      const res = await post(
+        { ...toAnthropicRequest(messages, { model, maxTokens, temperature, tools }), stream: true },
+        signal
+      );
+      let text = '';
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      const calls = new Map(); // content block index -> { id, name, args }
+      for await (const event of sseEvents(res.body)) {
+        if (event.type === 'message_start') {
+          usage.inputTokens = Number(event.message?.usage?.input_tokens || 0);
+        } else if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+          calls.set(event.index, { id: event.content_block.id || '', name: event.content_block.name || '', args: '' });
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+          const call = calls.get(event.index);
+          if (call) call.args += event.delta.partial_json || '';
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          text += event.delta.text;
+          onDelta(event.delta.text);
+        } else if (event.type === 'message_delta') {
+          usage.outputTokens = Number(event.usage?.output_tokens || usage.outputTokens);
+        } else if (event.type === 'error') {
+          const err = new Error(event.error?.message || 'anthropic_stream_error');
+          err.code = event.error?.type || '';
+          throw err;
+        }
+      }
+      const toolCalls = [...calls.values()].map((call) => ({ id: call.id, name: call.name, input: parseToolArguments(call.args) }));
+      return { text: text.trim(), toolCalls, usage };
+    },
+  };
+}
+
+// Rough token counts (about four characters a token) for calls with no
+// provider-reported usage, so metering never records generated text as free.
+export function estimateTokenUsage(messages = [], text = '') {
+  const chars = (value) =>
+    typeof value === 'string' ? value.length : value == null ? 0 : JSON.stringify(value).length;
+  const prompt = messages.reduce((sum, msg) => sum + chars(msg?.content), 0);
+  return {
+    inputTokens: Math.ceil(prompt / 4),
+    outputTokens: Math.ceil(String(text || '').length / 4),
+  };
+}
+
+const stubBackend = {
+  async complete({ messages, tools = [] }) {
+    const text = stubCompletion(messages);
+    return { text, toolCalls: stubToolCalls(messages, tools), usage: estimateTokenUsage(messages, text) };
+  },
+  async stream({ messages, tools = [], onDelta }) {
+    const text = stubCompletion(messages);
+    for (const word of text.match(/\S+\s*/g) || []) onDelta(word);
+    return { text, toolCalls: stubToolCalls(messages, tools), usage: estimateTokenUsage(messages, text) };
+  },
+};
+
+// Aborts the call once `ms` pass without progress. Streaming calls get a
+// `touch` callback that restarts the clock on every delta, so a long reply
+// that keeps arriving is never cut off mid-sentence.
+async function withTimeout(run, ms) {
+  if (!ms) return run(undefined, () => {});
+  const controller = new AbortController();
+  let timer = null;
+  let fail = null;
+  const timeout = new Promise((_, reject) => {
+    fail = reject;
+  });
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      controller.abort();
+      const err = new Error('llm_timeout');
+      err.code = 'llm_timeout';
+      fail(err);
+    }, ms);
+  };
+  touch();
+  try {
+    return await Promise.race([run(controller.signal, touch), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// `backends` and `sleep` are injectable so tests can script failures.
+export function createLlmRouter({
+  env = process.env,
+  backends = null,
+  fetchImpl = globalThis.fetch,
+  sleep = defaultSleep,
+  log = console,
+} = {}) {
+  const settings = llmProviderSettings(env);
+  const defaultProvider = normalizeLlmProvider(env.LLM_PROVIDER, 'openai');
+  const providers = backends || {
+    openai: openAiCompatibleBackend(getOpenAI),
+    azure_openai: openAiCompatibleBackend(getAzureOpenAI),
+    anthropic: anthropicBackend(env, fetchImpl),
+    local: openAiCompatibleBackend(getLocalOpenAI),
+    stub: stubBackend,
+  };
+
+  // With `onDelta`, text is relayed as it arrives. Once any of it has been
+  // relayed a failure can no longer be retried or handed to another provider
+  // without repeating itself, so the partial text is returned instead.
+  async function attempt(name, request, onDelta = null) {
+    const cfg = settings[name];
+    const backend = providers[name];
+    if (!cfg || !backend) throw new Error('llm_provider_unavailable');
+    const primaryModel = String(request.model || '').trim() || cfg.model;
+    let lastErr = null;
+    let relayed = '';
+    for (let n = 1; n <= cfg.maxAttempts; n += 1) {
+      const model = n > 1 && n === cfg.maxAttempts && cfg.fallbackModel ? cfg.fallbackModel : primaryModel;
+      let live = true;
+      try {
+        const out = await withTimeout((signal, touch) => {
+          const args = {
+            messages: request.messages || [],
+            model,
+            maxTokens: request.maxTokens ?? 450,
+            temperature: request.temperature ?? 0.7,
+            tools: Array.isArray(request.tools) ? request.tools : [],
+            signal,
+          };
+          if (!onDelta) return backend.complete(args);
+          const relay = (delta) => {
+            if (!live || !delta) return;
+            touch();
+            relayed += delta;
+            onDelta(delta);
+          };
+          if (!backend.stream) {
+            return backend.complete(args).then((res) => {
+              relay(res.text);
+              return res;
+            });
+          }
+          return backend.stream({ ...args, onDelta: relay });
+        }, cfg.timeoutMs);
+        return { ...out, provider: name, model, requestedModel: primaryModel, attempts: n };
+      } catch (err) {
+        // A timed-out backend may keep producing; drop whatever comes late.
+        live = false;
+        lastErr = err;
+        log.warn?.(`[llm:${name}] attempt ${n}/${cfg.maxAttempts} failed:`, err?.code || err?.message || err);
+        // The provider billed the prompt and what it streamed, but a broken
+        // stream never reports usage, so it is estimated.
+        if (relayed) {
+          return {
+            text: relayed.trim(),
+            usage: estimateTokenUsage(request.messages || [], relayed),
+            provider: name,
+            model,
+            requestedModel: primaryModel,
+            attempts: n,
+            toolCalls: [],
+            partial: true,
+            error: String(err?.code || err?.message || 'llm_stream_failed'),
+          };
+        }
+        if (!isRetryableLlmError(err) || n === cfg.maxAttempts) break;
+        await sleep(250 * 2 ** (n - 1) + Math.floor(Math.random() * 100));
+      }
+    }
+    throw lastErr || new Error('llm_call_failed');
+  }
+
+  async function complete(request = {}, onDelta = null) {
+    const provider = normalizeLlmProvider(request.provider, defaultProvider);
+    const fallback = normalizeLlmProvider(request.fallbackProvider || env.LLM_FALLBACK_PROVIDER, '');
+    const startedAt = Date.now();
+    try {
+      const out = await attempt(provider, request, onDelta);
+      return { ...out, latencyMs: Date.now() - startedAt };
+    } catch (err) {
+      if (!fallback || fallback === provider) throw err;
+      log.warn?.(`[llm] ${provider} failed, falling back to ${fallback}`);
+      // The requested model name belongs to the primary provider.
+      const out = await attempt(fallback, { ...request, model: '' }, onDelta);
+      return { ...out, fallbackFrom: provider, latencyMs: Date.now() - startedAt };
+    }
+  }
+
+  function stream(request = {}, onDelta = () => {}) {
+    return complete(request, onDelta);
+  }
+
+  function status() {
+    return Object.fromEntries(
+      LLM_PROVIDERS.map((name) => [name, { configured: settings[name].configured, model: settings[name].model }])
+    );
+  }
+
+  return { complete, stream, status, defaultProvider };
+}
+
+let defaultRouter = null;
+
+export function getLlmRouter() {
+  if (!defaultRouter) defaultRouter = createLlmRouter();
+  return defaultRouter;
+}
+
+export function completeChat(request = {}) {
+  return getLlmRouter().complete(request);
+}
+
+export function streamChat(request = {}, onDelta = () => {}) {
+  return getLlmRouter().stream(request, onDelta);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(String(text || '')).digest('hex');
+}
+
+// What an AI receipt records about one routed call. Hashes cover exactly what
+// the provider saw and returned (after redaction, before rehydration), so a
+// logged prompt can be matched against a receipt without storing it there.
+export function describeLlmCall(request = {}, out = {}, { redactions = 0 } = {}) {
+  const messages = Array.isArray(request.messages) ? request.messages : [];
+  const system = messages
+    .filter((message) => message?.role === 'system')
+    .map((message) => String(message.content || ''))
+    .join('\n\n');
+  const inputTokens = Number(out.usage?.inputTokens || 0);
+  const outputTokens = Number(out.usage?.outputTokens || 0);
+  return {
+    provider: String(out.provider || ''),
+    model: String(out.model || ''),
+    requestedModel: String(out.requestedModel || out.model || ''),
+    fallbackFrom: String(out.fallbackFrom || ''),
+    modelFallback: !!out.requestedModel && out.requestedModel !== out.model,
+    attempts: Number(out.attempts || 1),
+    partial: !!out.partial,
+    latencyMs: Number(out.latencyMs || 0),
+    usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+    hashes: {
+      systemPrompt: sha256(system),
+      prompt: sha256(JSON.stringify(messages.map((message) => [message?.role, message?.content]))),
+      response: sha256(out.text),
+    },
+    redactions: Number(redactions || 0),
+    toolCalls: (Array.isArray(out.toolCalls) ? out.toolCalls : []).map((call) => String(call?.name || '')),
+  };
+}
@@ -0,0 +1,278 @@
+import { getOpenAI } from './openaiClient.js';
+
+// Moderation runs in two stages: a cheap regex prefilter (patterns, the
+// policy's blocked terms, likely PII) and then, if nothing tripped, a
+// pluggable classifier whose per-category scores are compared against
+// thresholds for the policy's ageSafeMode.
+
+export const MODERATION_CATEGORIES = Object.freeze([
+  'harassment',
+  'hate',
+  'self_harm',
+  'sexual',
+  'sexual_minors',
+  'violence',
+  'illicit',
+]);
+
+export const MODERATION_PROVIDERS = Object.freeze(['none', 'openai', 'local', 'stub']);
+
+// A score at or above the threshold blocks. K12 is deliberately quick to
+// block; ADULT only stops the worst. sexual_minors is blocked in every mode.
+export const DEFAULT_MODERATION_THRESHOLDS = Object.freeze({
+  K12: { harassment: 0.35, hate: 0.3, self_harm: 0.3, sexual: 0.2, sexual_minors: 0.05, violence: 0.4, illicit: 0.3 },
+  TEEN: { harassment: 0.5, hate: 0.4, self_harm: 0.4, sexual: 0.4, sexual_minors: 0.05, violence: 0.6, illicit: 0.5 },
+  ADULT: { harassment: 0.8, hate: 0.7, self_harm: 0.7, sexual: 0.9, sexual_minors: 0.05, violence: 0.85, illicit: 0.8 },
+  OFF: { sexual_minors: 0.05 },
+});
+
+const STRICT_THRESHOLD_FACTOR = 0.75;
+const DEFAULT_CLASSIFIER_TIMEOUT_MS = 4_000;
+
+const PATTERNS_STANDARD = Object.freeze([
+  { code: 'hate_or_harassment', regex: /\b(?:racial slur|hate speech|kill (?:them|him|her))\b/i },
+  { code: 'self_harm', regex: /\b(?:self-harm|suicide plan|cut myself)\b/i },
+  { code: 'explicit_violence', regex: /\b(?:shoot up|bomb making|how to stab)\b/i },
+]);
+const PATTERNS_STRICT = Object.freeze(
+  PATTERNS_STANDARD.concat([
+    { code: 'explicit_sexual', regex: /\b(?:porn|explicit sex|sexual act)\b/i },
+    { code: 'substance_abuse', regex: /\b(?:how to get high|drug dealer|sell drugs)\b/i },
+    { code: 'profanity', regex: /\b(?:f\*?ck|s\*?it|b\*?tch)\b/i },
+  ])
+);
+const PATTERNS_AGE_SAFE = Object.freeze([
+  { code: 'age_inappropriate_content', regex: /\b(?:graphic sex|graphic violence|adult-only)\b/i },
+]);
+
+export function containsLikelyPii(textRaw = '') {
+  const text = String(textRaw || '');
+  if (!text) return false;
+  if (/\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/i.test(text)) return true;
+  if (/(?:\+?1[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/.test(text)) return true;
+  return false;
+}
+
+// `blockedTerms` are expected lowercased and trimmed already.
+export function prefilterModerationText(
+  textRaw = '',
+  { ageSafeMode = 'K12', moderationLevel = 'STANDARD', blockedTerms = [], piiRedaction = true } = {}
+) {
+  const text = String(textRaw || '');
+  const normalized = text.toLowerCase();
+  const flags = [];
+  if (ageSafeMode !== 'OFF' && ageSafeMode !== 'ADULT') {
+    for (const pattern of PATTERNS_AGE_SAFE) {
+      if (pattern.regex.test(text)) flags.push(pattern.code);
+    }
+  }
+  if (moderationLevel !== 'OFF') {
+    const patterns = moderationLevel === 'STRICT' ? PATTERNS_STRICT : PATTERNS_STANDARD;
+    for (const pattern of patterns) {
+      if (pattern.regex.test(text)) flags.push(pattern.code);
+    }
+  }
+  for (const term of blockedTerms) {
+    if (term && normalized.includes(term)) flags.push(`blocked_term:${term}`);
+  }
+  if (ageSafeMode !== 'ADULT' && piiRedaction !== false && containsLikelyPii(text)) {
+    flags.push('pii_detected');
+  }
+  return Array.from(new Set(flags));
+}
+
+function clampScore(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : null;
+}
+
+// Policy overrides look like { K12: { violence: 0.25 } }; unknown modes,
+// categories and non-numeric values are dropped.
+export function normalizeModerationThresholds(input) {
+  const out = {};
+  if (!input || typeof input !== 'object') return out;
+  for (const [modeRaw, table] of Object.entries(input)) {
+    const mode = String(modeRaw || '').trim().toUpperCase();
+    if (!DEFAULT_MODERATION_THRESHOLDS[mode] || !table || typeof table !== 'object') continue;
+    const entries = Object.entries(table)
+      .map(([category, value]) => [String(category || '').trim().toLowerCase(), clampScore(value)])
+      .filter(([category, value]) => MODERATION_CATEGORIES.includes(category) && value !== null);
+    if (entries.length) out[mode] = Object.fromEntries(entries);
+  }
+  return out;
+}
+
+export function resolveModerationThresholds({ ageSafeMode = 'K12', moderationLevel = 'STANDARD', overrides = {} } = {}) {
+  const mode = DEFAULT_MODERATION_THRESHOLDS[ageSafeMode] ? ageSafeMode : 'K12';
+  const merged = { ...DEFAULT_MODERATION_THRESHOLDS[mode], ...(normalizeModerationThresholds(overrides)[mode] || {}) };
+  if (moderationLevel !== 'STRICT') return merged;
+  return Object.fromEntries(
+    Object.entries(merged).map(([category, value]) => [category, Number((value * STRICT_THRESHOLD_FACTOR).toFixed(3))])
+  );
+}
+
+// Folds provider category names ("self-harm/intent", "sexual/minors") into
+// ours, keeping the highest score per category.
+export function mapCategoryScores(raw = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    const name = String(key || '').toLowerCase().replace(/-/g, '_');
+    const category = name === 'sexual/minors' ? 'sexual_minors' : name.split('/')[0];
+    const score = clampScore(value);
+    if (!MODERATION_CATEGORIES.includes(category) || score === null) continue;
+    out[category] = Math.max(out[category] || 0, score);
+  }
+  return out;
+}
+
+function openAiClassifier(env) {
+  const model = env.MODERATION_MODEL || 'omni-moderation-latest';
+  return {
+    name: 'openai',
+    model,
+    async classify(text, { signal }) {
+      const res = await getOpenAI().moderations.create({ model, input: text }, { signal });
+      return mapCategoryScores(res.results?.[0]?.category_scores || {});
+    },
+  };
+}
+
+// Any HTTP classifier that takes { input } and answers with { scores } or the
+// OpenAI moderation shape.
+function localClassifier(env, fetchImpl) {
+  return {
+    name: 'local',
+    model: env.MODERATION_LOCAL_MODEL || '',
+    async classify(text, { signal }) {
+      if (!env.MODERATION_LOCAL_URL) throw new Error('MODERATION_LOCAL_URL is not set');
+      const res = await fetchImpl(env.MODERATION_LOCAL_URL, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ input: text, model: env.MODERATION_LOCAL_MODEL || undefined }),
+        signal,
+      });
+      if (!res.ok) {
+        const err = new Error(`moderation_http_${res.status}`);
+        err.status = res.status;
+        throw err;
+      }
+      const data = await res.json().catch(() => ({}));
+      return mapCategoryScores(data.scores || data.results?.[0]?.category_scores || {});
+    },
+  };
+}
+
+const STUB_LEXICON = Object.freeze({
+  harassment: ['loser', 'idiot', 'shut up'],
+  hate: ['subhuman'],
+  self_harm: ['hurt myself', 'end it all'],
+  sexual: ['nude', 'sexy'],
+  violence: ['beat him up', 'stab', 'gun down'],
+  illicit: ['vape', 'weed'],
+});
+
+// Deterministic word-list scores for tests and offline demos.
+export const stubClassifier = Object.freeze({
+  name: 'stub',
+  model: 'stub',
+  async classify(text) {
+    const normalized = String(text || '').toLowerCase();
+    const scores = {};
+    for (const [category, words] of Object.entries(STUB_LEXICON)) {
+      scores[category] = words.some((word) => normalized.includes(word)) ? 0.9 : 0.01;
+    }
+    return scores;
+  },
+});
+
+export function normalizeModerationProvider(value) {
+  const name = String(value || '').trim().toLowerCase();
+  return MODERATION_PROVIDERS.includes(name) ? name : 'none';
+}
+
+async function withClassifierTimeout(run, ms) {
+  const controller = new AbortController();
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error('moderation_timeout'));
+    }, ms);
+  });
+  try {
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// `classifier` is injectable for tests. A failing classifier lets the text
+// through unless MODERATION_FAIL_CLOSED is set.
+export function createModerationPipeline({
+  env = process.env,
+  classifier = undefined,
+  fetchImpl = globalThis.fetch,
+  log = console,
+} = {}) {
+  const provider = normalizeModerationProvider(env.MODERATION_PROVIDER);
+  const active =
+    classifier !== undefined
+      ? classifier
+      : provider === 'openai'
+        ? openAiClassifier(env)
+        : provider === 'local'
+          ? localClassifier(env, fetchImpl)
+          : provider === 'stub'
+            ? stubClassifier
+            : null;
+  const failClosed = String(env.MODERATION_FAIL_CLOSED || '').toLowerCase() === 'true';
+  const timeoutMs = Math.max(250, Number(env.MODERATION_TIMEOUT_MS) || DEFAULT_CLASSIFIER_TIMEOUT_MS);
+
+  async function moderate(textRaw = '', policy = {}, { direction = 'input' } = {}) {
+    const text = String(textRaw || '');
+    const ageSafeMode = String(policy.ageSafeMode || 'K12').toUpperCase();
+    const moderationLevel = String(policy.moderationLevel || 'STANDARD').toUpperCase();
+    const base = { direction, ageSafeMode, moderationLevel, scores: {}, classifier: active?.name || 'none' };
+
+    const prefilterFlags = prefilterModerationText(text, {
+      ageSafeMode,
+      moderationLevel,
+      blockedTerms: policy.blockedTerms || [],
+      piiRedaction: policy.piiRedaction,
+    });
+    if (prefilterFlags.length) {
+      return { ...base, blocked: true, flags: prefilterFlags, stage: 'prefilter' };
+    }
+    if (!active || moderationLevel === 'OFF' || !text.trim()) {
+      return { ...base, blocked: false, flags: [], stage: 'prefilter' };
+    }
+
+    try {
+      const scores = await withClassifierTimeout((signal) => active.classify(text, { signal }), timeoutMs);
+      const thresholds = resolveModerationThresholds({
+        ageSafeMode,
+        moderationLevel,
+        overrides: policy.moderationThresholds,
+      });
+      const flags = Object.entries(thresholds)
+        .filter(([category, threshold]) => Number(scores[category] || 0) >= threshold)
+        .map(([category]) => `classifier:${category}`);
+      return { ...base, blocked: flags.length > 0, flags, stage: 'classifier', scores };
+    } catch (err) {
+      log.warn?.('[moderation] classifier failed:', err?.message || err);
+      return {
+        ...base,
+        blocked: failClosed,
+        flags: failClosed ? ['moderation_unavailable'] : [],
+        stage: 'classifier',
+        error: String(err?.message || 'moderation_failed'),
+      };
+    }
+  }
+
+  function status() {
+    return { provider: active?.name || 'none', model: active?.model || '', failClosed };
+  }
+
+  return { moderate, status };
+}
@@ -0,0 +1,526 @@
+import crypto from 'node:crypto';
+
+const FETCH_TIMEOUT_MS = Math.max(
+  1_000,
+  Number(process.env.OIDC_FETCH_TIMEOUT_MS || 8_000)
+);
+const DISCOVERY_CACHE_MS = Math.max(
+  60_000,
+  Number(process.env.OIDC_DISCOVERY_CACHE_MS || 60 * 60_000)
+);
+const JWKS_CACHE_MS = Math.max(
+  60_000,
+  Number(process.env.OIDC_JWKS_CACHE_MS || 10 * 60_000)
+);
+// Unknown `kid` values force a JWKS refetch (key rotation), but never more
+// often than this so a flood of forged tokens cannot hammer the IdP.
+const JWKS_MIN_REFRESH_MS = 30_000;
+const DEFAULT_CLOCK_SKEW_SECONDS = 120;
+const DEFAULT_TRANSACTION_TTL_SECONDS = 10 * 60;
+
+export const OIDC_PROVIDERS = Object.freeze(['OKTA', 'ENTRA', 'GOOGLE']);
+
+const DEFAULT_SITE_CLAIMS = Object.freeze(['site_id', 'siteId']);
+
+const PROVIDER_DEFAULTS = Object.freeze({
+  OKTA: {
+    issuer: '',
+    scopes: ['openid', 'email', 'profile', 'groups'],
+    groupsClaims: ['groups'],
+  },
+  ENTRA: {
+    issuer: '',
+    scopes: ['openid', 'email', 'profile'],
+    groupsClaims: ['groups', 'roles'],
+  },
+  GOOGLE: {
+    issuer: 'https://accounts.google.com',
+    scopes: ['openid', 'email', 'profile'],
+    groupsClaims: ['groups'],
+  },
+});
+
+const JWS_ALGORITHMS = Object.freeze({
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+});
+
+const discoveryCache = new Map(); // issuer -> { doc, fetchedAt }
+const jwksCache = new Map(); // jwksUri -> { keys, fetchedAt }
+
+function toBase64Url(input) {
+  return Buffer.from(input)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/g, '');
+}
+
+function fromBase64Url(input) {
+  const normalized = String(input || '')
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  const padLength = (4 - (normalized.length % 4)) % 4;
+  return Buffer.from(normalized + '='.repeat(padLength), 'base64');
+}
+
+function normalizeIssuer(issuer) {
+  return String(issuer || '').trim().replace(/\/+$/g, '');
+}
+
+function uniqStrings(values = []) {
+  return Array.from(
+    new Set(
+      (Array.isArray(values) ? values : [])
+        .map((value) => String(value || '').trim())
+        .filter(Boolean)
+    )
+  );
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(/[\s,]+/);
+  return [];
+}
+
+export function normalizeOidcProvider(provider) {
+  const normalized = String(provider || '').trim().toUpperCase();
+  return OIDC_PROVIDERS.includes(normalized) ? normalized : '';
+}
+
+export function normalizeOidcConfig(input = {}, current = {}) {
+  const provider =
+    normalizeOidcProvider(input.provider ?? current.provider) || 'OKTA';
+  const defaults = PROVIDER_DEFAULTS[provider];
+  const scopes = uniqStrings(splitList(input.scopes ?? current.scopes));
+  const clientSecretInput = input.clientSecret;
+  return {
+    enabled: !!(input.enabled ?? current.enabled ?? false),
+    provider,
+    issuer:
+      normalizeIssuer(input.issuer ?? current.issuer ?? '') || defaults.issuer,
+    clientId: String(input.clientId ?? current.clientId ?? '').trim(),
+    // An omitted secret keeps the stored one so admins can edit other fields
+    // without re-entering it; an explicit empty string clears it.
+    clientSecret:
+      typeof clientSecretInput === 'string'
+        ? clientSecretInput.trim()
+        : String(current.clientSecret || '').trim(),
+    scopes: scopes.length ? uniqStrings(['openid', ...scopes]) : defaults.scopes.slice(),
+    groupsClaim: String(input.groupsClaim ?? current.groupsClaim ?? '').trim(),
+    siteClaim: String(input.siteClaim ?? current.siteClaim ?? '').trim(),
+    redirectUris: uniqStrings(splitList(input.redirectUris ?? current.redirectUris)).slice(0, 20),
+    allowedDomains: uniqStrings(
+      splitList(input.allowedDomains ?? current.allowedDomains).map((domain) =>
+        String(domain || '').trim().toLowerCase()
+      )
+    ).slice(0, 50),
+  };
+}
+
+export function redactOidcConfig(config = {}) {
+  const { clientSecret, ...rest } = config;
+  return { ...rest, clientSecretSet: !!String(clientSecret || '').trim() };
+}
+
+export function randomUrlToken(bytes = 32) {
+  return toBase64Url(crypto.randomBytes(Math.max(16, Number(bytes) || 32)));
+}
+
+export function generatePkcePair() {
+  const codeVerifier = randomUrlToken(48);
+  const codeChallenge = toBase64Url(
+    crypto.createHash('sha256').update(codeVerifier).digest()
+  );
+  return { codeVerifier, codeChallenge, codeChallengeMethod: 'S256' };
+}
+
+async function fetchJson(url, { fetchImpl = globalThis.fetch, init = {}, errorCode }) {
+  let res;
+  try {
+    res = await fetchImpl(url, {
+      ...init,
+      headers: { Accept: 'application/json', ...(init.headers || {}) },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    });
+  } catch {
+    throw new Error(`${errorCode}_unreachable`);
+  }
+  let body = null;
+  try {
+    body = await res.json();
+  } catch {
+    body = null;
+  }
+  if (!res.ok || !body || typeof body !== 'object') {
+    const err = new Error(`${errorCode}_failed`);
+    err.status = res.status;
+    err.detail = String(body?.error || '').slice(0, 120);
+    throw err;
+  }
+  return body;
+}
+
+export async function fetchDiscoveryDocument(
+  issuerRaw,
+  { fetchImpl = globalThis.fetch, forceRefresh = false, now = Date.now() } = {}
+) {
+  const issuer = normalizeIssuer(issuerRaw);
+  if (!/^https?:\/\//i.test(issuer)) throw new Error('oidc_issuer_invalid');
+
+  const cached = discoveryCache.get(issuer);
+  if (!forceRefresh && cached && now - cached.fetchedAt < DISCOVERY_CACHE_MS) {
+    return cached.doc;
+  }
+
+  const doc = await fetchJson(`${issuer}/.well-known/openid-configuration`, {
+    fetchImpl,
+    errorCode: 'oidc_discovery',
+  });
+  if (normalizeIssuer(doc.issuer) !== issuer) {
+    throw new Error('oidc_discovery_issuer_mismatch');
+  }
+  if (!doc.authorization_endpoint || !doc.token_endpoint || !doc.jwks_uri) {
+    throw new Error('oidc_discovery_incomplete');
+  }
+  discoveryCache.set(issuer, { doc, fetchedAt: now });
+  return doc;
+}
+
+export async function fetchJwks(
+  jwksUri,
+  { fetchImpl = globalThis.fetch, forceRefresh = false, now = Date.now() } = {}
+) {
+  const uri = String(jwksUri || '').trim();
+  if (!uri) throw new Error('oidc_jwks_uri_missing');
+
+  const cached = jwksCache.get(uri);
+  if (cached) {
+    const age = now - cached.fetchedAt;
+    if (!forceRefresh && age < JWKS_CACHE_MS) return cached.keys;
+    if (forceRefresh && age < JWKS_MIN_REFRESH_MS) return cached.keys;
+  }
+
+  const doc = await fetchJson(uri, { fetchImpl, errorCode: 'oidc_jwks' });
+  const keys = Array.isArray(doc.keys)
+    ? doc.keys.filter((key) => key && typeof key === 'object' && key.kty)
+    : [];
+  if (!keys.length) throw new Error('oidc_jwks_empty');
+  jwksCache.set(uri, { keys, fetchedAt: now });
+  return keys;
+}
+
+export function clearOidcCaches() {
+  discoveryCache.clear();
+  jwksCache.clear();
+}
+
+export function buildAuthorizationUrl({
+  discovery,
+  clientId,
+  redirectUri,
+  scopes = ['openid', 'email', 'profile'],
+  state,
+  nonce,
+  codeChallenge,
+  loginHint = '',
+  prompt = '',
+} = {}) {
+  if (!discovery?.authorization_endpoint) throw new Error('oidc_discovery_incomplete');
+  if (!clientId || !redirectUri || !state || !nonce || !codeChallenge) {
+    throw new Error('oidc_authorize_params_missing');
+  }
+  const url = new URL(discovery.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', uniqStrings(scopes).join(' '));
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) url.searchParams.set('login_hint', String(loginHint).trim());
+  if (prompt) url.searchParams.set('prompt', String(prompt).trim());
+  return url.toString();
+}
+
+export async function exchangeAuthorizationCode({
+  discovery,
+  clientId,
+  clientSecret = '',
+  code,
+  redirectUri,
+  codeVerifier,
+  fetchImpl = globalThis.fetch,
+} = {}) {
+  if (!discovery?.token_endpoint) throw new Error('oidc_discovery_incomplete');
+  if (!code) throw new Error('oidc_code_missing');
+  if (!codeVerifier) throw new Error('oidc_code_verifier_missing');
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: String(code),
+    redirect_uri: String(redirectUri || ''),
+    code_verifier: String(codeVerifier),
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  const authMethods = Array.isArray(discovery.token_endpoint_auth_methods_supported)
+    ? discovery.token_endpoint_auth_methods_supported
+    : ['client_secret_basic'];
+  if (clientSecret && !authMethods.includes('client_secret_basic')) {
+    form.set('client_id', clientId);
+    form.set('client_secret', clientSecret);
+  } else if (clientSecret) {
+    const basic = Buffer.from(
+      `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+    ).toString('base64');
+    headers.Authorization = `Basic ${basic}`;
+  } else {
+    form.set('client_id', clientId);
+  }
+
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    fetchImpl,
+    init: { method: 'POST', headers, body: form.toString() },
+    errorCode: 'oidc_token_exchange',
+  });
+  if (!tokens.id_token) throw new Error('oidc_id_token_missing');
+  return tokens;
+}
+
+export function decodeJwt(token) {
+  const parts = String(token || '').trim().split('.');
+  if (parts.length !== 3 || parts.some((part) => !part)) {
+    throw new Error('oidc_id_token_malformed');
+  }
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(fromBase64Url(parts[0]).toString('utf8'));
+    payload = JSON.parse(fromBase64Url(parts[1]).toString('utf8'));
+  } catch {
+    throw new Error('oidc_id_token_bad_json');
+  }
+  if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+    throw new Error('oidc_id_token_bad_json');
+  }
+  return {
+    header,
+    payload,
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: fromBase64Url(parts[2]),
+  };
+}
+
+function selectJwk(keys = [], header = {}) {
+  const candidates = keys.filter((key) => {
+    if (key.use && key.use !== 'sig') return false;
+    if (key.alg && key.alg !== header.alg) return false;
+    return true;
+  });
+  if (header.kid) return candidates.find((key) => key.kid === header.kid) || null;
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+function verifyJwsSignature({ header, signingInput, signature }, jwk) {
+  const algorithm = JWS_ALGORITHMS[header.alg];
+  if (!algorithm) throw new Error('oidc_id_token_alg_unsupported');
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  } catch {
+    throw new Error('oidc_jwk_invalid');
+  }
+  const verifyOptions = { key: publicKey };
+  if (algorithm.padding) {
+    verifyOptions.padding = algorithm.padding;
+    verifyOptions.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (algorithm.dsaEncoding) verifyOptions.dsaEncoding = algorithm.dsaEncoding;
+  return crypto.verify(
+    algorithm.hash,
+    Buffer.from(signingInput),
+    verifyOptions,
+    signature
+  );
+}
+
+export async function verifyIdToken(
+  idToken,
+  {
+    issuer,
+    audience,
+    nonce,
+    jwksUri,
+    fetchImpl = globalThis.fetch,
+    nowSeconds = Math.floor(Date.now() / 1000),
+    clockSkewSeconds = DEFAULT_CLOCK_SKEW_SECONDS,
+  } = {}
+) {
+  const decoded = decodeJwt(idToken);
+  const { header, payload } = decoded;
+  if (!JWS_ALGORITHMS[header.alg]) throw new Error('oidc_id_token_alg_unsupported');
+
+  const now = nowSeconds * 1000;
+  let keys = await fetchJwks(jwksUri, { fetchImpl, now });
+  let jwk = selectJwk(keys, header);
+  if (!jwk) {
+    keys = await fetchJwks(jwksUri, { fetchImpl, forceRefresh: true, now });
+    jwk = selectJwk(keys, header);
+  }
+  if (!jwk) throw new Error('oidc_signing_key_not_found');
+  if (!verifyJwsSignature(decoded, jwk)) {
+    throw new Error('oidc_id_token_invalid_signature');
+  }
+
+  if (normalizeIssuer(payload.iss) !== normalizeIssuer(issuer)) {
+    throw new Error('oidc_id_token_bad_issuer');
+  }
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audience || !audiences.includes(audience)) {
+    throw new Error('oidc_id_token_bad_audience');
+  }
+  if (audiences.length > 1 && payload.azp && payload.azp !== audience) {
+    throw new Error('oidc_id_token_bad_audience');
+  }
+  if (!payload.sub || typeof payload.sub !== 'string') {
+    throw new Error('oidc_id_token_bad_subject');
+  }
+
+  const skew = Math.max(0, Number(clockSkewSeconds) || 0);
+  const exp = Number(payload.exp || 0);
+  if (!Number.isFinite(exp) || exp + skew <= nowSeconds) {
+    throw new Error('oidc_id_token_expired');
+  }
+  const iat = Number(payload.iat || 0);
+  if (Number.isFinite(iat) && iat - skew > nowSeconds) {
+    throw new Error('oidc_id_token_issued_in_future');
+  }
+  const nbf = Number(payload.nbf || 0);
+  if (nbf && nbf - skew > nowSeconds) {
+    throw new Error('oidc_id_token_not_yet_valid');
+  }
+
+  const expectedNonce = String(nonce || '');
+  const actualNonce = String(payload.nonce || '');
+  if (
+    !expectedNonce ||
+    expectedNonce.length !== actualNonce.length ||
+    !crypto.timingSafeEqual(Buffer.from(expectedNonce), Buffer.from(actualNonce))
+  ) {
+    throw new Error('oidc_id_token_bad_nonce');
+  }
+
+  return payload;
+}
+
+export function extractGroupClaims(claims = {}, { provider = '', groupsClaim = '' } = {}) {
+  const normalizedProvider = normalizeOidcProvider(provider);
+  const claimNames = groupsClaim
+    ? [groupsClaim]
+    : PROVIDER_DEFAULTS[normalizedProvider]?.groupsClaims || ['groups'];
+  const groups = [];
+  for (const claimName of claimNames) {
+    const value = claimAtPath(claims, claimName);
+    if (Array.isArray(value)) groups.push(...value);
+    else if (typeof value === 'string') groups.push(...value.split(','));
+  }
+  return uniqStrings(groups);
+}
+
+// Nested claim paths such as `realm_access.roles` are supported.
+function claimAtPath(claims, path) {
+  return String(path)
+    .split('.')
+    .reduce((acc, segment) => (acc && typeof acc === 'object' ? acc[segment] : undefined), claims);
+}
+
+// The site the IdP assigns the user to, or '' when it sends none.
+export function extractSiteClaim(claims = {}, { siteClaim = '' } = {}) {
+  for (const claimName of siteClaim ? [siteClaim] : DEFAULT_SITE_CLAIMS) {
+    const value = claimAtPath(claims, claimName);
+    const first = Array.isArray(value) ? value[0] : value;
+    if (typeof first === 'string' && first.trim()) return first.trim();
+  }
+  return '';
+}
+
+export function extractIdentityClaims(claims = {}, { provider = '', groupsClaim = '', siteClaim = '' } = {}) {
+  const email = String(
+    claims.email ||
+      (normalizeOidcProvider(provider) === 'ENTRA'
+        ? claims.preferred_username || claims.upn || ''
+        : '')
+  )
+    .trim()
+    .toLowerCase();
+  const emailVerifiedRaw = claims.email_verified;
+  return {
+    subject: String(claims.sub || '').trim(),
+    email,
+    emailVerified:
+      emailVerifiedRaw === undefined
+        ? null
+        : emailVerifiedRaw === true || String(emailVerifiedRaw).toLowerCase() === 'true',
+    name: String(claims.name || '').trim(),
+    groups: extractGroupClaims(claims, { provider, groupsClaim }),
+    siteId: extractSiteClaim(claims, { siteClaim }),
+  };
+}
+
+function transactionKey(secret) {
+  const resolved = String(secret || '').trim();
+  if (!resolved) throw new Error('oidc_transaction_secret_missing');
+  return crypto.createHash('sha256').update(`oidc-transaction:${resolved}`).digest();
+}
+
+// The login transaction (PKCE verifier, nonce, tenant) travels as the OAuth
+// `state` parameter. It is AES-GCM sealed so the verifier never reaches the
+// browser in the clear and any API instance can complete the exchange.
+export function sealSsoTransaction(
+  payload = {},
+  { secret, ttlSeconds = DEFAULT_TRANSACTION_TTL_SECONDS, nowSeconds = Math.floor(Date.now() / 1000) } = {}
+) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', transactionKey(secret), iv);
+  const body = JSON.stringify({
+    ...payload,
+    exp: nowSeconds + Math.max(60, Number(ttlSeconds) || DEFAULT_TRANSACTION_TTL_SECONDS),
+  });
+  const ciphertext = Buffer.concat([cipher.update(body, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return toBase64Url(Buffer.concat([iv, tag, ciphertext]));
+}
+
+export function openSsoTransaction(
+  sealed,
+  { secret, nowSeconds = Math.floor(Date.now() / 1000) } = {}
+) {
+  const raw = fromBase64Url(sealed);
+  if (raw.length < 29) throw new Error('oidc_state_invalid');
+  const iv = raw.subarray(0, 12);
+  const tag = raw.subarray(12, 28);
+  const ciphertext = raw.subarray(28);
+  let payload;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', transactionKey(secret), iv);
+    decipher.setAuthTag(tag);
+    const plain = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    payload = JSON.parse(plain.toString('utf8'));
+  } catch {
+    throw new Error('oidc_state_invalid');
+  }
+  if (!payload || typeof payload !== 'object') throw new Error('oidc_state_invalid');
+  if (!Number.isFinite(Number(payload.exp)) || Number(payload.exp) <= nowSeconds) {
+    throw new Error('oidc_state_expired');
+  }
+  return payload;
+}
@@ -1,117 +1,68 @@
 // api/openaiClient.js
-import OpenAI from "openai";
+import OpenAI, { AzureOpenAI } from "openai";
+
+// Raw SDK clients for the OpenAI-compatible providers. Retries, timeouts and
+// fallbacks live in llmProviders.js so every provider gets the same treatment.
 
 let _client = null;
+let _azure = null;
+let _local = null;
 
 /**
- * Preferred + fallback models.
- * You can add more (e.g. 'gpt-4.1', 'gpt-4o', etc.)
+ * Singleton OpenAI SDK client.
  */
-const PRIMARY_MODEL = process.env.OPENAI_MODEL || "gpt-4o";
-const FALLBACK_MODEL = process.env.OPENAI_FALLBACK_MODEL || "gpt-4o-mini";
+export function getOpenAI() {
+  if (_client) return _client;
 
-/**
- * Standardized retry strategy (429, 500, ETIMEDOUT)
- */
-const RETRYABLE = new Set(["rate_limit_exceeded", "server_error", "timeout"]);
+  const key = process.env.OPENAI_API_KEY;
+  if (!key) {
+    throw new Error("OPENAI_API_KEY is not set");
+  }
 
-/**
- * A small utility to add timeouts to all OpenAI calls.
- */
-function withTimeout(promise, ms = 12_000) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error("request_timeout")), ms)
-    ),
-  ]);
+  _client = new OpenAI({ apiKey: key, maxRetries: 0 });
+  console.log("[openai] client initialized");
+  return _client;
 }
 
 /**
- * Internal function that wraps OpenAI calls with:
- * - fallback model
- * - retry on timeouts / 429 / 500
- * - logging
+ * Azure OpenAI client. The model name passed per request is the deployment.
  */
-async function runWithResilience(fn) {
-  const start = Date.now();
-  let lastErr = null;
-
-  // Up to 3 attempts
-  for (let attempt = 1; attempt <= 3; attempt++) {
-    const usingFallback = attempt === 3;
-
-    try {
-      const result = await withTimeout(
-        fn(usingFallback ? FALLBACK_MODEL : PRIMARY_MODEL)
-      );
+export function getAzureOpenAI() {
+  if (_azure) return _azure;
 
-      const ms = Date.now() - start;
-      console.debug(
-        `[openai] success in ${ms}ms${usingFallback ? " (fallback model)" : ""}`
-      );
-      return result;
-    } catch (err) {
-      lastErr = err;
-      const code = err?.code || err?.error?.code || err?.message;
-
-      console.warn(`[openai] attempt ${attempt} failed:`, code);
-
-      if (!RETRYABLE.has(code) && code !== "request_timeout") {
-        // Non-retryable → break early
-        break;
-      }
-
-      // Retry with small backoff
-      await new Promise((r) => setTimeout(r, 200 * attempt));
-    }
+  const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+  const key = process.env.AZURE_OPENAI_API_KEY;
+  if (!endpoint || !key) {
+    throw new Error("AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY must be set");
   }
 
-  console.error("[openai] all attempts failed:", lastErr);
-  throw lastErr;
+  _azure = new AzureOpenAI({
+    endpoint,
+    apiKey: key,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-10-21",
+    maxRetries: 0,
+  });
+  console.log("[openai] azure client initialized");
+  return _azure;
 }
 
 /**
- * Singleton getter for OpenAI client + resiliency wrapper.
+ * Client for an OpenAI-compatible local server (llama.cpp, Ollama, vLLM).
  */
-export function getOpenAI() {
-  if (_client) return _client;
+export function getLocalOpenAI() {
+  if (_local) return _local;
 
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) {
-    throw new Error("OPENAI_API_KEY is not set");
+  const baseURL = process.env.LOCAL_LLM_BASE_URL;
+  if (!baseURL) {
+    throw new Error("LOCAL_LLM_BASE_URL is not set");
   }
 
-  // Raw SDK instance
-  const base = new OpenAI({ apiKey: key });
-
-  // Wrap completions + chat completions to add resiliency
-  _client = {
-    ...base,
-
-    // Wrapped chat.completions.create
-    chat: {
-      completions: {
-        create: async (payload) =>
-          runWithResilience(async (model) => {
-            const p = { ...payload, model };
-            return base.chat.completions.create(p);
-          }),
-      },
-    },
-
-    // Optionally wrap embeddings if used
-    embeddings: {
-      create: async (payload) =>
-        runWithResilience(async (model) => {
-          const p = { ...payload, model };
-          return base.embeddings.create(p);
-        }),
-    },
-  };
-
-  console.log(
-    `[openai] client initialized | primary=${PRIMARY_MODEL}, fallback=${FALLBACK_MODEL}`
-  );
-  return _client;
+  // Most local servers ignore the key, but the SDK requires one.
+  _local = new OpenAI({
+    baseURL,
+    apiKey: process.env.LOCAL_LLM_API_KEY || "local",
+    maxRetries: 0,
+  });
+  console.log(`[openai] local client initialized | baseURL=${baseURL}`);
+  return _local;
 }
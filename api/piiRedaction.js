@@ -0,0 +1,128 @@
+// Replaces personal details with stable placeholders ([NAME_1], [EMAIL_2], ...)
+// before text goes to a model, and swaps them back in what the model returns.
+// One redactor covers one model call, so a value seen in several messages
+// gets the same placeholder everywhere in that call.
+
+export const PII_KINDS = Object.freeze(['NAME', 'EMAIL', 'PHONE', 'ADDRESS', 'SCHOOL_ID']);
+
+const EMAIL_RE = /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi;
+const PHONE_RE = /(?:\+?1[-.\s]?)?\(?\b\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}\b/g;
+const ADDRESS_RE =
+  /\b\d{1,6}\s+(?:[A-Z][A-Za-z'.-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy)\b(?:,?\s+(?:Apt|Unit|Suite|#)\.?\s*[A-Z0-9-]+)?/g;
+// Only the ID itself is replaced; "student ID" stays so the sentence reads.
+const SCHOOL_ID_RE = /\b((?:student|school|district|learner)\s*(?:id|number|no\.?|#)\s*(?:is\s*)?[:#]?\s*)([A-Z]*\d[A-Z0-9-]{3,})\b/gi;
+// Names are only picked up from phrasing that introduces one; every later
+// mention of the same name is then replaced too.
+const NAME_CUE_RE =
+  /\b(?:[Mm]y name is|[Mm]y name's|[Nn]amed|(?:Mr|Mrs|Ms|Miss|Dr|Coach)\.?)\s+([A-Z][a-z]+(?:[-'][A-Z]?[a-z]+)?(?:\s+[A-Z][a-z]+(?:[-'][A-Z]?[a-z]+)?)?)/g;
+
+const PLACEHOLDER_RE = new RegExp(`\\[(?:${PII_KINDS.join('|')})_\\d+\\]`, 'g');
+const MAX_PLACEHOLDER_LENGTH = 16;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export const PII_PLACEHOLDER_NOTE =
+  'Some personal details in this conversation were replaced with placeholders such as [NAME_1] or [EMAIL_1]. Use the placeholders exactly as written when you refer to those details, and never guess what they stand for.';
+
+export function createPiiRedactor() {
+  const tokensByValue = new Map();
+  const valuesByToken = new Map();
+  const counts = {};
+  const names = new Set();
+
+  function tokenFor(kind, value) {
+    const key = `${kind}:${value}`;
+    if (!tokensByValue.has(key)) {
+      counts[kind] = (counts[kind] || 0) + 1;
+      const token = `[${kind}_${counts[kind]}]`;
+      tokensByValue.set(key, token);
+      valuesByToken.set(token, value);
+    }
+    return tokensByValue.get(key);
+  }
+
+  function learnNames(textRaw = '') {
+    for (const match of String(textRaw || '').matchAll(NAME_CUE_RE)) {
+      const full = match[1].trim();
+      names.add(full);
+      const first = full.split(/\s+/)[0];
+      if (first !== full) names.add(first);
+    }
+  }
+
+  function redact(textRaw = '') {
+    let text = String(textRaw || '');
+    if (!text) return text;
+    learnNames(text);
+    text = text.replace(EMAIL_RE, (value) => tokenFor('EMAIL', value));
+    text = text.replace(SCHOOL_ID_RE, (_, prefix, value) => `${prefix}${tokenFor('SCHOOL_ID', value)}`);
+    text = text.replace(ADDRESS_RE, (value) => tokenFor('ADDRESS', value));
+    text = text.replace(PHONE_RE, (value) => tokenFor('PHONE', value));
+    // Longest first so "Maya Brooks" wins over "Maya".
+    const ordered = [...names].sort((a, b) => b.length - a.length);
+    for (const name of ordered) {
+      text = text.replace(new RegExp(`\\b${escapeRegex(name)}\\b`, 'g'), () => tokenFor('NAME', name));
+    }
+    return text;
+  }
+
+  // Names introduced in any message are replaced in all of them, so the whole
+  // conversation is scanned before anything is rewritten.
+  function redactMessages(messages = []) {
+    for (const message of messages) learnNames(message?.content);
+    return messages.map((message) =>
+      typeof message?.content === 'string' ? { ...message, content: redact(message.content) } : message
+    );
+  }
+
+  function rehydrate(textRaw = '') {
+    return String(textRaw || '').replace(PLACEHOLDER_RE, (token) =>
+      valuesByToken.has(token) ? valuesByToken.get(token) : token
+    );
+  }
+
+  // Streamed deltas can split a placeholder ("[NA" + "ME_1]"), so anything
+  // that could still become one is held back until it completes or can't.
+  function rehydrateStream(push) {
+    let held = '';
+    return {
+      push(delta) {
+        held += String(delta || '');
+        const open = held.lastIndexOf('[');
+        const cut =
+          open >= 0 && !held.includes(']', open) && held.length - open < MAX_PLACEHOLDER_LENGTH
+            ? open
+            : held.length;
+        const ready = held.slice(0, cut);
+        held = held.slice(cut);
+        if (ready) push(rehydrate(ready));
+      },
+      flush() {
+        if (held) push(rehydrate(held));
+        held = '';
+      },
+    };
+  }
+
+  return {
+    redact,
+    redactMessages,
+    rehydrate,
+    rehydrateStream,
+    get count() {
+      return valuesByToken.size;
+    },
+  };
+}
+
+// Redacts a chat request's messages in place of the originals and adds the
+// placeholder note when anything was replaced.
+export function redactChatMessages(redactor, messages = []) {
+  const redacted = redactor.redactMessages(messages);
+  if (!redactor.count) return redacted;
+  const firstUser = redacted.findIndex((message) => message?.role !== 'system');
+  const at = firstUser === -1 ? redacted.length : firstUser;
+  return [...redacted.slice(0, at), { role: 'system', content: PII_PLACEHOLDER_NOTE }, ...redacted.slice(at)];
+}
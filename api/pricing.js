@@ -0,0 +1,381 @@
+// Price books and the period rating engine. A price book prices each license
+// tier (a "plan") as a monthly base fee plus per-dimension usage prices, and
+// carries the org's discounts and credits. Nothing here touches storage;
+// server.js loads the books and the usage.
+
+export const PLAN_TIERS = Object.freeze(['STARTER', 'PRO', 'ENTERPRISE']);
+
+// LICENSED dimensions are quantities held over the period (seats, sites) and
+// are prorated across plan changes like the base fee. METERED dimensions
+// accumulate over the period and are priced on the plan in force at its end.
+export const PRICE_DIMENSIONS = Object.freeze({
+  SEATS: { label: 'Seats', usageKey: 'assignedSeats', kind: 'LICENSED' },
+  SITES: { label: 'Sites', usageKey: 'sites', kind: 'LICENSED' },
+  ROOM_HOURS: { label: 'Room hours', usageKey: 'roomHours', kind: 'METERED' },
+  AI_CALLS: { label: 'AI calls', usageKey: 'aiCalls', kind: 'METERED' },
+});
+
+export const PRICING_MODELS = Object.freeze(['PER_UNIT', 'TIERED', 'VOLUME']);
+
+const DISCOUNT_TARGETS = ['ALL', 'BASE', 'OVERAGE', ...Object.keys(PRICE_DIMENSIONS)];
+const MAX_TIERS = 12;
+const MAX_DISCOUNTS = 20;
+const MAX_CREDITS = 50;
+const MAX_PLAN_HISTORY = 24;
+
+// ---------- normalisation ----------
+
+// Unit prices may be fractional cents (e.g. 0.4 per AI call); line amounts
+// are rounded to whole cents.
+function priceCents(value, code) {
+  if (value === undefined || value === null || value === '') return 0;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(code);
+  return Math.round(n * 10_000) / 10_000;
+}
+
+function wholeCents(value, code) {
+  const n = Number(value ?? 0);
+  if (!Number.isFinite(n) || n < 0) throw new Error(code);
+  return Math.round(n);
+}
+
+function optionalMs(value) {
+  const n = Number(value || 0);
+  return n > 0 ? n : null;
+}
+
+function normalizeDimensionPrice(input = {}) {
+  const model = String(input.model || 'PER_UNIT').trim().toUpperCase();
+  if (!PRICING_MODELS.includes(model)) throw new Error('price_model_invalid');
+  const includedUnits = Math.max(0, Math.floor(Number(input.includedUnits || 0)) || 0);
+  if (model === 'PER_UNIT') {
+    return { model, includedUnits, unitCents: priceCents(input.unitCents, 'price_amount_invalid') };
+  }
+  const raw = Array.isArray(input.tiers) ? input.tiers : [];
+  if (!raw.length || raw.length > MAX_TIERS) throw new Error('price_tiers_invalid');
+  let floor = 0;
+  const tiers = raw.map((tier, idx) => {
+    const last = idx === raw.length - 1;
+    const upTo = tier?.upTo === null || tier?.upTo === undefined || tier?.upTo === '' ? null : Number(tier.upTo);
+    // Every tier but the last needs a rising upper bound; the last is open-ended.
+    if (last ? upTo !== null : !(Number.isFinite(upTo) && upTo > floor)) throw new Error('price_tiers_invalid');
+    floor = upTo ?? floor;
+    return {
+      upTo,
+      unitCents: priceCents(tier?.unitCents, 'price_amount_invalid'),
+      flatCents: wholeCents(tier?.flatCents, 'price_amount_invalid'),
+    };
+  });
+  return { model, includedUnits, tiers };
+}
+
+function normalizePlan(input = {}) {
+  const dimensions = {};
+  for (const [code, price] of Object.entries(input.dimensions || {})) {
+    const key = String(code).trim().toUpperCase();
+    if (!PRICE_DIMENSIONS[key]) throw new Error('price_dimension_invalid');
+    dimensions[key] = normalizeDimensionPrice(price || {});
+  }
+  return {
+    label: String(input.label || '').trim().slice(0, 80),
+    baseCents: wholeCents(input.baseCents, 'price_amount_invalid'),
+    // null inherits the overage rate of the book underneath (see mergePriceBooks).
+    overageUnitCents:
+      input.overageUnitCents === undefined || input.overageUnitCents === null || input.overageUnitCents === ''
+        ? null
+        : priceCents(input.overageUnitCents, 'price_amount_invalid'),
+    dimensions,
+  };
+}
+
+function normalizeDiscount(input = {}, idx = 0) {
+  const type = String(input.type || 'PERCENT').trim().toUpperCase();
+  if (type !== 'PERCENT' && type !== 'AMOUNT') throw new Error('discount_type_invalid');
+  const appliesTo = String(input.appliesTo || 'ALL').trim().toUpperCase();
+  if (!DISCOUNT_TARGETS.includes(appliesTo)) throw new Error('discount_target_invalid');
+  const percent = Number(input.percent || 0);
+  if (type === 'PERCENT' && !(percent > 0 && percent <= 100)) throw new Error('discount_percent_invalid');
+  const amountCents = type === 'AMOUNT' ? wholeCents(input.amountCents, 'discount_amount_invalid') : 0;
+  if (type === 'AMOUNT' && !amountCents) throw new Error('discount_amount_invalid');
+  return {
+    id: String(input.id || `DISCOUNT-${idx + 1}`).trim().slice(0, 60),
+    label: String(input.label || '').trim().slice(0, 120),
+    type,
+    percent: type === 'PERCENT' ? percent : 0,
+    amountCents,
+    appliesTo,
+    startsAt: optionalMs(input.startsAt),
+    endsAt: optionalMs(input.endsAt),
+  };
+}
+
+// Credits are one-off and belong to a single billing period, so a credit is
+// never applied twice.
+function normalizeCredit(input = {}, idx = 0) {
+  const periodKey = String(input.periodKey || '').trim();
+  if (!/^[0-9]{4}-(0[1-9]|1[0-2])$/.test(periodKey)) throw new Error('credit_period_invalid');
+  const amountCents = wholeCents(input.amountCents, 'credit_amount_invalid');
+  if (!amountCents) throw new Error('credit_amount_invalid');
+  return {
+    id: String(input.id || `CREDIT-${idx + 1}`).trim().slice(0, 60),
+    label: String(input.label || '').trim().slice(0, 120),
+    periodKey,
+    amountCents,
+  };
+}
+
+// Plans are keyed by license tier and may be partial: a tier without a plan
+// falls back to the next book in mergePriceBooks.
+export function normalizePriceBook(input = {}) {
+  const plans = {};
+  for (const [tierRaw, plan] of Object.entries(input?.plans || {})) {
+    const tier = String(tierRaw).trim().toUpperCase();
+    if (!PLAN_TIERS.includes(tier)) throw new Error('price_plan_tier_invalid');
+    plans[tier] = normalizePlan(plan || {});
+  }
+  const discounts = Array.isArray(input?.discounts) ? input.discounts : [];
+  const credits = Array.isArray(input?.credits) ? input.credits : [];
+  if (discounts.length > MAX_DISCOUNTS || credits.length > MAX_CREDITS) throw new Error('price_book_too_large');
+  const currency = String(input?.currency || 'USD').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) throw new Error('price_currency_invalid');
+  return {
+    currency,
+    plans,
+    discounts: discounts.map(normalizeDiscount),
+    credits: credits.map(normalizeCredit),
+  };
+}
+
+// Org books override the platform book per tier and bring their own
+// discounts and credits; the platform book only supplies plans. The same
+// merge layers a saved platform book over the env defaults.
+export function mergePriceBooks(platform = {}, org = {}) {
+  const plans = { ...(platform.plans || {}) };
+  for (const [tier, plan] of Object.entries(org.plans || {})) {
+    plans[tier] = { ...plan, overageUnitCents: plan.overageUnitCents ?? plans[tier]?.overageUnitCents ?? null };
+  }
+  return {
+    currency: org.currency && Object.keys(org.plans || {}).length ? org.currency : platform.currency || 'USD',
+    plans,
+    discounts: org.discounts || [],
+    credits: org.credits || [],
+  };
+}
+
+// Appends a tier change to a license's plan history (oldest first).
+export function recordPlanChange(history = [], from = '', to = '', at = Date.now()) {
+  const list = Array.isArray(history) ? history : [];
+  if (!from || !to || from === to) return list;
+  return [...list, { from, to, at }].slice(-MAX_PLAN_HISTORY);
+}
+
+// ---------- rating ----------
+
+// Prices units under one dimension price. TIERED fills each tier in turn at
+// its own rate; VOLUME prices every unit at the rate of the tier the total
+// lands in. Flat fees are charged for each tier reached.
+export function rateDimension(quantity = 0, price = {}) {
+  const included = Math.max(0, Number(price.includedUnits || 0));
+  const units = Math.max(0, Number(quantity || 0) - included);
+  if (!units) return { billableUnits: 0, amountCents: 0, tiers: [] };
+  if (price.model === 'TIERED') {
+    const tiers = [];
+    let floor = 0;
+    let amount = 0;
+    for (const tier of price.tiers || []) {
+      const ceiling = tier.upTo ?? Infinity;
+      const inTier = Math.min(units, ceiling) - floor;
+      if (inTier <= 0) break;
+      const tierAmount = inTier * tier.unitCents + tier.flatCents;
+      tiers.push({ upTo: tier.upTo, units: inTier, unitCents: tier.unitCents, amountCents: tierAmount });
+      amount += tierAmount;
+      floor = ceiling;
+    }
+    return { billableUnits: units, amountCents: amount, tiers };
+  }
+  if (price.model === 'VOLUME') {
+    const tier = (price.tiers || []).find((entry) => entry.upTo === null || units <= entry.upTo) || {};
+    const amount = units * Number(tier.unitCents || 0) + Number(tier.flatCents || 0);
+    return {
+      billableUnits: units,
+      amountCents: amount,
+      tiers: [{ upTo: tier.upTo ?? null, units, unitCents: Number(tier.unitCents || 0), amountCents: amount }],
+    };
+  }
+  return { billableUnits: units, amountCents: units * Number(price.unitCents || 0), tiers: [] };
+}
+
+// Splits [startMs, endMs) into the tiers in force, from a plan history of
+// { from, to, at } changes. Fractions are of the whole period, so a license
+// that starts mid-period pays for the part it held.
+export function planSegments({ tier = 'STARTER', history = [], startMs = 0, endMs = 0, activeFrom = 0 } = {}) {
+  const length = endMs - startMs;
+  if (!(length > 0)) return [];
+  const changes = (Array.isArray(history) ? history : [])
+    .filter((entry) => Number(entry?.at) > 0)
+    .sort((a, b) => a.at - b.at);
+  const before = changes.filter((entry) => entry.at <= startMs).pop();
+  const firstInside = changes.find((entry) => entry.at > startMs);
+  let current = before?.to || firstInside?.from || tier;
+  let cursor = startMs;
+  const segments = [];
+  const push = (to) => {
+    const from = Math.max(cursor, Number(activeFrom || 0));
+    if (to > from) segments.push({ tier: current, startMs: from, endMs: to, fraction: (to - from) / length });
+  };
+  for (const change of changes) {
+    if (change.at <= startMs || change.at >= endMs) continue;
+    push(change.at);
+    current = change.to;
+    cursor = change.at;
+  }
+  push(endMs);
+  return segments;
+}
+
+function discountActive(discount, startMs, endMs) {
+  return (!discount.startsAt || discount.startsAt < endMs) && (!discount.endsAt || discount.endsAt >= startMs);
+}
+
+// Rates one billing period: prorated base fees and licensed dimensions per
+// plan segment, metered dimensions and overage on the closing plan, then
+// discounts and finally credits. Amounts are in whole cents.
+export function rateBillingPeriod({
+  priceBook = {},
+  tier = 'STARTER',
+  history = [],
+  usage = {},
+  overageUnits = 0,
+  periodKey = '',
+  startMs = 0,
+  endMs = 0,
+  activeFrom = 0,
+} = {}) {
+  const plans = priceBook.plans || {};
+  const planFor = (planTier) => plans[planTier] || { baseCents: 0, overageUnitCents: 0, dimensions: {} };
+  const segments = planSegments({ tier, history, startMs, endMs, activeFrom });
+  const closingTier = segments.length ? segments[segments.length - 1].tier : tier;
+  const closing = planFor(closingTier);
+  const lines = [];
+
+  const segmentRows = segments.map((segment) => {
+    const plan = planFor(segment.tier);
+    return {
+      tier: segment.tier,
+      startMs: segment.startMs,
+      endMs: segment.endMs,
+      fraction: Number(segment.fraction.toFixed(6)),
+      baseCents: Math.round(plan.baseCents * segment.fraction),
+    };
+  });
+  const baseCents = segmentRows.reduce((sum, row) => sum + row.baseCents, 0);
+  if (baseCents) {
+    lines.push({ code: 'BASE', label: 'Plan fee', quantity: 1, billableUnits: 1, amountCents: baseCents, tiers: [] });
+  }
+
+  for (const [code, dimension] of Object.entries(PRICE_DIMENSIONS)) {
+    const quantity = Math.max(0, Number(usage[dimension.usageKey] || 0));
+    const rated =
+      dimension.kind === 'LICENSED'
+        ? segments.map((segment) => ({ segment, price: planFor(segment.tier).dimensions[code] })).filter((row) => row.price)
+        : closing.dimensions[code]
+          ? [{ segment: { fraction: 1 }, price: closing.dimensions[code] }]
+          : [];
+    if (!rated.length) continue;
+    let amount = 0;
+    let out = null;
+    for (const { segment, price } of rated) {
+      out = rateDimension(quantity, price);
+      amount += out.amountCents * segment.fraction;
+    }
+    // The breakdown shown is the latest plan's.
+    const last = rated[rated.length - 1].price;
+    lines.push({
+      code,
+      label: dimension.label,
+      kind: dimension.kind,
+      model: last.model,
+      quantity,
+      includedUnits: last.includedUnits,
+      billableUnits: out.billableUnits,
+      amountCents: Math.round(amount),
+      tiers: out.tiers,
+    });
+  }
+
+  const overage = Math.max(0, Number(overageUnits || 0));
+  if (overage && closing.overageUnitCents) {
+    lines.push({
+      code: 'OVERAGE',
+      label: 'Usage over cap',
+      quantity: overage,
+      billableUnits: overage,
+      unitCents: closing.overageUnitCents,
+      amountCents: Math.round(overage * closing.overageUnitCents),
+      tiers: [],
+    });
+  }
+
+  const subtotalCents = lines.reduce((sum, line) => sum + line.amountCents, 0);
+  let remaining = subtotalCents;
+  const discounts = [];
+  for (const discount of priceBook.discounts || []) {
+    if (!remaining || !discountActive(discount, startMs, endMs)) continue;
+    const base = lines
+      .filter((line) => discount.appliesTo === 'ALL' || line.code === discount.appliesTo)
+      .reduce((sum, line) => sum + line.amountCents, 0);
+    const raw = discount.type === 'PERCENT' ? Math.round((base * discount.percent) / 100) : discount.amountCents;
+    const amountCents = Math.min(raw, base, remaining);
+    if (!amountCents) continue;
+    discounts.push({ id: discount.id, label: discount.label, appliesTo: discount.appliesTo, amountCents });
+    remaining -= amountCents;
+  }
+  const credits = [];
+  for (const credit of priceBook.credits || []) {
+    if (!remaining || credit.periodKey !== periodKey) continue;
+    const amountCents = Math.min(credit.amountCents, remaining);
+    credits.push({ id: credit.id, label: credit.label, amountCents, unappliedCents: credit.amountCents - amountCents });
+    remaining -= amountCents;
+  }
+
+  return {
+    currency: priceBook.currency || 'USD',
+    tier: closingTier,
+    segments: segmentRows,
+    lines,
+    subtotalCents,
+    discounts,
+    discountCents: discounts.reduce((sum, row) => sum + row.amountCents, 0),
+    credits,
+    creditCents: credits.reduce((sum, row) => sum + row.amountCents, 0),
+    totalCents: remaining,
+  };
+}
+
+// Invoice line items for a rated period: one charge per priced line, then
+// discounts and credits as negative amounts, so the items sum to totalCents.
+export function pricingInvoiceLines(rated = {}) {
+  const charges = (rated.lines || []).map((line) => ({
+    type: 'CHARGE',
+    code: line.code,
+    label: line.label,
+    quantity: line.quantity,
+    billableUnits: line.billableUnits,
+    amountCents: line.amountCents,
+  }));
+  const discounts = (rated.discounts || []).map((row) => ({
+    type: 'DISCOUNT',
+    code: row.id,
+    label: row.label,
+    appliesTo: row.appliesTo,
+    amountCents: -row.amountCents,
+  }));
+  const credits = (rated.credits || []).map((row) => ({
+    type: 'CREDIT',
+    code: row.id,
+    label: row.label,
+    amountCents: -row.amountCents,
+  }));
+  return [...charges, ...discounts, ...credits].filter((row) => row.amountCents);
+}
@@ -0,0 +1,177 @@
+import { prefilterModerationText } from './moderation.js';
+
+// Offline A/B harness for prompt versions: recorded room transcripts are
+// turned into cases, each case is answered once per version, and every output
+// is scored on length, stage adherence and policy flags. Generation is
+// injected so the same harness runs against the stub provider in tests and
+// CI, or a real model from the admin console.
+
+// Length targets per output kind.
+const LENGTH_TARGETS = Object.freeze({
+  reply: { maxSentences: 4, maxWords: 90 },
+  ideaBoard: { minBullets: 4, maxBullets: 8 },
+  roughDraft: { words: 250, tolerance: 10 },
+});
+
+const LEAK_PATTERN = /\b(?:system prompt|language model|as an ai|openai|anthropic|api key)\b/i;
+
+// `forbid` patterns cost half the adherence score each; a missing `expect`
+// pattern costs half.
+const STAGE_EXPECTATIONS = Object.freeze({
+  DISCOVERY: { forbid: [/\babstract\b.*\bdraft\b/i], expect: /\?|\b(?:moment|observ|example|story)/i },
+  IDEA_DUMP: { forbid: [/\b(?:that idea is bad|wrong idea)\b/i], expect: null },
+  PLANNING: { forbid: [], expect: /\b(?:protagonist|goal|stakes|setting|pov|conflict)\b/i },
+  ROUGH_DRAFT: { forbid: [/\b(?:start over|brand[- ]new story)\b/i], expect: null },
+  EDITING: { forbid: [/\b(?:start over|brand[- ]new story|new draft)\b/i], expect: null },
+  FINAL: { forbid: [/\b(?:start over|rewrite (?:it|the whole))\b/i], expect: null },
+});
+
+function round3(n) {
+  return Number(Number(n || 0).toFixed(3));
+}
+
+function countWords(text) {
+  return (String(text || '').match(/\S+/g) || []).length;
+}
+
+function countSentences(text) {
+  return (String(text || '').replace(/^\s*[-•*].*$/gm, '').match(/[^.!?]+[.!?]+/g) || []).length;
+}
+
+function countBullets(text) {
+  return (String(text || '').match(/^\s*(?:[-•*]|\d+[.)])\s+\S/gm) || []).length;
+}
+
+function lengthScore(kind, { words, sentences, bullets }) {
+  if (kind === 'ideaBoard') {
+    const { minBullets, maxBullets } = LENGTH_TARGETS.ideaBoard;
+    if (bullets >= minBullets && bullets <= maxBullets) return 1;
+    const miss = bullets < minBullets ? minBullets - bullets : bullets - maxBullets;
+    return Math.max(0, 1 - miss / minBullets);
+  }
+  if (kind === 'roughDraft') {
+    const { words: target, tolerance } = LENGTH_TARGETS.roughDraft;
+    const off = Math.max(0, Math.abs(words - target) - tolerance);
+    return Math.max(0, 1 - off / target);
+  }
+  const { maxSentences, maxWords } = LENGTH_TARGETS.reply;
+  if (!words) return 0;
+  const over = Math.max(
+    0,
+    (sentences - maxSentences) / maxSentences,
+    (words - maxWords) / maxWords
+  );
+  return Math.max(0, 1 - over);
+}
+
+export function scorePromptOutput(text = '', { kind = 'reply', stage = '', policy = {} } = {}) {
+  const output = String(text || '');
+  const stats = { words: countWords(output), sentences: countSentences(output), bullets: countBullets(output) };
+  const expectation = STAGE_EXPECTATIONS[String(stage || '').toUpperCase()] || { forbid: [], expect: null };
+  const misses = [];
+  if (LEAK_PATTERN.test(output)) misses.push('implementation_leak');
+  expectation.forbid.forEach((pattern, idx) => {
+    if (pattern.test(output)) misses.push(`forbidden_${idx}`);
+  });
+  if (kind === 'reply' && expectation.expect && !expectation.expect.test(output)) misses.push('missing_stage_focus');
+  const policyFlags = prefilterModerationText(output, {
+    ageSafeMode: policy.ageSafeMode || 'K12',
+    moderationLevel: policy.moderationLevel || 'STANDARD',
+    blockedTerms: (policy.blockedTerms || []).map((term) => String(term || '').trim().toLowerCase()).filter(Boolean),
+    piiRedaction: policy.piiRedaction !== false,
+  });
+  const length = lengthScore(kind, stats);
+  const stageAdherence = Math.max(0, 1 - 0.5 * misses.length);
+  return {
+    ...stats,
+    length: round3(length),
+    stageAdherence: round3(stageAdherence),
+    misses,
+    policyFlags,
+    // A flagged output is a failed output, whatever else it gets right.
+    score: policyFlags.length ? 0 : round3((length + stageAdherence) / 2),
+  };
+}
+
+// Every participant message that Asema answered becomes a reply case; the
+// recorded answer rides along for side-by-side review.
+export function transcriptCases(transcript = {}, { limit = 20 } = {}) {
+  const messages = Array.isArray(transcript.messages) ? transcript.messages : [];
+  const cases = [];
+  for (let i = 0; i < messages.length && cases.length < limit; i += 1) {
+    const message = messages[i];
+    if ((message.authorType || 'user') !== 'user') continue;
+    const next = messages[i + 1];
+    if (!next || next.authorType !== 'asema') continue;
+    const text = String(message.text || '').trim();
+    if (!text) continue;
+    cases.push({
+      roomId: String(transcript.roomId || message.roomId || ''),
+      topic: String(transcript.topic || ''),
+      stage: String(message.phase || next.phase || 'LOBBY').toUpperCase(),
+      kind: 'reply',
+      input: text,
+      recorded: String(next.text || ''),
+    });
+  }
+  return cases;
+}
+
+function meanOf(rows, key) {
+  return rows.length ? round3(rows.reduce((sum, row) => sum + Number(row[key] || 0), 0) / rows.length) : 0;
+}
+
+function summarize(scores) {
+  return {
+    cases: scores.length,
+    score: meanOf(scores, 'score'),
+    length: meanOf(scores, 'length'),
+    stageAdherence: meanOf(scores, 'stageAdherence'),
+    flagged: scores.filter((row) => row.policyFlags.length).length,
+    errors: scores.filter((row) => row.error).length,
+  };
+}
+
+// `generate(arm, testCase)` returns the output text for one version; a throw
+// is recorded as an error and scored 0 rather than ending the run. Cases run
+// one at a time so a real-model eval stays inside provider rate limits.
+export async function runPromptEval({ cases = [], arms = ['A', 'B'], generate, policy = {} } = {}) {
+  if (typeof generate !== 'function') throw new Error('generate_required');
+  const results = [];
+  const perArm = Object.fromEntries(arms.map((arm) => [arm, []]));
+  for (const testCase of cases) {
+    const outputs = {};
+    for (const arm of arms) {
+      let text = '';
+      let error = '';
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        text = String((await generate(arm, testCase)) || '');
+      } catch (err) {
+        error = String(err?.message || err || 'generate_failed');
+      }
+      const scored = error
+        ? { ...scorePromptOutput('', testCase), score: 0, error }
+        : scorePromptOutput(text, { ...testCase, policy });
+      perArm[arm].push(scored);
+      outputs[arm] = { text, ...scored };
+    }
+    const [first, second] = arms;
+    const delta = second ? outputs[second].score - outputs[first].score : 0;
+    results.push({
+      roomId: testCase.roomId,
+      stage: testCase.stage,
+      input: testCase.input,
+      recorded: testCase.recorded || '',
+      outputs,
+      winner: Math.abs(delta) < 0.05 ? 'tie' : delta > 0 ? second : first,
+    });
+  }
+  const wins = Object.fromEntries([...arms, 'tie'].map((key) => [key, 0]));
+  for (const row of results) wins[row.winner] += 1;
+  return {
+    summary: Object.fromEntries(arms.map((arm) => [arm, summarize(perArm[arm])])),
+    wins,
+    results,
+  };
+}
@@ -0,0 +1,101 @@
+import crypto from 'node:crypto';
+
+// Asema's prompt text as versioned assets. A version stores only the assets
+// it overrides; everything else falls through to the built-in defaults in
+// asemaPersona.js. Map assets (keyed by stage) merge key by key.
+
+export const PROMPT_TEXT_ASSETS = Object.freeze(['persona', 'ideaBoard', 'roughDraft']);
+export const PROMPT_MAP_ASSETS = Object.freeze(['stageInstructions', 'stageHints']);
+export const PROMPT_ASSET_KEYS = Object.freeze([...PROMPT_TEXT_ASSETS, ...PROMPT_MAP_ASSETS]);
+
+const MAX_ASSET_CHARS = 8000;
+const MAX_LINE_CHARS = 600;
+
+function cleanText(value, max = MAX_ASSET_CHARS) {
+  const text = String(value ?? '').replace(/\r\n?/g, '\n').trim();
+  if (!text) return '';
+  if (text.length > max) throw new Error('prompt_asset_too_long');
+  return text;
+}
+
+// Stage instructions are bullet lines; a single string is split on newlines.
+function cleanLines(value) {
+  const lines = Array.isArray(value) ? value : String(value ?? '').split('\n');
+  return lines.map((line) => cleanText(line, MAX_LINE_CHARS)).filter(Boolean);
+}
+
+export function normalizePromptAssets(input = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const out = {};
+  for (const key of PROMPT_TEXT_ASSETS) {
+    if (source[key] === undefined) continue;
+    const text = cleanText(source[key]);
+    if (text) out[key] = text;
+  }
+  for (const key of PROMPT_MAP_ASSETS) {
+    const map = source[key];
+    if (!map || typeof map !== 'object' || Array.isArray(map)) continue;
+    const entries = {};
+    for (const [stageRaw, value] of Object.entries(map)) {
+      const stage = String(stageRaw || '').trim().toUpperCase();
+      if (!/^[A-Z_]{2,32}$/.test(stage)) continue;
+      const cleaned = key === 'stageInstructions' ? cleanLines(value) : cleanText(value, MAX_LINE_CHARS);
+      if (cleaned.length) entries[stage] = cleaned;
+    }
+    if (Object.keys(entries).length) out[key] = entries;
+  }
+  return out;
+}
+
+export function mergePromptAssets(defaults = {}, overrides = {}) {
+  const merged = { ...defaults };
+  for (const key of PROMPT_TEXT_ASSETS) {
+    if (overrides?.[key]) merged[key] = overrides[key];
+  }
+  for (const key of PROMPT_MAP_ASSETS) {
+    if (overrides?.[key]) merged[key] = { ...(defaults[key] || {}), ...overrides[key] };
+  }
+  return merged;
+}
+
+// `{{name}}` placeholders; unknown names are left as written so a typo shows
+// up in the eval output instead of silently vanishing.
+export function renderPromptTemplate(template = '', vars = {}) {
+  return String(template || '').replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name] ?? '') : match
+  );
+}
+
+export function promptAssetsHash(assets = {}) {
+  const ordered = Object.fromEntries(
+    PROMPT_ASSET_KEYS.filter((key) => assets?.[key] !== undefined).map((key) => [key, assets[key]])
+  );
+  return crypto.createHash('sha256').update(JSON.stringify(ordered)).digest('hex').slice(0, 16);
+}
+
+// '' as a version id means the built-in defaults.
+export function normalizePromptRollout(input = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const percent = Math.floor(Number(source.percent));
+  const candidateVersionId = String(source.candidateVersionId || '').trim();
+  return {
+    baseVersionId: String(source.baseVersionId || '').trim(),
+    candidateVersionId,
+    percent: candidateVersionId && Number.isFinite(percent) ? Math.max(0, Math.min(100, percent)) : 0,
+  };
+}
+
+// Stable 0-99 bucket per room, so a room keeps the same arm for its whole
+// session and raising the percentage only ever adds rooms to the candidate.
+export function rolloutBucket(roomId = '', salt = '') {
+  const digest = crypto.createHash('sha256').update(`${salt}:${roomId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+}
+
+export function pickPromptVersion(rolloutRaw = {}, roomId = '', salt = '') {
+  const rollout = normalizePromptRollout(rolloutRaw);
+  const candidate = rollout.candidateVersionId && rolloutBucket(roomId, salt) < rollout.percent;
+  return candidate
+    ? { versionId: rollout.candidateVersionId, arm: 'candidate' }
+    : { versionId: rollout.baseVersionId, arm: 'base' };
+}
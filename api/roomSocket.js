@@ -0,0 +1,124 @@
+export const ROOM_SOCKET_ACTIONS = Object.freeze([
+  'chat.send',
+  'typing',
+  'presence.heartbeat',
+  'vote.submit',
+  'gallery_ballot.submit',
+  'canvas.update',
+  'canvas.cursor',
+  'canvas.board',
+  'ping',
+]);
+
+// Close codes in the 4000 range are application-defined; they mirror the HTTP
+// status the REST route would have returned.
+export const ROOM_SOCKET_CLOSE = Object.freeze({
+  unauthorized: 4401,
+  forbidden: 4403,
+});
+
+const MAX_FRAME_BYTES = 64 * 1024;
+const MAX_REQUEST_ID_LENGTH = 64;
+const ROOM_SOCKET_PATH = /^\/rooms\/([^/]+)\/socket\/?$/;
+
+export function matchRoomSocketPath(pathname = '') {
+  const match = ROOM_SOCKET_PATH.exec(String(pathname || ''));
+  if (!match) return '';
+  try {
+    return decodeURIComponent(match[1]).trim();
+  } catch {
+    return '';
+  }
+}
+
+export function parseRoomSocketFrame(raw) {
+  const text = typeof raw === 'string' ? raw : Buffer.from(raw || '').toString('utf8');
+  if (!text || Buffer.byteLength(text, 'utf8') > MAX_FRAME_BYTES) {
+    return { ok: false, error: 'frame_too_large' };
+  }
+  let frame = null;
+  try {
+    frame = JSON.parse(text);
+  } catch {
+    return { ok: false, error: 'frame_invalid_json' };
+  }
+  if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+    return { ok: false, error: 'frame_invalid' };
+  }
+  const type = String(frame.type || '').trim();
+  const requestId = String(frame.requestId || '').trim().slice(0, MAX_REQUEST_ID_LENGTH);
+  if (!ROOM_SOCKET_ACTIONS.includes(type)) {
+    return { ok: false, error: 'frame_type_unsupported', requestId };
+  }
+  const data = frame.data && typeof frame.data === 'object' && !Array.isArray(frame.data)
+    ? frame.data
+    : {};
+  return { ok: true, frame: { type, requestId, data } };
+}
+
+export function socketEventFrame(event, payload = {}, id = '') {
+  return JSON.stringify({ type: 'event', event, ...(id ? { id } : {}), data: payload });
+}
+
+export function socketAckFrame(requestId, { statusCode = 200, body = {} } = {}) {
+  return JSON.stringify({
+    type: 'ack',
+    requestId,
+    ok: statusCode >= 200 && statusCode < 300,
+    status: statusCode,
+    data: body,
+  });
+}
+
+export function socketErrorFrame(error, requestId = '') {
+  return JSON.stringify({ type: 'error', error, ...(requestId ? { requestId } : {}) });
+}
+
+// Sliding-window limiter per connection; typing bursts and chat share a budget.
+export function createFrameRateLimiter({ limit = 30, windowMs = 5_000, now = () => Date.now() } = {}) {
+  const hits = [];
+  return () => {
+    const at = now();
+    while (hits.length && at - hits[0] >= windowMs) hits.shift();
+    if (hits.length >= limit) return false;
+    hits.push(at);
+    return true;
+  };
+}
+
+export function createRoomSocketRegistry() {
+  const rooms = new Map(); // roomId -> Set<WebSocket>
+
+  function add(roomId, socket) {
+    let set = rooms.get(roomId);
+    if (!set) {
+      set = new Set();
+      rooms.set(roomId, set);
+    }
+    set.add(socket);
+    return () => {
+      const cur = rooms.get(roomId);
+      if (!cur) return;
+      cur.delete(socket);
+      if (cur.size === 0) rooms.delete(roomId);
+    };
+  }
+
+  function broadcast(roomId, frame) {
+    const set = rooms.get(roomId);
+    if (!set) return 0;
+    let sent = 0;
+    for (const socket of Array.from(set)) {
+      if (socket.readyState !== 1) {
+        set.delete(socket);
+        continue;
+      }
+      socket.send(frame);
+      sent += 1;
+    }
+    if (set.size === 0) rooms.delete(roomId);
+    return sent;
+  }
+
+  return { add, broadcast, count: () => rooms.size };
+}
@@ -0,0 +1,441 @@
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+
+import { DOMParser } from '@xmldom/xmldom';
+import { SignedXml } from 'xml-crypto';
+
+const NS_PROTOCOL = 'urn:oasis:names:tc:SAML:2.0:protocol';
+const NS_ASSERTION = 'urn:oasis:names:tc:SAML:2.0:assertion';
+const NS_DSIG = 'http://www.w3.org/2000/09/xmldsig#';
+const STATUS_SUCCESS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+const BEARER_METHOD = 'urn:oasis:names:tc:SAML:2.0:cm:bearer';
+const DEFAULT_NAME_ID_FORMAT =
+  'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+const DEFAULT_CLOCK_SKEW_SECONDS = 120;
+
+const DEFAULT_ATTRIBUTE_MAP = Object.freeze({
+  email: [
+    'email',
+    'mail',
+    'emailaddress',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+    'urn:oid:0.9.2342.19200300.100.1.3',
+  ],
+  groups: [
+    'groups',
+    'memberOf',
+    'http://schemas.microsoft.com/ws/2008/06/identity/claims/groups',
+    'http://schemas.microsoft.com/ws/2008/06/identity/claims/role',
+  ],
+  siteId: ['siteId', 'site'],
+  name: [
+    'displayName',
+    'name',
+    'http://schemas.microsoft.com/identity/claims/displayname',
+  ],
+});
+
+function uniqStrings(values = []) {
+  return Array.from(
+    new Set(
+      (Array.isArray(values) ? values : [])
+        .map((value) => String(value || '').trim())
+        .filter(Boolean)
+    )
+  );
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(/[\s,]+/);
+  return [];
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function normalizePemCertificate(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return '';
+  if (raw.includes('-----BEGIN')) return raw;
+  const body = raw.replace(/\s+/g, '');
+  const lines = body.match(/.{1,64}/g) || [];
+  return `-----BEGIN CERTIFICATE-----\n${lines.join('\n')}\n-----END CERTIFICATE-----`;
+}
+
+function normalizeAttributeMap(input = {}, current = {}) {
+  const out = {};
+  for (const field of Object.keys(DEFAULT_ATTRIBUTE_MAP)) {
+    const names = uniqStrings(splitList(input?.[field] ?? current?.[field]));
+    if (names.length) out[field] = names.slice(0, 10);
+  }
+  return out;
+}
+
+export function normalizeSamlConfig(input = {}, current = {}) {
+  const certificatesInput = input.idpCertificates ?? current.idpCertificates;
+  const certificates = uniqStrings(
+    (Array.isArray(certificatesInput) ? certificatesInput : [certificatesInput]).map(
+      normalizePemCertificate
+    )
+  );
+  return {
+    enabled: !!(input.enabled ?? current.enabled ?? false),
+    idpEntityId: String(input.idpEntityId ?? current.idpEntityId ?? '').trim(),
+    idpSsoUrl: String(input.idpSsoUrl ?? current.idpSsoUrl ?? '').trim(),
+    // More than one certificate may be active while the IdP rotates keys.
+    idpCertificates: certificates.slice(0, 4),
+    nameIdFormat:
+      String(input.nameIdFormat ?? current.nameIdFormat ?? '').trim() ||
+      DEFAULT_NAME_ID_FORMAT,
+    requireSignedAssertion: !!(
+      input.requireSignedAssertion ?? current.requireSignedAssertion ?? false
+    ),
+    attributeMap: normalizeAttributeMap(input.attributeMap, current.attributeMap),
+    redirectUris: uniqStrings(splitList(input.redirectUris ?? current.redirectUris)).slice(0, 20),
+    allowedDomains: uniqStrings(
+      splitList(input.allowedDomains ?? current.allowedDomains).map((domain) =>
+        String(domain || '').trim().toLowerCase()
+      )
+    ).slice(0, 50),
+  };
+}
+
+export function describeSamlCertificates(certificates = []) {
+  return (Array.isArray(certificates) ? certificates : []).map((pem) => {
+    try {
+      const cert = new crypto.X509Certificate(pem);
+      return {
+        subject: cert.subject,
+        fingerprint256: cert.fingerprint256,
+        validTo: cert.validTo,
+      };
+    } catch {
+      return { subject: '', fingerprint256: '', validTo: '', invalid: true };
+    }
+  });
+}
+
+export function createSamlRequestId() {
+  // IDs must be NCNames, so they cannot start with a digit.
+  return `_${crypto.randomBytes(20).toString('hex')}`;
+}
+
+export function buildServiceProviderMetadata({
+  entityId,
+  acsUrl,
+  nameIdFormat = DEFAULT_NAME_ID_FORMAT,
+  wantAssertionsSigned = true,
+} = {}) {
+  if (!entityId || !acsUrl) throw new Error('saml_sp_identity_missing');
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" entityID="${escapeXml(entityId)}">`,
+    `  <md:SPSSODescriptor AuthnRequestsSigned="false" WantAssertionsSigned="${wantAssertionsSigned ? 'true' : 'false'}" protocolSupportEnumeration="${NS_PROTOCOL}">`,
+    `    <md:NameIDFormat>${escapeXml(nameIdFormat)}</md:NameIDFormat>`,
+    `    <md:AssertionConsumerService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="${escapeXml(acsUrl)}" index="0" isDefault="true"/>`,
+    '  </md:SPSSODescriptor>',
+    '</md:EntityDescriptor>',
+  ].join('\n');
+}
+
+export function buildAuthnRequest({
+  id,
+  spEntityId,
+  acsUrl,
+  idpSsoUrl,
+  nameIdFormat = DEFAULT_NAME_ID_FORMAT,
+  issueInstant = new Date().toISOString(),
+} = {}) {
+  if (!id || !spEntityId || !acsUrl || !idpSsoUrl) {
+    throw new Error('saml_authn_request_params_missing');
+  }
+  return [
+    `<samlp:AuthnRequest xmlns:samlp="${NS_PROTOCOL}" xmlns:saml="${NS_ASSERTION}"`,
+    ` ID="${escapeXml(id)}" Version="2.0" IssueInstant="${escapeXml(issueInstant)}"`,
+    ` Destination="${escapeXml(idpSsoUrl)}" AssertionConsumerServiceURL="${escapeXml(acsUrl)}"`,
+    ' ProtocolBinding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST">',
+    `<saml:Issuer>${escapeXml(spEntityId)}</saml:Issuer>`,
+    `<samlp:NameIDPolicy Format="${escapeXml(nameIdFormat)}" AllowCreate="true"/>`,
+    '</samlp:AuthnRequest>',
+  ].join('');
+}
+
+export function buildRedirectBindingUrl({ idpSsoUrl, authnRequestXml, relayState = '' } = {}) {
+  const url = new URL(idpSsoUrl);
+  const deflated = zlib.deflateRawSync(Buffer.from(String(authnRequestXml), 'utf8'));
+  url.searchParams.set('SAMLRequest', deflated.toString('base64'));
+  if (relayState) url.searchParams.set('RelayState', relayState);
+  return url.toString();
+}
+
+function parseXml(xml) {
+  const source = String(xml || '');
+  // Entity declarations are never legitimate in a SAML response.
+  if (/<!DOCTYPE|<!ENTITY/i.test(source)) throw new Error('saml_xml_doctype_forbidden');
+  const fail = () => {
+    throw new Error('saml_xml_invalid');
+  };
+  const doc = new DOMParser({
+    errorHandler: { warning() {}, error: fail, fatalError: fail },
+  }).parseFromString(source, 'text/xml');
+  if (!doc?.documentElement) fail();
+  return doc;
+}
+
+function childElements(node, namespace, localName) {
+  const out = [];
+  const children = node?.childNodes || [];
+  for (let i = 0; i < children.length; i += 1) {
+    const child = children[i];
+    if (child.nodeType !== 1) continue;
+    if (child.namespaceURI === namespace && child.localName === localName) out.push(child);
+  }
+  return out;
+}
+
+function firstChild(node, namespace, localName) {
+  return childElements(node, namespace, localName)[0] || null;
+}
+
+function textOf(node) {
+  return String(node?.textContent || '').trim();
+}
+
+function countElementsWithId(doc, id) {
+  let count = 0;
+  const all = doc.getElementsByTagName('*');
+  for (let i = 0; i < all.length; i += 1) {
+    if (all[i].getAttribute('ID') === id) count += 1;
+  }
+  return count;
+}
+
+function publicKeysFromCertificates(certificates = []) {
+  const keys = [];
+  for (const pem of certificates) {
+    try {
+      keys.push(new crypto.X509Certificate(normalizePemCertificate(pem)).publicKey);
+    } catch {
+      try {
+        keys.push(crypto.createPublicKey(pem));
+      } catch {}
+    }
+  }
+  return keys;
+}
+
+// Returns the canonical XML of `element` as covered by its enveloped signature,
+// or null when the element carries no signature. Callers must read claims from
+// the returned XML, never from the original document, to defeat wrapping attacks.
+function verifyEnvelopedSignature(xml, doc, element, publicKeys) {
+  const signatureNode = firstChild(element, NS_DSIG, 'Signature');
+  if (!signatureNode) return null;
+
+  const elementId = element.getAttribute('ID');
+  if (!elementId || countElementsWithId(doc, elementId) !== 1) {
+    throw new Error('saml_signature_reference_invalid');
+  }
+
+  for (const publicCert of publicKeys) {
+    const sig = new SignedXml({ publicCert, getCertFromKeyInfo: () => null });
+    sig.loadSignature(signatureNode);
+    const references = sig.getReferences();
+    if (references.length !== 1 || references[0].uri !== `#${elementId}`) {
+      throw new Error('saml_signature_reference_invalid');
+    }
+    let valid = false;
+    try {
+      valid = sig.checkSignature(xml);
+    } catch {
+      valid = false;
+    }
+    if (valid) {
+      const [signed] = sig.getSignedReferences();
+      if (signed) return signed;
+    }
+  }
+  throw new Error('saml_signature_invalid');
+}
+
+function parseInstant(value) {
+  if (!value) return null;
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? ms : NaN;
+}
+
+function readAttributes(assertion) {
+  const attributes = {};
+  for (const statement of childElements(assertion, NS_ASSERTION, 'AttributeStatement')) {
+    for (const attribute of childElements(statement, NS_ASSERTION, 'Attribute')) {
+      const name = String(attribute.getAttribute('Name') || '').trim();
+      if (!name) continue;
+      const values = childElements(attribute, NS_ASSERTION, 'AttributeValue')
+        .map(textOf)
+        .filter(Boolean);
+      attributes[name] = [...(attributes[name] || []), ...values];
+    }
+  }
+  return attributes;
+}
+
+export function decodeSamlResponse(samlResponse) {
+  const raw = String(samlResponse || '').trim();
+  if (!raw) throw new Error('saml_response_missing');
+  const xml = Buffer.from(raw, 'base64').toString('utf8');
+  if (!xml.includes('<')) throw new Error('saml_response_invalid');
+  return xml;
+}
+
+export function validateSamlResponse(
+  samlResponse,
+  {
+    idpCertificates = [],
+    idpEntityId = '',
+    spEntityId,
+    acsUrl,
+    expectedInResponseTo,
+    requireSignedAssertion = false,
+    nowMs = Date.now(),
+    clockSkewSeconds = DEFAULT_CLOCK_SKEW_SECONDS,
+  } = {}
+) {
+  const xml = decodeSamlResponse(samlResponse);
+  const doc = parseXml(xml);
+  const response = doc.documentElement;
+  if (response.namespaceURI !== NS_PROTOCOL || response.localName !== 'Response') {
+    throw new Error('saml_response_invalid');
+  }
+
+  const statusCode = firstChild(firstChild(response, NS_PROTOCOL, 'Status'), NS_PROTOCOL, 'StatusCode');
+  if (String(statusCode?.getAttribute('Value') || '') !== STATUS_SUCCESS) {
+    throw new Error('saml_status_not_success');
+  }
+  if (childElements(response, NS_ASSERTION, 'EncryptedAssertion').length) {
+    throw new Error('saml_encrypted_assertion_unsupported');
+  }
+  const assertions = childElements(response, NS_ASSERTION, 'Assertion');
+  if (assertions.length !== 1) throw new Error('saml_assertion_count_invalid');
+
+  const publicKeys = publicKeysFromCertificates(idpCertificates);
+  if (!publicKeys.length) throw new Error('saml_idp_certificate_missing');
+
+  let assertion = null;
+  const signedAssertionXml = verifyEnvelopedSignature(xml, doc, assertions[0], publicKeys);
+  if (signedAssertionXml) {
+    assertion = parseXml(signedAssertionXml).documentElement;
+  } else {
+    if (requireSignedAssertion) throw new Error('saml_assertion_unsigned');
+    const signedResponseXml = verifyEnvelopedSignature(xml, doc, response, publicKeys);
+    if (!signedResponseXml) throw new Error('saml_signature_missing');
+    const signedAssertions = childElements(
+      parseXml(signedResponseXml).documentElement,
+      NS_ASSERTION,
+      'Assertion'
+    );
+    if (signedAssertions.length !== 1) throw new Error('saml_assertion_count_invalid');
+    assertion = signedAssertions[0];
+  }
+
+  const skewMs = Math.max(0, Number(clockSkewSeconds) || 0) * 1000;
+  const issuer = textOf(firstChild(assertion, NS_ASSERTION, 'Issuer'));
+  if (idpEntityId && issuer !== idpEntityId) throw new Error('saml_issuer_mismatch');
+
+  const destination = String(response.getAttribute('Destination') || '');
+  if (destination && acsUrl && destination !== acsUrl) {
+    throw new Error('saml_destination_mismatch');
+  }
+
+  const conditions = firstChild(assertion, NS_ASSERTION, 'Conditions');
+  if (!conditions) throw new Error('saml_conditions_missing');
+  const notBefore = parseInstant(conditions.getAttribute('NotBefore'));
+  const notOnOrAfter = parseInstant(conditions.getAttribute('NotOnOrAfter'));
+  if (Number.isNaN(notBefore) || Number.isNaN(notOnOrAfter)) {
+    throw new Error('saml_conditions_invalid');
+  }
+  if (notBefore !== null && nowMs + skewMs < notBefore) {
+    throw new Error('saml_assertion_not_yet_valid');
+  }
+  if (notOnOrAfter !== null && nowMs - skewMs >= notOnOrAfter) {
+    throw new Error('saml_assertion_expired');
+  }
+  const audiences = childElements(conditions, NS_ASSERTION, 'AudienceRestriction').flatMap(
+    (restriction) => childElements(restriction, NS_ASSERTION, 'Audience').map(textOf)
+  );
+  if (!spEntityId || !audiences.includes(spEntityId)) {
+    throw new Error('saml_audience_mismatch');
+  }
+
+  const subject = firstChild(assertion, NS_ASSERTION, 'Subject');
+  const nameIdNode = firstChild(subject, NS_ASSERTION, 'NameID');
+  const nameId = textOf(nameIdNode);
+  if (!nameId) throw new Error('saml_name_id_missing');
+
+  const bearer = childElements(subject, NS_ASSERTION, 'SubjectConfirmation').find(
+    (confirmation) => confirmation.getAttribute('Method') === BEARER_METHOD
+  );
+  const confirmationData = firstChild(bearer, NS_ASSERTION, 'SubjectConfirmationData');
+  if (!confirmationData) throw new Error('saml_subject_confirmation_missing');
+  const confirmationExpiry = parseInstant(confirmationData.getAttribute('NotOnOrAfter'));
+  if (!confirmationExpiry || nowMs - skewMs >= confirmationExpiry) {
+    throw new Error('saml_subject_confirmation_expired');
+  }
+  const recipient = String(confirmationData.getAttribute('Recipient') || '');
+  if (acsUrl && recipient && recipient !== acsUrl) {
+    throw new Error('saml_recipient_mismatch');
+  }
+
+  const inResponseTo =
+    String(confirmationData.getAttribute('InResponseTo') || '') ||
+    String(response.getAttribute('InResponseTo') || '');
+  if (expectedInResponseTo !== undefined && inResponseTo !== String(expectedInResponseTo || '')) {
+    throw new Error('saml_in_response_to_mismatch');
+  }
+
+  const authnStatement = firstChild(assertion, NS_ASSERTION, 'AuthnStatement');
+  return {
+    assertionId: String(assertion.getAttribute('ID') || ''),
+    issuer,
+    nameId,
+    nameIdFormat: String(nameIdNode.getAttribute('Format') || ''),
+    sessionIndex: String(authnStatement?.getAttribute('SessionIndex') || ''),
+    inResponseTo,
+    notOnOrAfter: notOnOrAfter || confirmationExpiry,
+    attributes: readAttributes(assertion),
+  };
+}
+
+function pickAttributeValues(attributes = {}, names = []) {
+  const lowered = new Map(
+    Object.entries(attributes).map(([name, values]) => [name.toLowerCase(), values])
+  );
+  for (const name of names) {
+    const values = lowered.get(String(name).toLowerCase());
+    if (Array.isArray(values) && values.length) return values;
+  }
+  return [];
+}
+
+export function mapSamlAttributes(result = {}, attributeMap = {}) {
+  const names = { ...DEFAULT_ATTRIBUTE_MAP, ...(attributeMap || {}) };
+  const attributes = result.attributes || {};
+  const nameId = String(result.nameId || '').trim();
+  const emailValue =
+    pickAttributeValues(attributes, names.email)[0] ||
+    (nameId.includes('@') ? nameId : '');
+  return {
+    subject: nameId,
+    email: String(emailValue || '').trim().toLowerCase(),
+    name: String(pickAttributeValues(attributes, names.name)[0] || '').trim(),
+    groups: uniqStrings(pickAttributeValues(attributes, names.groups)),
+    siteId: String(pickAttributeValues(attributes, names.siteId)[0] || '')
+      .trim()
+      .toUpperCase(),
+  };
+}
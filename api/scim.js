@@ -0,0 +1,898 @@
+import crypto from 'node:crypto';
+
+// SCIM 2.0 protocol pieces (RFC 7643/7644) that do not touch storage: the
+// filter grammar, list paging, PATCH operations, ETags, error bodies and the
+// discovery documents. Resources are plain SCIM JSON objects; server.js maps
+// them to and from table items.
+
+export const SCIM_SCHEMAS = Object.freeze({
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  serviceProviderConfig: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  resourceType: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+  schema: 'urn:ietf:params:scim:schemas:core:2.0:Schema',
+});
+
+export const SCIM_LIMITS = Object.freeze({
+  maxResults: 200,
+  defaultCount: 100,
+  maxOperations: 100,
+  maxFilterChars: 1000,
+});
+
+export const SCIM_CONTENT_TYPE = 'application/scim+json';
+
+// Internal error codes → RFC 7644 §3.12 scimType.
+const SCIM_TYPES = Object.freeze({
+  scim_invalid_filter: 'invalidFilter',
+  scim_invalid_path: 'invalidPath',
+  scim_invalid_syntax: 'invalidSyntax',
+  scim_invalid_value: 'invalidValue',
+  scim_mutability: 'mutability',
+  scim_no_target: 'noTarget',
+  scim_too_many: 'tooMany',
+  scim_uniqueness: 'uniqueness',
+});
+
+export function scimErrorBody(status, code = '') {
+  const detail = String(code || '').trim();
+  return {
+    schemas: [SCIM_SCHEMAS.error],
+    status: String(status),
+    ...(SCIM_TYPES[detail] ? { scimType: SCIM_TYPES[detail] } : {}),
+    detail,
+  };
+}
+
+// Per RFC 7643 attribute names are case-insensitive; `id` and `externalId`
+// are the only case-exact values in the attributes we serve.
+const CASE_EXACT = new Set(['id', 'externalid']);
+
+function attrKey(obj, name) {
+  if (!obj || typeof obj !== 'object') return undefined;
+  const lower = String(name).toLowerCase();
+  return Object.keys(obj).find((key) => key.toLowerCase() === lower);
+}
+
+function getAttr(obj, name) {
+  const key = attrKey(obj, name);
+  return key === undefined ? undefined : obj[key];
+}
+
+// ---------- filters ----------
+
+const COMPARE_OPS = new Set(['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le']);
+
+function tokenizeFilter(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+    } else if ('()[]'.includes(ch)) {
+      tokens.push({ type: ch });
+      i += 1;
+    } else if (ch === '"') {
+      let j = i + 1;
+      while (j < input.length && input[j] !== '"') j += input[j] === '\\' ? 2 : 1;
+      if (j >= input.length) throw new Error('scim_invalid_filter');
+      try {
+        tokens.push({ type: 'string', value: JSON.parse(input.slice(i, j + 1)) });
+      } catch {
+        throw new Error('scim_invalid_filter');
+      }
+      i = j + 1;
+    } else {
+      const match = /^[A-Za-z0-9_:.$+\-]+/.exec(input.slice(i));
+      if (!match) throw new Error('scim_invalid_filter');
+      tokens.push({ type: 'word', value: match[0] });
+      i += match[0].length;
+    }
+  }
+  return tokens;
+}
+
+// `urn:…:User:name.givenName` → { schema: 'urn:…:User', attrs: ['name', 'givenName'] }
+function splitAttrPath(raw = '') {
+  const text = String(raw || '').trim();
+  let schema = '';
+  let rest = text;
+  if (/^urn:/i.test(text)) {
+    const cut = text.lastIndexOf(':');
+    schema = text.slice(0, cut);
+    rest = text.slice(cut + 1);
+  }
+  const attrs = rest.split('.').filter(Boolean);
+  if (!attrs.length || attrs.length > 2 || attrs.some((attr) => !/^[A-Za-z$][\w$-]*$/.test(attr))) {
+    throw new Error('scim_invalid_path');
+  }
+  return { schema, attrs };
+}
+
+function parseCompValue(token) {
+  if (!token) throw new Error('scim_invalid_filter');
+  if (token.type === 'string') return token.value;
+  if (token.type !== 'word') throw new Error('scim_invalid_filter');
+  const word = token.value.toLowerCase();
+  if (word === 'true') return true;
+  if (word === 'false') return false;
+  if (word === 'null') return null;
+  const n = Number(token.value);
+  if (!Number.isFinite(n)) throw new Error('scim_invalid_filter');
+  return n;
+}
+
+function filterParser(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isWord = (token, word) => token?.type === 'word' && token.value.toLowerCase() === word;
+  const expect = (type) => {
+    if (peek()?.type !== type) throw new Error('scim_invalid_filter');
+    pos += 1;
+  };
+
+  function attrPath() {
+    const token = peek();
+    if (token?.type !== 'word') throw new Error('scim_invalid_filter');
+    pos += 1;
+    try {
+      return splitAttrPath(token.value);
+    } catch {
+      throw new Error('scim_invalid_filter');
+    }
+  }
+
+  function attrExp() {
+    const path = attrPath();
+    if (peek()?.type === '[') {
+      pos += 1;
+      const filter = orExp();
+      expect(']');
+      return { op: 'valuePath', path, filter };
+    }
+    const opToken = peek();
+    if (opToken?.type !== 'word') throw new Error('scim_invalid_filter');
+    const op = opToken.value.toLowerCase();
+    pos += 1;
+    if (op === 'pr') return { op, path };
+    if (!COMPARE_OPS.has(op)) throw new Error('scim_invalid_filter');
+    const value = parseCompValue(peek());
+    pos += 1;
+    return { op, path, value };
+  }
+
+  function unaryExp() {
+    if (isWord(peek(), 'not') && tokens[pos + 1]?.type === '(') {
+      pos += 2;
+      const expr = orExp();
+      expect(')');
+      return { op: 'not', expr };
+    }
+    if (peek()?.type === '(') {
+      pos += 1;
+      const expr = orExp();
+      expect(')');
+      return expr;
+    }
+    return attrExp();
+  }
+
+  function andExp() {
+    let left = unaryExp();
+    while (isWord(peek(), 'and')) {
+      pos += 1;
+      left = { op: 'and', left, right: unaryExp() };
+    }
+    return left;
+  }
+
+  function orExp() {
+    let left = andExp();
+    while (isWord(peek(), 'or')) {
+      pos += 1;
+      left = { op: 'or', left, right: andExp() };
+    }
+    return left;
+  }
+
+  return {
+    parse() {
+      const ast = orExp();
+      if (pos !== tokens.length) throw new Error('scim_invalid_filter');
+      return ast;
+    },
+  };
+}
+
+// RFC 7644 §3.4.2.2 filter → AST. 'not' binds tighter than 'and', which binds
+// tighter than 'or'. An empty filter parses to null (match everything).
+export function parseScimFilter(input = '') {
+  const text = String(input || '').trim();
+  if (!text) return null;
+  if (text.length > SCIM_LIMITS.maxFilterChars) throw new Error('scim_invalid_filter');
+  return filterParser(tokenizeFilter(text)).parse();
+}
+
+function resourceRoot(resource, schema) {
+  if (!schema) return resource;
+  const lower = schema.toLowerCase();
+  if (lower === SCIM_SCHEMAS.user.toLowerCase() || lower === SCIM_SCHEMAS.group.toLowerCase()) return resource;
+  return getAttr(resource, schema);
+}
+
+// Every value at `path`, with multi-valued attributes flattened, so that
+// `emails.value eq "x"` matches when any email does.
+function valuesAt(resource, { schema, attrs }) {
+  let values = [resourceRoot(resource, schema)];
+  for (const attr of attrs) {
+    values = values
+      .flatMap((value) => (Array.isArray(value) ? value : [value]))
+      .map((value) => getAttr(value, attr))
+      .filter((value) => value !== undefined && value !== null);
+  }
+  return values.flatMap((value) => (Array.isArray(value) ? value : [value]));
+}
+
+function isPresent(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return true;
+}
+
+function compareValues(op, actual, expected, caseExact) {
+  if (expected === null) return op === 'ne' ? isPresent(actual) : op === 'eq' && !isPresent(actual);
+  if (typeof expected === 'boolean') {
+    if (op === 'eq') return actual === expected;
+    if (op === 'ne') return actual !== expected;
+    throw new Error('scim_invalid_filter');
+  }
+  if (typeof expected === 'number') {
+    const n = Number(actual);
+    if (!Number.isFinite(n)) return false;
+    if (op === 'eq') return n === expected;
+    if (op === 'ne') return n !== expected;
+    if (op === 'gt') return n > expected;
+    if (op === 'ge') return n >= expected;
+    if (op === 'lt') return n < expected;
+    if (op === 'le') return n <= expected;
+    throw new Error('scim_invalid_filter');
+  }
+  if (typeof actual !== 'string') return op === 'ne';
+  const a = caseExact ? actual : actual.toLowerCase();
+  const b = caseExact ? String(expected) : String(expected).toLowerCase();
+  if (op === 'eq') return a === b;
+  if (op === 'ne') return a !== b;
+  if (op === 'co') return a.includes(b);
+  if (op === 'sw') return a.startsWith(b);
+  if (op === 'ew') return a.endsWith(b);
+  if (op === 'gt') return a > b;
+  if (op === 'ge') return a >= b;
+  if (op === 'lt') return a < b;
+  if (op === 'le') return a <= b;
+  throw new Error('scim_invalid_filter');
+}
+
+export function matchesScimFilter(ast, resource = {}) {
+  if (!ast) return true;
+  if (ast.op === 'and') return matchesScimFilter(ast.left, resource) && matchesScimFilter(ast.right, resource);
+  if (ast.op === 'or') return matchesScimFilter(ast.left, resource) || matchesScimFilter(ast.right, resource);
+  if (ast.op === 'not') return !matchesScimFilter(ast.expr, resource);
+  if (ast.op === 'valuePath') {
+    return valuesAt(resource, ast.path).some((entry) => entry && typeof entry === 'object' && matchesScimFilter(ast.filter, entry));
+  }
+  const values = valuesAt(resource, ast.path);
+  if (ast.op === 'pr') return values.some(isPresent);
+  const caseExact = CASE_EXACT.has(ast.path.attrs[ast.path.attrs.length - 1].toLowerCase());
+  // 'ne' holds only when no value equals the operand.
+  if (ast.op === 'ne') return !values.some((value) => compareValues('eq', value, ast.value, caseExact));
+  if (!values.length) return ast.value === null && ast.op === 'eq';
+  return values.some((value) => compareValues(ast.op, value, ast.value, caseExact));
+}
+
+// ---------- paging and projection ----------
+
+// startIndex is 1-based; values below 1 are read as 1 and a negative count as
+// 0, per RFC 7644 §3.4.2.4.
+export function scimPageParams(query = {}) {
+  const start = Math.floor(Number(query.startIndex));
+  const count = Math.floor(Number(query.count));
+  return {
+    startIndex: Number.isFinite(start) && start > 1 ? start : 1,
+    count: Number.isFinite(count) ? Math.max(0, Math.min(SCIM_LIMITS.maxResults, count)) : SCIM_LIMITS.defaultCount,
+  };
+}
+
+export function scimListResponse(resources = [], { startIndex = 1, count = SCIM_LIMITS.defaultCount } = {}) {
+  const page = resources.slice(startIndex - 1, startIndex - 1 + count);
+  return {
+    schemas: [SCIM_SCHEMAS.listResponse],
+    totalResults: resources.length,
+    startIndex,
+    itemsPerPage: page.length,
+    Resources: page,
+  };
+}
+
+const ALWAYS_RETURNED = new Set(['schemas', 'id', 'meta']);
+
+function attrList(value) {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => splitAttrPath(entry).attrs.map((attr) => attr.toLowerCase()));
+}
+
+// `attributes` / `excludedAttributes` query parameters (RFC 7644 §3.4.2.5).
+// Top-level and one level of sub-attribute are honoured; id, schemas and meta
+// are always returned.
+export function projectScimResource(resource = {}, { attributes = '', excludedAttributes = '' } = {}) {
+  const include = attrList(attributes);
+  const exclude = attrList(excludedAttributes);
+  if (!include.length && !exclude.length) return resource;
+  const out = {};
+  for (const [key, value] of Object.entries(resource)) {
+    const lower = key.toLowerCase();
+    if (ALWAYS_RETURNED.has(lower)) {
+      out[key] = value;
+      continue;
+    }
+    if (include.length) {
+      const picks = include.filter((path) => path[0] === lower);
+      if (!picks.length) continue;
+      if (picks.some((path) => path.length === 1) || !value || typeof value !== 'object') {
+        out[key] = value;
+        continue;
+      }
+      const subs = new Set(picks.map((path) => path[1]));
+      const pickSubs = (entry) =>
+        Object.fromEntries(Object.entries(entry || {}).filter(([sub]) => subs.has(sub.toLowerCase())));
+      out[key] = Array.isArray(value) ? value.map(pickSubs) : pickSubs(value);
+      continue;
+    }
+    const drops = exclude.filter((path) => path[0] === lower);
+    if (drops.some((path) => path.length === 1)) continue;
+    if (drops.length && value && typeof value === 'object') {
+      const subs = new Set(drops.map((path) => path[1]));
+      const dropSubs = (entry) =>
+        Object.fromEntries(Object.entries(entry || {}).filter(([sub]) => !subs.has(sub.toLowerCase())));
+      out[key] = Array.isArray(value) ? value.map(dropSubs) : dropSubs(value);
+      continue;
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+// ---------- versions ----------
+
+// Weak ETag over the resource content, so meta.version changes exactly when a
+// client-visible attribute does.
+export function scimEtag(resource = {}) {
+  const { meta, ...rest } = resource || {};
+  const digest = crypto.createHash('sha1').update(JSON.stringify(rest)).digest('hex').slice(0, 20);
+  return `W/"${digest}"`;
+}
+
+function etagList(header = '') {
+  return String(header || '')
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .filter(Boolean);
+}
+
+// If-Match: true when the request may proceed. A missing header always may.
+export function scimIfMatch(header, etag) {
+  const tags = etagList(header);
+  if (!tags.length || tags.includes('*')) return true;
+  return tags.includes(String(etag || '').replace(/^W\//, ''));
+}
+
+// If-None-Match: true when the client already holds this version.
+export function scimNotModified(header, etag) {
+  const tags = etagList(header);
+  if (!tags.length) return false;
+  return tags.includes('*') || tags.includes(String(etag || '').replace(/^W\//, ''));
+}
+
+// Entra sends booleans as "True"/"False" strings in PATCH values.
+export function scimBoolean(value, fallback = true) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  return fallback;
+}
+
+// ---------- PATCH ----------
+
+// `emails[type eq "work"].value` → { schema, attr, filter, sub }
+export function parseScimPath(raw = '') {
+  const text = String(raw || '').trim();
+  if (!text) throw new Error('scim_invalid_path');
+  const open = text.indexOf('[');
+  if (open === -1) {
+    const { schema, attrs } = splitAttrPath(text);
+    return { schema, attr: attrs[0], filter: null, sub: attrs[1] || '' };
+  }
+  const close = text.lastIndexOf(']');
+  if (close < open) throw new Error('scim_invalid_path');
+  const { schema, attrs } = splitAttrPath(text.slice(0, open));
+  if (attrs.length !== 1) throw new Error('scim_invalid_path');
+  const tail = text.slice(close + 1);
+  if (tail && !/^\.[A-Za-z$][\w$-]*$/.test(tail)) throw new Error('scim_invalid_path');
+  let filter;
+  try {
+    filter = parseScimFilter(text.slice(open + 1, close));
+  } catch {
+    throw new Error('scim_invalid_path');
+  }
+  if (!filter) throw new Error('scim_invalid_path');
+  return { schema, attr: attrs[0], filter, sub: tail.slice(1) };
+}
+
+function setAttr(obj, name, value) {
+  const key = attrKey(obj, name) ?? name;
+  obj[key] = value;
+}
+
+function deleteAttr(obj, name) {
+  const key = attrKey(obj, name);
+  if (key !== undefined) delete obj[key];
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameMultiValue(a, b) {
+  if (isPlainObject(a) && isPlainObject(b) && getAttr(a, 'value') !== undefined) {
+    return String(getAttr(a, 'value')) === String(getAttr(b, 'value'));
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// A filter made only of `attr eq value` terms (joined by and) can seed a new
+// multi-valued entry, which is what Entra expects when it replaces
+// `emails[type eq "work"].value` on a user that has no work email yet.
+function seedFromFilter(ast, out = {}) {
+  if (ast?.op === 'and') return seedFromFilter(ast.left, out) && seedFromFilter(ast.right, out);
+  if (ast?.op === 'eq' && ast.path.attrs.length === 1 && !ast.path.schema) {
+    out[ast.path.attrs[0]] = ast.value;
+    return out;
+  }
+  return null;
+}
+
+function applyAtPath(resource, op, path, value) {
+  const target = parseScimPath(path);
+  let container = resource;
+  if (target.schema && resourceRoot(resource, target.schema) !== resource) {
+    container = getAttr(resource, target.schema);
+    if (!isPlainObject(container)) {
+      if (op === 'remove') return;
+      container = {};
+      setAttr(resource, target.schema, container);
+    }
+  }
+  const current = getAttr(container, target.attr);
+
+  if (target.filter) {
+    const entries = Array.isArray(current) ? current : [];
+    const hits = entries.filter((entry) => isPlainObject(entry) && matchesScimFilter(target.filter, entry));
+    if (op === 'remove') {
+      if (!target.sub) setAttr(container, target.attr, entries.filter((entry) => !hits.includes(entry)));
+      else hits.forEach((entry) => deleteAttr(entry, target.sub));
+      return;
+    }
+    if (!hits.length) {
+      const seed = seedFromFilter(target.filter);
+      if (!seed) throw new Error('scim_no_target');
+      const entry = target.sub ? { ...seed, [target.sub]: value } : { ...seed, ...(isPlainObject(value) ? value : {}) };
+      setAttr(container, target.attr, [...entries, entry]);
+      return;
+    }
+    for (const entry of hits) {
+      if (target.sub) setAttr(entry, target.sub, value);
+      else if (isPlainObject(value)) Object.entries(value).forEach(([key, v]) => setAttr(entry, key, v));
+      else throw new Error('scim_invalid_value');
+    }
+    return;
+  }
+
+  if (target.sub) {
+    const parent = isPlainObject(current) ? current : {};
+    if (op === 'remove') deleteAttr(parent, target.sub);
+    else setAttr(parent, target.sub, value);
+    setAttr(container, target.attr, parent);
+    return;
+  }
+
+  if (op === 'remove') {
+    // Okta and Entra remove group members as { path: 'members', value: [...] }.
+    if (Array.isArray(current) && Array.isArray(value) && value.length) {
+      setAttr(container, target.attr, current.filter((entry) => !value.some((drop) => sameMultiValue(entry, drop))));
+    } else {
+      deleteAttr(container, target.attr);
+    }
+    return;
+  }
+  if (Array.isArray(current) || Array.isArray(value)) {
+    const incoming = Array.isArray(value) ? value : [value];
+    if (op === 'replace') {
+      setAttr(container, target.attr, incoming);
+      return;
+    }
+    const merged = Array.isArray(current) ? current.slice() : [];
+    for (const entry of incoming) {
+      if (!merged.some((existing) => sameMultiValue(existing, entry))) merged.push(entry);
+    }
+    setAttr(container, target.attr, merged);
+    return;
+  }
+  // Complex single-valued attributes merge: unspecified sub-attributes stay.
+  if (isPlainObject(current) && isPlainObject(value)) {
+    setAttr(container, target.attr, { ...current, ...value });
+    return;
+  }
+  setAttr(container, target.attr, value);
+}
+
+// RFC 7644 §3.5.2 PatchOp against a SCIM resource. Returns a new resource;
+// throws scim_* codes. `readOnly` lists top-level attributes clients may not
+// touch (id and meta always).
+export function applyScimPatch(resource = {}, body = {}, { readOnly = [] } = {}) {
+  const operations = Array.isArray(body?.Operations) ? body.Operations : null;
+  if (!operations) throw new Error('scim_invalid_syntax');
+  if (operations.length > SCIM_LIMITS.maxOperations) throw new Error('scim_too_many');
+  const locked = new Set(['id', 'meta', 'schemas', ...readOnly].map((attr) => attr.toLowerCase()));
+  const next = structuredClone(resource);
+
+  const guard = (path) => {
+    const { schema, attr } = parseScimPath(path);
+    if (!schema && locked.has(attr.toLowerCase())) throw new Error('scim_mutability');
+  };
+
+  for (const raw of operations) {
+    const op = String(raw?.op || '').trim().toLowerCase();
+    if (!['add', 'replace', 'remove'].includes(op)) throw new Error('scim_invalid_syntax');
+    const path = String(raw?.path || '').trim();
+    if (path) {
+      guard(path);
+      if (op !== 'remove' && raw.value === undefined) throw new Error('scim_invalid_value');
+      applyAtPath(next, op, path, raw.value);
+      continue;
+    }
+    if (op === 'remove') throw new Error('scim_no_target');
+    if (!isPlainObject(raw.value)) throw new Error('scim_invalid_value');
+    // Without a path, each key of value is itself a path (Entra sends
+    // dotted keys such as "name.givenName" here).
+    for (const [key, value] of Object.entries(raw.value)) {
+      if (/^urn:/i.test(key) && isPlainObject(value) && resourceRoot(next, key) !== next) {
+        for (const [sub, subValue] of Object.entries(value)) applyAtPath(next, op, `${key}:${sub}`, subValue);
+        continue;
+      }
+      // Okta echoes the resource id inside rename values; an unchanged
+      // read-only attribute is not an attempt to modify it.
+      if (locked.has(key.toLowerCase()) && JSON.stringify(getAttr(next, key)) === JSON.stringify(value)) continue;
+      guard(key);
+      applyAtPath(next, op, key, value);
+    }
+  }
+  return next;
+}
+
+// ---------- group-driven access ----------
+
+// Roles a directory group may grant. SUPER_ADMIN is platform staff, never
+// something an org's IdP hands out.
+export const SCIM_MAPPABLE_ROLES = Object.freeze(['PARTICIPANT', 'PRESENTER', 'ADMIN']);
+const MAX_GROUP_MAPPINGS = 200;
+
+// Org policy mapping directory groups to a role and/or site. `group` matches a
+// SCIM group's displayName, externalId or id, case-insensitively.
+export function normalizeScimGroupMap(input = {}) {
+  const rows = Array.isArray(input?.mappings) ? input.mappings : [];
+  if (rows.length > MAX_GROUP_MAPPINGS) throw new Error('scim_group_map_too_large');
+  const mappings = [];
+  for (const row of rows) {
+    const group = String(row?.group || '').trim().slice(0, 256);
+    if (!group) continue;
+    const role = String(row?.role || '').trim().toUpperCase();
+    if (role && !SCIM_MAPPABLE_ROLES.includes(role)) throw new Error('scim_group_role_invalid');
+    const siteId = String(row?.siteId || '').trim().toUpperCase().slice(0, 64);
+    if (!role && !siteId) continue;
+    mappings.push({ group, ...(role ? { role } : {}), ...(siteId ? { siteId } : {}) });
+  }
+  return { mappings };
+}
+
+// Roles and sites granted by the groups a user belongs to. `groups` are
+// { id, displayName, externalId } rows; picking the winning role is left to
+// the caller, which knows the role ordering.
+export function scimGroupAccess(groups = [], map = {}) {
+  const keys = new Set(
+    groups.flatMap((group) =>
+      [group?.id, group?.displayName, group?.externalId].map((v) => String(v || '').trim().toLowerCase()).filter(Boolean)
+    )
+  );
+  const roles = new Set();
+  const siteIds = new Set();
+  for (const row of map?.mappings || []) {
+    if (!keys.has(String(row.group || '').toLowerCase())) continue;
+    if (row.role) roles.add(row.role);
+    if (row.siteId) siteIds.add(row.siteId);
+  }
+  return { roles: [...roles], siteIds: [...siteIds].sort() };
+}
+
+// ---------- bearer tokens ----------
+
+// Per-org IdP credentials. A token reads `scim.<base64url orgId>.<tokenId>.<secret>`
+// so the org is known before any lookup; only a SHA-256 of the secret is
+// stored. Rotation keeps the old token alive for an overlap window so the IdP
+// can be switched over without a provisioning gap.
+export const SCIM_TOKEN_LIMITS = Object.freeze({
+  maxActive: 5,
+  defaultOverlapHours: 24,
+  maxOverlapHours: 24 * 30,
+  maxTtlDays: 730,
+  keepInactiveDays: 90,
+  touchIntervalMs: 5 * 60_000,
+});
+
+const TOKEN_PREFIX = 'scim';
+const DAY_MS = 24 * 60 * 60_000;
+
+function secretHash(secret) {
+  return crypto.createHash('sha256').update(String(secret || '')).digest('hex');
+}
+
+function clampNumber(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+export function parseScimToken(raw = '') {
+  const parts = String(raw || '').trim().split('.');
+  if (parts.length !== 4 || parts[0] !== TOKEN_PREFIX) return null;
+  const [, org, tokenId, secret] = parts;
+  if (!/^[0-9a-f]{12}$/.test(tokenId) || secret.length < 32) return null;
+  const orgId = Buffer.from(org, 'base64url').toString('utf8').trim();
+  if (!orgId) return null;
+  return { orgId, tokenId, secret };
+}
+
+export function scimTokenStatus(record = {}, now = Date.now()) {
+  if (record.revokedAt) return 'REVOKED';
+  if (record.expiresAt && record.expiresAt <= now) return 'EXPIRED';
+  if (record.rotatedAt) return 'ROTATING';
+  return 'ACTIVE';
+}
+
+function isLive(record, now) {
+  const status = scimTokenStatus(record, now);
+  return status === 'ACTIVE' || status === 'ROTATING';
+}
+
+// Stored token list, sanitised; revoked or expired entries are dropped once
+// they are older than `keepInactiveDays` so the policy row stays small.
+export function normalizeScimTokens(list = [], now = Date.now()) {
+  const cutoff = now - SCIM_TOKEN_LIMITS.keepInactiveDays * DAY_MS;
+  return (Array.isArray(list) ? list : [])
+    .filter((row) => /^[0-9a-f]{12}$/.test(String(row?.tokenId || '')) && /^[0-9a-f]{64}$/.test(String(row?.hash || '')))
+    .filter((row) => isLive(row, now) || Math.max(row.revokedAt || 0, row.expiresAt || 0) > cutoff)
+    .map((row) => ({
+      tokenId: row.tokenId,
+      hash: row.hash,
+      label: String(row.label || '').slice(0, 80),
+      licenseId: String(row.licenseId || ''),
+      createdAt: Number(row.createdAt || 0) || null,
+      createdBy: String(row.createdBy || ''),
+      expiresAt: Number(row.expiresAt || 0) || null,
+      rotatedAt: Number(row.rotatedAt || 0) || null,
+      replacedBy: String(row.replacedBy || ''),
+      revokedAt: Number(row.revokedAt || 0) || null,
+      revokedBy: String(row.revokedBy || ''),
+      lastUsedAt: Number(row.lastUsedAt || 0) || null,
+      lastUsedIp: String(row.lastUsedIp || ''),
+    }));
+}
+
+// New token for `orgId`. The plaintext is returned once and never stored.
+export function issueScimToken(records = [], orgId, { label = '', ttlDays = 0, licenseId = '', createdBy = '', now = Date.now() } = {}) {
+  const org = String(orgId || '').trim();
+  if (!org) throw new Error('orgId_required');
+  const active = records.filter((row) => scimTokenStatus(row, now) === 'ACTIVE').length;
+  if (active >= SCIM_TOKEN_LIMITS.maxActive) throw new Error('scim_token_limit');
+  const days = clampNumber(ttlDays, 0, SCIM_TOKEN_LIMITS.maxTtlDays, 0);
+  const tokenId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = {
+    tokenId,
+    hash: secretHash(secret),
+    label: String(label || '').trim().slice(0, 80),
+    licenseId: String(licenseId || ''),
+    createdAt: now,
+    createdBy: String(createdBy || ''),
+    expiresAt: days ? now + Math.round(days * DAY_MS) : null,
+    rotatedAt: null,
+    replacedBy: '',
+    revokedAt: null,
+    revokedBy: '',
+    lastUsedAt: null,
+    lastUsedIp: '',
+  };
+  const token = [TOKEN_PREFIX, Buffer.from(org, 'utf8').toString('base64url'), tokenId, secret].join('.');
+  return { token, record, records: [...records, record] };
+}
+
+// Issues the replacement and schedules the old token to expire after the
+// overlap window (never later than it would have anyway).
+export function rotateScimToken(records = [], orgId, tokenId, { overlapHours, ...options } = {}) {
+  const now = options.now ?? Date.now();
+  const current = records.find((row) => row.tokenId === tokenId);
+  if (!current) throw new Error('scim_token_not_found');
+  if (scimTokenStatus(current, now) !== 'ACTIVE') throw new Error('scim_token_inactive');
+  const hours = clampNumber(
+    overlapHours ?? SCIM_TOKEN_LIMITS.defaultOverlapHours,
+    0,
+    SCIM_TOKEN_LIMITS.maxOverlapHours,
+    SCIM_TOKEN_LIMITS.defaultOverlapHours
+  );
+  const retireAt = now + Math.round(hours * 60 * 60_000);
+  const others = records.filter((row) => row !== current);
+  const issued = issueScimToken(others, orgId, {
+    label: current.label,
+    licenseId: current.licenseId,
+    ...options,
+    now,
+  });
+  const retired = {
+    ...current,
+    rotatedAt: now,
+    replacedBy: issued.record.tokenId,
+    expiresAt: current.expiresAt ? Math.min(current.expiresAt, retireAt) : retireAt,
+  };
+  return {
+    ...issued,
+    retired,
+    records: records.map((row) => (row === current ? retired : row)).concat(issued.record),
+  };
+}
+
+export function revokeScimToken(records = [], tokenId, { revokedBy = '', now = Date.now() } = {}) {
+  const current = records.find((row) => row.tokenId === tokenId);
+  if (!current) throw new Error('scim_token_not_found');
+  if (current.revokedAt) return { revoked: current, records };
+  const revoked = { ...current, revokedAt: now, revokedBy: String(revokedBy || '') };
+  return { revoked, records: records.map((row) => (row === current ? revoked : row)) };
+}
+
+// Live record the presented token belongs to, or null. The hash comparison is
+// constant-time.
+export function findScimToken(records = [], parsed = null, now = Date.now()) {
+  if (!parsed?.tokenId || !parsed?.secret) return null;
+  const record = records.find((row) => row.tokenId === parsed.tokenId);
+  if (!record || !isLive(record, now)) return null;
+  const presented = Buffer.from(secretHash(parsed.secret), 'hex');
+  const stored = Buffer.from(String(record.hash || ''), 'hex');
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) return null;
+  return record;
+}
+
+// Admin-facing view: no hash, plus a status and a recognisable hint.
+export function describeScimToken(record = {}, now = Date.now()) {
+  const { hash, ...rest } = record;
+  return { ...rest, hint: `${TOKEN_PREFIX}.….${record.tokenId}.…`, status: scimTokenStatus(record, now) };
+}
+
+// ---------- discovery ----------
+
+// `baseUrl` is the absolute /scim/v2 root the IdP is configured with.
+export function scimServiceProviderConfig({ baseUrl = '/scim/v2', documentationUri = '' } = {}) {
+  return {
+    schemas: [SCIM_SCHEMAS.serviceProviderConfig],
+    ...(documentationUri ? { documentationUri } : {}),
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: SCIM_LIMITS.maxResults },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: true },
+    authenticationSchemes: [
+      {
+        type: 'oauthbearertoken',
+        name: 'OAuth Bearer Token',
+        description: 'Authentication with a bearer token issued for SCIM provisioning.',
+        primary: true,
+      },
+    ],
+    meta: { resourceType: 'ServiceProviderConfig', location: `${baseUrl}/ServiceProviderConfig` },
+  };
+}
+
+function attribute(name, extra = {}) {
+  return {
+    name,
+    type: 'string',
+    multiValued: false,
+    required: false,
+    caseExact: false,
+    mutability: 'readWrite',
+    returned: 'default',
+    uniqueness: 'none',
+    ...extra,
+  };
+}
+
+function multiValued(name, subAttributes, extra = {}) {
+  return attribute(name, { type: 'complex', multiValued: true, subAttributes, ...extra });
+}
+
+const USER_SCHEMA = Object.freeze({
+  id: SCIM_SCHEMAS.user,
+  name: 'User',
+  description: 'Workshop participant, presenter or administrator',
+  attributes: [
+    attribute('userName', { required: true, uniqueness: 'server' }),
+    attribute('name', {
+      type: 'complex',
+      subAttributes: [attribute('formatted'), attribute('givenName'), attribute('familyName')],
+    }),
+    attribute('displayName'),
+    attribute('active', { type: 'boolean' }),
+    multiValued('emails', [
+      attribute('value'),
+      attribute('type', { canonicalValues: ['work', 'home', 'other'] }),
+      attribute('primary', { type: 'boolean' }),
+    ]),
+    multiValued(
+      'groups',
+      [
+        attribute('value', { mutability: 'readOnly' }),
+        attribute('display', { mutability: 'readOnly' }),
+      ],
+      { mutability: 'readOnly' }
+    ),
+  ],
+});
+
+const GROUP_SCHEMA = Object.freeze({
+  id: SCIM_SCHEMAS.group,
+  name: 'Group',
+  description: 'Directory group, mapped to workshop roles',
+  attributes: [
+    attribute('displayName', { required: true }),
+    multiValued('members', [
+      attribute('value', { mutability: 'immutable' }),
+      attribute('display', { mutability: 'immutable' }),
+      attribute('type', { canonicalValues: ['User'], mutability: 'immutable' }),
+    ]),
+  ],
+});
+
+export function scimSchemas({ baseUrl = '/scim/v2' } = {}) {
+  return [USER_SCHEMA, GROUP_SCHEMA].map((schema) => ({
+    schemas: [SCIM_SCHEMAS.schema],
+    ...schema,
+    meta: { resourceType: 'Schema', location: `${baseUrl}/Schemas/${schema.id}` },
+  }));
+}
+
+export function scimResourceTypes({ baseUrl = '/scim/v2' } = {}) {
+  return [
+    { id: 'User', name: 'User', endpoint: '/Users', description: 'User Account', schema: SCIM_SCHEMAS.user },
+    { id: 'Group', name: 'Group', endpoint: '/Groups', description: 'Group', schema: SCIM_SCHEMAS.group },
+  ].map((type) => ({
+    schemas: [SCIM_SCHEMAS.resourceType],
+    ...type,
+    meta: { resourceType: 'ResourceType', location: `${baseUrl}/ResourceTypes/${type.id}` },
+  }));
+}
@@ -11,9 +11,11 @@ try {
 
 import express from 'express';
 import cors from 'cors';
+import { WebSocketServer } from 'ws';
 import path from 'node:path';
 import fs from 'node:fs';
 import crypto from 'node:crypto';
+import http from 'node:http';
 import { fileURLToPath } from 'node:url';
 
 // Optional deps
@@ -35,8 +37,113 @@ import {
   QueryCommand,
 } from '@aws-sdk/lib-dynamodb';
 
-import { getOpenAI } from './openaiClient.js';
-import { Asema } from './asemaPersona.js';
+import {
+  completeChat,
+  defaultLlmModel,
+  describeLlmCall,
+  getLlmRouter,
+  llmModelFitsProvider,
+  normalizeLlmProvider,
+  streamChat,
+} from './llmProviders.js';
+import { Asema, DEFAULT_PROMPT_ASSETS } from './asemaPersona.js';
+import { createAsemaRelay } from './asemaRelay.js';
+import { createPiiRedactor, redactChatMessages } from './piiRedaction.js';
+import {
+  aiCallCostMicros,
+  evaluateAiBudget,
+  microsToCents,
+  normalizeAiBudget,
+  parseAiPriceTable,
+  sumAiUsageRows,
+} from './aiMetering.js';
+import {
+  appendSourceList,
+  buildKnowledgeIndex,
+  chunkDocument,
+  citedPassages,
+  KNOWLEDGE_LIMITS,
+  knowledgePrompt,
+  normalizeKnowledgeDoc,
+  searchKnowledge,
+} from './knowledgeLibrary.js';
+import {
+  ASEMA_TOOL_LIMITS,
+  asemaToolActionLine,
+  asemaToolsFor,
+  evidenceEntryText,
+  outlineProposalText,
+  validateAsemaToolCall,
+} from './asemaTools.js';
+import {
+  normalizePromptAssets,
+  normalizePromptRollout,
+  pickPromptVersion,
+  promptAssetsHash,
+} from './promptRegistry.js';
+import { runPromptEval, transcriptCases } from './promptEval.js';
+import {
+  STRIPE_EVENT_TYPES,
+  applyBillingEvent,
+  createStripeClient,
+  describeBillingAccount,
+  dunningStep,
+  licenseStatusForBilling,
+  normalizeDunningPolicy,
+  normalizeStripeEvent,
+  verifyStripeSignature,
+} from './billing.js';
+import {
+  mergePriceBooks,
+  normalizePriceBook,
+  pricingInvoiceLines,
+  rateBillingPeriod,
+  recordPlanChange,
+} from './pricing.js';
+import {
+  SCIM_CONTENT_TYPE,
+  SCIM_MAPPABLE_ROLES,
+  SCIM_SCHEMAS,
+  SCIM_TOKEN_LIMITS,
+  applyScimPatch,
+  describeScimToken,
+  findScimToken,
+  issueScimToken,
+  matchesScimFilter,
+  normalizeScimGroupMap,
+  normalizeScimTokens,
+  parseScimFilter,
+  parseScimToken,
+  projectScimResource,
+  revokeScimToken,
+  rotateScimToken,
+  scimBoolean,
+  scimErrorBody,
+  scimEtag,
+  scimGroupAccess,
+  scimIfMatch,
+  scimListResponse,
+  scimNotModified,
+  scimPageParams,
+  scimResourceTypes,
+  scimSchemas,
+  scimServiceProviderConfig,
+} from './scim.js';
+import {
+  AI_POLICY_SCOPES,
+  aiPolicyLockConflicts,
+  diffAiPolicyOverrides,
+  mergeAiPolicyLayers,
+  normalizeAiPolicyScope,
+  normalizeLockedFields,
+  parseAiPolicyLayer,
+} from './aiPolicyLayers.js';
+import {
+  containsLikelyPii,
+  createModerationPipeline,
+  normalizeModerationThresholds,
+  prefilterModerationText,
+} from './moderation.js';
 import {
   collectTenantTargetsFromRequest,
   evaluateRoomAccess,
@@ -47,6 +154,74 @@ import {
   resolveJwtSecret,
   verifySessionToken,
 } from './auth.js';
+import {
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  extractIdentityClaims,
+  fetchDiscoveryDocument,
+  generatePkcePair,
+  normalizeOidcConfig,
+  normalizeOidcProvider,
+  openSsoTransaction,
+  randomUrlToken,
+  redactOidcConfig,
+  sealSsoTransaction,
+  verifyIdToken,
+} from './oidc.js';
+import {
+  buildAuthnRequest,
+  buildRedirectBindingUrl,
+  buildServiceProviderMetadata,
+  createSamlRequestId,
+  describeSamlCertificates,
+  mapSamlAttributes,
+  normalizeSamlConfig,
+  validateSamlResponse,
+} from './saml.js';
+import {
+  createMemoryEventBus,
+  createPollingEventBus,
+  createRedisEventBus,
+  normalizeEventBusBackend,
+} from './eventBus.js';
+import { createSseReplayBuffer, createStreamEventIdGenerator } from './sseReplay.js';
+import {
+  CANVAS_SECTIONS,
+  applyCanvasSectionEdit,
+  diffTextOp,
+} from './canvasOt.js';
+import {
+  applyStickyBoardAction,
+  dotsUsedBy,
+  normalizeStickyBoard,
+  stickyBoardCerText,
+  stickyBoardToText,
+} from './stickyBoard.js';
+import {
+  ballotTallyDelta,
+  normalizeBallot,
+  normalizeVoteConfig,
+  readVoteConfig,
+  tallyVote,
+  voteNullifier,
+  voteReceipt,
+} from './voteTally.js';
+import {
+  createGalleryBallot,
+  galleryBallotTurnout,
+  normalizeGalleryBallot,
+  tallyGalleryBallot,
+} from './galleryBallot.js';
+import {
+  ROOM_SOCKET_CLOSE,
+  createFrameRateLimiter,
+  createRoomSocketRegistry,
+  matchRoomSocketPath,
+  parseRoomSocketFrame,
+  socketAckFrame,
+  socketErrorFrame,
+  socketEventFrame,
+} from './roomSocket.js';
 
 // ---------- ENV ----------
 const PORT = Number(process.env.PORT || 8080);
@@ -83,6 +258,9 @@ const TABLES = {
   billing: process.env.DDB_TABLE_BILLING || 'storibloom_billing',
   support: process.env.DDB_TABLE_SUPPORT || 'storibloom_support',
   status: process.env.DDB_TABLE_STATUS || 'storibloom_status',
+  streamEvents: process.env.DDB_TABLE_STREAM_EVENTS || 'storibloom_stream_events',
+  knowledge: process.env.DDB_TABLE_KNOWLEDGE || 'storibloom_knowledge',
+  samlAssertions: process.env.DDB_TABLE_SAML_ASSERTIONS || 'storibloom_saml_assertions',
 
   // Optional gallery table (if not provisioned, gallery endpoint falls back to room records)
   gallery: process.env.DDB_TABLE_GALLERY || 'storibloom_gallery',
@@ -91,7 +269,7 @@ const TABLES = {
 const WEB_DIST_DIR = process.env.WEB_DIST_DIR || '/opt/StoriBloom/web-dist';
 const ENABLE_SPA = String(process.env.STATIC_INDEX || '0') === '1';
 
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-mini';
+const LLM_PROVIDER = normalizeLlmProvider(process.env.LLM_PROVIDER, 'openai');
 const SUPER_ADMIN_EMAIL = String(
   process.env.SUPER_ADMIN_EMAIL || 'demetrious@hiddengeniusproject.org'
 )
@@ -128,6 +306,9 @@ const DEFAULT_AUDIT_RETENTION_DAYS = Math.max(
 const CODE_TTL_DAYS = Math.max(1, Number(process.env.CODE_TTL_DAYS || 30));
 const CODE_HASH_SECRET = String(process.env.CODE_HASH_SECRET || '').trim();
 const SCIM_BEARER_TOKEN = String(process.env.SCIM_BEARER_TOKEN || '').trim();
+// Off by default: the shared token lets its holder pick any org with ?orgId=.
+// Scheduled for removal on 2027-01-31, along with SCIM_BEARER_TOKEN itself.
+const SCIM_LEGACY_TOKEN_ENABLED = String(process.env.SCIM_LEGACY_TOKEN_ENABLED || '0') === '1';
 const SSO_DOMAIN_ALLOWLIST = (process.env.SSO_DOMAIN_ALLOWLIST || '')
   .split(',')
   .map((s) => s.trim().toLowerCase())
@@ -141,6 +322,41 @@ const SSO_GROUP_ROLE_MAP = (() => {
   }
 })();
 const SSO_JIT_PROVISION = String(process.env.SSO_JIT_PROVISION || '1') !== '0';
+const EVENT_BUS_BACKEND = normalizeEventBusBackend(process.env.EVENT_BUS_BACKEND);
+const EVENT_BUS_REDIS_URL = String(
+  process.env.EVENT_BUS_REDIS_URL || process.env.REDIS_URL || ''
+).trim();
+const EVENT_BUS_REDIS_CHANNEL =
+  String(process.env.EVENT_BUS_REDIS_CHANNEL || '').trim() || 'storibloom:stream-events';
+const EVENT_BUS_POLL_MS = Math.max(250, Number(process.env.EVENT_BUS_POLL_MS || 1_000));
+const EVENT_BUS_SHARDS = Math.max(1, Math.floor(Number(process.env.EVENT_BUS_SHARDS || 8)));
+const EVENT_BUS_SHARD_BUCKET_MS = Math.max(
+  10_000,
+  Number(process.env.EVENT_BUS_SHARD_BUCKET_MS || 60_000)
+);
+const STREAM_EVENT_TTL_SECONDS = 10 * 60;
+const SSE_REPLAY_BUFFER_SIZE = Math.max(
+  10,
+  Number(process.env.SSE_REPLAY_BUFFER_SIZE || 200)
+);
+const SSE_REPLAY_MAX_STREAMS = 5_000;
+const ROOM_SOCKET_ENABLED = String(process.env.ROOM_SOCKET_ENABLED || '1') !== '0';
+const ROOM_SOCKET_REAUTH_MS = 60_000;
+const CANVAS_SECTION_MAX_LENGTH = Object.freeze({
+  stickyNotes: 10_000,
+  outlineMap: 10_000,
+  evidenceBoard: 12_000,
+  narrativeMap: 12_000,
+});
+const CANVAS_SAVE_ATTEMPTS = 5;
+const CANVAS_CURSOR_TTL_MS = 15_000;
+const SAML_SP_BASE_URL = String(process.env.SAML_SP_BASE_URL || '')
+  .trim()
+  .replace(/\/+$/, '');
+const SAML_TRANSACTION_TTL_SECONDS = 10 * 60;
+const SAML_TRANSACTION_COOKIE = 'saml_tx';
+const OIDC_TRANSACTION_TTL_SECONDS = 10 * 60;
+const OIDC_TRANSACTION_COOKIE = 'oidc_tx';
 const ACCESS_TOKEN_TTL_SECONDS = Math.max(
   60,
   Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60)
@@ -160,6 +376,28 @@ const BILLING_ENTERPRISE_INVOICE_ENDPOINT = String(
   process.env.BILLING_ENTERPRISE_INVOICE_ENDPOINT || ''
 ).trim();
 const BILLING_API_KEY = String(process.env.BILLING_API_KEY || '').trim();
+const BILLING_STRIPE_API_BASE = String(
+  process.env.BILLING_STRIPE_API_BASE ||
+    BILLING_STRIPE_INVOICE_ENDPOINT.replace(/\/invoices\/?$/, '')
+).trim();
+const BILLING_WEBHOOK_SECRET = String(process.env.BILLING_WEBHOOK_SECRET || '').trim();
+// Stripe price per license tier; a tier without one gets a customer but no
+// subscription.
+const BILLING_STRIPE_PRICE_IDS = {
+  STARTER: String(process.env.BILLING_STRIPE_PRICE_STARTER || '').trim(),
+  PRO: String(process.env.BILLING_STRIPE_PRICE_PRO || '').trim(),
+  ENTERPRISE: String(process.env.BILLING_STRIPE_PRICE_ENTERPRISE || '').trim(),
+};
+const BILLING_DUNNING_POLICY = normalizeDunningPolicy({
+  graceDays: process.env.BILLING_DUNNING_GRACE_DAYS,
+  reminderDays: process.env.BILLING_DUNNING_REMINDER_DAYS
+    ? String(process.env.BILLING_DUNNING_REMINDER_DAYS).split(',')
+    : undefined,
+});
+const BILLING_DUNNING_INTERVAL_MS = Math.max(
+  60_000,
+  Number(process.env.BILLING_DUNNING_INTERVAL_MS || 60 * 60_000)
+);
 const BILLING_AUTOMATION_ENABLED =
   String(process.env.BILLING_AUTOMATION_ENABLED || '1') !== '0';
 const BILLING_OVERAGE_UNIT_PRICE_STARTER_CENTS = Math.max(
@@ -174,6 +412,15 @@ const BILLING_OVERAGE_UNIT_PRICE_ENTERPRISE_CENTS = Math.max(
   1,
   Number(process.env.BILLING_OVERAGE_UNIT_PRICE_ENTERPRISE_CENTS || 75)
 );
+// The platform price book until finance saves one: no base fees, overage at
+// the per-tier env rates.
+const DEFAULT_PRICE_BOOK = normalizePriceBook({
+  plans: {
+    STARTER: { overageUnitCents: BILLING_OVERAGE_UNIT_PRICE_STARTER_CENTS },
+    PRO: { overageUnitCents: BILLING_OVERAGE_UNIT_PRICE_PRO_CENTS },
+    ENTERPRISE: { overageUnitCents: BILLING_OVERAGE_UNIT_PRICE_ENTERPRISE_CENTS },
+  },
+});
 const OUTCOMES_WINDOW_DAYS = Math.max(
   7,
   Number(process.env.OUTCOMES_WINDOW_DAYS || 30)
@@ -228,6 +475,24 @@ const BILLING_AUTOMATION_COOLDOWN_MS = Math.max(
   30_000,
   Number(process.env.BILLING_AUTOMATION_COOLDOWN_MS || 5 * 60_000)
 );
+const AI_PRICE_TABLE = parseAiPriceTable(process.env.AI_PRICE_TABLE || '');
+const AI_BUDGET_CACHE_MS = Math.max(
+  1_000,
+  Number(process.env.AI_BUDGET_CACHE_MS || 30_000)
+);
+const KNOWLEDGE_INDEX_CACHE_MS = Math.max(
+  5_000,
+  Number(process.env.KNOWLEDGE_INDEX_CACHE_MS || 5 * 60_000)
+);
+const PROMPT_LIBRARY_CACHE_MS = 60_000;
+const MAX_PROMPT_VERSIONS = 25;
+const PROMPT_EVAL_MAX_CASES = 20;
+const EXTENSION_REQUEST_COOLDOWN_MS = 3 * 60_000;
+const ASEMA_TOOL_ACTOR = Object.freeze({ uid: 'asema', role: 'ASEMA' });
+const KNOWLEDGE_PASSAGES_PER_CALL = Math.max(
+  1,
+  Math.min(8, Number(process.env.KNOWLEDGE_PASSAGES_PER_CALL || 4))
+);
 const SUPPORT_AUTO_ESCALATE_ENABLED =
   String(process.env.SUPPORT_AUTO_ESCALATE_ENABLED || '1') !== '0';
 const SUPPORT_AUTO_ESCALATE_INTERVAL_MS = Math.max(
@@ -325,6 +590,11 @@ let auditTableMissingWarned = false;
 const tenantWorkshopCache = new Map(); // licenseId -> { workshop, loadedAt }
 const TENANT_WORKSHOP_CACHE_MS = 60_000;
 const entitlementRuntimeCache = new Map(); // key -> { at, value }
+const aiBudgetCache = new Map(); // orgId -> { at, periodKey, budget, totals }
+const knowledgeIndexCache = new Map(); // orgId -> { at, index }
+const promptLibraryCache = new Map(); // `${orgId}::${mode}` -> { at, library }
+const scimTokenTouchCache = new Map(); // `${orgId}::${tokenId}` -> last usage write ms
+const consumedSamlAssertions = new Map(); // assertionId -> expiry ms (demo fallback only)
 const billingAutomationRunCache = new Map(); // licenseId -> last run ms
 let supportEscalationLoopInFlight = false;
 let reliabilityBackupLoopInFlight = false;
@@ -402,6 +672,11 @@ const ddbDoc = DynamoDBDocumentClient.from(ddb, {
   marshallOptions: { removeUndefinedValues: true },
 });
 
+function defaultLlmProviderReady() {
+  const llm = getLlmRouter();
+  return !!llm.status()[llm.defaultProvider]?.configured;
+}
+
 async function refreshDependencyHealth({ force = false } = {}) {
   const now = Date.now();
   const lastChecked = Math.max(
@@ -430,20 +705,14 @@ async function refreshDependencyHealth({ force = false } = {}) {
       };
     }
 
-    try {
-      getOpenAI();
-      dependencyHealthState.openai = {
-        ok: true,
-        lastCheckedAt: checkedAt,
-        error: '',
-      };
-    } catch (err) {
-      dependencyHealthState.openai = {
-        ok: false,
-        lastCheckedAt: checkedAt,
-        error: String(err?.message || err || 'openai_unavailable').slice(0, 180),
-      };
-    }
+    // Kept under `openai` for existing dashboards; it reports the default provider.
+    const llmReady = defaultLlmProviderReady();
+    dependencyHealthState.openai = {
+      ok: llmReady,
+      provider: getLlmRouter().defaultProvider,
+      lastCheckedAt: checkedAt,
+      error: llmReady ? '' : `${getLlmRouter().defaultProvider}_not_configured`,
+    };
     dependencyHealthState.api = {
       ok: true,
       lastCheckedAt: checkedAt,
@@ -463,8 +732,8 @@ async function refreshDependencyHealth({ force = false } = {}) {
   const health = await refreshDependencyHealth({ force: true });
   if (health.aws.ok) console.log('[aws] credentials resolved');
   else console.warn('[aws] credentials not resolved');
-  if (health.openai.ok) console.log('[openai] enabled');
-  else console.warn('[openai] disabled:', health.openai.error || 'unavailable');
+  if (health.openai.ok) console.log(`[llm] ${health.openai.provider} enabled`);
+  else console.warn('[llm] disabled:', health.openai.error || 'unavailable');
 
   console.log('[env] tables', TABLES);
 })();
@@ -487,13 +756,22 @@ app.use(
       if (CORS_ORIGINS.includes(origin)) return cb(null, true);
       return cb(new Error(`CORS blocked for origin: ${origin}`));
     },
-    methods: ['GET', 'POST', 'PUT', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'x-user-id'],
     credentials: true,
   })
 );
 
-app.use(express.json({ limit: '1mb' }));
+app.use(
+  express.json({
+    limit: '1mb',
+    type: ['application/json', 'application/scim+json'],
+    // Webhook signatures are computed over the exact bytes received.
+    verify: (req, _res, buf) => {
+      if (req.originalUrl.startsWith('/billing/webhooks/')) req.rawBody = Buffer.from(buf);
+    },
+  })
+);
 if (compression) app.use(compression());
 if (morgan) app.use(morgan('tiny'));
 
@@ -553,6 +831,7 @@ app.use((req, res, next) => {
 
 // ---------- Auth ----------
 const JWT_SECRET = resolveJwtSecret();
+const VOTE_NULLIFIER_SECRET = String(process.env.VOTE_NULLIFIER_SECRET || '').trim() || JWT_SECRET;
 
 async function handleGuestAuth(req, res) {
   try {
@@ -627,11 +906,24 @@ app.post('/auth/refresh', async (req, res) => {
       return res.status(401).json({ error: 'refresh_token_reused' });
     }
 
+    // Directory changes reach live sessions here: promotions and new sites
+    // apply on the next refresh, a deprovisioned user is signed out.
+    let { role, siteId } = claims;
+    const managed = role === 'SUPER_ADMIN' ? null : await scimManagedOrgUser(claims.orgId, claims.email);
+    if (managed?.active === false) {
+      await revokeAllAuthSessions(claims.uid);
+      return res.status(401).json({ error: 'session_revoked' });
+    }
+    if (managed) {
+      role = scimManagedRole(managed.role);
+      siteId = managedSiteId(claims.siteId, managed.siteIds || []) || null;
+    }
+
     const pair = await issueTokenPair(
       {
         uid: claims.uid,
-        role: claims.role,
-        siteId: claims.siteId,
+        role,
+        siteId,
         licenseId: claims.licenseId,
         orgId: claims.orgId,
         email: claims.email,
@@ -704,8 +996,7 @@ app.get('/auth/sessions', requireAuth, async (req, res) => {
 });
 
 function allowedSsoProvider(provider) {
-  const p = String(provider || '').trim().toUpperCase();
-  return p === 'OKTA' || p === 'ENTRA' || p === 'GOOGLE';
+  return !!normalizeOidcProvider(provider);
 }
 
 function roleWeight(role) {
@@ -732,2095 +1023,3312 @@ function mapGroupsToRole(groups = [], fallbackRole = 'PARTICIPANT') {
   return selected;
 }
 
-function emailAllowedForSso(email) {
+// The org user record for an SSO identity when SCIM provisioned it, else null
+// (SSO group claims then decide the role, as before SCIM).
+async function scimManagedOrgUser(orgIdRaw, emailRaw) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  const email = normalizeSuperAdminEmail(emailRaw);
+  if (!orgId || !email) return null;
+  const row = await getOrgUser(orgId, deriveOrgUserIdFromEmail(email));
+  return row?.managedBy === 'SCIM' ? row : null;
+}
+
+// The role a directory-managed user ends up with, capped at what an org's
+// directory may grant: SUPER_ADMIN (say, from SSO_GROUP_ROLE_MAP) becomes ADMIN.
+function scimManagedRole(value) {
+  const role = normalizeOrgUserRole(value);
+  return SCIM_MAPPABLE_ROLES.includes(role) ? role : 'ADMIN';
+}
+
+// Keep the requested site when the directory grants it, else the first
+// granted site. No granted sites leaves the request alone.
+function managedSiteId(requested, siteIds = []) {
+  const site = normalizedSiteId(requested);
+  if (!siteIds.length) return site;
+  return siteIds.includes(site) ? site : siteIds[0];
+}
+
+function emailAllowedForSso(email, orgAllowedDomains = []) {
   const normalizedEmail = normalizeSuperAdminEmail(email);
   if (!normalizedEmail) return false;
-  if (!SSO_DOMAIN_ALLOWLIST.length) return true;
   const atIdx = normalizedEmail.lastIndexOf('@');
   if (atIdx < 0) return false;
   const domain = normalizedEmail.slice(atIdx + 1);
-  return SSO_DOMAIN_ALLOWLIST.includes(domain);
+  if (SSO_DOMAIN_ALLOWLIST.length && !SSO_DOMAIN_ALLOWLIST.includes(domain)) {
+    return false;
+  }
+  if (Array.isArray(orgAllowedDomains) && orgAllowedDomains.length) {
+    return orgAllowedDomains.includes(domain);
+  }
+  return true;
 }
 
-app.post('/auth/sso/exchange', async (req, res) => {
-  try {
-    const provider = String(req.body?.provider || '').trim().toUpperCase();
-    const email = normalizeSuperAdminEmail(req.body?.email);
-    const subject = String(req.body?.subject || '').trim();
-    const groups = Array.isArray(req.body?.groups) ? req.body.groups : [];
-    const bodyRole = String(req.body?.role || '').trim().toUpperCase();
-    if (!allowedSsoProvider(provider)) {
-      return res.status(400).json({ error: 'unsupported_sso_provider' });
-    }
-    if (!email || !subject) {
-      return res.status(400).json({ error: 'email_and_subject_required' });
-    }
-    if (!emailAllowedForSso(email)) {
-      return res.status(403).json({ error: 'sso_email_domain_not_allowed' });
-    }
-
-    let role = mapGroupsToRole(groups, bodyRole || 'PARTICIPANT');
-    if (email === SUPER_ADMIN_EMAIL) role = 'SUPER_ADMIN';
+async function getOrgSsoConfig(orgIdRaw) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) return null;
+  const row = await getPolicy(makeScopeId({ orgId }), 'SSO');
+  if (!row) return null;
+  return {
+    ...normalizeOidcConfig(parseJsonObject(row.policy, {})),
+    updatedAt: Number(row.updatedAt || 0) || null,
+  };
+}
 
-    const licenseId = normalizedLicenseId(req.body?.licenseId || '');
-    const siteId = normalizedSiteId(req.body?.siteId || '');
-    const orgId = normalizedOrgId(req.body?.orgId || '', licenseId);
-    if (role !== 'SUPER_ADMIN' && (!orgId || !licenseId)) {
-      return res.status(400).json({ error: 'tenant_required_for_sso' });
-    }
-    if ((role === 'PARTICIPANT' || role === 'PRESENTER') && !siteId) {
-      return res.status(400).json({ error: 'site_required_for_sso_role' });
-    }
+async function saveOrgSsoConfig(orgIdRaw, input = {}, actor = {}) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) throw new Error('orgId_required');
+  const scopeId = makeScopeId({ orgId });
+  const current = await getOrgSsoConfig(orgId);
+  const config = normalizeOidcConfig(input, current || {});
+  const item = {
+    scopeId,
+    policyType: 'SSO',
+    policy: JSON.stringify(config),
+    updatedAt: Date.now(),
+    updatedBy: String(actor.uid || '').trim() || '(system)',
+  };
+  await putItem(TABLES.policies, item);
+  return { ...item, config };
+}
 
-    let workshop = null;
-    if (role !== 'SUPER_ADMIN') {
-      if (SSO_JIT_PROVISION) {
-        workshop = await ensureWorkshopConfig({
-          licenseId,
-          orgId,
-          siteIds: siteId ? [siteId] : [],
-        });
-      } else {
-        workshop = await getWorkshopByLicenseCached(licenseId);
-      }
-      if (workshop && siteId && Array.isArray(workshop.siteIds) && !workshop.siteIds.includes(siteId)) {
-        return res.status(403).json({ error: 'sso_site_not_in_license' });
-      }
-      const licenseState = evaluateWorkshopLicenseState(workshop);
-      if (!licenseState.ok) {
-        return res.status(licenseState.statusCode || 403).json({ error: licenseState.error });
-      }
-    }
+async function getOrgSamlConfig(orgIdRaw) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) return null;
+  const row = await getPolicy(makeScopeId({ orgId }), 'SAML');
+  if (!row) return null;
+  return {
+    ...normalizeSamlConfig(parseJsonObject(row.policy, {})),
+    updatedAt: Number(row.updatedAt || 0) || null,
+  };
+}
 
-    const uid = `sso:${provider.toLowerCase()}:${subject}`;
-    if (role !== 'SUPER_ADMIN') {
-      const activeCapCheck = await enforceLicenseActiveUserCap({
-        licenseId,
-        activeUserCap:
-          Number(workshop?.activeUserCap || workshop?.expectedUsers || 0) || 0,
-        uid,
-      });
-      if (!activeCapCheck.ok) {
-        return res.status(429).json({
-          error: activeCapCheck.error,
-          activeUsers: activeCapCheck.activeUsers,
-          activeUserCap: activeCapCheck.cap,
-        });
-      }
-    }
-    const pair = await issueTokenPair(
-      {
-        uid,
-        role,
-        email,
-        siteId: siteId || null,
-        licenseId: licenseId || null,
-        orgId: orgId || null,
-      },
-      req
-    );
+async function saveOrgSamlConfig(orgIdRaw, input = {}, actor = {}) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) throw new Error('orgId_required');
+  const scopeId = makeScopeId({ orgId });
+  const current = await getOrgSamlConfig(orgId);
+  const config = normalizeSamlConfig(input, current || {});
+  const item = {
+    scopeId,
+    policyType: 'SAML',
+    policy: JSON.stringify(config),
+    updatedAt: Date.now(),
+    updatedBy: String(actor.uid || '').trim() || '(system)',
+  };
+  await putItem(TABLES.policies, item);
+  return { ...item, config };
+}
 
-    await writeAuditEvent({
-      action: 'SSO_EXCHANGE_LOGIN',
-      actor: { uid, role, email, orgId, licenseId, siteId },
-      target: {
-        resourceType: 'SSO_PROVIDER',
-        resourceId: provider,
-        orgId,
-        licenseId,
-        siteId,
-      },
-      details: {
-        provider,
-        groups,
-      },
-    });
+async function getOrgScimGroupMap(orgIdRaw) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) return normalizeScimGroupMap({});
+  const row = await getPolicy(makeScopeId({ orgId }), 'SCIM_GROUP_MAP');
+  return {
+    ...normalizeScimGroupMap(parseJsonObject(row?.policy, {})),
+    updatedAt: Number(row?.updatedAt || 0) || null,
+  };
+}
 
-    return res.json({
-      ok: true,
-      provider,
-      userId: uid,
-      role,
-      email,
-      orgId: orgId || null,
-      licenseId: licenseId || null,
-      siteId: siteId || null,
-      token: pair.accessToken,
-      accessToken: pair.accessToken,
-      refreshToken: pair.refreshToken,
-      sessionId: pair.sessionId,
-      expiresIn: pair.accessTtlSeconds,
-    });
-  } catch (err) {
-    console.error('[/auth/sso/exchange] error:', err);
-    return res.status(500).json({ error: 'sso_exchange_failed' });
-  }
-});
+async function saveOrgScimGroupMap(orgIdRaw, input = {}, actor = {}) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) throw new Error('orgId_required');
+  const map = normalizeScimGroupMap(input);
+  await putItem(TABLES.policies, {
+    scopeId: makeScopeId({ orgId }),
+    policyType: 'SCIM_GROUP_MAP',
+    policy: JSON.stringify(map),
+    updatedAt: Date.now(),
+    updatedBy: String(actor.uid || '').trim() || '(system)',
+  });
+  return map;
+}
 
-function requireScimAuth(req, res, next) {
-  if (!SCIM_BEARER_TOKEN) {
-    return res.status(503).json({ error: 'scim_not_configured' });
-  }
-  const auth = String(req.headers.authorization || '');
-  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
-  if (!token || token !== SCIM_BEARER_TOKEN) {
-    return res.status(401).json({ error: 'scim_unauthorized' });
-  }
-  return next();
+async function getOrgScimTokens(orgIdRaw) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) return [];
+  const row = await getPolicy(makeScopeId({ orgId }), 'SCIM_TOKENS');
+  return normalizeScimTokens(parseJsonObject(row?.policy, {}).tokens);
 }
 
-function deterministicScimId(orgId, value) {
-  return crypto
-    .createHash('sha1')
-    .update(`${String(orgId || '').trim().toUpperCase()}:${String(value || '').trim().toLowerCase()}`)
-    .digest('hex')
-    .slice(0, 24);
+async function saveOrgScimTokens(orgIdRaw, tokens = [], actor = {}) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) throw new Error('orgId_required');
+  const normalized = normalizeScimTokens(tokens);
+  await putItem(TABLES.policies, {
+    scopeId: makeScopeId({ orgId }),
+    policyType: 'SCIM_TOKENS',
+    policy: JSON.stringify({ tokens: normalized }),
+    updatedAt: Date.now(),
+    updatedBy: String(actor.uid || '').trim() || '(system)',
+  });
+  return normalized;
 }
 
-function scimUserFromItem(item = {}) {
-  const email = normalizeSuperAdminEmail(
-    item.primaryEmail ||
-      (Array.isArray(item.emails) && item.emails[0]?.value) ||
-      item.userName ||
-      ''
-  );
+async function getOrgAiBudget(orgIdRaw) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) return normalizeAiBudget({});
+  const row = await getPolicy(makeScopeId({ orgId }), 'AI_BUDGET');
   return {
-    id: item.scimUserId,
-    externalId: item.externalId || '',
-    userName: item.userName || email || '',
-    active: item.active !== false,
-    name: item.name || {},
-    emails: Array.isArray(item.emails) ? item.emails : email ? [{ value: email, primary: true }] : [],
-    groups: Array.isArray(item.groups) ? item.groups : [],
-    meta: {
-      resourceType: 'User',
-      created: item.createdAt ? new Date(Number(item.createdAt)).toISOString() : undefined,
-      lastModified: item.updatedAt
-        ? new Date(Number(item.updatedAt)).toISOString()
-        : undefined,
-    },
+    ...normalizeAiBudget(parseJsonObject(row?.policy, {})),
+    updatedAt: Number(row?.updatedAt || 0) || null,
   };
 }
 
-function scimGroupFromItem(item = {}) {
+async function saveOrgAiBudget(orgIdRaw, input = {}, actor = {}) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) throw new Error('orgId_required');
+  const current = await getOrgAiBudget(orgId);
+  const budget = normalizeAiBudget(input, current);
+  await putItem(TABLES.policies, {
+    scopeId: makeScopeId({ orgId }),
+    policyType: 'AI_BUDGET',
+    policy: JSON.stringify(budget),
+    updatedAt: Date.now(),
+    updatedBy: String(actor.uid || '').trim() || '(system)',
+  });
+  aiBudgetCache.delete(orgId);
+  return budget;
+}
+
+// Org knowledge library. Each document row carries its passages as a JSON
+// array; the BM25 index over all of an org's passages is built on demand and
+// cached until the library changes.
+function mapKnowledgeDoc(row = {}) {
+  const chunks = parseJsonArray(row.chunks, []);
   return {
-    id: item.scimGroupId,
-    displayName: item.displayName || '',
-    externalId: item.externalId || '',
-    members: Array.isArray(item.members) ? item.members : [],
-    meta: {
-      resourceType: 'Group',
-      created: item.createdAt ? new Date(Number(item.createdAt)).toISOString() : undefined,
-      lastModified: item.updatedAt
-        ? new Date(Number(item.updatedAt)).toISOString()
-        : undefined,
-    },
+    docId: String(row.docId || ''),
+    title: String(row.title || ''),
+    kind: String(row.kind || 'REFERENCE'),
+    sourceUrl: String(row.sourceUrl || ''),
+    charCount: Number(row.charCount || 0),
+    chunkCount: chunks.length,
+    status: String(row.status || 'ACTIVE'),
+    createdAt: Number(row.createdAt || 0) || null,
+    createdBy: String(row.createdBy || ''),
+    updatedAt: Number(row.updatedAt || 0) || null,
   };
 }
 
-app.get('/scim/v2/Users', requireScimAuth, async (req, res) => {
-  try {
-    const orgId = normalizedOrgId(req.query?.orgId || '', req.query?.licenseId || '');
-    if (!orgId) return res.status(400).json({ error: 'orgId_required' });
-    const { Items } = await ddbDoc.send(
-      new QueryCommand({
-        TableName: TABLES.scimUsers,
-        KeyConditionExpression: 'orgId = :orgId',
-        ExpressionAttributeValues: { ':orgId': orgId },
-        ScanIndexForward: true,
-        Limit: Math.min(500, Number(req.query?.count || 200)),
-      })
-    );
-    let resources = (Items || []).map(scimUserFromItem);
-    const filter = String(req.query?.filter || '').trim();
-    const match = /^userName\s+eq\s+"([^"]+)"$/i.exec(filter);
-    if (match) {
-      const needle = normalizeSuperAdminEmail(match[1]);
-      resources = resources.filter((r) => normalizeSuperAdminEmail(r.userName) === needle);
-    }
-    return res.json({
-      schemas: ['urn:ietf:params:scim:api:messages:2.0:ListResponse'],
-      totalResults: resources.length,
-      startIndex: 1,
-      itemsPerPage: resources.length,
-      Resources: resources,
-    });
-  } catch (err) {
-    if (err?.name === 'ResourceNotFoundException') {
-      return res.json({
-        schemas: ['urn:ietf:params:scim:api:messages:2.0:ListResponse'],
-        totalResults: 0,
-        startIndex: 1,
-        itemsPerPage: 0,
-        Resources: [],
-      });
-    }
-    console.error('[/scim/v2/Users GET] error:', err);
-    return res.status(500).json({ error: 'scim_users_list_failed' });
-  }
-});
-
-app.post('/scim/v2/Users', requireScimAuth, async (req, res) => {
-  try {
-    const orgId = normalizedOrgId(req.body?.orgId || '', req.body?.licenseId || '');
-    const licenseId = normalizedLicenseId(req.body?.licenseId || '');
-    if (!orgId || !licenseId) return res.status(400).json({ error: 'orgId_and_licenseId_required' });
-    const userName = String(req.body?.userName || '').trim();
-    const externalId = String(req.body?.externalId || '').trim();
-    const scimUserId =
-      String(req.body?.id || '').trim() ||
-      deterministicScimId(orgId, externalId || userName);
-    if (!scimUserId || (!userName && !externalId)) {
-      return res.status(400).json({ error: 'scim_user_identifier_required' });
-    }
-    const now = Date.now();
-    const active = req.body?.active !== false;
-    const emails = Array.isArray(req.body?.emails) ? req.body.emails : [];
-    const primaryEmail = normalizeSuperAdminEmail(
-      req.body?.primaryEmail ||
-        emails.find((e) => e?.primary)?.value ||
-        emails[0]?.value ||
-        userName
-    );
-    const item = {
-      orgId,
-      scimUserId,
-      externalId,
-      userName: userName || primaryEmail,
-      active,
-      name: req.body?.name || {},
-      emails,
-      primaryEmail,
-      groups: Array.isArray(req.body?.groups) ? req.body.groups : [],
-      siteId: normalizedSiteId(req.body?.siteId || ''),
-      licenseId,
-      role: String(req.body?.role || 'PARTICIPANT').trim().toUpperCase(),
-      createdAt: Number(req.body?.createdAt || now),
-      updatedAt: now,
-    };
+async function listKnowledgeRows(orgIdRaw) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) return [];
+  const out = await queryByPartitionKey({
+    tableName: TABLES.knowledge,
+    partitionKey: 'orgId',
+    partitionValue: orgId,
+    limit: KNOWLEDGE_LIMITS.maxDocsPerOrg,
+    scanForward: false,
+  }).catch((err) => {
+    if (err?.name === 'ResourceNotFoundException') return { items: [] };
+    throw err;
+  });
+  return (out.items || []).filter((row) => String(row.status || 'ACTIVE') !== 'ARCHIVED');
+}
 
-    await ddbDoc.send(
-      new PutCommand({
-        TableName: TABLES.scimUsers,
-        Item: item,
-      })
-    );
+async function saveKnowledgeDoc(orgIdRaw, input = {}, actor = {}) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) throw new Error('orgId_required');
+  const doc = normalizeKnowledgeDoc(input);
+  const existing = await listKnowledgeRows(orgId);
+  if (existing.length >= KNOWLEDGE_LIMITS.maxDocsPerOrg) throw new Error('knowledge_library_full');
+  const now = Date.now();
+  const row = {
+    orgId,
+    docId: makePrefixedId('DOC'),
+    title: doc.title,
+    kind: doc.kind,
+    sourceUrl: doc.sourceUrl,
+    charCount: doc.text.length,
+    chunks: JSON.stringify(chunkDocument(doc.text)),
+    status: 'ACTIVE',
+    createdAt: now,
+    createdBy: String(actor.uid || '').trim() || '(system)',
+    updatedAt: now,
+  };
+  await putItem(TABLES.knowledge, row);
+  knowledgeIndexCache.delete(orgId);
+  return row;
+}
 
-    await writeAuditEvent({
-      action: 'SCIM_USER_UPSERT',
-      actor: { uid: 'scim', role: 'SYSTEM', orgId, licenseId },
-      target: { resourceType: 'SCIM_USER', resourceId: scimUserId, orgId, licenseId, siteId: item.siteId },
-      details: { active, userName: item.userName },
-    });
+// Archived rather than deleted so audit entries still resolve to a title.
+async function archiveKnowledgeDoc(orgIdRaw, docIdRaw, actor = {}) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  const docId = String(docIdRaw || '').trim();
+  const current = orgId && docId ? await getItemByKey(TABLES.knowledge, { orgId, docId }) : null;
+  if (!current || String(current.status || 'ACTIVE') === 'ARCHIVED') return null;
+  const row = {
+    ...current,
+    chunks: '[]',
+    status: 'ARCHIVED',
+    updatedAt: Date.now(),
+    updatedBy: String(actor.uid || '').trim() || '(system)',
+  };
+  await putItem(TABLES.knowledge, row);
+  knowledgeIndexCache.delete(orgId);
+  return row;
+}
 
-    return res.status(201).json(scimUserFromItem(item));
-  } catch (err) {
-    console.error('[/scim/v2/Users POST] error:', err);
-    return res.status(500).json({ error: 'scim_user_upsert_failed' });
-  }
-});
+async function getOrgKnowledgeIndex(orgIdRaw) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) return null;
+  const cached = knowledgeIndexCache.get(orgId);
+  if (cached && Date.now() - cached.at < KNOWLEDGE_INDEX_CACHE_MS) return cached.index;
+  const rows = await listKnowledgeRows(orgId);
+  const index = buildKnowledgeIndex(
+    rows.map((row) => ({ ...mapKnowledgeDoc(row), chunks: parseJsonArray(row.chunks, []) }))
+  );
+  knowledgeIndexCache.set(orgId, { at: Date.now(), index });
+  return index;
+}
 
-app.put('/scim/v2/Users/:id', requireScimAuth, async (req, res) => {
+// Passages for one model call. Retrieval problems never block Asema; the
+// call just goes out ungrounded.
+async function retrieveRoomKnowledge(room = {}, query = '') {
+  const orgId = normalizedOrgId(room.orgId || '', room.licenseId || '');
+  if (!orgId || !String(query || '').trim()) return [];
   try {
-    const scimUserId = String(req.params?.id || '').trim();
-    const orgId = normalizedOrgId(req.body?.orgId || req.query?.orgId || '', req.body?.licenseId || req.query?.licenseId || '');
-    if (!scimUserId || !orgId) return res.status(400).json({ error: 'orgId_and_id_required' });
-    const { Item } = await ddbDoc.send(
-      new GetCommand({
-        TableName: TABLES.scimUsers,
-        Key: { orgId, scimUserId },
-      })
-    );
-    const next = {
-      ...(Item || { orgId, scimUserId, createdAt: Date.now() }),
-      externalId: String(req.body?.externalId ?? Item?.externalId ?? '').trim(),
-      userName: String(req.body?.userName ?? Item?.userName ?? '').trim(),
-      active: req.body?.active !== false,
-      name: req.body?.name ?? Item?.name ?? {},
-      emails: Array.isArray(req.body?.emails) ? req.body.emails : Item?.emails || [],
-      groups: Array.isArray(req.body?.groups) ? req.body.groups : Item?.groups || [],
-      siteId: normalizedSiteId(req.body?.siteId ?? Item?.siteId ?? ''),
-      licenseId: normalizedLicenseId(req.body?.licenseId ?? Item?.licenseId ?? ''),
-      role: String(req.body?.role ?? Item?.role ?? 'PARTICIPANT').trim().toUpperCase(),
-      updatedAt: Date.now(),
-    };
-    await ddbDoc.send(
-      new PutCommand({
-        TableName: TABLES.scimUsers,
-        Item: next,
-      })
-    );
-    await writeAuditEvent({
-      action: 'SCIM_USER_UPSERT',
-      actor: { uid: 'scim', role: 'SYSTEM', orgId, licenseId: next.licenseId },
-      target: { resourceType: 'SCIM_USER', resourceId: scimUserId, orgId, licenseId: next.licenseId, siteId: next.siteId },
-      details: { active: next.active, userName: next.userName },
-    });
-    return res.json(scimUserFromItem(next));
+    const index = await getOrgKnowledgeIndex(orgId);
+    return searchKnowledge(index, query, { limit: KNOWLEDGE_PASSAGES_PER_CALL });
   } catch (err) {
-    console.error('[/scim/v2/Users/:id PUT] error:', err);
-    return res.status(500).json({ error: 'scim_user_update_failed' });
+    console.warn('[knowledge] retrieval skipped:', err?.message || err);
+    return [];
   }
-});
+}
 
-app.delete('/scim/v2/Users/:id', requireScimAuth, async (req, res) => {
-  try {
-    const scimUserId = String(req.params?.id || '').trim();
-    const orgId = normalizedOrgId(req.query?.orgId || '', req.query?.licenseId || '');
-    if (!scimUserId || !orgId) return res.status(400).json({ error: 'orgId_and_id_required' });
-    await ddbDoc.send(
-      new UpdateCommand({
-        TableName: TABLES.scimUsers,
-        Key: { orgId, scimUserId },
-        UpdateExpression: 'SET active = :false, updatedAt = :now',
-        ExpressionAttributeValues: {
-          ':false': false,
-          ':now': Date.now(),
-        },
-      })
-    );
-    await writeAuditEvent({
-      action: 'SCIM_USER_DEACTIVATE',
-      actor: { uid: 'scim', role: 'SYSTEM', orgId },
-      target: { resourceType: 'SCIM_USER', resourceId: scimUserId, orgId },
-      details: { active: false },
-    });
-    return res.status(204).end();
-  } catch (err) {
-    console.error('[/scim/v2/Users/:id DELETE] error:', err);
-    return res.status(500).json({ error: 'scim_user_delete_failed' });
+function knowledgeReceiptSources(text = '', passages = []) {
+  const cited = new Set(citedPassages(text, passages).map((passage) => passage.n));
+  return passages.map((passage, idx) => ({
+    n: idx + 1,
+    docId: passage.docId,
+    title: passage.title,
+    chunkIndex: passage.chunkIndex,
+    cited: cited.has(idx + 1),
+  }));
+}
+
+// Prompt versions per org and workshop mode, stored as one policy row with
+// the version list and the current rollout. Versions hold only the assets
+// they override (see promptRegistry.js).
+function promptLibraryPolicyType(mode) {
+  return `PROMPTS#${normalizeMode(mode)}`;
+}
+
+async function getPromptLibrary(orgIdRaw, modeRaw, { fresh = false } = {}) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  const mode = normalizeMode(modeRaw);
+  const cacheKey = `${orgId}::${mode}`;
+  const cached = promptLibraryCache.get(cacheKey);
+  if (!fresh && cached && Date.now() - cached.at < PROMPT_LIBRARY_CACHE_MS) return cached.library;
+  const row = orgId ? await getPolicy(makeScopeId({ orgId }), promptLibraryPolicyType(mode)) : null;
+  const library = {
+    mode,
+    versions: parseJsonArray(row?.versions, []),
+    rollout: normalizePromptRollout(parseJsonObject(row?.rollout, {})),
+    updatedAt: Number(row?.updatedAt || 0) || null,
+  };
+  if (orgId) promptLibraryCache.set(cacheKey, { at: Date.now(), library });
+  return library;
+}
+
+async function savePromptLibrary(orgIdRaw, library = {}, actor = {}) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) throw new Error('orgId_required');
+  const mode = normalizeMode(library.mode);
+  await putItem(TABLES.policies, {
+    scopeId: makeScopeId({ orgId }),
+    policyType: promptLibraryPolicyType(mode),
+    versions: JSON.stringify(library.versions || []),
+    rollout: JSON.stringify(normalizePromptRollout(library.rollout)),
+    updatedAt: Date.now(),
+    updatedBy: String(actor.uid || '').trim() || '(system)',
+  });
+  promptLibraryCache.delete(`${orgId}::${mode}`);
+}
+
+async function createPromptVersion(orgId, modeRaw, { label = '', assets = {}, basedOn = '' } = {}, actor = {}) {
+  const library = await getPromptLibrary(orgId, modeRaw, { fresh: true });
+  const normalized = normalizePromptAssets(assets);
+  if (!Object.keys(normalized).length) throw new Error('prompt_assets_required');
+  const version = {
+    versionId: makePrefixedId('PV'),
+    label: String(label || '').replace(/\s+/g, ' ').trim().slice(0, 80) || 'Untitled',
+    assets: normalized,
+    hash: promptAssetsHash(normalized),
+    basedOn: String(basedOn || '').trim(),
+    createdAt: Date.now(),
+    createdBy: String(actor.uid || '').trim() || '(system)',
+  };
+  // Oldest versions age out first, except the ones a rollout points at.
+  const live = new Set([library.rollout.baseVersionId, library.rollout.candidateVersionId]);
+  let versions = [...library.versions, version];
+  while (versions.length > MAX_PROMPT_VERSIONS) {
+    const idx = versions.findIndex((entry) => !live.has(entry.versionId));
+    if (idx < 0) break;
+    versions = versions.filter((_, i) => i !== idx);
   }
-});
+  await savePromptLibrary(orgId, { ...library, versions }, actor);
+  return version;
+}
 
-app.get('/scim/v2/Groups', requireScimAuth, async (req, res) => {
+function findPromptVersion(library = {}, versionId = '') {
+  if (!versionId) return null;
+  return (library.versions || []).find((entry) => entry.versionId === versionId) || null;
+}
+
+// Which prompt version a room runs with. Any failure falls back to the
+// built-in prompts rather than holding up Asema.
+async function resolveRoomPrompts(room = {}) {
+  const { orgId } = roomBillingScope(room);
+  const none = { prompts: null, versionId: '', arm: 'base', hash: '' };
+  if (!orgId) return none;
   try {
-    const orgId = normalizedOrgId(req.query?.orgId || '', req.query?.licenseId || '');
-    if (!orgId) return res.status(400).json({ error: 'orgId_required' });
-    const { Items } = await ddbDoc.send(
-      new QueryCommand({
-        TableName: TABLES.scimGroups,
-        KeyConditionExpression: 'orgId = :orgId',
-        ExpressionAttributeValues: { ':orgId': orgId },
-        ScanIndexForward: true,
-        Limit: Math.min(500, Number(req.query?.count || 200)),
-      })
-    );
-    const resources = (Items || []).map(scimGroupFromItem);
-    return res.json({
-      schemas: ['urn:ietf:params:scim:api:messages:2.0:ListResponse'],
-      totalResults: resources.length,
-      startIndex: 1,
-      itemsPerPage: resources.length,
-      Resources: resources,
-    });
+    const library = await getPromptLibrary(orgId, room.workshopMode);
+    const pick = pickPromptVersion(library.rollout, room.roomId, orgId);
+    const version = findPromptVersion(library, pick.versionId);
+    if (!version) return { ...none, arm: pick.arm };
+    return { prompts: version.assets, versionId: version.versionId, arm: pick.arm, hash: version.hash };
   } catch (err) {
-    if (err?.name === 'ResourceNotFoundException') {
-      return res.json({
-        schemas: ['urn:ietf:params:scim:api:messages:2.0:ListResponse'],
-        totalResults: 0,
-        startIndex: 1,
-        itemsPerPage: 0,
-        Resources: [],
-      });
-    }
-    console.error('[/scim/v2/Groups GET] error:', err);
-    return res.status(500).json({ error: 'scim_groups_list_failed' });
+    console.warn('[prompts] version lookup skipped:', err?.message || err);
+    return none;
   }
-});
+}
 
-app.post('/scim/v2/Groups', requireScimAuth, async (req, res) => {
-  try {
-    const orgId = normalizedOrgId(req.body?.orgId || '', req.body?.licenseId || '');
-    if (!orgId) return res.status(400).json({ error: 'orgId_required' });
-    const displayName = String(req.body?.displayName || '').trim();
-    const externalId = String(req.body?.externalId || '').trim();
-    const scimGroupId =
-      String(req.body?.id || '').trim() ||
-      deterministicScimId(orgId, externalId || displayName);
-    if (!scimGroupId || (!displayName && !externalId)) {
-      return res.status(400).json({ error: 'scim_group_identifier_required' });
+function samlServiceProviderUrls(req, orgId) {
+  const basePath = `/auth/saml/${encodeURIComponent(orgId)}`;
+  const absolute = (suffix) =>
+    SAML_SP_BASE_URL
+      ? `${SAML_SP_BASE_URL}${basePath}${suffix}`
+      : buildAbsoluteUrl(req, `${basePath}${suffix}`);
+  return { entityId: absolute('/metadata'), acsUrl: absolute('/acs') };
+}
+
+function readRequestCookie(req, name) {
+  const header = String(req.headers?.cookie || '');
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0 || part.slice(0, idx).trim() !== name) continue;
+    try {
+      return decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      return '';
     }
-    const now = Date.now();
-    const item = {
-      orgId,
-      scimGroupId,
-      externalId,
-      displayName: displayName || externalId || scimGroupId,
-      members: Array.isArray(req.body?.members) ? req.body.members : [],
-      createdAt: Number(req.body?.createdAt || now),
-      updatedAt: now,
-    };
-    await ddbDoc.send(
-      new PutCommand({
-        TableName: TABLES.scimGroups,
-        Item: item,
-      })
-    );
-    await writeAuditEvent({
-      action: 'SCIM_GROUP_UPSERT',
-      actor: { uid: 'scim', role: 'SYSTEM', orgId },
-      target: { resourceType: 'SCIM_GROUP', resourceId: scimGroupId, orgId },
-      details: { displayName: item.displayName, memberCount: item.members.length },
-    });
-    return res.status(201).json(scimGroupFromItem(item));
-  } catch (err) {
-    console.error('[/scim/v2/Groups POST] error:', err);
-    return res.status(500).json({ error: 'scim_group_upsert_failed' });
   }
-});
+  return '';
+}
 
-app.patch('/scim/v2/Groups/:id', requireScimAuth, async (req, res) => {
+function samlTransactionCookie(req, value, maxAgeSeconds) {
+  return ssoTransactionCookie(req, SAML_TRANSACTION_COOKIE, '/auth/saml/', value, maxAgeSeconds);
+}
+
+// Binds an OIDC `state` to the browser that asked for it: the cookie holds a
+// secret whose hash is sealed into the state, so a code and state lifted from
+// someone else's login cannot be exchanged here.
+function oidcTransactionCookie(req, value, maxAgeSeconds) {
+  return ssoTransactionCookie(req, OIDC_TRANSACTION_COOKIE, '/auth/sso/', value, maxAgeSeconds);
+}
+
+function ssoTransactionCookie(req, name, path, value, maxAgeSeconds) {
+  // The IdP posts back cross-site (SAML), and the web app calls the API from
+  // another origin (OIDC); browsers only send the cookie then with
+  // SameSite=None; Secure.
+  const parts = [
+    `${name}=${encodeURIComponent(value)}`,
+    `Path=${path}`,
+    'HttpOnly',
+    `Max-Age=${maxAgeSeconds}`,
+  ];
+  if (req.secure) parts.push('SameSite=None', 'Secure');
+  else parts.push('SameSite=Lax');
+  return parts.join('; ');
+}
+
+// Replay protection has to hold across instances, so the first instance to
+// claim an assertion ID wins; the row expires once the assertion could no
+// longer be accepted anyway.
+async function consumeSamlAssertionId(assertionId, notOnOrAfterMs) {
+  const now = Date.now();
+  const expiresAtMs = Math.max(Number(notOnOrAfterMs || 0), now + SAML_TRANSACTION_TTL_SECONDS * 1000);
   try {
-    const scimGroupId = String(req.params?.id || '').trim();
-    const orgId = normalizedOrgId(req.body?.orgId || req.query?.orgId || '', req.body?.licenseId || req.query?.licenseId || '');
-    if (!scimGroupId || !orgId) return res.status(400).json({ error: 'orgId_and_id_required' });
-    const { Item } = await ddbDoc.send(
-      new GetCommand({
-        TableName: TABLES.scimGroups,
-        Key: { orgId, scimGroupId },
-      })
-    );
-    const operations = Array.isArray(req.body?.Operations) ? req.body.Operations : [];
-    let members = Array.isArray(Item?.members) ? Item.members.slice() : [];
-    for (const op of operations) {
-      const opName = String(op?.op || '').trim().toLowerCase();
-      if (opName === 'replace' && Array.isArray(op?.value?.members)) {
-        members = op.value.members;
-      }
-      if (opName === 'add' && Array.isArray(op?.value?.members)) {
-        members = [...members, ...op.value.members];
-      }
-      if (opName === 'remove' && Array.isArray(op?.value?.members)) {
-        const removeIds = new Set(op.value.members.map((m) => String(m?.value || '')));
-        members = members.filter((m) => !removeIds.has(String(m?.value || '')));
-      }
-    }
-    const deduped = [];
-    const seen = new Set();
-    for (const m of members) {
-      const v = String(m?.value || '').trim();
-      if (!v || seen.has(v)) continue;
-      seen.add(v);
-      deduped.push({ value: v, display: String(m?.display || '').trim() });
-    }
-    const next = {
-      ...(Item || { orgId, scimGroupId, createdAt: Date.now() }),
-      displayName: String(req.body?.displayName ?? Item?.displayName ?? '').trim() || Item?.displayName || scimGroupId,
-      members: deduped,
-      updatedAt: Date.now(),
-    };
     await ddbDoc.send(
       new PutCommand({
-        TableName: TABLES.scimGroups,
-        Item: next,
+        TableName: TABLES.samlAssertions,
+        Item: {
+          assertionId,
+          consumedAt: now,
+          expiresAt: Math.ceil(expiresAtMs / 1000),
+        },
+        ConditionExpression: 'attribute_not_exists(assertionId)',
       })
     );
-    await writeAuditEvent({
-      action: 'SCIM_GROUP_MEMBERS_SYNC',
-      actor: { uid: 'scim', role: 'SYSTEM', orgId },
-      target: { resourceType: 'SCIM_GROUP', resourceId: scimGroupId, orgId },
-      details: { memberCount: next.members.length },
-    });
-    return res.json(scimGroupFromItem(next));
+    return true;
   } catch (err) {
-    console.error('[/scim/v2/Groups/:id PATCH] error:', err);
-    return res.status(500).json({ error: 'scim_group_patch_failed' });
+    if (err?.name === 'ConditionalCheckFailedException') return false;
+    if (!shouldUseDemoFallback(err)) throw err;
+    logDemoFallback('saml_assertion_consume', err);
+    for (const [id, expiresAt] of consumedSamlAssertions) {
+      if (expiresAt <= now) consumedSamlAssertions.delete(id);
+    }
+    if (consumedSamlAssertions.has(assertionId)) return false;
+    consumedSamlAssertions.set(assertionId, expiresAtMs);
+    return true;
   }
-});
-
-const TENANT_BOOTSTRAP_PATH_PREFIXES = [
-  '/codes/consume',
-  '/admin/auth/consume',
-  '/super-admin/auth/email',
-  '/auth/refresh',
-  '/auth/logout',
-  '/auth/sessions',
-];
-
-function isTenantBootstrapPath(pathname) {
-  const p = String(pathname || '').trim();
-  if (!p) return false;
-  return TENANT_BOOTSTRAP_PATH_PREFIXES.some((prefix) => p === prefix || p.startsWith(`${prefix}/`));
 }
 
-async function getWorkshopByLicenseCached(licenseIdRaw) {
-  const licenseId = normalizedLicenseId(licenseIdRaw);
-  if (!licenseId) return null;
-  const now = Date.now();
-  const cached = tenantWorkshopCache.get(licenseId);
-  if (cached && now - Number(cached.loadedAt || 0) < TENANT_WORKSHOP_CACHE_MS) {
-    return cached.workshop || null;
-  }
-  const workshop = await getWorkshopConfig(licenseId);
-  tenantWorkshopCache.set(licenseId, { workshop: workshop || null, loadedAt: now });
-  return workshop || null;
-}
+const SSO_UPSTREAM_ERROR_CODES = new Set([
+  'oidc_discovery_unreachable',
+  'oidc_discovery_failed',
+  'oidc_jwks_unreachable',
+  'oidc_jwks_failed',
+  'oidc_token_exchange_unreachable',
+]);
 
-function clearWorkshopTenantCache(licenseIdRaw = '') {
-  const licenseId = normalizedLicenseId(licenseIdRaw);
-  if (licenseId) tenantWorkshopCache.delete(licenseId);
+function ssoErrorStatus(code = '') {
+  return SSO_UPSTREAM_ERROR_CODES.has(code) ? 502 : 401;
 }
 
-function tenantTargetsFromRequest(req) {
-  const targets = collectTenantTargetsFromRequest({
-    params: req.params || {},
-    query: req.query || {},
-    body: req.body || {},
-  });
-  const licenseId = normalizedLicenseId(targets.licenseId || '');
-  const orgId = normalizedOrgId(targets.orgId || '', licenseId);
-  const siteIds = sanitizeSiteIds(targets.siteIds || [], []);
-  return { orgId, licenseId, siteIds };
+// An org's IdP may only sign users into that org's own licenses. A license
+// that does not exist yet is fine: JIT provisioning creates it under orgId.
+async function ssoLicenseBelongsToOrg(licenseId, orgId) {
+  if (!licenseId) return true;
+  const workshop = await getWorkshopByLicenseCached(licenseId);
+  if (!workshop) return true;
+  return normalizedOrgId(workshop.orgId || '', licenseId) === normalizedOrgId(orgId || '');
 }
 
-function enforceTenantRequestScope(req, user, workshop = null) {
-  const role = String(user?.role || '').toUpperCase();
-  if (role === 'SUPER_ADMIN') return { ok: true };
-  if (isTenantBootstrapPath(req.path)) return { ok: true };
-
-  const userLicenseId = normalizedLicenseId(user?.licenseId || '');
-  const userOrgId = normalizedOrgId(user?.orgId || '', userLicenseId);
-  const userSiteId = normalizedSiteId(user?.siteId || '');
-  const targets = tenantTargetsFromRequest(req);
-  if (!targets.orgId && !targets.licenseId && !targets.siteIds.length) {
-    return { ok: true };
+async function completeSsoLogin(
+  req,
+  {
+    provider,
+    issuer = '',
+    uid,
+    email,
+    groups = [],
+    orgId = '',
+    licenseId = '',
+    siteId = '',
+    auditAction = 'SSO_EXCHANGE_LOGIN',
+  } = {}
+) {
+  // Every IdP here is configured by an org admin, so none of them can vouch
+  // for platform staff; the super admin signs in through /super-admin/auth/email.
+  if (email === SUPER_ADMIN_EMAIL) {
+    return { statusCode: 403, body: { error: 'sso_super_admin_not_allowed' } };
   }
-
-  const targetLicenseId = normalizedLicenseId(targets.licenseId || userLicenseId);
-  const targetOrgId = normalizedOrgId(targets.orgId || userOrgId, targetLicenseId || userLicenseId);
-  const licensedSiteIds =
-    role === 'ADMIN' ? [] : sanitizeSiteIds(workshop?.siteIds, []);
-  const candidateSites = targets.siteIds.length ? targets.siteIds : [''];
-
-  for (const targetSiteId of candidateSites) {
-    const tenantCheck = evaluateTenantHierarchy({
-      role,
-      userOrgId,
-      userLicenseId,
-      userSiteId,
-      targetOrgId,
-      targetLicenseId,
-      targetSiteId: normalizedSiteId(targetSiteId || ''),
-      licensedSiteIds,
-    });
-    if (!tenantCheck.allowed) {
-      return { ok: false, error: tenantCheck.reason || 'tenant_forbidden' };
+  let role = mapGroupsToRole(groups, 'PARTICIPANT');
+  if (role === 'SUPER_ADMIN') role = 'ADMIN';
+  const managed = await scimManagedOrgUser(orgId, email);
+  if (managed) {
+    if (managed.active === false) {
+      return { statusCode: 403, body: { error: 'sso_user_deprovisioned' } };
     }
+    role = scimManagedRole(managed.role);
+    siteId = managedSiteId(siteId, managed.siteIds || []);
   }
 
-  return { ok: true };
-}
-
-function evaluateWorkshopLicenseState(workshop) {
-  if (!workshop || typeof workshop !== 'object') return { ok: true };
-  const status = String(workshop.licenseStatus || 'ACTIVE').trim().toUpperCase();
-  const expiresAt = Number(workshop.licenseExpiresAt || 0);
-  if (status === 'SUSPENDED') {
-    return { ok: false, error: 'license_suspended', statusCode: 423 };
-  }
-  if (status === 'EXPIRED') {
-    return { ok: false, error: 'license_expired', statusCode: 402 };
-  }
-  if (Number.isFinite(expiresAt) && expiresAt > 0 && Date.now() >= expiresAt) {
-    return { ok: false, error: 'license_expired', statusCode: 402 };
-  }
-  return { ok: true };
-}
-
-async function enforceTenantClaims(req, user) {
-  const role = String(user?.role || '').toUpperCase();
-  if (role === 'SUPER_ADMIN') return { ok: true };
-  if (isTenantBootstrapPath(req.path)) return { ok: true };
-
-  const orgId = normalizedOrgId(user?.orgId || '', user?.licenseId || '');
-  const licenseId = normalizedLicenseId(user?.licenseId || '');
-  const siteId = normalizedSiteId(user?.siteId || '');
   if (!orgId || !licenseId) {
-    return { ok: false, error: 'tenant_claims_required' };
+    return { statusCode: 400, body: { error: 'tenant_required_for_sso' } };
   }
   if ((role === 'PARTICIPANT' || role === 'PRESENTER') && !siteId) {
-    return { ok: false, error: 'tenant_site_required' };
+    return { statusCode: 400, body: { error: 'site_required_for_sso_role' } };
+  }
+  if (!(await ssoLicenseBelongsToOrg(licenseId, orgId))) {
+    return { statusCode: 403, body: { error: 'sso_license_not_in_org' } };
   }
 
   let workshop = null;
-  try {
+  if (SSO_JIT_PROVISION) {
+    workshop = await ensureWorkshopConfig({
+      licenseId,
+      orgId,
+      siteIds: siteId ? [siteId] : [],
+    });
+  } else {
     workshop = await getWorkshopByLicenseCached(licenseId);
-  } catch (err) {
-    console.warn('[tenant] workshop lookup failed:', err?.message || err);
+  }
+  if (workshop && siteId && Array.isArray(workshop.siteIds) && !workshop.siteIds.includes(siteId)) {
+    return { statusCode: 403, body: { error: 'sso_site_not_in_license' } };
+  }
+  const licenseState = evaluateWorkshopLicenseState(workshop);
+  if (!licenseState.ok) {
+    return { statusCode: licenseState.statusCode || 403, body: { error: licenseState.error } };
   }
 
-  if (workshop) {
-    const workshopOrgId = normalizedOrgId(workshop.orgId || '', workshop.licenseId || licenseId);
-    if (workshopOrgId && workshopOrgId !== orgId) {
-      return { ok: false, error: 'tenant_org_mismatch' };
+  const activeCapCheck = await enforceLicenseActiveUserCap({
+    licenseId,
+    activeUserCap:
+      Number(workshop?.activeUserCap || workshop?.expectedUsers || 0) || 0,
+    uid,
+  });
+  if (!activeCapCheck.ok) {
+    return {
+      statusCode: 429,
+      body: {
+        error: activeCapCheck.error,
+        activeUsers: activeCapCheck.activeUsers,
+        activeUserCap: activeCapCheck.cap,
+      },
+    };
+  }
+
+  const pair = await issueTokenPair(
+    {
+      uid,
+      role,
+      email,
+      siteId: siteId || null,
+      licenseId: licenseId || null,
+      orgId: orgId || null,
+    },
+    req
+  );
+
+  await writeAuditEvent({
+    action: auditAction,
+    actor: { uid, role, email, orgId, licenseId, siteId },
+    target: {
+      resourceType: 'SSO_PROVIDER',
+      resourceId: provider,
+      orgId,
+      licenseId,
+      siteId,
+    },
+    details: {
+      provider,
+      issuer,
+      groups,
+    },
+  });
+
+  return {
+    statusCode: 200,
+    body: {
+      ok: true,
+      provider,
+      userId: uid,
+      role,
+      email,
+      orgId: orgId || null,
+      licenseId: licenseId || null,
+      siteId: siteId || null,
+      token: pair.accessToken,
+      accessToken: pair.accessToken,
+      refreshToken: pair.refreshToken,
+      sessionId: pair.sessionId,
+      expiresIn: pair.accessTtlSeconds,
+    },
+  };
+}
+
+app.post('/auth/sso/authorize', async (req, res) => {
+  try {
+    const provider = normalizeOidcProvider(req.body?.provider);
+    if (!provider) {
+      return res.status(400).json({ error: 'unsupported_sso_provider' });
     }
+    const licenseId = normalizedLicenseId(req.body?.licenseId || '');
+    const siteId = normalizedSiteId(req.body?.siteId || '');
+    const orgId = normalizedOrgId(req.body?.orgId || '', licenseId);
+    const redirectUri = String(req.body?.redirectUri || '').trim();
+    if (!orgId) return res.status(400).json({ error: 'tenant_required_for_sso' });
 
-    const sites = sanitizeSiteIds(workshop.siteIds, []);
-    if (siteId && sites.length && !sites.includes(siteId)) {
-      return { ok: false, error: 'tenant_site_mismatch' };
+    const config = await getOrgSsoConfig(orgId);
+    if (!config?.enabled || config.provider !== provider || !config.issuer || !config.clientId) {
+      return res.status(404).json({ error: 'sso_not_configured' });
+    }
+    if (!redirectUri || !config.redirectUris.includes(redirectUri)) {
+      return res.status(400).json({ error: 'sso_redirect_uri_not_allowed' });
+    }
+    if (!(await ssoLicenseBelongsToOrg(licenseId, orgId))) {
+      return res.status(403).json({ error: 'sso_license_not_in_org' });
     }
 
-    const licenseState = evaluateWorkshopLicenseState(workshop);
-    if (!licenseState.ok) {
-      return { ok: false, error: licenseState.error };
+    const discovery = await fetchDiscoveryDocument(config.issuer);
+    const pkce = generatePkcePair();
+    const nonce = randomUrlToken(24);
+    const browserBinding = randomUrlToken(24);
+    const state = sealSsoTransaction(
+      {
+        provider,
+        orgId,
+        licenseId,
+        siteId,
+        redirectUri,
+        nonce,
+        codeVerifier: pkce.codeVerifier,
+        bindingHash: hashTokenValue(browserBinding),
+      },
+      { secret: JWT_SECRET, ttlSeconds: OIDC_TRANSACTION_TTL_SECONDS }
+    );
+    const authorizationUrl = buildAuthorizationUrl({
+      discovery,
+      clientId: config.clientId,
+      redirectUri,
+      scopes: config.scopes,
+      state,
+      nonce,
+      codeChallenge: pkce.codeChallenge,
+      loginHint: String(req.body?.loginHint || '').trim(),
+    });
+    res.setHeader('Set-Cookie', oidcTransactionCookie(req, browserBinding, OIDC_TRANSACTION_TTL_SECONDS));
+    return res.json({ ok: true, provider, authorizationUrl, state });
+  } catch (err) {
+    const code = String(err?.message || '');
+    if (code.startsWith('oidc_')) {
+      console.warn('[/auth/sso/authorize] rejected:', code);
+      return res.status(ssoErrorStatus(code)).json({ error: code });
     }
+    console.error('[/auth/sso/authorize] error:', err);
+    return res.status(500).json({ error: 'sso_authorize_failed' });
   }
+});
 
-  return { ok: true, workshop };
-}
+app.post('/auth/sso/exchange', async (req, res) => {
+  try {
+    const code = String(req.body?.code || '').trim();
+    const stateToken = String(req.body?.state || '').trim();
+    if (!code || !stateToken) {
+      return res.status(400).json({ error: 'code_and_state_required' });
+    }
 
-function extractAuthToken(req) {
-  const header = String(req.headers.authorization || '');
-  if (header.startsWith('Bearer ')) {
-    return header.slice(7).trim();
-  }
-  const queryToken = req.query?.token;
-  if (typeof queryToken === 'string') {
-    return queryToken.trim();
-  }
-  return '';
-}
+    const browserBinding = readRequestCookie(req, OIDC_TRANSACTION_COOKIE);
+    res.setHeader('Set-Cookie', oidcTransactionCookie(req, '', 0));
+    if (!browserBinding) return res.status(400).json({ error: 'sso_transaction_missing' });
 
-async function requireAuth(req, res, next) {
-  try {
-    const token = extractAuthToken(req);
-    if (!token) return res.status(401).json({ error: 'Missing token' });
+    const transaction = openSsoTransaction(stateToken, { secret: JWT_SECRET });
+    if (!transaction.bindingHash || transaction.bindingHash !== hashTokenValue(browserBinding)) {
+      return res.status(400).json({ error: 'sso_transaction_mismatch' });
+    }
+    const provider = normalizeOidcProvider(transaction.provider);
+    const requestedProvider = String(req.body?.provider || '').trim().toUpperCase();
+    if (!allowedSsoProvider(provider) || (requestedProvider && requestedProvider !== provider)) {
+      return res.status(400).json({ error: 'unsupported_sso_provider' });
+    }
+    const licenseId = normalizedLicenseId(transaction.licenseId || '');
+    const orgId = normalizedOrgId(transaction.orgId || '', licenseId);
 
-    const claims = verifySessionToken(token, { secret: JWT_SECRET });
-    if (String(claims.tokenType || 'access').toLowerCase() !== 'access') {
-      return res.status(401).json({ error: 'access_token_required' });
+    const config = await getOrgSsoConfig(orgId);
+    if (!config?.enabled || config.provider !== provider) {
+      return res.status(404).json({ error: 'sso_not_configured' });
     }
-    req.user = {
-      uid: claims.uid,
-      role: claims.role,
-      siteId: claims.siteId || null,
-      licenseId: claims.licenseId || null,
-      orgId: claims.orgId || null,
-      email: claims.email || null,
-      exp: claims.exp,
-      sessionId: claims.sessionId || null,
-    };
-    req.userToken = token;
-    if (req.user.sessionId) {
-      const session = await getAuthSessionRecord(req.user.uid, req.user.sessionId);
-      if (!session || !!session.revoked) {
-        return res.status(401).json({ error: 'session_revoked' });
-      }
-      void touchAuthSession(req.user.uid, req.user.sessionId, req);
+    const discovery = await fetchDiscoveryDocument(config.issuer);
+    const tokens = await exchangeAuthorizationCode({
+      discovery,
+      clientId: config.clientId,
+      clientSecret: config.clientSecret,
+      code,
+      redirectUri: transaction.redirectUri,
+      codeVerifier: transaction.codeVerifier,
+    });
+    const idClaims = await verifyIdToken(tokens.id_token, {
+      issuer: discovery.issuer,
+      audience: config.clientId,
+      nonce: transaction.nonce,
+      jwksUri: discovery.jwks_uri,
+    });
+    const identity = extractIdentityClaims(idClaims, {
+      provider,
+      groupsClaim: config.groupsClaim,
+      siteClaim: config.siteClaim,
+    });
+    const email = normalizeSuperAdminEmail(identity.email);
+    const subject = identity.subject;
+    const groups = identity.groups;
+    if (!email || !subject) {
+      return res.status(400).json({ error: 'email_and_subject_required' });
     }
-    const tenantCheck = await enforceTenantClaims(req, req.user);
-    if (!tenantCheck.ok) {
-      return res.status(403).json({ error: tenantCheck.error || 'tenant_forbidden' });
+    if (identity.emailVerified === false) {
+      return res.status(403).json({ error: 'sso_email_not_verified' });
     }
-    req.tenantWorkshop = tenantCheck.workshop || null;
-    const tenantScopeCheck = enforceTenantRequestScope(
-      req,
-      req.user,
-      req.tenantWorkshop
-    );
-    if (!tenantScopeCheck.ok) {
-      return res
-        .status(403)
-        .json({ error: tenantScopeCheck.error || 'tenant_forbidden' });
+    if (!emailAllowedForSso(email, config.allowedDomains)) {
+      return res.status(403).json({ error: 'sso_email_domain_not_allowed' });
     }
-    const entitlementCheck = await enforceRuntimeLicenseEntitlements({
-      role: req.user.role,
-      licenseId: req.user.licenseId,
-      orgId: req.user.orgId,
-      siteId: req.user.siteId,
-      workshop: req.tenantWorkshop,
-      automate: true,
-      bypassAdmin: true,
-    });
-    if (!entitlementCheck.ok) {
-      return res.status(entitlementCheck.statusCode || 403).json({
-        error: entitlementCheck.error || 'license_forbidden',
-        usageCap: Number(entitlementCheck.usageCap || 0) || undefined,
-        meteredUnits: Number(entitlementCheck.meteredUnits || 0) || undefined,
-        overageUnits: Number(entitlementCheck.overageUnits || 0) || undefined,
-      });
+    // As with SAML, the IdP's site claim is authoritative; the site sent to
+    // /authorize may only narrow to that same site.
+    const idpSiteId = normalizedSiteId(identity.siteId || '');
+    const requestedSiteId = normalizedSiteId(transaction.siteId || '');
+    if (idpSiteId && requestedSiteId && idpSiteId !== requestedSiteId) {
+      return res.status(403).json({ error: 'sso_site_mismatch' });
     }
-    req.entitlements = entitlementCheck;
-    touchSessionHeartbeat(req.user, req);
-    return next();
+    const siteId = idpSiteId || requestedSiteId;
+
+    const login = await completeSsoLogin(req, {
+      provider,
+      issuer: discovery.issuer,
+      uid: `sso:${provider.toLowerCase()}:${subject}`,
+      email,
+      groups,
+      orgId,
+      licenseId,
+      siteId,
+    });
+    return res.status(login.statusCode).json(login.body);
   } catch (err) {
-    console.error('[requireAuth] error', err);
-    return res.status(401).json({ error: 'Unauthorized' });
+    const code = String(err?.message || '');
+    if (code.startsWith('oidc_')) {
+      console.warn('[/auth/sso/exchange] rejected:', code);
+      return res.status(ssoErrorStatus(code)).json({ error: code });
+    }
+    console.error('[/auth/sso/exchange] error:', err);
+    return res.status(500).json({ error: 'sso_exchange_failed' });
   }
-}
+});
 
-// Presenter gating is token-based (never trust client role headers)
-function isPresenterReq(req) {
-  return String(req.user?.role || '').toUpperCase() === 'PRESENTER';
-}
-function requirePresenter(req, res, next) {
-  if (!isPresenterReq(req)) {
-    return res.status(403).json({ error: 'presenter_only' });
+app.get('/auth/saml/:orgId/metadata', async (req, res) => {
+  try {
+    const orgId = normalizedOrgId(req.params.orgId || '');
+    if (!orgId) return res.status(400).json({ error: 'tenant_required_for_sso' });
+    const config = (await getOrgSamlConfig(orgId)) || normalizeSamlConfig({});
+    const sp = samlServiceProviderUrls(req, orgId);
+    res.type('application/samlmetadata+xml');
+    return res.send(
+      buildServiceProviderMetadata({
+        entityId: sp.entityId,
+        acsUrl: sp.acsUrl,
+        nameIdFormat: config.nameIdFormat,
+        wantAssertionsSigned: config.requireSignedAssertion,
+      })
+    );
+  } catch (err) {
+    console.error('[/auth/saml/metadata] error:', err);
+    return res.status(500).json({ error: 'saml_metadata_failed' });
   }
-  return next();
-}
+});
 
-function isAdminReq(req) {
-  const role = String(req.user?.role || '').toUpperCase();
-  return role === 'ADMIN' || role === 'SUPER_ADMIN';
-}
-function requireAdmin(req, res, next) {
-  if (!isAdminReq(req)) {
-    return res.status(403).json({ error: 'admin_only' });
+app.get('/auth/saml/:orgId/login', async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.query?.licenseId || '');
+    const siteId = normalizedSiteId(req.query?.siteId || '');
+    const orgId = normalizedOrgId(req.params.orgId || '', licenseId);
+    const redirectUri = String(req.query?.redirectUri || '').trim();
+    if (!orgId) return res.status(400).json({ error: 'tenant_required_for_sso' });
+
+    const config = await getOrgSamlConfig(orgId);
+    if (!config?.enabled || !config.idpSsoUrl || !config.idpCertificates.length) {
+      return res.status(404).json({ error: 'sso_not_configured' });
+    }
+    if (redirectUri && !config.redirectUris.includes(redirectUri)) {
+      return res.status(400).json({ error: 'sso_redirect_uri_not_allowed' });
+    }
+    if (!(await ssoLicenseBelongsToOrg(licenseId, orgId))) {
+      return res.status(403).json({ error: 'sso_license_not_in_org' });
+    }
+
+    const sp = samlServiceProviderUrls(req, orgId);
+    const requestId = createSamlRequestId();
+    const relayState = randomUrlToken(16);
+    const transaction = sealSsoTransaction(
+      { provider: 'SAML', orgId, licenseId, siteId, redirectUri, requestId, relayState },
+      { secret: JWT_SECRET, ttlSeconds: SAML_TRANSACTION_TTL_SECONDS }
+    );
+    const authnRequestXml = buildAuthnRequest({
+      id: requestId,
+      spEntityId: sp.entityId,
+      acsUrl: sp.acsUrl,
+      idpSsoUrl: config.idpSsoUrl,
+      nameIdFormat: config.nameIdFormat,
+    });
+    res.setHeader(
+      'Set-Cookie',
+      samlTransactionCookie(req, transaction, SAML_TRANSACTION_TTL_SECONDS)
+    );
+    return res.redirect(
+      302,
+      buildRedirectBindingUrl({ idpSsoUrl: config.idpSsoUrl, authnRequestXml, relayState })
+    );
+  } catch (err) {
+    console.error('[/auth/saml/login] error:', err);
+    return res.status(500).json({ error: 'saml_login_failed' });
+  }
+});
+
+app.post(
+  '/auth/saml/:orgId/acs',
+  express.urlencoded({ extended: false, limit: '1mb' }),
+  async (req, res) => {
+    try {
+      const sealed = readRequestCookie(req, SAML_TRANSACTION_COOKIE);
+      res.setHeader('Set-Cookie', samlTransactionCookie(req, '', 0));
+      if (!sealed) return res.status(400).json({ error: 'saml_transaction_missing' });
+
+      const transaction = openSsoTransaction(sealed, { secret: JWT_SECRET });
+      const licenseId = normalizedLicenseId(transaction.licenseId || '');
+      const orgId = normalizedOrgId(req.params.orgId || '', licenseId);
+      if (
+        transaction.provider !== 'SAML' ||
+        transaction.orgId !== orgId ||
+        String(req.body?.RelayState || '') !== transaction.relayState
+      ) {
+        return res.status(400).json({ error: 'saml_relay_state_mismatch' });
+      }
+
+      const config = await getOrgSamlConfig(orgId);
+      if (!config?.enabled) {
+        return res.status(404).json({ error: 'sso_not_configured' });
+      }
+      const sp = samlServiceProviderUrls(req, orgId);
+      const result = validateSamlResponse(req.body?.SAMLResponse, {
+        idpCertificates: config.idpCertificates,
+        idpEntityId: config.idpEntityId,
+        spEntityId: sp.entityId,
+        acsUrl: sp.acsUrl,
+        expectedInResponseTo: transaction.requestId,
+        requireSignedAssertion: config.requireSignedAssertion,
+      });
+      if (
+        !result.assertionId ||
+        !(await consumeSamlAssertionId(result.assertionId, result.notOnOrAfter))
+      ) {
+        return res.status(401).json({ error: 'saml_assertion_replayed' });
+      }
+
+      const identity = mapSamlAttributes(result, config.attributeMap);
+      const email = normalizeSuperAdminEmail(identity.email);
+      if (!email || !identity.subject) {
+        return res.status(400).json({ error: 'email_and_subject_required' });
+      }
+      if (!emailAllowedForSso(email, config.allowedDomains)) {
+        return res.status(403).json({ error: 'sso_email_domain_not_allowed' });
+      }
+      // The IdP's site attribute is authoritative; a site picked at /login
+      // (a query string anyone can edit) may only narrow to that same site.
+      const idpSiteId = normalizedSiteId(identity.siteId || '');
+      const requestedSiteId = normalizedSiteId(transaction.siteId || '');
+      if (idpSiteId && requestedSiteId && idpSiteId !== requestedSiteId) {
+        return res.status(403).json({ error: 'sso_site_mismatch' });
+      }
+      const siteId = idpSiteId || requestedSiteId;
+
+      const login = await completeSsoLogin(req, {
+        provider: 'SAML',
+        issuer: result.issuer,
+        uid: `sso:saml:${orgId.toLowerCase()}:${identity.subject}`,
+        email,
+        groups: identity.groups,
+        orgId,
+        licenseId,
+        siteId,
+        auditAction: 'SSO_SAML_LOGIN',
+      });
+      if (!transaction.redirectUri) {
+        return res.status(login.statusCode).json(login.body);
+      }
+      // Tokens travel in the fragment so they never reach server logs or Referer headers.
+      const fragment = new URLSearchParams(
+        login.statusCode === 200
+          ? {
+              accessToken: login.body.accessToken,
+              refreshToken: login.body.refreshToken,
+              sessionId: login.body.sessionId,
+              expiresIn: String(login.body.expiresIn || ''),
+              role: login.body.role,
+            }
+          : { error: login.body.error }
+      );
+      return res.redirect(302, `${transaction.redirectUri}#${fragment.toString()}`);
+    } catch (err) {
+      const code = String(err?.message || '');
+      if (code.startsWith('saml_') || code.startsWith('oidc_state_')) {
+        console.warn('[/auth/saml/acs] rejected:', code);
+        return res.status(401).json({ error: code });
+      }
+      console.error('[/auth/saml/acs] error:', err);
+      return res.status(500).json({ error: 'saml_acs_failed' });
+    }
   }
+);
+
+// SCIM responses use the SCIM media type and error envelope throughout,
+// including auth failures, since IdP connectors parse both.
+app.use('/scim/v2', (req, res, next) => {
+  res.type(SCIM_CONTENT_TYPE);
   return next();
+});
+
+function sendScimError(res, status, code) {
+  return res.status(status).type(SCIM_CONTENT_TYPE).json(scimErrorBody(status, code));
 }
 
-function isSuperAdminReq(req) {
-  return String(req.user?.role || '').toUpperCase() === 'SUPER_ADMIN';
+// Protocol errors thrown by scim.js are the client's; anything else is ours.
+function sendScimFailure(res, err, label, fallbackCode) {
+  const code = String(err?.message || '');
+  if (code === 'scim_uniqueness') return sendScimError(res, 409, code);
+  if (/^scim_(invalid_|mutability|no_target|too_many)/.test(code)) return sendScimError(res, 400, code);
+  console.error(`[${label}] error:`, err);
+  return sendScimError(res, 500, fallbackCode);
 }
-function requireSuperAdmin(req, res, next) {
-  if (!isSuperAdminReq(req)) {
-    return res.status(403).json({ error: 'super_admin_only' });
-  }
-  const email = normalizeSuperAdminEmail(req.user?.email);
-  if (email !== SUPER_ADMIN_EMAIL) {
-    return res.status(403).json({ error: 'super_admin_email_not_allowed' });
+
+// Org tokens carry their org, so a token only ever reaches its own directory.
+// The global SCIM_BEARER_TOKEN (org taken from ?orgId=) is the pre-tenant
+// setup; it is refused unless SCIM_LEGACY_TOKEN_ENABLED=1.
+async function requireScimAuth(req, res, next) {
+  const auth = String(req.headers.authorization || '');
+  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+  if (!token) return sendScimError(res, 401, 'scim_unauthorized');
+  try {
+    const parsed = parseScimToken(token);
+    if (parsed) {
+      const orgId = normalizedOrgId(parsed.orgId);
+      const record = findScimToken(await getOrgScimTokens(orgId), parsed);
+      if (!record) return sendScimError(res, 401, 'scim_unauthorized');
+      req.scim = { orgId, licenseId: record.licenseId, tokenId: record.tokenId };
+      touchScimToken(orgId, record, req).catch((err) => console.error('[scim token touch] error:', err));
+      return next();
+    }
+    if (SCIM_LEGACY_TOKEN_ENABLED && SCIM_BEARER_TOKEN && safeEqualText(token, SCIM_BEARER_TOKEN)) {
+      if (!scimLegacyTokenWarned) {
+        scimLegacyTokenWarned = true;
+        console.warn('[scim] SCIM_BEARER_TOKEN is deprecated; issue per-org tokens from the admin console.');
+      }
+      req.scim = { orgId: '', licenseId: '', tokenId: 'legacy' };
+      return next();
+    }
+    return sendScimError(res, 401, 'scim_unauthorized');
+  } catch (err) {
+    console.error('[scim auth] error:', err);
+    return sendScimError(res, 500, 'scim_auth_failed');
   }
-  return next();
 }
 
-function normalizedSiteId(value) {
-  return String(value || '').trim().toUpperCase();
+let scimLegacyTokenWarned = false;
+
+function safeEqualText(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
 }
 
-function normalizedLicenseId(value) {
-  return String(value || '').trim().toUpperCase();
+// Usage lives in its own row per token so recording it never rewrites the
+// SCIM_TOKENS row, which would race a concurrent issue, rotate or revoke.
+// It is written at most once per touch interval per instance.
+function scimTokenUsageType(tokenId) {
+  return `SCIM_TOKEN_USAGE#${String(tokenId || '').trim().toUpperCase()}`;
 }
 
-function normalizedOrgId(value, fallbackLicenseId = '') {
-  const direct = String(value || '').trim().toUpperCase();
-  if (direct) return direct;
-  const license = normalizedLicenseId(fallbackLicenseId);
-  if (!license) return '';
-  return `ORG-${license}`;
+async function touchScimToken(orgId, record, req) {
+  const now = Date.now();
+  const cacheKey = `${orgId}::${record.tokenId}`;
+  const lastWrite = Math.max(Number(scimTokenTouchCache.get(cacheKey) || 0), Number(record.lastUsedAt || 0));
+  if (lastWrite && now - lastWrite < SCIM_TOKEN_LIMITS.touchIntervalMs) return;
+  scimTokenTouchCache.set(cacheKey, now);
+  await putItem(TABLES.policies, {
+    scopeId: makeScopeId({ orgId }),
+    policyType: scimTokenUsageType(record.tokenId),
+    lastUsedAt: now,
+    lastUsedIp: extractClientIp(req),
+    updatedAt: now,
+    updatedBy: 'scim',
+  });
 }
 
-function nowEpochSeconds() {
-  return Math.floor(Date.now() / 1000);
+async function withScimTokenUsage(orgId, tokens = []) {
+  const scopeId = makeScopeId({ orgId });
+  const usage = await Promise.all(tokens.map((row) => getPolicy(scopeId, scimTokenUsageType(row.tokenId))));
+  return tokens.map((row, idx) => {
+    const lastUsedAt = Number(usage[idx]?.lastUsedAt || 0);
+    if (lastUsedAt <= Number(row.lastUsedAt || 0)) return row;
+    return { ...row, lastUsedAt, lastUsedIp: String(usage[idx].lastUsedIp || '') };
+  });
 }
 
-function computeRetentionTtlSeconds(days) {
-  const safeDays = Math.max(1, Number(days || 1));
-  return nowEpochSeconds() + safeDays * 24 * 60 * 60;
+function scimOrgId(req) {
+  if (req.scim?.orgId) return req.scim.orgId;
+  return normalizedOrgId(
+    req.query?.orgId || req.body?.orgId || '',
+    req.query?.licenseId || req.body?.licenseId || ''
+  );
 }
 
-function pruneSessionHeartbeatCache(now = Date.now()) {
-  if (sessionHeartbeatCache.size < 2500) return;
-  const staleMs = SESSION_HEARTBEAT_MS * 4;
-  for (const [uid, lastSeenMs] of sessionHeartbeatCache.entries()) {
-    if (now - Number(lastSeenMs || 0) > staleMs) {
-      sessionHeartbeatCache.delete(uid);
-    }
-  }
+function scimBaseUrl(req) {
+  return buildAbsoluteUrl(req, '/scim/v2');
 }
 
-function touchSessionHeartbeat(user, req) {
-  const uid = String(user?.uid || '').trim();
-  if (!uid) return;
+function deterministicScimId(orgId, value) {
+  return crypto
+    .createHash('sha1')
+    .update(`${String(orgId || '').trim().toUpperCase()}:${String(value || '').trim().toLowerCase()}`)
+    .digest('hex')
+    .slice(0, 24);
+}
 
-  const now = Date.now();
-  const prev = Number(sessionHeartbeatCache.get(uid) || 0);
-  if (now - prev < SESSION_HEARTBEAT_MS) return;
-  sessionHeartbeatCache.set(uid, now);
-  pruneSessionHeartbeatCache(now);
+// meta.version is the ETag of everything else, so it is filled in last.
+function withScimMeta(resource, item, resourceType, location) {
+  const out = {
+    ...resource,
+    meta: {
+      resourceType,
+      created: item.createdAt ? new Date(Number(item.createdAt)).toISOString() : undefined,
+      lastModified: item.updatedAt
+        ? new Date(Number(item.updatedAt)).toISOString()
+        : undefined,
+      location,
+    },
+  };
+  out.meta.version = scimEtag(out);
+  return out;
+}
 
-  const role = String(user?.role || 'PARTICIPANT').toUpperCase();
-  const siteId = normalizedSiteId(user?.siteId || 'UNASSIGNED');
-  const licenseId = normalizedLicenseId(user?.licenseId || '');
-  const orgId = normalizedOrgId(user?.orgId || '', licenseId);
-  const email = normalizeSuperAdminEmail(user?.email || '');
-  const ip = String(req?.ip || req?.headers?.['x-forwarded-for'] || '')
-    .split(',')[0]
-    .trim()
-    .slice(0, 120);
-  const userAgent = String(req?.headers?.['user-agent'] || '').slice(0, 300);
-  const sessionRetentionHours = toPositiveInt(
-    req?.tenantWorkshop?.sessionRetentionHours,
-    SESSION_TTL_HOURS,
-    { min: 1, max: 24 * 365 }
+function scimUserFromItem(item = {}, baseUrl = '') {
+  const email = normalizeSuperAdminEmail(
+    item.primaryEmail ||
+      (Array.isArray(item.emails) && item.emails[0]?.value) ||
+      item.userName ||
+      ''
   );
-  const expiresAt = nowEpochSeconds() + sessionRetentionHours * 60 * 60;
+  return withScimMeta(
+    {
+      schemas: [SCIM_SCHEMAS.user],
+      id: item.scimUserId,
+      externalId: item.externalId || '',
+      userName: item.userName || email || '',
+      ...(item.displayName ? { displayName: item.displayName } : {}),
+      active: item.active !== false,
+      name: item.name || {},
+      emails: Array.isArray(item.emails) ? item.emails : email ? [{ value: email, primary: true }] : [],
+      groups: Array.isArray(item.groups) ? item.groups : [],
+    },
+    item,
+    'User',
+    `${baseUrl}/Users/${item.scimUserId}`
+  );
+}
 
-  void ddbDoc
-    .send(
-      new UpdateCommand({
-        TableName: TABLES.sessions,
-        Key: { uid },
-        UpdateExpression: [
-          'SET #role = :role',
-          '#siteId = :siteId',
-          '#licenseId = :licenseId',
-          '#orgId = :orgId',
-          '#email = :email',
-          '#lastSeenAt = :lastSeenAt',
-          '#lastSeenIso = :lastSeenIso',
-          '#ip = :ip',
-          '#userAgent = :userAgent',
-          '#expiresAt = :expiresAt',
-        ].join(', '),
-        ExpressionAttributeNames: {
-          '#role': 'role',
-          '#siteId': 'siteId',
-          '#licenseId': 'licenseId',
-          '#orgId': 'orgId',
-          '#email': 'email',
-          '#lastSeenAt': 'lastSeenAt',
-          '#lastSeenIso': 'lastSeenIso',
-          '#ip': 'ip',
-          '#userAgent': 'userAgent',
-          '#expiresAt': 'expiresAt',
-        },
-        ExpressionAttributeValues: {
-          ':role': role,
-          ':siteId': siteId || 'UNASSIGNED',
-          ':licenseId': licenseId || '',
-          ':orgId': orgId || '',
-          ':email': email || '',
-          ':lastSeenAt': now,
-          ':lastSeenIso': new Date(now).toISOString(),
-          ':ip': ip || '',
-          ':userAgent': userAgent || '',
-          ':expiresAt': expiresAt,
-        },
-      })
-    )
-    .catch((err) => {
-      if (err?.name === 'ResourceNotFoundException') {
-        if (!sessionsTableMissingWarned) {
-          console.warn(
-            `[sessions] table '${TABLES.sessions}' missing; session heartbeat disabled`
-          );
-          sessionsTableMissingWarned = true;
-        }
-        return;
-      }
-      if (shouldUseDemoFallback(err)) {
-        logDemoFallback('session_heartbeat', err);
-        return;
-      }
-      console.warn('[sessions] heartbeat write skipped:', err?.message || err);
-    });
+function scimGroupFromItem(item = {}, baseUrl = '') {
+  return withScimMeta(
+    {
+      schemas: [SCIM_SCHEMAS.group],
+      id: item.scimGroupId,
+      displayName: item.displayName || '',
+      externalId: item.externalId || '',
+      members: Array.isArray(item.members) ? item.members : [],
+    },
+    item,
+    'Group',
+    `${baseUrl}/Groups/${item.scimGroupId}`
+  );
 }
 
-function hashTokenValue(value) {
-  return crypto.createHash('sha256').update(String(value || '')).digest('hex');
+// Stored user fields from a SCIM User body (POST/PUT) or a patched resource.
+// siteId, role and licenseId are ours, not SCIM's, so they carry over from
+// `base` unless the body sets them. An org token pins licenseId to the one it
+// was issued under.
+function scimUserItem(base = {}, input = {}, scope = {}) {
+  const emails = (Array.isArray(input.emails) ? input.emails : [])
+    .filter((entry) => String(entry?.value || '').trim())
+    .map((entry) => ({
+      value: String(entry.value).trim(),
+      ...(entry.type ? { type: String(entry.type).trim() } : {}),
+      ...(entry.primary !== undefined ? { primary: scimBoolean(entry.primary, false) } : {}),
+    }));
+  const userName = String(input.userName || '').trim();
+  const primaryEmail = normalizeSuperAdminEmail(
+    input.primaryEmail ||
+      emails.find((entry) => entry.primary)?.value ||
+      emails[0]?.value ||
+      userName
+  );
+  return {
+    ...base,
+    externalId: String(input.externalId || '').trim(),
+    userName: userName || primaryEmail,
+    displayName: String(input.displayName || '').trim(),
+    active: scimBoolean(input.active, true),
+    name: input.name && typeof input.name === 'object' && !Array.isArray(input.name) ? input.name : {},
+    emails,
+    primaryEmail,
+    siteId: normalizedSiteId(input.siteId ?? base.siteId ?? ''),
+    licenseId: normalizedLicenseId(scope.licenseId || (input.licenseId ?? base.licenseId ?? '')),
+    role: String(input.role ?? base.role ?? 'PARTICIPANT').trim().toUpperCase(),
+    updatedAt: Date.now(),
+  };
 }
 
-function extractClientIp(req) {
-  return String(req?.ip || req?.headers?.['x-forwarded-for'] || '')
-    .split(',')[0]
-    .trim()
-    .slice(0, 120);
+function scimGroupMembers(members = []) {
+  const deduped = [];
+  const seen = new Set();
+  for (const m of Array.isArray(members) ? members : []) {
+    const v = String(m?.value || '').trim();
+    if (!v || seen.has(v)) continue;
+    seen.add(v);
+    deduped.push({ value: v, display: String(m?.display || '').trim() });
+  }
+  return deduped;
 }
 
-function extractUserAgent(req) {
-  return String(req?.headers?.['user-agent'] || '').slice(0, 300);
+// Deleted resources keep their row (with deletedAt) for the audit trail but
+// are gone as far as SCIM is concerned: 404 on read, absent from lists.
+async function listScimItems(tableName, orgId) {
+  const items = [];
+  let lastKey = undefined;
+  try {
+    do {
+      const page = await queryByPartitionKey({
+        tableName,
+        partitionKey: 'orgId',
+        partitionValue: orgId,
+        limit: 200,
+        scanForward: true,
+        exclusiveStartKey: lastKey,
+      });
+      items.push(...(page.items || []));
+      lastKey = page.lastKey || undefined;
+    } while (lastKey);
+  } catch (err) {
+    if (err?.name !== 'ResourceNotFoundException') throw err;
+  }
+  return items.filter((item) => !item.deletedAt);
 }
 
-async function saveAuthSessionRecord({
-  uid,
-  role,
-  siteId = '',
-  licenseId = '',
-  orgId = '',
-  email = '',
-  sessionId,
-  refreshJti,
-  req = null,
-  revoked = false,
-  createdAt = Date.now(),
-} = {}) {
-  if (!uid || !sessionId) return;
-  const now = Date.now();
-  const refreshHash = hashTokenValue(refreshJti || '');
-  const normalizedSite = normalizedSiteId(siteId || '');
-  const normalizedLicense = normalizedLicenseId(licenseId || '');
-  const normalizedOrg = normalizedOrgId(orgId || '', normalizedLicense);
-  const normalizedEmail = normalizeSuperAdminEmail(email || '');
-  const item = {
-    uid: String(uid).trim(),
-    sessionId: String(sessionId).trim(),
-    role: String(role || 'PARTICIPANT').toUpperCase(),
-    refreshHash,
-    revoked: !!revoked,
-    createdAt: Number(createdAt || now),
-    updatedAt: now,
-    lastSeenAt: now,
-    ip: extractClientIp(req),
-    userAgent: extractUserAgent(req),
-    expiresAt: nowEpochSeconds() + Math.ceil(REFRESH_TOKEN_TTL_SECONDS),
-  };
-  if (normalizedSite) item.siteId = normalizedSite;
-  if (normalizedLicense) item.licenseId = normalizedLicense;
-  if (normalizedOrg) item.orgId = normalizedOrg;
-  if (normalizedEmail) item.email = normalizedEmail;
-
-  try {
-    await ddbDoc.send(
-      new PutCommand({
-        TableName: TABLES.authSessions,
-        Item: item,
-      })
-    );
-  } catch (err) {
-    if (!shouldUseDemoFallback(err)) throw err;
-    logDemoFallback('auth_session_put', err);
-    saveDemoAuthSessionRecord(item);
-  }
-}
-
-async function getAuthSessionRecord(uid, sessionId) {
-  if (!uid || !sessionId) return null;
-  try {
-    const { Item } = await ddbDoc.send(
-      new GetCommand({
-        TableName: TABLES.authSessions,
-        Key: { uid: String(uid).trim(), sessionId: String(sessionId).trim() },
-      })
-    );
-    return Item || null;
-  } catch (err) {
-    if (err?.name === 'ResourceNotFoundException') return null;
-    if (shouldUseDemoFallback(err)) {
-      logDemoFallback('auth_session_get', err);
-      return getDemoAuthSessionRecord(uid, sessionId);
-    }
-    throw err;
-  }
-}
-
-async function revokeAuthSession(uid, sessionId) {
-  if (!uid || !sessionId) return;
-  try {
-    await ddbDoc.send(
-      new UpdateCommand({
-        TableName: TABLES.authSessions,
-        Key: { uid: String(uid).trim(), sessionId: String(sessionId).trim() },
-        UpdateExpression: 'SET revoked = :true, updatedAt = :now',
-        ExpressionAttributeValues: {
-          ':true': true,
-          ':now': Date.now(),
-        },
-      })
-    );
-  } catch (err) {
-    if (!shouldUseDemoFallback(err)) throw err;
-    logDemoFallback('auth_session_revoke', err);
-    revokeDemoAuthSession(uid, sessionId);
-  }
+async function getScimItem(tableName, key) {
+  const item = await getItemByKey(tableName, key);
+  return item && !item.deletedAt ? item : null;
 }
 
-async function listAuthSessions(uid, limit = 50) {
-  if (!uid) return [];
-  try {
-    const { Items } = await ddbDoc.send(
-      new QueryCommand({
-        TableName: TABLES.authSessions,
-        KeyConditionExpression: 'uid = :uid',
-        ExpressionAttributeValues: {
-          ':uid': String(uid).trim(),
-        },
-        ScanIndexForward: false,
-        Limit: Math.min(200, limit),
-      })
-    );
-    return Items || [];
-  } catch (err) {
-    if (err?.name === 'ResourceNotFoundException') return [];
-    if (shouldUseDemoFallback(err)) {
-      logDemoFallback('auth_session_list', err);
-      return listDemoAuthSessions(uid, limit);
-    }
-    throw err;
-  }
+function scimUserNameTaken(items, userName, scimUserId) {
+  const needle = normalizeSuperAdminEmail(userName);
+  return items.some(
+    (item) => item.scimUserId !== scimUserId && normalizeSuperAdminEmail(item.userName) === needle
+  );
 }
 
-async function revokeAllAuthSessions(uid) {
-  const sessions = await listAuthSessions(uid, 200);
-  for (const sess of sessions) {
-    if (!sess?.sessionId) continue;
-    // eslint-disable-next-line no-await-in-loop
-    await revokeAuthSession(uid, sess.sessionId);
-  }
+function scimDisplayName(item = {}) {
+  const name = item.name && typeof item.name === 'object' ? item.name : {};
+  return String(
+    item.displayName || name.formatted || [name.givenName, name.familyName].filter(Boolean).join(' ') || ''
+  ).trim();
 }
 
-async function touchAuthSession(uid, sessionId, req) {
-  if (!uid || !sessionId) return;
-  try {
-    await ddbDoc.send(
-      new UpdateCommand({
-        TableName: TABLES.authSessions,
-        Key: { uid: String(uid).trim(), sessionId: String(sessionId).trim() },
-        UpdateExpression:
-          'SET lastSeenAt = :now, updatedAt = :now, ip = :ip, userAgent = :ua',
-        ExpressionAttributeValues: {
-          ':now': Date.now(),
-          ':ip': extractClientIp(req),
-          ':ua': extractUserAgent(req),
-        },
-      })
-    );
-  } catch (err) {
-    if (err?.name === 'ResourceNotFoundException') return;
-    if (shouldUseDemoFallback(err)) {
-      logDemoFallback('auth_session_touch', err);
-      touchDemoAuthSession(uid, sessionId, req);
-      return;
+// Pushes directory state for `scimUserIds` into the rest of the app: the
+// User's read-only `groups`, the org user record (role, sites, active) and,
+// when access shrinks, the user's auth sessions. `users` and `group` are rows
+// just written by the caller, which a fresh query may not return yet.
+async function syncScimAccess(orgId, scimUserIds = [], { users = [], group = null, reason = '' } = {}) {
+  const ids = [...new Set(scimUserIds.map((id) => String(id || '').trim()).filter(Boolean))];
+  if (!ids.length) return [];
+  const map = await getOrgScimGroupMap(orgId);
+  let groups = await listScimItems(TABLES.scimGroups, orgId);
+  if (group) {
+    groups = groups.filter((row) => row.scimGroupId !== group.scimGroupId);
+    if (!group.deletedAt) groups.push(group);
+  }
+  const results = [];
+  for (const scimUserId of ids) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await syncOneScimUser(orgId, scimUserId, { users, groups, map, reason });
+      if (result) results.push(result);
+    } catch (err) {
+      console.error('[scim access sync] error:', scimUserId, err);
     }
-    console.warn('[auth session] touch failed:', err?.message || err);
   }
+  return results;
 }
 
-async function issueTokenPair(claims = {}, req = null, { sessionId = '' } = {}) {
-  const uid = String(claims.uid || '').trim();
-  if (!uid) throw new Error('uid_required_for_token_pair');
-
-  const sid = String(sessionId || crypto.randomUUID()).trim();
-  const refreshJti = crypto.randomUUID();
-  const commonClaims = {
-    uid,
-    role: claims.role || 'PARTICIPANT',
-    siteId: claims.siteId || null,
-    licenseId: claims.licenseId || null,
-    orgId: claims.orgId || null,
-    email: claims.email || null,
-    sessionId: sid,
-  };
-
-  const accessToken = createSessionToken(
-    {
-      ...commonClaims,
-      tokenType: 'access',
-      jti: crypto.randomUUID(),
-    },
-    { secret: JWT_SECRET, ttlSeconds: ACCESS_TOKEN_TTL_SECONDS }
+async function syncOneScimUser(orgId, scimUserId, { users, groups, map, reason }) {
+  const item = users.find((row) => row.scimUserId === scimUserId)
+    || (await getItemByKey(TABLES.scimUsers, { orgId, scimUserId }));
+  if (!item) return null;
+  const memberOf = groups.filter((row) =>
+    (row.members || []).some((member) => String(member?.value || '') === scimUserId)
   );
-  const refreshToken = createSessionToken(
-    {
-      ...commonClaims,
-      tokenType: 'refresh',
-      jti: refreshJti,
-    },
-    { secret: JWT_SECRET, ttlSeconds: REFRESH_TOKEN_TTL_SECONDS }
+  const access = scimGroupAccess(
+    memberOf.map((row) => ({ id: row.scimGroupId, displayName: row.displayName, externalId: row.externalId })),
+    map
   );
+  const groupNames = memberOf.map((row) => row.displayName).filter(Boolean);
+  const role = scimManagedRole(
+    access.roles.reduce(
+      (best, candidate) => (roleWeight(candidate) > roleWeight(best) ? candidate : best),
+      mapGroupsToRole(groupNames, 'PARTICIPANT')
+    )
+  );
+  const siteIds = access.siteIds.length ? access.siteIds : sanitizeSiteIds([item.siteId], []);
+  const active = item.active !== false && !item.deletedAt;
 
-  await saveAuthSessionRecord({
-    ...commonClaims,
-    uid,
-    sessionId: sid,
-    refreshJti,
-    req,
-  });
-
-  return {
-    accessToken,
-    refreshToken,
-    sessionId: sid,
-    accessTtlSeconds: ACCESS_TOKEN_TTL_SECONDS,
-    refreshTtlSeconds: REFRESH_TOKEN_TTL_SECONDS,
-  };
-}
+  const groupRefs = memberOf.map((row) => ({ value: row.scimGroupId, display: row.displayName }));
+  let synced = item;
+  if (
+    JSON.stringify(groupRefs) !== JSON.stringify(item.groups || [])
+    || item.role !== role
+    || normalizedSiteId(item.siteId) !== (siteIds[0] || '')
+  ) {
+    synced = { ...item, groups: groupRefs, role, siteId: siteIds[0] || '', updatedAt: Date.now() };
+    await putItem(TABLES.scimUsers, synced);
+  }
 
-function requirePresenterSiteMatchFromQuery(req, res, next) {
-  const tokenSiteId = normalizedSiteId(req.user?.siteId);
-  const requestedSiteId = normalizedSiteId(req.query?.siteId);
+  const email = normalizeSuperAdminEmail(item.primaryEmail || item.userName);
+  if (!email) return { scimUserId, item: synced };
+  const userId = deriveOrgUserIdFromEmail(email);
+  const previous = await getOrgUser(orgId, userId);
+  await saveOrgUser(
+    orgId,
+    userId,
+    { email, name: scimDisplayName(item), role, siteIds, active, groups: groupNames, managedBy: 'SCIM' },
+    { uid: 'scim', licenseId: item.licenseId }
+  );
 
-  if (!requestedSiteId) return res.status(400).json({ error: 'siteId required' });
-  if (!tokenSiteId || tokenSiteId !== requestedSiteId) {
-    return res.status(403).json({ error: 'site_forbidden' });
+  const lostSites = (previous?.siteIds || []).filter((site) => !siteIds.includes(site));
+  const demoted = !!previous && roleWeight(role) < roleWeight(previous.role);
+  let revokedUids = [];
+  if (!active || demoted || lostSites.length) {
+    revokedUids = [...(await authSessionUidsForEmail(orgId, email))];
+    for (const uid of revokedUids) {
+      // eslint-disable-next-line no-await-in-loop
+      await revokeAllAuthSessions(uid);
+    }
   }
-  const workshopSites = sanitizeSiteIds(req.tenantWorkshop?.siteIds, []);
-  if (workshopSites.length && !workshopSites.includes(requestedSiteId)) {
-    return res.status(403).json({ error: 'tenant_site_mismatch' });
+  const changed = !previous
+    || previous.role !== role
+    || previous.active !== active
+    || JSON.stringify(previous.siteIds || []) !== JSON.stringify(siteIds);
+  if (changed || revokedUids.length) {
+    await writeAuditEvent({
+      action: 'SCIM_ACCESS_SYNC',
+      actor: { uid: 'scim', role: 'SYSTEM', orgId, licenseId: item.licenseId },
+      target: { resourceType: 'ORG_USER', resourceId: userId, orgId, licenseId: item.licenseId, siteId: siteIds[0] || '' },
+      details: {
+        reason,
+        scimUserId,
+        role,
+        previousRole: previous?.role || '',
+        siteIds,
+        active,
+        groups: groupNames,
+        revokedSessionsFor: revokedUids.length,
+      },
+    });
   }
-  return next();
+  return { scimUserId, item: synced, userId, role, siteIds, active, revokedUids };
 }
 
-function requirePresenterRoomScope(req, res, next) {
-  const tokenSiteId = normalizedSiteId(req.user?.siteId);
-  const roomSiteId = parseRoomId(req.params.roomId).siteId;
-
-  if (!tokenSiteId || tokenSiteId !== roomSiteId) {
-    return res.status(403).json({ error: 'site_forbidden' });
-  }
-  const workshopSites = sanitizeSiteIds(req.tenantWorkshop?.siteIds, []);
-  if (workshopSites.length && !workshopSites.includes(roomSiteId)) {
-    return res.status(403).json({ error: 'tenant_site_mismatch' });
-  }
-  return next();
+function sendScimResource(req, res, resource, status = 200) {
+  res.set('ETag', resource.meta.version);
+  if (status === 201) res.set('Location', resource.meta.location);
+  return res.status(status).json(
+    projectScimResource(resource, {
+      attributes: req.query?.attributes,
+      excludedAttributes: req.query?.excludedAttributes,
+    })
+  );
 }
 
-function requireAdminLicense(req, res, next) {
-  const licenseId = normalizedLicenseId(req.user?.licenseId);
-  if (!licenseId) {
-    return res.status(403).json({ error: 'license_forbidden' });
-  }
-  return next();
+function sendScimList(req, res, resources) {
+  const filter = parseScimFilter(req.query?.filter);
+  const list = scimListResponse(
+    resources.filter((resource) => matchesScimFilter(filter, resource)),
+    scimPageParams(req.query || {})
+  );
+  list.Resources = list.Resources.map((resource) =>
+    projectScimResource(resource, {
+      attributes: req.query?.attributes,
+      excludedAttributes: req.query?.excludedAttributes,
+    })
+  );
+  return res.json(list);
 }
 
-function seatMembershipForUid(room, uid) {
-  const target = String(uid || '').trim();
-  if (!target) return false;
-  const seatUids = Array.isArray(room?.seatUids)
-    ? room.seatUids.map((s) => String(s || '').trim())
-    : [];
-  if (seatUids.includes(target)) return true;
+app.get('/scim/v2/ServiceProviderConfig', requireScimAuth, (req, res) => {
+  return res.json(scimServiceProviderConfig({ baseUrl: scimBaseUrl(req) }));
+});
 
-  const seats = Array.isArray(room?.seats) ? room.seats : [];
-  return seats.some((seat) => String(seat?.uid || '').trim() === target);
-}
+app.get('/scim/v2/Schemas', requireScimAuth, (req, res) => {
+  const schemas = scimSchemas({ baseUrl: scimBaseUrl(req) });
+  return res.json(scimListResponse(schemas, { startIndex: 1, count: schemas.length }));
+});
 
-async function adminCanAccessRoom(adminUser, roomSiteId) {
-  const role = String(adminUser?.role || '').toUpperCase();
-  if (role === 'SUPER_ADMIN') return true;
-  if (role !== 'ADMIN') return false;
+app.get('/scim/v2/Schemas/:id', requireScimAuth, (req, res) => {
+  const schema = scimSchemas({ baseUrl: scimBaseUrl(req) }).find((s) => s.id === req.params.id);
+  if (!schema) return sendScimError(res, 404, 'scim_schema_not_found');
+  return res.json(schema);
+});
 
-  const tokenSite = normalizedSiteId(adminUser?.siteId);
-  const licenseId = normalizedLicenseId(adminUser?.licenseId);
-  if (!licenseId) return false;
+app.get('/scim/v2/ResourceTypes', requireScimAuth, (req, res) => {
+  const types = scimResourceTypes({ baseUrl: scimBaseUrl(req) });
+  return res.json(scimListResponse(types, { startIndex: 1, count: types.length }));
+});
+
+app.get('/scim/v2/ResourceTypes/:id', requireScimAuth, (req, res) => {
+  const type = scimResourceTypes({ baseUrl: scimBaseUrl(req) }).find((t) => t.id === req.params.id);
+  if (!type) return sendScimError(res, 404, 'scim_resource_type_not_found');
+  return res.json(type);
+});
 
+app.get('/scim/v2/Users', requireScimAuth, async (req, res) => {
   try {
-    const workshop = await getWorkshopConfig(licenseId);
-    const allowedSites = sanitizeSiteIds(workshop?.siteIds, tokenSite ? [tokenSite] : []);
-    return allowedSites.includes(roomSiteId);
+    const orgId = scimOrgId(req);
+    if (!orgId) return sendScimError(res, 400, 'orgId_required');
+    const baseUrl = scimBaseUrl(req);
+    const items = await listScimItems(TABLES.scimUsers, orgId);
+    return sendScimList(req, res, items.map((item) => scimUserFromItem(item, baseUrl)));
   } catch (err) {
-    console.warn('[authz] admin room access fallback:', err?.message || err);
-    return !!tokenSite && tokenSite === roomSiteId;
+    return sendScimFailure(res, err, '/scim/v2/Users GET', 'scim_users_list_failed');
   }
-}
+});
 
-async function requireRoomAccess(req, res, next) {
+app.get('/scim/v2/Users/:id', requireScimAuth, async (req, res) => {
   try {
-    const roomId = String(req.params?.roomId || '').trim();
-    if (!roomId) {
-      return res.status(400).json({ error: 'roomId required' });
+    const scimUserId = String(req.params?.id || '').trim();
+    const orgId = scimOrgId(req);
+    if (!scimUserId || !orgId) return sendScimError(res, 400, 'orgId_and_id_required');
+    const item = await getScimItem(TABLES.scimUsers, { orgId, scimUserId });
+    if (!item) return sendScimError(res, 404, 'scim_user_not_found');
+    const resource = scimUserFromItem(item, scimBaseUrl(req));
+    if (scimNotModified(req.headers['if-none-match'], resource.meta.version)) return res.status(304).end();
+    return sendScimResource(req, res, resource);
+  } catch (err) {
+    return sendScimFailure(res, err, '/scim/v2/Users/:id GET', 'scim_user_read_failed');
+  }
+});
+
+app.post('/scim/v2/Users', requireScimAuth, async (req, res) => {
+  try {
+    const orgId = scimOrgId(req);
+    const licenseId = normalizedLicenseId(req.scim?.licenseId || req.body?.licenseId || req.query?.licenseId || '');
+    if (!orgId || !licenseId) return sendScimError(res, 400, 'orgId_and_licenseId_required');
+    const userName = String(req.body?.userName || '').trim();
+    const externalId = String(req.body?.externalId || '').trim();
+    const scimUserId =
+      String(req.body?.id || '').trim() ||
+      deterministicScimId(orgId, externalId || userName);
+    if (!scimUserId || (!userName && !externalId)) {
+      return sendScimError(res, 400, 'scim_invalid_value');
     }
+    const existing = await listScimItems(TABLES.scimUsers, orgId);
+    if (existing.some((item) => item.scimUserId === scimUserId) || scimUserNameTaken(existing, userName, scimUserId)) {
+      return sendScimError(res, 409, 'scim_uniqueness');
+    }
+    const now = Date.now();
+    const item = {
+      ...scimUserItem({ orgId, scimUserId, licenseId, role: 'PARTICIPANT' }, req.body || {}, req.scim),
+      createdAt: now,
+      updatedAt: now,
+    };
+    await putItem(TABLES.scimUsers, item);
 
-    const room = await ensureRoom(roomId);
-    const roomSiteId = normalizedSiteId(room.siteId || parseRoomId(roomId).siteId);
-    const tokenSiteId = normalizedSiteId(req.user?.siteId);
-    const role = String(req.user?.role || '').trim().toUpperCase();
-    const userLicenseId = normalizedLicenseId(req.user?.licenseId || '');
-    const userOrgId = normalizedOrgId(req.user?.orgId || '', userLicenseId);
-    const roomLicenseId = normalizedLicenseId(room.licenseId || '');
-    const roomOrgId = normalizedOrgId(room.orgId || '', roomLicenseId);
-    const tenantCheck = evaluateTenantHierarchy({
-      role,
-      userOrgId,
-      userLicenseId,
-      userSiteId: tokenSiteId,
-      targetOrgId: roomOrgId,
-      targetLicenseId: roomLicenseId,
-      targetSiteId: roomSiteId,
-      licensedSiteIds: sanitizeSiteIds(req.tenantWorkshop?.siteIds, []),
+    await writeAuditEvent({
+      action: 'SCIM_USER_UPSERT',
+      actor: { uid: 'scim', role: 'SYSTEM', orgId, licenseId },
+      target: { resourceType: 'SCIM_USER', resourceId: scimUserId, orgId, licenseId, siteId: item.siteId },
+      details: { active: item.active, userName: item.userName },
     });
-    if (!tenantCheck.allowed) {
-      return res.status(403).json({ error: tenantCheck.reason || 'tenant_forbidden' });
-    }
+    const [synced] = await syncScimAccess(orgId, [scimUserId], { users: [item], reason: 'user_create' });
 
-    const adminAllowed =
-      role === 'ADMIN' ? await adminCanAccessRoom(req.user, roomSiteId) : false;
-    const membershipAllowed = seatMembershipForUid(room, req.user?.uid);
-    const authz = evaluateRoomAccess({
-      role,
-      tokenSiteId,
-      roomSiteId,
-      isSeatMember: membershipAllowed,
-      adminAllowed,
+    return sendScimResource(req, res, scimUserFromItem(synced?.item || item, scimBaseUrl(req)), 201);
+  } catch (err) {
+    return sendScimFailure(res, err, '/scim/v2/Users POST', 'scim_user_upsert_failed');
+  }
+});
+
+app.put('/scim/v2/Users/:id', requireScimAuth, async (req, res) => {
+  try {
+    const scimUserId = String(req.params?.id || '').trim();
+    const orgId = scimOrgId(req);
+    if (!scimUserId || !orgId) return sendScimError(res, 400, 'orgId_and_id_required');
+    const existing = await listScimItems(TABLES.scimUsers, orgId);
+    const Item = existing.find((item) => item.scimUserId === scimUserId);
+    if (!Item) return sendScimError(res, 404, 'scim_user_not_found');
+    const baseUrl = scimBaseUrl(req);
+    if (!scimIfMatch(req.headers['if-match'], scimUserFromItem(Item, baseUrl).meta.version)) {
+      return sendScimError(res, 412, 'scim_version_mismatch');
+    }
+    if (!String(req.body?.userName || '').trim()) return sendScimError(res, 400, 'scim_invalid_value');
+    if (scimUserNameTaken(existing, req.body.userName, scimUserId)) return sendScimError(res, 409, 'scim_uniqueness');
+    // PUT replaces every SCIM attribute; omitted ones are cleared.
+    const next = scimUserItem(Item, req.body || {}, req.scim);
+    await putItem(TABLES.scimUsers, next);
+    await writeAuditEvent({
+      action: 'SCIM_USER_UPSERT',
+      actor: { uid: 'scim', role: 'SYSTEM', orgId, licenseId: next.licenseId },
+      target: { resourceType: 'SCIM_USER', resourceId: scimUserId, orgId, licenseId: next.licenseId, siteId: next.siteId },
+      details: { active: next.active, userName: next.userName },
     });
-    if (!authz.allowed) {
-      return res.status(403).json({ error: authz.reason || 'room_forbidden' });
+    const [synced] = await syncScimAccess(orgId, [scimUserId], { users: [next], reason: 'user_replace' });
+    return sendScimResource(req, res, scimUserFromItem(synced?.item || next, baseUrl));
+  } catch (err) {
+    return sendScimFailure(res, err, '/scim/v2/Users/:id PUT', 'scim_user_update_failed');
+  }
+});
+
+app.patch('/scim/v2/Users/:id', requireScimAuth, async (req, res) => {
+  try {
+    const scimUserId = String(req.params?.id || '').trim();
+    const orgId = scimOrgId(req);
+    if (!scimUserId || !orgId) return sendScimError(res, 400, 'orgId_and_id_required');
+    const existing = await listScimItems(TABLES.scimUsers, orgId);
+    const Item = existing.find((item) => item.scimUserId === scimUserId);
+    if (!Item) return sendScimError(res, 404, 'scim_user_not_found');
+    const baseUrl = scimBaseUrl(req);
+    const current = scimUserFromItem(Item, baseUrl);
+    if (!scimIfMatch(req.headers['if-match'], current.meta.version)) {
+      return sendScimError(res, 412, 'scim_version_mismatch');
+    }
+    // groups is read-only on User: membership changes go through /Groups.
+    const patched = applyScimPatch(current, req.body || {}, { readOnly: ['groups'] });
+    if (!String(patched.userName || '').trim()) throw new Error('scim_invalid_value');
+    if (scimUserNameTaken(existing, patched.userName, scimUserId)) throw new Error('scim_uniqueness');
+    const next = scimUserItem(Item, patched, req.scim);
+    await putItem(TABLES.scimUsers, next);
+    await writeAuditEvent({
+      action: 'SCIM_USER_PATCH',
+      actor: { uid: 'scim', role: 'SYSTEM', orgId, licenseId: next.licenseId },
+      target: { resourceType: 'SCIM_USER', resourceId: scimUserId, orgId, licenseId: next.licenseId, siteId: next.siteId },
+      details: {
+        active: next.active,
+        userName: next.userName,
+        operations: (req.body?.Operations || []).map((op) => `${String(op?.op || '').toLowerCase()} ${op?.path || '(value)'}`),
+      },
+    });
+    const [synced] = await syncScimAccess(orgId, [scimUserId], { users: [next], reason: 'user_patch' });
+    return sendScimResource(req, res, scimUserFromItem(synced?.item || next, baseUrl));
+  } catch (err) {
+    return sendScimFailure(res, err, '/scim/v2/Users/:id PATCH', 'scim_user_patch_failed');
+  }
+});
+
+app.delete('/scim/v2/Users/:id', requireScimAuth, async (req, res) => {
+  try {
+    const scimUserId = String(req.params?.id || '').trim();
+    const orgId = scimOrgId(req);
+    if (!scimUserId || !orgId) return sendScimError(res, 400, 'orgId_and_id_required');
+    const Item = await getScimItem(TABLES.scimUsers, { orgId, scimUserId });
+    if (!Item) return sendScimError(res, 404, 'scim_user_not_found');
+    if (!scimIfMatch(req.headers['if-match'], scimUserFromItem(Item).meta.version)) {
+      return sendScimError(res, 412, 'scim_version_mismatch');
     }
+    const now = Date.now();
+    const deleted = { ...Item, active: false, deletedAt: now, updatedAt: now };
+    await putItem(TABLES.scimUsers, deleted);
+    await writeAuditEvent({
+      action: 'SCIM_USER_DEACTIVATE',
+      actor: { uid: 'scim', role: 'SYSTEM', orgId },
+      target: { resourceType: 'SCIM_USER', resourceId: scimUserId, orgId },
+      details: { active: false, deleted: true },
+    });
+    await syncScimAccess(orgId, [scimUserId], { users: [deleted], reason: 'user_delete' });
+    return res.status(204).end();
+  } catch (err) {
+    return sendScimFailure(res, err, '/scim/v2/Users/:id DELETE', 'scim_user_delete_failed');
+  }
+});
 
-    const progressed = await advanceRoomTimeline(roomId, { room });
-    req.room = progressed || room;
-    return next();
+app.get('/scim/v2/Groups', requireScimAuth, async (req, res) => {
+  try {
+    const orgId = scimOrgId(req);
+    if (!orgId) return sendScimError(res, 400, 'orgId_required');
+    const baseUrl = scimBaseUrl(req);
+    const items = await listScimItems(TABLES.scimGroups, orgId);
+    return sendScimList(req, res, items.map((item) => scimGroupFromItem(item, baseUrl)));
   } catch (err) {
-    console.error('[requireRoomAccess] error:', err);
-    return res.status(500).json({ error: 'room_access_failed' });
+    return sendScimFailure(res, err, '/scim/v2/Groups GET', 'scim_groups_list_failed');
+  }
+});
+
+app.get('/scim/v2/Groups/:id', requireScimAuth, async (req, res) => {
+  try {
+    const scimGroupId = String(req.params?.id || '').trim();
+    const orgId = scimOrgId(req);
+    if (!scimGroupId || !orgId) return sendScimError(res, 400, 'orgId_and_id_required');
+    const item = await getScimItem(TABLES.scimGroups, { orgId, scimGroupId });
+    if (!item) return sendScimError(res, 404, 'scim_group_not_found');
+    const resource = scimGroupFromItem(item, scimBaseUrl(req));
+    if (scimNotModified(req.headers['if-none-match'], resource.meta.version)) return res.status(304).end();
+    return sendScimResource(req, res, resource);
+  } catch (err) {
+    return sendScimFailure(res, err, '/scim/v2/Groups/:id GET', 'scim_group_read_failed');
+  }
+});
+
+app.post('/scim/v2/Groups', requireScimAuth, async (req, res) => {
+  try {
+    const orgId = scimOrgId(req);
+    if (!orgId) return sendScimError(res, 400, 'orgId_required');
+    const displayName = String(req.body?.displayName || '').trim();
+    const externalId = String(req.body?.externalId || '').trim();
+    const scimGroupId =
+      String(req.body?.id || '').trim() ||
+      deterministicScimId(orgId, externalId || displayName);
+    if (!scimGroupId || (!displayName && !externalId)) {
+      return sendScimError(res, 400, 'scim_invalid_value');
+    }
+    if (await getScimItem(TABLES.scimGroups, { orgId, scimGroupId })) {
+      return sendScimError(res, 409, 'scim_uniqueness');
+    }
+    const now = Date.now();
+    const item = {
+      orgId,
+      scimGroupId,
+      externalId,
+      displayName: displayName || externalId || scimGroupId,
+      members: scimGroupMembers(req.body?.members),
+      createdAt: now,
+      updatedAt: now,
+    };
+    await putItem(TABLES.scimGroups, item);
+    await writeAuditEvent({
+      action: 'SCIM_GROUP_UPSERT',
+      actor: { uid: 'scim', role: 'SYSTEM', orgId },
+      target: { resourceType: 'SCIM_GROUP', resourceId: scimGroupId, orgId },
+      details: { displayName: item.displayName, memberCount: item.members.length },
+    });
+    await syncScimAccess(orgId, item.members.map((m) => m.value), { group: item, reason: 'group_create' });
+    return sendScimResource(req, res, scimGroupFromItem(item, scimBaseUrl(req)), 201);
+  } catch (err) {
+    return sendScimFailure(res, err, '/scim/v2/Groups POST', 'scim_group_upsert_failed');
   }
+});
+
+// PUT and PATCH on a group share the write: replace the stored group with
+// `nextResource` (already checked against If-Match) and audit the sync.
+async function saveScimGroup(req, res, Item, nextResource, label) {
+  const next = {
+    ...Item,
+    displayName: String(nextResource.displayName || '').trim() || Item.displayName,
+    externalId: String(nextResource.externalId ?? Item.externalId ?? '').trim(),
+    members: scimGroupMembers(nextResource.members),
+    updatedAt: Date.now(),
+  };
+  await putItem(TABLES.scimGroups, next);
+  await writeAuditEvent({
+    action: 'SCIM_GROUP_MEMBERS_SYNC',
+    actor: { uid: 'scim', role: 'SYSTEM', orgId: Item.orgId },
+    target: { resourceType: 'SCIM_GROUP', resourceId: Item.scimGroupId, orgId: Item.orgId },
+    details: { memberCount: next.members.length, via: label },
+  });
+  // Former members are synced too: leaving a group can demote a user. A
+  // rename matters as well, since mappings may match on displayName.
+  await syncScimAccess(
+    Item.orgId,
+    [...(Item.members || []), ...next.members].map((m) => m.value),
+    { group: next, reason: `group_${label}` }
+  );
+  return sendScimResource(req, res, scimGroupFromItem(next, scimBaseUrl(req)));
 }
 
-// ---------- Helpers ----------
-const DEFAULT_STAGE = 'LOBBY';
-const ROOM_ORDER = [
-  'LOBBY',
-  'DISCOVERY',
-  'IDEA_DUMP',
-  'PLANNING',
-  'ROUGH_DRAFT',
-  'EDITING',
-  'FINAL',
-  'CLOSED',
+async function loadScimGroupForWrite(req, res) {
+  const scimGroupId = String(req.params?.id || '').trim();
+  const orgId = scimOrgId(req);
+  if (!scimGroupId || !orgId) {
+    sendScimError(res, 400, 'orgId_and_id_required');
+    return null;
+  }
+  const Item = await getScimItem(TABLES.scimGroups, { orgId, scimGroupId });
+  if (!Item) {
+    sendScimError(res, 404, 'scim_group_not_found');
+    return null;
+  }
+  const current = scimGroupFromItem(Item, scimBaseUrl(req));
+  if (!scimIfMatch(req.headers['if-match'], current.meta.version)) {
+    sendScimError(res, 412, 'scim_version_mismatch');
+    return null;
+  }
+  return { Item, current };
+}
+
+app.put('/scim/v2/Groups/:id', requireScimAuth, async (req, res) => {
+  try {
+    const loaded = await loadScimGroupForWrite(req, res);
+    if (!loaded) return undefined;
+    if (!String(req.body?.displayName || '').trim()) return sendScimError(res, 400, 'scim_invalid_value');
+    return saveScimGroup(req, res, loaded.Item, { externalId: '', members: [], ...req.body }, 'put');
+  } catch (err) {
+    return sendScimFailure(res, err, '/scim/v2/Groups/:id PUT', 'scim_group_update_failed');
+  }
+});
+
+app.patch('/scim/v2/Groups/:id', requireScimAuth, async (req, res) => {
+  try {
+    const loaded = await loadScimGroupForWrite(req, res);
+    if (!loaded) return undefined;
+    const patched = applyScimPatch(loaded.current, req.body || {});
+    return saveScimGroup(req, res, loaded.Item, patched, 'patch');
+  } catch (err) {
+    return sendScimFailure(res, err, '/scim/v2/Groups/:id PATCH', 'scim_group_patch_failed');
+  }
+});
+
+app.delete('/scim/v2/Groups/:id', requireScimAuth, async (req, res) => {
+  try {
+    const loaded = await loadScimGroupForWrite(req, res);
+    if (!loaded) return undefined;
+    const now = Date.now();
+    const deleted = { ...loaded.Item, deletedAt: now, updatedAt: now };
+    await putItem(TABLES.scimGroups, deleted);
+    await writeAuditEvent({
+      action: 'SCIM_GROUP_DELETE',
+      actor: { uid: 'scim', role: 'SYSTEM', orgId: loaded.Item.orgId },
+      target: { resourceType: 'SCIM_GROUP', resourceId: loaded.Item.scimGroupId, orgId: loaded.Item.orgId },
+      details: { displayName: loaded.Item.displayName, memberCount: (loaded.Item.members || []).length },
+    });
+    await syncScimAccess(
+      loaded.Item.orgId,
+      (loaded.Item.members || []).map((m) => m.value),
+      { group: deleted, reason: 'group_delete' }
+    );
+    return res.status(204).end();
+  } catch (err) {
+    return sendScimFailure(res, err, '/scim/v2/Groups/:id DELETE', 'scim_group_delete_failed');
+  }
+});
+
+const TENANT_BOOTSTRAP_PATH_PREFIXES = [
+  '/codes/consume',
+  '/admin/auth/consume',
+  '/super-admin/auth/email',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/sessions',
 ];
-const STAGE_SET = new Set(ROOM_ORDER);
 
-// Align durations with UI (Room.jsx TOTAL_BY_STAGE) — milliseconds
-const STAGE_DURATIONS = {
-  LOBBY: 1200 * 1000, // 20 min
-  DISCOVERY: 600 * 1000, // 10 min
-  IDEA_DUMP: 600 * 1000, // 10 min
-  PLANNING: 600 * 1000, // 10 min
-  ROUGH_DRAFT: 240 * 1000, // 4 min
-  EDITING: 600 * 1000, // 10 min
-  FINAL: 360 * 1000, // 6 min
-};
-function getStageDuration(stage) {
-  return STAGE_DURATIONS[stage] || 6 * 60_000;
+function isTenantBootstrapPath(pathname) {
+  const p = String(pathname || '').trim();
+  if (!p) return false;
+  return TENANT_BOOTSTRAP_PATH_PREFIXES.some((prefix) => p === prefix || p.startsWith(`${prefix}/`));
 }
 
-function getRoomStageDurationMs(room, stage) {
-  const idx = ROOM_ORDER.indexOf(stage || DEFAULT_STAGE);
-  if (idx >= 0 && idx < ROOM_ORDER.length - 1) {
-    const phase = Array.isArray(room?.phasePlan) ? room.phasePlan[idx] : null;
-    const customSec = Number(phase?.durationSec || 0);
-    if (Number.isFinite(customSec) && customSec > 0) {
-      return customSec * 1000;
-    }
+async function getWorkshopByLicenseCached(licenseIdRaw) {
+  const licenseId = normalizedLicenseId(licenseIdRaw);
+  if (!licenseId) return null;
+  const now = Date.now();
+  const cached = tenantWorkshopCache.get(licenseId);
+  if (cached && now - Number(cached.loadedAt || 0) < TENANT_WORKSHOP_CACHE_MS) {
+    return cached.workshop || null;
   }
-  return getStageDuration(stage);
+  const workshop = await getWorkshopConfig(licenseId);
+  tenantWorkshopCache.set(licenseId, { workshop: workshop || null, loadedAt: now });
+  return workshop || null;
 }
 
-const DEFAULT_WORKSHOP_MODE = 'HIDDEN_GENIUS';
-const DEFAULT_EXPECTED_USERS = 30;
-const DEFAULT_SEAT_LIMIT_PER_ROOM = 6;
-const MAX_ROOMS_PER_SITE = 40;
-const MAX_SEAT_LIMIT_PER_ROOM = 24;
-const MAX_PHASE_COUNT = 24;
-const DEFAULT_ASSISTANT_PERSONA =
-  'Warm, direct, practical facilitator that keeps teams on track and focused on outcomes.';
+function clearWorkshopTenantCache(licenseIdRaw = '') {
+  const licenseId = normalizedLicenseId(licenseIdRaw);
+  if (licenseId) tenantWorkshopCache.delete(licenseId);
+}
 
-const WORKSHOP_MODE_TEMPLATES = Object.freeze({
-  HIDDEN_GENIUS: {
-    id: 'HIDDEN_GENIUS',
-    label: 'Hidden Genius Project',
-    description:
-      'Teams uncover community truths through collaborative story building with AI guidance.',
-    defaultPhases: [
-      { title: 'Context Circle', durationSec: 600, goal: 'Name the issue and community impact.' },
-      { title: 'Discovery', durationSec: 900, goal: 'Share lived examples and key evidence.' },
-      { title: 'Story Architecture', durationSec: 900, goal: 'Define protagonist, conflict, and stakes.' },
-      { title: 'Drafting', durationSec: 900, goal: 'Co-create first story draft with AI.' },
-      { title: 'Truth Edit', durationSec: 600, goal: 'Sharpen facts, voice, and accountability.' },
-      { title: 'Final Share', durationSec: 600, goal: 'Publish final abstract and call to action.' },
-    ],
-    defaultTopics: [
-      'Law Enforcement Profiling',
-      'Food Deserts',
-      'Red Lining',
-      'Homelessness',
-      'Wealth Gap',
-    ],
-  },
-  CREATIVE_WRITING: {
-    id: 'CREATIVE_WRITING',
-    label: 'Creative Writing Workshop',
-    description:
-      'Groups move from prompt to polished narrative through collaborative writing phases.',
-    defaultPhases: [
-      { title: 'Prompt Warmup', durationSec: 600, goal: 'Align on writing prompt and POV.' },
-      { title: 'Brainstorm', durationSec: 900, goal: 'Generate characters, scenes, and tensions.' },
-      { title: 'Outline', durationSec: 900, goal: 'Lock narrative structure and key beats.' },
-      { title: 'Draft', durationSec: 900, goal: 'Draft full piece with AI guidance.' },
-      { title: 'Peer Edit', durationSec: 600, goal: 'Revise clarity, tone, and impact.' },
-      { title: 'Readout', durationSec: 600, goal: 'Share final version with group.' },
-    ],
-    defaultTopics: [],
-  },
-  PROJECT_IDEATION: {
-    id: 'PROJECT_IDEATION',
-    label: 'Project Ideation Sprint',
-    description:
-      'Cross-functional teams identify problems, design solutions, and leave with an execution-ready concept.',
-    defaultPhases: [
-      { title: 'Problem Framing', durationSec: 600, goal: 'Define target user and pain point.' },
-      { title: 'Opportunity Mapping', durationSec: 900, goal: 'Expand solution possibilities quickly.' },
-      { title: 'Concept Selection', durationSec: 900, goal: 'Choose one concept and scope it.' },
-      { title: 'Execution Plan', durationSec: 900, goal: 'Draft milestones, owners, and risks.' },
-      { title: 'Pitch Polish', durationSec: 600, goal: 'Prepare concise pitch and value narrative.' },
-      { title: 'Commitment Round', durationSec: 600, goal: 'Confirm next actions and owners.' },
-    ],
-    defaultTopics: [],
-  },
-  RESTORATIVE_CIRCLE: {
-    id: 'RESTORATIVE_CIRCLE',
-    label: 'Restorative Circle',
-    description:
-      'Teams surface tensions safely, identify root causes, and co-design repair commitments.',
-    defaultPhases: [
-      { title: 'Safety Agreements', durationSec: 600, goal: 'Establish norms and intentions.' },
-      { title: 'Shared Facts', durationSec: 900, goal: 'Document what happened without blame.' },
-      { title: 'Impact Reflection', durationSec: 900, goal: 'Express impact and unmet needs.' },
-      { title: 'Repair Options', durationSec: 900, goal: 'Generate realistic repair actions.' },
-      { title: 'Agreement Draft', durationSec: 600, goal: 'Write ownership and follow-through plan.' },
-      { title: 'Close & Follow-Up', durationSec: 600, goal: 'Confirm commitments and check-in cadence.' },
-    ],
-    defaultTopics: [],
-  },
-});
-
-function toPositiveInt(value, fallback, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) {
-  const n = Number(value);
-  if (!Number.isFinite(n)) return fallback;
-  const i = Math.floor(n);
-  if (i < min) return min;
-  if (i > max) return max;
-  return i;
+function tenantTargetsFromRequest(req) {
+  const targets = collectTenantTargetsFromRequest({
+    params: req.params || {},
+    query: req.query || {},
+    body: req.body || {},
+  });
+  const licenseId = normalizedLicenseId(targets.licenseId || '');
+  const orgId = normalizedOrgId(targets.orgId || '', licenseId);
+  const siteIds = sanitizeSiteIds(targets.siteIds || [], []);
+  return { orgId, licenseId, siteIds };
 }
 
-function normalizeMode(value) {
-  const key = String(value || '').trim().toUpperCase();
-  return WORKSHOP_MODE_TEMPLATES[key] ? key : DEFAULT_WORKSHOP_MODE;
-}
+function enforceTenantRequestScope(req, user, workshop = null) {
+  const role = String(user?.role || '').toUpperCase();
+  if (role === 'SUPER_ADMIN') return { ok: true };
+  if (isTenantBootstrapPath(req.path)) return { ok: true };
 
-function sanitizeSiteIds(siteIds, fallback = []) {
-  const raw = Array.isArray(siteIds) ? siteIds : fallback;
-  const out = [];
-  const seen = new Set();
-  for (const entry of raw) {
-    const site = normalizedSiteId(entry);
-    if (!site || seen.has(site)) continue;
-    seen.add(site);
-    out.push(site);
+  const userLicenseId = normalizedLicenseId(user?.licenseId || '');
+  const userOrgId = normalizedOrgId(user?.orgId || '', userLicenseId);
+  const userSiteId = normalizedSiteId(user?.siteId || '');
+  const targets = tenantTargetsFromRequest(req);
+  if (!targets.orgId && !targets.licenseId && !targets.siteIds.length) {
+    return { ok: true };
   }
-  return out;
-}
 
-function normalizeTopicCatalog(input) {
-  const raw = Array.isArray(input) ? input : [];
-  return raw
-    .map((topic) => String(topic || '').trim())
-    .filter(Boolean)
-    .slice(0, 50);
-}
+  const targetLicenseId = normalizedLicenseId(targets.licenseId || userLicenseId);
+  const targetOrgId = normalizedOrgId(targets.orgId || userOrgId, targetLicenseId || userLicenseId);
+  const licensedSiteIds =
+    role === 'ADMIN' ? [] : sanitizeSiteIds(workshop?.siteIds, []);
+  const candidateSites = targets.siteIds.length ? targets.siteIds : [''];
 
-function normalizeAiBehavior(value) {
-  const key = String(value || '').trim().toUpperCase();
-  if (key === 'BACKGROUND' || key === 'GUIDE' || key === 'HELPER') return key;
-  return 'GUIDE';
-}
+  for (const targetSiteId of candidateSites) {
+    const tenantCheck = evaluateTenantHierarchy({
+      role,
+      userOrgId,
+      userLicenseId,
+      userSiteId,
+      targetOrgId,
+      targetLicenseId,
+      targetSiteId: normalizedSiteId(targetSiteId || ''),
+      licensedSiteIds,
+    });
+    if (!tenantCheck.allowed) {
+      return { ok: false, error: tenantCheck.reason || 'tenant_forbidden' };
+    }
+  }
 
-const AUTOPILOT_DEFAULT = Object.freeze({
-  enabled: false,
-  autoNudgeOnStuck: true,
-  autoVote: true,
-  autoAdvance: true,
-  nudgeBeforeEndSec: 45,
-  stuckInactivitySec: 120,
-  interventionExtendSec: 120,
-});
+  return { ok: true };
+}
 
-function normalizeAutopilotConfig(input = {}, fallback = AUTOPILOT_DEFAULT) {
-  const base =
-    fallback && typeof fallback === 'object' ? fallback : AUTOPILOT_DEFAULT;
-  const src = input && typeof input === 'object' ? input : {};
-  return {
-    enabled:
-      src.enabled === undefined ? !!base.enabled : !!src.enabled,
-    autoNudgeOnStuck:
-      src.autoNudgeOnStuck === undefined
-        ? !!base.autoNudgeOnStuck
-        : !!src.autoNudgeOnStuck,
-    autoVote:
-      src.autoVote === undefined ? !!base.autoVote : !!src.autoVote,
-    autoAdvance:
-      src.autoAdvance === undefined ? !!base.autoAdvance : !!src.autoAdvance,
-    nudgeBeforeEndSec: toPositiveInt(
-      src.nudgeBeforeEndSec,
-      toPositiveInt(base.nudgeBeforeEndSec, AUTOPILOT_DEFAULT.nudgeBeforeEndSec, {
-        min: 10,
-        max: 300,
-      }),
-      { min: 10, max: 300 }
-    ),
-    stuckInactivitySec: toPositiveInt(
-      src.stuckInactivitySec,
-      toPositiveInt(base.stuckInactivitySec, AUTOPILOT_DEFAULT.stuckInactivitySec, {
-        min: 30,
-        max: 900,
-      }),
-      { min: 30, max: 900 }
-    ),
-    interventionExtendSec: toPositiveInt(
-      src.interventionExtendSec,
-      toPositiveInt(base.interventionExtendSec, AUTOPILOT_DEFAULT.interventionExtendSec, {
-        min: 30,
-        max: 600,
-      }),
-      { min: 30, max: 600 }
-    ),
-  };
+function evaluateWorkshopLicenseState(workshop) {
+  if (!workshop || typeof workshop !== 'object') return { ok: true };
+  const status = String(workshop.licenseStatus || 'ACTIVE').trim().toUpperCase();
+  const expiresAt = Number(workshop.licenseExpiresAt || 0);
+  if (status === 'SUSPENDED') {
+    return { ok: false, error: 'license_suspended', statusCode: 423 };
+  }
+  if (status === 'EXPIRED') {
+    return { ok: false, error: 'license_expired', statusCode: 402 };
+  }
+  if (Number.isFinite(expiresAt) && expiresAt > 0 && Date.now() >= expiresAt) {
+    return { ok: false, error: 'license_expired', statusCode: 402 };
+  }
+  return { ok: true };
 }
 
-const LICENSE_TIERS = ['STARTER', 'PRO', 'ENTERPRISE'];
-const LICENSE_STATES = ['ACTIVE', 'SUSPENDED', 'EXPIRED', 'TRIAL'];
-const APPROVAL_STATES = ['PENDING', 'APPROVED', 'REJECTED'];
-const TEMPLATE_STATES = ['DRAFT', 'PUBLISHED', 'DEPRECATED'];
-const INCIDENT_STATES = ['OPEN', 'MONITORING', 'RESOLVED'];
+async function enforceTenantClaims(req, user) {
+  const role = String(user?.role || '').toUpperCase();
+  if (role === 'SUPER_ADMIN') return { ok: true };
+  if (isTenantBootstrapPath(req.path)) return { ok: true };
 
-const FEATURE_FLAG_DEFAULTS_BY_TIER = Object.freeze({
-  STARTER: {
-    sso: false,
-    scim: false,
-    advancedTemplates: false,
-    auditExport: false,
-    aiPolicyControls: true,
-    supportEscalation: false,
-  },
-  PRO: {
-    sso: true,
-    scim: false,
-    advancedTemplates: true,
-    auditExport: true,
-    aiPolicyControls: true,
-    supportEscalation: true,
-  },
-  ENTERPRISE: {
-    sso: true,
-    scim: true,
-    advancedTemplates: true,
-    auditExport: true,
-    aiPolicyControls: true,
-    supportEscalation: true,
-  },
-});
+  const orgId = normalizedOrgId(user?.orgId || '', user?.licenseId || '');
+  const licenseId = normalizedLicenseId(user?.licenseId || '');
+  const siteId = normalizedSiteId(user?.siteId || '');
+  if (!orgId || !licenseId) {
+    return { ok: false, error: 'tenant_claims_required' };
+  }
+  if ((role === 'PARTICIPANT' || role === 'PRESENTER') && !siteId) {
+    return { ok: false, error: 'tenant_site_required' };
+  }
 
-const AI_POLICY_AGE_SAFE_MODES = Object.freeze(['OFF', 'K12', 'TEEN', 'ADULT']);
-const AI_POLICY_MODERATION_LEVELS = Object.freeze(['OFF', 'STANDARD', 'STRICT']);
+  let workshop = null;
+  try {
+    workshop = await getWorkshopByLicenseCached(licenseId);
+  } catch (err) {
+    console.warn('[tenant] workshop lookup failed:', err?.message || err);
+  }
 
-const AI_POLICY_DEFAULT = Object.freeze({
-  tone: 'BALANCED',
-  strictness: 'MEDIUM',
-  dataUsage: 'NO_TRAINING',
-  modelChoice: OPENAI_MODEL,
-  piiRedaction: true,
-  citationMode: false,
-  ageSafeMode: 'K12',
-  moderationLevel: 'STANDARD',
-  blockedTerms: [],
-});
+  if (workshop) {
+    const workshopOrgId = normalizedOrgId(workshop.orgId || '', workshop.licenseId || licenseId);
+    if (workshopOrgId && workshopOrgId !== orgId) {
+      return { ok: false, error: 'tenant_org_mismatch' };
+    }
 
-function normalizeLicenseTier(value) {
-  const tier = String(value || '').trim().toUpperCase();
-  return LICENSE_TIERS.includes(tier) ? tier : 'STARTER';
-}
+    const sites = sanitizeSiteIds(workshop.siteIds, []);
+    if (siteId && sites.length && !sites.includes(siteId)) {
+      return { ok: false, error: 'tenant_site_mismatch' };
+    }
 
-function normalizeLicenseState(value) {
-  const status = String(value || '').trim().toUpperCase();
-  return LICENSE_STATES.includes(status) ? status : 'ACTIVE';
-}
+    const licenseState = evaluateWorkshopLicenseState(workshop);
+    if (!licenseState.ok) {
+      return { ok: false, error: licenseState.error };
+    }
+  }
 
-function normalizeApprovalState(value) {
-  const status = String(value || '').trim().toUpperCase();
-  return APPROVAL_STATES.includes(status) ? status : 'PENDING';
+  return { ok: true, workshop };
 }
 
-function normalizeTemplateState(value) {
-  const status = String(value || '').trim().toUpperCase();
-  return TEMPLATE_STATES.includes(status) ? status : 'DRAFT';
+function extractAuthToken(req) {
+  const header = String(req.headers.authorization || '');
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  const queryToken = req.query?.token;
+  if (typeof queryToken === 'string') {
+    return queryToken.trim();
+  }
+  return '';
 }
 
-function normalizeIncidentState(value) {
-  const status = String(value || '').trim().toUpperCase();
-  return INCIDENT_STATES.includes(status) ? status : 'OPEN';
-}
+async function requireAuth(req, res, next) {
+  try {
+    const token = extractAuthToken(req);
+    if (!token) return res.status(401).json({ error: 'Missing token' });
 
-function nowIso() {
-  return new Date().toISOString();
+    const claims = verifySessionToken(token, { secret: JWT_SECRET });
+    if (String(claims.tokenType || 'access').toLowerCase() !== 'access') {
+      return res.status(401).json({ error: 'access_token_required' });
+    }
+    req.user = {
+      uid: claims.uid,
+      role: claims.role,
+      siteId: claims.siteId || null,
+      licenseId: claims.licenseId || null,
+      orgId: claims.orgId || null,
+      email: claims.email || null,
+      exp: claims.exp,
+      sessionId: claims.sessionId || null,
+    };
+    req.userToken = token;
+    if (req.user.sessionId) {
+      const session = await getAuthSessionRecord(req.user.uid, req.user.sessionId);
+      if (!session || !!session.revoked) {
+        return res.status(401).json({ error: 'session_revoked' });
+      }
+      void touchAuthSession(req.user.uid, req.user.sessionId, req);
+    }
+    const tenantCheck = await enforceTenantClaims(req, req.user);
+    if (!tenantCheck.ok) {
+      return res.status(403).json({ error: tenantCheck.error || 'tenant_forbidden' });
+    }
+    req.tenantWorkshop = tenantCheck.workshop || null;
+    const tenantScopeCheck = enforceTenantRequestScope(
+      req,
+      req.user,
+      req.tenantWorkshop
+    );
+    if (!tenantScopeCheck.ok) {
+      return res
+        .status(403)
+        .json({ error: tenantScopeCheck.error || 'tenant_forbidden' });
+    }
+    const entitlementCheck = await enforceRuntimeLicenseEntitlements({
+      role: req.user.role,
+      licenseId: req.user.licenseId,
+      orgId: req.user.orgId,
+      siteId: req.user.siteId,
+      workshop: req.tenantWorkshop,
+      automate: true,
+      bypassAdmin: true,
+    });
+    if (!entitlementCheck.ok) {
+      return res.status(entitlementCheck.statusCode || 403).json({
+        error: entitlementCheck.error || 'license_forbidden',
+        usageCap: Number(entitlementCheck.usageCap || 0) || undefined,
+        meteredUnits: Number(entitlementCheck.meteredUnits || 0) || undefined,
+        overageUnits: Number(entitlementCheck.overageUnits || 0) || undefined,
+      });
+    }
+    req.entitlements = entitlementCheck;
+    touchSessionHeartbeat(req.user, req);
+    return next();
+  } catch (err) {
+    console.error('[requireAuth] error', err);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
 }
 
-function makePrefixedId(prefix) {
-  const p = String(prefix || 'ID').trim().toUpperCase().replace(/[^A-Z0-9]/g, '') || 'ID';
-  return `${p}-${crypto.randomUUID().replace(/-/g, '').slice(0, 16).toUpperCase()}`;
+// Presenter gating is token-based (never trust client role headers)
+function isPresenterReq(req) {
+  return String(req.user?.role || '').toUpperCase() === 'PRESENTER';
 }
-
-function parseJsonObject(value, fallback = {}) {
-  if (value && typeof value === 'object' && !Array.isArray(value)) {
-    return { ...value };
+function requirePresenter(req, res, next) {
+  if (!isPresenterReq(req)) {
+    return res.status(403).json({ error: 'presenter_only' });
   }
-  if (typeof value !== 'string') return { ...fallback };
-  try {
-    const parsed = JSON.parse(value);
-    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
-      return parsed;
-    }
-  } catch {}
-  return { ...fallback };
+  return next();
 }
 
-function normalizeBlockedTerms(input, limit = 40) {
-  const raw = Array.isArray(input)
-    ? input
-    : typeof input === 'string'
-      ? input.split(/[,\n]/g)
-      : [];
-  const out = [];
-  const seen = new Set();
-  for (const term of raw) {
-    const safe = String(term || '').trim().toLowerCase();
-    if (!safe || seen.has(safe)) continue;
-    seen.add(safe);
-    out.push(safe);
-    if (out.length >= limit) break;
+function isAdminReq(req) {
+  const role = String(req.user?.role || '').toUpperCase();
+  return role === 'ADMIN' || role === 'SUPER_ADMIN';
+}
+function requireAdmin(req, res, next) {
+  if (!isAdminReq(req)) {
+    return res.status(403).json({ error: 'admin_only' });
   }
-  return out;
+  return next();
 }
 
-function normalizeAiPolicy(input = {}) {
-  const toneRaw = String(input.tone || AI_POLICY_DEFAULT.tone).trim().toUpperCase();
-  const strictnessRaw = String(input.strictness || AI_POLICY_DEFAULT.strictness)
-    .trim()
-    .toUpperCase();
-  const dataUsageRaw = String(input.dataUsage || AI_POLICY_DEFAULT.dataUsage)
-    .trim()
-    .toUpperCase();
-  const ageSafeModeRaw = String(input.ageSafeMode || AI_POLICY_DEFAULT.ageSafeMode)
-    .trim()
-    .toUpperCase();
-  const moderationLevelRaw = String(
-    input.moderationLevel || AI_POLICY_DEFAULT.moderationLevel
-  )
-    .trim()
-    .toUpperCase();
-  const tone = ['SOFT', 'BALANCED', 'DIRECT', 'COACH'].includes(toneRaw)
-    ? toneRaw
-    : AI_POLICY_DEFAULT.tone;
-  const strictness = ['LOW', 'MEDIUM', 'HIGH'].includes(strictnessRaw)
-    ? strictnessRaw
-    : AI_POLICY_DEFAULT.strictness;
-  const dataUsage = ['NO_TRAINING', 'ANONYMIZED', 'ANALYTICS_ONLY'].includes(dataUsageRaw)
-    ? dataUsageRaw
-    : AI_POLICY_DEFAULT.dataUsage;
-  const ageSafeMode = AI_POLICY_AGE_SAFE_MODES.includes(ageSafeModeRaw)
-    ? ageSafeModeRaw
-    : AI_POLICY_DEFAULT.ageSafeMode;
-  const moderationLevel = AI_POLICY_MODERATION_LEVELS.includes(moderationLevelRaw)
-    ? moderationLevelRaw
-    : AI_POLICY_DEFAULT.moderationLevel;
-  return {
-    tone,
-    strictness,
-    dataUsage,
-    modelChoice: String(input.modelChoice || OPENAI_MODEL).trim() || OPENAI_MODEL,
-    piiRedaction: input.piiRedaction !== false,
-    citationMode: !!input.citationMode,
-    ageSafeMode,
-    moderationLevel,
-    blockedTerms: normalizeBlockedTerms(input.blockedTerms ?? AI_POLICY_DEFAULT.blockedTerms),
-  };
+function isSuperAdminReq(req) {
+  return String(req.user?.role || '').toUpperCase() === 'SUPER_ADMIN';
 }
-
-function normalizeFeatureFlagPatch(input = {}) {
-  const out = {};
-  if (!input || typeof input !== 'object') return out;
-  for (const [key, value] of Object.entries(input)) {
-    const flagKey = String(key || '').trim();
-    if (!flagKey) continue;
-    out[flagKey] = !!value;
+function requireSuperAdmin(req, res, next) {
+  if (!isSuperAdminReq(req)) {
+    return res.status(403).json({ error: 'super_admin_only' });
   }
-  return out;
+  const email = normalizeSuperAdminEmail(req.user?.email);
+  if (email !== SUPER_ADMIN_EMAIL) {
+    return res.status(403).json({ error: 'super_admin_email_not_allowed' });
+  }
+  return next();
 }
 
-function normalizePhase(phase, index) {
-  const fallbackTitle = `Phase ${index + 1}`;
-  const title = String(phase?.title || '').trim() || fallbackTitle;
-  const goal = String(phase?.goal || '').trim();
-  const durationSec = toPositiveInt(
-    phase?.durationSec,
-    toPositiveInt(Number(phase?.durationMin) * 60, 600, { min: 60, max: 7200 }),
-    { min: 60, max: 7200 }
-  );
+function normalizedSiteId(value) {
+  return String(value || '').trim().toUpperCase();
+}
 
-  return {
-    id:
-      String(phase?.id || '').trim() ||
-      title
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/(^-|-$)/g, '') ||
-      `phase-${index + 1}`,
-    title,
-    durationSec,
-    goal,
-  };
+function normalizedLicenseId(value) {
+  return String(value || '').trim().toUpperCase();
 }
 
-function cloneTemplatePhases(mode) {
-  const template = WORKSHOP_MODE_TEMPLATES[normalizeMode(mode)];
-  return (template.defaultPhases || []).map((phase, idx) =>
-    normalizePhase(phase, idx)
-  );
+function normalizedOrgId(value, fallbackLicenseId = '') {
+  const direct = String(value || '').trim().toUpperCase();
+  if (direct) return direct;
+  const license = normalizedLicenseId(fallbackLicenseId);
+  if (!license) return '';
+  return `ORG-${license}`;
 }
 
-function applyPhaseCount(phases, phaseCount) {
-  const targetCount = toPositiveInt(phaseCount, phases.length || 1, {
-    min: 1,
-    max: MAX_PHASE_COUNT,
-  });
-  const next = phases.slice(0, targetCount);
-  while (next.length < targetCount) {
-    next.push(
-      normalizePhase(
-        {
-          title: `Phase ${next.length + 1}`,
-          durationSec: 600,
-          goal: '',
-        },
-        next.length
-      )
-    );
+function nowEpochSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function computeRetentionTtlSeconds(days) {
+  const safeDays = Math.max(1, Number(days || 1));
+  return nowEpochSeconds() + safeDays * 24 * 60 * 60;
+}
+
+function pruneSessionHeartbeatCache(now = Date.now()) {
+  if (sessionHeartbeatCache.size < 2500) return;
+  const staleMs = SESSION_HEARTBEAT_MS * 4;
+  for (const [uid, lastSeenMs] of sessionHeartbeatCache.entries()) {
+    if (now - Number(lastSeenMs || 0) > staleMs) {
+      sessionHeartbeatCache.delete(uid);
+    }
   }
-  return next;
 }
 
-function deriveRoomsPerSite(expectedUsers, seatLimitPerRoom) {
-  const seats = toPositiveInt(seatLimitPerRoom, DEFAULT_SEAT_LIMIT_PER_ROOM, {
-    min: 1,
-    max: MAX_SEAT_LIMIT_PER_ROOM,
-  });
-  const users = toPositiveInt(expectedUsers, DEFAULT_EXPECTED_USERS, {
-    min: 1,
-    max: 20_000,
-  });
-  const rooms = Math.ceil(users / seats);
-  return toPositiveInt(rooms, 1, { min: 1, max: MAX_ROOMS_PER_SITE });
+function touchSessionHeartbeat(user, req) {
+  const uid = String(user?.uid || '').trim();
+  if (!uid) return;
+
+  const now = Date.now();
+  const prev = Number(sessionHeartbeatCache.get(uid) || 0);
+  if (now - prev < SESSION_HEARTBEAT_MS) return;
+  sessionHeartbeatCache.set(uid, now);
+  pruneSessionHeartbeatCache(now);
+
+  const role = String(user?.role || 'PARTICIPANT').toUpperCase();
+  const siteId = normalizedSiteId(user?.siteId || 'UNASSIGNED');
+  const licenseId = normalizedLicenseId(user?.licenseId || '');
+  const orgId = normalizedOrgId(user?.orgId || '', licenseId);
+  const email = normalizeSuperAdminEmail(user?.email || '');
+  const ip = String(req?.ip || req?.headers?.['x-forwarded-for'] || '')
+    .split(',')[0]
+    .trim()
+    .slice(0, 120);
+  const userAgent = String(req?.headers?.['user-agent'] || '').slice(0, 300);
+  const sessionRetentionHours = toPositiveInt(
+    req?.tenantWorkshop?.sessionRetentionHours,
+    SESSION_TTL_HOURS,
+    { min: 1, max: 24 * 365 }
+  );
+  const expiresAt = nowEpochSeconds() + sessionRetentionHours * 60 * 60;
+
+  void ddbDoc
+    .send(
+      new UpdateCommand({
+        TableName: TABLES.sessions,
+        Key: { uid },
+        UpdateExpression: [
+          'SET #role = :role',
+          '#siteId = :siteId',
+          '#licenseId = :licenseId',
+          '#orgId = :orgId',
+          '#email = :email',
+          '#lastSeenAt = :lastSeenAt',
+          '#lastSeenIso = :lastSeenIso',
+          '#ip = :ip',
+          '#userAgent = :userAgent',
+          '#expiresAt = :expiresAt',
+        ].join(', '),
+        ExpressionAttributeNames: {
+          '#role': 'role',
+          '#siteId': 'siteId',
+          '#licenseId': 'licenseId',
+          '#orgId': 'orgId',
+          '#email': 'email',
+          '#lastSeenAt': 'lastSeenAt',
+          '#lastSeenIso': 'lastSeenIso',
+          '#ip': 'ip',
+          '#userAgent': 'userAgent',
+          '#expiresAt': 'expiresAt',
+        },
+        ExpressionAttributeValues: {
+          ':role': role,
+          ':siteId': siteId || 'UNASSIGNED',
+          ':licenseId': licenseId || '',
+          ':orgId': orgId || '',
+          ':email': email || '',
+          ':lastSeenAt': now,
+          ':lastSeenIso': new Date(now).toISOString(),
+          ':ip': ip || '',
+          ':userAgent': userAgent || '',
+          ':expiresAt': expiresAt,
+        },
+      })
+    )
+    .catch((err) => {
+      if (err?.name === 'ResourceNotFoundException') {
+        if (!sessionsTableMissingWarned) {
+          console.warn(
+            `[sessions] table '${TABLES.sessions}' missing; session heartbeat disabled`
+          );
+          sessionsTableMissingWarned = true;
+        }
+        return;
+      }
+      if (shouldUseDemoFallback(err)) {
+        logDemoFallback('session_heartbeat', err);
+        return;
+      }
+      console.warn('[sessions] heartbeat write skipped:', err?.message || err);
+    });
 }
 
-function createDefaultWorkshopConfig({
-  licenseId,
-  siteIds = [],
-  mode = DEFAULT_WORKSHOP_MODE,
+function hashTokenValue(value) {
+  return crypto.createHash('sha256').update(String(value || '')).digest('hex');
+}
+
+function extractClientIp(req) {
+  return String(req?.ip || req?.headers?.['x-forwarded-for'] || '')
+    .split(',')[0]
+    .trim()
+    .slice(0, 120);
+}
+
+function extractUserAgent(req) {
+  return String(req?.headers?.['user-agent'] || '').slice(0, 300);
+}
+
+async function saveAuthSessionRecord({
+  uid,
+  role,
+  siteId = '',
+  licenseId = '',
   orgId = '',
+  email = '',
+  sessionId,
+  refreshJti,
+  req = null,
+  revoked = false,
+  createdAt = Date.now(),
 } = {}) {
-  const normalizedLicense = normalizedLicenseId(licenseId);
-  const normalizedOrg = normalizedOrgId(orgId, normalizedLicense);
-  const normalizedMode = normalizeMode(mode);
-  const template = WORKSHOP_MODE_TEMPLATES[normalizedMode];
-  const phases = cloneTemplatePhases(normalizedMode);
-  const expectedUsers = DEFAULT_EXPECTED_USERS;
-  const seatLimitPerRoom = DEFAULT_SEAT_LIMIT_PER_ROOM;
-  const roomsPerSite = deriveRoomsPerSite(expectedUsers, seatLimitPerRoom);
-
-  return {
-    orgId: normalizedOrg,
-    licenseId: normalizedLicense,
-    name: template.label,
-    mode: normalizedMode,
-    description: template.description,
-    siteIds: sanitizeSiteIds(siteIds),
-    expectedUsers,
-    activeUserCap: expectedUsers,
-    seatLimitPerRoom,
-    roomsPerSite,
-    licenseStatus: 'ACTIVE',
-    licenseExpiresAt: null,
-    messageRetentionDays: MESSAGE_RETENTION_DAYS,
-    draftRetentionDays: DRAFT_RETENTION_DAYS,
-    sessionRetentionHours: SESSION_TTL_HOURS,
-    auditRetentionDays: DEFAULT_AUDIT_RETENTION_DAYS,
-    legalHold: false,
-    aiBehavior: 'GUIDE',
-    phaseCount: phases.length,
-    phases,
-    topicCatalog: normalizeTopicCatalog(template.defaultTopics || []),
-    enableTopicVoting: true,
-    assistantPersona: DEFAULT_ASSISTANT_PERSONA,
-    createdAt: Date.now(),
-    updatedAt: Date.now(),
+  if (!uid || !sessionId) return;
+  const now = Date.now();
+  const refreshHash = hashTokenValue(refreshJti || '');
+  const normalizedSite = normalizedSiteId(siteId || '');
+  const normalizedLicense = normalizedLicenseId(licenseId || '');
+  const normalizedOrg = normalizedOrgId(orgId || '', normalizedLicense);
+  const normalizedEmail = normalizeSuperAdminEmail(email || '');
+  const item = {
+    uid: String(uid).trim(),
+    sessionId: String(sessionId).trim(),
+    role: String(role || 'PARTICIPANT').toUpperCase(),
+    refreshHash,
+    revoked: !!revoked,
+    createdAt: Number(createdAt || now),
+    updatedAt: now,
+    lastSeenAt: now,
+    ip: extractClientIp(req),
+    userAgent: extractUserAgent(req),
+    expiresAt: nowEpochSeconds() + Math.ceil(REFRESH_TOKEN_TTL_SECONDS),
   };
-}
+  if (normalizedSite) item.siteId = normalizedSite;
+  if (normalizedLicense) item.licenseId = normalizedLicense;
+  if (normalizedOrg) item.orgId = normalizedOrg;
+  if (normalizedEmail) item.email = normalizedEmail;
 
-function parseRoomId(roomId) {
-  const [siteId, idxStr] = String(roomId).split('-');
-  return { siteId: (siteId || 'E1').toUpperCase(), index: Number(idxStr || 1) };
+  try {
+    await ddbDoc.send(
+      new PutCommand({
+        TableName: TABLES.authSessions,
+        Item: item,
+      })
+    );
+  } catch (err) {
+    if (!shouldUseDemoFallback(err)) throw err;
+    logDemoFallback('auth_session_put', err);
+    saveDemoAuthSessionRecord(item);
+  }
 }
 
-function deepCloneDemo(value) {
-  if (value === null || value === undefined) return value;
+async function getAuthSessionRecord(uid, sessionId) {
+  if (!uid || !sessionId) return null;
   try {
-    return JSON.parse(JSON.stringify(value));
-  } catch {
-    return value;
+    const { Item } = await ddbDoc.send(
+      new GetCommand({
+        TableName: TABLES.authSessions,
+        Key: { uid: String(uid).trim(), sessionId: String(sessionId).trim() },
+      })
+    );
+    return Item || null;
+  } catch (err) {
+    if (err?.name === 'ResourceNotFoundException') return null;
+    if (shouldUseDemoFallback(err)) {
+      logDemoFallback('auth_session_get', err);
+      return getDemoAuthSessionRecord(uid, sessionId);
+    }
+    throw err;
   }
 }
 
-function demoCodeRoleFromPrefix(code = '') {
-  const normalized = String(code || '').trim().toUpperCase();
-  if (normalized.startsWith('A-')) return 'ADMIN';
-  if (normalized.startsWith('P-')) return 'PRESENTER';
-  if (normalized.startsWith('U-')) return 'PARTICIPANT';
-  if (normalized.startsWith('SA-')) return 'SUPER_ADMIN';
-  return '';
+async function revokeAuthSession(uid, sessionId) {
+  if (!uid || !sessionId) return;
+  try {
+    await ddbDoc.send(
+      new UpdateCommand({
+        TableName: TABLES.authSessions,
+        Key: { uid: String(uid).trim(), sessionId: String(sessionId).trim() },
+        UpdateExpression: 'SET revoked = :true, updatedAt = :now',
+        ExpressionAttributeValues: {
+          ':true': true,
+          ':now': Date.now(),
+        },
+      })
+    );
+  } catch (err) {
+    if (!shouldUseDemoFallback(err)) throw err;
+    logDemoFallback('auth_session_revoke', err);
+    revokeDemoAuthSession(uid, sessionId);
+  }
 }
 
-function createDemoRoomRecord(roomId) {
-  const now = Date.now();
-  const { siteId, index } = parseRoomId(roomId);
-  return {
-    roomId,
-    siteId,
-    index,
-    stage: DEFAULT_STAGE,
-    stageEndsAt: now + getStageDuration(DEFAULT_STAGE),
-    inputLocked: false,
-    topic: '',
-    ideaSummary: '',
-    licenseId: DEMO_DEFAULT_LICENSE_ID,
-    orgId: DEMO_DEFAULT_ORG_ID,
-    messageRetentionDays: MESSAGE_RETENTION_DAYS,
-    draftRetentionDays: DRAFT_RETENTION_DAYS,
-    auditRetentionDays: DEFAULT_AUDIT_RETENTION_DAYS,
-    legalHold: false,
-    voteOpen: false,
-    voteTotal: 0,
-    voteTallies: {},
-    voteByUid: {},
-    topicOptions: [],
-    phasePlan: [],
-    workshopMode: DEFAULT_WORKSHOP_MODE,
-    aiBehavior: 'GUIDE',
-    assistantPersona: DEFAULT_ASSISTANT_PERSONA,
-    autopilot: { ...AUTOPILOT_DEFAULT },
-    autopilotActions: {},
-    lastParticipantMessageAt: 0,
-    shareLinks: {},
-    phaseCanvases: {},
-    privateDrafts: {},
-    decisionLog: [],
-    draftApprovedByUids: [],
-    draftApprovedVersion: 0,
-    draftApprovedAt: 0,
-    lastAiFallbackAt: 0,
-    lastAiFallbackReason: '',
-    lastAiFallbackStage: '',
-    greetedForStage: {},
-    seats: [],
-    seatUids: [],
-    voteReadyUids: [],
-    voteReadyCount: 0,
-    voteSubmittedUids: [],
-    voteSubmittedCount: 0,
-    finalReadyUids: [],
-    finalReadyCount: 0,
-    finalCompletedAt: null,
-    draftText: '',
-    draftVersion: 0,
-    draftUpdatedAt: null,
-    finalAbstract: '',
-    closedReason: null,
-    closedAt: null,
-    createdAt: now,
-    updatedAt: now,
-  };
+async function listAuthSessions(uid, limit = 50) {
+  if (!uid) return [];
+  try {
+    const { Items } = await ddbDoc.send(
+      new QueryCommand({
+        TableName: TABLES.authSessions,
+        KeyConditionExpression: 'uid = :uid',
+        ExpressionAttributeValues: {
+          ':uid': String(uid).trim(),
+        },
+        ScanIndexForward: false,
+        Limit: Math.min(200, limit),
+      })
+    );
+    return Items || [];
+  } catch (err) {
+    if (err?.name === 'ResourceNotFoundException') return [];
+    if (shouldUseDemoFallback(err)) {
+      logDemoFallback('auth_session_list', err);
+      return listDemoAuthSessions(uid, limit);
+    }
+    throw err;
+  }
 }
 
-function createDemoFallbackState() {
-  const now = Date.now();
-  const workshop = createDefaultWorkshopConfig({
-    licenseId: DEMO_DEFAULT_LICENSE_ID,
-    orgId: DEMO_DEFAULT_ORG_ID,
-    siteIds: [DEMO_DEFAULT_SITE_ID],
-    mode: DEFAULT_WORKSHOP_MODE,
-  });
-  workshop.orgId = DEMO_DEFAULT_ORG_ID;
-  workshop.licenseId = DEMO_DEFAULT_LICENSE_ID;
-  workshop.siteIds = [DEMO_DEFAULT_SITE_ID];
-  workshop.updatedAt = now;
-
-  const org = {
-    orgId: DEMO_DEFAULT_ORG_ID,
-    status: 'ACTIVE',
-    tier: 'PRO',
-    name: 'Demo Organization',
-    primaryDomain: 'demo.local',
-    siteIds: [DEMO_DEFAULT_SITE_ID],
-    supportPlan: 'STANDARD',
-    ownerEmail: DEMO_DEFAULT_SUPER_ADMIN_EMAIL,
-    billingAccountId: 'demo-billing',
-    notes: 'Demo fallback organization record.',
-    createdAt: now,
-    updatedAt: now,
-  };
-
-  const license = {
-    licenseId: DEMO_DEFAULT_LICENSE_ID,
-    orgId: DEMO_DEFAULT_ORG_ID,
-    status: 'ACTIVE',
-    tier: 'PRO',
-    seatCap: 120,
-    activeUserCap: 120,
-    usageCap: 1200,
-    startsAt: now,
-    expiresAt: now + 180 * 24 * 60 * 60 * 1000,
-    renewalAt: now + 150 * 24 * 60 * 60 * 1000,
-    overagePolicy: 'NOTIFY_ONLY',
-    billingMode: 'INVOICE',
-    billingAccountId: 'demo-billing',
-    notes: 'Demo fallback license record.',
-    createdAt: now,
-    updatedAt: now,
-  };
-
-  const state = {
-    workshops: new Map([[DEMO_DEFAULT_LICENSE_ID, workshop]]),
-    rooms: new Map(),
-    messages: new Map(),
-    drafts: new Map(),
-    codes: new Map(),
-    authSessions: new Map(), // key: `${uid}::${sessionId}`
-    statusEvents: new Map(),
-    orgs: new Map([[DEMO_DEFAULT_ORG_ID, org]]),
-    licenses: new Map([[DEMO_DEFAULT_LICENSE_ID, license]]),
-    orgUsers: new Map(),
-    featureFlags: new Map(),
-    policies: new Map(),
-    templates: new Map(),
-    approvals: new Map(),
-    billing: new Map(),
-    support: new Map(),
-  };
-
-  const defaultCodes = [
-    'A-DEMO',
-    'P-DEMO',
-    'U-DEMO1',
-    'U-DEMO2',
-    'U-DEMO3',
-    'U-DEMO4',
-    'U-DEMO5',
-    'U-DEMO6',
-  ];
-  for (const code of defaultCodes) {
-    const role = demoCodeRoleFromPrefix(code);
-    state.codes.set(code, {
-      code,
-      codeHash: hashCodeValue(code),
-      role: role || 'PARTICIPANT',
-      siteId: DEMO_DEFAULT_SITE_ID,
-      siteIds: [DEMO_DEFAULT_SITE_ID],
-      licenseId: DEMO_DEFAULT_LICENSE_ID,
-      orgId: DEMO_DEFAULT_ORG_ID,
-      defaultMode: DEFAULT_WORKSHOP_MODE,
-      consumed: false,
-      revoked: false,
-      expiresAt: now + CODE_TTL_DAYS * 24 * 60 * 60 * 1000,
-      createdAt: now,
-      createdBy: 'demo-fallback',
-    });
+async function revokeAllAuthSessions(uid) {
+  const sessions = await listAuthSessions(uid, 200);
+  for (const sess of sessions) {
+    if (!sess?.sessionId) continue;
+    // eslint-disable-next-line no-await-in-loop
+    await revokeAuthSession(uid, sess.sessionId);
   }
-
-  state.statusEvents.set('GLOBAL', [
-    {
-      scopeId: 'GLOBAL',
-      statusKey: `${String(now).padStart(13, '0')}#DEMO`,
-      payload: JSON.stringify({
-        component: 'platform',
-        message: 'Demo mode fallback is active.',
-        severity: 'INFO',
-        state: 'OPEN',
-        incidentState: 'OPEN',
-        link: '',
-      }),
-      createdAt: now,
-      updatedAt: now,
-    },
-  ]);
-
-  return state;
 }
 
-const demoFallbackState = createDemoFallbackState();
-
-function demoAuthSessionKey(uid = '', sessionId = '') {
-  return `${String(uid || '').trim()}::${String(sessionId || '').trim()}`;
+// uids with live sessions for this email in the org. SSO uids come from the
+// IdP subject, so directory changes can only find a user's sessions by email.
+async function authSessionUidsForEmail(orgIdRaw, emailRaw) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  const email = normalizeSuperAdminEmail(emailRaw);
+  const uids = new Set();
+  if (!orgId || !email) return uids;
+  const cutoff = Date.now() - REFRESH_TOKEN_TTL_SECONDS * 1000;
+  let lastKey = undefined;
+  try {
+    while (true) {
+      const page = await queryByPartitionKey({
+        tableName: TABLES.authSessions,
+        indexName: 'byOrgUpdatedAt',
+        partitionKey: 'orgId',
+        partitionValue: orgId,
+        limit: 200,
+        scanForward: false,
+        exclusiveStartKey: lastKey,
+      });
+      let reachedCutoff = false;
+      for (const item of page.items || []) {
+        if (Number(item.updatedAt || 0) < cutoff) {
+          reachedCutoff = true;
+          break;
+        }
+        if (item.revoked || normalizedOrgId(item.orgId || '', item.licenseId || '') !== orgId) continue;
+        if (normalizeSuperAdminEmail(item.email) === email) uids.add(String(item.uid || '').trim());
+      }
+      if (reachedCutoff || !page.lastKey) break;
+      lastKey = page.lastKey;
+    }
+  } catch (err) {
+    if (err?.name !== 'ResourceNotFoundException') throw err;
+  }
+  uids.delete('');
+  return uids;
 }
 
-function saveDemoAuthSessionRecord(item = {}) {
-  const uid = String(item.uid || '').trim();
-  const sessionId = String(item.sessionId || '').trim();
+async function touchAuthSession(uid, sessionId, req) {
   if (!uid || !sessionId) return;
-  const key = demoAuthSessionKey(uid, sessionId);
-  demoFallbackState.authSessions.set(key, {
-    ...deepCloneDemo(item),
-    uid,
-    sessionId,
-    updatedAt: Date.now(),
-    lastSeenAt: Date.now(),
-  });
-}
-
-function getDemoAuthSessionRecord(uid = '', sessionId = '') {
-  const key = demoAuthSessionKey(uid, sessionId);
-  const item = demoFallbackState.authSessions.get(key);
-  return item ? deepCloneDemo(item) : null;
-}
-
-function listDemoAuthSessions(uid = '', limit = 50) {
-  const userId = String(uid || '').trim();
-  if (!userId) return [];
-  return Array.from(demoFallbackState.authSessions.values())
-    .filter((row) => String(row.uid || '').trim() === userId)
-    .sort((a, b) => Number(b.updatedAt || 0) - Number(a.updatedAt || 0))
-    .slice(0, Math.min(200, limit))
-    .map((row) => deepCloneDemo(row));
+  try {
+    await ddbDoc.send(
+      new UpdateCommand({
+        TableName: TABLES.authSessions,
+        Key: { uid: String(uid).trim(), sessionId: String(sessionId).trim() },
+        UpdateExpression:
+          'SET lastSeenAt = :now, updatedAt = :now, ip = :ip, userAgent = :ua',
+        ExpressionAttributeValues: {
+          ':now': Date.now(),
+          ':ip': extractClientIp(req),
+          ':ua': extractUserAgent(req),
+        },
+      })
+    );
+  } catch (err) {
+    if (err?.name === 'ResourceNotFoundException') return;
+    if (shouldUseDemoFallback(err)) {
+      logDemoFallback('auth_session_touch', err);
+      touchDemoAuthSession(uid, sessionId, req);
+      return;
+    }
+    console.warn('[auth session] touch failed:', err?.message || err);
+  }
 }
 
-function touchDemoAuthSession(uid = '', sessionId = '', req = null) {
-  const existing = getDemoAuthSessionRecord(uid, sessionId);
-  if (!existing) return;
-  existing.updatedAt = Date.now();
-  existing.lastSeenAt = Date.now();
-  existing.ip = extractClientIp(req);
-  existing.userAgent = extractUserAgent(req);
-  saveDemoAuthSessionRecord(existing);
-}
+async function issueTokenPair(claims = {}, req = null, { sessionId = '' } = {}) {
+  const uid = String(claims.uid || '').trim();
+  if (!uid) throw new Error('uid_required_for_token_pair');
 
-function revokeDemoAuthSession(uid = '', sessionId = '') {
-  const existing = getDemoAuthSessionRecord(uid, sessionId);
-  if (!existing) return;
-  existing.revoked = true;
-  existing.updatedAt = Date.now();
-  saveDemoAuthSessionRecord(existing);
-}
+  const sid = String(sessionId || crypto.randomUUID()).trim();
+  const refreshJti = crypto.randomUUID();
+  const commonClaims = {
+    uid,
+    role: claims.role || 'PARTICIPANT',
+    siteId: claims.siteId || null,
+    licenseId: claims.licenseId || null,
+    orgId: claims.orgId || null,
+    email: claims.email || null,
+    sessionId: sid,
+  };
 
-function getDemoWorkshopRecord(licenseIdRaw = '') {
-  const licenseId = normalizedLicenseId(licenseIdRaw || DEMO_DEFAULT_LICENSE_ID);
-  if (!licenseId) return null;
-  const existing = demoFallbackState.workshops.get(licenseId);
-  if (existing) return deepCloneDemo(existing);
-  const created = createDefaultWorkshopConfig({
-    licenseId,
-    orgId: DEMO_DEFAULT_ORG_ID,
-    siteIds: [DEMO_DEFAULT_SITE_ID],
-    mode: DEFAULT_WORKSHOP_MODE,
-  });
-  created.orgId = normalizedOrgId(created.orgId || DEMO_DEFAULT_ORG_ID, licenseId);
-  created.updatedAt = Date.now();
-  demoFallbackState.workshops.set(licenseId, created);
-  return deepCloneDemo(created);
-}
+  const accessToken = createSessionToken(
+    {
+      ...commonClaims,
+      tokenType: 'access',
+      jti: crypto.randomUUID(),
+    },
+    { secret: JWT_SECRET, ttlSeconds: ACCESS_TOKEN_TTL_SECONDS }
+  );
+  const refreshToken = createSessionToken(
+    {
+      ...commonClaims,
+      tokenType: 'refresh',
+      jti: refreshJti,
+    },
+    { secret: JWT_SECRET, ttlSeconds: REFRESH_TOKEN_TTL_SECONDS }
+  );
 
-function putDemoWorkshopRecord(workshop = {}) {
-  const licenseId = normalizedLicenseId(workshop.licenseId || DEMO_DEFAULT_LICENSE_ID);
-  if (!licenseId) return null;
-  const next = deepCloneDemo({
-    ...workshop,
-    licenseId,
-    orgId: normalizedOrgId(workshop.orgId || DEMO_DEFAULT_ORG_ID, licenseId),
-    siteIds: sanitizeSiteIds(workshop.siteIds, [DEMO_DEFAULT_SITE_ID]),
-    updatedAt: Date.now(),
+  await saveAuthSessionRecord({
+    ...commonClaims,
+    uid,
+    sessionId: sid,
+    refreshJti,
+    req,
   });
-  demoFallbackState.workshops.set(licenseId, next);
-  return deepCloneDemo(next);
-}
 
-function getOrCreateDemoCodeRecord(rawCode = '') {
-  const code = String(rawCode || '').trim().toUpperCase();
-  if (!code) return null;
-  const existing = demoFallbackState.codes.get(code);
-  if (existing) return deepCloneDemo(existing);
-  const role = demoCodeRoleFromPrefix(code);
-  if (!role) return null;
-  const now = Date.now();
-  const created = {
-    code,
-    codeHash: hashCodeValue(code),
-    role,
-    siteId: DEMO_DEFAULT_SITE_ID,
-    siteIds: [DEMO_DEFAULT_SITE_ID],
-    licenseId: DEMO_DEFAULT_LICENSE_ID,
-    orgId: DEMO_DEFAULT_ORG_ID,
-    defaultMode: DEFAULT_WORKSHOP_MODE,
-    consumed: false,
-    revoked: false,
-    expiresAt: now + CODE_TTL_DAYS * 24 * 60 * 60 * 1000,
-    createdAt: now,
-    createdBy: 'demo-fallback',
+  return {
+    accessToken,
+    refreshToken,
+    sessionId: sid,
+    accessTtlSeconds: ACCESS_TOKEN_TTL_SECONDS,
+    refreshTtlSeconds: REFRESH_TOKEN_TTL_SECONDS,
   };
-  demoFallbackState.codes.set(code, created);
-  return deepCloneDemo(created);
 }
 
-function consumeDemoCodeRecord(item = {}, uid = '') {
-  const code = String(item.code || '').trim().toUpperCase();
-  if (!code) return { ok: false, error: 'code_missing' };
-  const existing = getOrCreateDemoCodeRecord(code);
-  if (!existing) return { ok: false, error: 'code_not_found' };
-  const unusable = classifyCodeUnusable(existing);
-  if (unusable) {
-    return { ok: false, conflict: true, reason: unusable };
+function requirePresenterSiteMatchFromQuery(req, res, next) {
+  const tokenSiteId = normalizedSiteId(req.user?.siteId);
+  const requestedSiteId = normalizedSiteId(req.query?.siteId);
+
+  if (!requestedSiteId) return res.status(400).json({ error: 'siteId required' });
+  if (!tokenSiteId || tokenSiteId !== requestedSiteId) {
+    return res.status(403).json({ error: 'site_forbidden' });
   }
-  const userId = String(uid || '').trim() || '(unknown)';
-  const usedBy = String(existing.usedBy || '').trim();
-  if (existing.consumed && usedBy && usedBy !== userId) {
-    return { ok: false, conflict: true, reason: 'code_already_consumed' };
+  const workshopSites = sanitizeSiteIds(req.tenantWorkshop?.siteIds, []);
+  if (workshopSites.length && !workshopSites.includes(requestedSiteId)) {
+    return res.status(403).json({ error: 'tenant_site_mismatch' });
   }
-  existing.consumed = true;
-  existing.usedBy = userId;
-  existing.consumedAt = Date.now();
-  demoFallbackState.codes.set(code, existing);
-  return { ok: true };
+  return next();
 }
 
-function getDemoRoomRecord(roomId = '') {
-  const rid = String(roomId || '').trim();
-  if (!rid) return null;
-  const existing = demoFallbackState.rooms.get(rid);
-  if (existing) return deepCloneDemo(existing);
-  const created = createDemoRoomRecord(rid);
-  demoFallbackState.rooms.set(rid, created);
-  return deepCloneDemo(created);
-}
+function requirePresenterRoomScope(req, res, next) {
+  const tokenSiteId = normalizedSiteId(req.user?.siteId);
+  const roomSiteId = parseRoomId(req.params.roomId).siteId;
 
-function setDemoRoomRecord(room = {}) {
-  const roomId = String(room.roomId || '').trim();
-  if (!roomId) return null;
-  const normalized = normalizeRoomShape({
-    ...room,
-    roomId,
-    licenseId: normalizedLicenseId(room.licenseId || DEMO_DEFAULT_LICENSE_ID),
-    orgId: normalizedOrgId(room.orgId || DEMO_DEFAULT_ORG_ID, room.licenseId || DEMO_DEFAULT_LICENSE_ID),
-  });
-  demoFallbackState.rooms.set(roomId, deepCloneDemo(normalized));
-  return deepCloneDemo(normalized);
+  if (!tokenSiteId || tokenSiteId !== roomSiteId) {
+    return res.status(403).json({ error: 'site_forbidden' });
+  }
+  const workshopSites = sanitizeSiteIds(req.tenantWorkshop?.siteIds, []);
+  if (workshopSites.length && !workshopSites.includes(roomSiteId)) {
+    return res.status(403).json({ error: 'tenant_site_mismatch' });
+  }
+  return next();
 }
 
-function getDemoMessages(roomId = '') {
-  const rid = String(roomId || '').trim();
-  if (!rid) return [];
-  const entries = demoFallbackState.messages.get(rid);
-  if (!Array.isArray(entries)) return [];
-  return entries.map((row) => deepCloneDemo(row));
+function requireAdminLicense(req, res, next) {
+  const licenseId = normalizedLicenseId(req.user?.licenseId);
+  if (!licenseId) {
+    return res.status(403).json({ error: 'license_forbidden' });
+  }
+  return next();
 }
 
-function setDemoMessages(roomId = '', messages = []) {
-  const rid = String(roomId || '').trim();
-  if (!rid) return;
-  demoFallbackState.messages.set(
-    rid,
-    (Array.isArray(messages) ? messages : []).map((row) => deepCloneDemo(row))
-  );
+function seatMembershipForUid(room, uid) {
+  const target = String(uid || '').trim();
+  if (!target) return false;
+  const seatUids = Array.isArray(room?.seatUids)
+    ? room.seatUids.map((s) => String(s || '').trim())
+    : [];
+  if (seatUids.includes(target)) return true;
+
+  const seats = Array.isArray(room?.seats) ? room.seats : [];
+  return seats.some((seat) => String(seat?.uid || '').trim() === target);
 }
 
-function putDemoTimestampedItem(tableName, roomId, makeItem, maxAttempts = 6) {
-  const rid = String(roomId || '').trim();
-  if (!rid) throw new Error('roomId_required_for_demo_item');
-  const bucket =
-    tableName === TABLES.messages
-      ? getDemoMessages(rid)
-      : tableName === TABLES.drafts
-      ? (Array.isArray(demoFallbackState.drafts.get(rid))
-          ? demoFallbackState.drafts.get(rid)
-          : [])
-      : [];
-  let createdAt = 0;
-  for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
+async function adminCanAccessRoom(adminUser, roomSiteId) {
+  const role = String(adminUser?.role || '').toUpperCase();
+  if (role === 'SUPER_ADMIN') return true;
+  if (role !== 'ADMIN') return false;
+
+  const tokenSite = normalizedSiteId(adminUser?.siteId);
+  const licenseId = normalizedLicenseId(adminUser?.licenseId);
+  if (!licenseId) return false;
+
+  try {
+    const workshop = await getWorkshopConfig(licenseId);
+    const allowedSites = sanitizeSiteIds(workshop?.siteIds, tokenSite ? [tokenSite] : []);
+    return allowedSites.includes(roomSiteId);
+  } catch (err) {
+    console.warn('[authz] admin room access fallback:', err?.message || err);
+    return !!tokenSite && tokenSite === roomSiteId;
+  }
+}
+
+async function requireRoomAccess(req, res, next) {
+  try {
+    const roomId = String(req.params?.roomId || '').trim();
+    if (!roomId) {
+      return res.status(400).json({ error: 'roomId required' });
+    }
+
+    const room = await ensureRoom(roomId);
+    const roomSiteId = normalizedSiteId(room.siteId || parseRoomId(roomId).siteId);
+    const tokenSiteId = normalizedSiteId(req.user?.siteId);
+    const role = String(req.user?.role || '').trim().toUpperCase();
+    const userLicenseId = normalizedLicenseId(req.user?.licenseId || '');
+    const userOrgId = normalizedOrgId(req.user?.orgId || '', userLicenseId);
+    const roomLicenseId = normalizedLicenseId(room.licenseId || '');
+    const roomOrgId = normalizedOrgId(room.orgId || '', roomLicenseId);
+    const tenantCheck = evaluateTenantHierarchy({
+      role,
+      userOrgId,
+      userLicenseId,
+      userSiteId: tokenSiteId,
+      targetOrgId: roomOrgId,
+      targetLicenseId: roomLicenseId,
+      targetSiteId: roomSiteId,
+      licensedSiteIds: sanitizeSiteIds(req.tenantWorkshop?.siteIds, []),
+    });
+    if (!tenantCheck.allowed) {
+      return res.status(403).json({ error: tenantCheck.reason || 'tenant_forbidden' });
+    }
+
+    const adminAllowed =
+      role === 'ADMIN' ? await adminCanAccessRoom(req.user, roomSiteId) : false;
+    const membershipAllowed = seatMembershipForUid(room, req.user?.uid);
+    const authz = evaluateRoomAccess({
+      role,
+      tokenSiteId,
+      roomSiteId,
+      isSeatMember: membershipAllowed,
+      adminAllowed,
+    });
+    if (!authz.allowed) {
+      return res.status(403).json({ error: authz.reason || 'room_forbidden' });
+    }
+
+    const progressed = await advanceRoomTimeline(roomId, { room });
+    req.room = progressed || room;
+    return next();
+  } catch (err) {
+    console.error('[requireRoomAccess] error:', err);
+    return res.status(500).json({ error: 'room_access_failed' });
+  }
+}
+
+// ---------- Helpers ----------
+const DEFAULT_STAGE = 'LOBBY';
+const ROOM_ORDER = [
+  'LOBBY',
+  'DISCOVERY',
+  'IDEA_DUMP',
+  'PLANNING',
+  'ROUGH_DRAFT',
+  'EDITING',
+  'FINAL',
+  'CLOSED',
+];
+const STAGE_SET = new Set(ROOM_ORDER);
+
+// Align durations with UI (Room.jsx TOTAL_BY_STAGE) — milliseconds
+const STAGE_DURATIONS = {
+  LOBBY: 1200 * 1000, // 20 min
+  DISCOVERY: 600 * 1000, // 10 min
+  IDEA_DUMP: 600 * 1000, // 10 min
+  PLANNING: 600 * 1000, // 10 min
+  ROUGH_DRAFT: 240 * 1000, // 4 min
+  EDITING: 600 * 1000, // 10 min
+  FINAL: 360 * 1000, // 6 min
+};
+function getStageDuration(stage) {
+  return STAGE_DURATIONS[stage] || 6 * 60_000;
+}
+
+function getRoomStageDurationMs(room, stage) {
+  const idx = ROOM_ORDER.indexOf(stage || DEFAULT_STAGE);
+  if (idx >= 0 && idx < ROOM_ORDER.length - 1) {
+    const phase = Array.isArray(room?.phasePlan) ? room.phasePlan[idx] : null;
+    const customSec = Number(phase?.durationSec || 0);
+    if (Number.isFinite(customSec) && customSec > 0) {
+      return customSec * 1000;
+    }
+  }
+  return getStageDuration(stage);
+}
+
+const DEFAULT_WORKSHOP_MODE = 'HIDDEN_GENIUS';
+const DEFAULT_EXPECTED_USERS = 30;
+const DEFAULT_SEAT_LIMIT_PER_ROOM = 6;
+const MAX_ROOMS_PER_SITE = 40;
+const MAX_SEAT_LIMIT_PER_ROOM = 24;
+const MAX_PHASE_COUNT = 24;
+const DEFAULT_ASSISTANT_PERSONA =
+  'Warm, direct, practical facilitator that keeps teams on track and focused on outcomes.';
+
+const WORKSHOP_MODE_TEMPLATES = Object.freeze({
+  HIDDEN_GENIUS: {
+    id: 'HIDDEN_GENIUS',
+    label: 'Hidden Genius Project',
+    description:
+      'Teams uncover community truths through collaborative story building with AI guidance.',
+    defaultPhases: [
+      { title: 'Context Circle', durationSec: 600, goal: 'Name the issue and community impact.' },
+      { title: 'Discovery', durationSec: 900, goal: 'Share lived examples and key evidence.' },
+      { title: 'Story Architecture', durationSec: 900, goal: 'Define protagonist, conflict, and stakes.' },
+      { title: 'Drafting', durationSec: 900, goal: 'Co-create first story draft with AI.' },
+      { title: 'Truth Edit', durationSec: 600, goal: 'Sharpen facts, voice, and accountability.' },
+      { title: 'Final Share', durationSec: 600, goal: 'Publish final abstract and call to action.' },
+    ],
+    defaultTopics: [
+      'Law Enforcement Profiling',
+      'Food Deserts',
+      'Red Lining',
+      'Homelessness',
+      'Wealth Gap',
+    ],
+  },
+  CREATIVE_WRITING: {
+    id: 'CREATIVE_WRITING',
+    label: 'Creative Writing Workshop',
+    description:
+      'Groups move from prompt to polished narrative through collaborative writing phases.',
+    defaultPhases: [
+      { title: 'Prompt Warmup', durationSec: 600, goal: 'Align on writing prompt and POV.' },
+      { title: 'Brainstorm', durationSec: 900, goal: 'Generate characters, scenes, and tensions.' },
+      { title: 'Outline', durationSec: 900, goal: 'Lock narrative structure and key beats.' },
+      { title: 'Draft', durationSec: 900, goal: 'Draft full piece with AI guidance.' },
+      { title: 'Peer Edit', durationSec: 600, goal: 'Revise clarity, tone, and impact.' },
+      { title: 'Readout', durationSec: 600, goal: 'Share final version with group.' },
+    ],
+    defaultTopics: [],
+  },
+  PROJECT_IDEATION: {
+    id: 'PROJECT_IDEATION',
+    label: 'Project Ideation Sprint',
+    description:
+      'Cross-functional teams identify problems, design solutions, and leave with an execution-ready concept.',
+    defaultPhases: [
+      { title: 'Problem Framing', durationSec: 600, goal: 'Define target user and pain point.' },
+      { title: 'Opportunity Mapping', durationSec: 900, goal: 'Expand solution possibilities quickly.' },
+      { title: 'Concept Selection', durationSec: 900, goal: 'Choose one concept and scope it.' },
+      { title: 'Execution Plan', durationSec: 900, goal: 'Draft milestones, owners, and risks.' },
+      { title: 'Pitch Polish', durationSec: 600, goal: 'Prepare concise pitch and value narrative.' },
+      { title: 'Commitment Round', durationSec: 600, goal: 'Confirm next actions and owners.' },
+    ],
+    defaultTopics: [],
+  },
+  RESTORATIVE_CIRCLE: {
+    id: 'RESTORATIVE_CIRCLE',
+    label: 'Restorative Circle',
+    description:
+      'Teams surface tensions safely, identify root causes, and co-design repair commitments.',
+    defaultPhases: [
+      { title: 'Safety Agreements', durationSec: 600, goal: 'Establish norms and intentions.' },
+      { title: 'Shared Facts', durationSec: 900, goal: 'Document what happened without blame.' },
+      { title: 'Impact Reflection', durationSec: 900, goal: 'Express impact and unmet needs.' },
+      { title: 'Repair Options', durationSec: 900, goal: 'Generate realistic repair actions.' },
+      { title: 'Agreement Draft', durationSec: 600, goal: 'Write ownership and follow-through plan.' },
+      { title: 'Close & Follow-Up', durationSec: 600, goal: 'Confirm commitments and check-in cadence.' },
+    ],
+    defaultTopics: [],
+  },
+});
+
+function toPositiveInt(value, fallback, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  const i = Math.floor(n);
+  if (i < min) return min;
+  if (i > max) return max;
+  return i;
+}
+
+function normalizeMode(value) {
+  const key = String(value || '').trim().toUpperCase();
+  return WORKSHOP_MODE_TEMPLATES[key] ? key : DEFAULT_WORKSHOP_MODE;
+}
+
+function sanitizeSiteIds(siteIds, fallback = []) {
+  const raw = Array.isArray(siteIds) ? siteIds : fallback;
+  const out = [];
+  const seen = new Set();
+  for (const entry of raw) {
+    const site = normalizedSiteId(entry);
+    if (!site || seen.has(site)) continue;
+    seen.add(site);
+    out.push(site);
+  }
+  return out;
+}
+
+function normalizeTopicCatalog(input) {
+  const raw = Array.isArray(input) ? input : [];
+  return raw
+    .map((topic) => String(topic || '').trim())
+    .filter(Boolean)
+    .slice(0, 50);
+}
+
+function normalizeAiBehavior(value) {
+  const key = String(value || '').trim().toUpperCase();
+  if (key === 'BACKGROUND' || key === 'GUIDE' || key === 'HELPER') return key;
+  return 'GUIDE';
+}
+
+const AUTOPILOT_DEFAULT = Object.freeze({
+  enabled: false,
+  autoNudgeOnStuck: true,
+  autoVote: true,
+  autoAdvance: true,
+  nudgeBeforeEndSec: 45,
+  stuckInactivitySec: 120,
+  interventionExtendSec: 120,
+});
+
+function normalizeAutopilotConfig(input = {}, fallback = AUTOPILOT_DEFAULT) {
+  const base =
+    fallback && typeof fallback === 'object' ? fallback : AUTOPILOT_DEFAULT;
+  const src = input && typeof input === 'object' ? input : {};
+  return {
+    enabled:
+      src.enabled === undefined ? !!base.enabled : !!src.enabled,
+    autoNudgeOnStuck:
+      src.autoNudgeOnStuck === undefined
+        ? !!base.autoNudgeOnStuck
+        : !!src.autoNudgeOnStuck,
+    autoVote:
+      src.autoVote === undefined ? !!base.autoVote : !!src.autoVote,
+    autoAdvance:
+      src.autoAdvance === undefined ? !!base.autoAdvance : !!src.autoAdvance,
+    nudgeBeforeEndSec: toPositiveInt(
+      src.nudgeBeforeEndSec,
+      toPositiveInt(base.nudgeBeforeEndSec, AUTOPILOT_DEFAULT.nudgeBeforeEndSec, {
+        min: 10,
+        max: 300,
+      }),
+      { min: 10, max: 300 }
+    ),
+    stuckInactivitySec: toPositiveInt(
+      src.stuckInactivitySec,
+      toPositiveInt(base.stuckInactivitySec, AUTOPILOT_DEFAULT.stuckInactivitySec, {
+        min: 30,
+        max: 900,
+      }),
+      { min: 30, max: 900 }
+    ),
+    interventionExtendSec: toPositiveInt(
+      src.interventionExtendSec,
+      toPositiveInt(base.interventionExtendSec, AUTOPILOT_DEFAULT.interventionExtendSec, {
+        min: 30,
+        max: 600,
+      }),
+      { min: 30, max: 600 }
+    ),
+  };
+}
+
+const LICENSE_TIERS = ['STARTER', 'PRO', 'ENTERPRISE'];
+const LICENSE_STATES = ['ACTIVE', 'SUSPENDED', 'EXPIRED', 'TRIAL'];
+const APPROVAL_STATES = ['PENDING', 'APPROVED', 'REJECTED'];
+const TEMPLATE_STATES = ['DRAFT', 'PUBLISHED', 'DEPRECATED'];
+const INCIDENT_STATES = ['OPEN', 'MONITORING', 'RESOLVED'];
+
+const FEATURE_FLAG_DEFAULTS_BY_TIER = Object.freeze({
+  STARTER: {
+    sso: false,
+    scim: false,
+    advancedTemplates: false,
+    auditExport: false,
+    aiPolicyControls: true,
+    supportEscalation: false,
+  },
+  PRO: {
+    sso: true,
+    scim: false,
+    advancedTemplates: true,
+    auditExport: true,
+    aiPolicyControls: true,
+    supportEscalation: true,
+  },
+  ENTERPRISE: {
+    sso: true,
+    scim: true,
+    advancedTemplates: true,
+    auditExport: true,
+    aiPolicyControls: true,
+    supportEscalation: true,
+  },
+});
+
+const AI_POLICY_AGE_SAFE_MODES = Object.freeze(['OFF', 'K12', 'TEEN', 'ADULT']);
+const AI_POLICY_MODERATION_LEVELS = Object.freeze(['OFF', 'STANDARD', 'STRICT']);
+
+const AI_POLICY_DEFAULT = Object.freeze({
+  tone: 'BALANCED',
+  strictness: 'MEDIUM',
+  dataUsage: 'NO_TRAINING',
+  provider: LLM_PROVIDER,
+  fallbackProvider: '',
+  modelChoice: defaultLlmModel(LLM_PROVIDER),
+  piiRedaction: true,
+  citationMode: false,
+  ageSafeMode: 'K12',
+  moderationLevel: 'STANDARD',
+  blockedTerms: [],
+  // Per-ageSafeMode classifier thresholds, e.g. { K12: { violence: 0.25 } }.
+  moderationThresholds: {},
+});
+const AI_POLICY_FIELDS = Object.freeze(Object.keys(AI_POLICY_DEFAULT));
+
+function normalizeLicenseTier(value) {
+  const tier = String(value || '').trim().toUpperCase();
+  return LICENSE_TIERS.includes(tier) ? tier : 'STARTER';
+}
+
+function normalizeLicenseState(value) {
+  const status = String(value || '').trim().toUpperCase();
+  return LICENSE_STATES.includes(status) ? status : 'ACTIVE';
+}
+
+function normalizeApprovalState(value) {
+  const status = String(value || '').trim().toUpperCase();
+  return APPROVAL_STATES.includes(status) ? status : 'PENDING';
+}
+
+function normalizeTemplateState(value) {
+  const status = String(value || '').trim().toUpperCase();
+  return TEMPLATE_STATES.includes(status) ? status : 'DRAFT';
+}
+
+function normalizeIncidentState(value) {
+  const status = String(value || '').trim().toUpperCase();
+  return INCIDENT_STATES.includes(status) ? status : 'OPEN';
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function makePrefixedId(prefix) {
+  const p = String(prefix || 'ID').trim().toUpperCase().replace(/[^A-Z0-9]/g, '') || 'ID';
+  return `${p}-${crypto.randomUUID().replace(/-/g, '').slice(0, 16).toUpperCase()}`;
+}
+
+function parseJsonObject(value, fallback = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return { ...value };
+  }
+  if (typeof value !== 'string') return { ...fallback };
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch {}
+  return { ...fallback };
+}
+
+function parseJsonArray(value, fallback = []) {
+  if (Array.isArray(value)) return value.slice();
+  if (typeof value !== 'string') return fallback.slice();
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {}
+  return fallback.slice();
+}
+
+function normalizeBlockedTerms(input, limit = 40) {
+  const raw = Array.isArray(input)
+    ? input
+    : typeof input === 'string'
+      ? input.split(/[,\n]/g)
+      : [];
+  const out = [];
+  const seen = new Set();
+  for (const term of raw) {
+    const safe = String(term || '').trim().toLowerCase();
+    if (!safe || seen.has(safe)) continue;
+    seen.add(safe);
+    out.push(safe);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+function normalizeAiPolicy(input = {}) {
+  const toneRaw = String(input.tone || AI_POLICY_DEFAULT.tone).trim().toUpperCase();
+  const strictnessRaw = String(input.strictness || AI_POLICY_DEFAULT.strictness)
+    .trim()
+    .toUpperCase();
+  const dataUsageRaw = String(input.dataUsage || AI_POLICY_DEFAULT.dataUsage)
+    .trim()
+    .toUpperCase();
+  const ageSafeModeRaw = String(input.ageSafeMode || AI_POLICY_DEFAULT.ageSafeMode)
+    .trim()
+    .toUpperCase();
+  const moderationLevelRaw = String(
+    input.moderationLevel || AI_POLICY_DEFAULT.moderationLevel
+  )
+    .trim()
+    .toUpperCase();
+  const tone = ['SOFT', 'BALANCED', 'DIRECT', 'COACH'].includes(toneRaw)
+    ? toneRaw
+    : AI_POLICY_DEFAULT.tone;
+  const strictness = ['LOW', 'MEDIUM', 'HIGH'].includes(strictnessRaw)
+    ? strictnessRaw
+    : AI_POLICY_DEFAULT.strictness;
+  const dataUsage = ['NO_TRAINING', 'ANONYMIZED', 'ANALYTICS_ONLY'].includes(dataUsageRaw)
+    ? dataUsageRaw
+    : AI_POLICY_DEFAULT.dataUsage;
+  const ageSafeMode = AI_POLICY_AGE_SAFE_MODES.includes(ageSafeModeRaw)
+    ? ageSafeModeRaw
+    : AI_POLICY_DEFAULT.ageSafeMode;
+  const moderationLevel = AI_POLICY_MODERATION_LEVELS.includes(moderationLevelRaw)
+    ? moderationLevelRaw
+    : AI_POLICY_DEFAULT.moderationLevel;
+  const provider = normalizeLlmProvider(input.provider, AI_POLICY_DEFAULT.provider);
+  const fallbackProvider = normalizeLlmProvider(input.fallbackProvider, '');
+  // A model name only makes sense for its own provider, so one left over
+  // from a different provider falls back to this provider's default.
+  const requestedModel = String(input.modelChoice || '').trim();
+  return {
+    tone,
+    strictness,
+    dataUsage,
+    provider,
+    fallbackProvider: fallbackProvider === provider ? '' : fallbackProvider,
+    modelChoice: llmModelFitsProvider(requestedModel, provider) ? requestedModel : defaultLlmModel(provider),
+    piiRedaction: input.piiRedaction !== false,
+    citationMode: !!input.citationMode,
+    ageSafeMode,
+    moderationLevel,
+    blockedTerms: normalizeBlockedTerms(input.blockedTerms ?? AI_POLICY_DEFAULT.blockedTerms),
+    moderationThresholds: normalizeModerationThresholds(input.moderationThresholds),
+  };
+}
+
+function normalizeFeatureFlagPatch(input = {}) {
+  const out = {};
+  if (!input || typeof input !== 'object') return out;
+  for (const [key, value] of Object.entries(input)) {
+    const flagKey = String(key || '').trim();
+    if (!flagKey) continue;
+    out[flagKey] = !!value;
+  }
+  return out;
+}
+
+function normalizePhase(phase, index) {
+  const fallbackTitle = `Phase ${index + 1}`;
+  const title = String(phase?.title || '').trim() || fallbackTitle;
+  const goal = String(phase?.goal || '').trim();
+  const durationSec = toPositiveInt(
+    phase?.durationSec,
+    toPositiveInt(Number(phase?.durationMin) * 60, 600, { min: 60, max: 7200 }),
+    { min: 60, max: 7200 }
+  );
+
+  return {
+    id:
+      String(phase?.id || '').trim() ||
+      title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/(^-|-$)/g, '') ||
+      `phase-${index + 1}`,
+    title,
+    durationSec,
+    goal,
+  };
+}
+
+function cloneTemplatePhases(mode) {
+  const template = WORKSHOP_MODE_TEMPLATES[normalizeMode(mode)];
+  return (template.defaultPhases || []).map((phase, idx) =>
+    normalizePhase(phase, idx)
+  );
+}
+
+function applyPhaseCount(phases, phaseCount) {
+  const targetCount = toPositiveInt(phaseCount, phases.length || 1, {
+    min: 1,
+    max: MAX_PHASE_COUNT,
+  });
+  const next = phases.slice(0, targetCount);
+  while (next.length < targetCount) {
+    next.push(
+      normalizePhase(
+        {
+          title: `Phase ${next.length + 1}`,
+          durationSec: 600,
+          goal: '',
+        },
+        next.length
+      )
+    );
+  }
+  return next;
+}
+
+function deriveRoomsPerSite(expectedUsers, seatLimitPerRoom) {
+  const seats = toPositiveInt(seatLimitPerRoom, DEFAULT_SEAT_LIMIT_PER_ROOM, {
+    min: 1,
+    max: MAX_SEAT_LIMIT_PER_ROOM,
+  });
+  const users = toPositiveInt(expectedUsers, DEFAULT_EXPECTED_USERS, {
+    min: 1,
+    max: 20_000,
+  });
+  const rooms = Math.ceil(users / seats);
+  return toPositiveInt(rooms, 1, { min: 1, max: MAX_ROOMS_PER_SITE });
+}
+
+function createDefaultWorkshopConfig({
+  licenseId,
+  siteIds = [],
+  mode = DEFAULT_WORKSHOP_MODE,
+  orgId = '',
+} = {}) {
+  const normalizedLicense = normalizedLicenseId(licenseId);
+  const normalizedOrg = normalizedOrgId(orgId, normalizedLicense);
+  const normalizedMode = normalizeMode(mode);
+  const template = WORKSHOP_MODE_TEMPLATES[normalizedMode];
+  const phases = cloneTemplatePhases(normalizedMode);
+  const expectedUsers = DEFAULT_EXPECTED_USERS;
+  const seatLimitPerRoom = DEFAULT_SEAT_LIMIT_PER_ROOM;
+  const roomsPerSite = deriveRoomsPerSite(expectedUsers, seatLimitPerRoom);
+
+  return {
+    orgId: normalizedOrg,
+    licenseId: normalizedLicense,
+    name: template.label,
+    mode: normalizedMode,
+    description: template.description,
+    siteIds: sanitizeSiteIds(siteIds),
+    expectedUsers,
+    activeUserCap: expectedUsers,
+    seatLimitPerRoom,
+    roomsPerSite,
+    licenseStatus: 'ACTIVE',
+    licenseExpiresAt: null,
+    messageRetentionDays: MESSAGE_RETENTION_DAYS,
+    draftRetentionDays: DRAFT_RETENTION_DAYS,
+    sessionRetentionHours: SESSION_TTL_HOURS,
+    auditRetentionDays: DEFAULT_AUDIT_RETENTION_DAYS,
+    legalHold: false,
+    aiBehavior: 'GUIDE',
+    phaseCount: phases.length,
+    phases,
+    topicCatalog: normalizeTopicCatalog(template.defaultTopics || []),
+    enableTopicVoting: true,
+    assistantPersona: DEFAULT_ASSISTANT_PERSONA,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+}
+
+function parseRoomId(roomId) {
+  const [siteId, idxStr] = String(roomId).split('-');
+  return { siteId: (siteId || 'E1').toUpperCase(), index: Number(idxStr || 1) };
+}
+
+function deepCloneDemo(value) {
+  if (value === null || value === undefined) return value;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return value;
+  }
+}
+
+function demoCodeRoleFromPrefix(code = '') {
+  const normalized = String(code || '').trim().toUpperCase();
+  if (normalized.startsWith('A-')) return 'ADMIN';
+  if (normalized.startsWith('P-')) return 'PRESENTER';
+  if (normalized.startsWith('U-')) return 'PARTICIPANT';
+  if (normalized.startsWith('SA-')) return 'SUPER_ADMIN';
+  return '';
+}
+
+function createDemoRoomRecord(roomId) {
+  const now = Date.now();
+  const { siteId, index } = parseRoomId(roomId);
+  return {
+    roomId,
+    siteId,
+    index,
+    stage: DEFAULT_STAGE,
+    stageEndsAt: now + getStageDuration(DEFAULT_STAGE),
+    inputLocked: false,
+    topic: '',
+    ideaSummary: '',
+    licenseId: DEMO_DEFAULT_LICENSE_ID,
+    orgId: DEMO_DEFAULT_ORG_ID,
+    messageRetentionDays: MESSAGE_RETENTION_DAYS,
+    draftRetentionDays: DRAFT_RETENTION_DAYS,
+    auditRetentionDays: DEFAULT_AUDIT_RETENTION_DAYS,
+    legalHold: false,
+    voteOpen: false,
+    voteTotal: 0,
+    voteTallies: {},
+    voteByUid: {},
+    voteBallots: {},
+    voteNullifiers: {},
+    topicOptions: [],
+    phasePlan: [],
+    workshopMode: DEFAULT_WORKSHOP_MODE,
+    aiBehavior: 'GUIDE',
+    assistantPersona: DEFAULT_ASSISTANT_PERSONA,
+    autopilot: { ...AUTOPILOT_DEFAULT },
+    autopilotActions: {},
+    lastParticipantMessageAt: 0,
+    shareLinks: {},
+    phaseCanvases: {},
+    privateDrafts: {},
+    decisionLog: [],
+    draftApprovedByUids: [],
+    draftApprovedVersion: 0,
+    draftApprovedAt: 0,
+    lastAiFallbackAt: 0,
+    lastAiFallbackReason: '',
+    lastAiFallbackStage: '',
+    greetedForStage: {},
+    seats: [],
+    seatUids: [],
+    voteReadyUids: [],
+    voteReadyCount: 0,
+    voteSubmittedUids: [],
+    voteSubmittedCount: 0,
+    finalReadyUids: [],
+    finalReadyCount: 0,
+    finalCompletedAt: null,
+    draftText: '',
+    draftVersion: 0,
+    draftUpdatedAt: null,
+    finalAbstract: '',
+    closedReason: null,
+    closedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+function createDemoFallbackState() {
+  const now = Date.now();
+  const workshop = createDefaultWorkshopConfig({
+    licenseId: DEMO_DEFAULT_LICENSE_ID,
+    orgId: DEMO_DEFAULT_ORG_ID,
+    siteIds: [DEMO_DEFAULT_SITE_ID],
+    mode: DEFAULT_WORKSHOP_MODE,
+  });
+  workshop.orgId = DEMO_DEFAULT_ORG_ID;
+  workshop.licenseId = DEMO_DEFAULT_LICENSE_ID;
+  workshop.siteIds = [DEMO_DEFAULT_SITE_ID];
+  workshop.updatedAt = now;
+
+  const org = {
+    orgId: DEMO_DEFAULT_ORG_ID,
+    status: 'ACTIVE',
+    tier: 'PRO',
+    name: 'Demo Organization',
+    primaryDomain: 'demo.local',
+    siteIds: [DEMO_DEFAULT_SITE_ID],
+    supportPlan: 'STANDARD',
+    ownerEmail: DEMO_DEFAULT_SUPER_ADMIN_EMAIL,
+    billingAccountId: 'demo-billing',
+    notes: 'Demo fallback organization record.',
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const license = {
+    licenseId: DEMO_DEFAULT_LICENSE_ID,
+    orgId: DEMO_DEFAULT_ORG_ID,
+    status: 'ACTIVE',
+    tier: 'PRO',
+    seatCap: 120,
+    activeUserCap: 120,
+    usageCap: 1200,
+    startsAt: now,
+    expiresAt: now + 180 * 24 * 60 * 60 * 1000,
+    renewalAt: now + 150 * 24 * 60 * 60 * 1000,
+    overagePolicy: 'NOTIFY_ONLY',
+    billingMode: 'INVOICE',
+    billingAccountId: 'demo-billing',
+    notes: 'Demo fallback license record.',
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const state = {
+    workshops: new Map([[DEMO_DEFAULT_LICENSE_ID, workshop]]),
+    rooms: new Map(),
+    messages: new Map(),
+    drafts: new Map(),
+    codes: new Map(),
+    authSessions: new Map(), // key: `${uid}::${sessionId}`
+    statusEvents: new Map(),
+    orgs: new Map([[DEMO_DEFAULT_ORG_ID, org]]),
+    licenses: new Map([[DEMO_DEFAULT_LICENSE_ID, license]]),
+    orgUsers: new Map(),
+    featureFlags: new Map(),
+    policies: new Map(),
+    templates: new Map(),
+    approvals: new Map(),
+    billing: new Map(),
+    support: new Map(),
+    knowledge: new Map(),
+    scimUsers: new Map(),
+    scimGroups: new Map(),
+  };
+
+  const defaultCodes = [
+    'A-DEMO',
+    'P-DEMO',
+    'U-DEMO1',
+    'U-DEMO2',
+    'U-DEMO3',
+    'U-DEMO4',
+    'U-DEMO5',
+    'U-DEMO6',
+  ];
+  for (const code of defaultCodes) {
+    const role = demoCodeRoleFromPrefix(code);
+    state.codes.set(code, {
+      code,
+      codeHash: hashCodeValue(code),
+      role: role || 'PARTICIPANT',
+      siteId: DEMO_DEFAULT_SITE_ID,
+      siteIds: [DEMO_DEFAULT_SITE_ID],
+      licenseId: DEMO_DEFAULT_LICENSE_ID,
+      orgId: DEMO_DEFAULT_ORG_ID,
+      defaultMode: DEFAULT_WORKSHOP_MODE,
+      consumed: false,
+      revoked: false,
+      expiresAt: now + CODE_TTL_DAYS * 24 * 60 * 60 * 1000,
+      createdAt: now,
+      createdBy: 'demo-fallback',
+    });
+  }
+
+  state.statusEvents.set('GLOBAL', [
+    {
+      scopeId: 'GLOBAL',
+      statusKey: `${String(now).padStart(13, '0')}#DEMO`,
+      payload: JSON.stringify({
+        component: 'platform',
+        message: 'Demo mode fallback is active.',
+        severity: 'INFO',
+        state: 'OPEN',
+        incidentState: 'OPEN',
+        link: '',
+      }),
+      createdAt: now,
+      updatedAt: now,
+    },
+  ]);
+
+  return state;
+}
+
+const demoFallbackState = createDemoFallbackState();
+
+function demoAuthSessionKey(uid = '', sessionId = '') {
+  return `${String(uid || '').trim()}::${String(sessionId || '').trim()}`;
+}
+
+function saveDemoAuthSessionRecord(item = {}) {
+  const uid = String(item.uid || '').trim();
+  const sessionId = String(item.sessionId || '').trim();
+  if (!uid || !sessionId) return;
+  const key = demoAuthSessionKey(uid, sessionId);
+  demoFallbackState.authSessions.set(key, {
+    ...deepCloneDemo(item),
+    uid,
+    sessionId,
+    updatedAt: Date.now(),
+    lastSeenAt: Date.now(),
+  });
+}
+
+function getDemoAuthSessionRecord(uid = '', sessionId = '') {
+  const key = demoAuthSessionKey(uid, sessionId);
+  const item = demoFallbackState.authSessions.get(key);
+  return item ? deepCloneDemo(item) : null;
+}
+
+function listDemoAuthSessions(uid = '', limit = 50) {
+  const userId = String(uid || '').trim();
+  if (!userId) return [];
+  return Array.from(demoFallbackState.authSessions.values())
+    .filter((row) => String(row.uid || '').trim() === userId)
+    .sort((a, b) => Number(b.updatedAt || 0) - Number(a.updatedAt || 0))
+    .slice(0, Math.min(200, limit))
+    .map((row) => deepCloneDemo(row));
+}
+
+function touchDemoAuthSession(uid = '', sessionId = '', req = null) {
+  const existing = getDemoAuthSessionRecord(uid, sessionId);
+  if (!existing) return;
+  existing.updatedAt = Date.now();
+  existing.lastSeenAt = Date.now();
+  existing.ip = extractClientIp(req);
+  existing.userAgent = extractUserAgent(req);
+  saveDemoAuthSessionRecord(existing);
+}
+
+function revokeDemoAuthSession(uid = '', sessionId = '') {
+  const existing = getDemoAuthSessionRecord(uid, sessionId);
+  if (!existing) return;
+  existing.revoked = true;
+  existing.updatedAt = Date.now();
+  saveDemoAuthSessionRecord(existing);
+}
+
+function getDemoWorkshopRecord(licenseIdRaw = '') {
+  const licenseId = normalizedLicenseId(licenseIdRaw || DEMO_DEFAULT_LICENSE_ID);
+  if (!licenseId) return null;
+  const existing = demoFallbackState.workshops.get(licenseId);
+  if (existing) return deepCloneDemo(existing);
+  const created = createDefaultWorkshopConfig({
+    licenseId,
+    orgId: DEMO_DEFAULT_ORG_ID,
+    siteIds: [DEMO_DEFAULT_SITE_ID],
+    mode: DEFAULT_WORKSHOP_MODE,
+  });
+  created.orgId = normalizedOrgId(created.orgId || DEMO_DEFAULT_ORG_ID, licenseId);
+  created.updatedAt = Date.now();
+  demoFallbackState.workshops.set(licenseId, created);
+  return deepCloneDemo(created);
+}
+
+function putDemoWorkshopRecord(workshop = {}) {
+  const licenseId = normalizedLicenseId(workshop.licenseId || DEMO_DEFAULT_LICENSE_ID);
+  if (!licenseId) return null;
+  const next = deepCloneDemo({
+    ...workshop,
+    licenseId,
+    orgId: normalizedOrgId(workshop.orgId || DEMO_DEFAULT_ORG_ID, licenseId),
+    siteIds: sanitizeSiteIds(workshop.siteIds, [DEMO_DEFAULT_SITE_ID]),
+    updatedAt: Date.now(),
+  });
+  demoFallbackState.workshops.set(licenseId, next);
+  return deepCloneDemo(next);
+}
+
+function getOrCreateDemoCodeRecord(rawCode = '') {
+  const code = String(rawCode || '').trim().toUpperCase();
+  if (!code) return null;
+  const existing = demoFallbackState.codes.get(code);
+  if (existing) return deepCloneDemo(existing);
+  const role = demoCodeRoleFromPrefix(code);
+  if (!role) return null;
+  const now = Date.now();
+  const created = {
+    code,
+    codeHash: hashCodeValue(code),
+    role,
+    siteId: DEMO_DEFAULT_SITE_ID,
+    siteIds: [DEMO_DEFAULT_SITE_ID],
+    licenseId: DEMO_DEFAULT_LICENSE_ID,
+    orgId: DEMO_DEFAULT_ORG_ID,
+    defaultMode: DEFAULT_WORKSHOP_MODE,
+    consumed: false,
+    revoked: false,
+    expiresAt: now + CODE_TTL_DAYS * 24 * 60 * 60 * 1000,
+    createdAt: now,
+    createdBy: 'demo-fallback',
+  };
+  demoFallbackState.codes.set(code, created);
+  return deepCloneDemo(created);
+}
+
+function consumeDemoCodeRecord(item = {}, uid = '') {
+  const code = String(item.code || '').trim().toUpperCase();
+  if (!code) return { ok: false, error: 'code_missing' };
+  const existing = getOrCreateDemoCodeRecord(code);
+  if (!existing) return { ok: false, error: 'code_not_found' };
+  const unusable = classifyCodeUnusable(existing);
+  if (unusable) {
+    return { ok: false, conflict: true, reason: unusable };
+  }
+  const userId = String(uid || '').trim() || '(unknown)';
+  const usedBy = String(existing.usedBy || '').trim();
+  if (existing.consumed && usedBy && usedBy !== userId) {
+    return { ok: false, conflict: true, reason: 'code_already_consumed' };
+  }
+  existing.consumed = true;
+  existing.usedBy = userId;
+  existing.consumedAt = Date.now();
+  demoFallbackState.codes.set(code, existing);
+  return { ok: true };
+}
+
+function getDemoRoomRecord(roomId = '') {
+  const rid = String(roomId || '').trim();
+  if (!rid) return null;
+  const existing = demoFallbackState.rooms.get(rid);
+  if (existing) return deepCloneDemo(existing);
+  const created = createDemoRoomRecord(rid);
+  demoFallbackState.rooms.set(rid, created);
+  return deepCloneDemo(created);
+}
+
+function setDemoRoomRecord(room = {}) {
+  const roomId = String(room.roomId || '').trim();
+  if (!roomId) return null;
+  const normalized = normalizeRoomShape({
+    ...room,
+    roomId,
+    licenseId: normalizedLicenseId(room.licenseId || DEMO_DEFAULT_LICENSE_ID),
+    orgId: normalizedOrgId(room.orgId || DEMO_DEFAULT_ORG_ID, room.licenseId || DEMO_DEFAULT_LICENSE_ID),
+  });
+  demoFallbackState.rooms.set(roomId, deepCloneDemo(normalized));
+  return deepCloneDemo(normalized);
+}
+
+function getDemoMessages(roomId = '') {
+  const rid = String(roomId || '').trim();
+  if (!rid) return [];
+  const entries = demoFallbackState.messages.get(rid);
+  if (!Array.isArray(entries)) return [];
+  return entries.map((row) => deepCloneDemo(row));
+}
+
+function setDemoMessages(roomId = '', messages = []) {
+  const rid = String(roomId || '').trim();
+  if (!rid) return;
+  demoFallbackState.messages.set(
+    rid,
+    (Array.isArray(messages) ? messages : []).map((row) => deepCloneDemo(row))
+  );
+}
+
+function putDemoTimestampedItem(tableName, roomId, makeItem, maxAttempts = 6) {
+  const rid = String(roomId || '').trim();
+  if (!rid) throw new Error('roomId_required_for_demo_item');
+  const bucket =
+    tableName === TABLES.messages
+      ? getDemoMessages(rid)
+      : tableName === TABLES.drafts
+      ? (Array.isArray(demoFallbackState.drafts.get(rid))
+          ? demoFallbackState.drafts.get(rid)
+          : [])
+      : [];
+  let createdAt = 0;
+  for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
     const ts = Date.now() + attempt;
     if (bucket.some((item) => Number(item.createdAt || 0) === ts)) continue;
     bucket.push(makeItem(ts));
@@ -2901,6 +4409,18 @@ function getDemoTableItem(tableName, key = {}) {
       demoFallbackState.billing.get(`${orgId}::${billingEventId}`) || null
     );
   }
+  if (tableName === TABLES.knowledge) {
+    const orgId = normalizedOrgId(key.orgId || '', DEMO_DEFAULT_LICENSE_ID);
+    const docId = String(key.docId || '').trim();
+    if (!orgId || !docId) return null;
+    return deepCloneDemo(demoFallbackState.knowledge.get(`${orgId}::${docId}`) || null);
+  }
+  if (tableName === TABLES.scimUsers || tableName === TABLES.scimGroups) {
+    const orgId = normalizedOrgId(key.orgId || '', DEMO_DEFAULT_LICENSE_ID);
+    const id = String(key.scimUserId || key.scimGroupId || '').trim();
+    const map = tableName === TABLES.scimUsers ? demoFallbackState.scimUsers : demoFallbackState.scimGroups;
+    return orgId && id ? deepCloneDemo(map.get(`${orgId}::${id}`) || null) : null;
+  }
   if (tableName === TABLES.status) {
     const scopeId = String(key.scopeId || 'GLOBAL').trim().toUpperCase();
     const statusKey = String(key.statusKey || '').trim();
@@ -2993,6 +4513,21 @@ function putDemoTableItem(tableName, item = {}) {
     );
     return;
   }
+  if (tableName === TABLES.knowledge) {
+    const orgId = normalizedOrgId(item.orgId || '', item.licenseId || DEMO_DEFAULT_LICENSE_ID);
+    const docId = String(item.docId || '').trim();
+    if (!orgId || !docId) return;
+    demoFallbackState.knowledge.set(`${orgId}::${docId}`, deepCloneDemo({ ...item, orgId, docId }));
+    return;
+  }
+  if (tableName === TABLES.scimUsers || tableName === TABLES.scimGroups) {
+    const orgId = normalizedOrgId(item.orgId || '', item.licenseId || DEMO_DEFAULT_LICENSE_ID);
+    const id = String(item.scimUserId || item.scimGroupId || '').trim();
+    if (!orgId || !id) return;
+    const map = tableName === TABLES.scimUsers ? demoFallbackState.scimUsers : demoFallbackState.scimGroups;
+    map.set(`${orgId}::${id}`, deepCloneDemo({ ...item, orgId }));
+    return;
+  }
   if (tableName === TABLES.approvals) {
     const orgId = normalizedOrgId(item.orgId || '', item.licenseId || DEMO_DEFAULT_LICENSE_ID);
     const approvalId = String(item.approvalId || '').trim();
@@ -3157,6 +4692,20 @@ function queryDemoByPartitionKey({
       );
     }
     rows.sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0));
+  } else if (tableName === TABLES.knowledge) {
+    rows = Array.from(demoFallbackState.knowledge.values());
+    if (partitionKey === 'orgId') {
+      rows = rows.filter(
+        (row) => normalizedOrgId(row.orgId || '', row.licenseId || '') === value
+      );
+    }
+    rows.sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0));
+  } else if (tableName === TABLES.scimUsers || tableName === TABLES.scimGroups) {
+    const map = tableName === TABLES.scimUsers ? demoFallbackState.scimUsers : demoFallbackState.scimGroups;
+    rows = Array.from(map.values()).filter(
+      (row) => normalizedOrgId(row.orgId || '', row.licenseId || '') === value
+    );
+    rows.sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0));
   } else if (tableName === TABLES.approvals) {
     rows = Array.from(demoFallbackState.approvals.values());
     if (partitionKey === 'orgId') {
@@ -3196,9 +4745,84 @@ const roomEventStreams = new Map(); // roomId -> Set<ServerResponse>
 const presenterEventStreams = new Map(); // siteId -> Set<ServerResponse>
 const statusEventStreams = new Map(); // key GLOBAL -> Set<ServerResponse>
 const superAdminEventStreams = new Map(); // key GLOBAL -> Set<ServerResponse>
+const roomEventReplay = createSseReplayBuffer({
+  capacity: SSE_REPLAY_BUFFER_SIZE,
+  maxStreams: SSE_REPLAY_MAX_STREAMS,
+});
+const presenterEventReplay = createSseReplayBuffer({
+  capacity: SSE_REPLAY_BUFFER_SIZE,
+  maxStreams: SSE_REPLAY_MAX_STREAMS,
+});
+const roomSockets = createRoomSocketRegistry();
+const canvasCursors = new Map(); // roomId -> Map<uid, cursor>
 const roomPresenceMap = new Map(); // roomId -> Map<uid, { uid, emoji, lastTypingAt }>
 const PRESENCE_TYPING_WINDOW_MS = 8_000;
 
+// Events are published on a bus so every instance can fan them out to its own
+// SSE clients; the in-memory backend keeps single-instance deployments as-is.
+const streamEventStore = {
+  async append({ channel, sortKey, envelope, at }) {
+    await ddbDoc.send(
+      new PutCommand({
+        TableName: TABLES.streamEvents,
+        Item: {
+          channel,
+          eventKey: sortKey,
+          envelope,
+          at,
+          expiresAt: Math.floor(at / 1000) + STREAM_EVENT_TTL_SECONDS,
+        },
+      })
+    );
+  },
+  async listSince(channel, afterSortKey, limit) {
+    const out = await ddbDoc.send(
+      new QueryCommand({
+        TableName: TABLES.streamEvents,
+        KeyConditionExpression: '#channel = :channel AND #eventKey > :after',
+        ExpressionAttributeNames: { '#channel': 'channel', '#eventKey': 'eventKey' },
+        ExpressionAttributeValues: { ':channel': channel, ':after': afterSortKey },
+        ScanIndexForward: true,
+        ConsistentRead: true,
+        Limit: limit,
+      })
+    );
+    return (out.Items || []).map((item) => ({
+      sortKey: String(item.eventKey || ''),
+      envelope: item.envelope,
+    }));
+  },
+};
+
+async function createStreamEventBus() {
+  if (EVENT_BUS_BACKEND === 'redis') {
+    try {
+      const { createClient } = await import('redis');
+      return createRedisEventBus({
+        createClient,
+        url: EVENT_BUS_REDIS_URL,
+        channel: EVENT_BUS_REDIS_CHANNEL,
+      });
+    } catch (err) {
+      console.warn('[event-bus] redis unavailable, using in-memory bus:', err?.message || err);
+      return createMemoryEventBus();
+    }
+  }
+  if (EVENT_BUS_BACKEND === 'dynamo') {
+    return createPollingEventBus({
+      store: streamEventStore,
+      pollIntervalMs: EVENT_BUS_POLL_MS,
+      shardCount: EVENT_BUS_SHARDS,
+      shardBucketMs: EVENT_BUS_SHARD_BUCKET_MS,
+    });
+  }
+  return createMemoryEventBus();
+}
+
+const streamEventBus = await createStreamEventBus();
+streamEventBus.subscribe(deliverStreamEnvelope);
+const nextStreamEventId = createStreamEventIdGenerator({ origin: streamEventBus.instanceId });
+
 function setupSseResponse(res) {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache, no-transform');
@@ -3218,8 +4842,9 @@ function setupSseResponse(res) {
   return () => clearInterval(heartbeat);
 }
 
-function writeSseEvent(res, event, payload) {
+function writeSseEvent(res, event, payload, id = '') {
   try {
+    if (id) res.write(`id: ${id}\n`);
     res.write(`event: ${event}\n`);
     res.write(`data: ${JSON.stringify(payload)}\n\n`);
     return true;
@@ -3246,16 +4871,42 @@ function attachSseClient(streamMap, key, res, { upperCase = false } = {}) {
   };
 }
 
-function publishToStreamSet(set, event, payload) {
+function publishToStreamSet(set, event, payload, id = '') {
   if (!set || set.size === 0) return;
   for (const res of Array.from(set)) {
-    if (res.writableEnded || res.destroyed || !writeSseEvent(res, event, payload)) {
+    if (res.writableEnded || res.destroyed || !writeSseEvent(res, event, payload, id)) {
       set.delete(res);
     }
   }
 }
 
-function publishRoomEvent(roomId, event, payload = {}) {
+function requestedLastEventId(req) {
+  return String(req.get('last-event-id') || req.query?.lastEventId || '')
+    .trim()
+    .slice(0, 64);
+}
+
+// Writes missed events to a freshly attached client. Returns whether the client
+// resumed cleanly; otherwise it has been told to resync.
+function resumeSseClient(res, replay, key, lastEventId, resyncPayload = {}) {
+  if (!lastEventId) return false;
+  const missed = replay.since(key, lastEventId);
+  if (!missed) {
+    writeSseEvent(res, 'resync_required', {
+      ...resyncPayload,
+      event: 'resync_required',
+      lastEventId,
+      at: Date.now(),
+    });
+    return false;
+  }
+  for (const entry of missed) {
+    writeSseEvent(res, entry.event, entry.payload, entry.id);
+  }
+  return true;
+}
+
+function publishRoomEvent(roomId, event, payload = {}, { ephemeral = false } = {}) {
   if (!roomId) return;
   const parsed = parseRoomId(roomId);
   const siteId = String(payload.siteId || parsed.siteId || '').toUpperCase();
@@ -3266,13 +4917,56 @@ function publishRoomEvent(roomId, event, payload = {}) {
     at: Date.now(),
     ...payload,
   };
+  streamEventBus.publish({
+    kind: 'room',
+    roomId,
+    siteId,
+    event,
+    eventId: ephemeral ? '' : nextStreamEventId(),
+    ephemeral,
+    payload: out,
+  });
+}
+
+function publishStatusStreamEvent(payload = {}) {
+  const out = {
+    source: 'status',
+    at: Date.now(),
+    ...payload,
+  };
+  streamEventBus.publish({ kind: 'status', payload: out });
+}
+
+function publishSuperAdminStreamEvent(payload = {}) {
+  const out = {
+    source: 'ops',
+    at: Date.now(),
+    ...payload,
+  };
+  streamEventBus.publish({ kind: 'ops', payload: out });
+}
+
+function deliverRoomEvent({ roomId, siteId, event, eventId = '', ephemeral = false, payload }) {
+  if (event === 'canvas_cursor') rememberCanvasCursor(roomId, payload);
+  if (ephemeral) {
+    // Ephemeral events skip replay and presenter/ops fanout.
+    const liveSet = roomEventStreams.get(roomId);
+    publishToStreamSet(liveSet, event, payload);
+    if (liveSet && liveSet.size === 0) roomEventStreams.delete(roomId);
+    roomSockets.broadcast(roomId, socketEventFrame(event, payload));
+    return;
+  }
+
+  roomEventReplay.remember(roomId, { id: eventId, event, payload });
+  presenterEventReplay.remember(siteId, { id: eventId, event: 'room_update', payload });
 
   const roomSet = roomEventStreams.get(roomId);
-  publishToStreamSet(roomSet, event, out);
+  publishToStreamSet(roomSet, event, payload, eventId);
   if (roomSet && roomSet.size === 0) roomEventStreams.delete(roomId);
+  roomSockets.broadcast(roomId, socketEventFrame(event, payload, eventId));
 
   const siteSet = presenterEventStreams.get(siteId);
-  publishToStreamSet(siteSet, 'room_update', out);
+  publishToStreamSet(siteSet, 'room_update', payload, eventId);
   if (siteSet && siteSet.size === 0) presenterEventStreams.delete(siteId);
 
   const superSet = superAdminEventStreams.get('GLOBAL');
@@ -3286,32 +4980,34 @@ function publishRoomEvent(roomId, event, payload = {}) {
   if (superSet && superSet.size === 0) superAdminEventStreams.delete('GLOBAL');
 }
 
-function publishStatusStreamEvent(payload = {}) {
-  const out = {
-    source: 'status',
-    at: Date.now(),
-    ...payload,
-  };
+function deliverStatusStreamEvent(payload) {
   const statusSet = statusEventStreams.get('GLOBAL');
-  publishToStreamSet(statusSet, 'status_update', out);
+  publishToStreamSet(statusSet, 'status_update', payload);
   if (statusSet && statusSet.size === 0) statusEventStreams.delete('GLOBAL');
 
   const superSet = superAdminEventStreams.get('GLOBAL');
-  publishToStreamSet(superSet, 'ops_update', out);
+  publishToStreamSet(superSet, 'ops_update', payload);
   if (superSet && superSet.size === 0) superAdminEventStreams.delete('GLOBAL');
 }
 
-function publishSuperAdminStreamEvent(payload = {}) {
-  const out = {
-    source: 'ops',
-    at: Date.now(),
-    ...payload,
-  };
+function deliverSuperAdminStreamEvent(payload) {
   const superSet = superAdminEventStreams.get('GLOBAL');
-  publishToStreamSet(superSet, 'ops_update', out);
+  publishToStreamSet(superSet, 'ops_update', payload);
   if (superSet && superSet.size === 0) superAdminEventStreams.delete('GLOBAL');
 }
 
+// Runs for every event on the bus, whichever instance published it.
+function deliverStreamEnvelope(envelope) {
+  const message = envelope?.message || {};
+  if (message.kind === 'room' && message.roomId) {
+    deliverRoomEvent(message);
+  } else if (message.kind === 'status') {
+    deliverStatusStreamEvent(message.payload || {});
+  } else if (message.kind === 'ops') {
+    deliverSuperAdminStreamEvent(message.payload || {});
+  }
+}
+
 function cleanRoomPresence(roomId, now = Date.now()) {
   const map = roomPresenceMap.get(roomId);
   if (!map) return [];
@@ -3548,6 +5244,8 @@ function normalizeRoomShape(room) {
   if (!Number.isFinite(Number(next.voteTotal))) next.voteTotal = 0;
   if (!next.voteTallies || typeof next.voteTallies !== 'object') next.voteTallies = {};
   if (!next.voteByUid || typeof next.voteByUid !== 'object') next.voteByUid = {};
+  if (!next.voteBallots || typeof next.voteBallots !== 'object') next.voteBallots = {};
+  if (!next.voteNullifiers || typeof next.voteNullifiers !== 'object') next.voteNullifiers = {};
   if (!Array.isArray(next.topicOptions)) next.topicOptions = [];
   if (!Array.isArray(next.phasePlan)) next.phasePlan = [];
   if (typeof next.licenseId !== 'string') next.licenseId = '';
@@ -4393,6 +6091,21 @@ function normalizeLicenseRecordPayload(input = {}, current = {}) {
     billingAccountId: String(
       input.billingAccountId ?? current.billingAccountId ?? ''
     ).trim(),
+    // Provider-side state (customer, subscription, dunning); written by the
+    // billing sync and webhooks, not by admins.
+    billing:
+      input.billing && typeof input.billing === 'object'
+        ? input.billing
+        : current.billing && typeof current.billing === 'object'
+          ? current.billing
+          : {},
+    // Tier changes, so a period's plan fees can be prorated.
+    planHistory: recordPlanChange(
+      current.planHistory,
+      current.tier ? normalizeLicenseTier(current.tier) : '',
+      tier,
+      Date.now()
+    ),
     notes: String(input.notes ?? current.notes ?? '').trim().slice(0, 2000),
   };
 }
@@ -4534,6 +6247,9 @@ async function saveOrgUser(orgIdRaw, userIdRaw, payload = {}, actor = {}) {
       : [],
     invitedBy: String(payload.invitedBy ?? current?.invitedBy ?? actor.uid ?? '').trim(),
     notes: String(payload.notes ?? current?.notes ?? '').trim().slice(0, 1000),
+    // 'SCIM' once the IdP provisions this user; role, sites and active then
+    // follow the directory and win over SSO group claims.
+    managedBy: String(payload.managedBy ?? current?.managedBy ?? '').trim().toUpperCase(),
   };
   await putItem(TABLES.orgUsers, next);
   return next;
@@ -4569,8 +6285,12 @@ async function deactivateOrgUser(orgIdRaw, userIdRaw) {
   }
 }
 
-function makeScopeId({ orgId = '', licenseId = '', tier = '' } = {}) {
+function makeScopeId({ orgId = '', licenseId = '', tier = '', siteId = '', global = false } = {}) {
+  if (global) return 'GLOBAL';
   const normalizedOrg = normalizedOrgId(orgId || '', licenseId || '');
+  // Site codes are only unique within an org.
+  const site = normalizedSiteId(siteId);
+  if (site && normalizedOrg) return `SITE#${normalizedOrg}#${site}`;
   if (normalizedOrg) return `ORG#${normalizedOrg}`;
   const normalizedLicense = normalizedLicenseId(licenseId || '');
   if (normalizedLicense) return `LIC#${normalizedLicense}`;
@@ -4648,20 +6368,23 @@ async function getPolicy(scopeIdRaw, policyType = 'AI') {
   return getItemByKey(TABLES.policies, { scopeId, policyType: type });
 }
 
-async function saveAiPolicy(scopeIdRaw, policyInput = {}, actor = {}) {
+// Stores only the fields this scope overrides and the fields it locks for the
+// scopes below it; everything else is inherited (see aiPolicyLayers.js).
+async function saveAiPolicy(scopeIdRaw, { overrides = {}, locked = [] } = {}, actor = {}) {
   const scopeId = String(scopeIdRaw || '').trim().toUpperCase();
   if (!scopeId) throw new Error('scopeId_required');
   const now = Date.now();
-  const policy = normalizeAiPolicy(policyInput);
+  const lockedFields = normalizeLockedFields(locked, AI_POLICY_FIELDS);
   const item = {
     scopeId,
     policyType: 'AI',
-    policy: JSON.stringify(policy),
+    policy: JSON.stringify(overrides),
+    lockedFields,
     updatedAt: now,
     updatedBy: String(actor.uid || '').trim() || '(system)',
   };
   await putItem(TABLES.policies, item);
-  return { ...item, policy };
+  return { ...item, policy: overrides };
 }
 
 async function listTemplatesForOrg(orgIdRaw, limit = 300) {
@@ -4982,14 +6705,28 @@ async function listBillingEventsByOrg(orgIdRaw, limit = 200) {
   return Array.isArray(out.items) ? out.items : [];
 }
 
+function stripeBillingClient() {
+  if (BILLING_PROVIDER !== 'stripe' || !BILLING_API_KEY) return null;
+  return createStripeClient({ apiKey: BILLING_API_KEY, baseUrl: BILLING_STRIPE_API_BASE });
+}
+
+function licenseStripeCustomerId(license = {}) {
+  const fromBilling = String(license?.billing?.customerId || '').trim();
+  if (fromBilling) return fromBilling;
+  const account = String(license?.billingAccountId || '').trim();
+  return account.startsWith('cus_') ? account : '';
+}
+
 async function sendInvoiceToProvider({
   invoiceId,
+  billingEventId = '',
   orgId,
   licenseId,
   amountCents,
   currency,
   description,
   dueAt,
+  lineItems = [],
 }) {
   const basePayload = {
     invoiceId,
@@ -4999,28 +6736,56 @@ async function sendInvoiceToProvider({
     currency,
     description,
     dueAt,
+    lineItems,
   };
-  if (BILLING_PROVIDER === 'stripe' && BILLING_API_KEY) {
-    const form = new URLSearchParams();
-    form.set('description', description || `Invoice ${invoiceId}`);
-    form.set('metadata[invoiceId]', invoiceId);
-    form.set('metadata[orgId]', orgId);
-    form.set('metadata[licenseId]', licenseId || '');
-    form.set('collection_method', 'send_invoice');
-    form.set('days_until_due', '30');
-    const res = await fetch(BILLING_STRIPE_INVOICE_ENDPOINT, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${BILLING_API_KEY}`,
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: form.toString(),
-    });
-    const body = await res.text();
-    if (!res.ok) {
-      return { ok: false, provider: 'stripe', error: body.slice(0, 2000) };
+  const stripe = stripeBillingClient();
+  if (stripe) {
+    // Stripe bills a customer, so the license has to be synced first. The
+    // idempotency keys make a retried cycle reuse the same invoice.
+    const customerId = licenseStripeCustomerId(await getLicenseRecord(licenseId).catch(() => null));
+    if (!customerId) return { ok: false, provider: 'stripe', error: 'stripe_customer_missing' };
+    const daysUntilDue = dueAt ? Math.max(1, Math.ceil((dueAt - Date.now()) / (24 * 60 * 60 * 1000))) : 30;
+    try {
+      const invoice = await stripe.createInvoice(
+        {
+          customer: customerId,
+          collection_method: 'send_invoice',
+          days_until_due: daysUntilDue,
+          description: description || `Invoice ${invoiceId}`,
+          currency: String(currency || 'USD').toLowerCase(),
+          auto_advance: true,
+          metadata: { invoiceId, billingEventId, orgId, licenseId: licenseId || '' },
+        },
+        { idempotencyKey: `invoice-${invoiceId}` }
+      );
+      // One Stripe item per line; discounts and credits go in as negative
+      // items so the invoice shows the same breakdown as the billing summary.
+      const items = lineItems.length
+        ? lineItems
+        : [{ code: 'TOTAL', label: description, amountCents }];
+      for (const [idx, item] of items.entries()) {
+        // eslint-disable-next-line no-await-in-loop
+        await stripe.createInvoiceItem(
+          {
+            customer: customerId,
+            invoice: invoice.id,
+            amount: Math.round(Number(item.amountCents || 0)),
+            currency: String(currency || 'USD').toLowerCase(),
+            description: String(item.label || item.code || `Invoice ${invoiceId}`),
+            metadata: { invoiceId, code: String(item.code || ''), type: String(item.type || '') },
+          },
+          { idempotencyKey: `invoice-item-${invoiceId}-${idx}` }
+        );
+      }
+      return {
+        ok: true,
+        provider: 'stripe',
+        providerInvoiceId: invoice.id,
+        response: JSON.stringify({ id: invoice.id, status: invoice.status || '' }),
+      };
+    } catch (err) {
+      return { ok: false, provider: 'stripe', error: String(err?.detail || err?.message || err).slice(0, 2000) };
     }
-    return { ok: true, provider: 'stripe', response: body.slice(0, 6000) };
   }
 
   if (BILLING_PROVIDER === 'enterprise' && BILLING_ENTERPRISE_INVOICE_ENDPOINT) {
@@ -5042,6 +6807,324 @@ async function sendInvoiceToProvider({
   return { ok: true, provider: 'manual', response: JSON.stringify(basePayload) };
 }
 
+// ---------- Stripe sync, webhooks and dunning ----------
+
+// Creates or updates the Stripe customer for a license and, when its tier has
+// a price, the subscription. Safe to re-run: ids live on the license and every
+// create carries an idempotency key.
+async function syncLicenseBilling(licenseIdRaw, actor = {}) {
+  const stripe = stripeBillingClient();
+  if (!stripe) throw new Error('billing_provider_not_stripe');
+  const licenseId = normalizedLicenseId(licenseIdRaw || '');
+  const license = licenseId ? await getLicenseRecord(licenseId) : null;
+  if (!license) throw new Error('license_not_found');
+  const orgId = normalizedOrgId(license.orgId || '', licenseId);
+  const org = await getOrgRecord(orgId).catch(() => null);
+  const tier = normalizeLicenseTier(license.tier);
+  const metadata = { orgId, licenseId, tier };
+  const billing = { ...(license.billing || {}) };
+
+  const customerFields = { name: org?.name || orgId, email: org?.ownerEmail || undefined, metadata };
+  let customerId = licenseStripeCustomerId(license);
+  if (customerId) {
+    await stripe.updateCustomer(customerId, customerFields);
+  } else {
+    customerId = (await stripe.createCustomer(customerFields, { idempotencyKey: `customer-${licenseId}` })).id;
+  }
+  billing.customerId = customerId;
+
+  const priceId = BILLING_STRIPE_PRICE_IDS[tier] || '';
+  const liveSubscription = billing.subscriptionId && billing.subscriptionStatus !== 'canceled';
+  if (priceId && !liveSubscription) {
+    const sendInvoice = String(license.billingMode || 'INVOICE').toUpperCase() === 'INVOICE';
+    const sub = await stripe.createSubscription(
+      {
+        customer: customerId,
+        items: [{ price: priceId }],
+        collection_method: sendInvoice ? 'send_invoice' : 'charge_automatically',
+        days_until_due: sendInvoice ? 30 : undefined,
+        metadata,
+      },
+      { idempotencyKey: `subscription-${licenseId}-${priceId}-${billing.subscriptionId || 'new'}` }
+    );
+    Object.assign(billing, {
+      subscriptionId: sub.id,
+      subscriptionItemId: sub.items?.data?.[0]?.id || '',
+      priceId,
+      subscriptionStatus: sub.status || '',
+    });
+  } else if (liveSubscription) {
+    // A tier change swaps the price on the existing item; Stripe prorates.
+    const swapPrice = priceId && priceId !== billing.priceId && billing.subscriptionItemId;
+    const sub = await stripe.updateSubscription(billing.subscriptionId, {
+      metadata,
+      ...(swapPrice
+        ? { items: [{ id: billing.subscriptionItemId, price: priceId }], proration_behavior: 'create_prorations' }
+        : {}),
+    });
+    if (swapPrice) billing.priceId = priceId;
+    billing.subscriptionStatus = sub.status || billing.subscriptionStatus || '';
+  }
+  billing.syncedAt = Date.now();
+  const saved = await saveLicenseRecord(licenseId, { billing, billingAccountId: customerId }, actor);
+  return { license: saved, orgId, customerId, subscriptionId: billing.subscriptionId || '', priceId };
+}
+
+// Persists billing state and, when it changes, the license status everywhere
+// access checks read it.
+async function saveLicenseBillingState(license, { billing, status = '', reason = '', actor = {} } = {}) {
+  const licenseId = normalizedLicenseId(license.licenseId || '');
+  const orgId = normalizedOrgId(license.orgId || '', licenseId);
+  const from = normalizeLicenseState(license.status);
+  const to = status ? normalizeLicenseState(status) : from;
+  const saved = await saveLicenseRecord(licenseId, { billing, status: to }, actor);
+  if (to !== from) {
+    await saveWorkshopConfig(licenseId, { orgId, licenseStatus: to });
+    clearWorkshopTenantCache(licenseId);
+    await writeAuditEvent({
+      action: 'BILLING_LICENSE_STATUS_CHANGE',
+      actor,
+      target: { resourceType: 'LICENSE', resourceId: licenseId, orgId, licenseId },
+      details: { from, to, reason },
+    });
+  }
+  return saved;
+}
+
+function dunningSuspends(license, billing, now = Date.now()) {
+  const status = normalizeLicenseState(license.status);
+  if (status !== 'ACTIVE' && status !== 'TRIAL') return false;
+  return dunningStep(billing, BILLING_DUNNING_POLICY, now).action === 'SUSPEND';
+}
+
+const STRIPE_WEBHOOK_CLAIM_STALE_MS = 5 * 60_000;
+
+// Claims a webhook event before it is applied so two deliveries racing each
+// other (Stripe retries, or two instances) cannot both apply it. A failed or
+// abandoned claim can be taken over. Returns 'CLAIMED', 'DUPLICATE' when the
+// event was already applied, or 'IN_FLIGHT' while another delivery holds it.
+async function claimStripeWebhookEvent({ orgId, licenseId, billingEventId, actor }) {
+  const now = Date.now();
+  const item = {
+    orgId,
+    billingEventId,
+    licenseId,
+    eventType: 'STRIPE_WEBHOOK',
+    amountCents: 0,
+    currency: 'USD',
+    status: 'PROCESSING',
+    payload: '{}',
+    actorUid: actor.uid,
+    createdAt: now,
+    updatedAt: now,
+  };
+  try {
+    await ddbDoc.send(
+      new PutCommand({
+        TableName: TABLES.billing,
+        Item: item,
+        ConditionExpression:
+          'attribute_not_exists(billingEventId) OR #status = :failed OR (#status = :processing AND updatedAt < :stale)',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':failed': 'FAILED',
+          ':processing': 'PROCESSING',
+          ':stale': now - STRIPE_WEBHOOK_CLAIM_STALE_MS,
+        },
+      })
+    );
+    return 'CLAIMED';
+  } catch (err) {
+    if (err?.name === 'ConditionalCheckFailedException') {
+      const existing = await getItemByKey(TABLES.billing, { orgId, billingEventId });
+      return existing?.status === 'PROCESSED' ? 'DUPLICATE' : 'IN_FLIGHT';
+    }
+    if (!shouldUseDemoFallback(err)) throw err;
+    logDemoFallback('stripe_webhook_claim', err);
+    const existing = await getItemByKey(TABLES.billing, { orgId, billingEventId });
+    if (existing?.status === 'PROCESSED') return 'DUPLICATE';
+    if (existing?.status === 'PROCESSING' && Number(existing.updatedAt || 0) >= now - STRIPE_WEBHOOK_CLAIM_STALE_MS) {
+      return 'IN_FLIGHT';
+    }
+    await putItem(TABLES.billing, item);
+    return 'CLAIMED';
+  }
+}
+
+// Applies one verified Stripe event. The license comes from the metadata the
+// sync stamps on customers, subscriptions and invoices; the org comes from the
+// license record, never from the event.
+async function applyStripeWebhook(event) {
+  const normalized = normalizeStripeEvent(event);
+  if (!STRIPE_EVENT_TYPES.includes(normalized.type)) return { ignored: 'event_type_unhandled' };
+  if (!normalized.eventId) return { ignored: 'event_id_missing' };
+  const licenseId = normalizedLicenseId(normalized.licenseId || '');
+  const license = licenseId ? await getLicenseRecord(licenseId) : null;
+  if (!license) return { ignored: 'license_not_found' };
+  const orgId = normalizedOrgId(license.orgId || '', licenseId);
+  const webhookEventId = `WEBHOOK#${normalized.eventId}`;
+  const actor = { uid: 'billing-webhook', role: 'SYSTEM', orgId, licenseId };
+  const claim = await claimStripeWebhookEvent({ orgId, licenseId, billingEventId: webhookEventId, actor });
+  if (claim === 'DUPLICATE') return { duplicate: true };
+  if (claim === 'IN_FLIGHT') return { inFlight: true };
+
+  try {
+    return await applyClaimedStripeWebhook(normalized, { license, licenseId, orgId, webhookEventId, actor });
+  } catch (err) {
+    // Release the claim so Stripe's retry can apply the event.
+    await upsertBillingEventById({
+      orgId,
+      billingEventId: webhookEventId,
+      licenseId,
+      eventType: 'STRIPE_WEBHOOK',
+      status: 'FAILED',
+      payload: { type: normalized.type, error: String(err?.message || err).slice(0, 500) },
+      actor,
+    }).catch(() => null);
+    throw err;
+  }
+}
+
+async function applyClaimedStripeWebhook(normalized, { license, licenseId, orgId, webhookEventId, actor }) {
+  const { billing } = applyBillingEvent(license.billing || {}, normalized);
+  let status = licenseStatusForBilling(license.status, billing, normalized);
+  if (status && status !== 'SUSPENDED') billing.suspendedBy = '';
+  // A failure that arrives after the grace period already ran out (late
+  // delivery or a replay) suspends straight away.
+  if (!status && dunningSuspends(license, billing)) {
+    status = 'SUSPENDED';
+    Object.assign(billing, { state: 'SUSPENDED', suspendedBy: 'DUNNING', suspendedAt: Date.now() });
+  }
+
+  if (normalized.kind === 'invoice') {
+    const paid = normalized.type === 'invoice.paid';
+    const invoiceStatus = paid ? 'PAID' : 'PAYMENT_FAILED';
+    await upsertBillingEventById({
+      orgId,
+      billingEventId: `STRIPE_INVOICE#${normalized.invoiceId}`,
+      licenseId,
+      eventType: 'INVOICE',
+      amountCents: paid ? normalized.amountPaidCents : normalized.amountDueCents,
+      currency: normalized.currency,
+      status: invoiceStatus,
+      payload: {
+        invoiceId: normalized.invoiceId,
+        subscriptionId: normalized.subscriptionId,
+        attemptCount: normalized.attemptCount,
+        nextPaymentAttemptAt: normalized.nextPaymentAttemptAt,
+        hostedInvoiceUrl: normalized.hostedInvoiceUrl,
+        sourceEventId: normalized.billingEventId,
+      },
+      actor,
+    });
+    // Invoices we raised (overage, manual) point back at their own row.
+    if (normalized.billingEventId) {
+      const source = await getItemByKey(TABLES.billing, { orgId, billingEventId: normalized.billingEventId }).catch(
+        () => null
+      );
+      if (source) await putItem(TABLES.billing, { ...source, status: invoiceStatus, updatedAt: Date.now() });
+    }
+  } else {
+    await upsertBillingEventById({
+      orgId,
+      billingEventId: `STRIPE_SUBSCRIPTION#${normalized.subscriptionId}`,
+      licenseId,
+      eventType: 'SUBSCRIPTION',
+      status: String(normalized.subscriptionStatus || 'unknown').toUpperCase(),
+      payload: {
+        subscriptionId: normalized.subscriptionId,
+        priceId: normalized.priceId,
+        currentPeriodEnd: normalized.currentPeriodEnd,
+        cancelAtPeriodEnd: normalized.cancelAtPeriodEnd,
+      },
+      actor,
+    });
+  }
+
+  const saved = await saveLicenseBillingState(license, { billing, status, reason: normalized.type, actor });
+  await upsertBillingEventById({
+    orgId,
+    billingEventId: webhookEventId,
+    licenseId,
+    eventType: 'STRIPE_WEBHOOK',
+    status: 'PROCESSED',
+    payload: {
+      type: normalized.type,
+      livemode: normalized.livemode,
+      objectId: normalized.invoiceId || normalized.subscriptionId || '',
+      licenseStatus: saved.status,
+    },
+    actor,
+  });
+  await writeAuditEvent({
+    action: 'BILLING_WEBHOOK_APPLIED',
+    actor,
+    target: { resourceType: 'BILLING', resourceId: licenseId, orgId, licenseId },
+    details: { type: normalized.type, eventId: normalized.eventId, licenseStatus: saved.status },
+  });
+  return { applied: true, type: normalized.type, licenseId, licenseStatus: saved.status };
+}
+
+// Sends the reminders that are due and suspends licenses whose grace period
+// has run out. Only licenses with an unpaid invoice carry delinquentSince.
+async function runDunningCycle({ now = Date.now(), maxPages = 20 } = {}) {
+  const out = { checked: 0, reminded: [], suspended: [] };
+  for (const state of ['ACTIVE', 'TRIAL']) {
+    let cursor;
+    let pages = 0;
+    do {
+      const page = await listLicensesByStatus(state, 200, cursor);
+      for (const license of page.items || []) {
+        const billing = license.billing || {};
+        if (!billing.delinquentSince) continue;
+        out.checked += 1;
+        const step = dunningStep(billing, BILLING_DUNNING_POLICY, now);
+        if (step.action === 'NONE') continue;
+        const licenseId = normalizedLicenseId(license.licenseId || '');
+        const orgId = normalizedOrgId(license.orgId || '', licenseId);
+        const actor = { uid: 'billing-dunning', role: 'SYSTEM', orgId, licenseId };
+        const stepId = step.action === 'SUSPEND' ? 'SUSPEND' : `D${step.reminderDay}`;
+        await upsertBillingEventById({
+          orgId,
+          billingEventId: `DUNNING#${licenseId}#${billing.delinquentSince}#${stepId}`,
+          licenseId,
+          eventType: step.action === 'SUSPEND' ? 'DUNNING_SUSPENSION' : 'DUNNING_NOTICE',
+          status: step.action === 'SUSPEND' ? 'SUSPENDED' : 'NOTIFIED',
+          payload: {
+            daysPastDue: step.daysPastDue,
+            graceEndsAt: step.graceEndsAt,
+            lastInvoiceId: billing.lastInvoiceId || '',
+            failedAttempts: Number(billing.failedAttempts || 0),
+          },
+          actor,
+        });
+        if (step.action === 'SUSPEND') {
+          await saveLicenseBillingState(license, {
+            billing: { ...billing, state: 'SUSPENDED', suspendedBy: 'DUNNING', suspendedAt: now },
+            status: 'SUSPENDED',
+            reason: 'dunning_grace_expired',
+            actor,
+          });
+          out.suspended.push(licenseId);
+        } else {
+          const remindersSent = BILLING_DUNNING_POLICY.reminderDays.filter((day) => day <= step.reminderDay);
+          await saveLicenseRecord(licenseId, { billing: { ...billing, remindersSent } }, actor);
+          await writeAuditEvent({
+            action: 'BILLING_DUNNING_REMINDER',
+            actor,
+            target: { resourceType: 'LICENSE', resourceId: licenseId, orgId, licenseId },
+            details: { daysPastDue: step.daysPastDue, graceEndsAt: step.graceEndsAt },
+          });
+          out.reminded.push(licenseId);
+        }
+      }
+      cursor = page.lastKey || undefined;
+      pages += 1;
+    } while (cursor && pages < maxPages);
+  }
+  return out;
+}
+
 function billingPeriodKeyUtc(timestampMs = Date.now()) {
   const d = new Date(Number(timestampMs || Date.now()));
   return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
@@ -5079,11 +7162,47 @@ function isAutoInvoicePolicy(policyRaw) {
   return policy === 'AUTO_INVOICE' || policy === 'AUTO_BILL' || policy === 'AUTO_CHARGE';
 }
 
-function overageUnitPriceCentsForTier(tierRaw) {
-  const tier = normalizeLicenseTier(tierRaw || 'STARTER');
-  if (tier === 'ENTERPRISE') return BILLING_OVERAGE_UNIT_PRICE_ENTERPRISE_CENTS;
-  if (tier === 'PRO') return BILLING_OVERAGE_UNIT_PRICE_PRO_CENTS;
-  return BILLING_OVERAGE_UNIT_PRICE_STARTER_CENTS;
+// PRICE_BOOK policies: the platform book (GLOBAL scope) prices every tier;
+// an org book overrides tiers and carries the org's discounts and credits.
+async function getPriceBook(scopeId) {
+  const row = await getPolicy(scopeId, 'PRICE_BOOK');
+  if (!row) return null;
+  return {
+    ...normalizePriceBook(parseJsonObject(row.policy, {})),
+    updatedAt: Number(row.updatedAt || 0) || null,
+    updatedBy: String(row.updatedBy || ''),
+  };
+}
+
+async function getPlatformPriceBook() {
+  const book = await getPriceBook(makeScopeId({ global: true }));
+  if (!book) return DEFAULT_PRICE_BOOK;
+  return { ...mergePriceBooks(DEFAULT_PRICE_BOOK, book), updatedAt: book.updatedAt, updatedBy: book.updatedBy };
+}
+
+async function getOrgPriceBook(orgIdRaw) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  if (!orgId) return null;
+  return getPriceBook(makeScopeId({ orgId }));
+}
+
+async function getEffectivePriceBook(orgIdRaw) {
+  const [platform, org] = await Promise.all([getPlatformPriceBook(), getOrgPriceBook(orgIdRaw)]);
+  return mergePriceBooks(platform, org || {});
+}
+
+async function savePriceBook(scopeId, input = {}, actor = {}) {
+  const book = normalizePriceBook(input);
+  const updatedAt = Date.now();
+  const updatedBy = String(actor.uid || '').trim() || '(system)';
+  await putItem(TABLES.policies, {
+    scopeId,
+    policyType: 'PRICE_BOOK',
+    policy: JSON.stringify(book),
+    updatedAt,
+    updatedBy,
+  });
+  return { ...book, updatedAt, updatedBy };
 }
 
 function computeMeteredUsageUnits(usage = {}) {
@@ -5115,6 +7234,7 @@ function buildBillingSnapshotFromUsage({
   license = {},
   usage = {},
   periodKey = billingPeriodKeyUtc(),
+  priceBook = DEFAULT_PRICE_BOOK,
 } = {}) {
   const usageCap = Math.max(0, Number(license?.usageCap || 0));
   const seatCap = Math.max(0, Number(license?.seatCap || 0));
@@ -5124,8 +7244,19 @@ function buildBillingSnapshotFromUsage({
   const window = billingPeriodWindowUtc(periodKey);
   const metered = computeMeteredUsageUnits(usage);
   const overageUnits = usageCap > 0 ? Math.max(0, metered.totalUnits - usageCap) : 0;
-  const unitPriceCents = overageUnitPriceCentsForTier(license?.tier || 'STARTER');
-  const overageAmountCents = overageUnits * unitPriceCents;
+  const pricing = rateBillingPeriod({
+    priceBook,
+    tier: normalizeLicenseTier(license?.tier || 'STARTER'),
+    history: license?.planHistory || [],
+    usage,
+    overageUnits,
+    periodKey: window.periodKey,
+    startMs: window.startMs,
+    endMs: window.endMs + 1,
+    activeFrom: Number(license?.startsAt || 0),
+  });
+  const unitPriceCents = Number(priceBook?.plans?.[pricing.tier]?.overageUnitCents || 0);
+  const overageAmountCents = Math.round(overageUnits * unitPriceCents);
   return {
     periodKey: window.periodKey,
     periodStartMs: window.startMs,
@@ -5143,6 +7274,7 @@ function buildBillingSnapshotFromUsage({
     overageUnitPriceCents: unitPriceCents,
     overageAmountCents,
     projectedInvoiceAmountUsd: Number((overageAmountCents / 100).toFixed(2)),
+    pricing,
   };
 }
 
@@ -5210,11 +7342,22 @@ async function upsertBillingMeterEvent({
       usageCap: Number(snapshot.usageCap || 0),
       overageUnits: Number(snapshot.overageUnits || 0),
       overageAmountCents: Number(snapshot.overageAmountCents || 0),
+      pricing: {
+        tier: snapshot.pricing?.tier || '',
+        currency: snapshot.pricing?.currency || 'USD',
+        subtotalCents: Number(snapshot.pricing?.subtotalCents || 0),
+        discountCents: Number(snapshot.pricing?.discountCents || 0),
+        creditCents: Number(snapshot.pricing?.creditCents || 0),
+        totalCents: Number(snapshot.pricing?.totalCents || 0),
+      },
       usage: {
         activeUsers: Number(usage.activeUsers || 0),
         assignedSeats: Number(usage.assignedSeats || 0),
         activeRooms: Number(usage.activeRooms || 0),
         aiUsageCostCents30d: Number(usage.aiUsageCostCents30d || 0),
+        roomHours: Number(usage.roomHours || 0),
+        aiCalls: Number(usage.aiCalls || 0),
+        sites: Number(usage.sites || 0),
       },
     },
     actor,
@@ -5268,17 +7411,40 @@ async function upsertBillingOverageInvoiceEvent({
     };
   }
   const invoiceId = `INV-${periodKey}-${normalizedLicense}`;
-  const amountCents = Math.max(0, Number(snapshot.overageAmountCents || 0));
-  const description = `${periodKey} overage (${Number(snapshot.overageUnits || 0)} units)`;
+  // The invoice is the rated period from the price book: plan fees, priced
+  // dimensions and overage, less discounts and credits.
+  const pricing = snapshot.pricing || {};
+  const amountCents = Math.max(0, Number(pricing.totalCents || 0));
+  const currency = String(pricing.currency || 'USD').trim().toUpperCase() || 'USD';
+  const billedLines = pricingInvoiceLines(pricing);
+  const aiTotals = sumAiUsageRows(
+    (await listAiUsageRows(normalizedOrg, periodKey)).filter(
+      (row) => normalizedLicenseId(row.licenseId || '') === normalizedLicense
+    )
+  );
+  // AI spend is already priced into the lines above; this item only shows
+  // how much of the invoice it accounts for and carries no amount.
+  const lineItems = [
+    ...billedLines,
+    {
+      type: 'AI_USAGE',
+      calls: aiTotals.calls,
+      tokens: aiTotals.totalTokens,
+      costCents: microsToCents(aiTotals.costMicros),
+    },
+  ];
+  const description = `${periodKey} invoice (${pricing.tier || 'plan'}; ${Number(snapshot.overageUnits || 0)} overage units; AI ${aiTotals.totalTokens} tokens)`;
   const dueAt = Date.now() + 30 * 24 * 60 * 60 * 1000;
   const providerResult = await sendInvoiceToProvider({
     invoiceId,
+    billingEventId: invoiceEventId,
     orgId: normalizedOrg,
     licenseId: normalizedLicense,
     amountCents,
-    currency: 'USD',
+    currency,
     description,
     dueAt,
+    lineItems: billedLines,
   });
   const event = await upsertBillingEventById({
     orgId: normalizedOrg,
@@ -5286,15 +7452,21 @@ async function upsertBillingOverageInvoiceEvent({
     licenseId: normalizedLicense,
     eventType: 'OVERAGE_INVOICE',
     amountCents,
-    currency: 'USD',
+    currency,
     status: providerResult.ok ? 'SENT' : 'FAILED',
     payload: {
       periodKey,
       invoiceId,
       dueAt,
+      tier: String(pricing.tier || ''),
+      subtotalCents: Number(pricing.subtotalCents || 0),
+      discountCents: Number(pricing.discountCents || 0),
+      creditCents: Number(pricing.creditCents || 0),
+      totalCents: amountCents,
       overageUnits: Number(snapshot.overageUnits || 0),
-      overageUnitPriceCents: Number(snapshot.overageUnitPriceCents || 0),
+      lineItems,
       provider: providerResult.provider || BILLING_PROVIDER,
+      providerInvoiceId: String(providerResult.providerInvoiceId || ''),
       providerError: String(providerResult.error || '').slice(0, 1200),
       providerResponse: String(providerResult.response || '').slice(0, 1600),
     },
@@ -5303,6 +7475,194 @@ async function upsertBillingOverageInvoiceEvent({
   return { event, providerResult };
 }
 
+// One meter row per period, license and site; every model call adds to it
+// atomically so concurrent rooms never lose each other's tokens.
+async function recordAiUsage({ orgId = '', licenseId = '', siteId = '', call = null, source = '' } = {}) {
+  const normalizedLicense = normalizedLicenseId(licenseId || '');
+  const normalizedOrg = normalizedOrgId(orgId || '', normalizedLicense);
+  if (!normalizedOrg || !call) return null;
+  const site = normalizedSiteId(siteId || '') || '';
+  const periodKey = billingPeriodKeyUtc();
+  const billingEventId = `AI_USAGE#${periodKey}#${normalizedLicense || '-'}#${site || '-'}`;
+  const inputTokens = Math.max(0, Number(call.usage?.inputTokens || 0));
+  const outputTokens = Math.max(0, Number(call.usage?.outputTokens || 0));
+  const costMicros = aiCallCostMicros(call, AI_PRICE_TABLE);
+  const now = Date.now();
+  let row = null;
+  try {
+    const { Attributes } = await ddbDoc.send(
+      new UpdateCommand({
+        TableName: TABLES.billing,
+        Key: { orgId: normalizedOrg, billingEventId },
+        UpdateExpression:
+          'ADD calls :one, inputTokens :in, outputTokens :out, costMicros :cost ' +
+          'SET eventType = :type, licenseId = :license, siteId = :site, periodKey = :period, ' +
+          'currency = :usd, #status = :status, actorUid = :actor, lastModel = :model, lastSource = :source, ' +
+          'createdAt = if_not_exists(createdAt, :now), updatedAt = :now',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':one': 1,
+          ':in': inputTokens,
+          ':out': outputTokens,
+          ':cost': costMicros,
+          ':type': 'AI_USAGE',
+          ':license': normalizedLicense,
+          ':site': site,
+          ':period': periodKey,
+          ':usd': 'USD',
+          ':status': 'METERED',
+          ':actor': '(system)',
+          ':model': String(call.model || ''),
+          ':source': String(source || ''),
+          ':now': now,
+        },
+        ReturnValues: 'ALL_NEW',
+      })
+    );
+    row = Attributes || null;
+  } catch (err) {
+    if (!shouldUseDemoFallback(err)) throw err;
+    logDemoFallback('ai_usage_meter', err);
+    const key = { orgId: normalizedOrg, billingEventId };
+    const current = getDemoTableItem(TABLES.billing, key) || {};
+    row = {
+      ...key,
+      eventType: 'AI_USAGE',
+      licenseId: normalizedLicense,
+      siteId: site,
+      periodKey,
+      currency: 'USD',
+      status: 'METERED',
+      actorUid: '(system)',
+      lastModel: String(call.model || ''),
+      lastSource: String(source || ''),
+      calls: Number(current.calls || 0) + 1,
+      inputTokens: Number(current.inputTokens || 0) + inputTokens,
+      outputTokens: Number(current.outputTokens || 0) + outputTokens,
+      costMicros: Number(current.costMicros || 0) + costMicros,
+      createdAt: Number(current.createdAt || now),
+      updatedAt: now,
+    };
+    putDemoTableItem(TABLES.billing, row);
+  }
+
+  const cached = aiBudgetCache.get(normalizedOrg);
+  if (cached && cached.periodKey === periodKey) {
+    cached.rows = [...cached.rows.filter((entry) => entry.billingEventId !== billingEventId), row];
+    cached.totals = sumAiUsageRows(cached.rows);
+    await noteAiBudgetThreshold(normalizedOrg, normalizedLicense, cached).catch(() => null);
+  }
+  return row;
+}
+
+async function listAiUsageRows(orgIdRaw, periodKey = billingPeriodKeyUtc()) {
+  const rows = await listBillingEventsByOrg(orgIdRaw, 500).catch(() => []);
+  return rows.filter(
+    (row) =>
+      String(row.eventType || '').toUpperCase() === 'AI_USAGE' && String(row.periodKey || '') === periodKey
+  );
+}
+
+async function getAiBudgetStatus(orgIdRaw, { fresh = false } = {}) {
+  const orgId = normalizedOrgId(orgIdRaw || '');
+  const periodKey = billingPeriodKeyUtc();
+  const cached = orgId ? aiBudgetCache.get(orgId) : null;
+  if (!fresh && cached && cached.periodKey === periodKey && Date.now() - cached.at < AI_BUDGET_CACHE_MS) {
+    return { periodKey, budget: cached.budget, totals: cached.totals, ...evaluateAiBudget(cached.budget, cached.totals) };
+  }
+  const [budget, rows] = await Promise.all([getOrgAiBudget(orgId), listAiUsageRows(orgId, periodKey)]);
+  const totals = sumAiUsageRows(rows);
+  if (orgId) {
+    aiBudgetCache.set(orgId, { at: Date.now(), periodKey, budget, rows, totals, notified: cached?.notified || {} });
+  }
+  return { periodKey, budget, totals, ...evaluateAiBudget(budget, totals) };
+}
+
+// Soft warnings: the first time a period crosses the warn threshold (and
+// again when it runs out) an alert lands in the billing events and audit log.
+async function noteAiBudgetThreshold(orgId, licenseId, cached) {
+  const evaluation = evaluateAiBudget(cached.budget, cached.totals);
+  if (evaluation.state !== 'WARN' && evaluation.state !== 'EXCEEDED') return;
+  const alertId = `AI_BUDGET_ALERT#${cached.periodKey}#${evaluation.state}`;
+  cached.notified = cached.notified || {};
+  if (cached.notified[alertId]) return;
+  cached.notified[alertId] = true;
+  const existing = await getItemByKey(TABLES.billing, { orgId, billingEventId: alertId }).catch(() => null);
+  if (existing) return;
+  await upsertBillingEventById({
+    orgId,
+    billingEventId: alertId,
+    licenseId,
+    eventType: 'AI_BUDGET_ALERT',
+    amountCents: evaluation.costCents,
+    status: evaluation.state,
+    payload: {
+      periodKey: cached.periodKey,
+      percentUsed: evaluation.percentUsed,
+      tokens: evaluation.tokens,
+      costCents: evaluation.costCents,
+      budget: evaluation.budget,
+    },
+  });
+  await writeAuditEvent({
+    action: evaluation.state === 'EXCEEDED' ? 'AI_BUDGET_EXCEEDED' : 'AI_BUDGET_WARNING',
+    actor: { uid: '(system)', role: 'SYSTEM', orgId, licenseId },
+    target: { resourceType: 'AI_BUDGET', resourceId: orgId, orgId, licenseId },
+    details: {
+      periodKey: cached.periodKey,
+      percentUsed: evaluation.percentUsed,
+      hardStop: evaluation.budget.hardStop,
+    },
+  });
+}
+
+function roomBillingScope(room = {}) {
+  const licenseId = normalizedLicenseId(room.licenseId || '');
+  return {
+    licenseId,
+    orgId: normalizedOrgId(room.orgId || '', licenseId),
+    siteId: normalizedSiteId(room.siteId || (room.roomId ? parseRoomId(room.roomId).siteId : '')),
+  };
+}
+
+// Passed to the model calls as `guard`: refuses the call once a hard-stop
+// budget is used up, which sends every caller down its fallback path.
+async function assertAiBudget(room = {}) {
+  const { orgId } = roomBillingScope(room);
+  if (!orgId) return;
+  const status = await getAiBudgetStatus(orgId);
+  if (!status.allowed) throw new Error('ai_budget_exceeded');
+}
+
+function meterAiCall(room = {}, call = null, source = '') {
+  if (!call) return;
+  recordAiUsage({ ...roomBillingScope(room), call, source }).catch((err) => {
+    console.warn('[ai-usage] meter write failed:', err?.message || err);
+  });
+}
+
+function aiUsageBillingSummary(status = {}) {
+  const totals = status.totals || {};
+  return {
+    periodKey: status.periodKey || billingPeriodKeyUtc(),
+    calls: Number(totals.calls || 0),
+    inputTokens: Number(totals.inputTokens || 0),
+    outputTokens: Number(totals.outputTokens || 0),
+    totalTokens: Number(totals.totalTokens || 0),
+    costCents: microsToCents(totals.costMicros),
+    bySite: Object.fromEntries(
+      Object.entries(totals.bySite || {}).map(([site, bucket]) => [
+        site,
+        { calls: bucket.calls, totalTokens: bucket.totalTokens, costCents: microsToCents(bucket.costMicros) },
+      ])
+    ),
+    budget: status.budget || normalizeAiBudget({}),
+    state: status.state || 'UNLIMITED',
+    percentUsed: Number(status.percentUsed || 0),
+    allowed: status.allowed !== false,
+  };
+}
+
 async function buildBillingTransparencySummary({
   orgId = '',
   licenseId = '',
@@ -5323,6 +7683,7 @@ async function buildBillingTransparencySummary({
       usage: {},
       entitlements: {},
       overage: {},
+      pricing: {},
       automation: { enabled: BILLING_AUTOMATION_ENABLED, ran: false },
       meterHistory: [],
       invoices: [],
@@ -5335,17 +7696,24 @@ async function buildBillingTransparencySummary({
     siteIds,
     resolvedWorkshop?.siteIds || []
   );
+  const resolvedPeriodKey = periodKey || billingPeriodKeyUtc();
   const usageSnapshot =
     usage ||
     (await getLicenseUsageSnapshot({
       licenseId: normalizedLicense,
       orgId: normalizedOrg,
       siteIds: resolvedSiteIds,
+      periodKey: resolvedPeriodKey,
     }));
+  const priceBook = await getEffectivePriceBook(normalizedOrg).catch((err) => {
+    console.warn('[billing] price book unavailable, using defaults:', err?.message || err);
+    return DEFAULT_PRICE_BOOK;
+  });
   const snapshot = buildBillingSnapshotFromUsage({
     license: resolvedLicense,
     usage: usageSnapshot,
-    periodKey: periodKey || billingPeriodKeyUtc(),
+    periodKey: resolvedPeriodKey,
+    priceBook,
   });
 
   let meterEvent = null;
@@ -5422,9 +7790,16 @@ async function buildBillingTransparencySummary({
       assignedSeats: Number(usageSnapshot.assignedSeats || 0),
       activeRooms: Number(usageSnapshot.activeRooms || 0),
       aiUsageCostCents30d: Number(usageSnapshot.aiUsageCostCents30d || 0),
+      roomHours: Number(usageSnapshot.roomHours || 0),
+      aiCalls: Number(usageSnapshot.aiCalls || 0),
+      sites: Number(usageSnapshot.sites || 0),
       meteredUnits: Number(snapshot.meteredUnits || 0),
       unitComponents: snapshot.meteredUnitComponents || {},
     },
+    pricing: {
+      ...snapshot.pricing,
+      totalUsd: Number((Number(snapshot.pricing?.totalCents || 0) / 100).toFixed(2)),
+    },
     overage: {
       units: Number(snapshot.overageUnits || 0),
       unitPriceCents: Number(snapshot.overageUnitPriceCents || 0),
@@ -5434,6 +7809,12 @@ async function buildBillingTransparencySummary({
         Number(snapshot.overageUnits || 0) > 0 &&
         normalizeOveragePolicy(snapshot.overagePolicy) === 'HARD_CAP',
     },
+    account: {
+      provider: BILLING_PROVIDER,
+      ...describeBillingAccount(resolvedLicense?.billing || {}, BILLING_DUNNING_POLICY),
+      dunning: BILLING_DUNNING_POLICY,
+    },
+    aiUsage: aiUsageBillingSummary(await getAiBudgetStatus(normalizedOrg).catch(() => ({}))),
     automation: {
       enabled: BILLING_AUTOMATION_ENABLED,
       ran: !!automate && BILLING_AUTOMATION_ENABLED,
@@ -5767,77 +8148,73 @@ function stageProgressRatio(stageRaw = '') {
   return Math.min(1, (idx + 1) / Math.max(1, ROOM_ORDER.length));
 }
 
-function containsLikelyPii(textRaw = '') {
-  const text = String(textRaw || '');
-  if (!text) return false;
-  if (/\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/i.test(text)) return true;
-  if (/(?:\+?1[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/.test(text)) return true;
-  return false;
-}
-
-const SCHOOL_SAFETY_PATTERNS_STANDARD = Object.freeze([
-  { code: 'hate_or_harassment', regex: /\b(?:racial slur|hate speech|kill (?:them|him|her))\b/i },
-  { code: 'self_harm', regex: /\b(?:self-harm|suicide plan|cut myself)\b/i },
-  { code: 'explicit_violence', regex: /\b(?:shoot up|bomb making|how to stab)\b/i },
-]);
-const SCHOOL_SAFETY_PATTERNS_STRICT = Object.freeze(
-  SCHOOL_SAFETY_PATTERNS_STANDARD.concat([
-    { code: 'explicit_sexual', regex: /\b(?:porn|explicit sex|sexual act)\b/i },
-    { code: 'substance_abuse', regex: /\b(?:how to get high|drug dealer|sell drugs)\b/i },
-    { code: 'profanity', regex: /\b(?:f\*?ck|s\*?it|b\*?tch)\b/i },
-  ])
-);
-const SCHOOL_SAFETY_AGE_SAFE_PATTERNS = Object.freeze([
-  { code: 'age_inappropriate_content', regex: /\b(?:graphic sex|graphic violence|adult-only)\b/i },
-]);
-
+// Synchronous regex prefilter only. Anything that can wait for the
+// classifier goes through moderateText instead; this is left for checks that
+// can't, like the per-flush check on streamed replies.
 function evaluateSchoolSafetyText(textRaw = '', policy = {}) {
-  const text = String(textRaw || '');
-  const normalized = text.toLowerCase();
   const ageSafeMode = String(policy?.ageSafeMode || AI_POLICY_DEFAULT.ageSafeMode).toUpperCase();
   const moderationLevel = String(
     policy?.moderationLevel || AI_POLICY_DEFAULT.moderationLevel
   ).toUpperCase();
-  const blockedTerms = normalizeBlockedTerms(policy?.blockedTerms || []);
-
-  const flags = [];
-  if (ageSafeMode !== 'OFF' && ageSafeMode !== 'ADULT') {
-    for (const pattern of SCHOOL_SAFETY_AGE_SAFE_PATTERNS) {
-      if (pattern.regex.test(text)) flags.push(pattern.code);
-    }
-  }
-
-  if (moderationLevel !== 'OFF') {
-    const patterns =
-      moderationLevel === 'STRICT'
-        ? SCHOOL_SAFETY_PATTERNS_STRICT
-        : SCHOOL_SAFETY_PATTERNS_STANDARD;
-    for (const pattern of patterns) {
-      if (pattern.regex.test(text)) flags.push(pattern.code);
-    }
-  }
-
-  if (blockedTerms.length) {
-    for (const term of blockedTerms) {
-      if (term && normalized.includes(term)) {
-        flags.push(`blocked_term:${term}`);
-      }
-    }
-  }
-
-  if (ageSafeMode !== 'ADULT' && policy?.piiRedaction !== false && containsLikelyPii(text)) {
-    flags.push('pii_detected');
-  }
-
-  const uniqueFlags = Array.from(new Set(flags));
+  const flags = prefilterModerationText(textRaw, {
+    ageSafeMode,
+    moderationLevel,
+    blockedTerms: normalizeBlockedTerms(policy?.blockedTerms || []),
+    piiRedaction: policy?.piiRedaction,
+  });
   return {
-    blocked: uniqueFlags.length > 0,
-    flags: uniqueFlags,
+    blocked: flags.length > 0,
+    flags,
     ageSafeMode,
     moderationLevel,
   };
 }
 
+const moderationPipeline = createModerationPipeline();
+
+// Full moderation (prefilter, then classifier) for user input and AI output.
+// Every decision is written to the audit table so admins can review them;
+// only blocked text keeps an excerpt.
+async function moderateText(textRaw = '', policy = {}, {
+  direction = 'input',
+  source = '',
+  room = null,
+  actor = null,
+} = {}) {
+  const text = String(textRaw || '');
+  const result = await moderationPipeline.moderate(text, normalizeAiPolicy(policy || {}), { direction });
+  const roomId = String(room?.roomId || '');
+  writeAuditEvent({
+    action: 'AI_MODERATION_DECISION',
+    actor: actor || { uid: '(system)', role: 'SYSTEM' },
+    target: {
+      resourceType: 'ROOM',
+      resourceId: roomId,
+      roomId,
+      siteId: room?.siteId || (roomId ? parseRoomId(roomId).siteId : ''),
+      orgId: room?.orgId || actor?.orgId || '',
+      licenseId: room?.licenseId || actor?.licenseId || '',
+    },
+    details: {
+      direction,
+      source,
+      blocked: result.blocked,
+      stage: result.stage,
+      flags: result.flags,
+      scores: Object.fromEntries(
+        Object.entries(result.scores || {}).map(([category, score]) => [category, Number(score.toFixed(3))])
+      ),
+      classifier: result.classifier,
+      classifierError: result.error || '',
+      ageSafeMode: result.ageSafeMode,
+      moderationLevel: result.moderationLevel,
+      textSha256: crypto.createHash('sha256').update(text).digest('hex').slice(0, 16),
+      excerpt: result.blocked ? text.slice(0, 280) : '',
+    },
+  }).catch(() => null);
+  return result;
+}
+
 function schoolSafetyErrorPayload(result = {}) {
   return {
     error: 'content_blocked_by_policy',
@@ -6394,6 +8771,12 @@ function reliabilityRunbookCatalog() {
       path: 'docs/runbooks/billing-overage.md',
       owner: 'Revenue Operations',
     },
+    {
+      id: 'billing-dunning',
+      title: 'Failed Payments and Dunning',
+      path: 'docs/runbooks/billing-dunning.md',
+      owner: 'Revenue Operations',
+    },
   ];
 }
 
@@ -6908,6 +9291,7 @@ async function getLicenseUsageSnapshot({
   licenseId = '',
   orgId = '',
   siteIds = [],
+  periodKey = billingPeriodKeyUtc(),
 } = {}) {
   const normalizedLicense = normalizedLicenseId(licenseId || '');
   if (!normalizedLicense) {
@@ -6916,11 +9300,16 @@ async function getLicenseUsageSnapshot({
       assignedSeats: 0,
       activeRooms: 0,
       aiUsageCostCents30d: 0,
+      roomHours: 0,
+      aiCalls: 0,
+      sites: 0,
     };
   }
   const activeUserIds = await listActiveLicenseUserIds(normalizedLicense).catch(() => new Set());
+  const window = billingPeriodWindowUtc(periodKey);
   let assignedSeats = 0;
   let activeRooms = 0;
+  let roomMs = 0;
   const sites = sanitizeSiteIds(siteIds, []);
   for (const siteId of sites) {
     // eslint-disable-next-line no-await-in-loop
@@ -6936,6 +9325,12 @@ async function getLicenseUsageSnapshot({
       const normalized = normalizeRoomShape(room);
       assignedSeats += getSeatCount(normalized);
       if (String(normalized.stage || '') !== 'CLOSED') activeRooms += 1;
+      // A room is billed from creation until it closes, or until its last
+      // update if it was never closed.
+      const openedAt = Number(normalized.createdAt || 0);
+      const endedAt = Number(normalized.closedAt || normalized.updatedAt || openedAt);
+      const overlap = Math.min(endedAt, window.endMs) - Math.max(openedAt, window.startMs);
+      if (openedAt && overlap > 0) roomMs += overlap;
     }
   }
 
@@ -6943,16 +9338,31 @@ async function getLicenseUsageSnapshot({
     () => []
   );
   const cutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+  // AI_USAGE rows are running monthly meters, so they count while still being
+  // written to and their cost lives in micro-dollars.
   const aiUsageCostCents30d = billingEvents
-    .filter((event) => Number(event.createdAt || 0) >= cutoff)
+    .filter((event) => Number(event.updatedAt || event.createdAt || 0) >= cutoff)
+    .filter((event) => String(event.eventType || '').toUpperCase() === 'AI_USAGE')
+    .filter((event) => !event.licenseId || normalizedLicenseId(event.licenseId) === normalizedLicense)
+    .reduce(
+      (sum, event) =>
+        sum + (event.costMicros !== undefined ? microsToCents(event.costMicros) : Number(event.amountCents || 0)),
+      0
+    );
+  const aiCalls = billingEvents
     .filter((event) => String(event.eventType || '').toUpperCase() === 'AI_USAGE')
-    .reduce((sum, event) => sum + Number(event.amountCents || 0), 0);
+    .filter((event) => String(event.periodKey || '') === window.periodKey)
+    .filter((event) => !event.licenseId || normalizedLicenseId(event.licenseId) === normalizedLicense)
+    .reduce((sum, event) => sum + Number(event.calls || 0), 0);
 
   return {
     activeUsers: activeUserIds.size,
     assignedSeats,
     activeRooms,
     aiUsageCostCents30d,
+    roomHours: Number((roomMs / (60 * 60 * 1000)).toFixed(2)),
+    aiCalls,
+    sites: sites.length,
   };
 }
 
@@ -7223,6 +9633,12 @@ async function ensureRoom(roomId) {
     if (!r.voteByUid || typeof r.voteByUid !== 'object') {
       patch.voteByUid = normalized.voteByUid;
     }
+    if (!r.voteBallots || typeof r.voteBallots !== 'object') {
+      patch.voteBallots = normalized.voteBallots;
+    }
+    if (!r.voteNullifiers || typeof r.voteNullifiers !== 'object') {
+      patch.voteNullifiers = normalized.voteNullifiers;
+    }
     if (!Array.isArray(r.topicOptions)) patch.topicOptions = normalized.topicOptions;
     if (!Array.isArray(r.phasePlan)) patch.phasePlan = normalized.phasePlan;
     if (typeof r.licenseId !== 'string') patch.licenseId = normalized.licenseId;
@@ -7312,6 +9728,8 @@ async function ensureRoom(roomId) {
     voteTotal: 0,
     voteTallies: {},
     voteByUid: {},
+    voteBallots: {},
+    voteNullifiers: {},
     topicOptions: [],
     phasePlan: [],
     workshopMode: '',
@@ -7465,6 +9883,7 @@ async function addMessage(
     uid = null,
     emoji = null,
     aiReceipt = null,
+    streamId = '',
   }
 ) {
   const room = await ensureRoom(roomId);
@@ -7488,14 +9907,36 @@ async function addMessage(
       text,
       aiReceipt:
         aiReceipt && typeof aiReceipt === 'object' ? aiReceipt : undefined,
+      streamId: streamId || undefined,
     })
   );
   if (stageEngine?.touch) stageEngine.touch(roomId);
   publishRoomEvent(roomId, 'message', {
     phase: phase || 'LOBBY',
     authorType,
+    ...(streamId ? { streamId } : {}),
+  });
+  return { createdAt };
+}
+
+// Streams an Asema reply into the room as ephemeral `asema_delta` events.
+// The persisted message carries the same streamId so clients can swap the
+// streaming bubble for it. With a classifier configured, text goes out a
+// sentence at a time once the classifier has passed it; the final moderateText
+// on the whole reply still records the audited decision.
+function startAsemaRelay(roomId, { kind = 'reply', stage = '', policy = AI_POLICY_DEFAULT } = {}) {
+  const normalizedPolicy = normalizeAiPolicy(policy || {});
+  const classify =
+    moderationPipeline.status().provider !== 'none' && normalizedPolicy.moderationLevel !== 'OFF';
+  return createAsemaRelay({
+    meta: { kind, stage },
+    publish: (payload) => publishRoomEvent(roomId, 'asema_delta', payload, { ephemeral: true }),
+    isBlocked: (text) => evaluateSchoolSafetyText(text, policy).blocked,
+    moderate: classify
+      ? async (text) =>
+          (await moderationPipeline.moderate(text, normalizedPolicy, { direction: 'output' })).blocked
+      : null,
   });
-  return { createdAt };
 }
 
 async function touchRoomParticipantActivity(roomId, atMs = Date.now()) {
@@ -7554,13 +9995,21 @@ function normalizeCanvasPhase(phaseRaw = '') {
 }
 
 function normalizeCanvasText(value, maxLen = 8000) {
-  return String(value || '').replace(/\r\n/g, '\n').trim().slice(0, maxLen);
+  // No trimming: collaborative edits address characters by offset.
+  return String(value || '').replace(/\r\n/g, '\n').slice(0, maxLen);
+}
+
+function normalizeCanvasRevisions(revisions = {}) {
+  const source = revisions && typeof revisions === 'object' ? revisions : {};
+  return Object.fromEntries(
+    CANVAS_SECTIONS.map((section) => [section, Math.max(0, Math.floor(Number(source[section] || 0)))])
+  );
 }
 
 function normalizeCanvasPayload(payload = {}, fallback = {}) {
   const stickyNotes = normalizeCanvasText(
     payload?.stickyNotes ?? payload?.ideas ?? fallback?.stickyNotes ?? fallback?.ideas ?? '',
-    10_000
+    CANVAS_SECTION_MAX_LENGTH.stickyNotes
   );
   const outlineMap = normalizeCanvasText(
     payload?.outlineMap ??
@@ -7568,15 +10017,15 @@ function normalizeCanvasPayload(payload = {}, fallback = {}) {
       fallback?.outlineMap ??
       fallback?.structure ??
       '',
-    10_000
+    CANVAS_SECTION_MAX_LENGTH.outlineMap
   );
   const evidenceBoard = normalizeCanvasText(
     payload?.evidenceBoard ?? fallback?.evidenceBoard ?? '',
-    12_000
+    CANVAS_SECTION_MAX_LENGTH.evidenceBoard
   );
   const narrativeMap = normalizeCanvasText(
     payload?.narrativeMap ?? payload?.map ?? fallback?.narrativeMap ?? fallback?.map ?? '',
-    12_000
+    CANVAS_SECTION_MAX_LENGTH.narrativeMap
   );
   return {
     stickyNotes,
@@ -7587,6 +10036,8 @@ function normalizeCanvasPayload(payload = {}, fallback = {}) {
     ideas: stickyNotes,
     structure: outlineMap,
     map: narrativeMap,
+    revisions: normalizeCanvasRevisions(payload?.revisions ?? fallback?.revisions),
+    board: normalizeStickyBoard(payload?.board ?? fallback?.board),
     updatedAt: Number(payload?.updatedAt || fallback?.updatedAt || 0) || 0,
     updatedBy: String(payload?.updatedBy || fallback?.updatedBy || '').trim(),
   };
@@ -7600,30 +10051,145 @@ function getPhaseCanvas(room = {}, phaseRaw = '') {
   return normalizeCanvasPayload(all[phase] || {}, {});
 }
 
-async function savePhaseCanvas(roomId, phaseRaw, partial = {}, actor = {}) {
+// Canvas saves read and write with a version check so concurrent saves on any
+// instance are rebased instead of overwriting each other.
+async function readRoomCanvasState(roomId) {
+  try {
+    const { Item } = await ddbDoc.send(
+      new GetCommand({
+        TableName: TABLES.rooms,
+        Key: { roomId },
+        ConsistentRead: true,
+        ProjectionExpression: '#pc, #cv',
+        ExpressionAttributeNames: { '#pc': 'phaseCanvases', '#cv': 'canvasVersion' },
+      })
+    );
+    return {
+      phaseCanvases: Item?.phaseCanvases || {},
+      canvasVersion: Number(Item?.canvasVersion || 0),
+    };
+  } catch (err) {
+    if (!shouldUseDemoFallback(err)) throw err;
+    logDemoFallback('room_canvas_get', err);
+    const room = getDemoRoomRecord(roomId) || {};
+    return {
+      phaseCanvases: room.phaseCanvases || {},
+      canvasVersion: Number(room.canvasVersion || 0),
+    };
+  }
+}
+
+async function writeRoomPhaseCanvas(roomId, phase, doc, expectedVersion) {
+  const now = Date.now();
+  try {
+    await ddbDoc.send(
+      new UpdateCommand({
+        TableName: TABLES.rooms,
+        Key: { roomId },
+        UpdateExpression: 'SET #pc.#phase = :doc, #cv = :next, #updatedAt = :now',
+        ConditionExpression: expectedVersion
+          ? '#cv = :expected'
+          : 'attribute_not_exists(#cv) OR #cv = :expected',
+        ExpressionAttributeNames: {
+          '#pc': 'phaseCanvases',
+          '#phase': phase,
+          '#cv': 'canvasVersion',
+          '#updatedAt': 'updatedAt',
+        },
+        ExpressionAttributeValues: {
+          ':doc': doc,
+          ':next': expectedVersion + 1,
+          ':expected': expectedVersion,
+          ':now': now,
+        },
+      })
+    );
+    return true;
+  } catch (err) {
+    if (err?.name === 'ConditionalCheckFailedException') return false;
+    if (!shouldUseDemoFallback(err)) throw err;
+    logDemoFallback('room_canvas_update', err);
+    const current = getDemoRoomRecord(roomId) || createDemoRoomRecord(roomId);
+    setDemoRoomRecord({
+      ...current,
+      roomId,
+      phaseCanvases: { ...(current.phaseCanvases || {}), [phase]: doc },
+      canvasVersion: Number(current.canvasVersion || 0) + 1,
+      updatedAt: now,
+    });
+    return true;
+  }
+}
+
+function applyCanvasSectionEdits(current, history, edits = {}, uid, at) {
+  const next = { ...current, revisions: { ...current.revisions } };
+  const nextHistory = { ...history };
+  const applied = {};
+  for (const section of CANVAS_SECTIONS) {
+    const edit = edits?.[section];
+    if (!edit || typeof edit !== 'object') continue;
+    const sectionState = {
+      text: current[section],
+      revision: current.revisions[section],
+      history: Array.isArray(history[section]) ? history[section] : [],
+    };
+    const request = Object.prototype.hasOwnProperty.call(edit, 'text')
+      ? {
+          baseRevision: sectionState.revision,
+          op: diffTextOp(
+            sectionState.text,
+            normalizeCanvasText(edit.text, CANVAS_SECTION_MAX_LENGTH[section])
+          ),
+        }
+      : { baseRevision: edit.baseRevision, op: edit.op };
+    const result = applyCanvasSectionEdit(
+      sectionState,
+      { ...request, uid, at },
+      { maxLength: CANVAS_SECTION_MAX_LENGTH[section] }
+    );
+    if (!result.changed) continue;
+    next[section] = result.text;
+    next.revisions[section] = result.revision;
+    nextHistory[section] = result.history;
+    applied[section] = { revision: result.revision, op: result.op };
+  }
+  return { next, history: nextHistory, applied };
+}
+
+// Runs `mutate({ current, history, at })` against the latest stored canvas for
+// a phase and writes the result with a version check, retrying on contention.
+// `mutate` returns { canvas, history, ...extra }, or omits `canvas` for no-ops.
+async function mutatePhaseCanvas(roomId, phase, uid, mutate) {
+  for (let attempt = 0; attempt < CANVAS_SAVE_ATTEMPTS; attempt += 1) {
+    const state = await readRoomCanvasState(roomId);
+    const stored = state.phaseCanvases?.[phase] || {};
+    const current = normalizeCanvasPayload(stored, {});
+    const history = stored.history && typeof stored.history === 'object' ? stored.history : {};
+    const at = Date.now();
+    const outcome = mutate({ current, history, at });
+    if (!outcome.canvas) return { ...outcome, canvas: current };
+    const canvas = normalizeCanvasPayload({ ...outcome.canvas, updatedAt: at, updatedBy: uid }, {});
+    const doc = { ...canvas, history: outcome.history || history };
+    if (await writeRoomPhaseCanvas(roomId, phase, doc, state.canvasVersion)) {
+      return { ...outcome, canvas };
+    }
+  }
+  throw new Error('canvas_write_contended');
+}
+
+// `edits` maps a section to either { baseRevision, op } from a collaborative
+// client or { text } from a legacy full-text save (applied as a diff against the
+// latest text, so it still produces an op peers can rebase onto).
+async function savePhaseCanvas(roomId, phaseRaw, edits = {}, actor = {}) {
   const room = await ensureRoom(roomId);
   const phase = normalizeCanvasPhase(phaseRaw || room.stage || 'DISCOVERY');
-  const current = getPhaseCanvas(room, phase);
-  const next = normalizeCanvasPayload(
-    {
-      ...current,
-      ...(partial && typeof partial === 'object' ? partial : {}),
-      updatedAt: Date.now(),
-      updatedBy: String(actor?.uid || '').trim() || '(system)',
-    },
-    current
-  );
-  const phaseCanvases = {
-    ...(room.phaseCanvases && typeof room.phaseCanvases === 'object'
-      ? room.phaseCanvases
-      : {}),
-    [phase]: next,
-  };
-  const updated = await updateRoom(roomId, { phaseCanvases });
-  return {
-    phase,
-    canvas: getPhaseCanvas(updated, phase),
-  };
+  const uid = String(actor?.uid || '').trim() || '(system)';
+  const saved = await mutatePhaseCanvas(roomId, phase, uid, ({ current, history, at }) => {
+    const out = applyCanvasSectionEdits(current, history, edits, uid, at);
+    if (!Object.keys(out.applied).length) return { applied: {} };
+    return { canvas: out.next, history: out.history, applied: out.applied };
+  });
+  return { phase, canvas: saved.canvas, applied: saved.applied };
 }
 
 function extractCerSection(textRaw = '', headingPattern = 'claim(?:s)?') {
@@ -7646,24 +10212,34 @@ function countEvidenceCitations(textRaw = '') {
   return Array.isArray(matches) ? matches.length : 0;
 }
 
+// Sticky notes tagged #claim, #evidence, #reasoning or #citation count toward
+// the gate alongside the evidence board text of the same phase.
 function resolveEvidenceBoardSnapshot(room = {}) {
   const phases = ['FINAL', 'EDITING', 'PLANNING', 'IDEA_DUMP', 'DISCOVERY', 'ROUGH_DRAFT'];
   for (const phase of phases) {
-    const board = String(getPhaseCanvas(room, phase)?.evidenceBoard || '').trim();
-    if (board) {
-      return { phase, text: board };
+    const canvas = getPhaseCanvas(room, phase);
+    const board = String(canvas?.evidenceBoard || '').trim();
+    const notesText = stickyBoardCerText(canvas?.board);
+    if (board || notesText) {
+      return { phase, text: board, notesText };
     }
   }
-  return { phase: '', text: '' };
+  return { phase: '', text: '', notesText: '' };
 }
 
 function evaluateEvidenceBoardCerGate(room = {}) {
   const snapshot = resolveEvidenceBoardSnapshot(room);
-  const text = String(snapshot.text || '').trim();
-  const claim = extractCerSection(text, 'claim(?:s)?');
-  const evidence = extractCerSection(text, 'evidence');
-  const reasoning = extractCerSection(text, 'reason(?:ing)?');
-  const citations = countEvidenceCitations(text);
+  const sources = [snapshot.text, snapshot.notesText]
+    .map((value) => String(value || '').trim())
+    .filter(Boolean);
+  const section = (pattern) =>
+    sources
+      .map((text) => extractCerSection(text, pattern))
+      .sort((a, b) => b.length - a.length)[0] || '';
+  const claim = section('claim(?:s)?');
+  const evidence = section('evidence');
+  const reasoning = section('reason(?:ing)?');
+  const citations = sources.reduce((sum, text) => sum + countEvidenceCitations(text), 0);
   const missing = [];
   if (!claim || claim.length < 12) missing.push('claim');
   if (!evidence || evidence.length < 12) missing.push('evidence');
@@ -7808,7 +10384,8 @@ function evaluatePhaseExitGate(room = {}, stageRaw = '') {
   } else if (stage === 'IDEA_DUMP') {
     const ideationFilled =
       cleanTextLen(room.ideaSummary || '') >= 24 ||
-      cleanTextLen(ideaCanvas.stickyNotes || ideaCanvas.ideas || '') >= 24;
+      cleanTextLen(ideaCanvas.stickyNotes || ideaCanvas.ideas || '') >= 24 ||
+      cleanTextLen(stickyBoardToText(ideaCanvas.board)) >= 24;
     requirements.push({
       id: 'idea_board_filled',
       label: 'Idea board has content',
@@ -8409,31 +10986,55 @@ async function saveDraftSnapshot(roomId, content, version) {
   return { createdAt };
 }
 
+function aiPolicyScopeIds({ orgId = '', licenseId = '', siteId = '' } = {}) {
+  return {
+    GLOBAL: makeScopeId({ global: true }),
+    ORG: orgId || licenseId ? makeScopeId({ orgId, licenseId }) : '',
+    LICENSE: licenseId ? makeScopeId({ licenseId }) : '',
+    SITE: siteId && (orgId || licenseId) ? makeScopeId({ orgId, licenseId, siteId }) : '',
+  };
+}
+
+// Merges the stored layers from GLOBAL down to `through` (inclusive). With
+// `through` set to a scope's parent this is what that scope inherits.
+async function resolveLayeredAiPolicy({ orgId = '', licenseId = '', siteId = '', through = 'SITE' } = {}) {
+  const scopeIds = aiPolicyScopeIds({ orgId, licenseId, siteId });
+  const depth = AI_POLICY_SCOPES.indexOf(through);
+  const scopes = AI_POLICY_SCOPES.filter((scope, idx) => idx <= depth && scopeIds[scope]);
+  const rows = await Promise.all(scopes.map((scope) => getPolicy(scopeIds[scope], 'AI').catch(() => null)));
+  const layers = scopes.map((scope, idx) => parseAiPolicyLayer(scope, scopeIds[scope], rows[idx], AI_POLICY_FIELDS));
+  return {
+    scopeIds,
+    layers,
+    ...mergeAiPolicyLayers({ defaults: AI_POLICY_DEFAULT, layers, normalize: normalizeAiPolicy }),
+  };
+}
+
 async function resolveAiPolicyForRoom(room = {}) {
   const licenseId = normalizedLicenseId(room.licenseId || '');
   const orgId = normalizedOrgId(room.orgId || '', licenseId);
-  const orgScope = makeScopeId({ orgId, licenseId });
-  const licenseScope = makeScopeId({ licenseId });
-
-  const [orgPolicyRow, licensePolicyRow] = await Promise.all([
-    getPolicy(orgScope, 'AI').catch(() => null),
-    getPolicy(licenseScope, 'AI').catch(() => null),
-  ]);
-
-  const merged = parseJsonObject(
-    orgPolicyRow?.policy || licensePolicyRow?.policy,
-    AI_POLICY_DEFAULT
-  );
-  return normalizeAiPolicy(merged);
+  const siteId = normalizedSiteId(room.siteId || (room.roomId ? parseRoomId(room.roomId).siteId : ''));
+  const { policy } = await resolveLayeredAiPolicy({ orgId, licenseId, siteId });
+  return policy;
 }
 
-function buildAsemaOptions(room = {}, policy = {}) {
+// Every persona call is metered against the room's org and refused once a
+// hard-stop AI budget is used up; `onModelCall` also sees each metered call.
+function buildAsemaOptions(room = {}, policy = {}, { source = '', onModelCall = null, promptSelection = null } = {}) {
   return {
+    prompts: promptSelection?.prompts || null,
+    guard: () => assertAiBudget(room),
+    onModelCall: (call) => {
+      meterAiCall(room, call, source);
+      onModelCall?.(call);
+    },
     aiBehavior: room.aiBehavior,
     assistantPersona: room.assistantPersona,
     tone: policy.tone,
     strictness: policy.strictness,
     dataUsage: policy.dataUsage,
+    provider: policy.provider,
+    fallbackProvider: policy.fallbackProvider,
     modelChoice: policy.modelChoice,
     piiRedaction: policy.piiRedaction,
     citationMode: policy.citationMode,
@@ -8443,16 +11044,27 @@ function buildAsemaOptions(room = {}, policy = {}) {
   };
 }
 
+// `modelCall` is describeLlmCall()'s summary of the call that produced the
+// text (absent when no model answered); `checks` are the moderateText()
+// results that were actually run on the way in and out; `sources` lists the
+// library passages the model was given (knowledgeReceiptSources);
+// `promptSelection` is resolveRoomPrompts()'s pick for the room;
+// `toolCalls` are runAsemaToolCalls() results.
 function buildAiReceipt({
   stage = '',
   policy = {},
   source = 'openai',
   prompt = '',
   fallback = false,
+  partial = false,
   blockedFlags = [],
+  modelCall = null,
+  checks = [],
+  sources = [],
+  promptSelection = null,
+  toolCalls = [],
 } = {}) {
   const strictness = String(policy?.strictness || 'MEDIUM').trim().toUpperCase();
-  const confidenceBase = strictness === 'HIGH' ? 0.82 : strictness === 'LOW' ? 0.72 : 0.77;
   const normalizedPrompt = String(prompt || '').trim();
   const intent = normalizedPrompt
     ? normalizedPrompt.split(/\s+/).slice(0, 8).join(' ')
@@ -8460,23 +11072,56 @@ function buildAiReceipt({
   const flags = Array.isArray(blockedFlags)
     ? blockedFlags.map((flag) => String(flag || '').trim()).filter(Boolean)
     : [];
+  const call = modelCall && typeof modelCall === 'object' ? modelCall : null;
   return {
     source: fallback ? 'fallback' : source,
     stage: String(stage || '').toUpperCase() || DEFAULT_STAGE,
     reason: fallback
       ? 'Fallback guidance used because model response was unavailable.'
-      : `Suggested based on current phase context and your request${intent ? `: "${intent}"` : ''}.`,
-    confidence: Number((fallback ? 0.61 : confidenceBase).toFixed(2)),
+      : partial
+        ? 'The model stream stopped early; this is the text that arrived before it did.'
+        : `Suggested based on current phase context and your request${intent ? `: "${intent}"` : ''}.`,
+    ...(partial && !fallback ? { partial: true } : {}),
+    model: call
+      ? {
+          provider: call.provider,
+          name: call.model,
+          requested: call.requestedModel,
+          fallbackFrom: call.fallbackFrom || '',
+          fallbackModel: !!call.modelFallback,
+          attempts: call.attempts,
+        }
+      : null,
+    usage: call ? call.usage : null,
+    latencyMs: call ? call.latencyMs : null,
+    hashes: call ? call.hashes : null,
+    sources: Array.isArray(sources) ? sources : [],
+    promptVersion: promptSelection
+      ? { versionId: promptSelection.versionId || 'default', arm: promptSelection.arm, hash: promptSelection.hash || '' }
+      : null,
+    toolCalls: (Array.isArray(toolCalls) ? toolCalls : []).map((call) => ({
+      name: String(call.name || ''),
+      ok: !!call.ok,
+      ...(call.error ? { error: String(call.error) } : {}),
+    })),
     policyChecks: {
       tone: String(policy?.tone || 'BALANCED').toUpperCase(),
       strictness,
       piiRedaction: policy?.piiRedaction !== false,
+      redactions: call ? call.redactions : 0,
       citationMode: !!policy?.citationMode,
       dataUsage: String(policy?.dataUsage || 'NO_TRAINING').toUpperCase(),
       ageSafeMode: String(policy?.ageSafeMode || AI_POLICY_DEFAULT.ageSafeMode).toUpperCase(),
       moderationLevel: String(
         policy?.moderationLevel || AI_POLICY_DEFAULT.moderationLevel
       ).toUpperCase(),
+      moderation: (Array.isArray(checks) ? checks : []).filter(Boolean).map((check) => ({
+        direction: check.direction,
+        stage: check.stage,
+        classifier: check.classifier,
+        blocked: !!check.blocked,
+        ...(check.error ? { error: check.error } : {}),
+      })),
       passed: flags.length === 0,
       flags,
     },
@@ -8497,20 +11142,38 @@ async function generateRoughDraftForRoom(room, { force = false } = {}) {
     };
   }
 
+  let relay = null;
   try {
     const aiPolicy = await resolveAiPolicyForRoom(room);
+    relay = startAsemaRelay(room.roomId, { kind: 'draft', stage: 'ROUGH_DRAFT', policy: aiPolicy });
+    const promptSelection = await resolveRoomPrompts(room);
+    let modelCall = null;
     const text = await Asema.generateRoughDraft(
       room.topic || '',
       room.ideaSummary || '',
       room.roomId,
-      buildAsemaOptions(room, aiPolicy)
+      {
+        ...buildAsemaOptions(room, aiPolicy, {
+          source: 'rough_draft',
+          promptSelection,
+          onModelCall: (call) => {
+            modelCall = call;
+          },
+        }),
+        stream: relay,
+      }
     );
     let draft = (text || '').trim();
-    const outputSafety = evaluateSchoolSafetyText(draft, aiPolicy);
+    const outputSafety = await moderateText(draft, aiPolicy, {
+      direction: 'output',
+      source: 'rough_draft',
+      room,
+    });
     if (outputSafety.blocked) {
       draft =
         'Safety checkpoint: the generated draft needs moderation review. Rebuild with policy-safe language, no personal identifiers, and evidence-based framing.';
     }
+    await relay.finish({ discard: outputSafety.blocked });
 
     const nextVersion = Number(room.draftVersion || 0) + 1;
     const updated = await updateRoom(room.roomId, {
@@ -8534,8 +11197,13 @@ async function generateRoughDraftForRoom(room, { force = false } = {}) {
         policy: aiPolicy,
         source: outputSafety.blocked ? 'policy_guard' : 'openai_draft',
         prompt: room.topic || '',
+        partial: relay.partial,
         blockedFlags: outputSafety.blocked ? outputSafety.flags : [],
+        modelCall,
+        checks: [outputSafety],
+        promptSelection,
       }),
+      streamId: relay.streamId,
     });
     await appendDecisionLog(room.roomId, {
       type: 'DRAFT_GENERATED',
@@ -8544,6 +11212,7 @@ async function generateRoughDraftForRoom(room, { force = false } = {}) {
       details: {
         version: nextVersion,
         fallback: false,
+        partial: relay.partial,
       },
     }).catch(() => null);
 
@@ -8560,8 +11229,11 @@ async function generateRoughDraftForRoom(room, { force = false } = {}) {
     };
   } catch (e) {
     console.error('[rough] generation failed:', e?.message || e);
-    const fallback =
-      'Draft unavailable due to an AI error. Continue discussing your 250-word abstract together.';
+    relay?.finish({ discard: true });
+    const budgetExceeded = e?.message === 'ai_budget_exceeded';
+    const fallback = budgetExceeded
+      ? 'Draft unavailable: your organization has used this month’s AI budget. Draft your 250-word abstract together in the editor.'
+      : 'Draft unavailable due to an AI error. Continue discussing your 250-word abstract together.';
 
     const nextVersion = Number(room.draftVersion || 0) + 1;
     const updated = await updateRoom(room.roomId, {
@@ -8590,7 +11262,7 @@ async function generateRoughDraftForRoom(room, { force = false } = {}) {
     });
     await markRoomAiFallback(room.roomId, {
       stage: 'ROUGH_DRAFT',
-      reason: 'rough_draft_generation_failed',
+      reason: budgetExceeded ? 'ai_budget_exceeded' : 'rough_draft_generation_failed',
     }).catch(() => null);
     await appendDecisionLog(room.roomId, {
       type: 'DRAFT_GENERATED',
@@ -8626,10 +11298,21 @@ function temperatureFromPolicy(policy = {}) {
   return 0.35;
 }
 
-async function callOpenAIForEdit({ topic, stage, baseDraft, instructions, policy = {} }) {
-  const client = getOpenAI();
+async function callModelForEdit({
+  topic,
+  stage,
+  baseDraft,
+  instructions,
+  policy = {},
+  stream = null,
+  onModelCall = null,
+  guard = null,
+  knowledge = [],
+}) {
+  await guard?.();
   const normalizedPolicy = normalizeAiPolicy(policy || {});
-  const model = String(normalizedPolicy.modelChoice || OPENAI_MODEL).trim() || OPENAI_MODEL;
+  // Inline [n] markers only belong in the abstract when the org asks for citations.
+  const grounding = knowledgePrompt(knowledge, { cite: normalizedPolicy.citationMode });
   const policyGuidance = `
 AI policy controls:
 - Tone: ${normalizedPolicy.tone}
@@ -8665,34 +11348,56 @@ ${baseDraft}
 Return the updated draft now.
 `.trim();
 
-  const res = await client.chat.completions.create({
-    model,
+  const request = {
+    provider: normalizedPolicy.provider,
+    fallbackProvider: normalizedPolicy.fallbackProvider,
+    model: normalizedPolicy.modelChoice,
     messages: [
       { role: 'system', content: sys },
+      ...(grounding ? [{ role: 'system', content: grounding }] : []),
       { role: 'user', content: user },
     ],
     temperature: temperatureFromPolicy(normalizedPolicy),
-    max_tokens: 700,
-  });
-
-  return (res.choices?.[0]?.message?.content || '').trim();
+    maxTokens: 700,
+  };
+  const redactor = normalizedPolicy.piiRedaction ? createPiiRedactor() : null;
+  if (redactor) request.messages = redactChatMessages(redactor, request.messages);
+  const finish = (out) => {
+    onModelCall?.(describeLlmCall(request, out, { redactions: redactor?.count || 0 }));
+    return redactor ? redactor.rehydrate(out.text) : out.text;
+  };
+  if (!stream) return finish(await completeChat(request));
+  const sink = redactor ? redactor.rehydrateStream((delta) => stream.push(delta)) : null;
+  const res = await streamChat(request, (delta) => (sink ? sink.push(delta) : stream.push(delta)));
+  sink?.flush();
+  stream.settle(res);
+  return finish(res);
 }
 
-async function applyDraftEdits(room, instructions) {
+async function applyDraftEdits(room, instructions, { stream = null } = {}) {
   const baseDraft = (room.draftText || '').trim();
   const aiPolicy = await resolveAiPolicyForRoom(room);
 
   let updatedText = '';
+  let modelCall = null;
+  const knowledge = await retrieveRoomKnowledge(room, `${room.topic || ''} ${instructions || ''}`);
   try {
-    updatedText = await callOpenAIForEdit({
+    updatedText = await callModelForEdit({
       topic: room.topic || '',
       stage: room.stage || 'EDITING',
       baseDraft: clipText(baseDraft || '(empty draft)', 9000),
       instructions: String(instructions || ''),
       policy: aiPolicy,
+      stream,
+      guard: () => assertAiBudget(room),
+      onModelCall: (call) => {
+        modelCall = call;
+        meterAiCall(room, call, 'draft_edit');
+      },
+      knowledge,
     });
   } catch (err) {
-    if (!DEMO_MODE_FALLBACK) throw err;
+    if (!DEMO_MODE_FALLBACK || err?.message === 'ai_budget_exceeded') throw err;
     logDemoFallback('draft_edit_openai', err);
     const safeInstruction = String(instructions || '').trim();
     updatedText = `${baseDraft || ''}\n\n[Demo edit note] ${safeInstruction || 'Refine clarity and tighten the narrative.'}`.trim();
@@ -8712,7 +11417,146 @@ async function applyDraftEdits(room, instructions) {
 
   await saveDraftSnapshot(room.roomId, next, nextVersion);
 
-  return { updatedRoom, draftText: next, version: nextVersion };
+  return {
+    updatedRoom,
+    draftText: next,
+    version: nextVersion,
+    modelCall,
+    knowledge: modelCall ? knowledge : [],
+  };
+}
+
+// ---------- Asema tool calls ----------
+// Appends a block of text to one canvas section as an ordinary text op, so
+// anyone editing that section rebases onto it.
+async function appendCanvasSection(room, phaseRaw, section, text, uid = ASEMA_TOOL_ACTOR.uid) {
+  const roomId = room.roomId;
+  const phase = normalizeCanvasPhase(phaseRaw || room.stage || 'DISCOVERY');
+  const saved = await mutatePhaseCanvas(roomId, phase, uid, ({ current, history, at }) => {
+    const existing = current[section];
+    const insert = `${existing.trim() ? '\n\n' : ''}${text}`;
+    const edits = { [section]: { baseRevision: current.revisions[section], op: [existing.length, insert] } };
+    const out = applyCanvasSectionEdits(current, history, edits, uid, at);
+    if (!Object.keys(out.applied).length) return { applied: {} };
+    return { canvas: out.next, history: out.history, applied: out.applied };
+  });
+  if (Object.keys(saved.applied || {}).length) {
+    publishRoomEvent(roomId, 'canvas_update', {
+      siteId: room.siteId || parseRoomId(roomId).siteId,
+      phase,
+      uid,
+      sections: saved.applied,
+    });
+  }
+  return saved;
+}
+
+async function applyAsemaTool(room, user, { name, input }, { stage }) {
+  const roomId = room.roomId;
+  if (name === 'add_sticky_note') {
+    const out = await updateStickyBoard(roomId, room, ASEMA_TOOL_ACTOR, {
+      ...input,
+      action: 'note.create',
+      phase: stage,
+      authorLabel: 'Asema',
+    });
+    if (out.statusCode !== 200) throw new Error(out.body?.error || 'sticky_board_failed');
+    return { noteId: out.body.noteId || '' };
+  }
+  if (name === 'propose_outline') {
+    await appendCanvasSection(room, stage, 'outlineMap', outlineProposalText(input));
+    return {};
+  }
+  if (name === 'cite_evidence') {
+    await appendCanvasSection(room, stage, 'evidenceBoard', evidenceEntryText(input));
+    return {};
+  }
+  if (name === 'open_vote') {
+    if (room.voteOpen) throw new Error('vote_already_open');
+    const opened = await tryAutoOpenVote(room, Date.now(), {
+      announcement: '🗳️ Opening topic voting now, as the facilitator asked. Pick the option that fits your story best.',
+    });
+    if (opened.conflict) throw new Error('vote_already_open');
+    return {};
+  }
+  if (name === 'request_extension') {
+    const last = Number(room.extensionRequest?.at || 0);
+    if (last && Date.now() - last < EXTENSION_REQUEST_COOLDOWN_MS) throw new Error('extension_recently_requested');
+    const extensionRequest = {
+      seconds: input.seconds,
+      reason: input.reason,
+      stage,
+      requestedBy: String(user?.uid || ''),
+      at: Date.now(),
+    };
+    await updateRoom(roomId, { extensionRequest });
+    publishRoomEvent(roomId, 'extension_request', {
+      siteId: room.siteId || parseRoomId(roomId).siteId,
+      ...extensionRequest,
+    });
+    return {};
+  }
+  throw new Error('tool_unknown');
+}
+
+// A request Asema filed for more time; it lapses once the stage moves on.
+function pendingExtensionRequest(room = {}) {
+  const request = room.extensionRequest;
+  if (!request || typeof request !== 'object') return null;
+  return request.stage === String(room.stage || DEFAULT_STAGE).toUpperCase() ? request : null;
+}
+
+function toolInputText(input = {}) {
+  return Object.values(input)
+    .flatMap((value) => (Array.isArray(value) ? value : [value]))
+    .filter((value) => typeof value === 'string')
+    .join('\n');
+}
+
+// Validates and applies the tool calls from one Asema reply, in order. Every
+// call, applied or refused, lands in the room decision log with the reason,
+// so facilitators can see what Asema did and what it was stopped from doing.
+async function runAsemaToolCalls(room, user, calls = [], { stage, passages = [], policy = {}, blocked = false } = {}) {
+  const results = [];
+  for (const [idx, call] of calls.entries()) {
+    let result = validateAsemaToolCall(call, { stage, role: user?.role, passages });
+    if (blocked) result = { ok: false, name: result.name, error: 'output_blocked' };
+    else if (idx >= ASEMA_TOOL_LIMITS.maxCallsPerReply) result = { ok: false, name: result.name, error: 'tool_call_limit' };
+    if (result.ok) {
+      const text = toolInputText(result.input);
+      const safety = text
+        ? await moderateText(text, policy, { direction: 'output', source: 'asema_tool', room, actor: user })
+        : null;
+      if (safety?.blocked) {
+        result = { ok: false, name: result.name, input: result.input, error: 'tool_input_blocked' };
+      } else {
+        try {
+          result = { ...result, ...(await applyAsemaTool(room, user, result, { stage })) };
+        } catch (err) {
+          result = { ok: false, name: result.name, input: result.input, error: err?.message || 'tool_failed' };
+        }
+      }
+    }
+    const label = result.name.replace(/_/g, ' ') || 'unknown tool';
+    await appendDecisionLog(room.roomId, {
+      type: 'ASEMA_TOOL_CALL',
+      stage,
+      label: result.ok ? `Asema: ${label}` : `Asema: ${label} refused (${result.error})`,
+      actorUid: user?.uid || '',
+      details: {
+        tool: result.name,
+        ok: !!result.ok,
+        error: result.error || '',
+        ...(result.input
+          ? { input: result.input }
+          : { rawInput: JSON.stringify(call?.input ?? {}).slice(0, 500) }),
+        ...(result.noteId ? { noteId: result.noteId } : {}),
+        callId: String(call?.id || ''),
+      },
+    }).catch(() => null);
+    results.push(result);
+  }
+  return results;
 }
 
 // ---------- Intent helpers ----------
@@ -8993,43 +11837,180 @@ async function claimAutopilotAction(room, stage, action, now = Date.now()) {
         autopilotActions: existingActions,
         updatedAt: now,
       });
-      return true;
+      return true;
+    }
+    throw err;
+  }
+}
+
+async function tryAutoExtendRoomStage(room, bySec, now = Date.now()) {
+  const roomId = String(room?.roomId || '').trim();
+  const stage = String(room?.stage || DEFAULT_STAGE);
+  const currentEndsAt = toStageMs(room?.stageEndsAt);
+  const byMs = Math.max(1, Number(bySec || 0)) * 1000;
+  if (!roomId || !currentEndsAt || stage === 'CLOSED') {
+    return { updated: room, conflict: false };
+  }
+  try {
+    const { Attributes } = await ddbDoc.send(
+      new UpdateCommand({
+        TableName: TABLES.rooms,
+        Key: { roomId },
+        UpdateExpression: 'SET stageEndsAt = :nextEndsAt, updatedAt = :now',
+        ConditionExpression: '#stage = :stage AND stageEndsAt = :currentEndsAt',
+        ExpressionAttributeNames: {
+          '#stage': 'stage',
+        },
+        ExpressionAttributeValues: {
+          ':nextEndsAt': currentEndsAt + byMs,
+          ':now': now,
+          ':stage': stage,
+          ':currentEndsAt': currentEndsAt,
+        },
+        ReturnValues: 'ALL_NEW',
+      })
+    );
+    const updated = normalizeRoomShape(Attributes || room);
+    publishRoomEvent(roomId, 'room_state', {
+      siteId: updated.siteId || parseRoomId(roomId).siteId,
+      stage: updated.stage || stage,
+    });
+    return { updated, conflict: false };
+  } catch (err) {
+    if (err?.name === 'ConditionalCheckFailedException') {
+      return { updated: null, conflict: true };
+    }
+    if (shouldUseDemoFallback(err)) {
+      logDemoFallback('autopilot_extend_stage', err);
+      const updated = await updateRoom(roomId, {
+        stageEndsAt: currentEndsAt + byMs,
+      });
+      return { updated, conflict: false };
+    }
+    throw err;
+  }
+}
+
+// `announcement` is what Asema posts once the vote is open; callers other
+// than autopilot pass their own.
+async function tryAutoOpenVote(
+  room,
+  now = Date.now(),
+  { announcement = '🤖 Autopilot opened voting so each group can lock a topic before stage close.' } = {}
+) {
+  const roomId = String(room?.roomId || '').trim();
+  if (!roomId) return { updated: room, conflict: false };
+  try {
+    const { Attributes } = await ddbDoc.send(
+      new UpdateCommand({
+        TableName: TABLES.rooms,
+        Key: { roomId },
+        UpdateExpression: [
+          'SET voteOpen = :true',
+          'voteTotal = :zero',
+          'voteTallies = :emptyMap',
+          'voteByUid = :emptyMap',
+          'voteBallots = :emptyMap',
+          'voteNullifiers = :emptyMap',
+          'voteSessionId = :sessionId',
+          'voteReadyUids = :emptyList',
+          'voteReadyCount = :zero',
+          'voteSubmittedUids = :emptyList',
+          'voteSubmittedCount = :zero',
+          'updatedAt = :now',
+        ].join(', '),
+        ConditionExpression: '#stage = :discovery AND (attribute_not_exists(voteOpen) OR voteOpen = :false)',
+        ExpressionAttributeNames: {
+          '#stage': 'stage',
+        },
+        ExpressionAttributeValues: {
+          ':true': true,
+          ':false': false,
+          ':zero': 0,
+          ':emptyMap': {},
+          ':emptyList': [],
+          ':now': now,
+          ':discovery': 'DISCOVERY',
+          ':sessionId': crypto.randomUUID(),
+        },
+        ReturnValues: 'ALL_NEW',
+      })
+    );
+    const updated = normalizeRoomShape(Attributes || room);
+    publishRoomEvent(roomId, 'vote_update', {
+      siteId: updated.siteId || parseRoomId(roomId).siteId,
+    });
+    await addMessage(roomId, {
+      text: announcement,
+      phase: 'DISCOVERY',
+      authorType: 'asema',
+      personaIndex: 0,
+    });
+    return { updated, conflict: false };
+  } catch (err) {
+    if (err?.name === 'ConditionalCheckFailedException') {
+      return { updated: null, conflict: true };
+    }
+    if (shouldUseDemoFallback(err)) {
+      logDemoFallback('autopilot_open_vote', err);
+      const updated = await updateRoom(roomId, {
+        voteOpen: true,
+        voteTotal: 0,
+        voteTallies: {},
+        voteByUid: {},
+        voteBallots: {},
+        voteNullifiers: {},
+        voteSessionId: crypto.randomUUID(),
+        voteReadyUids: [],
+        voteReadyCount: 0,
+        voteSubmittedUids: [],
+        voteSubmittedCount: 0,
+      });
+      await addMessage(roomId, {
+        text: announcement,
+        phase: 'DISCOVERY',
+        authorType: 'asema',
+        personaIndex: 0,
+      });
+      return { updated, conflict: false };
     }
     throw err;
   }
 }
 
-async function tryAutoExtendRoomStage(room, bySec, now = Date.now()) {
+async function tryAutoCloseVote(room, now = Date.now()) {
   const roomId = String(room?.roomId || '').trim();
-  const stage = String(room?.stage || DEFAULT_STAGE);
-  const currentEndsAt = toStageMs(room?.stageEndsAt);
-  const byMs = Math.max(1, Number(bySec || 0)) * 1000;
-  if (!roomId || !currentEndsAt || stage === 'CLOSED') {
-    return { updated: room, conflict: false };
-  }
+  if (!roomId) return { updated: room, conflict: false };
+  const topic = computeWinningTopic(room);
   try {
     const { Attributes } = await ddbDoc.send(
       new UpdateCommand({
         TableName: TABLES.rooms,
         Key: { roomId },
-        UpdateExpression: 'SET stageEndsAt = :nextEndsAt, updatedAt = :now',
-        ConditionExpression: '#stage = :stage AND stageEndsAt = :currentEndsAt',
+        UpdateExpression: 'SET voteOpen = :false, topic = :topic, updatedAt = :now',
+        ConditionExpression: '#stage = :discovery AND voteOpen = :true',
         ExpressionAttributeNames: {
           '#stage': 'stage',
         },
         ExpressionAttributeValues: {
-          ':nextEndsAt': currentEndsAt + byMs,
+          ':false': false,
+          ':true': true,
+          ':topic': topic,
           ':now': now,
-          ':stage': stage,
-          ':currentEndsAt': currentEndsAt,
+          ':discovery': 'DISCOVERY',
         },
         ReturnValues: 'ALL_NEW',
       })
     );
     const updated = normalizeRoomShape(Attributes || room);
-    publishRoomEvent(roomId, 'room_state', {
+    publishRoomEvent(roomId, 'vote_update', {
       siteId: updated.siteId || parseRoomId(roomId).siteId,
-      stage: updated.stage || stage,
+    });
+    await addMessage(roomId, {
+      text: `🤖 Autopilot closed voting. Topic selected: **${updated.topic || topic || 'N/A'}**`,
+      phase: 'DISCOVERY',
+      authorType: 'asema',
+      personaIndex: 0,
     });
     return { updated, conflict: false };
   } catch (err) {
@@ -9037,9 +12018,16 @@ async function tryAutoExtendRoomStage(room, bySec, now = Date.now()) {
       return { updated: null, conflict: true };
     }
     if (shouldUseDemoFallback(err)) {
-      logDemoFallback('autopilot_extend_stage', err);
+      logDemoFallback('autopilot_close_vote', err);
       const updated = await updateRoom(roomId, {
-        stageEndsAt: currentEndsAt + byMs,
+        voteOpen: false,
+        topic,
+      });
+      await addMessage(roomId, {
+        text: `🤖 Autopilot closed voting. Topic selected: **${updated.topic || topic || 'N/A'}**`,
+        phase: 'DISCOVERY',
+        authorType: 'asema',
+        personaIndex: 0,
       });
       return { updated, conflict: false };
     }
@@ -9047,117 +12035,318 @@ async function tryAutoExtendRoomStage(room, bySec, now = Date.now()) {
   }
 }
 
-async function tryAutoOpenVote(room, now = Date.now()) {
-  const roomId = String(room?.roomId || '').trim();
-  if (!roomId) return { updated: room, conflict: false };
+async function runAutopilotForRoom(room, now = Date.now()) {
+  const currentRoom = normalizeRoomShape(room || {});
+  const roomId = String(currentRoom.roomId || '').trim();
+  if (!roomId) return currentRoom;
+
+  const config = normalizeAutopilotConfig(
+    currentRoom.autopilot,
+    AUTOPILOT_DEFAULT
+  );
+  if (!config.enabled) return currentRoom;
+
+  let current = currentRoom;
+  const stage = String(current.stage || DEFAULT_STAGE).toUpperCase();
+  if (stage === 'CLOSED') return current;
+  const endsAt = toStageMs(current.stageEndsAt);
+  const msRemaining = endsAt > 0 ? endsAt - now : Number.MAX_SAFE_INTEGER;
+  const participantAt = Number(current.lastParticipantMessageAt || 0);
+  const inactivityMs =
+    participantAt > 0 ? now - participantAt : Number.MAX_SAFE_INTEGER;
+  const liveStage = !['LOBBY', 'CLOSED'].includes(stage);
+
+  if (
+    config.autoNudgeOnStuck &&
+    liveStage &&
+    inactivityMs >= config.stuckInactivitySec * 1000
+  ) {
+    const claimed = await claimAutopilotAction(
+      current,
+      stage,
+      'stuck_intervention',
+      now
+    );
+    if (claimed) {
+      await addMessage(roomId, {
+        text:
+          '🤖 Autopilot intervention: pause for a 45-second reset. Each person shares one concrete sentence before moving forward.',
+        phase: stage,
+        authorType: 'asema',
+        personaIndex: 0,
+      });
+      if (stage !== 'FINAL' && stage !== 'CLOSED') {
+        const extendRes = await tryAutoExtendRoomStage(
+          current,
+          config.interventionExtendSec,
+          now
+        );
+        if (extendRes.conflict) {
+          current = await ensureRoom(roomId);
+        } else if (extendRes.updated) {
+          current = extendRes.updated;
+        }
+      }
+      await writeAuditEvent({
+        action: 'AUTOPILOT_STUCK_INTERVENTION',
+        actor: {
+          uid: 'autopilot',
+          role: 'SYSTEM',
+          siteId: current.siteId || parseRoomId(roomId).siteId,
+          licenseId: current.licenseId || '',
+          orgId: current.orgId || '',
+        },
+        target: {
+          resourceType: 'ROOM',
+          resourceId: roomId,
+          roomId,
+          siteId: current.siteId || parseRoomId(roomId).siteId,
+          licenseId: current.licenseId || '',
+          orgId: current.orgId || '',
+        },
+        details: {
+          stage,
+          inactivitySec: Math.floor(inactivityMs / 1000),
+          extendSec: config.interventionExtendSec,
+        },
+      });
+    }
+  }
+
+  if (
+    config.autoNudgeOnStuck &&
+    liveStage &&
+    Number.isFinite(msRemaining) &&
+    msRemaining > 0 &&
+    msRemaining <= config.nudgeBeforeEndSec * 1000
+  ) {
+    const claimed = await claimAutopilotAction(current, stage, 'phase_nudge', now);
+    if (claimed) {
+      await addMessage(roomId, {
+        text:
+          '🤖 Autopilot reminder: you are entering the final minute of this phase. Pick one clear next action now.',
+        phase: stage,
+        authorType: 'asema',
+        personaIndex: 0,
+      });
+      await writeAuditEvent({
+        action: 'AUTOPILOT_PHASE_NUDGE',
+        actor: {
+          uid: 'autopilot',
+          role: 'SYSTEM',
+          siteId: current.siteId || parseRoomId(roomId).siteId,
+          licenseId: current.licenseId || '',
+          orgId: current.orgId || '',
+        },
+        target: {
+          resourceType: 'ROOM',
+          resourceId: roomId,
+          roomId,
+          siteId: current.siteId || parseRoomId(roomId).siteId,
+          licenseId: current.licenseId || '',
+          orgId: current.orgId || '',
+        },
+        details: {
+          stage,
+          nudgeBeforeEndSec: config.nudgeBeforeEndSec,
+        },
+      });
+    }
+  }
+
+  if (config.autoVote && stage === 'DISCOVERY') {
+    const shouldOpenVote =
+      !current.voteOpen &&
+      Number.isFinite(msRemaining) &&
+      msRemaining > 0 &&
+      msRemaining <= config.nudgeBeforeEndSec * 1000;
+    if (shouldOpenVote) {
+      const claimed = await claimAutopilotAction(
+        current,
+        stage,
+        'vote_open',
+        now
+      );
+      if (claimed) {
+        const openRes = await tryAutoOpenVote(current, now);
+        if (openRes.conflict) current = await ensureRoom(roomId);
+        else if (openRes.updated) current = openRes.updated;
+      }
+    }
+
+    const seats = getSeatCount(current);
+    const voteSubmittedCount = Number(current.voteSubmittedCount || 0);
+    const shouldCloseVote =
+      !!current.voteOpen &&
+      ((seats > 0 && voteSubmittedCount >= seats) ||
+        (Number.isFinite(msRemaining) && msRemaining <= 5_000));
+    if (shouldCloseVote) {
+      const claimed = await claimAutopilotAction(
+        current,
+        stage,
+        'vote_close',
+        now
+      );
+      if (claimed) {
+        const closeRes = await tryAutoCloseVote(current, now);
+        if (closeRes.conflict) current = await ensureRoom(roomId);
+        else if (closeRes.updated) current = closeRes.updated;
+      }
+    }
+  }
+
+  return current;
+}
+
+async function claimStageSideEffects(roomId, stage) {
+  const normalizedStage = String(stage || '').trim().toUpperCase();
+  if (!normalizedStage) return false;
+
   try {
-    const { Attributes } = await ddbDoc.send(
+    await ddbDoc.send(
       new UpdateCommand({
         TableName: TABLES.rooms,
         Key: { roomId },
-        UpdateExpression: [
-          'SET voteOpen = :true',
-          'voteTotal = :zero',
-          'voteTallies = :emptyMap',
-          'voteByUid = :emptyMap',
-          'voteReadyUids = :emptyList',
-          'voteReadyCount = :zero',
-          'voteSubmittedUids = :emptyList',
-          'voteSubmittedCount = :zero',
-          'updatedAt = :now',
-        ].join(', '),
-        ConditionExpression: '#stage = :discovery AND (attribute_not_exists(voteOpen) OR voteOpen = :false)',
+        UpdateExpression: 'SET greetedForStage.#stage = :now, updatedAt = :now',
+        ConditionExpression: 'attribute_not_exists(greetedForStage.#stage)',
         ExpressionAttributeNames: {
-          '#stage': 'stage',
+          '#stage': normalizedStage,
         },
         ExpressionAttributeValues: {
-          ':true': true,
-          ':false': false,
-          ':zero': 0,
-          ':emptyMap': {},
-          ':emptyList': [],
-          ':now': now,
-          ':discovery': 'DISCOVERY',
+          ':now': Date.now(),
         },
-        ReturnValues: 'ALL_NEW',
       })
     );
-    const updated = normalizeRoomShape(Attributes || room);
-    publishRoomEvent(roomId, 'vote_update', {
-      siteId: updated.siteId || parseRoomId(roomId).siteId,
-    });
+    return true;
+  } catch (err) {
+    if (err?.name === 'ConditionalCheckFailedException') return false;
+    if (shouldUseDemoFallback(err)) {
+      logDemoFallback('stage_side_effects_claim', err);
+      const room = getDemoRoomRecord(roomId) || createDemoRoomRecord(roomId);
+      const greetedForStage =
+        room.greetedForStage && typeof room.greetedForStage === 'object'
+          ? { ...room.greetedForStage }
+          : {};
+      if (Object.prototype.hasOwnProperty.call(greetedForStage, normalizedStage)) {
+        return false;
+      }
+      greetedForStage[normalizedStage] = Date.now();
+      setDemoRoomRecord({
+        ...room,
+        greetedForStage,
+        updatedAt: Date.now(),
+      });
+      return true;
+    }
+    throw err;
+  }
+}
+
+async function emitStageSideEffectsOnce(room) {
+  try {
+    const stage = room?.stage || DEFAULT_STAGE;
+    const roomId = room?.roomId;
+    if (!roomId || stage === 'CLOSED') return;
+
+    const claimed = await claimStageSideEffects(roomId, stage);
+    if (!claimed) return;
+
     await addMessage(roomId, {
-      text: '🤖 Autopilot opened voting so each group can lock a topic before stage close.',
-      phase: 'DISCOVERY',
+      text: stageInstructionText(stage),
+      phase: stage,
       authorType: 'asema',
       personaIndex: 0,
     });
-    return { updated, conflict: false };
-  } catch (err) {
-    if (err?.name === 'ConditionalCheckFailedException') {
-      return { updated: null, conflict: true };
+
+    if (stage === 'DISCOVERY') {
+      try {
+        const aiPolicy = await resolveAiPolicyForRoom(room);
+        const personalized = await Asema.greet(stage, room.topic || '', {
+          ...buildAsemaOptions(room, aiPolicy, {
+            source: 'greeting',
+            promptSelection: await resolveRoomPrompts(room),
+          }),
+        });
+        const outputSafety = await moderateText(personalized, aiPolicy, {
+          direction: 'output',
+          source: 'greeting',
+          room,
+        });
+        // The stage instructions above already cover what a greeting would say.
+        if (!outputSafety.blocked) {
+          await addMessage(roomId, {
+            text: personalized,
+            phase: stage,
+            authorType: 'asema',
+            personaIndex: 0,
+          });
+        }
+      } catch (err) {
+        console.error('[stage side-effects DISCOVERY greet] error', err);
+      }
     }
-    if (shouldUseDemoFallback(err)) {
-      logDemoFallback('autopilot_open_vote', err);
-      const updated = await updateRoom(roomId, {
-        voteOpen: true,
-        voteTotal: 0,
-        voteTallies: {},
-        voteByUid: {},
-        voteReadyUids: [],
-        voteReadyCount: 0,
-        voteSubmittedUids: [],
-        voteSubmittedCount: 0,
-      });
+
+    if (stage === 'EDITING') {
+      const draft = (room.draftText || '').trim();
+      if (draft) {
+        await addMessage(roomId, {
+          text: `🧾 **Latest Draft (v${Number(room.draftVersion || 0)})**\n\n${draft}`,
+          phase: 'EDITING',
+          authorType: 'asema',
+          personaIndex: 0,
+        });
+      } else {
+        await addMessage(roomId, {
+          text: 'I don’t see a saved draft yet — generate one in ROUGH_DRAFT first.',
+          phase: 'EDITING',
+          authorType: 'asema',
+          personaIndex: 0,
+        });
+      }
+    }
+
+    if (stage === 'FINAL') {
+      const draft = (room.draftText || '').trim();
+      const version = Number(room.draftVersion || 0);
       await addMessage(roomId, {
-        text: '🤖 Autopilot opened voting so each group can lock a topic before stage close.',
-        phase: 'DISCOVERY',
+        text:
+          `🏁 **FINAL STAGE**\n` +
+          `Make your last edits to the draft below. When YOU are finished, type **done** (or **submit**).\n\n` +
+          `🧾 **Draft (v${version})**\n\n${draft || '(No draft saved yet.)'}`,
+        phase: 'FINAL',
         authorType: 'asema',
         personaIndex: 0,
       });
-      return { updated, conflict: false };
     }
-    throw err;
+  } catch (err) {
+    console.error('[emitStageSideEffectsOnce] error:', err);
   }
 }
 
-async function tryAutoCloseVote(room, now = Date.now()) {
-  const roomId = String(room?.roomId || '').trim();
-  if (!roomId) return { updated: room, conflict: false };
-  const topic = computeWinningTopic(
-    room.voteTallies,
-    room.topic || '',
-    toVoteOptionMap(getVoteOptionsForRoom(room))
-  );
+async function tryInitializeRoomStageEndsAt(room, now) {
+  const roomId = room.roomId;
+  const stage = room.stage || DEFAULT_STAGE;
+  const stageEndsAt = now + getRoomStageDurationMs(room, stage);
+
   try {
     const { Attributes } = await ddbDoc.send(
       new UpdateCommand({
         TableName: TABLES.rooms,
         Key: { roomId },
-        UpdateExpression: 'SET voteOpen = :false, topic = :topic, updatedAt = :now',
-        ConditionExpression: '#stage = :discovery AND voteOpen = :true',
-        ExpressionAttributeNames: {
-          '#stage': 'stage',
-        },
+        UpdateExpression: 'SET stageEndsAt = :endsAt, updatedAt = :now',
+        ConditionExpression: 'attribute_not_exists(stageEndsAt) OR stageEndsAt = :zero',
         ExpressionAttributeValues: {
-          ':false': false,
-          ':true': true,
-          ':topic': topic,
+          ':endsAt': stageEndsAt,
           ':now': now,
-          ':discovery': 'DISCOVERY',
+          ':zero': 0,
         },
         ReturnValues: 'ALL_NEW',
       })
     );
     const updated = normalizeRoomShape(Attributes || room);
-    publishRoomEvent(roomId, 'vote_update', {
+    publishRoomEvent(roomId, 'room_state', {
       siteId: updated.siteId || parseRoomId(roomId).siteId,
-    });
-    await addMessage(roomId, {
-      text: `🤖 Autopilot closed voting. Topic selected: **${updated.topic || topic || 'N/A'}**`,
-      phase: 'DISCOVERY',
-      authorType: 'asema',
-      personaIndex: 0,
+      stage: updated.stage || DEFAULT_STAGE,
     });
     return { updated, conflict: false };
   } catch (err) {
@@ -9165,1680 +12354,2587 @@ async function tryAutoCloseVote(room, now = Date.now()) {
       return { updated: null, conflict: true };
     }
     if (shouldUseDemoFallback(err)) {
-      logDemoFallback('autopilot_close_vote', err);
-      const updated = await updateRoom(roomId, {
-        voteOpen: false,
-        topic,
-      });
-      await addMessage(roomId, {
-        text: `🤖 Autopilot closed voting. Topic selected: **${updated.topic || topic || 'N/A'}**`,
-        phase: 'DISCOVERY',
-        authorType: 'asema',
-        personaIndex: 0,
-      });
+      logDemoFallback('stage_init_ends_at', err);
+      const updated = await updateRoom(roomId, { stageEndsAt });
       return { updated, conflict: false };
     }
     throw err;
   }
 }
 
-async function runAutopilotForRoom(room, now = Date.now()) {
-  const currentRoom = normalizeRoomShape(room || {});
-  const roomId = String(currentRoom.roomId || '').trim();
-  if (!roomId) return currentRoom;
-
-  const config = normalizeAutopilotConfig(
-    currentRoom.autopilot,
-    AUTOPILOT_DEFAULT
-  );
-  if (!config.enabled) return currentRoom;
-
-  let current = currentRoom;
-  const stage = String(current.stage || DEFAULT_STAGE).toUpperCase();
-  if (stage === 'CLOSED') return current;
-  const endsAt = toStageMs(current.stageEndsAt);
-  const msRemaining = endsAt > 0 ? endsAt - now : Number.MAX_SAFE_INTEGER;
-  const participantAt = Number(current.lastParticipantMessageAt || 0);
-  const inactivityMs =
-    participantAt > 0 ? now - participantAt : Number.MAX_SAFE_INTEGER;
-  const liveStage = !['LOBBY', 'CLOSED'].includes(stage);
+async function tryAdvanceNonFinalStage(room, now) {
+  const roomId = room.roomId;
+  const currentStage = room.stage || DEFAULT_STAGE;
+  const currentEndsAt = toStageMs(room.stageEndsAt);
+  if (!currentEndsAt || now < currentEndsAt) {
+    return { updated: room, advanced: false, conflict: false };
+  }
 
-  if (
-    config.autoNudgeOnStuck &&
-    liveStage &&
-    inactivityMs >= config.stuckInactivitySec * 1000
-  ) {
-    const claimed = await claimAutopilotAction(
-      current,
-      stage,
-      'stuck_intervention',
-      now
-    );
-    if (claimed) {
-      await addMessage(roomId, {
-        text:
-          '🤖 Autopilot intervention: pause for a 45-second reset. Each person shares one concrete sentence before moving forward.',
-        phase: stage,
-        authorType: 'asema',
-        personaIndex: 0,
-      });
-      if (stage !== 'FINAL' && stage !== 'CLOSED') {
-        const extendRes = await tryAutoExtendRoomStage(
-          current,
-          config.interventionExtendSec,
-          now
-        );
-        if (extendRes.conflict) {
-          current = await ensureRoom(roomId);
-        } else if (extendRes.updated) {
-          current = extendRes.updated;
-        }
-      }
-      await writeAuditEvent({
-        action: 'AUTOPILOT_STUCK_INTERVENTION',
-        actor: {
-          uid: 'autopilot',
-          role: 'SYSTEM',
-          siteId: current.siteId || parseRoomId(roomId).siteId,
-          licenseId: current.licenseId || '',
-          orgId: current.orgId || '',
-        },
-        target: {
-          resourceType: 'ROOM',
-          resourceId: roomId,
-          roomId,
-          siteId: current.siteId || parseRoomId(roomId).siteId,
-          licenseId: current.licenseId || '',
-          orgId: current.orgId || '',
-        },
-        details: {
-          stage,
-          inactivitySec: Math.floor(inactivityMs / 1000),
-          extendSec: config.interventionExtendSec,
-        },
+  const phaseGate = evaluatePhaseExitGate(room, currentStage);
+  if (!phaseGate.ok) {
+    await maybePostPhaseGateReminder(room, phaseGate).catch(() => null);
+    const deferredEndsAt = now + 60_000;
+    try {
+      const { Attributes } = await ddbDoc.send(
+        new UpdateCommand({
+          TableName: TABLES.rooms,
+          Key: { roomId },
+          UpdateExpression: 'SET stageEndsAt = :deferredEndsAt, updatedAt = :now',
+          ConditionExpression: '#stage = :currentStage AND stageEndsAt = :currentEndsAt',
+          ExpressionAttributeNames: {
+            '#stage': 'stage',
+          },
+          ExpressionAttributeValues: {
+            ':deferredEndsAt': deferredEndsAt,
+            ':now': now,
+            ':currentStage': currentStage,
+            ':currentEndsAt': currentEndsAt,
+          },
+          ReturnValues: 'ALL_NEW',
+        })
+      );
+      const updated = normalizeRoomShape(Attributes || room);
+      publishRoomEvent(roomId, 'room_state', {
+        siteId: updated.siteId || parseRoomId(roomId).siteId,
+        stage: updated.stage || DEFAULT_STAGE,
       });
+      return {
+        updated,
+        advanced: false,
+        conflict: false,
+        gated: true,
+        phaseGate,
+      };
+    } catch (err) {
+      if (err?.name === 'ConditionalCheckFailedException') {
+        return { updated: null, advanced: false, conflict: true, gated: true, phaseGate };
+      }
+      if (shouldUseDemoFallback(err)) {
+        logDemoFallback('stage_gate_hold', err);
+        const updated = await updateRoom(roomId, { stageEndsAt: deferredEndsAt });
+        return {
+          updated,
+          advanced: false,
+          conflict: false,
+          gated: true,
+          phaseGate,
+        };
+      }
+      throw err;
     }
   }
 
-  if (
-    config.autoNudgeOnStuck &&
-    liveStage &&
-    Number.isFinite(msRemaining) &&
-    msRemaining > 0 &&
-    msRemaining <= config.nudgeBeforeEndSec * 1000
-  ) {
-    const claimed = await claimAutopilotAction(current, stage, 'phase_nudge', now);
-    if (claimed) {
-      await addMessage(roomId, {
-        text:
-          '🤖 Autopilot reminder: you are entering the final minute of this phase. Pick one clear next action now.',
-        phase: stage,
-        authorType: 'asema',
-        personaIndex: 0,
-      });
-      await writeAuditEvent({
-        action: 'AUTOPILOT_PHASE_NUDGE',
-        actor: {
-          uid: 'autopilot',
-          role: 'SYSTEM',
-          siteId: current.siteId || parseRoomId(roomId).siteId,
-          licenseId: current.licenseId || '',
-          orgId: current.orgId || '',
-        },
-        target: {
-          resourceType: 'ROOM',
-          resourceId: roomId,
-          roomId,
-          siteId: current.siteId || parseRoomId(roomId).siteId,
-          licenseId: current.licenseId || '',
-          orgId: current.orgId || '',
+  const nextStage = advanceStageVal(currentStage);
+  if (!nextStage || nextStage === currentStage) {
+    return { updated: room, advanced: false, conflict: false };
+  }
+  const nextEndsAt = now + getRoomStageDurationMs(room, nextStage);
+
+  try {
+    const { Attributes } = await ddbDoc.send(
+      new UpdateCommand({
+        TableName: TABLES.rooms,
+        Key: { roomId },
+        UpdateExpression: 'SET #stage = :nextStage, stageEndsAt = :nextEndsAt, updatedAt = :now',
+        ConditionExpression: '#stage = :currentStage AND stageEndsAt = :currentEndsAt',
+        ExpressionAttributeNames: {
+          '#stage': 'stage',
         },
-        details: {
-          stage,
-          nudgeBeforeEndSec: config.nudgeBeforeEndSec,
+        ExpressionAttributeValues: {
+          ':nextStage': nextStage,
+          ':nextEndsAt': nextEndsAt,
+          ':now': now,
+          ':currentStage': currentStage,
+          ':currentEndsAt': currentEndsAt,
         },
+        ReturnValues: 'ALL_NEW',
+      })
+    );
+    const updated = normalizeRoomShape(Attributes || room);
+    publishRoomEvent(roomId, 'room_state', {
+      siteId: updated.siteId || parseRoomId(roomId).siteId,
+      stage: updated.stage || DEFAULT_STAGE,
+    });
+    return { updated, advanced: true, conflict: false };
+  } catch (err) {
+    if (err?.name === 'ConditionalCheckFailedException') {
+      return { updated: null, advanced: false, conflict: true };
+    }
+    if (shouldUseDemoFallback(err)) {
+      logDemoFallback('stage_advance', err);
+      const updated = await updateRoom(roomId, {
+        stage: nextStage,
+        stageEndsAt: nextEndsAt,
       });
+      return { updated, advanced: true, conflict: false };
     }
+    throw err;
   }
+}
 
-  if (config.autoVote && stage === 'DISCOVERY') {
-    const shouldOpenVote =
-      !current.voteOpen &&
-      Number.isFinite(msRemaining) &&
-      msRemaining > 0 &&
-      msRemaining <= config.nudgeBeforeEndSec * 1000;
-    if (shouldOpenVote) {
-      const claimed = await claimAutopilotAction(
-        current,
-        stage,
-        'vote_open',
-        now
-      );
-      if (claimed) {
-        const openRes = await tryAutoOpenVote(current, now);
-        if (openRes.conflict) current = await ensureRoom(roomId);
-        else if (openRes.updated) current = openRes.updated;
-      }
-    }
-
-    const seats = getSeatCount(current);
-    const voteSubmittedCount = Number(current.voteSubmittedCount || 0);
-    const shouldCloseVote =
-      !!current.voteOpen &&
-      ((seats > 0 && voteSubmittedCount >= seats) ||
-        (Number.isFinite(msRemaining) && msRemaining <= 5_000));
-    if (shouldCloseVote) {
-      const claimed = await claimAutopilotAction(
-        current,
-        stage,
-        'vote_close',
-        now
-      );
-      if (claimed) {
-        const closeRes = await tryAutoCloseVote(current, now);
-        if (closeRes.conflict) current = await ensureRoom(roomId);
-        else if (closeRes.updated) current = closeRes.updated;
-      }
-    }
+async function tryCloseFinalByTimeout(room, now) {
+  const roomId = room.roomId;
+  const stage = room.stage || DEFAULT_STAGE;
+  const endsAt = toStageMs(room.stageEndsAt);
+  if (stage !== 'FINAL' || !endsAt || now < endsAt) {
+    return { closed: false, conflict: false, updated: room };
   }
 
-  return current;
-}
+  const cerGate = evaluateEvidenceBoardCerGate(room);
+  if (!cerGate.ok) {
+    await maybePostCerGateReminder(room, cerGate);
+    return { closed: false, conflict: false, updated: room, blocked: 'cer_required', cerGate };
+  }
 
-async function claimStageSideEffects(roomId, stage) {
-  const normalizedStage = String(stage || '').trim().toUpperCase();
-  if (!normalizedStage) return false;
+  const finalAbstract = (room.draftText || '').trim();
+  const closedAt = now;
 
   try {
-    await ddbDoc.send(
+    const { Attributes } = await ddbDoc.send(
       new UpdateCommand({
         TableName: TABLES.rooms,
         Key: { roomId },
-        UpdateExpression: 'SET greetedForStage.#stage = :now, updatedAt = :now',
-        ConditionExpression: 'attribute_not_exists(greetedForStage.#stage)',
+        UpdateExpression: [
+          'SET #stage = :closed',
+          'inputLocked = :true',
+          'finalCompletedAt = :closedAt',
+          'finalAbstract = :finalAbstract',
+          'closedReason = :reason',
+          'closedAt = :closedAt',
+          'updatedAt = :closedAt',
+        ].join(', '),
+        ConditionExpression: '#stage = :final AND stageEndsAt = :endsAt',
         ExpressionAttributeNames: {
-          '#stage': normalizedStage,
+          '#stage': 'stage',
         },
         ExpressionAttributeValues: {
-          ':now': Date.now(),
+          ':closed': 'CLOSED',
+          ':true': true,
+          ':closedAt': closedAt,
+          ':finalAbstract': finalAbstract,
+          ':reason': 'timeout',
+          ':final': 'FINAL',
+          ':endsAt': endsAt,
         },
+        ReturnValues: 'ALL_NEW',
       })
     );
-    return true;
+
+    const updated = normalizeRoomShape(Attributes || room);
+    publishRoomEvent(roomId, 'room_state', {
+      siteId: updated.siteId || parseRoomId(roomId).siteId,
+      stage: updated.stage || 'CLOSED',
+    });
+    await appendDecisionLog(roomId, {
+      type: 'ROOM_CLOSED',
+      stage: 'CLOSED',
+      label: 'Room closed (timeout)',
+      actorUid: '(timer)',
+      details: {
+        reason: 'timeout',
+        closedAt,
+      },
+    }).catch(() => null);
+
+    await addMessage(roomId, {
+      text: '⏰ **Time’s up — closing the room now.**',
+      phase: 'FINAL',
+      authorType: 'asema',
+      personaIndex: 0,
+    });
+    if (finalAbstract) {
+      await addMessage(roomId, {
+        text: `**Final Abstract**\n\n${finalAbstract}`,
+        phase: 'FINAL',
+        authorType: 'asema',
+        personaIndex: 0,
+      });
+    }
+
+    try {
+      const closedAtRoom = `${String(closedAt).padStart(13, '0')}#${updated.roomId}`;
+      await ddbDoc.send(
+        new PutCommand({
+          TableName: TABLES.gallery,
+          Item: {
+            siteId: updated.siteId,
+            closedAtRoom,
+            licenseId: normalizedLicenseId(updated.licenseId || updated.siteId || ''),
+            orgId: normalizedOrgId(updated.orgId || '', updated.licenseId || ''),
+            roomId: updated.roomId,
+            closedAt,
+            index: updated.index,
+            topic: updated.topic || '',
+            abstract: updated.finalAbstract || '',
+            closedBy: '(timer)',
+          },
+        })
+      );
+    } catch (err) {
+      console.warn('[gallery timeout close] put skipped:', err?.message || err);
+    }
+
+    await writeAuditEvent({
+      action: 'ROOM_CLOSED',
+      actor: {
+        uid: '(timer)',
+        role: 'SYSTEM',
+        licenseId: updated.licenseId || '',
+        orgId: updated.orgId || '',
+        siteId: updated.siteId || '',
+      },
+      target: {
+        resourceType: 'ROOM',
+        resourceId: roomId,
+        roomId,
+        siteId: updated.siteId || '',
+        licenseId: updated.licenseId || '',
+        orgId: updated.orgId || '',
+      },
+      details: {
+        reason: 'timeout',
+        closedAt,
+      },
+    });
+
+    return { closed: true, conflict: false, updated };
   } catch (err) {
-    if (err?.name === 'ConditionalCheckFailedException') return false;
+    if (err?.name === 'ConditionalCheckFailedException') {
+      return { closed: false, conflict: true, updated: null };
+    }
     if (shouldUseDemoFallback(err)) {
-      logDemoFallback('stage_side_effects_claim', err);
-      const room = getDemoRoomRecord(roomId) || createDemoRoomRecord(roomId);
-      const greetedForStage =
-        room.greetedForStage && typeof room.greetedForStage === 'object'
-          ? { ...room.greetedForStage }
-          : {};
-      if (Object.prototype.hasOwnProperty.call(greetedForStage, normalizedStage)) {
-        return false;
-      }
-      greetedForStage[normalizedStage] = Date.now();
-      setDemoRoomRecord({
-        ...room,
-        greetedForStage,
-        updatedAt: Date.now(),
+      logDemoFallback('stage_close_final', err);
+      const updated = await updateRoom(roomId, {
+        stage: 'CLOSED',
+        inputLocked: true,
+        finalCompletedAt: closedAt,
+        finalAbstract,
+        closedReason: 'timeout',
+        closedAt,
       });
-      return true;
+      await addMessage(roomId, {
+        text: '⏰ **Time’s up — closing the room now.**',
+        phase: 'FINAL',
+        authorType: 'asema',
+        personaIndex: 0,
+      });
+      if (finalAbstract) {
+        await addMessage(roomId, {
+          text: `**Final Abstract**\n\n${finalAbstract}`,
+          phase: 'FINAL',
+          authorType: 'asema',
+          personaIndex: 0,
+        });
+      }
+      return { closed: true, conflict: false, updated };
     }
     throw err;
   }
 }
 
-async function emitStageSideEffectsOnce(room) {
-  try {
-    const stage = room?.stage || DEFAULT_STAGE;
-    const roomId = room?.roomId;
-    if (!roomId || stage === 'CLOSED') return;
-
-    const claimed = await claimStageSideEffects(roomId, stage);
-    if (!claimed) return;
+async function advanceRoomTimeline(roomId, { room = null, now = Date.now(), maxTransitions = 6 } = {}) {
+  let current = room ? normalizeRoomShape(room) : await ensureRoom(roomId);
 
-    await addMessage(roomId, {
-      text: stageInstructionText(stage),
-      phase: stage,
-      authorType: 'asema',
-      personaIndex: 0,
-    });
+  for (let i = 0; i < maxTransitions; i++) {
+    current = await runAutopilotForRoom(current, now);
+    const stage = current.stage || DEFAULT_STAGE;
+    if (stage === 'CLOSED') return current;
 
-    if (stage === 'DISCOVERY') {
-      try {
-        const aiPolicy = await resolveAiPolicyForRoom(room);
-        const personalized = await Asema.greet(stage, room.topic || '', {
-          ...buildAsemaOptions(room, aiPolicy),
-        });
-        await addMessage(roomId, {
-          text: personalized,
-          phase: stage,
-          authorType: 'asema',
-          personaIndex: 0,
-        });
-      } catch (err) {
-        console.error('[stage side-effects DISCOVERY greet] error', err);
+    const endsAt = toStageMs(current.stageEndsAt);
+    if (!endsAt) {
+      const initRes = await tryInitializeRoomStageEndsAt(current, now);
+      if (initRes.conflict) {
+        current = await ensureRoom(roomId);
+        continue;
       }
+      current = initRes.updated || current;
+      await emitStageSideEffectsOnce(current);
+      return current;
     }
 
-    if (stage === 'EDITING') {
-      const draft = (room.draftText || '').trim();
-      if (draft) {
-        await addMessage(roomId, {
-          text: `🧾 **Latest Draft (v${Number(room.draftVersion || 0)})**\n\n${draft}`,
-          phase: 'EDITING',
-          authorType: 'asema',
-          personaIndex: 0,
-        });
-      } else {
-        await addMessage(roomId, {
-          text: 'I don’t see a saved draft yet — generate one in ROUGH_DRAFT first.',
-          phase: 'EDITING',
-          authorType: 'asema',
-          personaIndex: 0,
-        });
+    if (stage === 'FINAL') {
+      await emitStageSideEffectsOnce(current);
+      const closeRes = await tryCloseFinalByTimeout(current, now);
+      if (closeRes.conflict) {
+        current = await ensureRoom(roomId);
+        continue;
       }
+      return closeRes.updated || current;
     }
 
-    if (stage === 'FINAL') {
-      const draft = (room.draftText || '').trim();
-      const version = Number(room.draftVersion || 0);
-      await addMessage(roomId, {
-        text:
-          `🏁 **FINAL STAGE**\n` +
-          `Make your last edits to the draft below. When YOU are finished, type **done** (or **submit**).\n\n` +
-          `🧾 **Draft (v${version})**\n\n${draft || '(No draft saved yet.)'}`,
-        phase: 'FINAL',
-        authorType: 'asema',
-        personaIndex: 0,
-      });
+    if (now < endsAt) {
+      await emitStageSideEffectsOnce(current);
+      return current;
+    }
+
+    const advanceRes = await tryAdvanceNonFinalStage(current, now);
+    if (advanceRes.conflict) {
+      current = await ensureRoom(roomId);
+      continue;
     }
+    current = advanceRes.updated || current;
+    await emitStageSideEffectsOnce(current);
+    if (!advanceRes.advanced) return current;
+  }
+
+  return current;
+}
+
+async function advanceSiteTimeline(siteIdRaw, licenseId, orgId = '') {
+  const siteId = normalizedSiteId(siteIdRaw);
+  if (!siteId) return;
+  const roomConfig = await resolveWorkshopRoomConfig({ siteId, licenseId, orgId });
+  const maxRooms = toPositiveInt(roomConfig?.roomsPerSite, 5, { min: 1, max: MAX_ROOMS_PER_SITE });
+  const now = Date.now();
+  for (let i = 1; i <= maxRooms; i++) {
+    const roomId = `${siteId}-${i}`;
+    // eslint-disable-next-line no-await-in-loop
+    await advanceRoomTimeline(roomId, { now });
+  }
+}
+
+// ---------- Room Assignment (capacity driven by workshop config) ----------
+async function resolveWorkshopRoomConfig({ siteId, licenseId, orgId = '' } = {}) {
+  const normalizedSite = normalizedSiteId(siteId);
+  const normalizedLicense = normalizedLicenseId(licenseId || normalizedSite);
+  const normalizedOrg = normalizedOrgId(orgId, normalizedLicense);
+  if (!normalizedSite) {
+    return {
+      roomsPerSite: 5,
+      seatLimitPerRoom: DEFAULT_SEAT_LIMIT_PER_ROOM,
+      workshop: null,
+      licenseStatus: 'ACTIVE',
+      expectedUsers: DEFAULT_EXPECTED_USERS,
+      activeUserCap: DEFAULT_EXPECTED_USERS,
+    };
+  }
+
+  try {
+    const workshop = await ensureWorkshopConfig({
+      licenseId: normalizedLicense,
+      orgId: normalizedOrg,
+      siteIds: [normalizedSite],
+    });
+    return {
+      roomsPerSite: toPositiveInt(workshop?.roomsPerSite, 5, {
+        min: 1,
+        max: MAX_ROOMS_PER_SITE,
+      }),
+      seatLimitPerRoom: toPositiveInt(
+        workshop?.seatLimitPerRoom,
+        DEFAULT_SEAT_LIMIT_PER_ROOM,
+        { min: 1, max: MAX_SEAT_LIMIT_PER_ROOM }
+      ),
+      workshop,
+      licenseStatus: String(workshop?.licenseStatus || 'ACTIVE').toUpperCase(),
+      expectedUsers: toPositiveInt(workshop?.expectedUsers, DEFAULT_EXPECTED_USERS, {
+        min: 1,
+        max: 20_000,
+      }),
+      activeUserCap: toPositiveInt(
+        workshop?.activeUserCap,
+        toPositiveInt(workshop?.expectedUsers, DEFAULT_EXPECTED_USERS, {
+          min: 1,
+          max: 20_000,
+        }),
+        { min: 1, max: 50_000 }
+      ),
+    };
   } catch (err) {
-    console.error('[emitStageSideEffectsOnce] error:', err);
+    console.warn('[rooms] workshop config unavailable, using defaults', err?.message || err);
+    return {
+      roomsPerSite: 5,
+      seatLimitPerRoom: DEFAULT_SEAT_LIMIT_PER_ROOM,
+      workshop: null,
+      licenseStatus: 'ACTIVE',
+      expectedUsers: DEFAULT_EXPECTED_USERS,
+      activeUserCap: DEFAULT_EXPECTED_USERS,
+    };
   }
 }
 
-async function tryInitializeRoomStageEndsAt(room, now) {
-  const roomId = room.roomId;
-  const stage = room.stage || DEFAULT_STAGE;
-  const stageEndsAt = now + getRoomStageDurationMs(room, stage);
+async function tryAssignSeat({ roomId, uid, maxSeats = null }) {
+  const values = {
+    ':emptySeats': [],
+    ':emptySeatUids': [],
+    ':newSeat': [{ uid }],
+    ':newUid': [uid],
+    ':uid': uid,
+    ':now': Date.now(),
+  };
+
+  const conditionParts = ['attribute_not_exists(seatUids) OR NOT contains(seatUids, :uid)'];
+  if (Number.isFinite(Number(maxSeats))) {
+    values[':maxSeats'] = Number(maxSeats);
+    conditionParts.push('attribute_not_exists(seatUids) OR size(seatUids) < :maxSeats');
+  }
 
   try {
     const { Attributes } = await ddbDoc.send(
       new UpdateCommand({
         TableName: TABLES.rooms,
         Key: { roomId },
-        UpdateExpression: 'SET stageEndsAt = :endsAt, updatedAt = :now',
-        ConditionExpression: 'attribute_not_exists(stageEndsAt) OR stageEndsAt = :zero',
-        ExpressionAttributeValues: {
-          ':endsAt': stageEndsAt,
-          ':now': now,
-          ':zero': 0,
-        },
+        UpdateExpression: [
+          'SET seats = list_append(if_not_exists(seats, :emptySeats), :newSeat)',
+          'seatUids = list_append(if_not_exists(seatUids, :emptySeatUids), :newUid)',
+          'updatedAt = :now',
+        ].join(', '),
+        ConditionExpression: conditionParts.map((p) => `(${p})`).join(' AND '),
+        ExpressionAttributeValues: values,
         ReturnValues: 'ALL_NEW',
       })
     );
-    const updated = normalizeRoomShape(Attributes || room);
+
+    const room = normalizeRoomShape(Attributes);
     publishRoomEvent(roomId, 'room_state', {
-      siteId: updated.siteId || parseRoomId(roomId).siteId,
-      stage: updated.stage || DEFAULT_STAGE,
+      siteId: room.siteId || parseRoomId(roomId).siteId,
+      stage: room.stage || DEFAULT_STAGE,
     });
-    return { updated, conflict: false };
+    return room;
   } catch (err) {
-    if (err?.name === 'ConditionalCheckFailedException') {
-      return { updated: null, conflict: true };
+    if (shouldUseDemoFallback(err)) {
+      logDemoFallback('room_assign_seat', err);
+      const room = getDemoRoomRecord(roomId) || createDemoRoomRecord(roomId);
+      const seatUids = Array.isArray(room.seatUids)
+        ? room.seatUids.map((entry) => String(entry || '').trim()).filter(Boolean)
+        : [];
+      if (seatUids.includes(uid)) return setDemoRoomRecord(room);
+      if (Number.isFinite(Number(maxSeats)) && seatUids.length >= Number(maxSeats)) {
+        return null;
+      }
+      const seats = Array.isArray(room.seats) ? room.seats.slice() : [];
+      seats.push({ uid });
+      seatUids.push(uid);
+      const next = setDemoRoomRecord({
+        ...room,
+        seats,
+        seatUids,
+        updatedAt: Date.now(),
+      });
+      publishRoomEvent(roomId, 'room_state', {
+        siteId: next.siteId || parseRoomId(roomId).siteId,
+        stage: next.stage || DEFAULT_STAGE,
+      });
+      return next;
     }
-    if (shouldUseDemoFallback(err)) {
-      logDemoFallback('stage_init_ends_at', err);
-      const updated = await updateRoom(roomId, { stageEndsAt });
-      return { updated, conflict: false };
+    if (err?.name === 'ConditionalCheckFailedException') {
+      return null;
     }
     throw err;
   }
 }
 
-async function tryAdvanceNonFinalStage(room, now) {
-  const roomId = room.roomId;
-  const currentStage = room.stage || DEFAULT_STAGE;
-  const currentEndsAt = toStageMs(room.stageEndsAt);
-  if (!currentEndsAt || now < currentEndsAt) {
-    return { updated: room, advanced: false, conflict: false };
+async function assignRoomForUser(
+  siteIdRaw,
+  uid,
+  { maxRooms = 5, maxSeats = DEFAULT_SEAT_LIMIT_PER_ROOM } = {}
+) {
+  const siteId = String(siteIdRaw || '').trim().toUpperCase();
+  if (!siteId) throw new Error('siteId required');
+
+  const MAX_ROOMS = toPositiveInt(maxRooms, 5, { min: 1, max: MAX_ROOMS_PER_SITE });
+  const MAX_SEATS = toPositiveInt(maxSeats, DEFAULT_SEAT_LIMIT_PER_ROOM, {
+    min: 1,
+    max: MAX_SEAT_LIMIT_PER_ROOM,
+  });
+  const rooms = [];
+
+  for (let i = 1; i <= MAX_ROOMS; i++) {
+    const roomId = `${siteId}-${i}`;
+    const room = await ensureRoom(roomId);
+    const seatUids = Array.isArray(room.seatUids) ? room.seatUids : [];
+
+    if (seatUids.includes(uid)) {
+      return {
+        roomId,
+        index: room.index,
+        siteId,
+        seats: seatUids.length,
+      };
+    }
+
+    rooms.push({
+      roomId,
+      index: room.index,
+      seats: seatUids.length,
+    });
   }
 
-  const phaseGate = evaluatePhaseExitGate(room, currentStage);
-  if (!phaseGate.ok) {
-    await maybePostPhaseGateReminder(room, phaseGate).catch(() => null);
-    const deferredEndsAt = now + 60_000;
-    try {
-      const { Attributes } = await ddbDoc.send(
-        new UpdateCommand({
-          TableName: TABLES.rooms,
-          Key: { roomId },
-          UpdateExpression: 'SET stageEndsAt = :deferredEndsAt, updatedAt = :now',
-          ConditionExpression: '#stage = :currentStage AND stageEndsAt = :currentEndsAt',
-          ExpressionAttributeNames: {
-            '#stage': 'stage',
-          },
-          ExpressionAttributeValues: {
-            ':deferredEndsAt': deferredEndsAt,
-            ':now': now,
-            ':currentStage': currentStage,
-            ':currentEndsAt': currentEndsAt,
-          },
-          ReturnValues: 'ALL_NEW',
-        })
-      );
-      const updated = normalizeRoomShape(Attributes || room);
-      publishRoomEvent(roomId, 'room_state', {
-        siteId: updated.siteId || parseRoomId(roomId).siteId,
-        stage: updated.stage || DEFAULT_STAGE,
-      });
+  // Try strict assignment first (cap at MAX_SEATS)
+  for (const room of rooms) {
+    if (room.seats >= MAX_SEATS) continue;
+    const updated = await tryAssignSeat({
+      roomId: room.roomId,
+      uid,
+      maxSeats: MAX_SEATS,
+    });
+    if (!updated) continue;
+    return {
+      roomId: updated.roomId,
+      index: updated.index,
+      siteId,
+      seats: getSeatCount(updated),
+    };
+  }
+
+  // Overflow fallback: allow one more seat but still enforce idempotency.
+  const overflowRoom = rooms[rooms.length - 1];
+  const overflowUpdated = await tryAssignSeat({
+    roomId: overflowRoom.roomId,
+    uid,
+    maxSeats: null,
+  });
+
+  if (!overflowUpdated) {
+    const latest = await ensureRoom(overflowRoom.roomId);
+    if (Array.isArray(latest.seatUids) && latest.seatUids.includes(uid)) {
       return {
-        updated,
-        advanced: false,
-        conflict: false,
-        gated: true,
-        phaseGate,
+        roomId: latest.roomId,
+        index: latest.index,
+        siteId,
+        seats: getSeatCount(latest),
       };
-    } catch (err) {
-      if (err?.name === 'ConditionalCheckFailedException') {
-        return { updated: null, advanced: false, conflict: true, gated: true, phaseGate };
-      }
-      if (shouldUseDemoFallback(err)) {
-        logDemoFallback('stage_gate_hold', err);
-        const updated = await updateRoom(roomId, { stageEndsAt: deferredEndsAt });
-        return {
-          updated,
-          advanced: false,
-          conflict: false,
-          gated: true,
-          phaseGate,
-        };
-      }
-      throw err;
     }
+    throw new Error('assign_conflict');
   }
 
-  const nextStage = advanceStageVal(currentStage);
-  if (!nextStage || nextStage === currentStage) {
-    return { updated: room, advanced: false, conflict: false };
+  return {
+    roomId: overflowUpdated.roomId,
+    index: overflowUpdated.index,
+    siteId,
+    seats: getSeatCount(overflowUpdated),
+  };
+}
+
+async function getSiteSeatStats(siteIdRaw, uid, maxRooms = 5) {
+  const siteId = String(siteIdRaw || '').trim().toUpperCase();
+  const MAX_ROOMS = toPositiveInt(maxRooms, 5, { min: 1, max: MAX_ROOMS_PER_SITE });
+  let assignedSeats = 0;
+  let existingAssignment = null;
+  for (let i = 1; i <= MAX_ROOMS; i++) {
+    const roomId = `${siteId}-${i}`;
+    // eslint-disable-next-line no-await-in-loop
+    const room = await ensureRoom(roomId);
+    const seatUids = Array.isArray(room.seatUids) ? room.seatUids : [];
+    assignedSeats += seatUids.length;
+    if (!existingAssignment && uid && seatUids.includes(uid)) {
+      existingAssignment = {
+        roomId,
+        index: room.index,
+        siteId,
+        seats: seatUids.length,
+      };
+    }
   }
-  const nextEndsAt = now + getRoomStageDurationMs(room, nextStage);
+  return { assignedSeats, existingAssignment };
+}
 
+app.post('/rooms/assign', requireAuth, async (req, res) => {
   try {
-    const { Attributes } = await ddbDoc.send(
-      new UpdateCommand({
-        TableName: TABLES.rooms,
-        Key: { roomId },
-        UpdateExpression: 'SET #stage = :nextStage, stageEndsAt = :nextEndsAt, updatedAt = :now',
-        ConditionExpression: '#stage = :currentStage AND stageEndsAt = :currentEndsAt',
-        ExpressionAttributeNames: {
-          '#stage': 'stage',
-        },
-        ExpressionAttributeValues: {
-          ':nextStage': nextStage,
-          ':nextEndsAt': nextEndsAt,
-          ':now': now,
-          ':currentStage': currentStage,
-          ':currentEndsAt': currentEndsAt,
-        },
-        ReturnValues: 'ALL_NEW',
-      })
-    );
-    const updated = normalizeRoomShape(Attributes || room);
-    publishRoomEvent(roomId, 'room_state', {
-      siteId: updated.siteId || parseRoomId(roomId).siteId,
-      stage: updated.stage || DEFAULT_STAGE,
+    const { siteId } = req.body || {};
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId required' });
+    }
+    const requestedSite = normalizedSiteId(siteId);
+    const tokenSite = normalizedSiteId(req.user.siteId);
+    if (tokenSite && tokenSite !== requestedSite) {
+      return res.status(403).json({ error: 'site_forbidden' });
+    }
+    const tenantSites = sanitizeSiteIds(req.tenantWorkshop?.siteIds, []);
+    if (tenantSites.length && !tenantSites.includes(requestedSite)) {
+      return res.status(403).json({ error: 'tenant_site_mismatch' });
+    }
+    const roomConfig = await resolveWorkshopRoomConfig({
+      siteId: requestedSite,
+      licenseId: req.user.licenseId,
+      orgId: req.user.orgId,
     });
-    return { updated, advanced: true, conflict: false };
-  } catch (err) {
-    if (err?.name === 'ConditionalCheckFailedException') {
-      return { updated: null, advanced: false, conflict: true };
+    if (String(roomConfig.licenseStatus || 'ACTIVE') !== 'ACTIVE') {
+      const status =
+        String(roomConfig.licenseStatus || '').toUpperCase() === 'SUSPENDED' ? 423 : 402;
+      return res.status(status).json({ error: `license_${String(roomConfig.licenseStatus || '').toLowerCase()}` });
+    }
+    const entitlementCheck = await enforceRuntimeLicenseEntitlements({
+      role: req.user.role,
+      licenseId: req.user.licenseId,
+      orgId: req.user.orgId,
+      siteId: requestedSite,
+      workshop: roomConfig,
+      automate: true,
+      bypassAdmin: false,
+    });
+    if (!entitlementCheck.ok) {
+      return res.status(entitlementCheck.statusCode || 403).json({
+        error: entitlementCheck.error || 'license_forbidden',
+        usageCap: Number(entitlementCheck.usageCap || 0) || undefined,
+        meteredUnits: Number(entitlementCheck.meteredUnits || 0) || undefined,
+        overageUnits: Number(entitlementCheck.overageUnits || 0) || undefined,
+      });
+    }
+
+    // Enforce per-site assignment checks and global seat caps before assigning a new seat.
+    const { assignedSeats, existingAssignment } = await getSiteSeatStats(
+      requestedSite,
+      req.user.uid,
+      roomConfig.roomsPerSite
+    );
+    const globalSeatCap = Math.max(
+      0,
+      Number(
+        entitlementCheck.license?.seatCap ||
+          roomConfig.seatCap ||
+          roomConfig.expectedUsers ||
+          DEFAULT_EXPECTED_USERS
+      ) || 0
+    );
+    const globallyAssignedSeats = Math.max(
+      0,
+      Number(entitlementCheck.usage?.assignedSeats || 0) || 0
+    );
+    if (!existingAssignment && globalSeatCap > 0 && globallyAssignedSeats >= globalSeatCap) {
+      return res.status(429).json({
+        error: 'license_seat_cap_reached',
+        seatCap: globalSeatCap,
+        assignedSeats: globallyAssignedSeats,
+      });
     }
-    if (shouldUseDemoFallback(err)) {
-      logDemoFallback('stage_advance', err);
-      const updated = await updateRoom(roomId, {
-        stage: nextStage,
-        stageEndsAt: nextEndsAt,
+    if (!existingAssignment) {
+      const activeCapCheck = await enforceLicenseActiveUserCap({
+        licenseId: req.user.licenseId,
+        activeUserCap: roomConfig.activeUserCap,
+        uid: req.user.uid,
       });
-      return { updated, advanced: true, conflict: false };
+      if (!activeCapCheck.ok) {
+        return res.status(429).json({
+          error: activeCapCheck.error,
+          activeUsers: activeCapCheck.activeUsers,
+          activeUserCap: activeCapCheck.cap,
+        });
+      }
     }
-    throw err;
+    const assigned =
+      existingAssignment ||
+      (await assignRoomForUser(requestedSite, req.user.uid, {
+        maxRooms: roomConfig.roomsPerSite,
+        maxSeats: roomConfig.seatLimitPerRoom,
+      }));
+    return res.json({
+      ...assigned,
+      seatLimitPerRoom: roomConfig.seatLimitPerRoom,
+      roomsPerSite: roomConfig.roomsPerSite,
+      activeUserCap: roomConfig.activeUserCap,
+      seatCap: globalSeatCap,
+      assignedSeatsGlobal: globallyAssignedSeats,
+      assignedSeatsSite: assignedSeats,
+    });
+  } catch (e) {
+    console.error('[/rooms/assign] error', e);
+    return res.status(500).json({ error: 'assign_failed' });
   }
-}
+});
 
-async function tryCloseFinalByTimeout(room, now) {
-  const roomId = room.roomId;
-  const stage = room.stage || DEFAULT_STAGE;
-  const endsAt = toStageMs(room.stageEndsAt);
-  if (stage !== 'FINAL' || !endsAt || now < endsAt) {
-    return { closed: false, conflict: false, updated: room };
-  }
+// Legacy compatibility shim: progression is handled by advanceRoomTimeline().
+stageEngine = {
+  touch: () => {},
+  start: () => {},
+  stop: () => {},
+};
 
-  const cerGate = evaluateEvidenceBoardCerGate(room);
-  if (!cerGate.ok) {
-    await maybePostCerGateReminder(room, cerGate);
-    return { closed: false, conflict: false, updated: room, blocked: 'cer_required', cerGate };
-  }
+// ---------- Health ----------
+app.get('/health', (_req, res) =>
+  res.json({
+    ok: true,
+    region: AWS_REGION,
+    time: new Date().toISOString(),
+    demoModeFallback: DEMO_MODE_FALLBACK,
+  })
+);
+app.get('/api/health', (_req, res) =>
+  res.json({
+    ok: true,
+    region: AWS_REGION,
+    time: new Date().toISOString(),
+    demoModeFallback: DEMO_MODE_FALLBACK,
+  })
+);
+app.get('/health/dependencies', async (_req, res) => {
+  const health = await refreshDependencyHealth();
+  return res.json({
+    ok: true,
+    time: new Date().toISOString(),
+    demoModeFallback: DEMO_MODE_FALLBACK,
+    dependencies: {
+      api: health.api,
+      aws: health.aws,
+      openai: health.openai,
+    },
+  });
+});
+app.get('/metrics', (_req, res) => {
+  const routeTop = Array.from(runtimeMetrics.byRoute.entries())
+    .sort((a, b) => Number(b[1] || 0) - Number(a[1] || 0))
+    .slice(0, 100)
+    .map(([route, count]) => ({ route, count }));
+  const byStatus = Object.fromEntries(Array.from(runtimeMetrics.byStatus.entries()));
+  const byMethod = Object.fromEntries(Array.from(runtimeMetrics.byMethod.entries()));
+  res.json({
+    requestsTotal: runtimeMetrics.requestsTotal,
+    errors5xx: runtimeMetrics.errors5xx,
+    byStatus,
+    byMethod,
+    topRoutes: routeTop,
+    emittedAt: new Date().toISOString(),
+  });
+});
+app.get('/version', (_req, res) =>
+  res.json({
+    commit: process.env.GIT_COMMIT || null,
+    build: process.env.BUILD_ID || null,
+    time: new Date().toISOString(),
+  })
+);
 
-  const finalAbstract = (room.draftText || '').trim();
-  const closedAt = now;
+// ---------- Presenter: list rooms ----------
+app.get(
+  '/presenter/rooms',
+  requireAuth,
+  requirePresenter,
+  requirePresenterSiteMatchFromQuery,
+  async (req, res) => {
+  const siteId = String(req.query.siteId || '').trim().toUpperCase();
+  if (!siteId) return res.json({ rooms: [] });
 
-  try {
-    const { Attributes } = await ddbDoc.send(
-      new UpdateCommand({
-        TableName: TABLES.rooms,
-        Key: { roomId },
-        UpdateExpression: [
-          'SET #stage = :closed',
-          'inputLocked = :true',
-          'finalCompletedAt = :closedAt',
-          'finalAbstract = :finalAbstract',
-          'closedReason = :reason',
-          'closedAt = :closedAt',
-          'updatedAt = :closedAt',
-        ].join(', '),
-        ConditionExpression: '#stage = :final AND stageEndsAt = :endsAt',
-        ExpressionAttributeNames: {
-          '#stage': 'stage',
-        },
-        ExpressionAttributeValues: {
-          ':closed': 'CLOSED',
-          ':true': true,
-          ':closedAt': closedAt,
-          ':finalAbstract': finalAbstract,
-          ':reason': 'timeout',
-          ':final': 'FINAL',
-          ':endsAt': endsAt,
-        },
-        ReturnValues: 'ALL_NEW',
-      })
-    );
+  const roomConfig = await resolveWorkshopRoomConfig({
+    siteId,
+    licenseId: req.user.licenseId,
+    orgId: req.user.orgId,
+  });
 
-    const updated = normalizeRoomShape(Attributes || room);
-    publishRoomEvent(roomId, 'room_state', {
-      siteId: updated.siteId || parseRoomId(roomId).siteId,
-      stage: updated.stage || 'CLOSED',
-    });
-    await appendDecisionLog(roomId, {
-      type: 'ROOM_CLOSED',
-      stage: 'CLOSED',
-      label: 'Room closed (timeout)',
-      actorUid: '(timer)',
-      details: {
-        reason: 'timeout',
-        closedAt,
+  const out = [];
+  const MAX_ROOMS = roomConfig.roomsPerSite;
+  for (let i = 1; i <= MAX_ROOMS; i++) {
+    const id = `${siteId}-${i}`;
+    const r = await advanceRoomTimeline(id);
+    const phaseExitGate = evaluatePhaseExitGate(r, r.stage || DEFAULT_STAGE);
+    const qualityScorecard = buildRoomQualityScorecard(r);
+    const privateDraftQueueCount = serializePrivateDraftState(r, '').submissions.length;
+    const draftApprovalRequired = getSeatCount(r) >= 4 ? 2 : 1;
+    const approvalUids = Array.isArray(r.draftApprovedByUids)
+      ? r.draftApprovedByUids.map((uid) => String(uid || '').trim()).filter(Boolean)
+      : [];
+    const seatUids = roomSeatUids(r);
+    const approvalRoster = seatUids.map((uid, index) => ({
+      uid,
+      label: `Seat ${index + 1}`,
+      approved: approvalUids.includes(uid),
+    }));
+    out.push({
+      id: r.roomId,
+      index: r.index,
+      stage: r.stage,
+      stageEndsAt: toStageMs(r.stageEndsAt),
+      inputLocked: !!r.inputLocked,
+      topic: r.topic || '',
+      seats: getSeatCount(r),
+      vote: {
+        open: !!r.voteOpen,
+        total: Number(r.voteTotal || 0),
+        tallies: r.voteTallies || {},
+        mode: readVoteConfig(r.voteConfig).mode,
       },
-    }).catch(() => null);
-
-    await addMessage(roomId, {
-      text: '⏰ **Time’s up — closing the room now.**',
-      phase: 'FINAL',
-      authorType: 'asema',
-      personaIndex: 0,
-    });
-    if (finalAbstract) {
-      await addMessage(roomId, {
-        text: `**Final Abstract**\n\n${finalAbstract}`,
-        phase: 'FINAL',
-        authorType: 'asema',
-        personaIndex: 0,
-      });
-    }
+      autopilot: normalizeAutopilotConfig(r.autopilot, AUTOPILOT_DEFAULT),
 
-    try {
-      const closedAtRoom = `${String(closedAt).padStart(13, '0')}#${updated.roomId}`;
-      await ddbDoc.send(
-        new PutCommand({
-          TableName: TABLES.gallery,
-          Item: {
-            siteId: updated.siteId,
-            closedAtRoom,
-            licenseId: normalizedLicenseId(updated.licenseId || updated.siteId || ''),
-            orgId: normalizedOrgId(updated.orgId || '', updated.licenseId || ''),
-            roomId: updated.roomId,
-            closedAt,
-            index: updated.index,
-            topic: updated.topic || '',
-            abstract: updated.finalAbstract || '',
-            closedBy: '(timer)',
-          },
-        })
-      );
-    } catch (err) {
-      console.warn('[gallery timeout close] put skipped:', err?.message || err);
-    }
+      // draft + final preview
+      draftVersion: Number(r.draftVersion || 0),
+      draftUpdatedAt: r.draftUpdatedAt || null,
+      finalAbstract: r.finalAbstract || '',
+      closedAt: r.closedAt || null,
+      closedReason: r.closedReason || null,
+      phaseExitGate,
+      qualityScorecard,
+      privateDraftQueueCount,
+      draftApproval: {
+        approvedCount: approvalUids.length,
+        requiredApprovals: draftApprovalRequired,
+        approvedVersion: Number(r.draftApprovedVersion || 0),
+        draftVersion: Number(r.draftVersion || 0),
+        approvedByUids: approvalUids,
+        roster: approvalRoster,
+      },
+      decisionLogCount: Array.isArray(r.decisionLog) ? r.decisionLog.length : 0,
+      aiFallback: serializeAiFallbackState(r, r.stage || DEFAULT_STAGE),
+      extensionRequest: pendingExtensionRequest(r),
+      lastParticipantMessageAt: Number(r.lastParticipantMessageAt || 0) || 0,
+    });
 
+  }
     await writeAuditEvent({
-      action: 'ROOM_CLOSED',
-      actor: {
-        uid: '(timer)',
-        role: 'SYSTEM',
-        licenseId: updated.licenseId || '',
-        orgId: updated.orgId || '',
-        siteId: updated.siteId || '',
-      },
+      action: 'PRESENTER_ROOMS_READ',
+      actor: req.user,
       target: {
         resourceType: 'ROOM',
-        resourceId: roomId,
-        roomId,
-        siteId: updated.siteId || '',
-        licenseId: updated.licenseId || '',
-        orgId: updated.orgId || '',
-      },
-      details: {
-        reason: 'timeout',
-        closedAt,
+        resourceId: siteId,
+        siteId,
+        licenseId: req.user.licenseId,
+        orgId: req.user.orgId,
       },
+      details: { roomsReturned: out.length },
     });
+    res.json({ rooms: out });
+  }
+);
 
-    return { closed: true, conflict: false, updated };
-  } catch (err) {
-    if (err?.name === 'ConditionalCheckFailedException') {
-      return { closed: false, conflict: true, updated: null };
-    }
-    if (shouldUseDemoFallback(err)) {
-      logDemoFallback('stage_close_final', err);
-      const updated = await updateRoom(roomId, {
-        stage: 'CLOSED',
-        inputLocked: true,
-        finalCompletedAt: closedAt,
-        finalAbstract,
-        closedReason: 'timeout',
-        closedAt,
-      });
-      await addMessage(roomId, {
-        text: '⏰ **Time’s up — closing the room now.**',
-        phase: 'FINAL',
-        authorType: 'asema',
-        personaIndex: 0,
-      });
-      if (finalAbstract) {
-        await addMessage(roomId, {
-          text: `**Final Abstract**\n\n${finalAbstract}`,
-          phase: 'FINAL',
-          authorType: 'asema',
-          personaIndex: 0,
+async function listSiteGalleryItems(siteId, user = {}) {
+  const roomConfig = await resolveWorkshopRoomConfig({
+    siteId,
+    licenseId: user.licenseId,
+    orgId: user.orgId,
+  });
+
+  let items = [];
+  // If TABLES.gallery exists with PK=siteId, query it; else fallback to rooms
+  try {
+    const { Items } = await ddbDoc.send(
+      new QueryCommand({
+        TableName: TABLES.gallery,
+        KeyConditionExpression: 'siteId = :s',
+        ExpressionAttributeValues: { ':s': siteId },
+        ScanIndexForward: false,
+        Limit: 50,
+      })
+    );
+    items = Items || [];
+  } catch (e) {
+    items = [];
+    for (let i = 1; i <= roomConfig.roomsPerSite; i++) {
+      const r = await ensureRoom(`${siteId}-${i}`);
+      if (r.stage === 'CLOSED' && (r.finalAbstract || '').trim()) {
+        items.push({
+          siteId,
+          roomId: r.roomId,
+          closedAt: r.closedAt || r.finalCompletedAt || null,
+          index: r.index,
+          topic: r.topic || '',
+          abstract: r.finalAbstract || '',
         });
       }
-      return { closed: true, conflict: false, updated };
     }
-    throw err;
   }
+  return items;
 }
 
-async function advanceRoomTimeline(roomId, { room = null, now = Date.now(), maxTransitions = 6 } = {}) {
-  let current = room ? normalizeRoomShape(room) : await ensureRoom(roomId);
-
-  for (let i = 0; i < maxTransitions; i++) {
-    current = await runAutopilotForRoom(current, now);
-    const stage = current.stage || DEFAULT_STAGE;
-    if (stage === 'CLOSED') return current;
-
-    const endsAt = toStageMs(current.stageEndsAt);
-    if (!endsAt) {
-      const initRes = await tryInitializeRoomStageEndsAt(current, now);
-      if (initRes.conflict) {
-        current = await ensureRoom(roomId);
-        continue;
-      }
-      current = initRes.updated || current;
-      await emitStageSideEffectsOnce(current);
-      return current;
-    }
-
-    if (stage === 'FINAL') {
-      await emitStageSideEffectsOnce(current);
-      const closeRes = await tryCloseFinalByTimeout(current, now);
-      if (closeRes.conflict) {
-        current = await ensureRoom(roomId);
-        continue;
-      }
-      return closeRes.updated || current;
-    }
+// Presenter gallery (all closed abstracts for site)
+app.get(
+  '/presenter/gallery',
+  requireAuth,
+  requirePresenter,
+  requirePresenterSiteMatchFromQuery,
+  async (req, res) => {
+  const siteId = String(req.query.siteId || '').trim().toUpperCase();
+  if (!siteId) return res.json({ items: [] });
+  const items = await listSiteGalleryItems(siteId, req.user);
+    await writeAuditEvent({
+      action: 'PRESENTER_GALLERY_READ',
+      actor: req.user,
+      target: {
+        resourceType: 'GALLERY',
+        resourceId: siteId,
+        siteId,
+        licenseId: req.user.licenseId,
+        orgId: req.user.orgId,
+      },
+      details: { itemsReturned: Array.isArray(items) ? items.length : 0 },
+    });
+    return res.json({ items });
+  }
+);
 
-    if (now < endsAt) {
-      await emitStageSideEffectsOnce(current);
-      return current;
-    }
+// ---------- Site gallery ballot ----------
+// One ballot per site, kept on the site's first room like the autopilot
+// config. Every seated participant votes from their own room and never for it.
+const GALLERY_BALLOT_CONFIG_KEYS = ['mode', 'tieBreak', 'pointsBudget', 'maxApprovals'];
 
-    const advanceRes = await tryAdvanceNonFinalStage(current, now);
-    if (advanceRes.conflict) {
-      current = await ensureRoom(roomId);
-      continue;
-    }
-    current = advanceRes.updated || current;
-    await emitStageSideEffectsOnce(current);
-    if (!advanceRes.advanced) return current;
-  }
+function galleryBallotRoomId(siteId) {
+  return `${normalizedSiteId(siteId)}-1`;
+}
 
-  return current;
+async function readGalleryBallot(siteId) {
+  const room = await ensureRoom(galleryBallotRoomId(siteId));
+  return room.galleryBallot && typeof room.galleryBallot === 'object' ? room.galleryBallot : null;
 }
 
-async function advanceSiteTimeline(siteIdRaw, licenseId, orgId = '') {
-  const siteId = normalizedSiteId(siteIdRaw);
-  if (!siteId) return;
-  const roomConfig = await resolveWorkshopRoomConfig({ siteId, licenseId, orgId });
-  const maxRooms = toPositiveInt(roomConfig?.roomsPerSite, 5, { min: 1, max: MAX_ROOMS_PER_SITE });
-  const now = Date.now();
-  for (let i = 1; i <= maxRooms; i++) {
-    const roomId = `${siteId}-${i}`;
-    // eslint-disable-next-line no-await-in-loop
-    await advanceRoomTimeline(roomId, { now });
-  }
+async function listSiteRoomIds(siteId, user = {}) {
+  const roomConfig = await resolveWorkshopRoomConfig({
+    siteId,
+    licenseId: user.licenseId,
+    orgId: user.orgId,
+  });
+  const maxRooms = toPositiveInt(roomConfig?.roomsPerSite, 5, {
+    min: 1,
+    max: MAX_ROOMS_PER_SITE,
+  });
+  return Array.from({ length: maxRooms }, (_, i) => `${siteId}-${i + 1}`);
 }
 
-// ---------- Room Assignment (capacity driven by workshop config) ----------
-async function resolveWorkshopRoomConfig({ siteId, licenseId, orgId = '' } = {}) {
-  const normalizedSite = normalizedSiteId(siteId);
-  const normalizedLicense = normalizedLicenseId(licenseId || normalizedSite);
-  const normalizedOrg = normalizedOrgId(orgId, normalizedLicense);
-  if (!normalizedSite) {
-    return {
-      roomsPerSite: 5,
-      seatLimitPerRoom: DEFAULT_SEAT_LIMIT_PER_ROOM,
-      workshop: null,
-      licenseStatus: 'ACTIVE',
-      expectedUsers: DEFAULT_EXPECTED_USERS,
-      activeUserCap: DEFAULT_EXPECTED_USERS,
-    };
+async function publishGalleryBallotEvent(siteId, ballot, user = {}) {
+  const payload = {
+    siteId,
+    ballotId: ballot?.id || '',
+    open: !!ballot?.open,
+    votes: Object.keys(ballot?.ballots || {}).length,
+    updatedAt: Number(ballot?.updatedAt || 0) || Date.now(),
+  };
+  for (const roomId of await listSiteRoomIds(siteId, user)) {
+    publishRoomEvent(roomId, 'gallery_ballot', payload);
   }
+}
 
-  try {
-    const workshop = await ensureWorkshopConfig({
-      licenseId: normalizedLicense,
-      orgId: normalizedOrg,
-      siteIds: [normalizedSite],
-    });
-    return {
-      roomsPerSite: toPositiveInt(workshop?.roomsPerSite, 5, {
-        min: 1,
-        max: MAX_ROOMS_PER_SITE,
-      }),
-      seatLimitPerRoom: toPositiveInt(
-        workshop?.seatLimitPerRoom,
-        DEFAULT_SEAT_LIMIT_PER_ROOM,
-        { min: 1, max: MAX_SEAT_LIMIT_PER_ROOM }
-      ),
-      workshop,
-      licenseStatus: String(workshop?.licenseStatus || 'ACTIVE').toUpperCase(),
-      expectedUsers: toPositiveInt(workshop?.expectedUsers, DEFAULT_EXPECTED_USERS, {
-        min: 1,
-        max: 20_000,
-      }),
-      activeUserCap: toPositiveInt(
-        workshop?.activeUserCap,
-        toPositiveInt(workshop?.expectedUsers, DEFAULT_EXPECTED_USERS, {
-          min: 1,
-          max: 20_000,
-        }),
-        { min: 1, max: 50_000 }
-      ),
-    };
-  } catch (err) {
-    console.warn('[rooms] workshop config unavailable, using defaults', err?.message || err);
-    return {
-      roomsPerSite: 5,
-      seatLimitPerRoom: DEFAULT_SEAT_LIMIT_PER_ROOM,
-      workshop: null,
-      licenseStatus: 'ACTIVE',
-      expectedUsers: DEFAULT_EXPECTED_USERS,
-      activeUserCap: DEFAULT_EXPECTED_USERS,
-    };
+// Participants only see results once the ballot closes; presenters see the
+// live tally and per-room turnout throughout.
+function serializeGalleryBallot(ballot, { voterRoomId = '', uid = '', includeResults = false } = {}) {
+  if (!ballot) return null;
+  const options = Array.isArray(ballot.options) ? ballot.options : [];
+  const config = publicVoteConfig(ballot.config);
+  const out = {
+    id: ballot.id,
+    siteId: ballot.siteId,
+    open: !!ballot.open,
+    mode: config.mode,
+    config,
+    options: options.map((opt) => ({ ...opt, ownRoom: opt.roomId === voterRoomId })),
+    votes: Object.keys(ballot.ballots || {}).length,
+    hasVoted: !!(uid && ballot.ballots?.[uid]),
+    openedAt: ballot.openedAt || null,
+    closedAt: ballot.closedAt || null,
+  };
+  if (includeResults || !ballot.open) {
+    out.results = serializeVoteResults(tallyGalleryBallot(ballot), options);
   }
+  if (includeResults) out.turnout = galleryBallotTurnout(ballot);
+  return out;
 }
 
-async function tryAssignSeat({ roomId, uid, maxSeats = null }) {
-  const values = {
-    ':emptySeats': [],
-    ':emptySeatUids': [],
-    ':newSeat': [{ uid }],
-    ':newUid': [uid],
-    ':uid': uid,
-    ':now': Date.now(),
-  };
+async function submitGalleryBallot(roomId, user, input = {}) {
+  const uid = String(user?.uid || '').trim();
+  if (!uid) return roomActionResult(401, { error: 'no_uid' });
+  const room = await ensureRoom(roomId);
+  if (!seatMembershipForUid(room, uid)) {
+    return roomActionResult(403, { error: 'gallery_ballot_seat_required' });
+  }
+  const siteId = normalizedSiteId(room.siteId || parseRoomId(roomId).siteId);
+  const ballotRoomId = galleryBallotRoomId(siteId);
+  const current = await readGalleryBallot(siteId);
+  if (!current?.open) return roomActionResult(400, { error: 'gallery_ballot_closed' });
 
-  const conditionParts = ['attribute_not_exists(seatUids) OR NOT contains(seatUids, :uid)'];
-  if (Number.isFinite(Number(maxSeats))) {
-    values[':maxSeats'] = Number(maxSeats);
-    conditionParts.push('attribute_not_exists(seatUids) OR size(seatUids) < :maxSeats');
+  let choice;
+  try {
+    choice = normalizeGalleryBallot(input, current, roomId);
+  } catch (err) {
+    return roomActionResult(400, { error: err.message, mode: readVoteConfig(current.config).mode });
   }
+  const entry = { roomId, ballot: choice, at: Date.now() };
+  const alreadySubmitted = (latest) =>
+    roomActionResult(200, {
+      ok: true,
+      alreadySubmitted: true,
+      ballot: serializeGalleryBallot(latest, { voterRoomId: roomId, uid }),
+    });
 
+  let updated;
   try {
     const { Attributes } = await ddbDoc.send(
       new UpdateCommand({
         TableName: TABLES.rooms,
-        Key: { roomId },
-        UpdateExpression: [
-          'SET seats = list_append(if_not_exists(seats, :emptySeats), :newSeat)',
-          'seatUids = list_append(if_not_exists(seatUids, :emptySeatUids), :newUid)',
-          'updatedAt = :now',
-        ].join(', '),
-        ConditionExpression: conditionParts.map((p) => `(${p})`).join(' AND '),
-        ExpressionAttributeValues: values,
+        Key: { roomId: ballotRoomId },
+        UpdateExpression: 'SET galleryBallot.ballots.#voter = :entry, galleryBallot.updatedAt = :now',
+        ConditionExpression:
+          'galleryBallot.id = :id AND galleryBallot.#open = :true AND attribute_not_exists(galleryBallot.ballots.#voter)',
+        ExpressionAttributeNames: { '#voter': uid, '#open': 'open' },
+        ExpressionAttributeValues: {
+          ':entry': entry,
+          ':now': entry.at,
+          ':id': current.id,
+          ':true': true,
+        },
         ReturnValues: 'ALL_NEW',
       })
     );
-
-    const room = normalizeRoomShape(Attributes);
-    publishRoomEvent(roomId, 'room_state', {
-      siteId: room.siteId || parseRoomId(roomId).siteId,
-      stage: room.stage || DEFAULT_STAGE,
-    });
-    return room;
+    updated = Attributes?.galleryBallot || null;
   } catch (err) {
     if (shouldUseDemoFallback(err)) {
-      logDemoFallback('room_assign_seat', err);
-      const room = getDemoRoomRecord(roomId) || createDemoRoomRecord(roomId);
-      const seatUids = Array.isArray(room.seatUids)
-        ? room.seatUids.map((entry) => String(entry || '').trim()).filter(Boolean)
-        : [];
-      if (seatUids.includes(uid)) return setDemoRoomRecord(room);
-      if (Number.isFinite(Number(maxSeats)) && seatUids.length >= Number(maxSeats)) {
-        return null;
+      logDemoFallback('gallery_ballot_submit', err);
+      const latest = await readGalleryBallot(siteId);
+      if (latest?.id !== current.id || !latest.open) {
+        return roomActionResult(400, { error: 'gallery_ballot_closed' });
       }
-      const seats = Array.isArray(room.seats) ? room.seats.slice() : [];
-      seats.push({ uid });
-      seatUids.push(uid);
-      const next = setDemoRoomRecord({
-        ...room,
-        seats,
-        seatUids,
-        updatedAt: Date.now(),
+      if (latest.ballots?.[uid]) return alreadySubmitted(latest);
+      const next = await updateRoom(ballotRoomId, {
+        galleryBallot: {
+          ...latest,
+          ballots: { ...(latest.ballots || {}), [uid]: entry },
+          updatedAt: entry.at,
+        },
       });
-      publishRoomEvent(roomId, 'room_state', {
-        siteId: next.siteId || parseRoomId(roomId).siteId,
-        stage: next.stage || DEFAULT_STAGE,
+      updated = next.galleryBallot;
+    } else if (err?.name !== 'ConditionalCheckFailedException') {
+      throw err;
+    } else {
+      const latest = await readGalleryBallot(siteId);
+      if (latest?.id === current.id && latest.ballots?.[uid]) return alreadySubmitted(latest);
+      return roomActionResult(400, { error: 'gallery_ballot_closed' });
+    }
+  }
+
+  await publishGalleryBallotEvent(siteId, updated, user);
+  await writeAuditEvent({
+    action: 'ROOM_GALLERY_BALLOT_SUBMIT',
+    actor: user,
+    target: {
+      resourceType: 'GALLERY',
+      resourceId: siteId,
+      roomId,
+      siteId,
+      licenseId: room.licenseId || user.licenseId || '',
+      orgId: room.orgId || user.orgId || '',
+    },
+    details: { ballotId: current.id, mode: readVoteConfig(current.config).mode, ballot: choice },
+  });
+  return roomActionResult(200, {
+    ok: true,
+    ballot: serializeGalleryBallot(updated, { voterRoomId: roomId, uid }),
+  });
+}
+
+app.get(
+  '/presenter/gallery-ballot',
+  requireAuth,
+  requirePresenter,
+  requirePresenterSiteMatchFromQuery,
+  async (req, res) => {
+    try {
+      const siteId = normalizedSiteId(req.query?.siteId || '');
+      const ballot = await readGalleryBallot(siteId);
+      return res.json({
+        ok: true,
+        siteId,
+        ballot: serializeGalleryBallot(ballot, { includeResults: true }),
       });
-      return next;
+    } catch (err) {
+      console.error('[/presenter/gallery-ballot GET] error:', err);
+      return res.status(500).json({ error: 'presenter_gallery_ballot_fetch_failed' });
     }
-    if (err?.name === 'ConditionalCheckFailedException') {
-      return null;
+  }
+);
+
+app.post(
+  '/presenter/gallery-ballot/open',
+  requireAuth,
+  requirePresenter,
+  requirePresenterSiteMatchFromQuery,
+  async (req, res) => {
+    try {
+      const siteId = normalizedSiteId(req.query?.siteId || '');
+      const current = await readGalleryBallot(siteId);
+      if (current?.open) return res.status(409).json({ error: 'gallery_ballot_already_open' });
+      const items = await listSiteGalleryItems(siteId, req.user);
+      const requested = {};
+      for (const key of GALLERY_BALLOT_CONFIG_KEYS) {
+        if (req.body?.[key] !== undefined) requested[key] = req.body[key];
+      }
+      let ballot;
+      try {
+        ballot = createGalleryBallot({
+          siteId,
+          items,
+          config: requested,
+          openedBy: req.user?.uid || '',
+        });
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      const ballotRoomId = galleryBallotRoomId(siteId);
+      await ensureRoom(ballotRoomId);
+      // Only replace a closed ballot: a second presenter opening at the same
+      // time must not wipe the ballots already cast on an open one.
+      try {
+        await ddbDoc.send(
+          new UpdateCommand({
+            TableName: TABLES.rooms,
+            Key: { roomId: ballotRoomId },
+            UpdateExpression: 'SET galleryBallot = :ballot, updatedAt = :now',
+            ConditionExpression: 'attribute_not_exists(galleryBallot) OR galleryBallot.#open = :false',
+            ExpressionAttributeNames: { '#open': 'open' },
+            ExpressionAttributeValues: { ':ballot': ballot, ':now': Date.now(), ':false': false },
+          })
+        );
+      } catch (err) {
+        if (err?.name === 'ConditionalCheckFailedException') {
+          return res.status(409).json({ error: 'gallery_ballot_already_open' });
+        }
+        if (!shouldUseDemoFallback(err)) throw err;
+        logDemoFallback('gallery_ballot_open', err);
+        if ((await readGalleryBallot(siteId))?.open) {
+          return res.status(409).json({ error: 'gallery_ballot_already_open' });
+        }
+        await updateRoom(ballotRoomId, { galleryBallot: ballot });
+      }
+
+      await writeAuditEvent({
+        action: 'PRESENTER_GALLERY_BALLOT_OPEN',
+        actor: req.user,
+        target: {
+          resourceType: 'GALLERY',
+          resourceId: siteId,
+          siteId,
+          licenseId: req.user.licenseId,
+          orgId: req.user.orgId,
+        },
+        details: {
+          ballotId: ballot.id,
+          ...publicVoteConfig(ballot.config),
+          entries: ballot.options.map((opt) => opt.roomId),
+        },
+      });
+      await publishGalleryBallotEvent(siteId, ballot, req.user);
+      return res.json({
+        ok: true,
+        siteId,
+        ballot: serializeGalleryBallot(ballot, { includeResults: true }),
+      });
+    } catch (err) {
+      console.error('[/presenter/gallery-ballot/open] error:', err);
+      return res.status(500).json({ error: 'presenter_gallery_ballot_open_failed' });
     }
-    throw err;
   }
-}
+);
 
-async function assignRoomForUser(
-  siteIdRaw,
-  uid,
-  { maxRooms = 5, maxSeats = DEFAULT_SEAT_LIMIT_PER_ROOM } = {}
-) {
-  const siteId = String(siteIdRaw || '').trim().toUpperCase();
-  if (!siteId) throw new Error('siteId required');
+app.post(
+  '/presenter/gallery-ballot/close',
+  requireAuth,
+  requirePresenter,
+  requirePresenterSiteMatchFromQuery,
+  async (req, res) => {
+    try {
+      const siteId = normalizedSiteId(req.query?.siteId || '');
+      const current = await readGalleryBallot(siteId);
+      if (!current) return res.status(404).json({ error: 'gallery_ballot_not_found' });
 
-  const MAX_ROOMS = toPositiveInt(maxRooms, 5, { min: 1, max: MAX_ROOMS_PER_SITE });
-  const MAX_SEATS = toPositiveInt(maxSeats, DEFAULT_SEAT_LIMIT_PER_ROOM, {
-    min: 1,
-    max: MAX_SEAT_LIMIT_PER_ROOM,
-  });
-  const rooms = [];
+      const ballotRoomId = galleryBallotRoomId(siteId);
+      const now = Date.now();
+      let ballot = current;
+      if (current.open) {
+        // Patch only the flags so a ballot landing mid-close is not dropped.
+        try {
+          const { Attributes } = await ddbDoc.send(
+            new UpdateCommand({
+              TableName: TABLES.rooms,
+              Key: { roomId: ballotRoomId },
+              UpdateExpression:
+                'SET galleryBallot.#open = :false, galleryBallot.closedAt = :now, galleryBallot.updatedAt = :now',
+              ConditionExpression: 'galleryBallot.id = :id',
+              ExpressionAttributeNames: { '#open': 'open' },
+              ExpressionAttributeValues: { ':false': false, ':now': now, ':id': current.id },
+              ReturnValues: 'ALL_NEW',
+            })
+          );
+          ballot = Attributes?.galleryBallot || current;
+        } catch (err) {
+          if (!shouldUseDemoFallback(err)) throw err;
+          logDemoFallback('gallery_ballot_close', err);
+          const latest = (await readGalleryBallot(siteId)) || current;
+          const next = await updateRoom(ballotRoomId, {
+            galleryBallot: { ...latest, open: false, closedAt: now, updatedAt: now },
+          });
+          ballot = next.galleryBallot;
+        }
+      }
 
-  for (let i = 1; i <= MAX_ROOMS; i++) {
-    const roomId = `${siteId}-${i}`;
-    const room = await ensureRoom(roomId);
-    const seatUids = Array.isArray(room.seatUids) ? room.seatUids : [];
+      const out = serializeGalleryBallot(ballot, { includeResults: true });
+      await writeAuditEvent({
+        action: 'PRESENTER_GALLERY_BALLOT_CLOSE',
+        actor: req.user,
+        target: {
+          resourceType: 'GALLERY',
+          resourceId: siteId,
+          siteId,
+          licenseId: req.user.licenseId,
+          orgId: req.user.orgId,
+        },
+        details: {
+          ballotId: ballot.id,
+          votes: out.votes,
+          winner: out.results?.winner || 0,
+          winnerLabel: out.results?.winnerLabel || '',
+        },
+      });
+      await publishGalleryBallotEvent(siteId, ballot, req.user);
+      return res.json({ ok: true, siteId, ballot: out });
+    } catch (err) {
+      console.error('[/presenter/gallery-ballot/close] error:', err);
+      return res.status(500).json({ error: 'presenter_gallery_ballot_close_failed' });
+    }
+  }
+);
 
-    if (seatUids.includes(uid)) {
-      return {
-        roomId,
-        index: room.index,
+app.get(
+  '/presenter/autopilot',
+  requireAuth,
+  requirePresenter,
+  requirePresenterSiteMatchFromQuery,
+  async (req, res) => {
+    try {
+      const siteId = normalizedSiteId(req.query?.siteId || '');
+      if (!siteId) return res.status(400).json({ error: 'siteId required' });
+      const room = await ensureRoom(`${siteId}-1`);
+      const config = normalizeAutopilotConfig(room.autopilot, AUTOPILOT_DEFAULT);
+      return res.json({
+        ok: true,
+        siteId,
+        autopilot: config,
+        roomId: room.roomId,
+      });
+    } catch (err) {
+      console.error('[/presenter/autopilot GET] error:', err);
+      return res.status(500).json({ error: 'presenter_autopilot_fetch_failed' });
+    }
+  }
+);
+
+app.put(
+  '/presenter/autopilot',
+  requireAuth,
+  requirePresenter,
+  requirePresenterSiteMatchFromQuery,
+  async (req, res) => {
+    try {
+      const siteId = normalizedSiteId(req.query?.siteId || '');
+      if (!siteId) return res.status(400).json({ error: 'siteId required' });
+
+      const seedRoom = await ensureRoom(`${siteId}-1`);
+      const currentConfig = normalizeAutopilotConfig(
+        seedRoom.autopilot,
+        AUTOPILOT_DEFAULT
+      );
+      const nextConfig = normalizeAutopilotConfig(req.body || {}, currentConfig);
+      const resetActions = req.body?.resetActions === true;
+      const roomConfig = await resolveWorkshopRoomConfig({
+        siteId,
+        licenseId: req.user.licenseId,
+        orgId: req.user.orgId,
+      });
+      const maxRooms = toPositiveInt(roomConfig?.roomsPerSite, 5, {
+        min: 1,
+        max: MAX_ROOMS_PER_SITE,
+      });
+
+      let updatedRooms = 0;
+      for (let i = 1; i <= maxRooms; i += 1) {
+        const roomId = `${siteId}-${i}`;
+        // eslint-disable-next-line no-await-in-loop
+        await ensureRoom(roomId);
+        // eslint-disable-next-line no-await-in-loop
+        await updateRoom(roomId, {
+          autopilot: nextConfig,
+          ...(resetActions ? { autopilotActions: {} } : {}),
+        });
+        updatedRooms += 1;
+      }
+
+      await writeAuditEvent({
+        action: 'PRESENTER_AUTOPILOT_UPDATE',
+        actor: req.user,
+        target: {
+          resourceType: 'SITE',
+          resourceId: siteId,
+          siteId,
+          licenseId: req.user.licenseId,
+          orgId: req.user.orgId,
+        },
+        details: {
+          autopilot: nextConfig,
+          resetActions,
+          updatedRooms,
+        },
+      });
+
+      return res.json({
+        ok: true,
         siteId,
-        seats: seatUids.length,
-      };
+        autopilot: nextConfig,
+        updatedRooms,
+      });
+    } catch (err) {
+      console.error('[/presenter/autopilot PUT] error:', err);
+      return res.status(500).json({ error: 'presenter_autopilot_update_failed' });
     }
-
-    rooms.push({
-      roomId,
-      index: room.index,
-      seats: seatUids.length,
-    });
   }
+);
 
-  // Try strict assignment first (cap at MAX_SEATS)
-  for (const room of rooms) {
-    if (room.seats >= MAX_SEATS) continue;
-    const updated = await tryAssignSeat({
-      roomId: room.roomId,
-      uid,
-      maxSeats: MAX_SEATS,
-    });
-    if (!updated) continue;
-    return {
-      roomId: updated.roomId,
-      index: updated.index,
-      siteId,
-      seats: getSeatCount(updated),
-    };
-  }
+// ---------- Room state & messages ----------
+app.get('/rooms/:roomId/state', requireAuth, requireRoomAccess, async (req, res) => {
+  const roomId = req.params.roomId;
+  const r = req.room || (await ensureRoom(roomId));
+  const typing = cleanRoomPresence(roomId);
+  const cerGate = evaluateEvidenceBoardCerGate(r);
+  const phaseExitGate = evaluatePhaseExitGate(r, r.stage || DEFAULT_STAGE);
+  const roleRotation = buildRoleRotationState(r, r.stage || DEFAULT_STAGE, req.user?.uid || '');
+  const privateDraftState = serializePrivateDraftState(r, req.user?.uid || '');
+  const decisionLog = serializeDecisionLog(r, { limit: 60 });
+  const qualityScorecard = buildRoomQualityScorecard(r);
+  const aiFallback = serializeAiFallbackState(r, r.stage || DEFAULT_STAGE);
 
-  // Overflow fallback: allow one more seat but still enforce idempotency.
-  const overflowRoom = rooms[rooms.length - 1];
-  const overflowUpdated = await tryAssignSeat({
-    roomId: overflowRoom.roomId,
-    uid,
-    maxSeats: null,
+  res.json({
+    id: r.roomId,
+    siteId: r.siteId,
+    index: r.index,
+    stage: r.stage || 'LOBBY',
+    stageEndsAt: toStageMs(r.stageEndsAt),
+    stageDurationSec:
+      (r.stage || 'LOBBY') === 'CLOSED'
+        ? 0
+        : Math.floor(getRoomStageDurationMs(r, r.stage || 'LOBBY') / 1000),
+    inputLocked: !!r.inputLocked,
+    topic: r.topic || '',
+    ideaSummary: r.ideaSummary || '',
+
+    seats: getSeatCount(r),
+    finalReadyCount: Number(r.finalReadyCount || 0),
+    finalCompletedAt: r.finalCompletedAt || null,
+
+    // living draft meta + final abstract
+    draftVersion: Number(r.draftVersion || 0),
+    draftUpdatedAt: r.draftUpdatedAt || null,
+    finalAbstract: r.finalAbstract || '',
+    closedAt: r.closedAt || null,
+    closedReason: r.closedReason || null,
+    workshopMode: r.workshopMode || '',
+    aiBehavior: r.aiBehavior || '',
+    assistantPersona: r.assistantPersona || '',
+    autopilot: normalizeAutopilotConfig(r.autopilot, AUTOPILOT_DEFAULT),
+    cerGate,
+    phaseExitGate,
+    roleRotation,
+    draftApproval: {
+      approvedByUids: Array.isArray(r.draftApprovedByUids) ? r.draftApprovedByUids : [],
+      approvedCount: Array.isArray(r.draftApprovedByUids) ? r.draftApprovedByUids.length : 0,
+      requiredApprovals: getSeatCount(r) >= 4 ? 2 : 1,
+      approvedVersion: Number(r.draftApprovedVersion || 0),
+      approvedAt: Number(r.draftApprovedAt || 0) || 0,
+    },
+    privateDraft: privateDraftState.mine,
+    sharedDraftSubmissions: privateDraftState.submissions,
+    decisionLog,
+    qualityScorecard,
+    aiFallback,
+    shareLinkCount: Object.keys(r.shareLinks || {}).length,
+    topicOptions: Array.isArray(r.topicOptions) ? r.topicOptions : [],
+    phasePlan: Array.isArray(r.phasePlan) ? r.phasePlan : [],
+    extensionRequest: pendingExtensionRequest(r),
+    typing,
   });
+});
 
-  if (!overflowUpdated) {
-    const latest = await ensureRoom(overflowRoom.roomId);
-    if (Array.isArray(latest.seatUids) && latest.seatUids.includes(uid)) {
-      return {
-        roomId: latest.roomId,
-        index: latest.index,
-        siteId,
-        seats: getSeatCount(latest),
-      };
-    }
-    throw new Error('assign_conflict');
-  }
+app.get('/rooms/:roomId/canvas', requireAuth, requireRoomAccess, async (req, res) => {
+  const roomId = req.params.roomId;
+  const room = req.room || (await ensureRoom(roomId));
+  const phase = normalizeCanvasPhase(req.query?.phase || room.stage || 'DISCOVERY');
+  const canvas = getPhaseCanvas(room, phase);
+  const cursors = listCanvasCursors(roomId, phase);
+  return res.json({ ok: true, roomId, phase, canvas, cursors });
+});
 
-  return {
-    roomId: overflowUpdated.roomId,
-    index: overflowUpdated.index,
-    siteId,
-    seats: getSeatCount(overflowUpdated),
-  };
+// Room actions are shared by the REST routes and the room WebSocket, so both
+// transports apply the same validation and return the same payloads.
+function roomActionResult(statusCode, body) {
+  return { statusCode, body };
 }
 
-async function getSiteSeatStats(siteIdRaw, uid, maxRooms = 5) {
-  const siteId = String(siteIdRaw || '').trim().toUpperCase();
-  const MAX_ROOMS = toPositiveInt(maxRooms, 5, { min: 1, max: MAX_ROOMS_PER_SITE });
-  let assignedSeats = 0;
-  let existingAssignment = null;
-  for (let i = 1; i <= MAX_ROOMS; i++) {
-    const roomId = `${siteId}-${i}`;
-    // eslint-disable-next-line no-await-in-loop
-    const room = await ensureRoom(roomId);
-    const seatUids = Array.isArray(room.seatUids) ? room.seatUids : [];
-    assignedSeats += seatUids.length;
-    if (!existingAssignment && uid && seatUids.includes(uid)) {
-      existingAssignment = {
-        roomId,
-        index: room.index,
-        siteId,
-        seats: seatUids.length,
-      };
-    }
-  }
-  return { assignedSeats, existingAssignment };
+const CANVAS_SECTION_ALIASES = {
+  ideas: 'stickyNotes',
+  stickynotes: 'stickyNotes',
+  structure: 'outlineMap',
+  outlinemap: 'outlineMap',
+  evidenceboard: 'evidenceBoard',
+  map: 'narrativeMap',
+  narrativemap: 'narrativeMap',
+};
+
+const CANVAS_EDIT_ERROR_STATUS = {
+  canvas_op_invalid: 400,
+  canvas_section_too_long: 413,
+  canvas_op_base_mismatch: 409,
+  canvas_revision_invalid: 409,
+  canvas_revision_stale: 409,
+  canvas_write_contended: 409,
+};
+
+function canvasSectionName(value) {
+  return CANVAS_SECTION_ALIASES[String(value || '').trim().toLowerCase()] || '';
 }
 
-app.post('/rooms/assign', requireAuth, async (req, res) => {
-  try {
-    const { siteId } = req.body || {};
-    if (!siteId) {
-      return res.status(400).json({ error: 'siteId required' });
-    }
-    const requestedSite = normalizedSiteId(siteId);
-    const tokenSite = normalizedSiteId(req.user.siteId);
-    if (tokenSite && tokenSite !== requestedSite) {
-      return res.status(403).json({ error: 'site_forbidden' });
-    }
-    const tenantSites = sanitizeSiteIds(req.tenantWorkshop?.siteIds, []);
-    if (tenantSites.length && !tenantSites.includes(requestedSite)) {
-      return res.status(403).json({ error: 'tenant_site_mismatch' });
-    }
-    const roomConfig = await resolveWorkshopRoomConfig({
-      siteId: requestedSite,
-      licenseId: req.user.licenseId,
-      orgId: req.user.orgId,
-    });
-    if (String(roomConfig.licenseStatus || 'ACTIVE') !== 'ACTIVE') {
-      const status =
-        String(roomConfig.licenseStatus || '').toUpperCase() === 'SUSPENDED' ? 423 : 402;
-      return res.status(status).json({ error: `license_${String(roomConfig.licenseStatus || '').toLowerCase()}` });
+async function updateRoomCanvas(roomId, room, user, input = {}) {
+  const phase = normalizeCanvasPhase(input.phase || room.stage || 'DISCOVERY');
+  const edits = {};
+  if (input.edits && typeof input.edits === 'object') {
+    for (const [key, edit] of Object.entries(input.edits)) {
+      const section = canvasSectionName(key);
+      if (section && edit && typeof edit === 'object') {
+        edits[section] = { baseRevision: edit.baseRevision, op: edit.op };
+      }
     }
-    const entitlementCheck = await enforceRuntimeLicenseEntitlements({
-      role: req.user.role,
-      licenseId: req.user.licenseId,
-      orgId: req.user.orgId,
-      siteId: requestedSite,
-      workshop: roomConfig,
-      automate: true,
-      bypassAdmin: false,
-    });
-    if (!entitlementCheck.ok) {
-      return res.status(entitlementCheck.statusCode || 403).json({
-        error: entitlementCheck.error || 'license_forbidden',
-        usageCap: Number(entitlementCheck.usageCap || 0) || undefined,
-        meteredUnits: Number(entitlementCheck.meteredUnits || 0) || undefined,
-        overageUnits: Number(entitlementCheck.overageUnits || 0) || undefined,
-      });
+  } else if (canvasSectionName(input.section)) {
+    edits[canvasSectionName(input.section)] = { text: input.content || '' };
+  } else {
+    const legacy = {
+      stickyNotes: input.stickyNotes ?? input.ideas,
+      outlineMap: input.outlineMap ?? input.structure,
+      evidenceBoard: input.evidenceBoard,
+      narrativeMap: input.narrativeMap ?? input.map,
+    };
+    for (const [section, text] of Object.entries(legacy)) {
+      if (text !== undefined && text !== null) edits[section] = { text };
     }
+  }
 
-    // Enforce per-site assignment checks and global seat caps before assigning a new seat.
-    const { assignedSeats, existingAssignment } = await getSiteSeatStats(
-      requestedSite,
-      req.user.uid,
-      roomConfig.roomsPerSite
-    );
-    const globalSeatCap = Math.max(
-      0,
-      Number(
-        entitlementCheck.license?.seatCap ||
-          roomConfig.seatCap ||
-          roomConfig.expectedUsers ||
-          DEFAULT_EXPECTED_USERS
-      ) || 0
-    );
-    const globallyAssignedSeats = Math.max(
-      0,
-      Number(entitlementCheck.usage?.assignedSeats || 0) || 0
-    );
-    if (!existingAssignment && globalSeatCap > 0 && globallyAssignedSeats >= globalSeatCap) {
-      return res.status(429).json({
-        error: 'license_seat_cap_reached',
-        seatCap: globalSeatCap,
-        assignedSeats: globallyAssignedSeats,
-      });
-    }
-    if (!existingAssignment) {
-      const activeCapCheck = await enforceLicenseActiveUserCap({
-        licenseId: req.user.licenseId,
-        activeUserCap: roomConfig.activeUserCap,
-        uid: req.user.uid,
-      });
-      if (!activeCapCheck.ok) {
-        return res.status(429).json({
-          error: activeCapCheck.error,
-          activeUsers: activeCapCheck.activeUsers,
-          activeUserCap: activeCapCheck.cap,
-        });
-      }
-    }
-    const assigned =
-      existingAssignment ||
-      (await assignRoomForUser(requestedSite, req.user.uid, {
-        maxRooms: roomConfig.roomsPerSite,
-        maxSeats: roomConfig.seatLimitPerRoom,
-      }));
-    return res.json({
-      ...assigned,
-      seatLimitPerRoom: roomConfig.seatLimitPerRoom,
-      roomsPerSite: roomConfig.roomsPerSite,
-      activeUserCap: roomConfig.activeUserCap,
-      seatCap: globalSeatCap,
-      assignedSeatsGlobal: globallyAssignedSeats,
-      assignedSeatsSite: assignedSeats,
+  let saved = null;
+  try {
+    saved = await savePhaseCanvas(roomId, phase, edits, user);
+  } catch (err) {
+    const statusCode = CANVAS_EDIT_ERROR_STATUS[err?.message];
+    if (!statusCode) throw err;
+    const state = await readRoomCanvasState(roomId);
+    return roomActionResult(statusCode, {
+      error: err.message,
+      roomId,
+      phase,
+      canvas: normalizeCanvasPayload(state.phaseCanvases?.[phase] || {}, {}),
+    });
+  }
+  if (Object.keys(saved.applied).length) {
+    publishRoomEvent(roomId, 'canvas_update', {
+      siteId: room.siteId || parseRoomId(roomId).siteId,
+      phase: saved.phase,
+      uid: String(user?.uid || ''),
+      sections: saved.applied,
     });
-  } catch (e) {
-    console.error('[/rooms/assign] error', e);
-    return res.status(500).json({ error: 'assign_failed' });
+  }
+  return roomActionResult(200, {
+    ok: true,
+    roomId,
+    phase: saved.phase,
+    canvas: saved.canvas,
+    applied: saved.applied,
+  });
+}
+
+// Remote cursors are presence, not content: they fan out to connected room
+// clients only, and every instance keeps the latest one per user in memory.
+function rememberCanvasCursor(roomId, cursor = {}) {
+  const uid = String(cursor.uid || '').trim();
+  if (!roomId || !uid) return;
+  const now = Date.now();
+  let cursors = canvasCursors.get(roomId);
+  if (!cursors) {
+    cursors = new Map();
+    canvasCursors.set(roomId, cursors);
+  }
+  if (cursor.section) {
+    const { phase, section, anchor, head, revision, label, at } = cursor;
+    cursors.set(uid, { uid, phase, section, anchor, head, revision, label, at });
+  } else {
+    cursors.delete(uid);
+  }
+  for (const [key, value] of cursors) {
+    if (now - Number(value.at || 0) > CANVAS_CURSOR_TTL_MS) cursors.delete(key);
+  }
+  if (!cursors.size) canvasCursors.delete(roomId);
+}
+
+function listCanvasCursors(roomId, phase) {
+  const now = Date.now();
+  return Array.from(canvasCursors.get(roomId)?.values() || []).filter(
+    (cursor) => cursor.phase === phase && now - Number(cursor.at || 0) <= CANVAS_CURSOR_TTL_MS
+  );
+}
+
+function updateCanvasCursor(roomId, room, user, input = {}) {
+  const uid = String(user?.uid || '').trim();
+  if (!uid) return roomActionResult(401, { error: 'Unauthorized' });
+  const offset = (value) => Math.max(0, Math.min(20_000, Math.floor(Number(value) || 0)));
+  const cursor = {
+    uid,
+    phase: normalizeCanvasPhase(input.phase || room?.stage || 'DISCOVERY'),
+    section: canvasSectionName(input.section),
+    anchor: offset(input.anchor),
+    head: offset(input.head ?? input.anchor),
+    revision: offset(input.revision),
+    label: String(input.label || '').trim().slice(0, 24),
+    at: Date.now(),
+  };
+  publishRoomEvent(
+    roomId,
+    'canvas_cursor',
+    { siteId: room?.siteId || parseRoomId(roomId).siteId, ...cursor },
+    { ephemeral: true }
+  );
+  return roomActionResult(200, { ok: true, at: cursor.at });
+}
+
+app.put('/rooms/:roomId/canvas', requireAuth, requireRoomAccess, async (req, res) => {
+  try {
+    const roomId = req.params.roomId;
+    const room = req.room || (await ensureRoom(roomId));
+    const out = await updateRoomCanvas(roomId, room, req.user, req.body || {});
+    return res.status(out.statusCode).json(out.body);
+  } catch (err) {
+    console.error('[/rooms/:roomId/canvas PUT] error:', err);
+    return res.status(500).json({ error: 'canvas_update_failed' });
   }
 });
 
-// Legacy compatibility shim: progression is handled by advanceRoomTimeline().
-stageEngine = {
-  touch: () => {},
-  start: () => {},
-  stop: () => {},
+app.post('/rooms/:roomId/canvas/cursor', requireAuth, requireRoomAccess, async (req, res) => {
+  try {
+    const out = updateCanvasCursor(req.params.roomId, req.room, req.user, req.body || {});
+    return res.status(out.statusCode).json(out.body);
+  } catch (err) {
+    console.error('[/rooms/:roomId/canvas/cursor] error:', err);
+    return res.status(500).json({ error: 'canvas_cursor_failed' });
+  }
+});
+
+const STICKY_BOARD_ERROR_STATUS = {
+  board_action_unsupported: 400,
+  note_text_required: 400,
+  dot_voter_required: 401,
+  note_forbidden: 403,
+  note_not_found: 404,
+  cluster_not_found: 404,
+  board_full: 409,
+  cluster_empty: 409,
+  dot_budget_exhausted: 409,
+  dot_not_placed: 409,
 };
 
-// ---------- Health ----------
-app.get('/health', (_req, res) =>
-  res.json({
-    ok: true,
-    region: AWS_REGION,
-    time: new Date().toISOString(),
-    demoModeFallback: DEMO_MODE_FALLBACK,
-  })
-);
-app.get('/api/health', (_req, res) =>
-  res.json({
+async function updateStickyBoard(roomId, room, user, input = {}) {
+  const phase = normalizeCanvasPhase(input.phase || room.stage || 'DISCOVERY');
+  const uid = String(user?.uid || '').trim();
+  const role = String(user?.role || '').toUpperCase();
+  const actor = { uid, canModerate: ['PRESENTER', 'ADMIN', 'SUPER_ADMIN'].includes(role) };
+
+  let saved = null;
+  try {
+    saved = await mutatePhaseCanvas(roomId, phase, uid || '(system)', ({ current, history, at }) => {
+      const request =
+        input.action === 'board.import' && input.text === undefined
+          ? { ...input, text: current.stickyNotes }
+          : input;
+      const { board, result } = applyStickyBoardAction(current.board, request, actor, { now: at });
+      let next = { ...current, board };
+      let nextHistory = history;
+      let applied = {};
+      if (result.outline) {
+        // Promoting appends the cluster to the outline as an ordinary text op,
+        // so collaborators editing the outline rebase onto it.
+        const text = current.outlineMap;
+        const insert = `${text.trim() ? '\n\n' : ''}${result.outline}`;
+        const edits = {
+          outlineMap: { baseRevision: current.revisions.outlineMap, op: [text.length, insert] },
+        };
+        const out = applyCanvasSectionEdits(next, history, edits, uid, at);
+        next = out.next;
+        nextHistory = out.history;
+        applied = out.applied;
+      }
+      return { canvas: next, history: nextHistory, result, applied };
+    });
+  } catch (err) {
+    const statusCode = STICKY_BOARD_ERROR_STATUS[err?.message] || CANVAS_EDIT_ERROR_STATUS[err?.message];
+    if (!statusCode) throw err;
+    return roomActionResult(statusCode, { error: err.message, roomId, phase });
+  }
+
+  const siteId = room.siteId || parseRoomId(roomId).siteId;
+  publishRoomEvent(roomId, 'canvas_board', {
+    siteId,
+    phase,
+    uid,
+    action: saved.result.action,
+    changes: saved.result.changes,
+    at: saved.canvas.board.updatedAt,
+  });
+  if (Object.keys(saved.applied).length) {
+    publishRoomEvent(roomId, 'canvas_update', { siteId, phase, uid, sections: saved.applied });
+  }
+  const { changes, ...result } = saved.result;
+  return roomActionResult(200, {
     ok: true,
-    region: AWS_REGION,
-    time: new Date().toISOString(),
-    demoModeFallback: DEMO_MODE_FALLBACK,
-  })
-);
-app.get('/health/dependencies', async (_req, res) => {
-  const health = await refreshDependencyHealth();
+    roomId,
+    phase,
+    ...result,
+    board: saved.canvas.board,
+    canvas: saved.canvas,
+  });
+}
+
+function stickyBoardHandler(action, inputFromRequest = () => ({})) {
+  return async (req, res) => {
+    try {
+      const roomId = req.params.roomId;
+      const room = req.room || (await ensureRoom(roomId));
+      const input = {
+        ...(req.body || {}),
+        phase: req.body?.phase || req.query?.phase,
+        ...inputFromRequest(req),
+        action,
+      };
+      const out = await updateStickyBoard(roomId, room, req.user, input);
+      return res.status(out.statusCode).json(out.body);
+    } catch (err) {
+      console.error(`[sticky board ${action}] error:`, err);
+      return res.status(500).json({ error: 'sticky_board_failed' });
+    }
+  };
+}
+
+app.get('/rooms/:roomId/canvas/board', requireAuth, requireRoomAccess, async (req, res) => {
+  const roomId = req.params.roomId;
+  const room = req.room || (await ensureRoom(roomId));
+  const phase = normalizeCanvasPhase(req.query?.phase || room.stage || 'DISCOVERY');
+  const board = getPhaseCanvas(room, phase).board;
   return res.json({
     ok: true,
-    time: new Date().toISOString(),
-    demoModeFallback: DEMO_MODE_FALLBACK,
-    dependencies: {
-      api: health.api,
-      aws: health.aws,
-      openai: health.openai,
-    },
+    roomId,
+    phase,
+    board,
+    dotsRemaining: board.dotBudget - dotsUsedBy(board, req.user?.uid),
+    text: stickyBoardToText(board),
   });
 });
-app.get('/metrics', (_req, res) => {
-  const routeTop = Array.from(runtimeMetrics.byRoute.entries())
-    .sort((a, b) => Number(b[1] || 0) - Number(a[1] || 0))
-    .slice(0, 100)
-    .map(([route, count]) => ({ route, count }));
-  const byStatus = Object.fromEntries(Array.from(runtimeMetrics.byStatus.entries()));
-  const byMethod = Object.fromEntries(Array.from(runtimeMetrics.byMethod.entries()));
-  res.json({
-    requestsTotal: runtimeMetrics.requestsTotal,
-    errors5xx: runtimeMetrics.errors5xx,
-    byStatus,
-    byMethod,
-    topRoutes: routeTop,
-    emittedAt: new Date().toISOString(),
+
+app.post(
+  '/rooms/:roomId/canvas/notes',
+  requireAuth,
+  requireRoomAccess,
+  stickyBoardHandler('note.create')
+);
+app.post(
+  '/rooms/:roomId/canvas/notes/import',
+  requireAuth,
+  requireRoomAccess,
+  stickyBoardHandler('board.import')
+);
+app.patch(
+  '/rooms/:roomId/canvas/notes/:noteId',
+  requireAuth,
+  requireRoomAccess,
+  stickyBoardHandler('note.update', (req) => ({ noteId: req.params.noteId }))
+);
+app.delete(
+  '/rooms/:roomId/canvas/notes/:noteId',
+  requireAuth,
+  requireRoomAccess,
+  stickyBoardHandler('note.delete', (req) => ({ noteId: req.params.noteId }))
+);
+app.post(
+  '/rooms/:roomId/canvas/notes/:noteId/dots',
+  requireAuth,
+  requireRoomAccess,
+  stickyBoardHandler('note.dot', (req) => ({ noteId: req.params.noteId }))
+);
+app.post(
+  '/rooms/:roomId/canvas/clusters',
+  requireAuth,
+  requireRoomAccess,
+  stickyBoardHandler('cluster.create')
+);
+app.patch(
+  '/rooms/:roomId/canvas/clusters/:clusterId',
+  requireAuth,
+  requireRoomAccess,
+  stickyBoardHandler('cluster.update', (req) => ({ clusterId: req.params.clusterId }))
+);
+app.delete(
+  '/rooms/:roomId/canvas/clusters/:clusterId',
+  requireAuth,
+  requireRoomAccess,
+  stickyBoardHandler('cluster.delete', (req) => ({ clusterId: req.params.clusterId }))
+);
+app.post(
+  '/rooms/:roomId/canvas/clusters/:clusterId/promote',
+  requireAuth,
+  requireRoomAccess,
+  stickyBoardHandler('cluster.promote', (req) => ({ clusterId: req.params.clusterId }))
+);
+
+app.get('/rooms/:roomId/replay', requireAuth, requireRoomAccess, async (req, res) => {
+  try {
+    const roomId = req.params.roomId;
+    const room = req.room || (await ensureRoom(roomId));
+    const limit = Math.min(1200, Math.max(100, Number(req.query?.limit || 800)));
+    const includeActions = String(req.query?.includeActions ?? 'true').trim().toLowerCase() !== 'false';
+    const [messages, replayAuditEntries] = await Promise.all([
+      getMessagesForRoom(roomId, limit),
+      includeActions ? listRoomReplayAuditEntries(room, roomId, Math.max(180, Math.floor(limit / 3))) : Promise.resolve([]),
+    ]);
+    const entries = buildReplayEntries(messages, replayAuditEntries);
+    return res.json({
+      ok: true,
+      roomId,
+      stage: room.stage || DEFAULT_STAGE,
+      includeActions,
+      entries,
+    });
+  } catch (err) {
+    console.error('[/rooms/:roomId/replay GET] error:', err);
+    return res.status(500).json({ error: 'room_replay_failed' });
+  }
+});
+
+app.get('/rooms/:roomId/presence', requireAuth, requireRoomAccess, async (req, res) => {
+  try {
+    const roomId = req.params.roomId;
+    const room = req.room || (await ensureRoom(roomId));
+    const typing = cleanRoomPresence(roomId);
+    const messages = await getMessagesForRoom(roomId, 260);
+    const contributionMap = new Map();
+    const byUid = new Map();
+    const emojiByUid = new Map();
+    for (const msg of messages) {
+      if (String(msg.authorType || 'user') !== 'user') continue;
+      const key = String(msg.emoji || '').trim() || `persona-${Number(msg.personaIndex || 0) + 1}`;
+      contributionMap.set(key, Number(contributionMap.get(key) || 0) + 1);
+      const uid = String(msg.uid || '').trim();
+      if (!uid) continue;
+      const words = String(msg.text || '')
+        .split(/\s+/)
+        .map((part) => part.trim())
+        .filter(Boolean).length;
+      const row = byUid.get(uid) || { uid, messages: 0, words: 0 };
+      row.messages += 1;
+      row.words += words;
+      byUid.set(uid, row);
+      if (String(msg.emoji || '').trim()) {
+        emojiByUid.set(uid, String(msg.emoji || '').trim());
+      }
+    }
+    const contributionHeat = Array.from(contributionMap.entries())
+      .map(([label, value]) => ({ label, value }))
+      .sort((a, b) => Number(b.value || 0) - Number(a.value || 0))
+      .slice(0, 12);
+
+    const seatUids = Array.isArray(room.seatUids) && room.seatUids.length
+      ? room.seatUids.map((uid) => String(uid || '').trim()).filter(Boolean)
+      : (Array.isArray(room.seats) ? room.seats.map((seat) => String(seat?.uid || '').trim()).filter(Boolean) : []);
+    const participantUids = seatUids.length ? seatUids : Array.from(byUid.keys());
+    const equityRows = participantUids.map((uid, index) => {
+      const metrics = byUid.get(uid) || { messages: 0, words: 0 };
+      const label = emojiByUid.get(uid) || `Seat ${index + 1}`;
+      return {
+        uid,
+        label,
+        messages: Number(metrics.messages || 0),
+        words: Number(metrics.words || 0),
+      };
+    });
+    const totalMessages = equityRows.reduce((sum, row) => sum + Number(row.messages || 0), 0);
+    const quietCount = equityRows.filter((row) => Number(row.messages || 0) === 0).length;
+    const dominantShare = totalMessages
+      ? Math.max(
+          0,
+          ...equityRows.map((row) => Number(row.messages || 0) / totalMessages)
+        )
+      : 0;
+    const idealShare = equityRows.length > 0 ? 1 / equityRows.length : 0;
+    const imbalance = totalMessages && idealShare
+      ? equityRows.reduce(
+          (sum, row) => sum + Math.abs(Number(row.messages || 0) / totalMessages - idealShare),
+          0
+        ) / 2
+      : 0;
+    const balanceScore = totalMessages ? Math.max(0, Math.round((1 - imbalance) * 100)) : 100;
+    const nudge = quietCount > 0
+      ? `Invite ${quietCount} quieter participant${quietCount === 1 ? '' : 's'} to add one line.`
+      : dominantShare >= 0.6 && totalMessages >= 6
+        ? 'Turn balance prompt: one voice is dominating. Rotate turns for the next round.'
+        : '';
+    const equity = {
+      rows: equityRows
+        .map((row) => ({
+          ...row,
+          sharePct: totalMessages ? Math.round((Number(row.messages || 0) / totalMessages) * 100) : 0,
+        }))
+        .sort((a, b) => Number(b.messages || 0) - Number(a.messages || 0)),
+      totalMessages,
+      quietCount,
+      balanceScore,
+      dominantSharePct: Math.round(dominantShare * 100),
+      nudge,
+    };
+    return res.json({
+      ok: true,
+      roomId,
+      typing,
+      contributionHeat,
+      equity,
+    });
+  } catch (err) {
+    console.error('[/rooms/:roomId/presence GET] error:', err);
+    return res.status(500).json({ error: 'room_presence_failed' });
+  }
+});
+
+function recordTypingPresence(roomId, room, user, input = {}) {
+  const emoji = String(input.emoji || '').trim();
+  const typing = upsertTypingPresence(roomId, user.uid, emoji);
+  publishRoomEvent(roomId, 'presence_update', {
+    siteId: room?.siteId || parseRoomId(roomId).siteId,
+    typingCount: typing.length,
   });
+  return roomActionResult(200, { ok: true, typing });
+}
+
+app.post('/rooms/:roomId/presence/typing', requireAuth, requireRoomAccess, async (req, res) => {
+  try {
+    const out = recordTypingPresence(req.params.roomId, req.room, req.user, req.body || {});
+    return res.status(out.statusCode).json(out.body);
+  } catch (err) {
+    console.error('[/rooms/:roomId/presence/typing POST] error:', err);
+    return res.status(500).json({ error: 'typing_update_failed' });
+  }
 });
-app.get('/version', (_req, res) =>
-  res.json({
-    commit: process.env.GIT_COMMIT || null,
-    build: process.env.BUILD_ID || null,
-    time: new Date().toISOString(),
-  })
-);
 
-// ---------- Presenter: list rooms ----------
-app.get(
-  '/presenter/rooms',
-  requireAuth,
-  requirePresenter,
-  requirePresenterSiteMatchFromQuery,
-  async (req, res) => {
-  const siteId = String(req.query.siteId || '').trim().toUpperCase();
-  if (!siteId) return res.json({ rooms: [] });
+async function submitRoomMessage(roomId, user, input = {}) {
+  const { text, phase, personaIndex = 0, emoji } = input || {};
+  if (!text || typeof text !== 'string') {
+    return roomActionResult(400, { error: 'text required' });
+  }
 
-  const roomConfig = await resolveWorkshopRoomConfig({
-    siteId,
-    licenseId: req.user.licenseId,
-    orgId: req.user.orgId,
-  });
+  let r = await ensureRoom(roomId);
+  const doneWord = isDoneWord(text);
+  const aiPolicy = await resolveAiPolicyForRoom(r).catch(() => AI_POLICY_DEFAULT);
+  if (!doneWord) {
+    const safety = await moderateText(text, aiPolicy, {
+      direction: 'input',
+      source: 'chat_message',
+      room: r,
+      actor: user,
+    });
+    if (safety.blocked) {
+      return roomActionResult(422, schoolSafetyErrorPayload(safety));
+    }
+  }
 
-  const out = [];
-  const MAX_ROOMS = roomConfig.roomsPerSite;
-  for (let i = 1; i <= MAX_ROOMS; i++) {
-    const id = `${siteId}-${i}`;
-    const r = await advanceRoomTimeline(id);
-    const phaseExitGate = evaluatePhaseExitGate(r, r.stage || DEFAULT_STAGE);
-    const qualityScorecard = buildRoomQualityScorecard(r);
-    const privateDraftQueueCount = serializePrivateDraftState(r, '').submissions.length;
-    const draftApprovalRequired = getSeatCount(r) >= 4 ? 2 : 1;
-    const approvalUids = Array.isArray(r.draftApprovedByUids)
-      ? r.draftApprovedByUids.map((uid) => String(uid || '').trim()).filter(Boolean)
-      : [];
-    const seatUids = roomSeatUids(r);
-    const approvalRoster = seatUids.map((uid, index) => ({
-      uid,
-      label: `Seat ${index + 1}`,
-      approved: approvalUids.includes(uid),
-    }));
-    out.push({
-      id: r.roomId,
-      index: r.index,
-      stage: r.stage,
-      stageEndsAt: toStageMs(r.stageEndsAt),
-      inputLocked: !!r.inputLocked,
-      topic: r.topic || '',
-      seats: getSeatCount(r),
-      vote: {
-        open: !!r.voteOpen,
-        total: Number(r.voteTotal || 0),
-        tallies: r.voteTallies || {},
-      },
-      autopilot: normalizeAutopilotConfig(r.autopilot, AUTOPILOT_DEFAULT),
+  // If user types "done/submit" during FINAL in normal chat, mark them ready
+  if ((r.stage || 'LOBBY') === 'FINAL' && doneWord) {
+    // still store their message (so the room sees who’s done)
+    const saved = await addMessage(roomId, {
+      text,
+      phase: phase || r.stage || 'FINAL',
+      authorType: 'user',
+      personaIndex,
+      uid: user.uid,
+      emoji: emoji || null,
+    });
 
-      // draft + final preview
-      draftVersion: Number(r.draftVersion || 0),
-      draftUpdatedAt: r.draftUpdatedAt || null,
-      finalAbstract: r.finalAbstract || '',
-      closedAt: r.closedAt || null,
-      closedReason: r.closedReason || null,
-      phaseExitGate,
-      qualityScorecard,
-      privateDraftQueueCount,
-      draftApproval: {
-        approvedCount: approvalUids.length,
-        requiredApprovals: draftApprovalRequired,
-        approvedVersion: Number(r.draftApprovedVersion || 0),
-        draftVersion: Number(r.draftVersion || 0),
-        approvedByUids: approvalUids,
-        roster: approvalRoster,
-      },
-      decisionLogCount: Array.isArray(r.decisionLog) ? r.decisionLog.length : 0,
-      aiFallback: serializeAiFallbackState(r, r.stage || DEFAULT_STAGE),
-      lastParticipantMessageAt: Number(r.lastParticipantMessageAt || 0) || 0,
+    if (String(user?.role || '').toUpperCase() === 'PARTICIPANT') {
+      await touchRoomParticipantActivity(roomId, saved.createdAt);
+    }
+
+    const readyRes = await markFinalReady(roomId, user.uid);
+
+    return roomActionResult(200, {
+      ok: true,
+      createdAt: saved.createdAt,
+      finalReady: readyRes.ok && !readyRes.blocked,
+      alreadyReady: !!readyRes.alreadyReady,
+      readyCount: readyRes.ok ? readyRes.readyCount : undefined,
+      seats: readyRes.ok ? readyRes.seats : undefined,
+      autoClosed: readyRes.ok ? readyRes.autoClosed : undefined,
+      blocked: readyRes.ok ? readyRes.blocked || null : undefined,
+      cerGate: readyRes.ok ? readyRes.cerGate || null : undefined,
     });
+  }
 
+  // Keep ROUGH_DRAFT open; respect lock elsewhere except FINAL
+  if (
+    r.inputLocked &&
+    (r.stage || 'LOBBY') !== 'FINAL' &&
+    r.stage !== 'ROUGH_DRAFT'
+  ) {
+    return roomActionResult(403, { error: 'input_locked' });
   }
-    await writeAuditEvent({
-      action: 'PRESENTER_ROOMS_READ',
-      actor: req.user,
-      target: {
-        resourceType: 'ROOM',
-        resourceId: siteId,
-        siteId,
-        licenseId: req.user.licenseId,
-        orgId: req.user.orgId,
-      },
-      details: { roomsReturned: out.length },
-    });
-    res.json({ rooms: out });
+
+  const saved = await addMessage(roomId, {
+    text,
+    phase: phase || r.stage || 'LOBBY',
+    authorType: 'user',
+    personaIndex,
+    uid: user.uid,
+    emoji: emoji || null,
+  });
+
+  if (String(user?.role || '').toUpperCase() === 'PARTICIPANT') {
+    await touchRoomParticipantActivity(roomId, saved.createdAt);
   }
-);
 
-// Presenter gallery (all closed abstracts for site)
-app.get(
-  '/presenter/gallery',
+  return roomActionResult(200, { ok: true, createdAt: saved.createdAt });
+}
+
+app.post('/rooms/:roomId/messages', requireAuth, requireRoomAccess, async (req, res) => {
+  const out = await submitRoomMessage(req.params.roomId, req.user, req.body || {});
+  return res.status(out.statusCode).json(out.body);
+});
+
+app.get('/rooms/:roomId/messages', requireAuth, requireRoomAccess, async (req, res) => {
+  const roomId = req.params.roomId;
+  const limit = Math.min(200, Number(req.query.limit || 100));
+  const items = await getMessagesForRoom(roomId, limit);
+  res.json({ messages: items });
+});
+
+// ---------- Stage controls ----------
+app.post(
+  '/rooms/:roomId/next',
   requireAuth,
   requirePresenter,
-  requirePresenterSiteMatchFromQuery,
+  requirePresenterRoomScope,
   async (req, res) => {
-  const siteId = String(req.query.siteId || '').trim().toUpperCase();
-  if (!siteId) return res.json({ items: [] });
-  const roomConfig = await resolveWorkshopRoomConfig({
-    siteId,
-    licenseId: req.user.licenseId,
-    orgId: req.user.orgId,
-  });
-
-  let items = [];
-  // If TABLES.gallery exists with PK=siteId, query it; else fallback to rooms
-  try {
-    const { Items } = await ddbDoc.send(
-      new QueryCommand({
-        TableName: TABLES.gallery,
-        KeyConditionExpression: 'siteId = :s',
-        ExpressionAttributeValues: { ':s': siteId },
-        ScanIndexForward: false,
-        Limit: 50,
-      })
-    );
-    items = Items || [];
-  } catch (e) {
-    items = [];
-    for (let i = 1; i <= roomConfig.roomsPerSite; i++) {
-      const r = await ensureRoom(`${siteId}-${i}`);
-      if (r.stage === 'CLOSED' && (r.finalAbstract || '').trim()) {
-        items.push({
-          siteId,
-          roomId: r.roomId,
-          closedAt: r.closedAt || r.finalCompletedAt || null,
-          index: r.index,
-          topic: r.topic || '',
-          abstract: r.finalAbstract || '',
-        });
-      }
-    }
-  }
-    await writeAuditEvent({
-      action: 'PRESENTER_GALLERY_READ',
-      actor: req.user,
-      target: {
-        resourceType: 'GALLERY',
-        resourceId: siteId,
-        siteId,
-        licenseId: req.user.licenseId,
-        orgId: req.user.orgId,
-      },
-      details: { itemsReturned: Array.isArray(items) ? items.length : 0 },
+  const roomId = req.params.roomId;
+  const cur = await ensureRoom(roomId);
+  const phaseGate = evaluatePhaseExitGate(cur, cur.stage || DEFAULT_STAGE);
+  if (!phaseGate.ok) {
+    await maybePostPhaseGateReminder(cur, phaseGate, { force: true }).catch(() => null);
+    return res.status(409).json({
+      error: 'phase_exit_incomplete',
+      phaseGate,
     });
-    return res.json({ items });
+  }
+  const nextStage = advanceStageVal(cur.stage);
+  const dur = getRoomStageDurationMs(cur, nextStage);
+  const updated = await updateRoom(roomId, {
+    stage: nextStage,
+    stageEndsAt: Date.now() + dur,
+  });
+  await appendDecisionLog(roomId, {
+    type: 'STAGE_ADVANCED',
+    stage: updated.stage || nextStage,
+    label: `${String(cur.stage || DEFAULT_STAGE).replace(/_/g, ' ')} -> ${String(
+      updated.stage || nextStage
+    ).replace(/_/g, ' ')}`,
+    actorUid: req.user?.uid || '',
+    details: {
+      fromStage: cur.stage || DEFAULT_STAGE,
+      toStage: updated.stage || nextStage,
+    },
+  }).catch(() => null);
+  await writeAuditEvent({
+    action: 'PRESENTER_STAGE_NEXT',
+    actor: req.user,
+    target: {
+      resourceType: 'ROOM',
+      resourceId: roomId,
+      roomId,
+      siteId: updated.siteId || parseRoomId(roomId).siteId,
+      licenseId: updated.licenseId || req.user.licenseId,
+      orgId: updated.orgId || req.user.orgId,
+    },
+    details: {
+      fromStage: cur.stage || DEFAULT_STAGE,
+      toStage: updated.stage || nextStage,
+    },
+  });
+  res.json({ ok: true, stage: updated.stage, stageEndsAt: updated.stageEndsAt });
   }
 );
 
-app.get(
-  '/presenter/autopilot',
+app.post(
+  '/rooms/:roomId/extend',
   requireAuth,
   requirePresenter,
-  requirePresenterSiteMatchFromQuery,
+  requirePresenterRoomScope,
   async (req, res) => {
-    try {
-      const siteId = normalizedSiteId(req.query?.siteId || '');
-      if (!siteId) return res.status(400).json({ error: 'siteId required' });
-      const room = await ensureRoom(`${siteId}-1`);
-      const config = normalizeAutopilotConfig(room.autopilot, AUTOPILOT_DEFAULT);
-      return res.json({
-        ok: true,
-        siteId,
-        autopilot: config,
-        roomId: room.roomId,
-      });
-    } catch (err) {
-      console.error('[/presenter/autopilot GET] error:', err);
-      return res.status(500).json({ error: 'presenter_autopilot_fetch_failed' });
-    }
+  const roomId = req.params.roomId;
+  const by = Math.max(1, Number((req.body && req.body.by) || 120));
+  const cur = await ensureRoom(roomId);
+  const updated = await updateRoom(roomId, {
+    stageEndsAt: (cur.stageEndsAt || Date.now()) + by * 1000,
+    extensionRequest: null,
+  });
+  await appendDecisionLog(roomId, {
+    type: 'TIMER_EXTENDED',
+    stage: updated.stage || cur.stage || DEFAULT_STAGE,
+    label: `Timer extended by ${by}s`,
+    actorUid: req.user?.uid || '',
+    details: { bySeconds: by },
+  }).catch(() => null);
+  await writeAuditEvent({
+    action: 'PRESENTER_STAGE_EXTEND',
+    actor: req.user,
+    target: {
+      resourceType: 'ROOM',
+      resourceId: roomId,
+      roomId,
+      siteId: updated.siteId || parseRoomId(roomId).siteId,
+      licenseId: updated.licenseId || req.user.licenseId,
+      orgId: updated.orgId || req.user.orgId,
+    },
+    details: { bySeconds: by },
+  });
+
+  res.json({ ok: true, stageEndsAt: updated.stageEndsAt });
   }
 );
 
-app.put(
-  '/presenter/autopilot',
+app.post(
+  '/rooms/:roomId/redo',
   requireAuth,
   requirePresenter,
-  requirePresenterSiteMatchFromQuery,
+  requirePresenterRoomScope,
   async (req, res) => {
-    try {
-      const siteId = normalizedSiteId(req.query?.siteId || '');
-      if (!siteId) return res.status(400).json({ error: 'siteId required' });
-
-      const seedRoom = await ensureRoom(`${siteId}-1`);
-      const currentConfig = normalizeAutopilotConfig(
-        seedRoom.autopilot,
-        AUTOPILOT_DEFAULT
-      );
-      const nextConfig = normalizeAutopilotConfig(req.body || {}, currentConfig);
-      const resetActions = req.body?.resetActions === true;
-      const roomConfig = await resolveWorkshopRoomConfig({
-        siteId,
-        licenseId: req.user.licenseId,
-        orgId: req.user.orgId,
-      });
-      const maxRooms = toPositiveInt(roomConfig?.roomsPerSite, 5, {
-        min: 1,
-        max: MAX_ROOMS_PER_SITE,
-      });
-
-      let updatedRooms = 0;
-      for (let i = 1; i <= maxRooms; i += 1) {
-        const roomId = `${siteId}-${i}`;
-        // eslint-disable-next-line no-await-in-loop
-        await ensureRoom(roomId);
-        // eslint-disable-next-line no-await-in-loop
-        await updateRoom(roomId, {
-          autopilot: nextConfig,
-          ...(resetActions ? { autopilotActions: {} } : {}),
-        });
-        updatedRooms += 1;
-      }
-
-      await writeAuditEvent({
-        action: 'PRESENTER_AUTOPILOT_UPDATE',
-        actor: req.user,
-        target: {
-          resourceType: 'SITE',
-          resourceId: siteId,
-          siteId,
-          licenseId: req.user.licenseId,
-          orgId: req.user.orgId,
-        },
-        details: {
-          autopilot: nextConfig,
-          resetActions,
-          updatedRooms,
-        },
-      });
-
-      return res.json({
-        ok: true,
-        siteId,
-        autopilot: nextConfig,
-        updatedRooms,
-      });
-    } catch (err) {
-      console.error('[/presenter/autopilot PUT] error:', err);
-      return res.status(500).json({ error: 'presenter_autopilot_update_failed' });
-    }
-  }
-);
-
-// ---------- Room state & messages ----------
-app.get('/rooms/:roomId/state', requireAuth, requireRoomAccess, async (req, res) => {
   const roomId = req.params.roomId;
-  const r = req.room || (await ensureRoom(roomId));
-  const typing = cleanRoomPresence(roomId);
-  const cerGate = evaluateEvidenceBoardCerGate(r);
-  const phaseExitGate = evaluatePhaseExitGate(r, r.stage || DEFAULT_STAGE);
-  const roleRotation = buildRoleRotationState(r, r.stage || DEFAULT_STAGE, req.user?.uid || '');
-  const privateDraftState = serializePrivateDraftState(r, req.user?.uid || '');
-  const decisionLog = serializeDecisionLog(r, { limit: 60 });
-  const qualityScorecard = buildRoomQualityScorecard(r);
-  const aiFallback = serializeAiFallbackState(r, r.stage || DEFAULT_STAGE);
-
-  res.json({
-    id: r.roomId,
-    siteId: r.siteId,
-    index: r.index,
-    stage: r.stage || 'LOBBY',
-    stageEndsAt: toStageMs(r.stageEndsAt),
-    stageDurationSec:
-      (r.stage || 'LOBBY') === 'CLOSED'
-        ? 0
-        : Math.floor(getRoomStageDurationMs(r, r.stage || 'LOBBY') / 1000),
-    inputLocked: !!r.inputLocked,
-    topic: r.topic || '',
-    ideaSummary: r.ideaSummary || '',
-
-    seats: getSeatCount(r),
-    finalReadyCount: Number(r.finalReadyCount || 0),
-    finalCompletedAt: r.finalCompletedAt || null,
-
-    // living draft meta + final abstract
-    draftVersion: Number(r.draftVersion || 0),
-    draftUpdatedAt: r.draftUpdatedAt || null,
-    finalAbstract: r.finalAbstract || '',
-    closedAt: r.closedAt || null,
-    closedReason: r.closedReason || null,
-    workshopMode: r.workshopMode || '',
-    aiBehavior: r.aiBehavior || '',
-    assistantPersona: r.assistantPersona || '',
-    autopilot: normalizeAutopilotConfig(r.autopilot, AUTOPILOT_DEFAULT),
-    cerGate,
-    phaseExitGate,
-    roleRotation,
-    draftApproval: {
-      approvedByUids: Array.isArray(r.draftApprovedByUids) ? r.draftApprovedByUids : [],
-      approvedCount: Array.isArray(r.draftApprovedByUids) ? r.draftApprovedByUids.length : 0,
-      requiredApprovals: getSeatCount(r) >= 4 ? 2 : 1,
-      approvedVersion: Number(r.draftApprovedVersion || 0),
-      approvedAt: Number(r.draftApprovedAt || 0) || 0,
+  const cur = await ensureRoom(roomId);
+  const updated = await updateRoom(roomId, {
+    stage: 'ROUGH_DRAFT',
+    stageEndsAt: Date.now() + getRoomStageDurationMs(cur, 'ROUGH_DRAFT'),
+    inputLocked: false,
+    finalReadyUids: [],
+    finalReadyCount: 0,
+    finalCompletedAt: null,
+    closedAt: null,
+    closedReason: null,
+    finalAbstract: '',
+  });
+  await appendDecisionLog(roomId, {
+    type: 'STAGE_REDO',
+    stage: 'ROUGH_DRAFT',
+    label: 'Stage reset to Rough Draft',
+    actorUid: req.user?.uid || '',
+  }).catch(() => null);
+  await writeAuditEvent({
+    action: 'PRESENTER_STAGE_REDO',
+    actor: req.user,
+    target: {
+      resourceType: 'ROOM',
+      resourceId: roomId,
+      roomId,
+      siteId: updated.siteId || parseRoomId(roomId).siteId,
+      licenseId: updated.licenseId || req.user.licenseId,
+      orgId: updated.orgId || req.user.orgId,
     },
-    privateDraft: privateDraftState.mine,
-    sharedDraftSubmissions: privateDraftState.submissions,
-    decisionLog,
-    qualityScorecard,
-    aiFallback,
-    shareLinkCount: Object.keys(r.shareLinks || {}).length,
-    topicOptions: Array.isArray(r.topicOptions) ? r.topicOptions : [],
-    phasePlan: Array.isArray(r.phasePlan) ? r.phasePlan : [],
-    typing,
+    details: { stage: updated.stage },
   });
-});
+  res.json({ ok: true, stage: updated.stage, stageEndsAt: updated.stageEndsAt });
+  }
+);
 
-app.get('/rooms/:roomId/canvas', requireAuth, requireRoomAccess, async (req, res) => {
+app.post(
+  '/rooms/:roomId/lock',
+  requireAuth,
+  requirePresenter,
+  requirePresenterRoomScope,
+  async (req, res) => {
   const roomId = req.params.roomId;
-  const room = req.room || (await ensureRoom(roomId));
-  const phase = normalizeCanvasPhase(req.query?.phase || room.stage || 'DISCOVERY');
-  const canvas = getPhaseCanvas(room, phase);
-  return res.json({ ok: true, roomId, phase, canvas });
-});
-
-app.put('/rooms/:roomId/canvas', requireAuth, requireRoomAccess, async (req, res) => {
-  try {
-    const roomId = req.params.roomId;
-    const room = req.room || (await ensureRoom(roomId));
-    const phase = normalizeCanvasPhase(req.body?.phase || room.stage || 'DISCOVERY');
-    const existing = getPhaseCanvas(room, phase);
-    const section = String(req.body?.section || '').trim().toLowerCase();
-    const content = normalizeCanvasText(req.body?.content || '', 10_000);
-    const sectionAlias = {
-      ideas: 'stickyNotes',
-      stickynotes: 'stickyNotes',
-      structure: 'outlineMap',
-      outlinemap: 'outlineMap',
-      evidenceboard: 'evidenceBoard',
-      map: 'narrativeMap',
-      narrativemap: 'narrativeMap',
-    };
-    let partial = {};
-    const canonicalSection = sectionAlias[section] || '';
-    if (canonicalSection) {
-      partial = { [canonicalSection]: content };
-    } else {
-      partial = {
-        stickyNotes: req.body?.stickyNotes ?? req.body?.ideas ?? existing.stickyNotes,
-        outlineMap: req.body?.outlineMap ?? req.body?.structure ?? existing.outlineMap,
-        evidenceBoard: req.body?.evidenceBoard ?? existing.evidenceBoard,
-        narrativeMap: req.body?.narrativeMap ?? req.body?.map ?? existing.narrativeMap,
-      };
-    }
-    const saved = await savePhaseCanvas(roomId, phase, partial, req.user);
-    publishRoomEvent(roomId, 'canvas_update', {
-      siteId: room.siteId || parseRoomId(roomId).siteId,
-      phase: saved.phase,
-    });
-    return res.json({
-      ok: true,
+  const inputLocked = !!(req.body && req.body.inputLocked);
+  const updated = await updateRoom(roomId, { inputLocked });
+  await appendDecisionLog(roomId, {
+    type: inputLocked ? 'INPUT_LOCKED' : 'INPUT_UNLOCKED',
+    stage: updated.stage || DEFAULT_STAGE,
+    label: inputLocked ? 'Input locked' : 'Input unlocked',
+    actorUid: req.user?.uid || '',
+    details: { inputLocked: !!updated.inputLocked },
+  }).catch(() => null);
+  await writeAuditEvent({
+    action: inputLocked ? 'PRESENTER_INPUT_LOCK' : 'PRESENTER_INPUT_UNLOCK',
+    actor: req.user,
+    target: {
+      resourceType: 'ROOM',
+      resourceId: roomId,
       roomId,
-      phase: saved.phase,
-      canvas: saved.canvas,
-    });
-  } catch (err) {
-    console.error('[/rooms/:roomId/canvas PUT] error:', err);
-    return res.status(500).json({ error: 'canvas_update_failed' });
+      siteId: updated.siteId || parseRoomId(roomId).siteId,
+      licenseId: updated.licenseId || req.user.licenseId,
+      orgId: updated.orgId || req.user.orgId,
+    },
+    details: { inputLocked: !!updated.inputLocked },
+  });
+  res.json({ ok: true, inputLocked: !!updated.inputLocked });
   }
-});
+);
 
-app.get('/rooms/:roomId/replay', requireAuth, requireRoomAccess, async (req, res) => {
-  try {
+app.post(
+  '/rooms/:roomId/intervention',
+  requireAuth,
+  requirePresenter,
+  requirePresenterRoomScope,
+  async (req, res) => {
     const roomId = req.params.roomId;
-    const room = req.room || (await ensureRoom(roomId));
-    const limit = Math.min(1200, Math.max(100, Number(req.query?.limit || 800)));
-    const includeActions = String(req.query?.includeActions ?? 'true').trim().toLowerCase() !== 'false';
-    const [messages, replayAuditEntries] = await Promise.all([
-      getMessagesForRoom(roomId, limit),
-      includeActions ? listRoomReplayAuditEntries(room, roomId, Math.max(180, Math.floor(limit / 3))) : Promise.resolve([]),
-    ]);
-    const entries = buildReplayEntries(messages, replayAuditEntries);
-    return res.json({
-      ok: true,
-      roomId,
-      stage: room.stage || DEFAULT_STAGE,
-      includeActions,
-      entries,
-    });
-  } catch (err) {
-    console.error('[/rooms/:roomId/replay GET] error:', err);
-    return res.status(500).json({ error: 'room_replay_failed' });
-  }
-});
+    const kind = String(req.body?.kind || '').trim().toLowerCase();
+    if (!kind) return res.status(400).json({ error: 'kind_required' });
 
-app.get('/rooms/:roomId/presence', requireAuth, requireRoomAccess, async (req, res) => {
-  try {
-    const roomId = req.params.roomId;
-    const room = req.room || (await ensureRoom(roomId));
-    const typing = cleanRoomPresence(roomId);
-    const messages = await getMessagesForRoom(roomId, 260);
-    const contributionMap = new Map();
-    const byUid = new Map();
-    const emojiByUid = new Map();
-    for (const msg of messages) {
-      if (String(msg.authorType || 'user') !== 'user') continue;
-      const key = String(msg.emoji || '').trim() || `persona-${Number(msg.personaIndex || 0) + 1}`;
-      contributionMap.set(key, Number(contributionMap.get(key) || 0) + 1);
-      const uid = String(msg.uid || '').trim();
-      if (!uid) continue;
-      const words = String(msg.text || '')
-        .split(/\s+/)
-        .map((part) => part.trim())
-        .filter(Boolean).length;
-      const row = byUid.get(uid) || { uid, messages: 0, words: 0 };
-      row.messages += 1;
-      row.words += words;
-      byUid.set(uid, row);
-      if (String(msg.emoji || '').trim()) {
-        emojiByUid.set(uid, String(msg.emoji || '').trim());
+    const room = await ensureRoom(roomId);
+    let updated = room;
+    const now = Date.now();
+    const stage = String(room.stage || DEFAULT_STAGE).toUpperCase();
+    const messagePhase = stage === 'CLOSED' ? 'FINAL' : stage;
+
+    if (kind === 'extend_time') {
+      const by = Math.max(30, Math.min(900, Number(req.body?.by || 120)));
+      updated = await updateRoom(roomId, {
+        stageEndsAt: (toStageMs(room.stageEndsAt) || now) + by * 1000,
+        extensionRequest: null,
+      });
+      await addMessage(roomId, {
+        text: `🧭 Facilitator intervention: extending this phase by ${by} seconds.`,
+        phase: messagePhase,
+        authorType: 'asema',
+        personaIndex: 0,
+      });
+    } else if (kind === 'unlock_input') {
+      updated = await updateRoom(roomId, { inputLocked: false });
+      await addMessage(roomId, {
+        text: '🧭 Facilitator intervention: input unlocked. Add one concrete line now.',
+        phase: messagePhase,
+        authorType: 'asema',
+        personaIndex: 0,
+      });
+    } else if (kind === 'nudge_quiet') {
+      await addMessage(roomId, {
+        text:
+          '🧭 Facilitator intervention: quick round-robin. If you have not spoken yet, share one concrete sentence now.',
+        phase: messagePhase,
+        authorType: 'asema',
+        personaIndex: 0,
+      });
+    } else if (kind === 'reopen_voting') {
+      if (stage !== 'DISCOVERY') {
+        return res.status(400).json({ error: 'wrong_stage', stage });
       }
+      updated = await updateRoom(roomId, {
+        voteOpen: true,
+        voteTotal: 0,
+        voteTallies: {},
+        voteByUid: {},
+        voteBallots: {},
+        voteNullifiers: {},
+        voteSessionId: crypto.randomUUID(),
+        voteSubmittedUids: [],
+        voteSubmittedCount: 0,
+      });
+      publishRoomEvent(roomId, 'vote_update', {
+        siteId: updated.siteId || parseRoomId(roomId).siteId,
+      });
+      await addMessage(roomId, {
+        text: '🗳️ Facilitator intervention: voting has been reopened for a quick re-check.',
+        phase: 'DISCOVERY',
+        authorType: 'asema',
+        personaIndex: 0,
+      });
+    } else {
+      return res.status(400).json({ error: 'unknown_intervention_kind' });
     }
-    const contributionHeat = Array.from(contributionMap.entries())
-      .map(([label, value]) => ({ label, value }))
-      .sort((a, b) => Number(b.value || 0) - Number(a.value || 0))
-      .slice(0, 12);
 
-    const seatUids = Array.isArray(room.seatUids) && room.seatUids.length
-      ? room.seatUids.map((uid) => String(uid || '').trim()).filter(Boolean)
-      : (Array.isArray(room.seats) ? room.seats.map((seat) => String(seat?.uid || '').trim()).filter(Boolean) : []);
-    const participantUids = seatUids.length ? seatUids : Array.from(byUid.keys());
-    const equityRows = participantUids.map((uid, index) => {
-      const metrics = byUid.get(uid) || { messages: 0, words: 0 };
-      const label = emojiByUid.get(uid) || `Seat ${index + 1}`;
-      return {
-        uid,
-        label,
-        messages: Number(metrics.messages || 0),
-        words: Number(metrics.words || 0),
-      };
+    await appendDecisionLog(roomId, {
+      type: 'FACILITATOR_INTERVENTION',
+      stage: updated.stage || stage,
+      label: `Intervention: ${kind.replace(/_/g, ' ')}`,
+      actorUid: req.user?.uid || '',
+      details: {
+        kind,
+      },
+    }).catch(() => null);
+
+    await writeAuditEvent({
+      action: 'PRESENTER_INTERVENTION',
+      actor: req.user,
+      target: {
+        resourceType: 'ROOM',
+        resourceId: roomId,
+        roomId,
+        siteId: updated.siteId || parseRoomId(roomId).siteId,
+        licenseId: updated.licenseId || req.user.licenseId || '',
+        orgId: updated.orgId || req.user.orgId || '',
+      },
+      details: {
+        kind,
+        stage: updated.stage || stage,
+      },
     });
-    const totalMessages = equityRows.reduce((sum, row) => sum + Number(row.messages || 0), 0);
-    const quietCount = equityRows.filter((row) => Number(row.messages || 0) === 0).length;
-    const dominantShare = totalMessages
-      ? Math.max(
-          0,
-          ...equityRows.map((row) => Number(row.messages || 0) / totalMessages)
-        )
-      : 0;
-    const idealShare = equityRows.length > 0 ? 1 / equityRows.length : 0;
-    const imbalance = totalMessages && idealShare
-      ? equityRows.reduce(
-          (sum, row) => sum + Math.abs(Number(row.messages || 0) / totalMessages - idealShare),
-          0
-        ) / 2
-      : 0;
-    const balanceScore = totalMessages ? Math.max(0, Math.round((1 - imbalance) * 100)) : 100;
-    const nudge = quietCount > 0
-      ? `Invite ${quietCount} quieter participant${quietCount === 1 ? '' : 's'} to add one line.`
-      : dominantShare >= 0.6 && totalMessages >= 6
-        ? 'Turn balance prompt: one voice is dominating. Rotate turns for the next round.'
-        : '';
-    const equity = {
-      rows: equityRows
-        .map((row) => ({
-          ...row,
-          sharePct: totalMessages ? Math.round((Number(row.messages || 0) / totalMessages) * 100) : 0,
-        }))
-        .sort((a, b) => Number(b.messages || 0) - Number(a.messages || 0)),
-      totalMessages,
-      quietCount,
-      balanceScore,
-      dominantSharePct: Math.round(dominantShare * 100),
-      nudge,
-    };
+
     return res.json({
       ok: true,
-      roomId,
-      typing,
-      contributionHeat,
-      equity,
+      kind,
+      room: {
+        roomId,
+        stage: updated.stage || stage,
+        stageEndsAt: toStageMs(updated.stageEndsAt),
+        inputLocked: !!updated.inputLocked,
+        voteOpen: !!updated.voteOpen,
+      },
     });
-  } catch (err) {
-    console.error('[/rooms/:roomId/presence GET] error:', err);
-    return res.status(500).json({ error: 'room_presence_failed' });
   }
-});
+);
 
-app.post('/rooms/:roomId/presence/typing', requireAuth, requireRoomAccess, async (req, res) => {
-  try {
-    const roomId = req.params.roomId;
-    const emoji = String(req.body?.emoji || '').trim();
-    const typing = upsertTypingPresence(roomId, req.user.uid, emoji);
-    publishRoomEvent(roomId, 'presence_update', {
-      siteId: req.room?.siteId || parseRoomId(roomId).siteId,
-      typingCount: typing.length,
-    });
-    return res.json({ ok: true, typing });
-  } catch (err) {
-    console.error('[/rooms/:roomId/presence/typing POST] error:', err);
-    return res.status(500).json({ error: 'typing_update_failed' });
+// ---------- Voting ----------
+const DEFAULT_ISSUES = [
+  'Law Enforcement Profiling',
+  'Food Deserts',
+  'Red Lining',
+  'Homelessness',
+  'Wealth Gap',
+];
+
+function getDefaultVoteOptions() {
+  return DEFAULT_ISSUES.map((label, idx) => ({
+    num: idx + 1,
+    label,
+  }));
+}
+
+function getVoteOptionsForRoom(room) {
+  const custom = Array.isArray(room?.topicOptions)
+    ? room.topicOptions.map((s) => String(s || '').trim()).filter(Boolean)
+    : [];
+  if (custom.length) {
+    return custom.map((label, idx) => ({ num: idx + 1, label }));
+  }
+  return getDefaultVoteOptions();
+}
+
+function toVoteOptionMap(optionEntries) {
+  const map = {};
+  for (const opt of optionEntries || []) {
+    const num = Number(opt?.num || 0);
+    if (!num) continue;
+    map[num] = String(opt?.label || `#${num}`);
   }
-});
+  return map;
+}
 
-app.post('/rooms/:roomId/messages', requireAuth, requireRoomAccess, async (req, res) => {
+function roomVoterKey(room, roomId, uid) {
+  if (!readVoteConfig(room?.voteConfig).anonymous) return uid;
+  return voteNullifier(VOTE_NULLIFIER_SECRET, {
+    roomId,
+    sessionId: String(room?.voteSessionId || ''),
+    uid,
+  });
+}
+
+function hasRoomVoteFrom(room, roomId, uid) {
+  if (!uid) return false;
+  const voters = readVoteConfig(room?.voteConfig).anonymous ? room?.voteNullifiers : room?.voteByUid;
+  return Object.prototype.hasOwnProperty.call(voters || {}, roomVoterKey(room, roomId, uid));
+}
+
+function roomBallots(room) {
+  const source = readVoteConfig(room?.voteConfig).anonymous ? room?.voteBallots : room?.voteByUid;
+  return Object.values(source || {});
+}
+
+function computeVoteResults(room) {
+  const optionNums = getVoteOptionsForRoom(room).map(({ num }) => num);
+  return tallyVote(roomBallots(room), optionNums, room?.voteConfig);
+}
+
+function computeWinningTopic(room) {
+  const { winner } = computeVoteResults(room);
+  if (!winner) return room?.topic || '';
+  return toVoteOptionMap(getVoteOptionsForRoom(room))[winner] || `#${winner}`;
+}
+
+// Rounds are returned with counts aligned to `options`, like the top-level
+// `counts`; options already eliminated in a ranked vote read as null.
+function serializeVoteResults(results, optionEntries) {
+  const labels = toVoteOptionMap(optionEntries);
+  return {
+    winner: results.winner,
+    winnerLabel: results.winner ? labels[results.winner] || `#${results.winner}` : '',
+    tie: results.tie,
+    rounds: results.rounds.map((round) => ({
+      round: round.round,
+      counts: optionEntries.map(({ num }) => (num in round.counts ? round.counts[num] : null)),
+      eliminated: round.eliminated,
+      active: round.active,
+      exhausted: round.exhausted,
+      tie: round.tie || null,
+    })),
+  };
+}
+
+function publicVoteConfig(config = {}) {
+  const { mode, tieBreak, pointsBudget, maxApprovals, anonymous } = readVoteConfig(config);
+  return { mode, tieBreak, pointsBudget, maxApprovals, anonymous };
+}
+
+function normalizeExportTemplate(templateRaw = '') {
+  const normalized = String(templateRaw || '').trim().toLowerCase();
+  if (normalized === 'brief' || normalized === 'storyboard') return normalized;
+  return 'story';
+}
+
+function normalizeExportTheme(themeRaw = '') {
+  const normalized = String(themeRaw || '').trim().toLowerCase();
+  if (normalized === 'sunrise' || normalized === 'meadow') return normalized;
+  return 'heritage';
+}
+
+function buildAbsoluteUrl(req, pathValue = '/') {
+  const proto =
+    String(req.headers?.['x-forwarded-proto'] || req.protocol || 'https')
+      .split(',')[0]
+      .trim() || 'https';
+  const host =
+    String(req.headers?.['x-forwarded-host'] || req.get('host') || '')
+      .split(',')[0]
+      .trim();
+  if (!host) return String(pathValue || '/');
+  return `${proto}://${host}${pathValue}`;
+}
+
+function serializeShareLinkForClient(req, roomId, entry) {
+  const token = String(entry?.linkToken || '').trim();
+  const query = token ? `?k=${encodeURIComponent(token)}` : '';
+  const path = `/shared/${encodeURIComponent(roomId)}/${encodeURIComponent(
+    entry.linkId
+  )}${query}`;
+  return {
+    linkId: entry.linkId,
+    title: entry.title,
+    topic: entry.topic,
+    orgLabel: entry.orgLabel,
+    template: entry.template,
+    theme: entry.theme,
+    createdAt: Number(entry.createdAt || 0) || 0,
+    createdBy: entry.createdBy || '',
+    expiresAt: Number(entry.expiresAt || 0) || 0,
+    revoked: !!entry.revoked,
+    maxViews: Number(entry.maxViews || 0) || 0,
+    viewCount: Number(entry.viewCount || 0) || 0,
+    lastViewedAt: Number(entry.lastViewedAt || 0) || 0,
+    path,
+    url: buildAbsoluteUrl(req, path),
+  };
+}
+
+app.post('/rooms/:roomId/vote/ready', requireAuth, requireRoomAccess, async (req, res) => {
   const roomId = req.params.roomId;
-  const { text, phase, personaIndex = 0, emoji } = req.body || {};
-  if (!text || typeof text !== 'string') {
-    return res.status(400).json({ error: 'text required' });
+  const uid = req.user?.uid;
+  if (!uid) return res.status(401).json({ error: 'no_uid' });
+
+  const room = await ensureRoom(roomId);
+  const stage = room.stage || 'LOBBY';
+  if (stage !== 'DISCOVERY') {
+    return res.status(400).json({ error: 'wrong_stage', stage });
   }
 
-  let r = await ensureRoom(roomId);
-  const doneWord = isDoneWord(text);
-  const aiPolicy = await resolveAiPolicyForRoom(r).catch(() => AI_POLICY_DEFAULT);
-  if (!doneWord) {
-    const safety = evaluateSchoolSafetyText(text, aiPolicy);
-    if (safety.blocked) {
-      return res.status(422).json(schoolSafetyErrorPayload(safety));
+  let updated = room;
+  try {
+    const { Attributes } = await ddbDoc.send(
+      new UpdateCommand({
+        TableName: TABLES.rooms,
+        Key: { roomId },
+        UpdateExpression: [
+          'SET voteReadyUids = list_append(if_not_exists(voteReadyUids, :emptyList), :uidList)',
+          'voteReadyCount = if_not_exists(voteReadyCount, :zero) + :one',
+          'updatedAt = :now',
+        ].join(', '),
+        ConditionExpression:
+          'attribute_not_exists(voteReadyUids) OR NOT contains(voteReadyUids, :uid)',
+        ExpressionAttributeValues: {
+          ':emptyList': [],
+          ':uidList': [uid],
+          ':uid': uid,
+          ':zero': 0,
+          ':one': 1,
+          ':now': Date.now(),
+        },
+        ReturnValues: 'ALL_NEW',
+      })
+    );
+    updated = normalizeRoomShape(Attributes);
+  } catch (e) {
+    if (shouldUseDemoFallback(e)) {
+      logDemoFallback('vote_ready_update', e);
+      const readyUids = Array.isArray(room.voteReadyUids)
+        ? room.voteReadyUids.map((entry) => String(entry || '').trim()).filter(Boolean)
+        : [];
+      if (!readyUids.includes(uid)) readyUids.push(uid);
+      updated = await updateRoom(roomId, {
+        voteReadyUids: readyUids,
+        voteReadyCount: readyUids.length,
+      });
+    } else if (e?.name === 'ConditionalCheckFailedException') {
+      updated = await ensureRoom(roomId);
+    } else {
+      throw e;
     }
   }
 
-  // If user types "done/submit" during FINAL in normal chat, mark them ready
-  if ((r.stage || 'LOBBY') === 'FINAL' && doneWord) {
-    // still store their message (so the room sees who’s done)
-    const saved = await addMessage(roomId, {
-      text,
-      phase: phase || r.stage || 'FINAL',
-      authorType: 'user',
-      personaIndex,
-      uid: req.user.uid,
-      emoji: emoji || null,
+  const seats = getSeatCount(updated);
+  const voteReadyCount = Number(updated.voteReadyCount || 0);
+  const threshold = seats > 0 ? Math.ceil(seats * 0.5) : 0;
+  if (!updated.voteOpen && threshold > 0 && voteReadyCount >= threshold) {
+    updated = await updateRoom(roomId, {
+      voteOpen: true,
+      voteTotal: 0,
+      voteTallies: {},
+      voteByUid: {},
+      voteBallots: {},
+      voteNullifiers: {},
+      voteSessionId: crypto.randomUUID(),
+      voteSubmittedUids: [],
+      voteSubmittedCount: 0,
     });
-
-    if (String(req.user?.role || '').toUpperCase() === 'PARTICIPANT') {
-      await touchRoomParticipantActivity(roomId, saved.createdAt);
+    await appendDecisionLog(roomId, {
+      type: 'VOTE_OPENED',
+      stage: 'DISCOVERY',
+      label: 'Topic voting opened (readiness threshold reached)',
+      actorUid: req.user?.uid || '',
+    }).catch(() => null);
+    publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
+    try {
+      await addMessage(roomId, {
+        text:
+          '🗳️ At least half the room is ready — opening topic voting now. Pick one option that fits your story best.',
+        phase: 'DISCOVERY',
+        authorType: 'asema',
+        personaIndex: 0,
+      });
+    } catch (e) {
+      console.warn('[vote/ready] Asema announcement failed', e);
     }
+  }
+  publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
+  await writeAuditEvent({
+    action: 'ROOM_VOTE_READY',
+    actor: req.user,
+    target: {
+      resourceType: 'ROOM',
+      resourceId: roomId,
+      roomId,
+      siteId: updated.siteId || parseRoomId(roomId).siteId,
+      licenseId: updated.licenseId || req.user.licenseId || '',
+      orgId: updated.orgId || req.user.orgId || '',
+    },
+    details: {
+      stage,
+      voteReadyCount: Number(updated.voteReadyCount || 0),
+      seats,
+    },
+  });
 
-    const readyRes = await markFinalReady(roomId, req.user.uid);
+  return res.json({
+    ok: true,
+    votingOpen: !!updated.voteOpen,
+    voteReadyCount: updated.voteReadyCount || 0,
+    seats,
+  });
+});
 
-    return res.json({
-      ok: true,
-      createdAt: saved.createdAt,
-      finalReady: readyRes.ok && !readyRes.blocked,
-      alreadyReady: !!readyRes.alreadyReady,
-      readyCount: readyRes.ok ? readyRes.readyCount : undefined,
-      seats: readyRes.ok ? readyRes.seats : undefined,
-      autoClosed: readyRes.ok ? readyRes.autoClosed : undefined,
-      blocked: readyRes.ok ? readyRes.blocked || null : undefined,
-      cerGate: readyRes.ok ? readyRes.cerGate || null : undefined,
-    });
-  }
+app.get('/rooms/:roomId/vote', requireAuth, requireRoomAccess, async (req, res) => {
+  const r = req.room || (await ensureRoom(req.params.roomId));
 
-  // Keep ROUGH_DRAFT open; respect lock elsewhere except FINAL
-  if (
-    r.inputLocked &&
-    (r.stage || 'LOBBY') !== 'FINAL' &&
-    r.stage !== 'ROUGH_DRAFT'
-  ) {
-    return res.status(403).json({ error: 'input_locked' });
-  }
+  const tallies = r.voteTallies || {};
+  const optionEntries = getVoteOptionsForRoom(r);
+  const counts = optionEntries.map(({ num }) =>
+    Number.isFinite(Number(tallies[num])) ? Number(tallies[num]) : 0
+  );
 
-  const saved = await addMessage(roomId, {
-    text,
-    phase: phase || r.stage || 'LOBBY',
-    authorType: 'user',
-    personaIndex,
-    uid: req.user.uid,
-    emoji: emoji || null,
-  });
+  const config = publicVoteConfig(r.voteConfig);
+  const results = computeVoteResults(r);
+  // Approval and points tallies can exceed one per voter, so count ballots.
+  const votesReceived =
+    config.mode === 'single'
+      ? counts.reduce((a, b) => a + (Number.isFinite(b) ? b : 0), 0)
+      : results.rounds[0]?.active || 0;
 
-  if (String(req.user?.role || '').toUpperCase() === 'PARTICIPANT') {
-    await touchRoomParticipantActivity(roomId, saved.createdAt);
-  }
+  const seats = getSeatCount(r);
 
-  res.json({ ok: true, createdAt: saved.createdAt });
+  res.json({
+    votingOpen: !!r.voteOpen,
+    mode: config.mode,
+    config,
+    options: optionEntries,
+    votesReceived,
+    counts,
+    results: serializeVoteResults(results, optionEntries),
+    hasVoted: hasRoomVoteFrom(r, req.params.roomId, req.user?.uid || ''),
+    topic: r.topic || '',
+    voteReadyCount: Number(r.voteReadyCount || 0),
+    voteSubmittedCount: Number(r.voteSubmittedCount || 0),
+    seats,
+  });
 });
 
-app.get('/rooms/:roomId/messages', requireAuth, requireRoomAccess, async (req, res) => {
+// Public record for anonymous votes: every counted ballot under its receipt,
+// sorted by receipt so the order says nothing about when anyone voted.
+app.get('/rooms/:roomId/vote/receipts', requireAuth, requireRoomAccess, async (req, res) => {
   const roomId = req.params.roomId;
-  const limit = Math.min(200, Number(req.query.limit || 100));
-  const items = await getMessagesForRoom(roomId, limit);
-  res.json({ messages: items });
+  const r = req.room || (await ensureRoom(roomId));
+  const config = publicVoteConfig(r.voteConfig);
+  if (!config.anonymous) {
+    return res.status(404).json({ error: 'vote_not_anonymous' });
+  }
+  const receipts = Object.entries(r.voteBallots || {})
+    .map(([receipt, ballot]) => ({ receipt, ballot }))
+    .sort((a, b) => a.receipt.localeCompare(b.receipt));
+  const lookup = String(req.query?.receipt || '').trim().toLowerCase();
+  const match = lookup ? receipts.find((entry) => entry.receipt === lookup) : null;
+  return res.json({
+    ok: true,
+    roomId,
+    mode: config.mode,
+    sessionId: String(r.voteSessionId || ''),
+    votingOpen: !!r.voteOpen,
+    receipts,
+    ...(lookup ? { receipt: lookup, counted: !!match, ballot: match?.ballot ?? null } : {}),
+  });
 });
 
-// ---------- Stage controls ----------
 app.post(
-  '/rooms/:roomId/next',
+  '/rooms/:roomId/vote/start',
   requireAuth,
   requirePresenter,
   requirePresenterRoomScope,
   async (req, res) => {
   const roomId = req.params.roomId;
-  const cur = await ensureRoom(roomId);
-  const phaseGate = evaluatePhaseExitGate(cur, cur.stage || DEFAULT_STAGE);
-  if (!phaseGate.ok) {
-    await maybePostPhaseGateReminder(cur, phaseGate, { force: true }).catch(() => null);
-    return res.status(409).json({
-      error: 'phase_exit_incomplete',
-      phaseGate,
+  const room = await ensureRoom(roomId);
+  // Fields left out of the body keep the room's previous settings.
+  const requested = {};
+  for (const key of ['mode', 'tieBreak', 'pointsBudget', 'maxApprovals', 'anonymous']) {
+    if (req.body?.[key] !== undefined) requested[key] = req.body[key];
+  }
+  let voteConfig;
+  try {
+    voteConfig = normalizeVoteConfig({
+      ...readVoteConfig(room.voteConfig),
+      ...requested,
+      seed: crypto.randomUUID(),
     });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
-  const nextStage = advanceStageVal(cur.stage);
-  const dur = getRoomStageDurationMs(cur, nextStage);
   const updated = await updateRoom(roomId, {
-    stage: nextStage,
-    stageEndsAt: Date.now() + dur,
+    voteConfig,
+    voteOpen: true,
+    voteTotal: 0,
+    voteTallies: {},
+    voteByUid: {},
+    voteBallots: {},
+    voteNullifiers: {},
+    voteSessionId: crypto.randomUUID(),
+    voteReadyUids: [],
+    voteReadyCount: 0,
+    voteSubmittedUids: [],
+    voteSubmittedCount: 0,
   });
   await appendDecisionLog(roomId, {
-    type: 'STAGE_ADVANCED',
-    stage: updated.stage || nextStage,
-    label: `${String(cur.stage || DEFAULT_STAGE).replace(/_/g, ' ')} -> ${String(
-      updated.stage || nextStage
-    ).replace(/_/g, ' ')}`,
+    type: 'VOTE_OPENED',
+    stage: 'DISCOVERY',
+    label: `Topic voting opened (${voteConfig.mode})`,
     actorUid: req.user?.uid || '',
-    details: {
-      fromStage: cur.stage || DEFAULT_STAGE,
-      toStage: updated.stage || nextStage,
-    },
+    details: publicVoteConfig(voteConfig),
   }).catch(() => null);
   await writeAuditEvent({
-    action: 'PRESENTER_STAGE_NEXT',
+    action: 'PRESENTER_VOTE_START',
     actor: req.user,
     target: {
       resourceType: 'ROOM',
@@ -10848,112 +14944,299 @@ app.post(
       licenseId: updated.licenseId || req.user.licenseId,
       orgId: updated.orgId || req.user.orgId,
     },
-    details: {
-      fromStage: cur.stage || DEFAULT_STAGE,
-      toStage: updated.stage || nextStage,
-    },
+    details: { voteOpen: true, ...publicVoteConfig(voteConfig) },
   });
-  res.json({ ok: true, stage: updated.stage, stageEndsAt: updated.stageEndsAt });
+  publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
+  res.json({ ok: true, started: true, config: publicVoteConfig(voteConfig) });
   }
 );
 
-app.post(
-  '/rooms/:roomId/extend',
-  requireAuth,
-  requirePresenter,
-  requirePresenterRoomScope,
-  async (req, res) => {
-  const roomId = req.params.roomId;
-  const by = Math.max(1, Number((req.body && req.body.by) || 120));
-  const cur = await ensureRoom(roomId);
-  const updated = await updateRoom(roomId, {
-    stageEndsAt: (cur.stageEndsAt || Date.now()) + by * 1000,
+async function submitRoomVote(roomId, user, input = {}) {
+  const uid = user?.uid;
+  const votingRoom = await ensureRoom(roomId);
+  const voteConfig = readVoteConfig(votingRoom.voteConfig);
+
+  if (voteConfig.mode === 'single' && typeof input.choice !== 'number') {
+    return roomActionResult(400, { error: 'choice must be a number' });
+  }
+  if (!uid) {
+    return roomActionResult(401, { error: 'no_uid' });
+  }
+  const optionEntries = getVoteOptionsForRoom(votingRoom);
+  let ballot;
+  try {
+    ballot = normalizeBallot(input, voteConfig, optionEntries.map(({ num }) => num));
+  } catch (err) {
+    return roomActionResult(400, { error: err.message, mode: voteConfig.mode });
+  }
+  const tallyDelta = Object.entries(ballotTallyDelta(ballot, voteConfig.mode));
+  const tallyNames = {};
+  const tallyValues = {};
+  const tallyUpdates = tallyDelta.map(([num, amount], idx) => {
+    tallyNames[`#choice${idx}`] = String(num);
+    tallyValues[`:weight${idx}`] = amount;
+    return `voteTallies.#choice${idx} = if_not_exists(voteTallies.#choice${idx}, :zero) + :weight${idx}`;
   });
-  await appendDecisionLog(roomId, {
-    type: 'TIMER_EXTENDED',
-    stage: updated.stage || cur.stage || DEFAULT_STAGE,
-    label: `Timer extended by ${by}s`,
-    actorUid: req.user?.uid || '',
-    details: { bySeconds: by },
-  }).catch(() => null);
+
+  // Anonymous ballots are filed under a receipt hash and the voter under a
+  // nullifier, so the room record never pairs a uid with a choice.
+  const anonymous = voteConfig.anonymous;
+  const sessionId = String(votingRoom.voteSessionId || '');
+  const voterKey = roomVoterKey(votingRoom, roomId, uid);
+  const receiptSalt = anonymous ? crypto.randomBytes(16).toString('hex') : '';
+  const receipt = anonymous ? voteReceipt({ sessionId, salt: receiptSalt, ballot }) : '';
+  const alreadySubmitted = (latest) =>
+    roomActionResult(200, {
+      ok: true,
+      alreadySubmitted: true,
+      voteSubmittedCount: Number(latest.voteSubmittedCount || 0),
+      seats: getSeatCount(latest),
+      votingOpen: !!latest.voteOpen,
+      topic: latest.topic || '',
+    });
+
+  let updated;
+  try {
+    const { Attributes } = await ddbDoc.send(
+      new UpdateCommand({
+        TableName: TABLES.rooms,
+        Key: { roomId },
+        UpdateExpression: [
+          `SET ${tallyUpdates.join(', ')}`,
+          'voteTotal = if_not_exists(voteTotal, :zero) + :one',
+          'voteSubmittedCount = if_not_exists(voteSubmittedCount, :zero) + :one',
+          ...(anonymous
+            ? ['voteNullifiers.#voter = :true', 'voteBallots.#receipt = :ballot']
+            : [
+                'voteSubmittedUids = list_append(if_not_exists(voteSubmittedUids, :emptyList), :uidList)',
+                'voteByUid.#voter = :ballot',
+              ]),
+          'updatedAt = :now',
+        ].join(', '),
+        ConditionExpression: anonymous
+          ? 'voteOpen = :true AND voteSessionId = :sessionId AND attribute_not_exists(voteNullifiers.#voter)'
+          : 'voteOpen = :true AND attribute_not_exists(voteByUid.#voter)',
+        ExpressionAttributeNames: {
+          ...tallyNames,
+          '#voter': voterKey,
+          ...(anonymous ? { '#receipt': receipt } : {}),
+        },
+        ExpressionAttributeValues: {
+          ...tallyValues,
+          ':true': true,
+          ':zero': 0,
+          ':one': 1,
+          ':ballot': ballot,
+          ':now': Date.now(),
+          ...(anonymous ? { ':sessionId': sessionId } : { ':emptyList': [], ':uidList': [uid] }),
+        },
+        ReturnValues: 'ALL_NEW',
+      })
+    );
+    updated = normalizeRoomShape(Attributes);
+  } catch (err) {
+    if (shouldUseDemoFallback(err)) {
+      logDemoFallback('vote_submit_update', err);
+      const latest = await ensureRoom(roomId);
+      if (hasRoomVoteFrom(latest, roomId, uid)) return alreadySubmitted(latest);
+      if (!latest.voteOpen) {
+        return roomActionResult(400, { error: 'voting_closed' });
+      }
+      if (anonymous && String(latest.voteSessionId || '') !== sessionId) {
+        return roomActionResult(409, { error: 'vote_conflict_retry' });
+      }
+      const voteTallies = { ...(latest.voteTallies || {}) };
+      for (const [num, amount] of tallyDelta) {
+        voteTallies[num] = Number(voteTallies[num] || 0) + amount;
+      }
+      const patch = {
+        voteTallies,
+        voteTotal: Number(latest.voteTotal || 0) + 1,
+        voteSubmittedCount: Number(latest.voteSubmittedCount || 0) + 1,
+      };
+      if (anonymous) {
+        patch.voteNullifiers = { ...(latest.voteNullifiers || {}), [voterKey]: true };
+        patch.voteBallots = { ...(latest.voteBallots || {}), [receipt]: ballot };
+      } else {
+        const voteSubmittedUids = Array.isArray(latest.voteSubmittedUids)
+          ? latest.voteSubmittedUids.slice()
+          : [];
+        voteSubmittedUids.push(uid);
+        patch.voteSubmittedUids = voteSubmittedUids;
+        patch.voteSubmittedCount = voteSubmittedUids.length;
+        patch.voteByUid = { ...(latest.voteByUid || {}), [uid]: ballot };
+      }
+      updated = await updateRoom(roomId, patch);
+    } else if (err?.name !== 'ConditionalCheckFailedException') {
+      throw err;
+    } else {
+      const latest = await ensureRoom(roomId);
+      if (hasRoomVoteFrom(latest, roomId, uid)) return alreadySubmitted(latest);
+      if (!latest.voteOpen) {
+        return roomActionResult(400, { error: 'voting_closed' });
+      }
+      return roomActionResult(409, { error: 'vote_conflict_retry' });
+    }
+  }
+
+  publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
   await writeAuditEvent({
-    action: 'PRESENTER_STAGE_EXTEND',
-    actor: req.user,
+    action: 'ROOM_VOTE_SUBMIT',
+    actor: user,
     target: {
       resourceType: 'ROOM',
       resourceId: roomId,
       roomId,
       siteId: updated.siteId || parseRoomId(roomId).siteId,
-      licenseId: updated.licenseId || req.user.licenseId,
-      orgId: updated.orgId || req.user.orgId,
+      licenseId: updated.licenseId || user.licenseId || '',
+      orgId: updated.orgId || user.orgId || '',
+    },
+    details: {
+      mode: voteConfig.mode,
+      anonymous,
+      ...(anonymous ? {} : { ballot }),
+      voteSubmittedCount: Number(updated.voteSubmittedCount || 0),
     },
-    details: { bySeconds: by },
   });
 
-  res.json({ ok: true, stageEndsAt: updated.stageEndsAt });
+  const seats = getSeatCount(updated);
+  const voteSubmittedCount = Number(updated.voteSubmittedCount || 0);
+
+  if (seats > 0 && voteSubmittedCount >= seats && updated.voteOpen) {
+    const topic = computeWinningTopic(updated);
+    try {
+      const { Attributes } = await ddbDoc.send(
+        new UpdateCommand({
+          TableName: TABLES.rooms,
+          Key: { roomId },
+          UpdateExpression: 'SET voteOpen = :false, topic = :topic, updatedAt = :now',
+          ConditionExpression: 'voteOpen = :true',
+          ExpressionAttributeValues: {
+            ':false': false,
+            ':true': true,
+            ':topic': topic,
+            ':now': Date.now(),
+          },
+          ReturnValues: 'ALL_NEW',
+        })
+      );
+      updated = normalizeRoomShape(Attributes);
+      publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
+
+      try {
+        await addMessage(roomId, {
+          text: `🔒 Topic locked in: **${topic}** — keep everything focused around this issue as you move forward.`,
+          phase: 'DISCOVERY',
+          authorType: 'asema',
+          personaIndex: 0,
+        });
+      } catch (e) {
+        console.warn('[vote/submit] Asema topic announce failed', e);
+      }
+      await writeAuditEvent({
+        action: 'ROOM_TOPIC_LOCKED',
+        actor: {
+          uid: 'system',
+          role: 'SYSTEM',
+          siteId: updated.siteId || parseRoomId(roomId).siteId,
+          licenseId: updated.licenseId || user.licenseId || '',
+          orgId: updated.orgId || user.orgId || '',
+        },
+        target: {
+          resourceType: 'ROOM',
+          resourceId: roomId,
+          roomId,
+          siteId: updated.siteId || parseRoomId(roomId).siteId,
+          licenseId: updated.licenseId || user.licenseId || '',
+          orgId: updated.orgId || user.orgId || '',
+        },
+        details: {
+          topic: updated.topic || topic || '',
+          voteSubmittedCount: Number(updated.voteSubmittedCount || 0),
+        },
+      });
+      await appendDecisionLog(roomId, {
+        type: 'TOPIC_LOCKED',
+        stage: 'DISCOVERY',
+        label: `Topic locked: ${updated.topic || topic || '(none)'}`,
+        actorUid: user?.uid || 'system',
+        details: {
+          topic: updated.topic || topic || '',
+          voteSubmittedCount: Number(updated.voteSubmittedCount || 0),
+        },
+      }).catch(() => null);
+    } catch (err) {
+      if (shouldUseDemoFallback(err)) {
+        logDemoFallback('vote_close_auto', err);
+        updated = await updateRoom(roomId, {
+          voteOpen: false,
+          topic,
+        });
+      } else if (err?.name !== 'ConditionalCheckFailedException') {
+        throw err;
+      } else {
+        updated = await ensureRoom(roomId);
+      }
+    }
   }
-);
 
-app.post(
-  '/rooms/:roomId/redo',
-  requireAuth,
-  requirePresenter,
-  requirePresenterRoomScope,
-  async (req, res) => {
-  const roomId = req.params.roomId;
-  const cur = await ensureRoom(roomId);
-  const updated = await updateRoom(roomId, {
-    stage: 'ROUGH_DRAFT',
-    stageEndsAt: Date.now() + getRoomStageDurationMs(cur, 'ROUGH_DRAFT'),
-    inputLocked: false,
-    finalReadyUids: [],
-    finalReadyCount: 0,
-    finalCompletedAt: null,
-    closedAt: null,
-    closedReason: null,
-    finalAbstract: '',
-  });
-  await appendDecisionLog(roomId, {
-    type: 'STAGE_REDO',
-    stage: 'ROUGH_DRAFT',
-    label: 'Stage reset to Rough Draft',
-    actorUid: req.user?.uid || '',
-  }).catch(() => null);
-  await writeAuditEvent({
-    action: 'PRESENTER_STAGE_REDO',
-    actor: req.user,
-    target: {
-      resourceType: 'ROOM',
-      resourceId: roomId,
-      roomId,
-      siteId: updated.siteId || parseRoomId(roomId).siteId,
-      licenseId: updated.licenseId || req.user.licenseId,
-      orgId: updated.orgId || req.user.orgId,
-    },
-    details: { stage: updated.stage },
+  return roomActionResult(200, {
+    ok: true,
+    voteSubmittedCount,
+    seats,
+    votingOpen: !!updated.voteOpen,
+    topic: updated.topic || '',
+    ...(anonymous ? { receipt, receiptSalt, sessionId } : {}),
   });
-  res.json({ ok: true, stage: updated.stage, stageEndsAt: updated.stageEndsAt });
+}
+
+app.post('/rooms/:roomId/vote/submit', requireAuth, requireRoomAccess, async (req, res) => {
+  const out = await submitRoomVote(req.params.roomId, req.user, req.body || {});
+  return res.status(out.statusCode).json(out.body);
+});
+
+app.get('/rooms/:roomId/gallery-ballot', requireAuth, requireRoomAccess, async (req, res) => {
+  try {
+    const roomId = req.params.roomId;
+    const room = req.room || (await ensureRoom(roomId));
+    const uid = req.user?.uid || '';
+    const ballot = await readGalleryBallot(room.siteId || parseRoomId(roomId).siteId);
+    return res.json({
+      ok: true,
+      roomId,
+      eligible: seatMembershipForUid(room, uid),
+      ballot: serializeGalleryBallot(ballot, { voterRoomId: roomId, uid }),
+    });
+  } catch (err) {
+    console.error('[/rooms/:roomId/gallery-ballot GET] error:', err);
+    return res.status(500).json({ error: 'gallery_ballot_fetch_failed' });
   }
-);
+});
+
+app.post('/rooms/:roomId/gallery-ballot/submit', requireAuth, requireRoomAccess, async (req, res) => {
+  const out = await submitGalleryBallot(req.params.roomId, req.user, req.body || {});
+  return res.status(out.statusCode).json(out.body);
+});
 
 app.post(
-  '/rooms/:roomId/lock',
+  '/rooms/:roomId/vote/close',
   requireAuth,
   requirePresenter,
   requirePresenterRoomScope,
   async (req, res) => {
   const roomId = req.params.roomId;
-  const inputLocked = !!(req.body && req.body.inputLocked);
-  const updated = await updateRoom(roomId, { inputLocked });
+  const r = await ensureRoom(roomId);
+  const topic = computeWinningTopic(r);
+  const updated = await updateRoom(roomId, { voteOpen: false, topic });
   await appendDecisionLog(roomId, {
-    type: inputLocked ? 'INPUT_LOCKED' : 'INPUT_UNLOCKED',
-    stage: updated.stage || DEFAULT_STAGE,
-    label: inputLocked ? 'Input locked' : 'Input unlocked',
+    type: 'VOTE_CLOSED',
+    stage: 'DISCOVERY',
+    label: `Voting closed${topic ? `: ${topic}` : ''}`,
     actorUid: req.user?.uid || '',
-    details: { inputLocked: !!updated.inputLocked },
+    details: { topic: topic || '' },
   }).catch(() => null);
   await writeAuditEvent({
-    action: inputLocked ? 'PRESENTER_INPUT_LOCK' : 'PRESENTER_INPUT_UNLOCK',
+    action: 'PRESENTER_VOTE_CLOSE',
     actor: req.user,
     target: {
       resourceType: 'ROOM',
@@ -10963,2660 +15246,2802 @@ app.post(
       licenseId: updated.licenseId || req.user.licenseId,
       orgId: updated.orgId || req.user.orgId,
     },
-    details: { inputLocked: !!updated.inputLocked },
+    details: { topic: updated.topic || topic || '' },
   });
-  res.json({ ok: true, inputLocked: !!updated.inputLocked });
+  publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
+  res.json({ ok: true, closed: true, topic: updated.topic || topic });
   }
 );
 
-app.post(
-  '/rooms/:roomId/intervention',
+app.get(
+  '/rooms/:roomId/share-links',
   requireAuth,
   requirePresenter,
   requirePresenterRoomScope,
   async (req, res) => {
-    const roomId = req.params.roomId;
-    const kind = String(req.body?.kind || '').trim().toLowerCase();
-    if (!kind) return res.status(400).json({ error: 'kind_required' });
-
-    const room = await ensureRoom(roomId);
-    let updated = room;
-    const now = Date.now();
-    const stage = String(room.stage || DEFAULT_STAGE).toUpperCase();
-    const messagePhase = stage === 'CLOSED' ? 'FINAL' : stage;
-
-    if (kind === 'extend_time') {
-      const by = Math.max(30, Math.min(900, Number(req.body?.by || 120)));
-      updated = await updateRoom(roomId, {
-        stageEndsAt: (toStageMs(room.stageEndsAt) || now) + by * 1000,
-      });
-      await addMessage(roomId, {
-        text: `🧭 Facilitator intervention: extending this phase by ${by} seconds.`,
-        phase: messagePhase,
-        authorType: 'asema',
-        personaIndex: 0,
-      });
-    } else if (kind === 'unlock_input') {
-      updated = await updateRoom(roomId, { inputLocked: false });
-      await addMessage(roomId, {
-        text: '🧭 Facilitator intervention: input unlocked. Add one concrete line now.',
-        phase: messagePhase,
-        authorType: 'asema',
-        personaIndex: 0,
-      });
-    } else if (kind === 'nudge_quiet') {
-      await addMessage(roomId, {
-        text:
-          '🧭 Facilitator intervention: quick round-robin. If you have not spoken yet, share one concrete sentence now.',
-        phase: messagePhase,
-        authorType: 'asema',
-        personaIndex: 0,
-      });
-    } else if (kind === 'reopen_voting') {
-      if (stage !== 'DISCOVERY') {
-        return res.status(400).json({ error: 'wrong_stage', stage });
-      }
-      updated = await updateRoom(roomId, {
-        voteOpen: true,
-        voteTotal: 0,
-        voteTallies: {},
-        voteByUid: {},
-        voteSubmittedUids: [],
-        voteSubmittedCount: 0,
-      });
-      publishRoomEvent(roomId, 'vote_update', {
-        siteId: updated.siteId || parseRoomId(roomId).siteId,
-      });
-      await addMessage(roomId, {
-        text: '🗳️ Facilitator intervention: voting has been reopened for a quick re-check.',
-        phase: 'DISCOVERY',
-        authorType: 'asema',
-        personaIndex: 0,
-      });
-    } else {
-      return res.status(400).json({ error: 'unknown_intervention_kind' });
+    try {
+      const roomId = String(req.params.roomId || '').trim();
+      const room = await ensureRoom(roomId);
+      const rows = listShareLinksForRoom(room, { includeSecrets: true })
+        .map((entry) => serializeShareLinkForClient(req, roomId, entry));
+      return res.json({ ok: true, roomId, links: rows });
+    } catch (err) {
+      console.error('[/rooms/:roomId/share-links GET] error:', err);
+      return res.status(500).json({ error: 'share_links_fetch_failed' });
     }
-
-    await appendDecisionLog(roomId, {
-      type: 'FACILITATOR_INTERVENTION',
-      stage: updated.stage || stage,
-      label: `Intervention: ${kind.replace(/_/g, ' ')}`,
-      actorUid: req.user?.uid || '',
-      details: {
-        kind,
-      },
-    }).catch(() => null);
-
-    await writeAuditEvent({
-      action: 'PRESENTER_INTERVENTION',
-      actor: req.user,
-      target: {
-        resourceType: 'ROOM',
-        resourceId: roomId,
-        roomId,
-        siteId: updated.siteId || parseRoomId(roomId).siteId,
-        licenseId: updated.licenseId || req.user.licenseId || '',
-        orgId: updated.orgId || req.user.orgId || '',
-      },
-      details: {
-        kind,
-        stage: updated.stage || stage,
-      },
-    });
-
-    return res.json({
-      ok: true,
-      kind,
-      room: {
-        roomId,
-        stage: updated.stage || stage,
-        stageEndsAt: toStageMs(updated.stageEndsAt),
-        inputLocked: !!updated.inputLocked,
-        voteOpen: !!updated.voteOpen,
-      },
-    });
   }
 );
 
-// ---------- Voting ----------
-const DEFAULT_ISSUES = [
-  'Law Enforcement Profiling',
-  'Food Deserts',
-  'Red Lining',
-  'Homelessness',
-  'Wealth Gap',
-];
-
-const ISSUE_MAP = Object.fromEntries(
-  DEFAULT_ISSUES.map((label, idx) => [idx + 1, label])
-);
-
-function getDefaultVoteOptions() {
-  return DEFAULT_ISSUES.map((label, idx) => ({
-    num: idx + 1,
-    label,
-  }));
-}
+app.post(
+  '/rooms/:roomId/share-links',
+  requireAuth,
+  requirePresenter,
+  requirePresenterRoomScope,
+  async (req, res) => {
+    try {
+      const roomId = String(req.params.roomId || '').trim();
+      const room = await ensureRoom(roomId);
+      const title = String(req.body?.title || '').trim() || 'Workshop Story';
+      const topic = String(req.body?.topic || room.topic || '').trim();
+      const orgLabel = String(req.body?.orgLabel || room.siteId || '').trim();
+      const template = normalizeExportTemplate(req.body?.template);
+      const theme = normalizeExportTheme(req.body?.theme);
+      const content = String(
+        req.body?.content || room.finalAbstract || room.draftText || ''
+      )
+        .trim()
+        .slice(0, 32_000);
+      if (!content) {
+        return res.status(400).json({ error: 'share_content_required' });
+      }
+      const expiresHours = toPositiveInt(req.body?.expiresHours, 72, {
+        min: 1,
+        max: 24 * 365,
+      });
+      const maxViewsRaw = Number(req.body?.maxViews || 0);
+      const maxViews =
+        Number.isFinite(maxViewsRaw) && maxViewsRaw > 0
+          ? Math.max(1, Math.min(100_000, Math.floor(maxViewsRaw)))
+          : 0;
+      const now = Date.now();
+      const expiresAt = now + expiresHours * 60 * 60 * 1000;
+      const linkId = crypto.randomBytes(6).toString('hex');
+      const linkToken = crypto.randomBytes(18).toString('base64url');
+      const tokenHash = hashTokenValue(linkToken);
+      const existingLinks = listShareLinksForRoom(room);
+      if (existingLinks.length >= 60) {
+        return res.status(429).json({ error: 'share_link_limit_reached' });
+      }
+      const entry = {
+        linkId,
+        linkToken,
+        tokenHash,
+        title,
+        topic,
+        content,
+        orgLabel,
+        template,
+        theme,
+        createdAt: now,
+        createdBy: req.user.uid,
+        expiresAt,
+        revoked: false,
+        maxViews,
+        viewCount: 0,
+        lastViewedAt: 0,
+      };
 
-function getVoteOptionsForRoom(room) {
-  const custom = Array.isArray(room?.topicOptions)
-    ? room.topicOptions.map((s) => String(s || '').trim()).filter(Boolean)
-    : [];
-  if (custom.length) {
-    return custom.map((label, idx) => ({ num: idx + 1, label }));
-  }
-  return getDefaultVoteOptions();
-}
+      const { Attributes } = await ddbDoc.send(
+        new UpdateCommand({
+          TableName: TABLES.rooms,
+          Key: { roomId },
+          UpdateExpression: 'SET shareLinks.#linkId = :entry, updatedAt = :now',
+          ExpressionAttributeNames: {
+            '#linkId': linkId,
+          },
+          ExpressionAttributeValues: {
+            ':entry': entry,
+            ':now': now,
+          },
+          ReturnValues: 'ALL_NEW',
+        })
+      );
+      const updatedRoom = normalizeRoomShape(Attributes || room);
+      const saved =
+        listShareLinksForRoom(updatedRoom, { includeSecrets: true }).find(
+          (row) => row.linkId === linkId
+        ) || entry;
 
-function toVoteOptionMap(optionEntries) {
-  const map = {};
-  for (const opt of optionEntries || []) {
-    const num = Number(opt?.num || 0);
-    if (!num) continue;
-    map[num] = String(opt?.label || `#${num}`);
+      const out = serializeShareLinkForClient(req, roomId, saved);
+      await writeAuditEvent({
+        action: 'PRESENTER_SHARE_LINK_CREATE',
+        actor: req.user,
+        target: {
+          resourceType: 'SHARE_LINK',
+          resourceId: `${roomId}:${linkId}`,
+          roomId,
+          siteId: updatedRoom.siteId || parseRoomId(roomId).siteId,
+          licenseId: updatedRoom.licenseId || req.user.licenseId,
+          orgId: updatedRoom.orgId || req.user.orgId,
+        },
+        details: {
+          expiresAt,
+          maxViews,
+          template,
+          theme,
+        },
+      });
+      return res.json({ ok: true, roomId, link: out });
+    } catch (err) {
+      console.error('[/rooms/:roomId/share-links POST] error:', err);
+      return res.status(500).json({ error: 'share_link_create_failed' });
+    }
   }
-  return map;
-}
-
-function computeWinningTopic(voteTallies, currentTopic = '', optionMap = ISSUE_MAP) {
-  const tallies = voteTallies || {};
-  const entries = Object.entries(tallies);
-  if (!entries.length) return currentTopic || '';
-  entries.sort((a, b) => Number(b[1] || 0) - Number(a[1] || 0));
-  const [winningNum] = entries[0];
-  return optionMap[Number(winningNum)] || `#${winningNum}`;
-}
+);
 
-function normalizeExportTemplate(templateRaw = '') {
-  const normalized = String(templateRaw || '').trim().toLowerCase();
-  if (normalized === 'brief' || normalized === 'storyboard') return normalized;
-  return 'story';
-}
+app.post(
+  '/rooms/:roomId/share-links/:linkId/revoke',
+  requireAuth,
+  requirePresenter,
+  requirePresenterRoomScope,
+  async (req, res) => {
+    try {
+      const roomId = String(req.params.roomId || '').trim();
+      const linkId = String(req.params.linkId || '').trim();
+      if (!roomId || !linkId) {
+        return res.status(400).json({ error: 'share_identity_required' });
+      }
+      const revoked = req.body?.revoked !== false;
+      const now = Date.now();
+      let updatedRoom;
+      try {
+        const { Attributes } = await ddbDoc.send(
+          new UpdateCommand({
+            TableName: TABLES.rooms,
+            Key: { roomId },
+            UpdateExpression:
+              'SET shareLinks.#linkId.revoked = :revoked, updatedAt = :now',
+            ConditionExpression: 'attribute_exists(shareLinks.#linkId)',
+            ExpressionAttributeNames: {
+              '#linkId': linkId,
+            },
+            ExpressionAttributeValues: {
+              ':revoked': revoked,
+              ':now': now,
+            },
+            ReturnValues: 'ALL_NEW',
+          })
+        );
+        updatedRoom = normalizeRoomShape(Attributes || {});
+      } catch (err) {
+        if (err?.name === 'ConditionalCheckFailedException') {
+          return res.status(404).json({ error: 'share_link_not_found' });
+        }
+        throw err;
+      }
 
-function normalizeExportTheme(themeRaw = '') {
-  const normalized = String(themeRaw || '').trim().toLowerCase();
-  if (normalized === 'sunrise' || normalized === 'meadow') return normalized;
-  return 'heritage';
-}
+      await writeAuditEvent({
+        action: revoked
+          ? 'PRESENTER_SHARE_LINK_REVOKE'
+          : 'PRESENTER_SHARE_LINK_UNREVOKE',
+        actor: req.user,
+        target: {
+          resourceType: 'SHARE_LINK',
+          resourceId: `${roomId}:${linkId}`,
+          roomId,
+          siteId: updatedRoom.siteId || parseRoomId(roomId).siteId,
+          licenseId: updatedRoom.licenseId || req.user.licenseId,
+          orgId: updatedRoom.orgId || req.user.orgId,
+        },
+        details: { revoked },
+      });
 
-function buildAbsoluteUrl(req, pathValue = '/') {
-  const proto =
-    String(req.headers?.['x-forwarded-proto'] || req.protocol || 'https')
-      .split(',')[0]
-      .trim() || 'https';
-  const host =
-    String(req.headers?.['x-forwarded-host'] || req.get('host') || '')
-      .split(',')[0]
-      .trim();
-  if (!host) return String(pathValue || '/');
-  return `${proto}://${host}${pathValue}`;
-}
+      const links = listShareLinksForRoom(updatedRoom, { includeSecrets: true }).map(
+        (entry) => serializeShareLinkForClient(req, roomId, entry)
+      );
+      return res.json({ ok: true, roomId, linkId, revoked, links });
+    } catch (err) {
+      console.error('[/rooms/:roomId/share-links/:linkId/revoke POST] error:', err);
+      return res.status(500).json({ error: 'share_link_revoke_failed' });
+    }
+  }
+);
 
-function serializeShareLinkForClient(req, roomId, entry) {
-  const token = String(entry?.linkToken || '').trim();
-  const query = token ? `?k=${encodeURIComponent(token)}` : '';
-  const path = `/shared/${encodeURIComponent(roomId)}/${encodeURIComponent(
-    entry.linkId
-  )}${query}`;
-  return {
-    linkId: entry.linkId,
-    title: entry.title,
-    topic: entry.topic,
-    orgLabel: entry.orgLabel,
-    template: entry.template,
-    theme: entry.theme,
-    createdAt: Number(entry.createdAt || 0) || 0,
-    createdBy: entry.createdBy || '',
-    expiresAt: Number(entry.expiresAt || 0) || 0,
-    revoked: !!entry.revoked,
-    maxViews: Number(entry.maxViews || 0) || 0,
-    viewCount: Number(entry.viewCount || 0) || 0,
-    lastViewedAt: Number(entry.lastViewedAt || 0) || 0,
-    path,
-    url: buildAbsoluteUrl(req, path),
-  };
-}
+app.get('/shared/:roomId/:linkId', async (req, res) => {
+  try {
+    const roomId = String(req.params.roomId || '').trim();
+    const linkId = String(req.params.linkId || '').trim();
+    const key = String(req.query?.k || '').trim();
+    if (!roomId || !linkId || !key) {
+      return res.status(400).json({ error: 'share_access_key_required' });
+    }
+    const roomRaw = await getRoom(roomId);
+    if (!roomRaw) return res.status(404).json({ error: 'share_not_found' });
+    const room = normalizeRoomShape(roomRaw);
+    const link = normalizeShareLinksMap(room.shareLinks || {})[linkId];
+    if (!link) return res.status(404).json({ error: 'share_not_found' });
 
-app.post('/rooms/:roomId/vote/ready', requireAuth, requireRoomAccess, async (req, res) => {
-  const roomId = req.params.roomId;
-  const uid = req.user?.uid;
-  if (!uid) return res.status(401).json({ error: 'no_uid' });
+    const now = Date.now();
+    if (link.revoked) return res.status(410).json({ error: 'share_link_revoked' });
+    if (Number(link.expiresAt || 0) > 0 && now >= Number(link.expiresAt || 0)) {
+      return res.status(410).json({ error: 'share_link_expired' });
+    }
+    if (link.tokenHash !== hashTokenValue(key)) {
+      return res.status(403).json({ error: 'share_link_forbidden' });
+    }
+    if (Number(link.maxViews || 0) > 0 && Number(link.viewCount || 0) >= Number(link.maxViews || 0)) {
+      return res.status(410).json({ error: 'share_link_view_limit_reached' });
+    }
 
-  const room = await ensureRoom(roomId);
-  const stage = room.stage || 'LOBBY';
-  if (stage !== 'DISCOVERY') {
-    return res.status(400).json({ error: 'wrong_stage', stage });
-  }
+    const names = {
+      '#shareLinks': 'shareLinks',
+      '#linkId': linkId,
+      '#tokenHash': 'tokenHash',
+      '#revoked': 'revoked',
+      '#expiresAt': 'expiresAt',
+      '#viewCount': 'viewCount',
+      '#lastViewedAt': 'lastViewedAt',
+      '#maxViews': 'maxViews',
+    };
+    const values = {
+      ':tokenHash': link.tokenHash,
+      ':false': false,
+      ':now': now,
+      ':zero': 0,
+      ':one': 1,
+      ':maxViews': Number(link.maxViews || 0),
+    };
+    const conditionParts = [
+      'attribute_exists(#shareLinks.#linkId)',
+      '#shareLinks.#linkId.#tokenHash = :tokenHash',
+      '(attribute_not_exists(#shareLinks.#linkId.#revoked) OR #shareLinks.#linkId.#revoked = :false)',
+      '(attribute_not_exists(#shareLinks.#linkId.#expiresAt) OR #shareLinks.#linkId.#expiresAt = :zero OR #shareLinks.#linkId.#expiresAt > :now)',
+    ];
+    if (Number(link.maxViews || 0) > 0) {
+      conditionParts.push(
+        '(attribute_not_exists(#shareLinks.#linkId.#viewCount) OR #shareLinks.#linkId.#viewCount < :maxViews)'
+      );
+    }
 
-  let updated = room;
-  try {
-    const { Attributes } = await ddbDoc.send(
-      new UpdateCommand({
-        TableName: TABLES.rooms,
-        Key: { roomId },
-        UpdateExpression: [
-          'SET voteReadyUids = list_append(if_not_exists(voteReadyUids, :emptyList), :uidList)',
-          'voteReadyCount = if_not_exists(voteReadyCount, :zero) + :one',
-          'updatedAt = :now',
-        ].join(', '),
-        ConditionExpression:
-          'attribute_not_exists(voteReadyUids) OR NOT contains(voteReadyUids, :uid)',
-        ExpressionAttributeValues: {
-          ':emptyList': [],
-          ':uidList': [uid],
-          ':uid': uid,
-          ':zero': 0,
-          ':one': 1,
-          ':now': Date.now(),
-        },
-        ReturnValues: 'ALL_NEW',
-      })
-    );
-    updated = normalizeRoomShape(Attributes);
-  } catch (e) {
-    if (shouldUseDemoFallback(e)) {
-      logDemoFallback('vote_ready_update', e);
-      const readyUids = Array.isArray(room.voteReadyUids)
-        ? room.voteReadyUids.map((entry) => String(entry || '').trim()).filter(Boolean)
-        : [];
-      if (!readyUids.includes(uid)) readyUids.push(uid);
-      updated = await updateRoom(roomId, {
-        voteReadyUids: readyUids,
-        voteReadyCount: readyUids.length,
-      });
-    } else if (e?.name === 'ConditionalCheckFailedException') {
-      updated = await ensureRoom(roomId);
-    } else {
-      throw e;
+    let updatedRoom = room;
+    try {
+      const { Attributes } = await ddbDoc.send(
+        new UpdateCommand({
+          TableName: TABLES.rooms,
+          Key: { roomId },
+          UpdateExpression: [
+            'SET #shareLinks.#linkId.#viewCount = if_not_exists(#shareLinks.#linkId.#viewCount, :zero) + :one',
+            '#shareLinks.#linkId.#lastViewedAt = :now',
+            'updatedAt = :now',
+          ].join(', '),
+          ConditionExpression: conditionParts.join(' AND '),
+          ExpressionAttributeNames: names,
+          ExpressionAttributeValues: values,
+          ReturnValues: 'ALL_NEW',
+        })
+      );
+      updatedRoom = normalizeRoomShape(Attributes || room);
+    } catch (err) {
+      if (err?.name !== 'ConditionalCheckFailedException') throw err;
+      const latest = normalizeRoomShape((await getRoom(roomId)) || room);
+      const latestEntry = normalizeShareLinksMap(latest.shareLinks || {})[linkId];
+      if (!latestEntry) return res.status(404).json({ error: 'share_not_found' });
+      if (latestEntry.revoked) return res.status(410).json({ error: 'share_link_revoked' });
+      if (Number(latestEntry.expiresAt || 0) > 0 && Date.now() >= Number(latestEntry.expiresAt || 0)) {
+        return res.status(410).json({ error: 'share_link_expired' });
+      }
+      if (Number(latestEntry.maxViews || 0) > 0 && Number(latestEntry.viewCount || 0) >= Number(latestEntry.maxViews || 0)) {
+        return res.status(410).json({ error: 'share_link_view_limit_reached' });
+      }
+      return res.status(403).json({ error: 'share_link_forbidden' });
     }
-  }
 
-  const seats = getSeatCount(updated);
-  const voteReadyCount = Number(updated.voteReadyCount || 0);
-  const threshold = seats > 0 ? Math.ceil(seats * 0.5) : 0;
-  if (!updated.voteOpen && threshold > 0 && voteReadyCount >= threshold) {
-    updated = await updateRoom(roomId, {
-      voteOpen: true,
-      voteTotal: 0,
-      voteTallies: {},
-      voteByUid: {},
-      voteSubmittedUids: [],
-      voteSubmittedCount: 0,
+    const viewed = normalizeShareLinksMap(updatedRoom.shareLinks || {})[linkId] || link;
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({
+      ok: true,
+      share: {
+        roomId,
+        siteId: updatedRoom.siteId || parseRoomId(roomId).siteId,
+        linkId: viewed.linkId,
+        title: viewed.title,
+        topic: viewed.topic,
+        content: viewed.content,
+        orgLabel: viewed.orgLabel,
+        template: viewed.template,
+        theme: viewed.theme,
+        createdAt: viewed.createdAt,
+        expiresAt: viewed.expiresAt,
+        viewCount: Number(viewed.viewCount || 0),
+        maxViews: Number(viewed.maxViews || 0),
+      },
     });
-    await appendDecisionLog(roomId, {
-      type: 'VOTE_OPENED',
-      stage: 'DISCOVERY',
-      label: 'Topic voting opened (readiness threshold reached)',
-      actorUid: req.user?.uid || '',
-    }).catch(() => null);
-    publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
-    try {
-      await addMessage(roomId, {
-        text:
-          '🗳️ At least half the room is ready — opening topic voting now. Pick one option that fits your story best.',
-        phase: 'DISCOVERY',
-        authorType: 'asema',
-        personaIndex: 0,
-      });
-    } catch (e) {
-      console.warn('[vote/ready] Asema announcement failed', e);
-    }
+  } catch (err) {
+    console.error('[/shared/:roomId/:linkId GET] error:', err);
+    return res.status(500).json({ error: 'share_link_read_failed' });
   }
-  publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
-  await writeAuditEvent({
-    action: 'ROOM_VOTE_READY',
-    actor: req.user,
-    target: {
-      resourceType: 'ROOM',
-      resourceId: roomId,
-      roomId,
-      siteId: updated.siteId || parseRoomId(roomId).siteId,
-      licenseId: updated.licenseId || req.user.licenseId || '',
-      orgId: updated.orgId || req.user.orgId || '',
-    },
-    details: {
-      stage,
-      voteReadyCount: Number(updated.voteReadyCount || 0),
-      seats,
-    },
-  });
-
-  return res.json({
-    ok: true,
-    votingOpen: !!updated.voteOpen,
-    voteReadyCount: updated.voteReadyCount || 0,
-    seats,
-  });
 });
 
-app.get('/rooms/:roomId/vote', requireAuth, requireRoomAccess, async (req, res) => {
-  const r = req.room || (await ensureRoom(req.params.roomId));
-
-  const tallies = r.voteTallies || {};
-  const optionEntries = getVoteOptionsForRoom(r);
-  const counts = optionEntries.map(({ num }) =>
-    Number.isFinite(Number(tallies[num])) ? Number(tallies[num]) : 0
-  );
+// ---------- Idea summarization (Discovery + Idea Dump + Planning) ----------
+const IDEA_MIN_INTERVAL_MS = 20_000; // 20s per room
+const ideaLastRun = new Map(); // roomId -> timestamp
 
-  const votesReceived = counts.reduce(
-    (a, b) => a + (Number.isFinite(b) ? b : 0),
-    0
-  );
+function shouldRunIdeaSummary(roomId) {
+  const now = Date.now();
+  const last = ideaLastRun.get(roomId) || 0;
+  if (now - last < IDEA_MIN_INTERVAL_MS) return false;
+  ideaLastRun.set(roomId, now);
+  return true;
+}
 
-  const seats = getSeatCount(r);
+async function summarizeIdeas(roomId) {
+  const r = await ensureRoom(roomId);
+  const stage = r.stage || 'LOBBY';
+  if (!['DISCOVERY', 'IDEA_DUMP', 'PLANNING'].includes(stage)) return;
 
-  res.json({
-    votingOpen: !!r.voteOpen,
-    options: optionEntries,
-    votesReceived,
-    counts,
-    topic: r.topic || '',
-    voteReadyCount: Number(r.voteReadyCount || 0),
-    voteSubmittedCount: Number(r.voteSubmittedCount || 0),
-    seats,
-  });
-});
+  const all = await getMessagesForRoom(roomId, 800);
+  const phases = ['DISCOVERY', 'IDEA_DUMP', 'PLANNING'];
+  const humanLines = all
+    .filter(
+      (m) =>
+        phases.includes(m.phase || '') && (m.authorType || 'user') === 'user'
+    )
+    .map((m) => m.text);
 
-app.post(
-  '/rooms/:roomId/vote/start',
-  requireAuth,
-  requirePresenter,
-  requirePresenterRoomScope,
-  async (req, res) => {
-  const roomId = req.params.roomId;
-  const updated = await updateRoom(roomId, {
-    voteOpen: true,
-    voteTotal: 0,
-    voteTallies: {},
-    voteByUid: {},
-    voteReadyUids: [],
-    voteReadyCount: 0,
-    voteSubmittedUids: [],
-    voteSubmittedCount: 0,
-  });
-  await appendDecisionLog(roomId, {
-    type: 'VOTE_OPENED',
-    stage: 'DISCOVERY',
-    label: 'Topic voting opened',
-    actorUid: req.user?.uid || '',
-  }).catch(() => null);
-  await writeAuditEvent({
-    action: 'PRESENTER_VOTE_START',
-    actor: req.user,
-    target: {
-      resourceType: 'ROOM',
-      resourceId: roomId,
-      roomId,
-      siteId: updated.siteId || parseRoomId(roomId).siteId,
-      licenseId: updated.licenseId || req.user.licenseId,
-      orgId: updated.orgId || req.user.orgId,
-    },
-    details: { voteOpen: true },
-  });
-  publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
-  res.json({ ok: true, started: true });
+  if (humanLines.length === 0) {
+    await updateRoom(roomId, {
+      ideaSummary: '',
+      lastIdeaSummaryAt: Date.now(),
+    });
+    return;
   }
-);
-
-app.post('/rooms/:roomId/vote/submit', requireAuth, requireRoomAccess, async (req, res) => {
-  const roomId = req.params.roomId;
-  const { choice } = req.body || {};
-  const uid = req.user?.uid;
 
-  if (typeof choice !== 'number') {
-    return res.status(400).json({ error: 'choice must be a number' });
-  }
-  const choiceNum = Number(choice);
-  if (!uid) {
-    return res.status(401).json({ error: 'no_uid' });
-  }
-  const votingRoom = await ensureRoom(roomId);
-  const optionEntries = getVoteOptionsForRoom(votingRoom);
-  const optionMap = toVoteOptionMap(optionEntries);
-  if (!Number.isFinite(choiceNum) || !optionMap[choiceNum]) {
-    return res.status(400).json({ error: 'invalid_choice' });
+  try {
+    const aiPolicy = await resolveAiPolicyForRoom(r);
+    let answered = false;
+    const knowledge = await retrieveRoomKnowledge(r, [r.topic || '', ...humanLines.slice(-20)].join(' '));
+    const summary = await Asema.summarizeIdeas(stage, r.topic || '', humanLines, {
+      ...buildAsemaOptions(r, aiPolicy, {
+        source: 'idea_summary',
+        promptSelection: await resolveRoomPrompts(r),
+        onModelCall: () => {
+          answered = true;
+        },
+      }),
+      knowledge,
+    });
+    // summarizeIdeas answers with a placeholder when the model is unavailable
+    // or the AI budget is spent; the last real board is worth more.
+    if (!answered) return;
+    const outputSafety = await moderateText(summary, aiPolicy, {
+      direction: 'output',
+      source: 'idea_summary',
+      room: r,
+    });
+    // Keep the previous board rather than show a flagged one.
+    if (outputSafety.blocked) return;
+    await updateRoom(roomId, {
+      ideaSummary: appendSourceList(summary, knowledge),
+      lastIdeaSummaryAt: Date.now(),
+    });
+  } catch (e) {
+    console.error('[ideas] summarize failed', e?.message || e);
   }
+}
 
-  let updated;
+app.post('/rooms/:roomId/ideas/trigger', requireAuth, requireRoomAccess, async (req, res) => {
+  const roomId = req.params.roomId;
   try {
-    const { Attributes } = await ddbDoc.send(
-      new UpdateCommand({
-        TableName: TABLES.rooms,
-        Key: { roomId },
-        UpdateExpression: [
-          'SET voteTallies.#choice = if_not_exists(voteTallies.#choice, :zero) + :one',
-          'voteTotal = if_not_exists(voteTotal, :zero) + :one',
-          'voteSubmittedUids = list_append(if_not_exists(voteSubmittedUids, :emptyList), :uidList)',
-          'voteSubmittedCount = if_not_exists(voteSubmittedCount, :zero) + :one',
-          'voteByUid.#uid = :choiceNum',
-          'updatedAt = :now',
-        ].join(', '),
-        ConditionExpression: 'voteOpen = :true AND attribute_not_exists(voteByUid.#uid)',
-        ExpressionAttributeNames: {
-          '#choice': String(choiceNum),
-          '#uid': uid,
-        },
-        ExpressionAttributeValues: {
-          ':true': true,
-          ':zero': 0,
-          ':one': 1,
-          ':emptyList': [],
-          ':uidList': [uid],
-          ':choiceNum': choiceNum,
-          ':now': Date.now(),
-        },
-        ReturnValues: 'ALL_NEW',
-      })
-    );
-    updated = normalizeRoomShape(Attributes);
-  } catch (err) {
-    if (shouldUseDemoFallback(err)) {
-      logDemoFallback('vote_submit_update', err);
-      const latest = await ensureRoom(roomId);
-      const voteByUid = { ...(latest.voteByUid || {}) };
-      if (Object.prototype.hasOwnProperty.call(voteByUid, uid)) {
-        return res.json({
-          ok: true,
-          alreadySubmitted: true,
-          voteSubmittedCount: Number(latest.voteSubmittedCount || 0),
-          seats: getSeatCount(latest),
-          votingOpen: !!latest.voteOpen,
-          topic: latest.topic || '',
-        });
-      }
-      if (!latest.voteOpen) {
-        return res.status(400).json({ error: 'voting_closed' });
-      }
-      const voteTallies = { ...(latest.voteTallies || {}) };
-      voteTallies[choiceNum] = Number(voteTallies[choiceNum] || 0) + 1;
-      const voteSubmittedUids = Array.isArray(latest.voteSubmittedUids)
-        ? latest.voteSubmittedUids.slice()
-        : [];
-      voteSubmittedUids.push(uid);
-      voteByUid[uid] = choiceNum;
-      updated = await updateRoom(roomId, {
-        voteTallies,
-        voteTotal: Number(latest.voteTotal || 0) + 1,
-        voteSubmittedUids,
-        voteSubmittedCount: voteSubmittedUids.length,
-        voteByUid,
-      });
-    } else if (err?.name !== 'ConditionalCheckFailedException') {
-      throw err;
-    } else {
-      const latest = await ensureRoom(roomId);
-      if (Object.prototype.hasOwnProperty.call(latest.voteByUid || {}, uid)) {
-        return res.json({
-          ok: true,
-          alreadySubmitted: true,
-          voteSubmittedCount: Number(latest.voteSubmittedCount || 0),
-          seats: getSeatCount(latest),
-          votingOpen: !!latest.voteOpen,
-          topic: latest.topic || '',
-        });
-      }
-      if (!latest.voteOpen) {
-        return res.status(400).json({ error: 'voting_closed' });
-      }
-      return res.status(409).json({ error: 'vote_conflict_retry' });
+    if (shouldRunIdeaSummary(roomId)) {
+      await summarizeIdeas(roomId);
+      return res.json({ ok: true, ran: true });
     }
+    return res.json({ ok: true, skipped: true });
+  } catch (e) {
+    console.error('[ideas/trigger] error', e);
+    return res.status(500).json({ error: 'summarize_failed' });
   }
+});
+
+// ---------- AI Greeting & Ask ----------
+const ASK_MIN_INTERVAL_MS = 4_000; // 4s per room
+const askLastRun = new Map(); // roomId -> timestamp
 
-  publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
-  await writeAuditEvent({
-    action: 'ROOM_VOTE_SUBMIT',
-    actor: req.user,
-    target: {
-      resourceType: 'ROOM',
-      resourceId: roomId,
-      roomId,
-      siteId: updated.siteId || parseRoomId(roomId).siteId,
-      licenseId: updated.licenseId || req.user.licenseId || '',
-      orgId: updated.orgId || req.user.orgId || '',
-    },
-    details: {
-      choice: choiceNum,
-      voteSubmittedCount: Number(updated.voteSubmittedCount || 0),
-    },
+function shouldRunAsk(roomId) {
+  const now = Date.now();
+  const last = askLastRun.get(roomId) || 0;
+  if (now - last < ASK_MIN_INTERVAL_MS) return false;
+  askLastRun.set(roomId, now);
+  return true;
+}
+
+// Legacy welcome endpoint (no-op)
+app.post('/rooms/:roomId/welcome', requireAuth, requireRoomAccess, async (req, res) => {
+  return res.json({ ok: true, disabled: true });
+});
+
+// GET current living draft
+app.get('/rooms/:roomId/draft', requireAuth, requireRoomAccess, async (req, res) => {
+  const room = await ensureRoom(req.params.roomId);
+  return res.json({
+    ok: true,
+    draftText: room.draftText || '',
+    draftVersion: Number(room.draftVersion || 0),
+    draftUpdatedAt: room.draftUpdatedAt || null,
   });
+});
 
-  const seats = getSeatCount(updated);
-  const voteSubmittedCount = Number(updated.voteSubmittedCount || 0);
+app.get('/rooms/:roomId/private-draft', requireAuth, requireRoomAccess, async (req, res) => {
+  const room = await ensureRoom(req.params.roomId);
+  const state = serializePrivateDraftState(room, req.user?.uid || '');
+  return res.json({
+    ok: true,
+    stage: room.stage || DEFAULT_STAGE,
+    privateDraft: state.mine,
+    submissions: state.submissions,
+  });
+});
 
-  if (seats > 0 && voteSubmittedCount >= seats && updated.voteOpen) {
-    const topic = computeWinningTopic(
-      updated.voteTallies,
-      updated.topic || '',
-      toVoteOptionMap(getVoteOptionsForRoom(updated))
-    );
-    try {
-      const { Attributes } = await ddbDoc.send(
-        new UpdateCommand({
-          TableName: TABLES.rooms,
-          Key: { roomId },
-          UpdateExpression: 'SET voteOpen = :false, topic = :topic, updatedAt = :now',
-          ConditionExpression: 'voteOpen = :true',
-          ExpressionAttributeValues: {
-            ':false': false,
-            ':true': true,
-            ':topic': topic,
-            ':now': Date.now(),
-          },
-          ReturnValues: 'ALL_NEW',
-        })
-      );
-      updated = normalizeRoomShape(Attributes);
-      publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
+app.post('/rooms/:roomId/private-draft', requireAuth, requireRoomAccess, async (req, res) => {
+  const roomId = req.params.roomId;
+  const uid = String(req.user?.uid || '').trim();
+  if (!uid) return res.status(401).json({ error: 'no_uid' });
+  const text = clipText(String(req.body?.text || ''), 8_000).trim();
+  if (!text) return res.status(400).json({ error: 'text_required' });
 
-      try {
-        await addMessage(roomId, {
-          text: `🔒 Topic locked in: **${topic}** — keep everything focused around this issue as you move forward.`,
-          phase: 'DISCOVERY',
-          authorType: 'asema',
-          personaIndex: 0,
-        });
-      } catch (e) {
-        console.warn('[vote/submit] Asema topic announce failed', e);
-      }
-      await writeAuditEvent({
-        action: 'ROOM_TOPIC_LOCKED',
-        actor: {
-          uid: 'system',
-          role: 'SYSTEM',
-          siteId: updated.siteId || parseRoomId(roomId).siteId,
-          licenseId: updated.licenseId || req.user.licenseId || '',
-          orgId: updated.orgId || req.user.orgId || '',
-        },
-        target: {
-          resourceType: 'ROOM',
-          resourceId: roomId,
-          roomId,
-          siteId: updated.siteId || parseRoomId(roomId).siteId,
-          licenseId: updated.licenseId || req.user.licenseId || '',
-          orgId: updated.orgId || req.user.orgId || '',
-        },
-        details: {
-          topic: updated.topic || topic || '',
-          voteSubmittedCount: Number(updated.voteSubmittedCount || 0),
-        },
-      });
-      await appendDecisionLog(roomId, {
-        type: 'TOPIC_LOCKED',
-        stage: 'DISCOVERY',
-        label: `Topic locked: ${updated.topic || topic || '(none)'}`,
-        actorUid: req.user?.uid || 'system',
-        details: {
-          topic: updated.topic || topic || '',
-          voteSubmittedCount: Number(updated.voteSubmittedCount || 0),
-        },
-      }).catch(() => null);
-    } catch (err) {
-      if (shouldUseDemoFallback(err)) {
-        logDemoFallback('vote_close_auto', err);
-        updated = await updateRoom(roomId, {
-          voteOpen: false,
-          topic,
-        });
-      } else if (err?.name !== 'ConditionalCheckFailedException') {
-        throw err;
-      } else {
-        updated = await ensureRoom(roomId);
-      }
-    }
-  }
+  const room = await ensureRoom(roomId);
+  const privateDrafts = normalizePrivateDraftMap(room.privateDrafts || {});
+  const current = privateDrafts[uid] || normalizePrivateDraftEntry({});
+  const now = Date.now();
+  const changed = text !== String(current.text || '');
+  privateDrafts[uid] = {
+    ...current,
+    text,
+    updatedAt: now,
+    submittedAt: changed ? 0 : Number(current.submittedAt || 0) || 0,
+  };
+  const updated = await updateRoom(roomId, { privateDrafts });
+  const mine = serializePrivateDraftState(updated, uid).mine;
+  return res.json({ ok: true, privateDraft: mine });
+});
 
-  res.json({
+app.post('/rooms/:roomId/private-draft/submit', requireAuth, requireRoomAccess, async (req, res) => {
+  const roomId = req.params.roomId;
+  const uid = String(req.user?.uid || '').trim();
+  if (!uid) return res.status(401).json({ error: 'no_uid' });
+
+  const room = await ensureRoom(roomId);
+  const privateDrafts = normalizePrivateDraftMap(room.privateDrafts || {});
+  const current = privateDrafts[uid] || normalizePrivateDraftEntry({});
+  const incomingText = clipText(String(req.body?.text || ''), 8_000).trim();
+  const finalText = incomingText || String(current.text || '').trim();
+  if (!finalText) return res.status(400).json({ error: 'text_required' });
+  const now = Date.now();
+  privateDrafts[uid] = {
+    ...current,
+    text: finalText,
+    updatedAt: incomingText ? now : Number(current.updatedAt || now) || now,
+    submittedAt: now,
+  };
+  const updated = await updateRoom(roomId, { privateDrafts });
+  await appendDecisionLog(roomId, {
+    type: 'PRIVATE_DRAFT_SUBMITTED',
+    stage: updated.stage || DEFAULT_STAGE,
+    label: 'Private draft submitted to merge panel',
+    actorUid: uid,
+    details: {
+      chars: finalText.length,
+    },
+  }).catch(() => null);
+  const state = serializePrivateDraftState(updated, uid);
+  return res.json({ ok: true, privateDraft: state.mine, submissions: state.submissions });
+});
+
+app.post('/rooms/:roomId/private-draft/merge', requireAuth, requireRoomAccess, async (req, res) => {
+  const roomId = req.params.roomId;
+  const actorUid = String(req.user?.uid || '').trim();
+  if (!actorUid) return res.status(401).json({ error: 'no_uid' });
+  const sourceUid = String(req.body?.sourceUid || '').trim();
+  if (!sourceUid) return res.status(400).json({ error: 'source_uid_required' });
+  const mode = String(req.body?.mode || 'append').trim().toLowerCase();
+  const room = await ensureRoom(roomId);
+  const privateDrafts = normalizePrivateDraftMap(room.privateDrafts || {});
+  const source = privateDrafts[sourceUid];
+  if (!source || !Number(source.submittedAt || 0) || !String(source.text || '').trim()) {
+    return res.status(404).json({ error: 'submitted_private_draft_not_found' });
+  }
+  const sourceText = String(source.text || '').trim();
+  const current = String(room.draftText || '').trim();
+  const mergedText =
+    mode === 'replace' || !current
+      ? sourceText
+      : `${current}\n\n[Merged contribution from ${sourceUid}]\n${sourceText}`;
+  const now = Date.now();
+  const nextVersion = Number(room.draftVersion || 0) + 1;
+  privateDrafts[sourceUid] = {
+    ...source,
+    mergedAt: now,
+    mergedBy: actorUid,
+  };
+  const updated = await updateRoom(roomId, {
+    draftText: mergedText,
+    draftVersion: nextVersion,
+    draftUpdatedAt: now,
+    draftApprovedByUids: [],
+    draftApprovedVersion: 0,
+    draftApprovedAt: 0,
+    privateDrafts,
+  });
+  await saveDraftSnapshot(roomId, mergedText, nextVersion);
+  await addMessage(roomId, {
+    text: `🧩 **Merged draft contribution** from room member. Draft is now v${nextVersion}.`,
+    phase: updated.stage || DEFAULT_STAGE,
+    authorType: 'asema',
+    personaIndex: 0,
+  });
+  await appendDecisionLog(roomId, {
+    type: 'PRIVATE_DRAFT_MERGED',
+    stage: updated.stage || DEFAULT_STAGE,
+    label: `Private draft merged into shared draft (v${nextVersion})`,
+    actorUid,
+    details: {
+      sourceUid,
+      mode,
+      version: nextVersion,
+    },
+  }).catch(() => null);
+  return res.json({
     ok: true,
-    voteSubmittedCount,
-    seats,
-    votingOpen: !!updated.voteOpen,
-    topic: updated.topic || '',
+    version: nextVersion,
+    draftText: mergedText,
+    submissions: serializePrivateDraftState(updated, actorUid).submissions,
   });
 });
 
-app.post(
-  '/rooms/:roomId/vote/close',
-  requireAuth,
-  requirePresenter,
-  requirePresenterRoomScope,
-  async (req, res) => {
+app.post('/rooms/:roomId/draft/approve', requireAuth, requireRoomAccess, async (req, res) => {
   const roomId = req.params.roomId;
-  const r = await ensureRoom(roomId);
-  const topic = computeWinningTopic(
-    r.voteTallies,
-    r.topic || '',
-    toVoteOptionMap(getVoteOptionsForRoom(r))
+  const uid = String(req.user?.uid || '').trim();
+  if (!uid) return res.status(401).json({ error: 'no_uid' });
+  const room = await ensureRoom(roomId);
+  if (!['EDITING', 'FINAL'].includes(String(room.stage || DEFAULT_STAGE).toUpperCase())) {
+    return res.status(400).json({ error: 'wrong_stage', stage: room.stage || DEFAULT_STAGE });
+  }
+  if (!String(room.draftText || '').trim()) {
+    return res.status(400).json({ error: 'draft_required' });
+  }
+  const approve = req.body?.approved !== false;
+  const approvals = new Set(
+    Array.isArray(room.draftApprovedByUids)
+      ? room.draftApprovedByUids.map((entry) => String(entry || '').trim()).filter(Boolean)
+      : []
   );
-  const updated = await updateRoom(roomId, { voteOpen: false, topic });
+  if (approve) approvals.add(uid);
+  else approvals.delete(uid);
+  const nextApprovals = Array.from(approvals);
+  const patch = {
+    draftApprovedByUids: nextApprovals,
+    draftApprovedVersion: nextApprovals.length ? Number(room.draftVersion || 0) : 0,
+    draftApprovedAt: nextApprovals.length ? Date.now() : 0,
+  };
+  const updated = await updateRoom(roomId, patch);
   await appendDecisionLog(roomId, {
-    type: 'VOTE_CLOSED',
-    stage: 'DISCOVERY',
-    label: `Voting closed${topic ? `: ${topic}` : ''}`,
-    actorUid: req.user?.uid || '',
-    details: { topic: topic || '' },
-  }).catch(() => null);
-  await writeAuditEvent({
-    action: 'PRESENTER_VOTE_CLOSE',
-    actor: req.user,
-    target: {
-      resourceType: 'ROOM',
-      resourceId: roomId,
-      roomId,
-      siteId: updated.siteId || parseRoomId(roomId).siteId,
-      licenseId: updated.licenseId || req.user.licenseId,
-      orgId: updated.orgId || req.user.orgId,
+    type: approve ? 'DRAFT_APPROVED' : 'DRAFT_APPROVAL_REVOKED',
+    stage: updated.stage || DEFAULT_STAGE,
+    label: approve ? 'Draft approved by room member' : 'Draft approval removed',
+    actorUid: uid,
+    details: {
+      approvals: nextApprovals.length,
+      draftVersion: Number(updated.draftVersion || 0),
     },
-    details: { topic: updated.topic || topic || '' },
+  }).catch(() => null);
+  const requiredApprovals = getSeatCount(updated) >= 4 ? 2 : 1;
+  return res.json({
+    ok: true,
+    approved: approve,
+    approvedByUids: nextApprovals,
+    approvedCount: nextApprovals.length,
+    requiredApprovals,
+    draftVersion: Number(updated.draftVersion || 0),
+    approvedVersion: Number(updated.draftApprovedVersion || 0),
+    approvedAt: Number(updated.draftApprovedAt || 0) || 0,
   });
-  publishRoomEvent(roomId, 'vote_update', { siteId: updated.siteId });
-  res.json({ ok: true, closed: true, topic: updated.topic || topic });
-  }
-);
-
-app.get(
-  '/rooms/:roomId/share-links',
-  requireAuth,
-  requirePresenter,
-  requirePresenterRoomScope,
-  async (req, res) => {
-    try {
-      const roomId = String(req.params.roomId || '').trim();
-      const room = await ensureRoom(roomId);
-      const rows = listShareLinksForRoom(room, { includeSecrets: true })
-        .map((entry) => serializeShareLinkForClient(req, roomId, entry));
-      return res.json({ ok: true, roomId, links: rows });
-    } catch (err) {
-      console.error('[/rooms/:roomId/share-links GET] error:', err);
-      return res.status(500).json({ error: 'share_links_fetch_failed' });
-    }
-  }
-);
-
-app.post(
-  '/rooms/:roomId/share-links',
-  requireAuth,
-  requirePresenter,
-  requirePresenterRoomScope,
-  async (req, res) => {
-    try {
-      const roomId = String(req.params.roomId || '').trim();
-      const room = await ensureRoom(roomId);
-      const title = String(req.body?.title || '').trim() || 'Workshop Story';
-      const topic = String(req.body?.topic || room.topic || '').trim();
-      const orgLabel = String(req.body?.orgLabel || room.siteId || '').trim();
-      const template = normalizeExportTemplate(req.body?.template);
-      const theme = normalizeExportTheme(req.body?.theme);
-      const content = String(
-        req.body?.content || room.finalAbstract || room.draftText || ''
-      )
-        .trim()
-        .slice(0, 32_000);
-      if (!content) {
-        return res.status(400).json({ error: 'share_content_required' });
-      }
-      const expiresHours = toPositiveInt(req.body?.expiresHours, 72, {
-        min: 1,
-        max: 24 * 365,
-      });
-      const maxViewsRaw = Number(req.body?.maxViews || 0);
-      const maxViews =
-        Number.isFinite(maxViewsRaw) && maxViewsRaw > 0
-          ? Math.max(1, Math.min(100_000, Math.floor(maxViewsRaw)))
-          : 0;
-      const now = Date.now();
-      const expiresAt = now + expiresHours * 60 * 60 * 1000;
-      const linkId = crypto.randomBytes(6).toString('hex');
-      const linkToken = crypto.randomBytes(18).toString('base64url');
-      const tokenHash = hashTokenValue(linkToken);
-      const existingLinks = listShareLinksForRoom(room);
-      if (existingLinks.length >= 60) {
-        return res.status(429).json({ error: 'share_link_limit_reached' });
-      }
-      const entry = {
-        linkId,
-        linkToken,
-        tokenHash,
-        title,
-        topic,
-        content,
-        orgLabel,
-        template,
-        theme,
-        createdAt: now,
-        createdBy: req.user.uid,
-        expiresAt,
-        revoked: false,
-        maxViews,
-        viewCount: 0,
-        lastViewedAt: 0,
-      };
+});
 
-      const { Attributes } = await ddbDoc.send(
-        new UpdateCommand({
-          TableName: TABLES.rooms,
-          Key: { roomId },
-          UpdateExpression: 'SET shareLinks.#linkId = :entry, updatedAt = :now',
-          ExpressionAttributeNames: {
-            '#linkId': linkId,
-          },
-          ExpressionAttributeValues: {
-            ':entry': entry,
-            ':now': now,
-          },
-          ReturnValues: 'ALL_NEW',
-        })
-      );
-      const updatedRoom = normalizeRoomShape(Attributes || room);
-      const saved =
-        listShareLinksForRoom(updatedRoom, { includeSecrets: true }).find(
-          (row) => row.linkId === linkId
-        ) || entry;
+app.get('/rooms/:roomId/ai-fallback', requireAuth, requireRoomAccess, async (req, res) => {
+  const room = await ensureRoom(req.params.roomId);
+  return res.json({
+    ok: true,
+    aiFallback: serializeAiFallbackState(room, room.stage || DEFAULT_STAGE),
+  });
+});
 
-      const out = serializeShareLinkForClient(req, roomId, saved);
-      await writeAuditEvent({
-        action: 'PRESENTER_SHARE_LINK_CREATE',
-        actor: req.user,
-        target: {
-          resourceType: 'SHARE_LINK',
-          resourceId: `${roomId}:${linkId}`,
-          roomId,
-          siteId: updatedRoom.siteId || parseRoomId(roomId).siteId,
-          licenseId: updatedRoom.licenseId || req.user.licenseId,
-          orgId: updatedRoom.orgId || req.user.orgId,
-        },
-        details: {
-          expiresAt,
-          maxViews,
-          template,
-          theme,
-        },
-      });
-      return res.json({ ok: true, roomId, link: out });
-    } catch (err) {
-      console.error('[/rooms/:roomId/share-links POST] error:', err);
-      return res.status(500).json({ error: 'share_link_create_failed' });
-    }
+// Edit the living draft (EDITING / FINAL)
+app.post('/rooms/:roomId/draft/edit', requireAuth, requireRoomAccess, async (req, res) => {
+  const roomId = req.params.roomId;
+  const { instructions } = req.body || {};
+  if (!instructions || typeof instructions !== 'string') {
+    return res.status(400).json({ error: 'instructions required' });
   }
-);
-
-app.post(
-  '/rooms/:roomId/share-links/:linkId/revoke',
-  requireAuth,
-  requirePresenter,
-  requirePresenterRoomScope,
-  async (req, res) => {
-    try {
-      const roomId = String(req.params.roomId || '').trim();
-      const linkId = String(req.params.linkId || '').trim();
-      if (!roomId || !linkId) {
-        return res.status(400).json({ error: 'share_identity_required' });
-      }
-      const revoked = req.body?.revoked !== false;
-      const now = Date.now();
-      let updatedRoom;
-      try {
-        const { Attributes } = await ddbDoc.send(
-          new UpdateCommand({
-            TableName: TABLES.rooms,
-            Key: { roomId },
-            UpdateExpression:
-              'SET shareLinks.#linkId.revoked = :revoked, updatedAt = :now',
-            ConditionExpression: 'attribute_exists(shareLinks.#linkId)',
-            ExpressionAttributeNames: {
-              '#linkId': linkId,
-            },
-            ExpressionAttributeValues: {
-              ':revoked': revoked,
-              ':now': now,
-            },
-            ReturnValues: 'ALL_NEW',
-          })
-        );
-        updatedRoom = normalizeRoomShape(Attributes || {});
-      } catch (err) {
-        if (err?.name === 'ConditionalCheckFailedException') {
-          return res.status(404).json({ error: 'share_link_not_found' });
-        }
-        throw err;
-      }
-
-      await writeAuditEvent({
-        action: revoked
-          ? 'PRESENTER_SHARE_LINK_REVOKE'
-          : 'PRESENTER_SHARE_LINK_UNREVOKE',
-        actor: req.user,
-        target: {
-          resourceType: 'SHARE_LINK',
-          resourceId: `${roomId}:${linkId}`,
-          roomId,
-          siteId: updatedRoom.siteId || parseRoomId(roomId).siteId,
-          licenseId: updatedRoom.licenseId || req.user.licenseId,
-          orgId: updatedRoom.orgId || req.user.orgId,
-        },
-        details: { revoked },
-      });
-
-      const links = listShareLinksForRoom(updatedRoom, { includeSecrets: true }).map(
-        (entry) => serializeShareLinkForClient(req, roomId, entry)
-      );
-      return res.json({ ok: true, roomId, linkId, revoked, links });
-    } catch (err) {
-      console.error('[/rooms/:roomId/share-links/:linkId/revoke POST] error:', err);
-      return res.status(500).json({ error: 'share_link_revoke_failed' });
-    }
+
+  let room = await ensureRoom(roomId);
+  const stage = room.stage || 'LOBBY';
+  if (!['EDITING', 'FINAL'].includes(stage)) {
+    return res.status(400).json({ error: 'wrong_stage', stage });
   }
-);
 
-app.get('/shared/:roomId/:linkId', async (req, res) => {
+  let relay = null;
   try {
-    const roomId = String(req.params.roomId || '').trim();
-    const linkId = String(req.params.linkId || '').trim();
-    const key = String(req.query?.k || '').trim();
-    if (!roomId || !linkId || !key) {
-      return res.status(400).json({ error: 'share_access_key_required' });
+    const aiPolicy = await resolveAiPolicyForRoom(room).catch(() => AI_POLICY_DEFAULT);
+    const safety = await moderateText(instructions, aiPolicy, {
+      direction: 'input',
+      source: 'draft_edit',
+      room,
+      actor: req.user,
+    });
+    if (safety.blocked) {
+      return res.status(422).json(schoolSafetyErrorPayload(safety));
     }
-    const roomRaw = await getRoom(roomId);
-    if (!roomRaw) return res.status(404).json({ error: 'share_not_found' });
-    const room = normalizeRoomShape(roomRaw);
-    const link = normalizeShareLinksMap(room.shareLinks || {})[linkId];
-    if (!link) return res.status(404).json({ error: 'share_not_found' });
 
-    const now = Date.now();
-    if (link.revoked) return res.status(410).json({ error: 'share_link_revoked' });
-    if (Number(link.expiresAt || 0) > 0 && now >= Number(link.expiresAt || 0)) {
-      return res.status(410).json({ error: 'share_link_expired' });
-    }
-    if (link.tokenHash !== hashTokenValue(key)) {
-      return res.status(403).json({ error: 'share_link_forbidden' });
+    const priorDraft = {
+      text: String(room.draftText || ''),
+      version: Number(room.draftVersion || 0),
+      updatedAt: room.draftUpdatedAt || null,
+      approvedByUids: Array.isArray(room.draftApprovedByUids)
+        ? room.draftApprovedByUids.slice()
+        : [],
+      approvedVersion: Number(room.draftApprovedVersion || 0),
+      approvedAt: Number(room.draftApprovedAt || 0) || 0,
+    };
+    relay = startAsemaRelay(roomId, { kind: 'edit', stage, policy: aiPolicy });
+    const { draftText, version, modelCall, knowledge } = await applyDraftEdits(room, instructions, {
+      stream: relay,
+    });
+    const outputSafety = await moderateText(draftText, aiPolicy, {
+      direction: 'output',
+      source: 'draft_edit',
+      room,
+      actor: req.user,
+    });
+    await relay.finish({ discard: outputSafety.blocked });
+    if (outputSafety.blocked) {
+      await updateRoom(roomId, {
+        draftText: priorDraft.text,
+        draftVersion: priorDraft.version,
+        draftUpdatedAt: priorDraft.updatedAt,
+        draftApprovedByUids: priorDraft.approvedByUids,
+        draftApprovedVersion: priorDraft.approvedVersion,
+        draftApprovedAt: priorDraft.approvedAt,
+      });
+      await addMessage(roomId, {
+        text:
+          '⚠️ Edit blocked by organization safety policy. Keep wording policy-safe and remove sensitive details, then try again.',
+        phase: stage,
+        authorType: 'asema',
+        personaIndex: 0,
+        aiReceipt: buildAiReceipt({
+          stage,
+          policy: aiPolicy,
+          source: 'policy_guard',
+          prompt: instructions,
+          fallback: true,
+          blockedFlags: outputSafety.flags,
+          modelCall,
+          checks: [safety, outputSafety],
+        }),
+      });
+      return res.status(422).json(schoolSafetyErrorPayload(outputSafety));
     }
-    if (Number(link.maxViews || 0) > 0 && Number(link.viewCount || 0) >= Number(link.maxViews || 0)) {
-      return res.status(410).json({ error: 'share_link_view_limit_reached' });
+    const aiReceipt = buildAiReceipt({
+      stage,
+      policy: aiPolicy,
+      source: 'openai_edit',
+      prompt: instructions,
+      fallback: !modelCall,
+      partial: relay.partial,
+      modelCall,
+      checks: [safety, outputSafety],
+      sources: knowledgeReceiptSources(draftText, knowledge),
+    });
+
+    await addMessage(roomId, {
+      text: appendSourceList(`✅ **Updated Draft (v${version})**\n\n${draftText}`, knowledge),
+      phase: stage,
+      authorType: 'asema',
+      personaIndex: 0,
+      aiReceipt,
+      streamId: relay.streamId,
+    });
+    await writeAuditEvent({
+      action: 'ROOM_DRAFT_EDIT',
+      actor: req.user,
+      target: {
+        resourceType: 'ROOM',
+        resourceId: roomId,
+        roomId,
+        siteId: room.siteId || parseRoomId(roomId).siteId,
+        licenseId: room.licenseId || req.user.licenseId || '',
+        orgId: room.orgId || req.user.orgId || '',
+      },
+      details: {
+        stage,
+        version,
+      },
+    });
+
+    return res.json({ ok: true, version, aiReceipt });
+  } catch (e) {
+    relay?.finish({ discard: true });
+    if (e?.message === 'ai_budget_exceeded') {
+      return res.status(402).json({ error: 'ai_budget_exceeded', templates: listFallbackTemplatesForStage(stage) });
     }
+    console.error('[draft/edit] error', e?.message || e);
+    return res.status(500).json({ error: 'edit_failed' });
+  }
+});
 
-    const names = {
-      '#shareLinks': 'shareLinks',
-      '#linkId': linkId,
-      '#tokenHash': 'tokenHash',
-      '#revoked': 'revoked',
-      '#expiresAt': 'expiresAt',
-      '#viewCount': 'viewCount',
-      '#lastViewedAt': 'lastViewedAt',
-      '#maxViews': 'maxViews',
-    };
-    const values = {
-      ':tokenHash': link.tokenHash,
-      ':false': false,
-      ':now': now,
-      ':zero': 0,
-      ':one': 1,
-      ':maxViews': Number(link.maxViews || 0),
-    };
-    const conditionParts = [
-      'attribute_exists(#shareLinks.#linkId)',
-      '#shareLinks.#linkId.#tokenHash = :tokenHash',
-      '(attribute_not_exists(#shareLinks.#linkId.#revoked) OR #shareLinks.#linkId.#revoked = :false)',
-      '(attribute_not_exists(#shareLinks.#linkId.#expiresAt) OR #shareLinks.#linkId.#expiresAt = :zero OR #shareLinks.#linkId.#expiresAt > :now)',
-    ];
-    if (Number(link.maxViews || 0) > 0) {
-      conditionParts.push(
-        '(attribute_not_exists(#shareLinks.#linkId.#viewCount) OR #shareLinks.#linkId.#viewCount < :maxViews)'
-      );
+app.post('/rooms/:roomId/ask', requireAuth, requireRoomAccess, async (req, res) => {
+  const roomId = req.params.roomId;
+  const { text } = req.body || {};
+  if (!text || typeof text !== 'string') {
+    return res.status(400).json({ error: 'text required' });
+  }
+
+  let r = await ensureRoom(roomId);
+  const stage = r.stage || 'LOBBY';
+  const aiPolicy = await resolveAiPolicyForRoom(r).catch(() => AI_POLICY_DEFAULT);
+  const safety = await moderateText(text, aiPolicy, {
+    direction: 'input',
+    source: 'ask',
+    room: r,
+    actor: req.user,
+  });
+  if (safety.blocked) {
+    await addMessage(roomId, {
+      text:
+        '⚠️ I can’t process that request under the current safety settings. Rephrase with policy-safe language and no personal identifiers.',
+      phase: stage,
+      authorType: 'asema',
+      aiReceipt: buildAiReceipt({
+        stage,
+        policy: aiPolicy,
+        source: 'policy_guard',
+        prompt: text,
+        fallback: true,
+        blockedFlags: safety.flags,
+        checks: [safety],
+      }),
+    });
+    return res.status(422).json(schoolSafetyErrorPayload(safety));
+  }
+
+  // If user asks to show latest draft, paste current living draft
+  if (wantsShowDraft(text)) {
+    const d = (r.draftText || '').trim();
+    if (d) {
+      await addMessage(roomId, {
+        text: `🧾 **Latest Draft (v${Number(r.draftVersion || 0)})**\n\n${d}`,
+        phase: stage,
+        authorType: 'asema',
+        aiReceipt: buildAiReceipt({
+          stage,
+          policy: aiPolicy,
+          source: 'room_memory',
+          prompt: text,
+        }),
+      });
+    } else {
+      await addMessage(roomId, {
+        text: 'I don’t see a saved draft yet. Generate one in ROUGH_DRAFT first.',
+        phase: stage,
+        authorType: 'asema',
+        aiReceipt: buildAiReceipt({
+          stage,
+          policy: aiPolicy,
+          source: 'room_memory',
+          prompt: text,
+          fallback: true,
+        }),
+      });
     }
+    return res.json({
+      ok: true,
+      showedDraft: true,
+      aiReceipt: buildAiReceipt({
+        stage,
+        policy: aiPolicy,
+        source: 'room_memory',
+        prompt: text,
+      }),
+    });
+  }
 
-    let updatedRoom = room;
+  // In EDITING/FINAL, treat edit-like messages as edit instructions (edits SAME draft)
+  if (
+    (stage === 'EDITING' || stage === 'FINAL') &&
+    looksLikeEditInstruction(text)
+  ) {
+    const relay = startAsemaRelay(roomId, { kind: 'edit', stage, policy: aiPolicy });
     try {
-      const { Attributes } = await ddbDoc.send(
-        new UpdateCommand({
-          TableName: TABLES.rooms,
-          Key: { roomId },
-          UpdateExpression: [
-            'SET #shareLinks.#linkId.#viewCount = if_not_exists(#shareLinks.#linkId.#viewCount, :zero) + :one',
-            '#shareLinks.#linkId.#lastViewedAt = :now',
-            'updatedAt = :now',
-          ].join(', '),
-          ConditionExpression: conditionParts.join(' AND '),
-          ExpressionAttributeNames: names,
-          ExpressionAttributeValues: values,
-          ReturnValues: 'ALL_NEW',
-        })
-      );
-      updatedRoom = normalizeRoomShape(Attributes || room);
-    } catch (err) {
-      if (err?.name !== 'ConditionalCheckFailedException') throw err;
-      const latest = normalizeRoomShape((await getRoom(roomId)) || room);
-      const latestEntry = normalizeShareLinksMap(latest.shareLinks || {})[linkId];
-      if (!latestEntry) return res.status(404).json({ error: 'share_not_found' });
-      if (latestEntry.revoked) return res.status(410).json({ error: 'share_link_revoked' });
-      if (Number(latestEntry.expiresAt || 0) > 0 && Date.now() >= Number(latestEntry.expiresAt || 0)) {
-        return res.status(410).json({ error: 'share_link_expired' });
-      }
-      if (Number(latestEntry.maxViews || 0) > 0 && Number(latestEntry.viewCount || 0) >= Number(latestEntry.maxViews || 0)) {
-        return res.status(410).json({ error: 'share_link_view_limit_reached' });
+      const priorDraft = {
+        text: String(r.draftText || ''),
+        version: Number(r.draftVersion || 0),
+        updatedAt: r.draftUpdatedAt || null,
+        approvedByUids: Array.isArray(r.draftApprovedByUids)
+          ? r.draftApprovedByUids.slice()
+          : [],
+        approvedVersion: Number(r.draftApprovedVersion || 0),
+        approvedAt: Number(r.draftApprovedAt || 0) || 0,
+      };
+      const { draftText, version, modelCall, knowledge } = await applyDraftEdits(r, text, { stream: relay });
+      const outputSafety = await moderateText(draftText, aiPolicy, {
+        direction: 'output',
+        source: 'ask_edit',
+        room: r,
+        actor: req.user,
+      });
+      await relay.finish({ discard: outputSafety.blocked });
+      if (outputSafety.blocked) {
+        await updateRoom(roomId, {
+          draftText: priorDraft.text,
+          draftVersion: priorDraft.version,
+          draftUpdatedAt: priorDraft.updatedAt,
+          draftApprovedByUids: priorDraft.approvedByUids,
+          draftApprovedVersion: priorDraft.approvedVersion,
+          draftApprovedAt: priorDraft.approvedAt,
+        });
+        await addMessage(roomId, {
+          text:
+            '⚠️ Edit blocked by organization safety policy. Keep wording policy-safe and remove sensitive details, then try again.',
+          phase: stage,
+          authorType: 'asema',
+          aiReceipt: buildAiReceipt({
+            stage,
+            policy: aiPolicy,
+            source: 'policy_guard',
+            prompt: text,
+            fallback: true,
+            blockedFlags: outputSafety.flags,
+            modelCall,
+            checks: [safety, outputSafety],
+          }),
+        });
+        return res.status(422).json(schoolSafetyErrorPayload(outputSafety));
       }
-      return res.status(403).json({ error: 'share_link_forbidden' });
+      const aiReceipt = buildAiReceipt({
+        stage,
+        policy: aiPolicy,
+        source: 'openai_edit',
+        prompt: text,
+        fallback: !modelCall,
+        partial: relay.partial,
+        modelCall,
+        checks: [safety, outputSafety],
+        sources: knowledgeReceiptSources(draftText, knowledge),
+      });
+      await addMessage(roomId, {
+        text: appendSourceList(`✅ **Updated Draft (v${version})**\n\n${draftText}`, knowledge),
+        phase: stage,
+        authorType: 'asema',
+        aiReceipt,
+        streamId: relay.streamId,
+      });
+      await writeAuditEvent({
+        action: 'ROOM_DRAFT_EDIT',
+        actor: req.user,
+        target: {
+          resourceType: 'ROOM',
+          resourceId: roomId,
+          roomId,
+          siteId: r.siteId || parseRoomId(roomId).siteId,
+          licenseId: r.licenseId || req.user.licenseId || '',
+          orgId: r.orgId || req.user.orgId || '',
+        },
+        details: {
+          stage,
+          version,
+          via: 'ask',
+        },
+      });
+      return res.json({
+        ok: true,
+        edited: true,
+        version,
+        aiReceipt,
+      });
+    } catch (e) {
+      relay.finish({ discard: true });
+      console.error('[ask edit flow] error', e);
+      await addMessage(roomId, {
+        text:
+          'I had trouble applying that edit. Try specifying exactly what to replace or which paragraph to change.',
+        phase: stage,
+        authorType: 'asema',
+        aiReceipt: buildAiReceipt({
+          stage,
+          policy: aiPolicy,
+          source: 'fallback',
+          prompt: text,
+          fallback: true,
+        }),
+      });
+      return res.json({
+        ok: true,
+        fallback: true,
+        aiReceipt: buildAiReceipt({
+          stage,
+          policy: aiPolicy,
+          source: 'fallback',
+          prompt: text,
+          fallback: true,
+        }),
+      });
     }
+  }
 
-    const viewed = normalizeShareLinksMap(updatedRoom.shareLinks || {})[linkId] || link;
-    res.setHeader('Cache-Control', 'no-store');
+  // Throttle actual OpenAI calls per room
+  if (!shouldRunAsk(roomId)) {
+    await addMessage(roomId, {
+      text:
+        'I’m catching up on a few questions — give the room a few seconds before calling on me again.',
+      phase: stage,
+      authorType: 'asema',
+      aiReceipt: buildAiReceipt({
+        stage,
+        policy: aiPolicy,
+        source: 'throttle_guard',
+        prompt: text,
+        fallback: true,
+      }),
+    });
     return res.json({
       ok: true,
-      share: {
-        roomId,
-        siteId: updatedRoom.siteId || parseRoomId(roomId).siteId,
-        linkId: viewed.linkId,
-        title: viewed.title,
-        topic: viewed.topic,
-        content: viewed.content,
-        orgLabel: viewed.orgLabel,
-        template: viewed.template,
-        theme: viewed.theme,
-        createdAt: viewed.createdAt,
-        expiresAt: viewed.expiresAt,
-        viewCount: Number(viewed.viewCount || 0),
-        maxViews: Number(viewed.maxViews || 0),
-      },
+      throttled: true,
+      aiReceipt: buildAiReceipt({
+        stage,
+        policy: aiPolicy,
+        source: 'throttle_guard',
+        prompt: text,
+        fallback: true,
+      }),
     });
-  } catch (err) {
-    console.error('[/shared/:roomId/:linkId GET] error:', err);
-    return res.status(500).json({ error: 'share_link_read_failed' });
   }
-});
-
-// ---------- Idea summarization (Discovery + Idea Dump + Planning) ----------
-const IDEA_MIN_INTERVAL_MS = 20_000; // 20s per room
-const ideaLastRun = new Map(); // roomId -> timestamp
-
-function shouldRunIdeaSummary(roomId) {
-  const now = Date.now();
-  const last = ideaLastRun.get(roomId) || 0;
-  if (now - last < IDEA_MIN_INTERVAL_MS) return false;
-  ideaLastRun.set(roomId, now);
-  return true;
-}
-
-async function summarizeIdeas(roomId) {
-  const r = await ensureRoom(roomId);
-  const stage = r.stage || 'LOBBY';
-  if (!['DISCOVERY', 'IDEA_DUMP', 'PLANNING'].includes(stage)) return;
-
-  const all = await getMessagesForRoom(roomId, 800);
-  const phases = ['DISCOVERY', 'IDEA_DUMP', 'PLANNING'];
-  const humanLines = all
-    .filter(
-      (m) =>
-        phases.includes(m.phase || '') && (m.authorType || 'user') === 'user'
-    )
-    .map((m) => m.text);
 
-  if (humanLines.length === 0) {
-    await updateRoom(roomId, {
-      ideaSummary: '',
-      lastIdeaSummaryAt: Date.now(),
+  const budget = await getAiBudgetStatus(roomBillingScope(r).orgId).catch(() => null);
+  if (budget && !budget.allowed) {
+    const templates = listFallbackTemplatesForStage(stage);
+    const aiReceipt = buildAiReceipt({
+      stage,
+      policy: aiPolicy,
+      source: 'budget_guard',
+      prompt: text,
+      fallback: true,
     });
-    return;
+    await addMessage(roomId, {
+      text: [
+        'Asema is paused for the rest of the month — your organization has used its AI budget. Keep going with a prompt:',
+        ...templates.map((template) => `• **${template.label}:** ${template.prompt}`),
+      ].join('\n'),
+      phase: stage,
+      authorType: 'asema',
+      aiReceipt,
+    });
+    await markRoomAiFallback(roomId, {
+      stage,
+      reason: 'ai_budget_exceeded',
+      actorUid: req.user?.uid || '(system)',
+    }).catch(() => null);
+    return res.json({ ok: true, fallback: true, budgetExceeded: true, aiReceipt });
   }
 
+  const relay = startAsemaRelay(roomId, { kind: 'reply', stage, policy: aiPolicy });
   try {
-    const aiPolicy = await resolveAiPolicyForRoom(r);
-    const summary = await Asema.summarizeIdeas(stage, r.topic || '', humanLines, {
-      ...buildAsemaOptions(r, aiPolicy),
+    // replyToUser answers with canned guidance when the model fails, so only
+    // a recorded model call makes this a model reply.
+    let modelCall = null;
+    let toolCalls = [];
+    const knowledge = await retrieveRoomKnowledge(r, `${r.topic || ''} ${text}`);
+    const promptSelection = await resolveRoomPrompts(r);
+    let reply = await Asema.replyToUser(stage, r.topic || '', text, {
+      ...buildAsemaOptions(r, aiPolicy, {
+        source: 'ask',
+        promptSelection,
+        onModelCall: (call) => {
+          modelCall = call;
+        },
+      }),
+      knowledge,
+      stream: relay,
+      tools: asemaToolsFor({ stage, role: req.user?.role, passages: knowledge }),
+      onToolCalls: (calls) => {
+        toolCalls = calls;
+      },
     });
-    await updateRoom(roomId, {
-      ideaSummary: summary,
-      lastIdeaSummaryAt: Date.now(),
+    const outputSafety = await moderateText(reply, aiPolicy, {
+      direction: 'output',
+      source: 'ask',
+      room: r,
+      actor: req.user,
     });
-  } catch (e) {
-    console.error('[ideas] summarize failed', e?.message || e);
-  }
-}
-
-app.post('/rooms/:roomId/ideas/trigger', requireAuth, requireRoomAccess, async (req, res) => {
-  const roomId = req.params.roomId;
-  try {
-    if (shouldRunIdeaSummary(roomId)) {
-      await summarizeIdeas(roomId);
-      return res.json({ ok: true, ran: true });
+    const blockedFlags = outputSafety.blocked ? outputSafety.flags : [];
+    if (outputSafety.blocked) {
+      reply =
+        'Let’s keep this policy-safe: share one concrete, respectful observation tied to your topic, then one piece of evidence.';
     }
-    return res.json({ ok: true, skipped: true });
+    await relay.finish({ discard: outputSafety.blocked });
+    const toolResults = await runAsemaToolCalls(r, req.user, toolCalls, {
+      stage,
+      passages: knowledge,
+      policy: aiPolicy,
+      blocked: outputSafety.blocked,
+    });
+    reply = [reply, ...toolResults.map(asemaToolActionLine)].filter(Boolean).join('\n\n');
+    const sources = modelCall ? knowledgeReceiptSources(reply, knowledge) : [];
+    if (modelCall && !outputSafety.blocked) reply = appendSourceList(reply, knowledge);
+    const aiReceipt = buildAiReceipt({
+      stage,
+      policy: aiPolicy,
+      source: outputSafety.blocked ? 'policy_guard' : 'openai',
+      prompt: text,
+      fallback: !modelCall,
+      partial: relay.partial,
+      blockedFlags,
+      modelCall,
+      checks: [safety, outputSafety],
+      sources,
+      promptSelection,
+      toolCalls: toolResults,
+    });
+    await addMessage(roomId, {
+      text: reply,
+      phase: stage,
+      authorType: 'asema',
+      aiReceipt,
+      streamId: relay.streamId,
+    });
+    res.json({ ok: true, aiReceipt });
   } catch (e) {
-    console.error('[ideas/trigger] error', e);
-    return res.status(500).json({ error: 'summarize_failed' });
-  }
-});
-
-// ---------- AI Greeting & Ask ----------
-const ASK_MIN_INTERVAL_MS = 4_000; // 4s per room
-const askLastRun = new Map(); // roomId -> timestamp
-
-function shouldRunAsk(roomId) {
-  const now = Date.now();
-  const last = askLastRun.get(roomId) || 0;
-  if (now - last < ASK_MIN_INTERVAL_MS) return false;
-  askLastRun.set(roomId, now);
-  return true;
-}
-
-// Legacy welcome endpoint (no-op)
-app.post('/rooms/:roomId/welcome', requireAuth, requireRoomAccess, async (req, res) => {
-  return res.json({ ok: true, disabled: true });
-});
-
-// GET current living draft
-app.get('/rooms/:roomId/draft', requireAuth, requireRoomAccess, async (req, res) => {
-  const room = await ensureRoom(req.params.roomId);
-  return res.json({
-    ok: true,
-    draftText: room.draftText || '',
-    draftVersion: Number(room.draftVersion || 0),
-    draftUpdatedAt: room.draftUpdatedAt || null,
-  });
-});
-
-app.get('/rooms/:roomId/private-draft', requireAuth, requireRoomAccess, async (req, res) => {
-  const room = await ensureRoom(req.params.roomId);
-  const state = serializePrivateDraftState(room, req.user?.uid || '');
-  return res.json({
-    ok: true,
-    stage: room.stage || DEFAULT_STAGE,
-    privateDraft: state.mine,
-    submissions: state.submissions,
-  });
+    relay.finish({ discard: true });
+    console.error('[ask] error', e);
+    const fallback =
+      'Nice direction — now anchor it with one clear character, place, and problem.';
+    const aiReceipt = buildAiReceipt({
+      stage,
+      policy: aiPolicy,
+      source: 'fallback',
+      prompt: text,
+      fallback: true,
+    });
+    await addMessage(roomId, {
+      text: fallback,
+      phase: stage,
+      authorType: 'asema',
+      aiReceipt,
+    });
+    await markRoomAiFallback(roomId, {
+      stage,
+      reason: 'ask_generation_failed',
+      actorUid: req.user?.uid || '(system)',
+    }).catch(() => null);
+    res.json({ ok: true, fallback: true, aiReceipt });
+  }
 });
 
-app.post('/rooms/:roomId/private-draft', requireAuth, requireRoomAccess, async (req, res) => {
+// ---------- Draft / Final ----------
+app.post('/rooms/:roomId/draft/generate', requireAuth, requireRoomAccess, async (req, res) => {
   const roomId = req.params.roomId;
-  const uid = String(req.user?.uid || '').trim();
-  if (!uid) return res.status(401).json({ error: 'no_uid' });
-  const text = clipText(String(req.body?.text || ''), 8_000).trim();
-  if (!text) return res.status(400).json({ error: 'text_required' });
-
-  const room = await ensureRoom(roomId);
-  const privateDrafts = normalizePrivateDraftMap(room.privateDrafts || {});
-  const current = privateDrafts[uid] || normalizePrivateDraftEntry({});
-  const now = Date.now();
-  const changed = text !== String(current.text || '');
-  privateDrafts[uid] = {
-    ...current,
-    text,
-    updatedAt: now,
-    submittedAt: changed ? 0 : Number(current.submittedAt || 0) || 0,
-  };
-  const updated = await updateRoom(roomId, { privateDrafts });
-  const mine = serializePrivateDraftState(updated, uid).mine;
-  return res.json({ ok: true, privateDraft: mine });
-});
+  const { mode } = req.body || {};
+  try {
+    const room = await ensureRoom(roomId);
+    if ((room.stage || 'LOBBY') !== 'ROUGH_DRAFT') {
+      return res.status(400).json({ error: 'wrong_stage', stage: room.stage });
+    }
 
-app.post('/rooms/:roomId/private-draft/submit', requireAuth, requireRoomAccess, async (req, res) => {
-  const roomId = req.params.roomId;
-  const uid = String(req.user?.uid || '').trim();
-  if (!uid) return res.status(401).json({ error: 'no_uid' });
+    const force = mode === 'regen' || mode === 'regenerate' || mode === 'ask';
 
-  const room = await ensureRoom(roomId);
-  const privateDrafts = normalizePrivateDraftMap(room.privateDrafts || {});
-  const current = privateDrafts[uid] || normalizePrivateDraftEntry({});
-  const incomingText = clipText(String(req.body?.text || ''), 8_000).trim();
-  const finalText = incomingText || String(current.text || '').trim();
-  if (!finalText) return res.status(400).json({ error: 'text_required' });
-  const now = Date.now();
-  privateDrafts[uid] = {
-    ...current,
-    text: finalText,
-    updatedAt: incomingText ? now : Number(current.updatedAt || now) || now,
-    submittedAt: now,
-  };
-  const updated = await updateRoom(roomId, { privateDrafts });
-  await appendDecisionLog(roomId, {
-    type: 'PRIVATE_DRAFT_SUBMITTED',
-    stage: updated.stage || DEFAULT_STAGE,
-    label: 'Private draft submitted to merge panel',
-    actorUid: uid,
-    details: {
-      chars: finalText.length,
-    },
-  }).catch(() => null);
-  const state = serializePrivateDraftState(updated, uid);
-  return res.json({ ok: true, privateDraft: state.mine, submissions: state.submissions });
+    const draft = await generateRoughDraftForRoom(room, { force });
+    res.json({ ok: true, ...draft });
+  } catch (e) {
+    console.error('[draft/generate] error', e);
+    res.status(500).json({ error: 'draft_failed' });
+  }
 });
 
-app.post('/rooms/:roomId/private-draft/merge', requireAuth, requireRoomAccess, async (req, res) => {
+app.post('/rooms/:roomId/final/start', requireAuth, requireRoomAccess, async (_req, res) =>
+  res.json({ ok: true })
+);
+
+// Presenter manual close button (FINAL stage only)
+app.post(
+  '/rooms/:roomId/final/close',
+  requireAuth,
+  requirePresenter,
+  requirePresenterRoomScope,
+  async (req, res) => {
   const roomId = req.params.roomId;
-  const actorUid = String(req.user?.uid || '').trim();
-  if (!actorUid) return res.status(401).json({ error: 'no_uid' });
-  const sourceUid = String(req.body?.sourceUid || '').trim();
-  if (!sourceUid) return res.status(400).json({ error: 'source_uid_required' });
-  const mode = String(req.body?.mode || 'append').trim().toLowerCase();
   const room = await ensureRoom(roomId);
-  const privateDrafts = normalizePrivateDraftMap(room.privateDrafts || {});
-  const source = privateDrafts[sourceUid];
-  if (!source || !Number(source.submittedAt || 0) || !String(source.text || '').trim()) {
-    return res.status(404).json({ error: 'submitted_private_draft_not_found' });
+  if ((room.stage || 'LOBBY') !== 'FINAL') {
+    return res.status(400).json({ error: 'wrong_stage', stage: room.stage });
   }
-  const sourceText = String(source.text || '').trim();
-  const current = String(room.draftText || '').trim();
-  const mergedText =
-    mode === 'replace' || !current
-      ? sourceText
-      : `${current}\n\n[Merged contribution from ${sourceUid}]\n${sourceText}`;
-  const now = Date.now();
-  const nextVersion = Number(room.draftVersion || 0) + 1;
-  privateDrafts[sourceUid] = {
-    ...source,
-    mergedAt: now,
-    mergedBy: actorUid,
-  };
-  const updated = await updateRoom(roomId, {
-    draftText: mergedText,
-    draftVersion: nextVersion,
-    draftUpdatedAt: now,
-    draftApprovedByUids: [],
-    draftApprovedVersion: 0,
-    draftApprovedAt: 0,
-    privateDrafts,
-  });
-  await saveDraftSnapshot(roomId, mergedText, nextVersion);
-  await addMessage(roomId, {
-    text: `🧩 **Merged draft contribution** from room member. Draft is now v${nextVersion}.`,
-    phase: updated.stage || DEFAULT_STAGE,
-    authorType: 'asema',
-    personaIndex: 0,
-  });
-  await appendDecisionLog(roomId, {
-    type: 'PRIVATE_DRAFT_MERGED',
-    stage: updated.stage || DEFAULT_STAGE,
-    label: `Private draft merged into shared draft (v${nextVersion})`,
-    actorUid,
-    details: {
-      sourceUid,
-      mode,
-      version: nextVersion,
-    },
-  }).catch(() => null);
-  return res.json({
-    ok: true,
-    version: nextVersion,
-    draftText: mergedText,
-    submissions: serializePrivateDraftState(updated, actorUid).submissions,
-  });
-});
 
-app.post('/rooms/:roomId/draft/approve', requireAuth, requireRoomAccess, async (req, res) => {
+  try {
+    const updated = await closeRoomWithFinal(room, {
+      reason: 'presenter',
+      closedBy: req.user.uid,
+    });
+    await writeAuditEvent({
+      action: 'PRESENTER_FINAL_CLOSE',
+      actor: req.user,
+      target: {
+        resourceType: 'ROOM',
+        resourceId: roomId,
+        roomId,
+        siteId: updated.siteId || parseRoomId(roomId).siteId,
+        licenseId: updated.licenseId || req.user.licenseId,
+        orgId: updated.orgId || req.user.orgId,
+      },
+      details: {
+        closedReason: updated.closedReason || 'presenter',
+        closedAt: updated.closedAt || null,
+      },
+    });
+    return res.json({
+      ok: true,
+      closed: true,
+      stage: updated.stage,
+      closedAt: updated.closedAt,
+    });
+  } catch (e) {
+    console.error('[final/close] error', e);
+    if (e?.code === 'cer_required') {
+      return res.status(409).json({
+        error: 'cer_required',
+        cerGate: e.cerGate || null,
+      });
+    }
+    return res.status(500).json({ error: 'close_failed' });
+  }
+  }
+);
+
+// Mark a participant as "ready" in FINAL stage (called when they click done/submit)
+app.post('/rooms/:roomId/final/ready', requireAuth, requireRoomAccess, async (req, res) => {
   const roomId = req.params.roomId;
-  const uid = String(req.user?.uid || '').trim();
-  if (!uid) return res.status(401).json({ error: 'no_uid' });
-  const room = await ensureRoom(roomId);
-  if (!['EDITING', 'FINAL'].includes(String(room.stage || DEFAULT_STAGE).toUpperCase())) {
-    return res.status(400).json({ error: 'wrong_stage', stage: room.stage || DEFAULT_STAGE });
+  const uid = req.user?.uid;
+  if (!uid) {
+    return res.status(401).json({ error: 'no_uid' });
   }
-  if (!String(room.draftText || '').trim()) {
-    return res.status(400).json({ error: 'draft_required' });
+
+  const readyRes = await markFinalReady(roomId, uid);
+  if (!readyRes.ok) {
+    return res.status(400).json({ error: 'wrong_stage', stage: readyRes.stage });
   }
-  const approve = req.body?.approved !== false;
-  const approvals = new Set(
-    Array.isArray(room.draftApprovedByUids)
-      ? room.draftApprovedByUids.map((entry) => String(entry || '').trim()).filter(Boolean)
-      : []
-  );
-  if (approve) approvals.add(uid);
-  else approvals.delete(uid);
-  const nextApprovals = Array.from(approvals);
-  const patch = {
-    draftApprovedByUids: nextApprovals,
-    draftApprovedVersion: nextApprovals.length ? Number(room.draftVersion || 0) : 0,
-    draftApprovedAt: nextApprovals.length ? Date.now() : 0,
-  };
-  const updated = await updateRoom(roomId, patch);
-  await appendDecisionLog(roomId, {
-    type: approve ? 'DRAFT_APPROVED' : 'DRAFT_APPROVAL_REVOKED',
-    stage: updated.stage || DEFAULT_STAGE,
-    label: approve ? 'Draft approved by room member' : 'Draft approval removed',
-    actorUid: uid,
-    details: {
-      approvals: nextApprovals.length,
-      draftVersion: Number(updated.draftVersion || 0),
-    },
-  }).catch(() => null);
-  const requiredApprovals = getSeatCount(updated) >= 4 ? 2 : 1;
+
   return res.json({
     ok: true,
-    approved: approve,
-    approvedByUids: nextApprovals,
-    approvedCount: nextApprovals.length,
-    requiredApprovals,
-    draftVersion: Number(updated.draftVersion || 0),
-    approvedVersion: Number(updated.draftApprovedVersion || 0),
-    approvedAt: Number(updated.draftApprovedAt || 0) || 0,
+    readyCount: readyRes.readyCount,
+    seats: readyRes.seats,
+    alreadyReady: !!readyRes.alreadyReady,
+    autoClosed: readyRes.autoClosed,
+    blocked: readyRes.blocked || null,
+    cerGate: readyRes.cerGate || null,
+    stage: readyRes.autoClosed ? 'CLOSED' : 'FINAL',
   });
 });
 
-app.get('/rooms/:roomId/ai-fallback', requireAuth, requireRoomAccess, async (req, res) => {
-  const room = await ensureRoom(req.params.roomId);
-  return res.json({
-    ok: true,
-    aiFallback: serializeAiFallbackState(room, room.stage || DEFAULT_STAGE),
-  });
-});
+function normalizeCodeSiteIds(item = {}) {
+  const directList = sanitizeSiteIds(item.siteIds);
+  if (directList.length) return directList;
+  const single = normalizedSiteId(item.siteId);
+  return single ? [single] : [];
+}
+
+function normalizeLicenseFromCode(item = {}, fallbackCode = '') {
+  const fromItem = normalizedLicenseId(item.licenseId);
+  if (fromItem) return fromItem;
+  const site = normalizedSiteId(item.siteId);
+  if (site) return site;
+  const rawCode = String(fallbackCode || item.code || '').trim();
+  if (!rawCode) return '';
+  return `LIC-${rawCode.toUpperCase().replace(/[^A-Z0-9]/g, '')}`;
+}
+
+function normalizeOrgFromCode(item = {}, fallbackLicense = '') {
+  return normalizedOrgId(item.orgId || '', item.licenseId || fallbackLicense || '');
+}
 
-// Edit the living draft (EDITING / FINAL)
-app.post('/rooms/:roomId/draft/edit', requireAuth, requireRoomAccess, async (req, res) => {
-  const roomId = req.params.roomId;
-  const { instructions } = req.body || {};
-  if (!instructions || typeof instructions !== 'string') {
-    return res.status(400).json({ error: 'instructions required' });
+function classifyCodeUnusable(item = {}) {
+  if (!item || typeof item !== 'object') return 'code_not_found';
+  if (item.revoked) return 'code_revoked';
+  if (codeIsExpired(item)) return 'code_expired';
+  return '';
+}
+
+async function getCodeRecordByInput(rawCode) {
+  const normalizedCode = String(rawCode || '').trim().toUpperCase();
+  if (!normalizedCode) return null;
+  let item = null;
+  try {
+    const getRes = await ddbDoc.send(
+      new GetCommand({
+        TableName: TABLES.codes,
+        Key: { code: normalizedCode },
+      })
+    );
+    item = getRes.Item || null;
+  } catch (err) {
+    if (!shouldUseDemoFallback(err)) throw err;
+    logDemoFallback('code_get', err);
+    item = getOrCreateDemoCodeRecord(normalizedCode);
+  }
+  if (!item && DEMO_MODE_FALLBACK) {
+    item = getOrCreateDemoCodeRecord(normalizedCode);
   }
+  if (!item) return null;
 
-  let room = await ensureRoom(roomId);
-  const stage = room.stage || 'LOBBY';
-  if (!['EDITING', 'FINAL'].includes(stage)) {
-    return res.status(400).json({ error: 'wrong_stage', stage });
+  const expectedHash = String(item.codeHash || '').trim().toLowerCase();
+  const actualHash = hashCodeValue(normalizedCode).toLowerCase();
+  if (expectedHash && expectedHash !== actualHash) {
+    return null;
+  }
+  if (!expectedHash) {
+    try {
+      await ddbDoc.send(
+        new UpdateCommand({
+          TableName: TABLES.codes,
+          Key: { code: normalizedCode },
+          UpdateExpression: 'SET codeHash = :hash',
+          ConditionExpression: 'attribute_not_exists(codeHash)',
+          ExpressionAttributeValues: { ':hash': actualHash },
+        })
+      );
+    } catch (err) {
+      if (shouldUseDemoFallback(err)) {
+        logDemoFallback('code_hash_backfill', err);
+        const next = { ...item, codeHash: actualHash };
+        demoFallbackState.codes.set(normalizedCode, deepCloneDemo(next));
+      } else if (err?.name !== 'ConditionalCheckFailedException') {
+        console.warn('[codes] codeHash backfill skipped:', err?.message || err);
+      }
+    }
+  }
+  return item;
+}
+
+async function consumeCodeForUser(item, uid) {
+  const unusable = classifyCodeUnusable(item);
+  if (unusable) {
+    return { ok: false, conflict: true, reason: unusable };
   }
 
   try {
-    const aiPolicy = await resolveAiPolicyForRoom(room).catch(() => AI_POLICY_DEFAULT);
-    const safety = evaluateSchoolSafetyText(instructions, aiPolicy);
-    if (safety.blocked) {
-      return res.status(422).json(schoolSafetyErrorPayload(safety));
+    const now = Date.now();
+    await ddbDoc.send(
+      new UpdateCommand({
+        TableName: TABLES.codes,
+        Key: { code: item.code },
+        UpdateExpression: 'SET #consumed = :c, #usedBy = :u, consumedAt = :t',
+        ConditionExpression:
+          '(attribute_not_exists(#consumed) OR #consumed = :f OR #usedBy = :u) AND ' +
+          '(attribute_not_exists(revoked) OR revoked = :f) AND ' +
+          '(attribute_not_exists(expiresAt) OR expiresAt > :now)',
+        ExpressionAttributeNames: {
+          '#consumed': 'consumed',
+          '#usedBy': 'usedBy',
+        },
+        ExpressionAttributeValues: {
+          ':c': true,
+          ':f': false,
+          ':u': uid || '(unknown)',
+          ':t': now,
+          ':now': now,
+        },
+      })
+    );
+    return { ok: true };
+  } catch (e) {
+    if (e?.name === 'ConditionalCheckFailedException') {
+      return { ok: false, conflict: true };
+    }
+    if (shouldUseDemoFallback(e)) {
+      logDemoFallback('code_consume_update', e);
+      return consumeDemoCodeRecord(item, uid);
     }
+    console.warn('[codes] consume update skipped:', e?.message || e);
+    return { ok: false, error: e };
+  }
+}
 
-    const priorDraft = {
-      text: String(room.draftText || ''),
-      version: Number(room.draftVersion || 0),
-      updatedAt: room.draftUpdatedAt || null,
-      approvedByUids: Array.isArray(room.draftApprovedByUids)
-        ? room.draftApprovedByUids.slice()
-        : [],
-      approvedVersion: Number(room.draftApprovedVersion || 0),
-      approvedAt: Number(room.draftApprovedAt || 0) || 0,
-    };
-    const { draftText, version } = await applyDraftEdits(room, instructions);
-    const outputSafety = evaluateSchoolSafetyText(draftText, aiPolicy);
-    if (outputSafety.blocked) {
-      await updateRoom(roomId, {
-        draftText: priorDraft.text,
-        draftVersion: priorDraft.version,
-        draftUpdatedAt: priorDraft.updatedAt,
-        draftApprovedByUids: priorDraft.approvedByUids,
-        draftApprovedVersion: priorDraft.approvedVersion,
-        draftApprovedAt: priorDraft.approvedAt,
-      });
-      await addMessage(roomId, {
-        text:
-          '⚠️ Edit blocked by organization safety policy. Keep wording policy-safe and remove sensitive details, then try again.',
-        phase: stage,
-        authorType: 'asema',
-        personaIndex: 0,
-        aiReceipt: buildAiReceipt({
-          stage,
-          policy: aiPolicy,
-          source: 'policy_guard',
-          prompt: instructions,
-          fallback: true,
-          blockedFlags: outputSafety.flags,
-        }),
-      });
-      return res.status(422).json(schoolSafetyErrorPayload(outputSafety));
+app.post('/super-admin/auth/email', requireAuth, async (req, res) => {
+  try {
+    const email = normalizeSuperAdminEmail(req.body?.email);
+    if (!email) {
+      return res.status(400).json({ error: 'email_required' });
+    }
+    if (email !== SUPER_ADMIN_EMAIL) {
+      return res.status(403).json({ error: 'super_admin_email_not_allowed' });
     }
-    const aiReceipt = buildAiReceipt({
-      stage,
-      policy: aiPolicy,
-      source: 'openai_edit',
-      prompt: instructions,
-    });
 
-    await addMessage(roomId, {
-      text: `✅ **Updated Draft (v${version})**\n\n${draftText}`,
-      phase: stage,
-      authorType: 'asema',
-      personaIndex: 0,
-      aiReceipt,
-    });
-    await writeAuditEvent({
-      action: 'ROOM_DRAFT_EDIT',
-      actor: req.user,
-      target: {
-        resourceType: 'ROOM',
-        resourceId: roomId,
-        roomId,
-        siteId: room.siteId || parseRoomId(roomId).siteId,
-        licenseId: room.licenseId || req.user.licenseId || '',
-        orgId: room.orgId || req.user.orgId || '',
-      },
-      details: {
-        stage,
-        version,
+    const pair = await issueTokenPair(
+      {
+        uid: req.user.uid,
+        role: 'SUPER_ADMIN',
+        orgId: req.user.orgId || null,
+        email,
       },
+      req
+    );
+    await writeAuditEvent({
+      action: 'SUPER_ADMIN_AUTH_EMAIL',
+      actor: { ...req.user, email },
+      target: { resourceType: 'SUPER_ADMIN', resourceId: req.user.uid },
+      details: { email },
+    });
+    return res.json({
+      ok: true,
+      token: pair.accessToken,
+      accessToken: pair.accessToken,
+      refreshToken: pair.refreshToken,
+      sessionId: pair.sessionId,
+      expiresIn: pair.accessTtlSeconds,
+      role: 'SUPER_ADMIN',
+      email,
+      userId: req.user.uid,
     });
+  } catch (err) {
+    console.error('[/super-admin/auth/email] error:', err);
+    return res.status(500).json({ error: 'super_admin_auth_failed' });
+  }
+});
+
+app.get('/super-admin/overview', requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const now = Date.now();
+    const activeCutoff = now - SUPER_ADMIN_ACTIVE_WINDOW_MS;
+
+    const rolePartitions = ['PARTICIPANT', 'PRESENTER', 'ADMIN', 'SUPER_ADMIN'];
+    let sessionsTableMissing = false;
+    let sessionsObserved = 0;
+    const sessionRowsRaw = [];
+
+    for (const role of rolePartitions) {
+      let remaining = 350;
+      let lastKey = undefined;
+      let exhaustedByCutoff = false;
+
+      while (remaining > 0 && !exhaustedByCutoff) {
+        const pageLimit = Math.min(150, remaining);
+        let page;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          page = await queryByPartitionKey({
+            tableName: TABLES.sessions,
+            indexName: 'byRoleLastSeen',
+            partitionKey: 'role',
+            partitionValue: role,
+            limit: pageLimit,
+            scanForward: false,
+            exclusiveStartKey: lastKey,
+          });
+        } catch (err) {
+          if (err?.name === 'ResourceNotFoundException') {
+            sessionsTableMissing = true;
+            break;
+          }
+          throw err;
+        }
 
-    return res.json({ ok: true, version, aiReceipt });
-  } catch (e) {
-    console.error('[draft/edit] error', e?.message || e);
-    return res.status(500).json({ error: 'edit_failed' });
-  }
-});
+        const items = page.items || [];
+        sessionsObserved += items.length;
+        remaining -= items.length;
+        lastKey = page.lastKey || undefined;
 
-app.post('/rooms/:roomId/ask', requireAuth, requireRoomAccess, async (req, res) => {
-  const roomId = req.params.roomId;
-  const { text } = req.body || {};
-  if (!text || typeof text !== 'string') {
-    return res.status(400).json({ error: 'text required' });
-  }
+        for (const item of items) {
+          const lastSeenAt = Number(item.lastSeenAt || 0);
+          if (!lastSeenAt || lastSeenAt < activeCutoff) {
+            exhaustedByCutoff = true;
+            break;
+          }
+          sessionRowsRaw.push({
+            uid: String(item.uid || '').trim(),
+            role: String(item.role || '').trim().toUpperCase() || role,
+            siteId: normalizedSiteId(item.siteId || 'UNASSIGNED'),
+            licenseId: normalizedLicenseId(item.licenseId || ''),
+            orgId: normalizedOrgId(item.orgId || '', item.licenseId || ''),
+            email: normalizeSuperAdminEmail(item.email || ''),
+            lastSeenAt,
+            lastSeenIso: String(item.lastSeenIso || ''),
+            ip: String(item.ip || ''),
+          });
+        }
 
-  let r = await ensureRoom(roomId);
-  const stage = r.stage || 'LOBBY';
-  const aiPolicy = await resolveAiPolicyForRoom(r).catch(() => AI_POLICY_DEFAULT);
-  const safety = evaluateSchoolSafetyText(text, aiPolicy);
-  if (safety.blocked) {
-    await addMessage(roomId, {
-      text:
-        '⚠️ I can’t process that request under the current safety settings. Rephrase with policy-safe language and no personal identifiers.',
-      phase: stage,
-      authorType: 'asema',
-      aiReceipt: buildAiReceipt({
-        stage,
-        policy: aiPolicy,
-        source: 'policy_guard',
-        prompt: text,
-        fallback: true,
-        blockedFlags: safety.flags,
-      }),
-    });
-    return res.status(422).json(schoolSafetyErrorPayload(safety));
-  }
+        if (!lastKey) break;
+      }
+    }
 
-  // If user asks to show latest draft, paste current living draft
-  if (wantsShowDraft(text)) {
-    const d = (r.draftText || '').trim();
-    if (d) {
-      await addMessage(roomId, {
-        text: `🧾 **Latest Draft (v${Number(r.draftVersion || 0)})**\n\n${d}`,
-        phase: stage,
-        authorType: 'asema',
-        aiReceipt: buildAiReceipt({
-          stage,
-          policy: aiPolicy,
-          source: 'room_memory',
-          prompt: text,
-        }),
-      });
-    } else {
-      await addMessage(roomId, {
-        text: 'I don’t see a saved draft yet. Generate one in ROUGH_DRAFT first.',
-        phase: stage,
-        authorType: 'asema',
-        aiReceipt: buildAiReceipt({
-          stage,
-          policy: aiPolicy,
-          source: 'room_memory',
-          prompt: text,
-          fallback: true,
-        }),
-      });
+    const sessionByUid = new Map();
+    for (const row of sessionRowsRaw) {
+      if (!row.uid) continue;
+      const prev = sessionByUid.get(row.uid);
+      if (!prev || Number(row.lastSeenAt || 0) > Number(prev.lastSeenAt || 0)) {
+        sessionByUid.set(row.uid, row);
+      }
     }
-    return res.json({
-      ok: true,
-      showedDraft: true,
-      aiReceipt: buildAiReceipt({
-        stage,
-        policy: aiPolicy,
-        source: 'room_memory',
-        prompt: text,
-      }),
-    });
-  }
+    const activeSessionRows = Array.from(sessionByUid.values()).sort(
+      (a, b) => Number(b.lastSeenAt || 0) - Number(a.lastSeenAt || 0)
+    );
+    const activeUserIds = new Set(activeSessionRows.map((row) => row.uid));
 
-  // In EDITING/FINAL, treat edit-like messages as edit instructions (edits SAME draft)
-  if (
-    (stage === 'EDITING' || stage === 'FINAL') &&
-    looksLikeEditInstruction(text)
-  ) {
-    try {
-      const priorDraft = {
-        text: String(r.draftText || ''),
-        version: Number(r.draftVersion || 0),
-        updatedAt: r.draftUpdatedAt || null,
-        approvedByUids: Array.isArray(r.draftApprovedByUids)
-          ? r.draftApprovedByUids.slice()
-          : [],
-        approvedVersion: Number(r.draftApprovedVersion || 0),
-        approvedAt: Number(r.draftApprovedAt || 0) || 0,
-      };
-      const { draftText, version } = await applyDraftEdits(r, text);
-      const outputSafety = evaluateSchoolSafetyText(draftText, aiPolicy);
-      if (outputSafety.blocked) {
-        await updateRoom(roomId, {
-          draftText: priorDraft.text,
-          draftVersion: priorDraft.version,
-          draftUpdatedAt: priorDraft.updatedAt,
-          draftApprovedByUids: priorDraft.approvedByUids,
-          draftApprovedVersion: priorDraft.approvedVersion,
-          draftApprovedAt: priorDraft.approvedAt,
-        });
-        await addMessage(roomId, {
-          text:
-            '⚠️ Edit blocked by organization safety policy. Keep wording policy-safe and remove sensitive details, then try again.',
-          phase: stage,
-          authorType: 'asema',
-          aiReceipt: buildAiReceipt({
-            stage,
-            policy: aiPolicy,
-            source: 'policy_guard',
-            prompt: text,
-            fallback: true,
-            blockedFlags: outputSafety.flags,
-          }),
-        });
-        return res.status(422).json(schoolSafetyErrorPayload(outputSafety));
+    let codesTableMissing = false;
+    const codeRoleCounts = { PARTICIPANT: 0, PRESENTER: 0, ADMIN: 0, SUPER_ADMIN: 0 };
+    let consumedCodes = 0;
+    const recentCodesRaw = [];
+    for (const role of rolePartitions) {
+      try {
+        const { items } = await queryRecentCodesByRole({ role, limit: 220 });
+        for (const item of items) {
+          codeRoleCounts[role] += 1;
+          if (item.consumed) consumedCodes += 1;
+          recentCodesRaw.push(item);
+        }
+      } catch (err) {
+        if (err?.name === 'ResourceNotFoundException') {
+          codesTableMissing = true;
+          break;
+        }
+        throw err;
+      }
+    }
+    const recentCodes = recentCodesRaw
+      .map(mapCodeRow)
+      .sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0))
+      .slice(0, 150);
+
+    let workshopsTableMissing = false;
+    const workshopItems = [];
+    const candidateLicenseIds = new Set();
+    for (const row of activeSessionRows) {
+      const licenseId = normalizedLicenseId(row.licenseId || '');
+      if (licenseId) candidateLicenseIds.add(licenseId);
+    }
+    for (const code of recentCodesRaw) {
+      const licenseId = normalizedLicenseId(code.licenseId || '');
+      if (licenseId) candidateLicenseIds.add(licenseId);
+    }
+    if (req.user?.licenseId) {
+      candidateLicenseIds.add(normalizedLicenseId(req.user.licenseId));
+    }
+
+    for (const licenseId of candidateLicenseIds) {
+      if (!licenseId) continue;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const workshop = await getWorkshopConfig(licenseId);
+        if (workshop) workshopItems.push(workshop);
+      } catch (err) {
+        if (err?.name === 'ResourceNotFoundException') {
+          workshopsTableMissing = true;
+          break;
+        }
+        throw err;
       }
-      await addMessage(roomId, {
-        text: `✅ **Updated Draft (v${version})**\n\n${draftText}`,
-        phase: stage,
-        authorType: 'asema',
-        aiReceipt: buildAiReceipt({
-          stage,
-          policy: aiPolicy,
-          source: 'openai_edit',
-          prompt: text,
-        }),
-      });
-      await writeAuditEvent({
-        action: 'ROOM_DRAFT_EDIT',
-        actor: req.user,
-        target: {
-          resourceType: 'ROOM',
-          resourceId: roomId,
-          roomId,
-          siteId: r.siteId || parseRoomId(roomId).siteId,
-          licenseId: r.licenseId || req.user.licenseId || '',
-          orgId: r.orgId || req.user.orgId || '',
-        },
-        details: {
-          stage,
-          version,
-          via: 'ask',
-        },
-      });
-      return res.json({
-        ok: true,
-        edited: true,
-        version,
-        aiReceipt: buildAiReceipt({
-          stage,
-          policy: aiPolicy,
-          source: 'openai_edit',
-          prompt: text,
-        }),
-      });
-    } catch (e) {
-      console.error('[ask edit flow] error', e);
-      await addMessage(roomId, {
-        text:
-          'I had trouble applying that edit. Try specifying exactly what to replace or which paragraph to change.',
-        phase: stage,
-        authorType: 'asema',
-        aiReceipt: buildAiReceipt({
-          stage,
-          policy: aiPolicy,
-          source: 'fallback',
-          prompt: text,
-          fallback: true,
-        }),
-      });
-      return res.json({
-        ok: true,
-        fallback: true,
-        aiReceipt: buildAiReceipt({
-          stage,
-          policy: aiPolicy,
-          source: 'fallback',
-          prompt: text,
-          fallback: true,
-        }),
-      });
     }
-  }
 
-  // Throttle actual OpenAI calls per room
-  if (!shouldRunAsk(roomId)) {
-    await addMessage(roomId, {
-      text:
-        'I’m catching up on a few questions — give the room a few seconds before calling on me again.',
-      phase: stage,
-      authorType: 'asema',
-      aiReceipt: buildAiReceipt({
-        stage,
-        policy: aiPolicy,
-        source: 'throttle_guard',
-        prompt: text,
-        fallback: true,
-      }),
-    });
-    return res.json({
-      ok: true,
-      throttled: true,
-      aiReceipt: buildAiReceipt({
-        stage,
-        policy: aiPolicy,
-        source: 'throttle_guard',
-        prompt: text,
-        fallback: true,
-      }),
-    });
-  }
+    const licenseRows = workshopItems
+      .map((workshop) => ({
+        licenseId: normalizedLicenseId(workshop.licenseId || ''),
+        orgId: normalizedOrgId(workshop.orgId || '', workshop.licenseId || ''),
+        name: workshop.name || '',
+        mode: workshop.mode || '',
+        expectedUsers: Number(workshop.expectedUsers || 0),
+        activeUserCap: Number(workshop.activeUserCap || workshop.expectedUsers || 0),
+        roomsPerSite: Number(workshop.roomsPerSite || 0),
+        seatLimitPerRoom: Number(workshop.seatLimitPerRoom || 0),
+        licenseStatus: String(workshop.licenseStatus || 'ACTIVE').toUpperCase(),
+        sites: sanitizeSiteIds(workshop.siteIds || []),
+        updatedAt: Number(workshop.updatedAt || 0) || null,
+      }))
+      .filter((row) => row.licenseId)
+      .sort((a, b) => Number(b.updatedAt || 0) - Number(a.updatedAt || 0));
 
-  try {
-    let reply = await Asema.replyToUser(stage, r.topic || '', text, {
-      ...buildAsemaOptions(r, aiPolicy),
-    });
-    const outputSafety = evaluateSchoolSafetyText(reply, aiPolicy);
-    const blockedFlags = outputSafety.blocked ? outputSafety.flags : [];
-    if (outputSafety.blocked) {
-      reply =
-        'Let’s keep this policy-safe: share one concrete, respectful observation tied to your topic, then one piece of evidence.';
+    const candidateSites = new Set();
+    for (const workshop of licenseRows) {
+      for (const siteId of workshop.sites || []) candidateSites.add(siteId);
+    }
+    for (const row of activeSessionRows) {
+      if (row.siteId && row.siteId !== 'UNASSIGNED') candidateSites.add(row.siteId);
+    }
+    for (const code of recentCodes) {
+      if (code.siteId) candidateSites.add(code.siteId);
+      for (const sid of code.siteIds || []) candidateSites.add(sid);
     }
-    const aiReceipt = buildAiReceipt({
-      stage,
-      policy: aiPolicy,
-      source: outputSafety.blocked ? 'policy_guard' : 'openai',
-      prompt: text,
-      blockedFlags,
-    });
-    await addMessage(roomId, {
-      text: reply,
-      phase: stage,
-      authorType: 'asema',
-      aiReceipt,
-    });
-    res.json({ ok: true, aiReceipt });
-  } catch (e) {
-    console.error('[ask] error', e);
-    const fallback =
-      'Nice direction — now anchor it with one clear character, place, and problem.';
-    const aiReceipt = buildAiReceipt({
-      stage,
-      policy: aiPolicy,
-      source: 'fallback',
-      prompt: text,
-      fallback: true,
-    });
-    await addMessage(roomId, {
-      text: fallback,
-      phase: stage,
-      authorType: 'asema',
-      aiReceipt,
-    });
-    await markRoomAiFallback(roomId, {
-      stage,
-      reason: 'ask_generation_failed',
-      actorUid: req.user?.uid || '(system)',
-    }).catch(() => null);
-    res.json({ ok: true, fallback: true, aiReceipt });
-  }
-});
 
-// ---------- Draft / Final ----------
-app.post('/rooms/:roomId/draft/generate', requireAuth, requireRoomAccess, async (req, res) => {
-  const roomId = req.params.roomId;
-  const { mode } = req.body || {};
-  try {
-    const room = await ensureRoom(roomId);
-    if ((room.stage || 'LOBBY') !== 'ROUGH_DRAFT') {
-      return res.status(400).json({ error: 'wrong_stage', stage: room.stage });
+    let roomsTableMissing = false;
+    const roomRowsAll = [];
+    for (const siteId of candidateSites) {
+      let lastKey = undefined;
+      let remaining = 160;
+      while (remaining > 0) {
+        let page;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          page = await queryByPartitionKey({
+            tableName: TABLES.rooms,
+            indexName: 'bySiteIndex',
+            partitionKey: 'siteId',
+            partitionValue: siteId,
+            limit: Math.min(80, remaining),
+            scanForward: true,
+            exclusiveStartKey: lastKey,
+          });
+        } catch (err) {
+          if (err?.name === 'ResourceNotFoundException') {
+            roomsTableMissing = true;
+            break;
+          }
+          throw err;
+        }
+        const items = page.items || [];
+        roomRowsAll.push(...items.map((room) => normalizeRoomShape(room)));
+        remaining -= items.length;
+        lastKey = page.lastKey || undefined;
+        if (!lastKey) break;
+      }
     }
 
-    const force = mode === 'regen' || mode === 'regenerate' || mode === 'ask';
+    const activeRooms = roomRowsAll.filter((room) => String(room.stage || '') !== 'CLOSED');
+    const roomStateBySite = new Map();
+    const fallbackUserIds = new Set();
+    const fallbackUsersBySiteMap = new Map();
+    for (const room of roomRowsAll) {
+      const siteId = normalizedSiteId(room.siteId || parseRoomId(room.roomId).siteId || 'E1');
+      const userIds = userIdsFromRoom(room);
+      for (const uid of userIds) fallbackUserIds.add(uid);
 
-    const draft = await generateRoughDraftForRoom(room, { force });
-    res.json({ ok: true, ...draft });
-  } catch (e) {
-    console.error('[draft/generate] error', e);
-    res.status(500).json({ error: 'draft_failed' });
-  }
-});
+      const priorUsers = fallbackUsersBySiteMap.get(siteId) || {
+        siteId,
+        users: 0,
+        openRooms: 0,
+        closedRooms: 0,
+      };
+      priorUsers.users += userIds.length;
+      if (String(room.stage || '') === 'CLOSED') priorUsers.closedRooms += 1;
+      else priorUsers.openRooms += 1;
+      fallbackUsersBySiteMap.set(siteId, priorUsers);
 
-app.post('/rooms/:roomId/final/start', requireAuth, requireRoomAccess, async (_req, res) =>
-  res.json({ ok: true })
-);
+      const priorState = roomStateBySite.get(siteId) || { openRooms: 0, closedRooms: 0 };
+      if (String(room.stage || '') === 'CLOSED') priorState.closedRooms += 1;
+      else priorState.openRooms += 1;
+      roomStateBySite.set(siteId, priorState);
+    }
 
-// Presenter manual close button (FINAL stage only)
-app.post(
-  '/rooms/:roomId/final/close',
-  requireAuth,
-  requirePresenter,
-  requirePresenterRoomScope,
-  async (req, res) => {
-  const roomId = req.params.roomId;
-  const room = await ensureRoom(roomId);
-  if ((room.stage || 'LOBBY') !== 'FINAL') {
-    return res.status(400).json({ error: 'wrong_stage', stage: room.stage });
-  }
+    const sessionsBySiteMap = new Map();
+    for (const row of activeSessionRows) {
+      const prior = sessionsBySiteMap.get(row.siteId) || 0;
+      sessionsBySiteMap.set(row.siteId, prior + 1);
+    }
+
+    const usersBySiteRows = [];
+    if (activeSessionRows.length) {
+      const sites = new Set([...roomStateBySite.keys(), ...sessionsBySiteMap.keys()]);
+      for (const siteId of sites) {
+        const roomState = roomStateBySite.get(siteId) || { openRooms: 0, closedRooms: 0 };
+        usersBySiteRows.push({
+          siteId,
+          users: Number(sessionsBySiteMap.get(siteId) || 0),
+          openRooms: roomState.openRooms,
+          closedRooms: roomState.closedRooms,
+        });
+      }
+      usersBySiteRows.sort((a, b) => a.siteId.localeCompare(b.siteId));
+    } else {
+      usersBySiteRows.push(
+        ...Array.from(fallbackUsersBySiteMap.values()).sort((a, b) =>
+          a.siteId.localeCompare(b.siteId)
+        )
+      );
+    }
+
+    const roomRows = activeRooms
+      .map((room) => ({
+        roomId: room.roomId,
+        siteId: normalizedSiteId(room.siteId || parseRoomId(room.roomId).siteId),
+        index: Number(room.index || parseRoomId(room.roomId).index || 1),
+        stage: room.stage || 'LOBBY',
+        seats: getSeatCount(room),
+        topic: room.topic || '',
+        voteOpen: !!room.voteOpen,
+        updatedAt: Number(room.updatedAt || 0) || null,
+      }))
+      .sort((a, b) => {
+        if (a.siteId === b.siteId) return Number(a.index || 0) - Number(b.index || 0);
+        return a.siteId.localeCompare(b.siteId);
+      })
+      .slice(0, 400);
+
+    const currentUsers = activeSessionRows.slice(0, 400).map((row) => ({
+      uid: row.uid,
+      role: row.role,
+      siteId: row.siteId,
+      licenseId: row.licenseId,
+      orgId: row.orgId,
+      email: row.email || '',
+      lastSeenAt: row.lastSeenAt,
+      lastSeenIso:
+        row.lastSeenIso ||
+        (row.lastSeenAt ? new Date(Number(row.lastSeenAt)).toISOString() : ''),
+      ip: row.ip || '',
+    }));
+
+    const openaiEnabled = defaultLlmProviderReady();
 
-  try {
-    const updated = await closeRoomWithFinal(room, {
-      reason: 'presenter',
-      closedBy: req.user.uid,
-    });
     await writeAuditEvent({
-      action: 'PRESENTER_FINAL_CLOSE',
+      action: 'SUPER_ADMIN_OVERVIEW_READ',
       actor: req.user,
-      target: {
-        resourceType: 'ROOM',
-        resourceId: roomId,
-        roomId,
-        siteId: updated.siteId || parseRoomId(roomId).siteId,
-        licenseId: updated.licenseId || req.user.licenseId,
-        orgId: updated.orgId || req.user.orgId,
-      },
-      details: {
-        closedReason: updated.closedReason || 'presenter',
-        closedAt: updated.closedAt || null,
-      },
+      target: { resourceType: 'SUPER_ADMIN_DASHBOARD', resourceId: 'overview' },
+      details: { usersReturned: currentUsers.length, roomsReturned: roomRows.length },
     });
+
     return res.json({
-      ok: true,
-      closed: true,
-      stage: updated.stage,
-      closedAt: updated.closedAt,
+      health: {
+        apiOk: true,
+        time: new Date().toISOString(),
+        region: AWS_REGION,
+        demoModeFallback: DEMO_MODE_FALLBACK,
+        openaiEnabled,
+        roomsTableMissing,
+        codesTableMissing,
+        workshopsTableMissing,
+        sessionsTableMissing,
+        activeWindowMs: SUPER_ADMIN_ACTIVE_WINDOW_MS,
+      },
+      stats: {
+        roomsTotal: roomRowsAll.length,
+        roomsActive: activeRooms.length,
+        usersActive: activeSessionRows.length ? activeUserIds.size : fallbackUserIds.size,
+        sitesActive: usersBySiteRows.length,
+        licensesTotal: licenseRows.length,
+        codesTotal: recentCodesRaw.length,
+        codesConsumed: consumedCodes,
+        codesAvailable: Math.max(0, recentCodesRaw.length - consumedCodes),
+        sessionsObserved,
+        sessionsActive: activeSessionRows.length,
+      },
+      codeRoleCounts,
+      usersBySite: usersBySiteRows,
+      currentUsers,
+      activeRooms: roomRows,
+      licenses: licenseRows.slice(0, 200),
+      recentCodes,
     });
-  } catch (e) {
-    console.error('[final/close] error', e);
-    if (e?.code === 'cer_required') {
-      return res.status(409).json({
-        error: 'cer_required',
-        cerGate: e.cerGate || null,
-      });
-    }
-    return res.status(500).json({ error: 'close_failed' });
-  }
-  }
-);
-
-// Mark a participant as "ready" in FINAL stage (called when they click done/submit)
-app.post('/rooms/:roomId/final/ready', requireAuth, requireRoomAccess, async (req, res) => {
-  const roomId = req.params.roomId;
-  const uid = req.user?.uid;
-  if (!uid) {
-    return res.status(401).json({ error: 'no_uid' });
-  }
-
-  const readyRes = await markFinalReady(roomId, uid);
-  if (!readyRes.ok) {
-    return res.status(400).json({ error: 'wrong_stage', stage: readyRes.stage });
+  } catch (err) {
+    console.error('[/super-admin/overview] error:', err);
+    return res.status(500).json({ error: 'super_admin_overview_failed' });
   }
-
-  return res.json({
-    ok: true,
-    readyCount: readyRes.readyCount,
-    seats: readyRes.seats,
-    alreadyReady: !!readyRes.alreadyReady,
-    autoClosed: readyRes.autoClosed,
-    blocked: readyRes.blocked || null,
-    cerGate: readyRes.cerGate || null,
-    stage: readyRes.autoClosed ? 'CLOSED' : 'FINAL',
-  });
 });
 
-function normalizeCodeSiteIds(item = {}) {
-  const directList = sanitizeSiteIds(item.siteIds);
-  if (directList.length) return directList;
-  const single = normalizedSiteId(item.siteId);
-  return single ? [single] : [];
-}
 
-function normalizeLicenseFromCode(item = {}, fallbackCode = '') {
-  const fromItem = normalizedLicenseId(item.licenseId);
-  if (fromItem) return fromItem;
-  const site = normalizedSiteId(item.siteId);
-  if (site) return site;
-  const rawCode = String(fallbackCode || item.code || '').trim();
-  if (!rawCode) return '';
-  return `LIC-${rawCode.toUpperCase().replace(/[^A-Z0-9]/g, '')}`;
-}
+app.get('/super-admin/codes', requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const limit = toPositiveInt(req.query?.limit, 200, { min: 1, max: 1000 });
+    const roleFilter = String(req.query?.role || '').trim().toUpperCase();
+    const siteFilter = normalizedSiteId(req.query?.siteId || '');
+    const licenseFilter = normalizedLicenseId(req.query?.licenseId || '');
+    const consumedFilterRaw = String(req.query?.consumed || '').trim().toLowerCase();
+    const revokedFilterRaw = String(req.query?.revoked || '').trim().toLowerCase();
+    const includeExpired = String(req.query?.includeExpired || '').trim().toLowerCase() === 'true';
+    const consumedFilter =
+      consumedFilterRaw === 'true' ? true : consumedFilterRaw === 'false' ? false : null;
+    const revokedFilter =
+      revokedFilterRaw === 'true' ? true : revokedFilterRaw === 'false' ? false : null;
 
-function normalizeOrgFromCode(item = {}, fallbackLicense = '') {
-  return normalizedOrgId(item.orgId || '', item.licenseId || fallbackLicense || '');
-}
+    const cursor = decodeCursor(req.query?.cursor);
+    const roles = ['PARTICIPANT', 'PRESENTER', 'ADMIN', 'SUPER_ADMIN'];
+    const postFilter = (item) => {
+      if (typeof consumedFilter === 'boolean' && !!item.consumed !== consumedFilter) return false;
+      if (typeof revokedFilter === 'boolean' && !!item.revoked !== revokedFilter) return false;
+      if (!includeExpired && codeIsExpired(item)) return false;
+      return true;
+    };
 
-function classifyCodeUnusable(item = {}) {
-  if (!item || typeof item !== 'object') return 'code_not_found';
-  if (item.revoked) return 'code_revoked';
-  if (codeIsExpired(item)) return 'code_expired';
-  return '';
-}
+    let rows = [];
+    let nextCursor = '';
+    if (roleFilter || siteFilter || licenseFilter) {
+      const indexName = roleFilter
+        ? 'byRoleCreatedAt'
+        : siteFilter
+        ? 'bySiteCreatedAt'
+        : 'byLicenseCreatedAt';
+      const partitionKey = roleFilter ? 'role' : siteFilter ? 'siteId' : 'licenseId';
+      const partitionValue = roleFilter || siteFilter || licenseFilter;
+      const cursorKey =
+        cursor &&
+        cursor.kind === 'single' &&
+        cursor.indexName === indexName &&
+        cursor.partitionValue === partitionValue
+          ? cursor.lastKey
+          : undefined;
 
-async function getCodeRecordByInput(rawCode) {
-  const normalizedCode = String(rawCode || '').trim().toUpperCase();
-  if (!normalizedCode) return null;
-  let item = null;
-  try {
-    const getRes = await ddbDoc.send(
-      new GetCommand({
-        TableName: TABLES.codes,
-        Key: { code: normalizedCode },
-      })
-    );
-    item = getRes.Item || null;
-  } catch (err) {
-    if (!shouldUseDemoFallback(err)) throw err;
-    logDemoFallback('code_get', err);
-    item = getOrCreateDemoCodeRecord(normalizedCode);
-  }
-  if (!item && DEMO_MODE_FALLBACK) {
-    item = getOrCreateDemoCodeRecord(normalizedCode);
-  }
-  if (!item) return null;
+      const page = await queryByPartitionKey({
+        tableName: TABLES.codes,
+        indexName,
+        partitionKey,
+        partitionValue,
+        limit: Math.max(limit * 2, 150),
+        scanForward: false,
+        exclusiveStartKey: cursorKey,
+      });
+      rows = (page.items || [])
+        .filter(postFilter)
+        .sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0))
+        .slice(0, limit)
+        .map(mapCodeRow);
+      if (page.lastKey) {
+        nextCursor = encodeCursor({
+          kind: 'single',
+          indexName,
+          partitionValue,
+          lastKey: page.lastKey,
+        });
+      }
+    } else {
+      const roleState = cursor && cursor.kind === 'role_merge' ? cursor.roleState || {} : {};
+      const out = [];
+      const nextRoleState = {};
+      const perRoleLimit = Math.max(60, Math.ceil(limit / roles.length) + 25);
 
-  const expectedHash = String(item.codeHash || '').trim().toLowerCase();
-  const actualHash = hashCodeValue(normalizedCode).toLowerCase();
-  if (expectedHash && expectedHash !== actualHash) {
-    return null;
-  }
-  if (!expectedHash) {
-    try {
-      await ddbDoc.send(
-        new UpdateCommand({
-          TableName: TABLES.codes,
-          Key: { code: normalizedCode },
-          UpdateExpression: 'SET codeHash = :hash',
-          ConditionExpression: 'attribute_not_exists(codeHash)',
-          ExpressionAttributeValues: { ':hash': actualHash },
-        })
-      );
-    } catch (err) {
-      if (shouldUseDemoFallback(err)) {
-        logDemoFallback('code_hash_backfill', err);
-        const next = { ...item, codeHash: actualHash };
-        demoFallbackState.codes.set(normalizedCode, deepCloneDemo(next));
-      } else if (err?.name !== 'ConditionalCheckFailedException') {
-        console.warn('[codes] codeHash backfill skipped:', err?.message || err);
+      for (const role of roles) {
+        const lastKey = roleState[role] || undefined;
+        const page = await queryByPartitionKey({
+          tableName: TABLES.codes,
+          indexName: 'byRoleCreatedAt',
+          partitionKey: 'role',
+          partitionValue: role,
+          limit: perRoleLimit,
+          scanForward: false,
+          exclusiveStartKey: lastKey,
+        });
+        out.push(...(page.items || []));
+        if (page.lastKey) {
+          nextRoleState[role] = page.lastKey;
+        }
+      }
+
+      rows = out
+        .filter(postFilter)
+        .sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0))
+        .slice(0, limit)
+        .map(mapCodeRow);
+      if (Object.keys(nextRoleState).length) {
+        nextCursor = encodeCursor({
+          kind: 'role_merge',
+          roleState: nextRoleState,
+        });
       }
     }
-  }
-  return item;
-}
 
-async function consumeCodeForUser(item, uid) {
-  const unusable = classifyCodeUnusable(item);
-  if (unusable) {
-    return { ok: false, conflict: true, reason: unusable };
+    await writeAuditEvent({
+      action: 'SUPER_ADMIN_CODES_READ',
+      actor: req.user,
+      target: { resourceType: 'CODE', resourceId: 'list' },
+      details: {
+        filters: {
+          role: roleFilter || '',
+          siteId: siteFilter || '',
+          licenseId: licenseFilter || '',
+          consumed: consumedFilterRaw || '',
+          revoked: revokedFilterRaw || '',
+        },
+        returned: rows.length,
+      },
+    });
+
+    return res.json({ codes: rows, nextCursor: nextCursor || null });
+  } catch (err) {
+    console.error('[/super-admin/codes] error:', err);
+    if (err?.name === 'ResourceNotFoundException') {
+      return res.json({ codes: [], nextCursor: null });
+    }
+    return res.status(500).json({ error: 'super_admin_codes_list_failed' });
   }
+});
 
+app.post('/super-admin/codes/:code/revoke', requireAuth, requireSuperAdmin, async (req, res) => {
   try {
+    const code = String(req.params?.code || '').trim();
+    if (!code) return res.status(400).json({ error: 'code_required' });
+
     const now = Date.now();
-    await ddbDoc.send(
+    const { Attributes } = await ddbDoc.send(
       new UpdateCommand({
         TableName: TABLES.codes,
-        Key: { code: item.code },
-        UpdateExpression: 'SET #consumed = :c, #usedBy = :u, consumedAt = :t',
-        ConditionExpression:
-          '(attribute_not_exists(#consumed) OR #consumed = :f OR #usedBy = :u) AND ' +
-          '(attribute_not_exists(revoked) OR revoked = :f) AND ' +
-          '(attribute_not_exists(expiresAt) OR expiresAt > :now)',
-        ExpressionAttributeNames: {
-          '#consumed': 'consumed',
-          '#usedBy': 'usedBy',
-        },
+        Key: { code },
+        UpdateExpression: 'SET revoked = :true, revokedAt = :now, revokedBy = :by',
+        ConditionExpression: 'attribute_exists(code)',
         ExpressionAttributeValues: {
-          ':c': true,
-          ':f': false,
-          ':u': uid || '(unknown)',
-          ':t': now,
+          ':true': true,
           ':now': now,
+          ':by': req.user.uid,
         },
+        ReturnValues: 'ALL_NEW',
       })
     );
-    return { ok: true };
-  } catch (e) {
-    if (e?.name === 'ConditionalCheckFailedException') {
-      return { ok: false, conflict: true };
-    }
-    if (shouldUseDemoFallback(e)) {
-      logDemoFallback('code_consume_update', e);
-      return consumeDemoCodeRecord(item, uid);
+
+    await writeAuditEvent({
+      action: 'SUPER_ADMIN_CODE_REVOKE',
+      actor: req.user,
+      target: {
+        resourceType: 'CODE',
+        resourceId: code,
+        orgId: normalizedOrgId(Attributes?.orgId || '', Attributes?.licenseId || ''),
+        licenseId: normalizedLicenseId(Attributes?.licenseId || ''),
+        siteId: normalizedSiteId(Attributes?.siteId || ''),
+      },
+      details: { revoked: true },
+    });
+    publishSuperAdminStreamEvent({
+      source: 'code_revoke',
+      code,
+      revoked: true,
+      licenseId: normalizedLicenseId(Attributes?.licenseId || ''),
+      orgId: normalizedOrgId(Attributes?.orgId || '', Attributes?.licenseId || ''),
+      siteId: normalizedSiteId(Attributes?.siteId || ''),
+    });
+
+    return res.json({ ok: true, code: mapCodeRow(Attributes || { code, revoked: true }) });
+  } catch (err) {
+    if (err?.name === 'ConditionalCheckFailedException') {
+      return res.status(404).json({ error: 'code_not_found' });
     }
-    console.warn('[codes] consume update skipped:', e?.message || e);
-    return { ok: false, error: e };
+    console.error('[/super-admin/codes/:code/revoke] error:', err);
+    return res.status(500).json({ error: 'code_revoke_failed' });
   }
-}
+});
 
-app.post('/super-admin/auth/email', requireAuth, async (req, res) => {
+app.post('/super-admin/codes/:code/unrevoke', requireAuth, requireSuperAdmin, async (req, res) => {
   try {
-    const email = normalizeSuperAdminEmail(req.body?.email);
-    if (!email) {
-      return res.status(400).json({ error: 'email_required' });
-    }
-    if (email !== SUPER_ADMIN_EMAIL) {
-      return res.status(403).json({ error: 'super_admin_email_not_allowed' });
-    }
+    const code = String(req.params?.code || '').trim();
+    if (!code) return res.status(400).json({ error: 'code_required' });
 
-    const pair = await issueTokenPair(
-      {
-        uid: req.user.uid,
-        role: 'SUPER_ADMIN',
-        orgId: req.user.orgId || null,
-        email,
-      },
-      req
+    const { Attributes } = await ddbDoc.send(
+      new UpdateCommand({
+        TableName: TABLES.codes,
+        Key: { code },
+        UpdateExpression: 'SET revoked = :false REMOVE revokedAt, revokedBy',
+        ConditionExpression: 'attribute_exists(code)',
+        ExpressionAttributeValues: {
+          ':false': false,
+        },
+        ReturnValues: 'ALL_NEW',
+      })
     );
+
     await writeAuditEvent({
-      action: 'SUPER_ADMIN_AUTH_EMAIL',
-      actor: { ...req.user, email },
-      target: { resourceType: 'SUPER_ADMIN', resourceId: req.user.uid },
-      details: { email },
+      action: 'SUPER_ADMIN_CODE_UNREVOKE',
+      actor: req.user,
+      target: {
+        resourceType: 'CODE',
+        resourceId: code,
+        orgId: normalizedOrgId(Attributes?.orgId || '', Attributes?.licenseId || ''),
+        licenseId: normalizedLicenseId(Attributes?.licenseId || ''),
+        siteId: normalizedSiteId(Attributes?.siteId || ''),
+      },
+      details: { revoked: false },
     });
-    return res.json({
-      ok: true,
-      token: pair.accessToken,
-      accessToken: pair.accessToken,
-      refreshToken: pair.refreshToken,
-      sessionId: pair.sessionId,
-      expiresIn: pair.accessTtlSeconds,
-      role: 'SUPER_ADMIN',
-      email,
-      userId: req.user.uid,
+    publishSuperAdminStreamEvent({
+      source: 'code_revoke',
+      code,
+      revoked: false,
+      licenseId: normalizedLicenseId(Attributes?.licenseId || ''),
+      orgId: normalizedOrgId(Attributes?.orgId || '', Attributes?.licenseId || ''),
+      siteId: normalizedSiteId(Attributes?.siteId || ''),
     });
+
+    return res.json({ ok: true, code: mapCodeRow(Attributes || { code, revoked: false }) });
   } catch (err) {
-    console.error('[/super-admin/auth/email] error:', err);
-    return res.status(500).json({ error: 'super_admin_auth_failed' });
+    if (err?.name === 'ConditionalCheckFailedException') {
+      return res.status(404).json({ error: 'code_not_found' });
+    }
+    console.error('[/super-admin/codes/:code/unrevoke] error:', err);
+    return res.status(500).json({ error: 'code_unrevoke_failed' });
   }
 });
 
-app.get('/super-admin/overview', requireAuth, requireSuperAdmin, async (req, res) => {
+app.get('/super-admin/audit', requireAuth, requireSuperAdmin, async (req, res) => {
   try {
-    const now = Date.now();
-    const activeCutoff = now - SUPER_ADMIN_ACTIVE_WINDOW_MS;
-
-    const rolePartitions = ['PARTICIPANT', 'PRESENTER', 'ADMIN', 'SUPER_ADMIN'];
-    let sessionsTableMissing = false;
-    let sessionsObserved = 0;
-    const sessionRowsRaw = [];
-
-    for (const role of rolePartitions) {
-      let remaining = 350;
-      let lastKey = undefined;
-      let exhaustedByCutoff = false;
-
-      while (remaining > 0 && !exhaustedByCutoff) {
-        const pageLimit = Math.min(150, remaining);
-        let page;
-        try {
-          // eslint-disable-next-line no-await-in-loop
-          page = await queryByPartitionKey({
-            tableName: TABLES.sessions,
-            indexName: 'byRoleLastSeen',
-            partitionKey: 'role',
-            partitionValue: role,
-            limit: pageLimit,
-            scanForward: false,
-            exclusiveStartKey: lastKey,
-          });
-        } catch (err) {
-          if (err?.name === 'ResourceNotFoundException') {
-            sessionsTableMissing = true;
-            break;
-          }
-          throw err;
-        }
-
-        const items = page.items || [];
-        sessionsObserved += items.length;
-        remaining -= items.length;
-        lastKey = page.lastKey || undefined;
-
-        for (const item of items) {
-          const lastSeenAt = Number(item.lastSeenAt || 0);
-          if (!lastSeenAt || lastSeenAt < activeCutoff) {
-            exhaustedByCutoff = true;
-            break;
-          }
-          sessionRowsRaw.push({
-            uid: String(item.uid || '').trim(),
-            role: String(item.role || '').trim().toUpperCase() || role,
-            siteId: normalizedSiteId(item.siteId || 'UNASSIGNED'),
-            licenseId: normalizedLicenseId(item.licenseId || ''),
-            orgId: normalizedOrgId(item.orgId || '', item.licenseId || ''),
-            email: normalizeSuperAdminEmail(item.email || ''),
-            lastSeenAt,
-            lastSeenIso: String(item.lastSeenIso || ''),
-            ip: String(item.ip || ''),
-          });
-        }
-
-        if (!lastKey) break;
-      }
-    }
+    const limit = toPositiveInt(req.query?.limit, 150, { min: 1, max: 500 });
+    const orgId = normalizedOrgId(req.query?.orgId || '', req.query?.licenseId || '');
+    const actorUid = String(req.query?.actorUid || '').trim();
+    const action = String(req.query?.action || '').trim().toUpperCase();
+    const format = String(req.query?.format || 'json').trim().toLowerCase();
+    const startAt = Number(req.query?.startAt || 0);
+    const endAt = Number(req.query?.endAt || 0);
+    const cursor = decodeCursor(req.query?.cursor);
 
-    const sessionByUid = new Map();
-    for (const row of sessionRowsRaw) {
-      if (!row.uid) continue;
-      const prev = sessionByUid.get(row.uid);
-      if (!prev || Number(row.lastSeenAt || 0) > Number(prev.lastSeenAt || 0)) {
-        sessionByUid.set(row.uid, row);
-      }
+    let indexName = '';
+    let partitionKey = '';
+    let partitionValue = '';
+    if (actorUid) {
+      indexName = 'byActorCreatedAt';
+      partitionKey = 'actorUid';
+      partitionValue = actorUid;
+    } else if (action) {
+      indexName = 'byActionCreatedAt';
+      partitionKey = 'action';
+      partitionValue = action;
+    } else if (orgId) {
+      indexName = 'byOrgCreatedAt';
+      partitionKey = 'orgId';
+      partitionValue = orgId;
+    } else {
+      return res.status(400).json({
+        error: 'filter_required',
+        message: 'Provide orgId, actorUid, or action.',
+      });
     }
-    const activeSessionRows = Array.from(sessionByUid.values()).sort(
-      (a, b) => Number(b.lastSeenAt || 0) - Number(a.lastSeenAt || 0)
-    );
-    const activeUserIds = new Set(activeSessionRows.map((row) => row.uid));
 
-    let codesTableMissing = false;
-    const codeRoleCounts = { PARTICIPANT: 0, PRESENTER: 0, ADMIN: 0, SUPER_ADMIN: 0 };
-    let consumedCodes = 0;
-    const recentCodesRaw = [];
-    for (const role of rolePartitions) {
-      try {
-        const { items } = await queryRecentCodesByRole({ role, limit: 220 });
-        for (const item of items) {
-          codeRoleCounts[role] += 1;
-          if (item.consumed) consumedCodes += 1;
-          recentCodesRaw.push(item);
-        }
-      } catch (err) {
-        if (err?.name === 'ResourceNotFoundException') {
-          codesTableMissing = true;
-          break;
-        }
-        throw err;
-      }
-    }
-    const recentCodes = recentCodesRaw
-      .map(mapCodeRow)
-      .sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0))
-      .slice(0, 150);
+    const page = await queryByPartitionKey({
+      tableName: TABLES.audit,
+      indexName,
+      partitionKey,
+      partitionValue,
+      limit,
+      scanForward: false,
+      exclusiveStartKey:
+        cursor &&
+        cursor.kind === 'audit' &&
+        cursor.indexName === indexName &&
+        cursor.partitionValue === partitionValue
+          ? cursor.lastKey
+          : undefined,
+    });
 
-    let workshopsTableMissing = false;
-    const workshopItems = [];
-    const candidateLicenseIds = new Set();
-    for (const row of activeSessionRows) {
-      const licenseId = normalizedLicenseId(row.licenseId || '');
-      if (licenseId) candidateLicenseIds.add(licenseId);
-    }
-    for (const code of recentCodesRaw) {
-      const licenseId = normalizedLicenseId(code.licenseId || '');
-      if (licenseId) candidateLicenseIds.add(licenseId);
+    let items = (page.items || []).map((item) => ({
+      scopeId: item.scopeId || '',
+      createdAtAudit: item.createdAtAudit || '',
+      createdAt: Number(item.createdAt || 0) || null,
+      action: String(item.action || ''),
+      actorUid: String(item.actorUid || ''),
+      actorRole: String(item.actorRole || ''),
+      actorEmail: normalizeSuperAdminEmail(item.actorEmail || ''),
+      orgId: normalizedOrgId(item.orgId || '', item.licenseId || ''),
+      licenseId: normalizedLicenseId(item.licenseId || ''),
+      siteId: normalizedSiteId(item.siteId || ''),
+      roomId: String(item.roomId || ''),
+      resourceType: String(item.resourceType || ''),
+      resourceId: String(item.resourceId || ''),
+      details: String(item.details || ''),
+    }));
+    if (Number.isFinite(startAt) && startAt > 0) {
+      items = items.filter((item) => Number(item.createdAt || 0) >= startAt);
     }
-    if (req.user?.licenseId) {
-      candidateLicenseIds.add(normalizedLicenseId(req.user.licenseId));
+    if (Number.isFinite(endAt) && endAt > 0) {
+      items = items.filter((item) => Number(item.createdAt || 0) <= endAt);
     }
 
-    for (const licenseId of candidateLicenseIds) {
-      if (!licenseId) continue;
-      try {
-        // eslint-disable-next-line no-await-in-loop
-        const workshop = await getWorkshopConfig(licenseId);
-        if (workshop) workshopItems.push(workshop);
-      } catch (err) {
-        if (err?.name === 'ResourceNotFoundException') {
-          workshopsTableMissing = true;
-          break;
-        }
-        throw err;
-      }
-    }
+    const nextCursor = page.lastKey
+      ? encodeCursor({
+          kind: 'audit',
+          indexName,
+          partitionValue,
+          lastKey: page.lastKey,
+        })
+      : null;
 
-    const licenseRows = workshopItems
-      .map((workshop) => ({
-        licenseId: normalizedLicenseId(workshop.licenseId || ''),
-        orgId: normalizedOrgId(workshop.orgId || '', workshop.licenseId || ''),
-        name: workshop.name || '',
-        mode: workshop.mode || '',
-        expectedUsers: Number(workshop.expectedUsers || 0),
-        activeUserCap: Number(workshop.activeUserCap || workshop.expectedUsers || 0),
-        roomsPerSite: Number(workshop.roomsPerSite || 0),
-        seatLimitPerRoom: Number(workshop.seatLimitPerRoom || 0),
-        licenseStatus: String(workshop.licenseStatus || 'ACTIVE').toUpperCase(),
-        sites: sanitizeSiteIds(workshop.siteIds || []),
-        updatedAt: Number(workshop.updatedAt || 0) || null,
-      }))
-      .filter((row) => row.licenseId)
-      .sort((a, b) => Number(b.updatedAt || 0) - Number(a.updatedAt || 0));
+    await writeAuditEvent({
+      action: 'SUPER_ADMIN_AUDIT_READ',
+      actor: req.user,
+      target: { resourceType: 'AUDIT', resourceId: indexName },
+      details: {
+        format,
+        actorUid,
+        action,
+        orgId,
+        returned: items.length,
+      },
+    });
 
-    const candidateSites = new Set();
-    for (const workshop of licenseRows) {
-      for (const siteId of workshop.sites || []) candidateSites.add(siteId);
+    if (format === 'csv') {
+      const headers = [
+        'createdAt',
+        'action',
+        'actorUid',
+        'actorRole',
+        'actorEmail',
+        'orgId',
+        'licenseId',
+        'siteId',
+        'roomId',
+        'resourceType',
+        'resourceId',
+        'details',
+      ];
+      const esc = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+      const csv = [
+        headers.join(','),
+        ...items.map((item) =>
+          headers.map((h) => esc(item[h])).join(',')
+        ),
+      ].join('\n');
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="audit-export.csv"');
+      return res.status(200).send(csv);
     }
-    for (const row of activeSessionRows) {
-      if (row.siteId && row.siteId !== 'UNASSIGNED') candidateSites.add(row.siteId);
+
+    return res.json({ items, nextCursor });
+  } catch (err) {
+    if (err?.name === 'ResourceNotFoundException') {
+      return res.json({ items: [], nextCursor: null });
     }
-    for (const code of recentCodes) {
-      if (code.siteId) candidateSites.add(code.siteId);
-      for (const sid of code.siteIds || []) candidateSites.add(sid);
+    console.error('[/super-admin/audit] error:', err);
+    return res.status(500).json({ error: 'super_admin_audit_failed' });
+  }
+});
+
+app.post('/super-admin/tenants/purge', requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const orgId = normalizedOrgId(req.body?.orgId || '', req.body?.licenseId || '');
+    const licenseId = normalizedLicenseId(req.body?.licenseId || '');
+    const confirm = String(req.body?.confirm || '').trim().toUpperCase();
+    if (!orgId && !licenseId) {
+      return res.status(400).json({ error: 'org_or_license_required' });
+    }
+    if (confirm !== 'PURGE') {
+      return res.status(400).json({ error: 'confirm_purge_required' });
     }
 
-    let roomsTableMissing = false;
-    const roomRowsAll = [];
-    for (const siteId of candidateSites) {
-      let lastKey = undefined;
-      let remaining = 160;
-      while (remaining > 0) {
-        let page;
-        try {
-          // eslint-disable-next-line no-await-in-loop
-          page = await queryByPartitionKey({
-            tableName: TABLES.rooms,
-            indexName: 'bySiteIndex',
-            partitionKey: 'siteId',
-            partitionValue: siteId,
-            limit: Math.min(80, remaining),
-            scanForward: true,
-            exclusiveStartKey: lastKey,
-          });
-        } catch (err) {
-          if (err?.name === 'ResourceNotFoundException') {
-            roomsTableMissing = true;
-            break;
-          }
-          throw err;
-        }
-        const items = page.items || [];
-        roomRowsAll.push(...items.map((room) => normalizeRoomShape(room)));
-        remaining -= items.length;
-        lastKey = page.lastKey || undefined;
-        if (!lastKey) break;
+    if (licenseId) {
+      const workshop = await getWorkshopByLicenseCached(licenseId);
+      if (workshop && workshop.legalHold) {
+        return res.status(423).json({ error: 'legal_hold_enabled' });
       }
     }
 
-    const activeRooms = roomRowsAll.filter((room) => String(room.stage || '') !== 'CLOSED');
-    const roomStateBySite = new Map();
-    const fallbackUserIds = new Set();
-    const fallbackUsersBySiteMap = new Map();
-    for (const room of roomRowsAll) {
-      const siteId = normalizedSiteId(room.siteId || parseRoomId(room.roomId).siteId || 'E1');
-      const userIds = userIdsFromRoom(room);
-      for (const uid of userIds) fallbackUserIds.add(uid);
+    await writeAuditEvent({
+      action: 'SUPER_ADMIN_PURGE_REQUEST',
+      actor: req.user,
+      target: {
+        resourceType: 'TENANT',
+        resourceId: licenseId || orgId,
+        orgId,
+        licenseId,
+      },
+      details: {
+        requestedAt: Date.now(),
+        runbook: 'scripts/purgeOrgData.mjs',
+      },
+    });
 
-      const priorUsers = fallbackUsersBySiteMap.get(siteId) || {
-        siteId,
-        users: 0,
-        openRooms: 0,
-        closedRooms: 0,
-      };
-      priorUsers.users += userIds.length;
-      if (String(room.stage || '') === 'CLOSED') priorUsers.closedRooms += 1;
-      else priorUsers.openRooms += 1;
-      fallbackUsersBySiteMap.set(siteId, priorUsers);
+    return res.json({
+      ok: true,
+      queued: true,
+      orgId: orgId || null,
+      licenseId: licenseId || null,
+      runCommand: licenseId
+        ? `node scripts/purgeOrgData.mjs --licenseId=${licenseId} --apply=true`
+        : `node scripts/purgeOrgData.mjs --orgId=${orgId} --apply=true`,
+    });
+  } catch (err) {
+    console.error('[/super-admin/tenants/purge] error:', err);
+    return res.status(500).json({ error: 'tenant_purge_request_failed' });
+  }
+});
 
-      const priorState = roomStateBySite.get(siteId) || { openRooms: 0, closedRooms: 0 };
-      if (String(room.stage || '') === 'CLOSED') priorState.closedRooms += 1;
-      else priorState.openRooms += 1;
-      roomStateBySite.set(siteId, priorState);
+app.post('/super-admin/codes/generate', requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const role = String(req.body?.role || '').trim().toUpperCase() || 'PARTICIPANT';
+    if (!['PARTICIPANT', 'PRESENTER', 'ADMIN'].includes(role)) {
+      return res.status(400).json({ error: 'invalid_role' });
     }
 
-    const sessionsBySiteMap = new Map();
-    for (const row of activeSessionRows) {
-      const prior = sessionsBySiteMap.get(row.siteId) || 0;
-      sessionsBySiteMap.set(row.siteId, prior + 1);
-    }
+    const count = toPositiveInt(req.body?.count, 1, { min: 1, max: 500 });
+    const siteId = normalizedSiteId(req.body?.siteId || '');
+    const siteIds = sanitizeSiteIds(req.body?.siteIds, siteId ? [siteId] : []);
+    const licenseId = normalizedLicenseId(req.body?.licenseId || siteId || siteIds[0] || '');
+    const orgId = normalizedOrgId(req.body?.orgId || '', licenseId);
+    const defaultMode = normalizeMode(req.body?.defaultMode || DEFAULT_WORKSHOP_MODE);
+    const expiresAtMs = Number(req.body?.expiresAt || 0) || 0;
+    const createdBy = normalizeSuperAdminEmail(req.user?.email || SUPER_ADMIN_EMAIL);
 
-    const usersBySiteRows = [];
-    if (activeSessionRows.length) {
-      const sites = new Set([...roomStateBySite.keys(), ...sessionsBySiteMap.keys()]);
-      for (const siteId of sites) {
-        const roomState = roomStateBySite.get(siteId) || { openRooms: 0, closedRooms: 0 };
-        usersBySiteRows.push({
-          siteId,
-          users: Number(sessionsBySiteMap.get(siteId) || 0),
-          openRooms: roomState.openRooms,
-          closedRooms: roomState.closedRooms,
-        });
-      }
-      usersBySiteRows.sort((a, b) => a.siteId.localeCompare(b.siteId));
-    } else {
-      usersBySiteRows.push(
-        ...Array.from(fallbackUsersBySiteMap.values()).sort((a, b) =>
-          a.siteId.localeCompare(b.siteId)
-        )
-      );
+    if (!siteIds.length && !siteId) {
+      return res.status(400).json({ error: 'site_required_for_role' });
     }
 
-    const roomRows = activeRooms
-      .map((room) => ({
-        roomId: room.roomId,
-        siteId: normalizedSiteId(room.siteId || parseRoomId(room.roomId).siteId),
-        index: Number(room.index || parseRoomId(room.roomId).index || 1),
-        stage: room.stage || 'LOBBY',
-        seats: getSeatCount(room),
-        topic: room.topic || '',
-        voteOpen: !!room.voteOpen,
-        updatedAt: Number(room.updatedAt || 0) || null,
-      }))
-      .sort((a, b) => {
-        if (a.siteId === b.siteId) return Number(a.index || 0) - Number(b.index || 0);
-        return a.siteId.localeCompare(b.siteId);
-      })
-      .slice(0, 400);
-
-    const currentUsers = activeSessionRows.slice(0, 400).map((row) => ({
-      uid: row.uid,
-      role: row.role,
-      siteId: row.siteId,
-      licenseId: row.licenseId,
-      orgId: row.orgId,
-      email: row.email || '',
-      lastSeenAt: row.lastSeenAt,
-      lastSeenIso:
-        row.lastSeenIso ||
-        (row.lastSeenAt ? new Date(Number(row.lastSeenAt)).toISOString() : ''),
-      ip: row.ip || '',
-    }));
-
-    let openaiEnabled = false;
-    try {
-      getOpenAI();
-      openaiEnabled = true;
-    } catch {
-      openaiEnabled = false;
+    const generated = [];
+    for (let i = 0; i < count; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      const record = await createCodeRecord({
+        role,
+        siteId: siteId || siteIds[0] || '',
+        siteIds,
+        licenseId,
+        orgId,
+        defaultMode,
+        createdBy,
+        expiresAtMs,
+      });
+      generated.push(record);
     }
 
     await writeAuditEvent({
-      action: 'SUPER_ADMIN_OVERVIEW_READ',
+      action: 'SUPER_ADMIN_CODES_GENERATE',
       actor: req.user,
-      target: { resourceType: 'SUPER_ADMIN_DASHBOARD', resourceId: 'overview' },
-      details: { usersReturned: currentUsers.length, roomsReturned: roomRows.length },
+      target: {
+        resourceType: 'CODE',
+        resourceId: role,
+        siteId: siteId || siteIds[0] || '',
+        licenseId,
+        orgId,
+      },
+      details: {
+        count: generated.length,
+        defaultMode,
+      },
+    });
+    publishSuperAdminStreamEvent({
+      source: 'code_generate',
+      role,
+      count: generated.length,
+      licenseId,
+      orgId,
+      siteId: siteId || siteIds[0] || '',
     });
 
     return res.json({
-      health: {
-        apiOk: true,
-        time: new Date().toISOString(),
-        region: AWS_REGION,
-        demoModeFallback: DEMO_MODE_FALLBACK,
-        openaiEnabled,
-        roomsTableMissing,
-        codesTableMissing,
-        workshopsTableMissing,
-        sessionsTableMissing,
-        activeWindowMs: SUPER_ADMIN_ACTIVE_WINDOW_MS,
-      },
-      stats: {
-        roomsTotal: roomRowsAll.length,
-        roomsActive: activeRooms.length,
-        usersActive: activeSessionRows.length ? activeUserIds.size : fallbackUserIds.size,
-        sitesActive: usersBySiteRows.length,
-        licensesTotal: licenseRows.length,
-        codesTotal: recentCodesRaw.length,
-        codesConsumed: consumedCodes,
-        codesAvailable: Math.max(0, recentCodesRaw.length - consumedCodes),
-        sessionsObserved,
-        sessionsActive: activeSessionRows.length,
-      },
-      codeRoleCounts,
-      usersBySite: usersBySiteRows,
-      currentUsers,
-      activeRooms: roomRows,
-      licenses: licenseRows.slice(0, 200),
-      recentCodes,
+      ok: true,
+      count: generated.length,
+      codes: generated,
     });
   } catch (err) {
-    console.error('[/super-admin/overview] error:', err);
-    return res.status(500).json({ error: 'super_admin_overview_failed' });
+    console.error('[/super-admin/codes/generate] error:', err);
+    return res.status(500).json({ error: 'super_admin_code_generation_failed' });
   }
 });
 
-
-app.get('/super-admin/codes', requireAuth, requireSuperAdmin, async (req, res) => {
+app.post('/admin/auth/consume', requireAuth, async (req, res) => {
   try {
-    const limit = toPositiveInt(req.query?.limit, 200, { min: 1, max: 1000 });
-    const roleFilter = String(req.query?.role || '').trim().toUpperCase();
-    const siteFilter = normalizedSiteId(req.query?.siteId || '');
-    const licenseFilter = normalizedLicenseId(req.query?.licenseId || '');
-    const consumedFilterRaw = String(req.query?.consumed || '').trim().toLowerCase();
-    const revokedFilterRaw = String(req.query?.revoked || '').trim().toLowerCase();
-    const includeExpired = String(req.query?.includeExpired || '').trim().toLowerCase() === 'true';
-    const consumedFilter =
-      consumedFilterRaw === 'true' ? true : consumedFilterRaw === 'false' ? false : null;
-    const revokedFilter =
-      revokedFilterRaw === 'true' ? true : revokedFilterRaw === 'false' ? false : null;
+    const { code } = req.body || {};
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Missing code' });
+    }
+    const normalizedCode = code.trim().toUpperCase();
 
-    const cursor = decodeCursor(req.query?.cursor);
-    const roles = ['PARTICIPANT', 'PRESENTER', 'ADMIN', 'SUPER_ADMIN'];
-    const postFilter = (item) => {
-      if (typeof consumedFilter === 'boolean' && !!item.consumed !== consumedFilter) return false;
-      if (typeof revokedFilter === 'boolean' && !!item.revoked !== revokedFilter) return false;
-      if (!includeExpired && codeIsExpired(item)) return false;
-      return true;
-    };
+    const item = await getCodeRecordByInput(normalizedCode);
+    if (!item) {
+      return res.status(404).json({ error: 'Code not found or invalid' });
+    }
+    const unusableReason = classifyCodeUnusable(item);
+    if (unusableReason) {
+      const status = unusableReason === 'code_revoked' || unusableReason === 'code_expired' ? 410 : 400;
+      return res.status(status).json({ error: unusableReason });
+    }
 
-    let rows = [];
-    let nextCursor = '';
-    if (roleFilter || siteFilter || licenseFilter) {
-      const indexName = roleFilter
-        ? 'byRoleCreatedAt'
-        : siteFilter
-        ? 'bySiteCreatedAt'
-        : 'byLicenseCreatedAt';
-      const partitionKey = roleFilter ? 'role' : siteFilter ? 'siteId' : 'licenseId';
-      const partitionValue = roleFilter || siteFilter || licenseFilter;
-      const cursorKey =
-        cursor &&
-        cursor.kind === 'single' &&
-        cursor.indexName === indexName &&
-        cursor.partitionValue === partitionValue
-          ? cursor.lastKey
-          : undefined;
+    const role = String(item.role || '').trim().toUpperCase();
+    if (role !== 'ADMIN') {
+      return res.status(403).json({ error: 'admin_code_required' });
+    }
 
-      const page = await queryByPartitionKey({
-        tableName: TABLES.codes,
-        indexName,
-        partitionKey,
-        partitionValue,
-        limit: Math.max(limit * 2, 150),
-        scanForward: false,
-        exclusiveStartKey: cursorKey,
-      });
-      rows = (page.items || [])
-        .filter(postFilter)
-        .sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0))
-        .slice(0, limit)
-        .map(mapCodeRow);
-      if (page.lastKey) {
-        nextCursor = encodeCursor({
-          kind: 'single',
-          indexName,
-          partitionValue,
-          lastKey: page.lastKey,
-        });
-      }
-    } else {
-      const roleState = cursor && cursor.kind === 'role_merge' ? cursor.roleState || {} : {};
-      const out = [];
-      const nextRoleState = {};
-      const perRoleLimit = Math.max(60, Math.ceil(limit / roles.length) + 25);
+    const consumeRes = await consumeCodeForUser(item, req.user.uid);
+    if (consumeRes.conflict) {
+      return res
+        .status(409)
+        .json({ error: consumeRes.reason || 'code_already_consumed' });
+    }
+    if (!consumeRes.ok && consumeRes.error) {
+      return res.status(500).json({ error: 'code_consume_failed' });
+    }
+
+    const siteIds = normalizeCodeSiteIds(item);
+    const licenseId = normalizeLicenseFromCode(item, normalizedCode);
+    const orgId = normalizeOrgFromCode(item, licenseId);
+    if (!licenseId) {
+      return res.status(400).json({ error: 'license_missing_on_code' });
+    }
 
-      for (const role of roles) {
-        const lastKey = roleState[role] || undefined;
-        const page = await queryByPartitionKey({
-          tableName: TABLES.codes,
-          indexName: 'byRoleCreatedAt',
-          partitionKey: 'role',
-          partitionValue: role,
-          limit: perRoleLimit,
-          scanForward: false,
-          exclusiveStartKey: lastKey,
-        });
-        out.push(...(page.items || []));
-        if (page.lastKey) {
-          nextRoleState[role] = page.lastKey;
-        }
-      }
+    const defaultMode = normalizeMode(item.defaultMode || DEFAULT_WORKSHOP_MODE);
+    const workshop = await ensureWorkshopConfig({
+      licenseId,
+      orgId,
+      siteIds,
+      mode: defaultMode,
+    });
+    const licenseState = evaluateWorkshopLicenseState(workshop);
+    if (!licenseState.ok) {
+      return res.status(licenseState.statusCode || 403).json({ error: licenseState.error });
+    }
+    const activeCapCheck = await enforceLicenseActiveUserCap({
+      licenseId,
+      activeUserCap:
+        Number(workshop?.activeUserCap || workshop?.expectedUsers || 0) || 0,
+      uid: req.user.uid,
+    });
+    if (!activeCapCheck.ok) {
+      return res.status(429).json({
+        error: activeCapCheck.error,
+        activeUsers: activeCapCheck.activeUsers,
+        activeUserCap: activeCapCheck.cap,
+      });
+    }
+    const entitlementCheck = await enforceRuntimeLicenseEntitlements({
+      role: 'ADMIN',
+      licenseId,
+      orgId,
+      siteId: siteIds[0] || '',
+      workshop,
+      automate: true,
+      bypassAdmin: true,
+    });
+    if (!entitlementCheck.ok) {
+      return res.status(entitlementCheck.statusCode || 403).json({
+        error: entitlementCheck.error || 'license_forbidden',
+      });
+    }
 
-      rows = out
-        .filter(postFilter)
-        .sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0))
-        .slice(0, limit)
-        .map(mapCodeRow);
-      if (Object.keys(nextRoleState).length) {
-        nextCursor = encodeCursor({
-          kind: 'role_merge',
-          roleState: nextRoleState,
-        });
+    const roomsPerSite = toPositiveInt(workshop?.roomsPerSite, 5, {
+      min: 1,
+      max: MAX_ROOMS_PER_SITE,
+    });
+    for (const sid of sanitizeSiteIds(workshop?.siteIds, siteIds)) {
+      for (let i = 1; i <= roomsPerSite; i++) {
+        await syncRoomWorkshopConfig(`${sid}-${i}`, workshop);
       }
     }
+    clearWorkshopTenantCache(licenseId);
+
+    const pair = await issueTokenPair(
+      {
+        uid: req.user.uid,
+        role: 'ADMIN',
+        siteId: siteIds[0] || null,
+        licenseId,
+        orgId,
+      },
+      req
+    );
 
     await writeAuditEvent({
-      action: 'SUPER_ADMIN_CODES_READ',
+      action: 'ADMIN_CODE_CONSUME',
       actor: req.user,
-      target: { resourceType: 'CODE', resourceId: 'list' },
+      target: {
+        resourceType: 'CODE',
+        resourceId: normalizedCode,
+        orgId,
+        licenseId,
+        siteId: siteIds[0] || '',
+      },
       details: {
-        filters: {
-          role: roleFilter || '',
-          siteId: siteFilter || '',
-          licenseId: licenseFilter || '',
-          consumed: consumedFilterRaw || '',
-          revoked: revokedFilterRaw || '',
-        },
-        returned: rows.length,
+        consumedRole: role,
       },
     });
+    publishSuperAdminStreamEvent({
+      source: 'admin_code_consume',
+      role: 'ADMIN',
+      siteId: siteIds[0] || '',
+      licenseId,
+      orgId,
+    });
 
-    return res.json({ codes: rows, nextCursor: nextCursor || null });
+    return res.json({
+      ok: true,
+      role: 'ADMIN',
+      token: pair.accessToken,
+      accessToken: pair.accessToken,
+      refreshToken: pair.refreshToken,
+      sessionId: pair.sessionId,
+      expiresIn: pair.accessTtlSeconds,
+      userId: req.user.uid,
+      licenseId,
+      orgId,
+      workshop,
+    });
   } catch (err) {
-    console.error('[/super-admin/codes] error:', err);
-    if (err?.name === 'ResourceNotFoundException') {
-      return res.json({ codes: [], nextCursor: null });
-    }
-    return res.status(500).json({ error: 'super_admin_codes_list_failed' });
+    console.error('[/admin/auth/consume] error:', err);
+    return res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/super-admin/codes/:code/revoke', requireAuth, requireSuperAdmin, async (req, res) => {
-  try {
-    const code = String(req.params?.code || '').trim();
-    if (!code) return res.status(400).json({ error: 'code_required' });
-
-    const now = Date.now();
-    const { Attributes } = await ddbDoc.send(
-      new UpdateCommand({
-        TableName: TABLES.codes,
-        Key: { code },
-        UpdateExpression: 'SET revoked = :true, revokedAt = :now, revokedBy = :by',
-        ConditionExpression: 'attribute_exists(code)',
-        ExpressionAttributeValues: {
-          ':true': true,
-          ':now': now,
-          ':by': req.user.uid,
-        },
-        ReturnValues: 'ALL_NEW',
-      })
-    );
+app.get('/admin/workshop/modes', requireAuth, requireAdmin, requireAdminLicense, (_req, res) => {
+  const modes = Object.values(WORKSHOP_MODE_TEMPLATES).map((mode) => ({
+    id: mode.id,
+    label: mode.label,
+    description: mode.description,
+    defaultPhases: mode.defaultPhases,
+    defaultTopics: mode.defaultTopics || [],
+  }));
+  res.json({ modes });
+});
 
+app.get('/admin/workshop', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const fallbackSiteIds = req.user.siteId ? [req.user.siteId] : [];
+    const workshop = await ensureWorkshopConfig({
+      licenseId,
+      orgId: req.user.orgId,
+      siteIds: fallbackSiteIds,
+    });
     await writeAuditEvent({
-      action: 'SUPER_ADMIN_CODE_REVOKE',
+      action: 'ADMIN_WORKSHOP_READ',
       actor: req.user,
       target: {
-        resourceType: 'CODE',
-        resourceId: code,
-        orgId: normalizedOrgId(Attributes?.orgId || '', Attributes?.licenseId || ''),
-        licenseId: normalizedLicenseId(Attributes?.licenseId || ''),
-        siteId: normalizedSiteId(Attributes?.siteId || ''),
+        resourceType: 'WORKSHOP',
+        resourceId: licenseId,
+        licenseId,
+        orgId: req.user.orgId,
       },
-      details: { revoked: true },
-    });
-    publishSuperAdminStreamEvent({
-      source: 'code_revoke',
-      code,
-      revoked: true,
-      licenseId: normalizedLicenseId(Attributes?.licenseId || ''),
-      orgId: normalizedOrgId(Attributes?.orgId || '', Attributes?.licenseId || ''),
-      siteId: normalizedSiteId(Attributes?.siteId || ''),
+      details: { mode: workshop?.mode || '' },
     });
-
-    return res.json({ ok: true, code: mapCodeRow(Attributes || { code, revoked: true }) });
+    return res.json({ workshop });
   } catch (err) {
-    if (err?.name === 'ConditionalCheckFailedException') {
-      return res.status(404).json({ error: 'code_not_found' });
-    }
-    console.error('[/super-admin/codes/:code/revoke] error:', err);
-    return res.status(500).json({ error: 'code_revoke_failed' });
+    console.error('[/admin/workshop GET] error:', err);
+    return res.status(500).json({ error: 'workshop_fetch_failed' });
   }
 });
 
-app.post('/super-admin/codes/:code/unrevoke', requireAuth, requireSuperAdmin, async (req, res) => {
+app.put('/admin/workshop', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const code = String(req.params?.code || '').trim();
-    if (!code) return res.status(400).json({ error: 'code_required' });
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const next = await saveWorkshopConfig(licenseId, {
+      ...(req.body || {}),
+      orgId: normalizedOrgId(req.user.orgId || '', licenseId),
+    });
 
-    const { Attributes } = await ddbDoc.send(
-      new UpdateCommand({
-        TableName: TABLES.codes,
-        Key: { code },
-        UpdateExpression: 'SET revoked = :false REMOVE revokedAt, revokedBy',
-        ConditionExpression: 'attribute_exists(code)',
-        ExpressionAttributeValues: {
-          ':false': false,
-        },
-        ReturnValues: 'ALL_NEW',
-      })
-    );
+    for (const siteId of next.siteIds || []) {
+      for (let i = 1; i <= next.roomsPerSite; i++) {
+        const roomId = `${siteId}-${i}`;
+        await syncRoomWorkshopConfig(roomId, next);
+        if (stageEngine?.touch) stageEngine.touch(roomId);
+      }
+    }
+    clearWorkshopTenantCache(licenseId);
 
     await writeAuditEvent({
-      action: 'SUPER_ADMIN_CODE_UNREVOKE',
+      action: 'ADMIN_WORKSHOP_UPDATE',
       actor: req.user,
       target: {
-        resourceType: 'CODE',
-        resourceId: code,
-        orgId: normalizedOrgId(Attributes?.orgId || '', Attributes?.licenseId || ''),
-        licenseId: normalizedLicenseId(Attributes?.licenseId || ''),
-        siteId: normalizedSiteId(Attributes?.siteId || ''),
+        resourceType: 'WORKSHOP',
+        resourceId: licenseId,
+        orgId: next.orgId,
+        licenseId,
+      },
+      details: {
+        mode: next.mode,
+        roomCount: next.roomsPerSite,
+        seatLimitPerRoom: next.seatLimitPerRoom,
+        siteCount: Array.isArray(next.siteIds) ? next.siteIds.length : 0,
       },
-      details: { revoked: false },
-    });
-    publishSuperAdminStreamEvent({
-      source: 'code_revoke',
-      code,
-      revoked: false,
-      licenseId: normalizedLicenseId(Attributes?.licenseId || ''),
-      orgId: normalizedOrgId(Attributes?.orgId || '', Attributes?.licenseId || ''),
-      siteId: normalizedSiteId(Attributes?.siteId || ''),
     });
 
-    return res.json({ ok: true, code: mapCodeRow(Attributes || { code, revoked: false }) });
+    return res.json({ ok: true, workshop: next });
   } catch (err) {
-    if (err?.name === 'ConditionalCheckFailedException') {
-      return res.status(404).json({ error: 'code_not_found' });
-    }
-    console.error('[/super-admin/codes/:code/unrevoke] error:', err);
-    return res.status(500).json({ error: 'code_unrevoke_failed' });
+    console.error('[/admin/workshop PUT] error:', err);
+    return res.status(500).json({ error: err?.message || 'workshop_update_failed' });
   }
 });
 
-app.get('/super-admin/audit', requireAuth, requireSuperAdmin, async (req, res) => {
+app.put('/admin/retention', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const limit = toPositiveInt(req.query?.limit, 150, { min: 1, max: 500 });
-    const orgId = normalizedOrgId(req.query?.orgId || '', req.query?.licenseId || '');
-    const actorUid = String(req.query?.actorUid || '').trim();
-    const action = String(req.query?.action || '').trim().toUpperCase();
-    const format = String(req.query?.format || 'json').trim().toLowerCase();
-    const startAt = Number(req.query?.startAt || 0);
-    const endAt = Number(req.query?.endAt || 0);
-    const cursor = decodeCursor(req.query?.cursor);
-
-    let indexName = '';
-    let partitionKey = '';
-    let partitionValue = '';
-    if (actorUid) {
-      indexName = 'byActorCreatedAt';
-      partitionKey = 'actorUid';
-      partitionValue = actorUid;
-    } else if (action) {
-      indexName = 'byActionCreatedAt';
-      partitionKey = 'action';
-      partitionValue = action;
-    } else if (orgId) {
-      indexName = 'byOrgCreatedAt';
-      partitionKey = 'orgId';
-      partitionValue = orgId;
-    } else {
-      return res.status(400).json({
-        error: 'filter_required',
-        message: 'Provide orgId, actorUid, or action.',
-      });
-    }
-
-    const page = await queryByPartitionKey({
-      tableName: TABLES.audit,
-      indexName,
-      partitionKey,
-      partitionValue,
-      limit,
-      scanForward: false,
-      exclusiveStartKey:
-        cursor &&
-        cursor.kind === 'audit' &&
-        cursor.indexName === indexName &&
-        cursor.partitionValue === partitionValue
-          ? cursor.lastKey
-          : undefined,
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const next = await saveWorkshopConfig(licenseId, {
+      orgId: normalizedOrgId(req.user.orgId || '', licenseId),
+      messageRetentionDays: req.body?.messageRetentionDays,
+      draftRetentionDays: req.body?.draftRetentionDays,
+      sessionRetentionHours: req.body?.sessionRetentionHours,
+      auditRetentionDays: req.body?.auditRetentionDays,
+      legalHold: req.body?.legalHold,
     });
-
-    let items = (page.items || []).map((item) => ({
-      scopeId: item.scopeId || '',
-      createdAtAudit: item.createdAtAudit || '',
-      createdAt: Number(item.createdAt || 0) || null,
-      action: String(item.action || ''),
-      actorUid: String(item.actorUid || ''),
-      actorRole: String(item.actorRole || ''),
-      actorEmail: normalizeSuperAdminEmail(item.actorEmail || ''),
-      orgId: normalizedOrgId(item.orgId || '', item.licenseId || ''),
-      licenseId: normalizedLicenseId(item.licenseId || ''),
-      siteId: normalizedSiteId(item.siteId || ''),
-      roomId: String(item.roomId || ''),
-      resourceType: String(item.resourceType || ''),
-      resourceId: String(item.resourceId || ''),
-      details: String(item.details || ''),
-    }));
-    if (Number.isFinite(startAt) && startAt > 0) {
-      items = items.filter((item) => Number(item.createdAt || 0) >= startAt);
-    }
-    if (Number.isFinite(endAt) && endAt > 0) {
-      items = items.filter((item) => Number(item.createdAt || 0) <= endAt);
+    clearWorkshopTenantCache(licenseId);
+    for (const siteId of next.siteIds || []) {
+      for (let i = 1; i <= next.roomsPerSite; i++) {
+        const roomId = `${siteId}-${i}`;
+        // eslint-disable-next-line no-await-in-loop
+        await syncRoomWorkshopConfig(roomId, next);
+      }
     }
-
-    const nextCursor = page.lastKey
-      ? encodeCursor({
-          kind: 'audit',
-          indexName,
-          partitionValue,
-          lastKey: page.lastKey,
-        })
-      : null;
-
     await writeAuditEvent({
-      action: 'SUPER_ADMIN_AUDIT_READ',
+      action: 'ADMIN_RETENTION_UPDATE',
       actor: req.user,
-      target: { resourceType: 'AUDIT', resourceId: indexName },
+      target: {
+        resourceType: 'WORKSHOP',
+        resourceId: licenseId,
+        orgId: next.orgId,
+        licenseId,
+      },
       details: {
-        format,
-        actorUid,
-        action,
-        orgId,
-        returned: items.length,
+        messageRetentionDays: next.messageRetentionDays,
+        draftRetentionDays: next.draftRetentionDays,
+        sessionRetentionHours: next.sessionRetentionHours,
+        auditRetentionDays: next.auditRetentionDays,
+        legalHold: !!next.legalHold,
       },
     });
+    return res.json({ ok: true, retention: {
+      messageRetentionDays: next.messageRetentionDays,
+      draftRetentionDays: next.draftRetentionDays,
+      sessionRetentionHours: next.sessionRetentionHours,
+      auditRetentionDays: next.auditRetentionDays,
+      legalHold: !!next.legalHold,
+    } });
+  } catch (err) {
+    console.error('[/admin/retention] error:', err);
+    return res.status(500).json({ error: 'retention_update_failed' });
+  }
+});
 
-    if (format === 'csv') {
-      const headers = [
-        'createdAt',
-        'action',
-        'actorUid',
-        'actorRole',
-        'actorEmail',
-        'orgId',
-        'licenseId',
-        'siteId',
-        'roomId',
-        'resourceType',
-        'resourceId',
-        'details',
-      ];
-      const esc = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
-      const csv = [
-        headers.join(','),
-        ...items.map((item) =>
-          headers.map((h) => esc(item[h])).join(',')
-        ),
-      ].join('\n');
-      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-      res.setHeader('Content-Disposition', 'attachment; filename="audit-export.csv"');
-      return res.status(200).send(csv);
-    }
+function parseSiteIdsInput(input, fallback = []) {
+  if (Array.isArray(input)) return sanitizeSiteIds(input, fallback);
+  if (typeof input === 'string') {
+    const values = input
+      .split(',')
+      .map((value) => String(value || '').trim())
+      .filter(Boolean);
+    return sanitizeSiteIds(values, fallback);
+  }
+  return sanitizeSiteIds(fallback, []);
+}
+
+function mapBillingEventRow(row = {}) {
+  return {
+    orgId: normalizedOrgId(row.orgId || '', row.licenseId || ''),
+    billingEventId: String(row.billingEventId || ''),
+    licenseId: normalizedLicenseId(row.licenseId || ''),
+    eventType: String(row.eventType || '').toUpperCase(),
+    amountCents: Number(row.amountCents || 0) || 0,
+    currency: String(row.currency || 'USD').toUpperCase(),
+    status: String(row.status || '').toUpperCase(),
+    payload: parseJsonObject(row.payload, {}),
+    actorUid: String(row.actorUid || ''),
+    createdAt: Number(row.createdAt || 0) || null,
+    updatedAt: Number(row.updatedAt || 0) || null,
+  };
+}
+
+function mapSupportTicketRow(row = {}) {
+  const now = Date.now();
+  const deadlines = resolveSupportTicketDeadlines(row, now);
+  const sla = computeSupportSlaState(
+    {
+      ...row,
+      responseDueAt: deadlines.responseDueAt,
+      resolutionDueAt: deadlines.resolutionDueAt,
+      escalateAfterAt: deadlines.escalateAfterAt,
+    },
+    now
+  );
+  return {
+    orgId: normalizedOrgId(row.orgId || '', row.licenseId || ''),
+    ticketId: String(row.ticketId || ''),
+    licenseId: normalizedLicenseId(row.licenseId || ''),
+    subject: String(row.subject || ''),
+    description: String(row.description || ''),
+    priority: normalizeTicketPriority(row.priority),
+    ticketStatus: normalizeTicketStatus(row.ticketStatus),
+    requesterEmail: normalizeSuperAdminEmail(row.requesterEmail || ''),
+    owner: String(row.owner || ''),
+    escalationTarget: String(row.escalationTarget || SUPPORT_ESCALATION_EMAIL),
+    escalationLevel: Number(row.escalationLevel || 0) || 0,
+    firstResponseAt: Number(row.firstResponseAt || 0) || null,
+    responseDueAt: Number(deadlines.responseDueAt || 0) || null,
+    resolutionDueAt: Number(deadlines.resolutionDueAt || 0) || null,
+    escalateAfterAt: Number(deadlines.escalateAfterAt || 0) || null,
+    resolvedAt: Number(row.resolvedAt || 0) || null,
+    slaState: String(row.slaState || sla.slaState || 'ON_TRACK'),
+    slaBreached:
+      typeof row.slaBreached === 'boolean' ? row.slaBreached : !!sla.slaBreached,
+    responseBreached: !!sla.responseBreached,
+    resolutionBreached: !!sla.resolutionBreached,
+    autoEscalated: !!row.autoEscalated,
+    updatedBy: String(row.updatedBy || ''),
+    lastNote: String(row.lastNote || ''),
+    createdAt: Number(row.createdAt || 0) || null,
+    updatedAt: Number(row.updatedAt || 0) || null,
+  };
+}
+
+function mapStatusEventRow(row = {}) {
+  return {
+    scopeId: String(row.scopeId || 'GLOBAL').trim().toUpperCase() || 'GLOBAL',
+    statusKey: String(row.statusKey || ''),
+    payload: parseJsonObject(row.payload, {}),
+    createdAt: Number(row.createdAt || 0) || null,
+    updatedAt: Number(row.updatedAt || 0) || null,
+  };
+}
+
+function parseTemplateVersion(templateKey = '') {
+  const match = String(templateKey || '').match(/#v([0-9]+)$/i);
+  if (!match) return 0;
+  return Number(match[1] || 0) || 0;
+}
+
+function sortTemplatesByVersionDesc(rows = []) {
+  return (Array.isArray(rows) ? rows : []).slice().sort((a, b) => {
+    const av = Number(a.version || parseTemplateVersion(a.templateKey) || 0);
+    const bv = Number(b.version || parseTemplateVersion(b.templateKey) || 0);
+    return bv - av;
+  });
+}
+
+function templateRowsById(rows = [], templateIdRaw = '') {
+  const templateId = String(templateIdRaw || '').trim();
+  if (!templateId) return [];
+  return sortTemplatesByVersionDesc(rows.filter((row) => String(row.templateId || '').trim() === templateId));
+}
 
-    return res.json({ items, nextCursor });
-  } catch (err) {
-    if (err?.name === 'ResourceNotFoundException') {
-      return res.json({ items: [], nextCursor: null });
-    }
-    console.error('[/super-admin/audit] error:', err);
-    return res.status(500).json({ error: 'super_admin_audit_failed' });
-  }
-});
+function renderApprovalGate(gate = {}) {
+  return {
+    ok: false,
+    error: gate.error || 'approval_required',
+    approvalRequired: !!gate.approvalRequired,
+    approval: gate.approval || null,
+  };
+}
 
-app.post('/super-admin/tenants/purge', requireAuth, requireSuperAdmin, async (req, res) => {
+app.get('/admin/console', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const orgId = normalizedOrgId(req.body?.orgId || '', req.body?.licenseId || '');
-    const licenseId = normalizedLicenseId(req.body?.licenseId || '');
-    const confirm = String(req.body?.confirm || '').trim().toUpperCase();
-    if (!orgId && !licenseId) {
-      return res.status(400).json({ error: 'org_or_license_required' });
-    }
-    if (confirm !== 'PURGE') {
-      return res.status(400).json({ error: 'confirm_purge_required' });
-    }
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const fallbackSiteIds = req.user.siteId ? [req.user.siteId] : [];
+    const workshop = await ensureWorkshopConfig({
+      licenseId,
+      orgId,
+      siteIds: fallbackSiteIds,
+    });
+    const org = await ensureOrgRecord({
+      orgId,
+      licenseId,
+      siteIds: workshop?.siteIds || fallbackSiteIds,
+      tier: workshop?.tier || 'STARTER',
+    });
+    const license = await ensureLicenseRecord({
+      licenseId,
+      orgId,
+      seatCap: Number(workshop?.expectedUsers || 30),
+      activeUserCap: Number(workshop?.activeUserCap || workshop?.expectedUsers || 30),
+      tier: org?.tier || 'STARTER',
+    });
 
-    if (licenseId) {
-      const workshop = await getWorkshopByLicenseCached(licenseId);
-      if (workshop && workshop.legalHold) {
-        return res.status(423).json({ error: 'legal_hold_enabled' });
-      }
-    }
+    const orgScope = makeScopeId({ orgId, licenseId });
+    const licenseScope = makeScopeId({ licenseId });
+    const tierScope = makeScopeId({ tier: license?.tier || org?.tier || 'STARTER' });
+    const [usersPage, templates, approvals, billingRows, supportRows, statusRows, aiPolicyResolved, effectiveFlags, orgFlagRows, licenseFlagRows, tierFlagRows, usage, codesPage] =
+      await Promise.all([
+        listOrgUsers(orgId, 250).catch(() => ({ items: [] })),
+        listTemplatesForOrg(orgId, 300).catch(() => []),
+        listApprovalsForOrg(orgId, 240).catch(() => []),
+        listBillingEventsByOrg(orgId, 240).catch(() => []),
+        listSupportTicketsByOrg(orgId, 240).catch(() => []),
+        listStatusEvents('GLOBAL', 80).catch(() => []),
+        resolveLayeredAiPolicy({ orgId, licenseId, through: 'ORG' }).catch(() => null),
+        getEffectiveFeatureFlags({
+          orgId,
+          licenseId,
+          tier: license?.tier || org?.tier || 'STARTER',
+        }).catch(() => ({})),
+        listFeatureFlags(orgScope).catch(() => []),
+        listFeatureFlags(licenseScope).catch(() => []),
+        listFeatureFlags(tierScope).catch(() => []),
+        getLicenseUsageSnapshot({
+          licenseId,
+          orgId,
+          siteIds: sanitizeSiteIds(workshop?.siteIds, org?.siteIds || []),
+        }).catch(() => ({
+          activeUsers: 0,
+          assignedSeats: 0,
+          activeRooms: 0,
+          aiUsageCostCents30d: 0,
+        })),
+        queryByPartitionKey({
+          tableName: TABLES.codes,
+          indexName: 'byLicenseCreatedAt',
+          partitionKey: 'licenseId',
+          partitionValue: licenseId,
+          limit: 300,
+          scanForward: false,
+        }).catch(() => ({ items: [] })),
+      ]);
+
+    const aiPolicy = aiPolicyResolved?.policy || normalizeAiPolicy(AI_POLICY_DEFAULT);
+    const users = Array.isArray(usersPage?.items) ? usersPage.items : [];
+    const approvalsSorted = (Array.isArray(approvals) ? approvals : [])
+      .slice()
+      .sort((a, b) => Number(b.requestedAt || 0) - Number(a.requestedAt || 0));
+    const codes = (Array.isArray(codesPage?.items) ? codesPage.items : [])
+      .filter((row) => normalizedLicenseId(row.licenseId || '') === licenseId)
+      .filter(
+        (row) => normalizedOrgId(row.orgId || '', row.licenseId || '') === orgId
+      )
+      .sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0))
+      .map(mapCodeRow);
+    const resolvedSiteIds = sanitizeSiteIds(workshop?.siteIds, org?.siteIds || []);
+    const billingSummary = await buildBillingTransparencySummary({
+      orgId,
+      licenseId,
+      workshop,
+      license,
+      usage,
+      siteIds: resolvedSiteIds,
+      actor: req.user,
+      automate: true,
+    }).catch(() => ({
+      periodKey: billingPeriodKeyUtc(),
+      entitlements: {},
+      usage: {},
+      overage: {},
+      automation: { enabled: BILLING_AUTOMATION_ENABLED, ran: false },
+      meterHistory: [],
+      invoices: [],
+      recentEvents: [],
+    }));
+    const outcomes = await buildOutcomesAnalytics({
+      orgId,
+      licenseId,
+      siteIds: resolvedSiteIds,
+      usage,
+      windowDays: OUTCOMES_WINDOW_DAYS,
+    }).catch(() => ({
+      generatedAt: nowIso(),
+      windowDays: OUTCOMES_WINDOW_DAYS,
+      org: summarizeOutcomeRows([], usage || {}),
+      bySite: [],
+      methodology: 'heuristic_v1',
+    }));
+    const billingEvents = Array.isArray(billingSummary?.recentEvents)
+      ? billingSummary.recentEvents
+      : (Array.isArray(billingRows) ? billingRows : []).map(mapBillingEventRow);
 
     await writeAuditEvent({
-      action: 'SUPER_ADMIN_PURGE_REQUEST',
+      action: 'ADMIN_CONSOLE_READ',
       actor: req.user,
       target: {
-        resourceType: 'TENANT',
-        resourceId: licenseId || orgId,
+        resourceType: 'ADMIN_CONSOLE',
+        resourceId: orgId,
         orgId,
         licenseId,
       },
       details: {
-        requestedAt: Date.now(),
-        runbook: 'scripts/purgeOrgData.mjs',
+        users: users.length,
+        templates: Array.isArray(templates) ? templates.length : 0,
+        approvals: approvalsSorted.length,
+        codes: codes.length,
       },
     });
 
     return res.json({
-      ok: true,
-      queued: true,
-      orgId: orgId || null,
-      licenseId: licenseId || null,
-      runCommand: licenseId
-        ? `node scripts/purgeOrgData.mjs --licenseId=${licenseId} --apply=true`
-        : `node scripts/purgeOrgData.mjs --orgId=${orgId} --apply=true`,
+      demoModeFallback: DEMO_MODE_FALLBACK,
+      org,
+      license,
+      workshop,
+      usage,
+      users,
+      templates: sortTemplatesByVersionDesc(Array.isArray(templates) ? templates : []),
+      approvals: approvalsSorted,
+      billingEvents,
+      billingSummary,
+      outcomes,
+      supportTickets: (Array.isArray(supportRows) ? supportRows : []).map(mapSupportTicketRow),
+      codes: codes.slice(0, 220),
+      statusEvents: (Array.isArray(statusRows) ? statusRows : []).map(mapStatusEventRow),
+      featureFlags: {
+        effective: effectiveFlags,
+        tierDefaults: FEATURE_FLAG_DEFAULTS_BY_TIER[normalizeLicenseTier(license?.tier || org?.tier || 'STARTER')] || {},
+        tierOverrides: (Array.isArray(tierFlagRows) ? tierFlagRows : []).map((row) => ({
+          scopeId: row.scopeId,
+          flagKey: row.flagKey,
+          enabled: !!row.enabled,
+          updatedAt: Number(row.updatedAt || 0) || null,
+        })),
+        orgOverrides: (Array.isArray(orgFlagRows) ? orgFlagRows : []).map((row) => ({
+          scopeId: row.scopeId,
+          flagKey: row.flagKey,
+          enabled: !!row.enabled,
+          updatedAt: Number(row.updatedAt || 0) || null,
+        })),
+        licenseOverrides: (Array.isArray(licenseFlagRows) ? licenseFlagRows : []).map((row) => ({
+          scopeId: row.scopeId,
+          flagKey: row.flagKey,
+          enabled: !!row.enabled,
+          updatedAt: Number(row.updatedAt || 0) || null,
+        })),
+      },
+      aiPolicy,
+      aiPolicyFields: aiPolicyResolved?.fields || {},
+      aiProviders: getLlmRouter().status(),
+      policyScope: orgScope,
+      supportEscalationEmail: SUPPORT_ESCALATION_EMAIL,
+      statusPageUrl: STATUS_PAGE_URL,
+      config: {
+        licenseTiers: LICENSE_TIERS,
+        licenseStates: LICENSE_STATES,
+        templateStates: TEMPLATE_STATES,
+      },
     });
   } catch (err) {
-    console.error('[/super-admin/tenants/purge] error:', err);
-    return res.status(500).json({ error: 'tenant_purge_request_failed' });
+    console.error('[/admin/console] error:', err);
+    return res.status(500).json({ error: 'admin_console_failed' });
   }
 });
 
-app.post('/super-admin/codes/generate', requireAuth, requireSuperAdmin, async (req, res) => {
+app.post('/admin/codes/generate', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const role = String(req.body?.role || '').trim().toUpperCase() || 'PARTICIPANT';
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const role = String(req.body?.role || 'PARTICIPANT').trim().toUpperCase();
     if (!['PARTICIPANT', 'PRESENTER', 'ADMIN'].includes(role)) {
       return res.status(400).json({ error: 'invalid_role' });
     }
 
     const count = toPositiveInt(req.body?.count, 1, { min: 1, max: 500 });
-    const siteId = normalizedSiteId(req.body?.siteId || '');
-    const siteIds = sanitizeSiteIds(req.body?.siteIds, siteId ? [siteId] : []);
-    const licenseId = normalizedLicenseId(req.body?.licenseId || siteId || siteIds[0] || '');
-    const orgId = normalizedOrgId(req.body?.orgId || '', licenseId);
-    const defaultMode = normalizeMode(req.body?.defaultMode || DEFAULT_WORKSHOP_MODE);
+    const requestedSiteId = normalizedSiteId(req.body?.siteId || '');
+    const requestedSiteIds = sanitizeSiteIds(
+      req.body?.siteIds,
+      requestedSiteId ? [requestedSiteId] : []
+    );
     const expiresAtMs = Number(req.body?.expiresAt || 0) || 0;
-    const createdBy = normalizeSuperAdminEmail(req.user?.email || SUPER_ADMIN_EMAIL);
 
-    if (!siteIds.length && !siteId) {
-      return res.status(400).json({ error: 'site_required_for_role' });
+    const workshop = await ensureWorkshopConfig({
+      licenseId,
+      orgId,
+      siteIds: req.user.siteId ? [req.user.siteId] : requestedSiteIds,
+    });
+    const licenseState = evaluateWorkshopLicenseState(workshop);
+    if (!licenseState.ok) {
+      return res
+        .status(licenseState.statusCode || 403)
+        .json({ error: licenseState.error });
     }
 
+    const allowedSites = sanitizeSiteIds(
+      workshop?.siteIds,
+      req.user.siteId ? [req.user.siteId] : []
+    );
+    if (!allowedSites.length) {
+      return res.status(400).json({ error: 'no_sites_configured_for_license' });
+    }
+
+    const targetSites = requestedSiteIds.length
+      ? requestedSiteIds.filter((sid) => allowedSites.includes(sid))
+      : allowedSites;
+    if (!targetSites.length) {
+      return res.status(403).json({ error: 'site_forbidden' });
+    }
+
+    const defaultMode = normalizeMode(
+      req.body?.defaultMode || workshop?.mode || DEFAULT_WORKSHOP_MODE
+    );
     const generated = [];
-    for (let i = 0; i < count; i++) {
+    for (let i = 0; i < count; i += 1) {
+      const siteId = targetSites[i % targetSites.length];
       // eslint-disable-next-line no-await-in-loop
       const record = await createCodeRecord({
         role,
-        siteId: siteId || siteIds[0] || '',
-        siteIds,
+        siteId,
+        siteIds: targetSites,
         licenseId,
         orgId,
         defaultMode,
-        createdBy,
+        createdBy: String(req.user?.uid || '').trim() || 'admin',
         expiresAtMs,
       });
-      generated.push(record);
+      generated.push(mapCodeRow(record));
     }
 
     await writeAuditEvent({
-      action: 'SUPER_ADMIN_CODES_GENERATE',
+      action: 'ADMIN_CODES_GENERATE',
       actor: req.user,
       target: {
         resourceType: 'CODE',
         resourceId: role,
-        siteId: siteId || siteIds[0] || '',
-        licenseId,
         orgId,
+        licenseId,
+        siteId: targetSites[0] || '',
       },
       details: {
         count: generated.length,
-        defaultMode,
+        role,
+        siteIds: targetSites,
+        expiresAt: expiresAtMs || null,
       },
     });
-    publishSuperAdminStreamEvent({
-      source: 'code_generate',
-      role,
-      count: generated.length,
-      licenseId,
-      orgId,
-      siteId: siteId || siteIds[0] || '',
-    });
 
     return res.json({
       ok: true,
@@ -13624,1051 +18049,1324 @@ app.post('/super-admin/codes/generate', requireAuth, requireSuperAdmin, async (r
       codes: generated,
     });
   } catch (err) {
-    console.error('[/super-admin/codes/generate] error:', err);
-    return res.status(500).json({ error: 'super_admin_code_generation_failed' });
+    console.error('[/admin/codes/generate] error:', err);
+    return res.status(500).json({ error: 'admin_code_generation_failed' });
   }
 });
 
-app.post('/admin/auth/consume', requireAuth, async (req, res) => {
+app.get('/admin/users', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const { code } = req.body || {};
-    if (!code || typeof code !== 'string') {
-      return res.status(400).json({ error: 'Missing code' });
-    }
-    const normalizedCode = code.trim().toUpperCase();
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const limit = toPositiveInt(req.query?.limit, 200, { min: 1, max: 500 });
+    const out = await listOrgUsers(orgId, limit);
+    const users = Array.isArray(out.items) ? out.items : [];
+    return res.json({ users, nextCursor: out.lastKey ? encodeCursor({ kind: 'org_users', lastKey: out.lastKey }) : null });
+  } catch (err) {
+    console.error('[/admin/users GET] error:', err);
+    return res.status(500).json({ error: 'admin_users_list_failed' });
+  }
+});
 
-    const item = await getCodeRecordByInput(normalizedCode);
-    if (!item) {
-      return res.status(404).json({ error: 'Code not found or invalid' });
-    }
-    const unusableReason = classifyCodeUnusable(item);
-    if (unusableReason) {
-      const status = unusableReason === 'code_revoked' || unusableReason === 'code_expired' ? 410 : 400;
-      return res.status(status).json({ error: unusableReason });
+app.put('/admin/users/:userId', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const bodyRole = normalizeOrgUserRole(req.body?.role);
+    if (bodyRole === 'SUPER_ADMIN' && !isSuperAdminReq(req)) {
+      return res.status(403).json({ error: 'super_admin_role_forbidden' });
     }
+    const fallbackUserId = deriveOrgUserIdFromEmail(req.body?.email || '');
+    const userId = normalizeOrgUserId(req.params.userId || fallbackUserId);
+    if (!userId) return res.status(400).json({ error: 'userId_or_email_required' });
 
-    const role = String(item.role || '').trim().toUpperCase();
-    if (role !== 'ADMIN') {
-      return res.status(403).json({ error: 'admin_code_required' });
-    }
+    const user = await saveOrgUser(
+      orgId,
+      userId,
+      {
+        email: req.body?.email,
+        name: req.body?.name,
+        role: bodyRole,
+        siteIds: parseSiteIdsInput(req.body?.siteIds, []),
+        groups: Array.isArray(req.body?.groups) ? req.body.groups : [],
+        active: req.body?.active !== false,
+        invitedBy: req.user.uid,
+        notes: req.body?.notes,
+      },
+      req.user
+    );
 
-    const consumeRes = await consumeCodeForUser(item, req.user.uid);
-    if (consumeRes.conflict) {
-      return res
-        .status(409)
-        .json({ error: consumeRes.reason || 'code_already_consumed' });
-    }
-    if (!consumeRes.ok && consumeRes.error) {
-      return res.status(500).json({ error: 'code_consume_failed' });
+    await writeAuditEvent({
+      action: 'ADMIN_USER_UPSERT',
+      actor: req.user,
+      target: {
+        resourceType: 'ORG_USER',
+        resourceId: userId,
+        orgId,
+        licenseId,
+      },
+      details: {
+        role: user.role,
+        active: !!user.active,
+        siteCount: Array.isArray(user.siteIds) ? user.siteIds.length : 0,
+      },
+    });
+
+    return res.json({ ok: true, user });
+  } catch (err) {
+    console.error('[/admin/users/:userId PUT] error:', err);
+    return res.status(500).json({ error: 'admin_user_upsert_failed' });
+  }
+});
+
+app.post('/admin/users/:userId/deactivate', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const userId = normalizeOrgUserId(req.params.userId || '');
+    if (!userId) return res.status(400).json({ error: 'userId_required' });
+    await deactivateOrgUser(orgId, userId);
+
+    await writeAuditEvent({
+      action: 'ADMIN_USER_DEACTIVATE',
+      actor: req.user,
+      target: {
+        resourceType: 'ORG_USER',
+        resourceId: userId,
+        orgId,
+        licenseId,
+      },
+      details: {},
+    });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[/admin/users/:userId/deactivate] error:', err);
+    return res.status(500).json({ error: 'admin_user_deactivate_failed' });
+  }
+});
+
+app.put('/admin/sites', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const currentWorkshop = await ensureWorkshopConfig({
+      licenseId,
+      orgId,
+      siteIds: req.user.siteId ? [req.user.siteId] : [],
+    });
+    const siteIds = parseSiteIdsInput(req.body?.siteIds, currentWorkshop?.siteIds || []);
+    if (!siteIds.length) return res.status(400).json({ error: 'siteIds_required' });
+
+    const workshop = await saveWorkshopConfig(licenseId, {
+      orgId,
+      siteIds,
+    });
+    await saveOrgRecord(orgId, {
+      orgId,
+      tier: req.body?.tier,
+      siteIds,
+      name: req.body?.name,
+      supportPlan: req.body?.supportPlan,
+      ownerEmail: req.body?.ownerEmail,
+      primaryDomain: req.body?.primaryDomain,
+      notes: req.body?.notes,
+    }, req.user);
+    clearWorkshopTenantCache(licenseId);
+
+    for (const siteId of workshop.siteIds || []) {
+      for (let i = 1; i <= workshop.roomsPerSite; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        await syncRoomWorkshopConfig(`${siteId}-${i}`, workshop);
+      }
     }
 
-    const siteIds = normalizeCodeSiteIds(item);
-    const licenseId = normalizeLicenseFromCode(item, normalizedCode);
-    const orgId = normalizeOrgFromCode(item, licenseId);
-    if (!licenseId) {
-      return res.status(400).json({ error: 'license_missing_on_code' });
+    await writeAuditEvent({
+      action: 'ADMIN_SITES_UPDATE',
+      actor: req.user,
+      target: {
+        resourceType: 'WORKSHOP',
+        resourceId: licenseId,
+        orgId,
+        licenseId,
+      },
+      details: { siteIds },
+    });
+    return res.json({ ok: true, siteIds, workshop });
+  } catch (err) {
+    console.error('[/admin/sites PUT] error:', err);
+    return res.status(500).json({ error: 'admin_sites_update_failed' });
+  }
+});
+
+app.get('/admin/license', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const workshop = await ensureWorkshopConfig({
+      licenseId,
+      orgId,
+      siteIds: req.user.siteId ? [req.user.siteId] : [],
+    });
+    const org = await ensureOrgRecord({
+      orgId,
+      licenseId,
+      siteIds: workshop?.siteIds || [],
+      tier: workshop?.tier || 'STARTER',
+    });
+    const license = await ensureLicenseRecord({
+      licenseId,
+      orgId,
+      seatCap: Number(workshop?.expectedUsers || 30),
+      activeUserCap: Number(workshop?.activeUserCap || workshop?.expectedUsers || 30),
+      tier: org?.tier || 'STARTER',
+    });
+    const usage = await getLicenseUsageSnapshot({
+      licenseId,
+      orgId,
+      siteIds: sanitizeSiteIds(workshop?.siteIds, org?.siteIds || []),
+    });
+    return res.json({ org, license, workshop, usage });
+  } catch (err) {
+    console.error('[/admin/license GET] error:', err);
+    return res.status(500).json({ error: 'admin_license_fetch_failed' });
+  }
+});
+
+app.put('/admin/license', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const payload = {
+      orgId,
+      status: req.body?.status,
+      tier: req.body?.tier,
+      seatCap: req.body?.seatCap,
+      activeUserCap: req.body?.activeUserCap,
+      usageCap: req.body?.usageCap,
+      expiresAt: req.body?.expiresAt,
+      renewalAt: req.body?.renewalAt,
+      overagePolicy: req.body?.overagePolicy,
+      billingMode: req.body?.billingMode,
+      billingAccountId: req.body?.billingAccountId,
+      notes: req.body?.notes,
+    };
+    const renewDays = Number(req.body?.renewDays || 0);
+    if (Number.isFinite(renewDays) && renewDays > 0) {
+      const now = Date.now();
+      payload.expiresAt = now + Math.round(renewDays) * 24 * 60 * 60 * 1000;
     }
 
-    const defaultMode = normalizeMode(item.defaultMode || DEFAULT_WORKSHOP_MODE);
-    const workshop = await ensureWorkshopConfig({
-      licenseId,
+    const gate = await resolveSensitiveChangeGate(req, {
       orgId,
-      siteIds,
-      mode: defaultMode,
-    });
-    const licenseState = evaluateWorkshopLicenseState(workshop);
-    if (!licenseState.ok) {
-      return res.status(licenseState.statusCode || 403).json({ error: licenseState.error });
-    }
-    const activeCapCheck = await enforceLicenseActiveUserCap({
-      licenseId,
-      activeUserCap:
-        Number(workshop?.activeUserCap || workshop?.expectedUsers || 0) || 0,
-      uid: req.user.uid,
-    });
-    if (!activeCapCheck.ok) {
-      return res.status(429).json({
-        error: activeCapCheck.error,
-        activeUsers: activeCapCheck.activeUsers,
-        activeUserCap: activeCapCheck.cap,
-      });
-    }
-    const entitlementCheck = await enforceRuntimeLicenseEntitlements({
-      role: 'ADMIN',
       licenseId,
-      orgId,
-      siteId: siteIds[0] || '',
-      workshop,
-      automate: true,
-      bypassAdmin: true,
+      requestType: 'LICENSE_CHANGE',
+      targetType: 'LICENSE',
+      targetId: licenseId,
+      payload,
     });
-    if (!entitlementCheck.ok) {
-      return res.status(entitlementCheck.statusCode || 403).json({
-        error: entitlementCheck.error || 'license_forbidden',
-      });
+    if (!gate.ok) {
+      return res.status(gate.statusCode || 409).json(renderApprovalGate(gate));
     }
 
-    const roomsPerSite = toPositiveInt(workshop?.roomsPerSite, 5, {
-      min: 1,
-      max: MAX_ROOMS_PER_SITE,
+    const license = await saveLicenseRecord(licenseId, payload, req.user);
+    const workshop = await saveWorkshopConfig(licenseId, {
+      orgId,
+      expectedUsers: license.seatCap,
+      activeUserCap: license.activeUserCap,
+      licenseStatus: license.status,
+      licenseExpiresAt: Number(license.expiresAt || 0) || null,
     });
-    for (const sid of sanitizeSiteIds(workshop?.siteIds, siteIds)) {
-      for (let i = 1; i <= roomsPerSite; i++) {
-        await syncRoomWorkshopConfig(`${sid}-${i}`, workshop);
-      }
-    }
     clearWorkshopTenantCache(licenseId);
-
-    const pair = await issueTokenPair(
-      {
-        uid: req.user.uid,
-        role: 'ADMIN',
-        siteId: siteIds[0] || null,
-        licenseId,
-        orgId,
-      },
-      req
-    );
+    if (gate.approval?.approvalId) {
+      await markApprovalConsumed(orgId, gate.approval.approvalId).catch(() => null);
+    }
 
     await writeAuditEvent({
-      action: 'ADMIN_CODE_CONSUME',
+      action: 'ADMIN_LICENSE_UPDATE',
       actor: req.user,
       target: {
-        resourceType: 'CODE',
-        resourceId: normalizedCode,
+        resourceType: 'LICENSE',
+        resourceId: licenseId,
         orgId,
         licenseId,
-        siteId: siteIds[0] || '',
       },
       details: {
-        consumedRole: role,
+        status: license.status,
+        tier: license.tier,
+        seatCap: license.seatCap,
+        activeUserCap: license.activeUserCap,
+        expiresAt: license.expiresAt,
+        approvalId: gate.approval?.approvalId || '',
       },
     });
-    publishSuperAdminStreamEvent({
-      source: 'admin_code_consume',
-      role: 'ADMIN',
-      siteId: siteIds[0] || '',
+    return res.json({ ok: true, license, workshop, approvalId: gate.approval?.approvalId || null });
+  } catch (err) {
+    console.error('[/admin/license PUT] error:', err);
+    return res.status(500).json({ error: 'admin_license_update_failed' });
+  }
+});
+
+app.get('/admin/feature-flags', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const license = (await ensureLicenseRecord({
       licenseId,
       orgId,
-    });
+      seatCap: 30,
+      activeUserCap: 30,
+      tier: 'STARTER',
+    })) || {};
+
+    const tier = normalizeLicenseTier(license.tier || 'STARTER');
+    const orgScope = makeScopeId({ orgId, licenseId });
+    const licenseScope = makeScopeId({ licenseId });
+    const tierScope = makeScopeId({ tier });
+    const [effective, orgRows, licenseRows, tierRows] = await Promise.all([
+      getEffectiveFeatureFlags({ orgId, licenseId, tier }),
+      listFeatureFlags(orgScope),
+      listFeatureFlags(licenseScope),
+      listFeatureFlags(tierScope),
+    ]);
 
     return res.json({
-      ok: true,
-      role: 'ADMIN',
-      token: pair.accessToken,
-      accessToken: pair.accessToken,
-      refreshToken: pair.refreshToken,
-      sessionId: pair.sessionId,
-      expiresIn: pair.accessTtlSeconds,
-      userId: req.user.uid,
-      licenseId,
-      orgId,
-      workshop,
+      effective,
+      tierDefaults: FEATURE_FLAG_DEFAULTS_BY_TIER[tier] || {},
+      tierOverrides: tierRows,
+      orgOverrides: orgRows,
+      licenseOverrides: licenseRows,
+      scope: {
+        org: orgScope,
+        license: licenseScope,
+      },
     });
   } catch (err) {
-    console.error('[/admin/auth/consume] error:', err);
-    return res.status(500).json({ error: 'Server error' });
+    console.error('[/admin/feature-flags GET] error:', err);
+    return res.status(500).json({ error: 'admin_feature_flags_fetch_failed' });
   }
 });
 
-app.get('/admin/workshop/modes', requireAuth, requireAdmin, requireAdminLicense, (_req, res) => {
-  const modes = Object.values(WORKSHOP_MODE_TEMPLATES).map((mode) => ({
-    id: mode.id,
-    label: mode.label,
-    description: mode.description,
-    defaultPhases: mode.defaultPhases,
-    defaultTopics: mode.defaultTopics || [],
-  }));
-  res.json({ modes });
-});
-
-app.get('/admin/workshop', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+app.put('/admin/feature-flags', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
     const licenseId = normalizedLicenseId(req.user.licenseId);
-    const fallbackSiteIds = req.user.siteId ? [req.user.siteId] : [];
-    const workshop = await ensureWorkshopConfig({
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const scopeRaw = String(req.body?.scope || 'ORG').trim().toUpperCase();
+    const scopeId = scopeRaw === 'LICENSE' ? makeScopeId({ licenseId }) : makeScopeId({ orgId, licenseId });
+    const flags = normalizeFeatureFlagPatch(req.body?.flags || req.body || {});
+    if (!Object.keys(flags).length) {
+      return res.status(400).json({ error: 'flags_required' });
+    }
+    const saved = await saveFeatureFlags(scopeId, flags, req.user);
+    const license = await ensureLicenseRecord({
       licenseId,
-      orgId: req.user.orgId,
-      siteIds: fallbackSiteIds,
+      orgId,
+      seatCap: 30,
+      activeUserCap: 30,
+      tier: 'STARTER',
+    });
+    const effective = await getEffectiveFeatureFlags({
+      orgId,
+      licenseId,
+      tier: license?.tier || 'STARTER',
     });
+
     await writeAuditEvent({
-      action: 'ADMIN_WORKSHOP_READ',
+      action: 'ADMIN_FEATURE_FLAGS_UPDATE',
       actor: req.user,
       target: {
-        resourceType: 'WORKSHOP',
-        resourceId: licenseId,
+        resourceType: 'FEATURE_FLAGS',
+        resourceId: scopeId,
+        orgId,
         licenseId,
-        orgId: req.user.orgId,
       },
-      details: { mode: workshop?.mode || '' },
+      details: { flags },
     });
-    return res.json({ workshop });
+    return res.json({ ok: true, scopeId, saved, effective });
   } catch (err) {
-    console.error('[/admin/workshop GET] error:', err);
-    return res.status(500).json({ error: 'workshop_fetch_failed' });
+    console.error('[/admin/feature-flags PUT] error:', err);
+    return res.status(500).json({ error: 'admin_feature_flags_update_failed' });
   }
 });
 
-app.put('/admin/workshop', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
-  try {
-    const licenseId = normalizedLicenseId(req.user.licenseId);
-    const next = await saveWorkshopConfig(licenseId, {
-      ...(req.body || {}),
-      orgId: normalizedOrgId(req.user.orgId || '', licenseId),
-    });
-
-    for (const siteId of next.siteIds || []) {
-      for (let i = 1; i <= next.roomsPerSite; i++) {
-        const roomId = `${siteId}-${i}`;
-        await syncRoomWorkshopConfig(roomId, next);
-        if (stageEngine?.touch) stageEngine.touch(roomId);
-      }
-    }
-    clearWorkshopTenantCache(licenseId);
+// Scope of an AI policy request: ORG unless `scope` (or a siteId) says
+// otherwise. Errors come back as { statusCode, error }.
+function aiPolicyScopeFromRequest(req, input = {}) {
+  const siteId = normalizedSiteId(input.siteId);
+  const scope = normalizeAiPolicyScope(input.scope, siteId ? 'SITE' : 'ORG');
+  if (scope === 'SITE' && !siteId) return { statusCode: 400, error: 'site_id_required' };
+  const licenseId = normalizedLicenseId(req.user.licenseId);
+  const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+  return { scope, orgId, licenseId, siteId: scope === 'SITE' ? siteId : '' };
+}
 
-    await writeAuditEvent({
-      action: 'ADMIN_WORKSHOP_UPDATE',
-      actor: req.user,
-      target: {
-        resourceType: 'WORKSHOP',
-        resourceId: licenseId,
-        orgId: next.orgId,
-        licenseId,
-      },
-      details: {
-        mode: next.mode,
-        roomCount: next.roomsPerSite,
-        seatLimitPerRoom: next.seatLimitPerRoom,
-        siteCount: Array.isArray(next.siteIds) ? next.siteIds.length : 0,
+app.get('/admin/policies/ai', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const target = aiPolicyScopeFromRequest(req, req.query || {});
+    if (target.error) return res.status(target.statusCode).json({ error: target.error });
+    const { scope, orgId, licenseId, siteId } = target;
+    const resolved = await resolveLayeredAiPolicy({ orgId, licenseId, siteId, through: scope });
+    const layer = resolved.layers.find((entry) => entry.scope === scope) || null;
+    return res.json({
+      scope,
+      scopeId: resolved.scopeIds[scope],
+      siteId: siteId || null,
+      // Effective policy at this scope, i.e. what rooms under it run with.
+      policy: resolved.policy,
+      overrides: layer?.overrides || {},
+      locked: layer?.locked || [],
+      explain: {
+        fields: resolved.fields,
+        layers: resolved.layers,
+        ignored: resolved.ignored,
       },
+      providers: getLlmRouter().status(),
+      moderation: moderationPipeline.status(),
+      updatedAt: layer?.updatedAt || null,
     });
-
-    return res.json({ ok: true, workshop: next });
   } catch (err) {
-    console.error('[/admin/workshop PUT] error:', err);
-    return res.status(500).json({ error: err?.message || 'workshop_update_failed' });
+    console.error('[/admin/policies/ai GET] error:', err);
+    return res.status(500).json({ error: 'admin_ai_policy_fetch_failed' });
   }
 });
 
-app.put('/admin/retention', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+app.put('/admin/policies/ai', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const licenseId = normalizedLicenseId(req.user.licenseId);
-    const next = await saveWorkshopConfig(licenseId, {
-      orgId: normalizedOrgId(req.user.orgId || '', licenseId),
-      messageRetentionDays: req.body?.messageRetentionDays,
-      draftRetentionDays: req.body?.draftRetentionDays,
-      sessionRetentionHours: req.body?.sessionRetentionHours,
-      auditRetentionDays: req.body?.auditRetentionDays,
-      legalHold: req.body?.legalHold,
+    const target = aiPolicyScopeFromRequest(req, req.body || {});
+    if (target.error) return res.status(target.statusCode).json({ error: target.error });
+    const { scope, orgId, licenseId, siteId } = target;
+    if (scope === 'GLOBAL' && !isSuperAdminReq(req)) {
+      return res.status(403).json({ error: 'global_ai_policy_super_admin_only' });
+    }
+    const policyInput = req.body?.policy && typeof req.body.policy === 'object'
+      ? req.body.policy
+      : req.body || {};
+
+    const parentScope = AI_POLICY_SCOPES[AI_POLICY_SCOPES.indexOf(scope) - 1] || '';
+    const inherited = await resolveLayeredAiPolicy({ orgId, licenseId, siteId, through: parentScope });
+    const scopeId = aiPolicyScopeIds({ orgId, licenseId, siteId })[scope];
+    const current = parseAiPolicyLayer(scope, scopeId, await getPolicy(scopeId, 'AI'), AI_POLICY_FIELDS);
+
+    // Partial input edits on top of what this scope runs with today. Stored
+    // overrides a parent has since locked are dropped rather than rejected.
+    const carried = Object.fromEntries(
+      Object.entries(current.overrides).filter(([field]) => !inherited.fields[field]?.locked)
+    );
+    const policy = normalizeAiPolicy({
+      ...inherited.policy,
+      ...carried,
+      ...policyInput,
+    });
+    const overrides = diffAiPolicyOverrides(policy, inherited.policy);
+    const conflicts = aiPolicyLockConflicts(overrides, inherited.fields);
+    if (conflicts.length) {
+      return res.status(409).json({ error: 'ai_policy_field_locked', fields: conflicts });
+    }
+    // SITE is the bottom layer, so there is nothing below it to lock.
+    const locked = scope === 'SITE'
+      ? []
+      : normalizeLockedFields(req.body?.locked ?? current.locked, AI_POLICY_FIELDS);
+
+    const gate = await resolveSensitiveChangeGate(req, {
+      orgId,
+      licenseId,
+      requestType: 'AI_POLICY_CHANGE',
+      targetType: 'AI_POLICY',
+      targetId: scopeId,
+      payload: { scope, siteId, policy: policyInput, locked },
     });
-    clearWorkshopTenantCache(licenseId);
-    for (const siteId of next.siteIds || []) {
-      for (let i = 1; i <= next.roomsPerSite; i++) {
-        const roomId = `${siteId}-${i}`;
-        // eslint-disable-next-line no-await-in-loop
-        await syncRoomWorkshopConfig(roomId, next);
-      }
+    if (!gate.ok) {
+      return res.status(gate.statusCode || 409).json(renderApprovalGate(gate));
+    }
+
+    const saved = await saveAiPolicy(scopeId, { overrides, locked }, req.user);
+    if (gate.approval?.approvalId) {
+      await markApprovalConsumed(orgId, gate.approval.approvalId).catch(() => null);
     }
+
     await writeAuditEvent({
-      action: 'ADMIN_RETENTION_UPDATE',
+      action: 'ADMIN_AI_POLICY_UPDATE',
       actor: req.user,
       target: {
-        resourceType: 'WORKSHOP',
-        resourceId: licenseId,
-        orgId: next.orgId,
+        resourceType: 'AI_POLICY',
+        resourceId: scopeId,
+        orgId,
         licenseId,
+        siteId,
       },
       details: {
-        messageRetentionDays: next.messageRetentionDays,
-        draftRetentionDays: next.draftRetentionDays,
-        sessionRetentionHours: next.sessionRetentionHours,
-        auditRetentionDays: next.auditRetentionDays,
-        legalHold: !!next.legalHold,
+        scope,
+        overrides: saved.policy,
+        locked: saved.lockedFields,
+        approvalId: gate.approval?.approvalId || '',
       },
     });
-    return res.json({ ok: true, retention: {
-      messageRetentionDays: next.messageRetentionDays,
-      draftRetentionDays: next.draftRetentionDays,
-      sessionRetentionHours: next.sessionRetentionHours,
-      auditRetentionDays: next.auditRetentionDays,
-      legalHold: !!next.legalHold,
-    } });
+
+    return res.json({
+      ok: true,
+      scope,
+      scopeId,
+      policy,
+      overrides: saved.policy,
+      locked: saved.lockedFields,
+      approvalId: gate.approval?.approvalId || null,
+    });
   } catch (err) {
-    console.error('[/admin/retention] error:', err);
-    return res.status(500).json({ error: 'retention_update_failed' });
+    console.error('[/admin/policies/ai PUT] error:', err);
+    return res.status(500).json({ error: 'admin_ai_policy_update_failed' });
   }
 });
 
-function parseSiteIdsInput(input, fallback = []) {
-  if (Array.isArray(input)) return sanitizeSiteIds(input, fallback);
-  if (typeof input === 'string') {
-    const values = input
-      .split(',')
-      .map((value) => String(value || '').trim())
-      .filter(Boolean);
-    return sanitizeSiteIds(values, fallback);
-  }
-  return sanitizeSiteIds(fallback, []);
-}
-
-function mapBillingEventRow(row = {}) {
-  return {
-    orgId: normalizedOrgId(row.orgId || '', row.licenseId || ''),
-    billingEventId: String(row.billingEventId || ''),
-    licenseId: normalizedLicenseId(row.licenseId || ''),
-    eventType: String(row.eventType || '').toUpperCase(),
-    amountCents: Number(row.amountCents || 0) || 0,
-    currency: String(row.currency || 'USD').toUpperCase(),
-    status: String(row.status || '').toUpperCase(),
-    payload: parseJsonObject(row.payload, {}),
-    actorUid: String(row.actorUid || ''),
-    createdAt: Number(row.createdAt || 0) || null,
-    updatedAt: Number(row.updatedAt || 0) || null,
-  };
-}
-
-function mapSupportTicketRow(row = {}) {
-  const now = Date.now();
-  const deadlines = resolveSupportTicketDeadlines(row, now);
-  const sla = computeSupportSlaState(
-    {
-      ...row,
-      responseDueAt: deadlines.responseDueAt,
-      resolutionDueAt: deadlines.resolutionDueAt,
-      escalateAfterAt: deadlines.escalateAfterAt,
-    },
-    now
-  );
-  return {
-    orgId: normalizedOrgId(row.orgId || '', row.licenseId || ''),
-    ticketId: String(row.ticketId || ''),
-    licenseId: normalizedLicenseId(row.licenseId || ''),
-    subject: String(row.subject || ''),
-    description: String(row.description || ''),
-    priority: normalizeTicketPriority(row.priority),
-    ticketStatus: normalizeTicketStatus(row.ticketStatus),
-    requesterEmail: normalizeSuperAdminEmail(row.requesterEmail || ''),
-    owner: String(row.owner || ''),
-    escalationTarget: String(row.escalationTarget || SUPPORT_ESCALATION_EMAIL),
-    escalationLevel: Number(row.escalationLevel || 0) || 0,
-    firstResponseAt: Number(row.firstResponseAt || 0) || null,
-    responseDueAt: Number(deadlines.responseDueAt || 0) || null,
-    resolutionDueAt: Number(deadlines.resolutionDueAt || 0) || null,
-    escalateAfterAt: Number(deadlines.escalateAfterAt || 0) || null,
-    resolvedAt: Number(row.resolvedAt || 0) || null,
-    slaState: String(row.slaState || sla.slaState || 'ON_TRACK'),
-    slaBreached:
-      typeof row.slaBreached === 'boolean' ? row.slaBreached : !!sla.slaBreached,
-    responseBreached: !!sla.responseBreached,
-    resolutionBreached: !!sla.resolutionBreached,
-    autoEscalated: !!row.autoEscalated,
-    updatedBy: String(row.updatedBy || ''),
-    lastNote: String(row.lastNote || ''),
-    createdAt: Number(row.createdAt || 0) || null,
-    updatedAt: Number(row.updatedAt || 0) || null,
-  };
-}
-
-function mapStatusEventRow(row = {}) {
-  return {
-    scopeId: String(row.scopeId || 'GLOBAL').trim().toUpperCase() || 'GLOBAL',
-    statusKey: String(row.statusKey || ''),
-    payload: parseJsonObject(row.payload, {}),
-    createdAt: Number(row.createdAt || 0) || null,
-    updatedAt: Number(row.updatedAt || 0) || null,
-  };
-}
-
-function parseTemplateVersion(templateKey = '') {
-  const match = String(templateKey || '').match(/#v([0-9]+)$/i);
-  if (!match) return 0;
-  return Number(match[1] || 0) || 0;
-}
-
-function sortTemplatesByVersionDesc(rows = []) {
-  return (Array.isArray(rows) ? rows : []).slice().sort((a, b) => {
-    const av = Number(a.version || parseTemplateVersion(a.templateKey) || 0);
-    const bv = Number(b.version || parseTemplateVersion(b.templateKey) || 0);
-    return bv - av;
-  });
-}
-
-function templateRowsById(rows = [], templateIdRaw = '') {
-  const templateId = String(templateIdRaw || '').trim();
-  if (!templateId) return [];
-  return sortTemplatesByVersionDesc(rows.filter((row) => String(row.templateId || '').trim() === templateId));
-}
-
-function renderApprovalGate(gate = {}) {
-  return {
-    ok: false,
-    error: gate.error || 'approval_required',
-    approvalRequired: !!gate.approvalRequired,
-    approval: gate.approval || null,
-  };
-}
-
-app.get('/admin/console', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+// Monthly AI budget for the admin's org, with this period's metered usage.
+app.get('/admin/policies/ai-budget', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
     const licenseId = normalizedLicenseId(req.user.licenseId);
     const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const fallbackSiteIds = req.user.siteId ? [req.user.siteId] : [];
-    const workshop = await ensureWorkshopConfig({
-      licenseId,
-      orgId,
-      siteIds: fallbackSiteIds,
-    });
-    const org = await ensureOrgRecord({
-      orgId,
-      licenseId,
-      siteIds: workshop?.siteIds || fallbackSiteIds,
-      tier: workshop?.tier || 'STARTER',
-    });
-    const license = await ensureLicenseRecord({
-      licenseId,
+    const status = await getAiBudgetStatus(orgId, { fresh: true });
+    return res.json({
       orgId,
-      seatCap: Number(workshop?.expectedUsers || 30),
-      activeUserCap: Number(workshop?.activeUserCap || workshop?.expectedUsers || 30),
-      tier: org?.tier || 'STARTER',
+      budget: status.budget,
+      usage: aiUsageBillingSummary(status),
+      prices: AI_PRICE_TABLE,
     });
+  } catch (err) {
+    console.error('[/admin/policies/ai-budget GET] error:', err);
+    return res.status(500).json({ error: 'admin_ai_budget_fetch_failed' });
+  }
+});
 
-    const orgScope = makeScopeId({ orgId, licenseId });
-    const licenseScope = makeScopeId({ licenseId });
-    const tierScope = makeScopeId({ tier: license?.tier || org?.tier || 'STARTER' });
-    const [usersPage, templates, approvals, billingRows, supportRows, statusRows, policyRow, effectiveFlags, orgFlagRows, licenseFlagRows, tierFlagRows, usage, codesPage] =
-      await Promise.all([
-        listOrgUsers(orgId, 250).catch(() => ({ items: [] })),
-        listTemplatesForOrg(orgId, 300).catch(() => []),
-        listApprovalsForOrg(orgId, 240).catch(() => []),
-        listBillingEventsByOrg(orgId, 240).catch(() => []),
-        listSupportTicketsByOrg(orgId, 240).catch(() => []),
-        listStatusEvents('GLOBAL', 80).catch(() => []),
-        getPolicy(orgScope, 'AI').catch(() => null),
-        getEffectiveFeatureFlags({
-          orgId,
-          licenseId,
-          tier: license?.tier || org?.tier || 'STARTER',
-        }).catch(() => ({})),
-        listFeatureFlags(orgScope).catch(() => []),
-        listFeatureFlags(licenseScope).catch(() => []),
-        listFeatureFlags(tierScope).catch(() => []),
-        getLicenseUsageSnapshot({
-          licenseId,
-          orgId,
-          siteIds: sanitizeSiteIds(workshop?.siteIds, org?.siteIds || []),
-        }).catch(() => ({
-          activeUsers: 0,
-          assignedSeats: 0,
-          activeRooms: 0,
-          aiUsageCostCents30d: 0,
-        })),
-        queryByPartitionKey({
-          tableName: TABLES.codes,
-          indexName: 'byLicenseCreatedAt',
-          partitionKey: 'licenseId',
-          partitionValue: licenseId,
-          limit: 300,
-          scanForward: false,
-        }).catch(() => ({ items: [] })),
-      ]);
-
-    const aiPolicy = normalizeAiPolicy(parseJsonObject(policyRow?.policy, AI_POLICY_DEFAULT));
-    const users = Array.isArray(usersPage?.items) ? usersPage.items : [];
-    const approvalsSorted = (Array.isArray(approvals) ? approvals : [])
-      .slice()
-      .sort((a, b) => Number(b.requestedAt || 0) - Number(a.requestedAt || 0));
-    const codes = (Array.isArray(codesPage?.items) ? codesPage.items : [])
-      .filter((row) => normalizedLicenseId(row.licenseId || '') === licenseId)
-      .filter(
-        (row) => normalizedOrgId(row.orgId || '', row.licenseId || '') === orgId
-      )
-      .sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0))
-      .map(mapCodeRow);
-    const resolvedSiteIds = sanitizeSiteIds(workshop?.siteIds, org?.siteIds || []);
-    const billingSummary = await buildBillingTransparencySummary({
-      orgId,
-      licenseId,
-      workshop,
-      license,
-      usage,
-      siteIds: resolvedSiteIds,
-      actor: req.user,
-      automate: true,
-    }).catch(() => ({
-      periodKey: billingPeriodKeyUtc(),
-      entitlements: {},
-      usage: {},
-      overage: {},
-      automation: { enabled: BILLING_AUTOMATION_ENABLED, ran: false },
-      meterHistory: [],
-      invoices: [],
-      recentEvents: [],
-    }));
-    const outcomes = await buildOutcomesAnalytics({
+app.put('/admin/policies/ai-budget', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const input = req.body?.budget && typeof req.body.budget === 'object' ? req.body.budget : req.body || {};
+    const budgetInput = {
+      monthlyTokenLimit: input.monthlyTokenLimit,
+      monthlyCostLimitCents: input.monthlyCostLimitCents,
+      warnPercent: input.warnPercent,
+      hardStop: input.hardStop,
+    };
+
+    const gate = await resolveSensitiveChangeGate(req, {
       orgId,
       licenseId,
-      siteIds: resolvedSiteIds,
-      usage,
-      windowDays: OUTCOMES_WINDOW_DAYS,
-    }).catch(() => ({
-      generatedAt: nowIso(),
-      windowDays: OUTCOMES_WINDOW_DAYS,
-      org: summarizeOutcomeRows([], usage || {}),
-      bySite: [],
-      methodology: 'heuristic_v1',
-    }));
-    const billingEvents = Array.isArray(billingSummary?.recentEvents)
-      ? billingSummary.recentEvents
-      : (Array.isArray(billingRows) ? billingRows : []).map(mapBillingEventRow);
+      requestType: 'AI_BUDGET_CHANGE',
+      targetType: 'AI_BUDGET',
+      targetId: orgId,
+      payload: { budget: budgetInput },
+    });
+    if (!gate.ok) {
+      return res.status(gate.statusCode || 409).json(renderApprovalGate(gate));
+    }
+
+    const budget = await saveOrgAiBudget(orgId, budgetInput, req.user);
+    if (gate.approval?.approvalId) {
+      await markApprovalConsumed(orgId, gate.approval.approvalId).catch(() => null);
+    }
 
     await writeAuditEvent({
-      action: 'ADMIN_CONSOLE_READ',
+      action: 'ADMIN_AI_BUDGET_UPDATE',
       actor: req.user,
       target: {
-        resourceType: 'ADMIN_CONSOLE',
+        resourceType: 'AI_BUDGET',
         resourceId: orgId,
         orgId,
         licenseId,
       },
       details: {
-        users: users.length,
-        templates: Array.isArray(templates) ? templates.length : 0,
-        approvals: approvalsSorted.length,
-        codes: codes.length,
+        budget,
+        approvalId: gate.approval?.approvalId || '',
       },
     });
 
+    const status = await getAiBudgetStatus(orgId, { fresh: true });
     return res.json({
-      demoModeFallback: DEMO_MODE_FALLBACK,
-      org,
-      license,
-      workshop,
-      usage,
-      users,
-      templates: sortTemplatesByVersionDesc(Array.isArray(templates) ? templates : []),
-      approvals: approvalsSorted,
-      billingEvents,
-      billingSummary,
-      outcomes,
-      supportTickets: (Array.isArray(supportRows) ? supportRows : []).map(mapSupportTicketRow),
-      codes: codes.slice(0, 220),
-      statusEvents: (Array.isArray(statusRows) ? statusRows : []).map(mapStatusEventRow),
-      featureFlags: {
-        effective: effectiveFlags,
-        tierDefaults: FEATURE_FLAG_DEFAULTS_BY_TIER[normalizeLicenseTier(license?.tier || org?.tier || 'STARTER')] || {},
-        tierOverrides: (Array.isArray(tierFlagRows) ? tierFlagRows : []).map((row) => ({
-          scopeId: row.scopeId,
-          flagKey: row.flagKey,
-          enabled: !!row.enabled,
-          updatedAt: Number(row.updatedAt || 0) || null,
-        })),
-        orgOverrides: (Array.isArray(orgFlagRows) ? orgFlagRows : []).map((row) => ({
-          scopeId: row.scopeId,
-          flagKey: row.flagKey,
-          enabled: !!row.enabled,
-          updatedAt: Number(row.updatedAt || 0) || null,
-        })),
-        licenseOverrides: (Array.isArray(licenseFlagRows) ? licenseFlagRows : []).map((row) => ({
-          scopeId: row.scopeId,
-          flagKey: row.flagKey,
-          enabled: !!row.enabled,
-          updatedAt: Number(row.updatedAt || 0) || null,
-        })),
-      },
-      aiPolicy,
-      policyScope: orgScope,
-      supportEscalationEmail: SUPPORT_ESCALATION_EMAIL,
-      statusPageUrl: STATUS_PAGE_URL,
-      config: {
-        licenseTiers: LICENSE_TIERS,
-        licenseStates: LICENSE_STATES,
-        templateStates: TEMPLATE_STATES,
-      },
+      ok: true,
+      budget,
+      usage: aiUsageBillingSummary(status),
+      approvalId: gate.approval?.approvalId || null,
     });
   } catch (err) {
-    console.error('[/admin/console] error:', err);
-    return res.status(500).json({ error: 'admin_console_failed' });
+    console.error('[/admin/policies/ai-budget PUT] error:', err);
+    return res.status(500).json({ error: 'admin_ai_budget_update_failed' });
   }
 });
 
-app.post('/admin/codes/generate', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+// Directory group → role/site mappings applied on every SCIM write. A change
+// re-syncs every provisioned user so existing access matches the new map.
+app.get('/admin/policies/scim-groups', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
     const licenseId = normalizedLicenseId(req.user.licenseId);
     const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const role = String(req.body?.role || 'PARTICIPANT').trim().toUpperCase();
-    if (!['PARTICIPANT', 'PRESENTER', 'ADMIN'].includes(role)) {
-      return res.status(400).json({ error: 'invalid_role' });
-    }
+    const map = await getOrgScimGroupMap(orgId);
+    const groups = await listScimItems(TABLES.scimGroups, orgId);
+    return res.json({
+      scopeId: makeScopeId({ orgId }),
+      mappings: map.mappings,
+      groups: groups.map((row) => ({
+        id: row.scimGroupId,
+        displayName: row.displayName || '',
+        memberCount: (row.members || []).length,
+      })),
+      updatedAt: map.updatedAt,
+    });
+  } catch (err) {
+    console.error('[/admin/policies/scim-groups GET] error:', err);
+    return res.status(500).json({ error: 'admin_scim_group_map_fetch_failed' });
+  }
+});
 
-    const count = toPositiveInt(req.body?.count, 1, { min: 1, max: 500 });
-    const requestedSiteId = normalizedSiteId(req.body?.siteId || '');
-    const requestedSiteIds = sanitizeSiteIds(
-      req.body?.siteIds,
-      requestedSiteId ? [requestedSiteId] : []
-    );
-    const expiresAtMs = Number(req.body?.expiresAt || 0) || 0;
+app.put('/admin/policies/scim-groups', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    let map;
+    try {
+      map = normalizeScimGroupMap(req.body || {});
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
 
-    const workshop = await ensureWorkshopConfig({
-      licenseId,
+    const gate = await resolveSensitiveChangeGate(req, {
       orgId,
-      siteIds: req.user.siteId ? [req.user.siteId] : requestedSiteIds,
+      licenseId,
+      requestType: 'SCIM_GROUP_MAP_CHANGE',
+      targetType: 'SCIM_GROUP_MAP',
+      targetId: orgId,
+      payload: map,
     });
-    const licenseState = evaluateWorkshopLicenseState(workshop);
-    if (!licenseState.ok) {
-      return res
-        .status(licenseState.statusCode || 403)
-        .json({ error: licenseState.error });
+    if (!gate.ok) {
+      return res.status(gate.statusCode || 409).json(renderApprovalGate(gate));
     }
 
-    const allowedSites = sanitizeSiteIds(
-      workshop?.siteIds,
-      req.user.siteId ? [req.user.siteId] : []
-    );
-    if (!allowedSites.length) {
-      return res.status(400).json({ error: 'no_sites_configured_for_license' });
+    const saved = await saveOrgScimGroupMap(orgId, map, req.user);
+    if (gate.approval?.approvalId) {
+      await markApprovalConsumed(orgId, gate.approval.approvalId).catch(() => null);
     }
 
-    const targetSites = requestedSiteIds.length
-      ? requestedSiteIds.filter((sid) => allowedSites.includes(sid))
-      : allowedSites;
-    if (!targetSites.length) {
-      return res.status(403).json({ error: 'site_forbidden' });
+    await writeAuditEvent({
+      action: 'ADMIN_SCIM_GROUP_MAP_UPDATE',
+      actor: req.user,
+      target: {
+        resourceType: 'SCIM_GROUP_MAP',
+        resourceId: orgId,
+        orgId,
+        licenseId,
+      },
+      details: {
+        mappings: saved.mappings,
+        approvalId: gate.approval?.approvalId || '',
+      },
+    });
+
+    const users = await listScimItems(TABLES.scimUsers, orgId);
+    const synced = await syncScimAccess(orgId, users.map((row) => row.scimUserId), {
+      users,
+      reason: 'group_map_update',
+    });
+    return res.json({
+      ok: true,
+      mappings: saved.mappings,
+      synced: synced.length,
+      revoked: synced.filter((row) => row.revokedUids?.length).length,
+      approvalId: gate.approval?.approvalId || null,
+    });
+  } catch (err) {
+    console.error('[/admin/policies/scim-groups PUT] error:', err);
+    return res.status(500).json({ error: 'admin_scim_group_map_update_failed' });
+  }
+});
+
+// Per-org SCIM bearer tokens. The plaintext is in the issue/rotate response
+// only; issuing or rotating hands out directory write access, so both go
+// through the approval gate. Revocation does not, so a leaked token can be
+// killed at once.
+const SCIM_TOKEN_INPUT_ERRORS = new Set(['scim_token_limit', 'scim_token_not_found', 'scim_token_inactive']);
+
+function scimTokenAdminScope(req) {
+  const licenseId = normalizedLicenseId(req.user.licenseId);
+  return { licenseId, orgId: normalizedOrgId(req.user.orgId || '', licenseId) };
+}
+
+app.get('/admin/policies/scim-tokens', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const { orgId } = scimTokenAdminScope(req);
+    const now = Date.now();
+    const tokens = await withScimTokenUsage(orgId, await getOrgScimTokens(orgId));
+    return res.json({
+      scopeId: makeScopeId({ orgId }),
+      baseUrl: scimBaseUrl(req),
+      tokens: tokens.map((row) => describeScimToken(row, now)).reverse(),
+      limits: SCIM_TOKEN_LIMITS,
+      legacyTokenConfigured: Boolean(SCIM_LEGACY_TOKEN_ENABLED && SCIM_BEARER_TOKEN),
+    });
+  } catch (err) {
+    console.error('[/admin/policies/scim-tokens GET] error:', err);
+    return res.status(500).json({ error: 'admin_scim_token_list_failed' });
+  }
+});
+
+app.post('/admin/policies/scim-tokens', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const { orgId, licenseId } = scimTokenAdminScope(req);
+    const label = String(req.body?.label || '').trim().slice(0, 80);
+    const ttlDays = Number(req.body?.ttlDays || 0) || 0;
+
+    const gate = await resolveSensitiveChangeGate(req, {
+      orgId,
+      licenseId,
+      requestType: 'SCIM_TOKEN_ISSUE',
+      targetType: 'SCIM_TOKEN',
+      targetId: orgId,
+      payload: { label, ttlDays },
+    });
+    if (!gate.ok) {
+      return res.status(gate.statusCode || 409).json(renderApprovalGate(gate));
     }
 
-    const defaultMode = normalizeMode(
-      req.body?.defaultMode || workshop?.mode || DEFAULT_WORKSHOP_MODE
-    );
-    const generated = [];
-    for (let i = 0; i < count; i += 1) {
-      const siteId = targetSites[i % targetSites.length];
-      // eslint-disable-next-line no-await-in-loop
-      const record = await createCodeRecord({
-        role,
-        siteId,
-        siteIds: targetSites,
+    let issued;
+    try {
+      issued = issueScimToken(await getOrgScimTokens(orgId), orgId, {
+        label,
+        ttlDays,
         licenseId,
-        orgId,
-        defaultMode,
-        createdBy: String(req.user?.uid || '').trim() || 'admin',
-        expiresAtMs,
+        createdBy: req.user.uid,
       });
-      generated.push(mapCodeRow(record));
+    } catch (err) {
+      if (SCIM_TOKEN_INPUT_ERRORS.has(err.message)) return res.status(409).json({ error: err.message });
+      throw err;
+    }
+    await saveOrgScimTokens(orgId, issued.records, req.user);
+    if (gate.approval?.approvalId) {
+      await markApprovalConsumed(orgId, gate.approval.approvalId).catch(() => null);
     }
 
     await writeAuditEvent({
-      action: 'ADMIN_CODES_GENERATE',
+      action: 'ADMIN_SCIM_TOKEN_ISSUE',
       actor: req.user,
-      target: {
-        resourceType: 'CODE',
-        resourceId: role,
-        orgId,
-        licenseId,
-        siteId: targetSites[0] || '',
+      target: { resourceType: 'SCIM_TOKEN', resourceId: issued.record.tokenId, orgId, licenseId },
+      details: {
+        label: issued.record.label,
+        expiresAt: issued.record.expiresAt,
+        approvalId: gate.approval?.approvalId || '',
       },
+    });
+
+    return res.status(201).json({
+      ok: true,
+      token: issued.token,
+      record: describeScimToken(issued.record),
+      baseUrl: scimBaseUrl(req),
+      approvalId: gate.approval?.approvalId || null,
+    });
+  } catch (err) {
+    console.error('[/admin/policies/scim-tokens POST] error:', err);
+    return res.status(500).json({ error: 'admin_scim_token_issue_failed' });
+  }
+});
+
+app.post('/admin/policies/scim-tokens/:tokenId/rotate', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const { orgId, licenseId } = scimTokenAdminScope(req);
+    const tokenId = String(req.params.tokenId || '').trim();
+    const overlapHours =
+      req.body?.overlapHours === undefined ? undefined : Number(req.body.overlapHours) || 0;
+
+    const gate = await resolveSensitiveChangeGate(req, {
+      orgId,
+      licenseId,
+      requestType: 'SCIM_TOKEN_ROTATE',
+      targetType: 'SCIM_TOKEN',
+      targetId: tokenId,
+      payload: { tokenId, overlapHours: overlapHours ?? null },
+    });
+    if (!gate.ok) {
+      return res.status(gate.statusCode || 409).json(renderApprovalGate(gate));
+    }
+
+    let rotated;
+    try {
+      rotated = rotateScimToken(await getOrgScimTokens(orgId), orgId, tokenId, {
+        overlapHours,
+        createdBy: req.user.uid,
+      });
+    } catch (err) {
+      if (err.message === 'scim_token_not_found') return res.status(404).json({ error: err.message });
+      if (SCIM_TOKEN_INPUT_ERRORS.has(err.message)) return res.status(409).json({ error: err.message });
+      throw err;
+    }
+    await saveOrgScimTokens(orgId, rotated.records, req.user);
+    if (gate.approval?.approvalId) {
+      await markApprovalConsumed(orgId, gate.approval.approvalId).catch(() => null);
+    }
+
+    await writeAuditEvent({
+      action: 'ADMIN_SCIM_TOKEN_ROTATE',
+      actor: req.user,
+      target: { resourceType: 'SCIM_TOKEN', resourceId: tokenId, orgId, licenseId },
       details: {
-        count: generated.length,
-        role,
-        siteIds: targetSites,
-        expiresAt: expiresAtMs || null,
+        replacedBy: rotated.record.tokenId,
+        retiresAt: rotated.retired.expiresAt,
+        approvalId: gate.approval?.approvalId || '',
       },
     });
 
-    return res.json({
+    return res.status(201).json({
       ok: true,
-      count: generated.length,
-      codes: generated,
+      token: rotated.token,
+      record: describeScimToken(rotated.record),
+      retired: describeScimToken(rotated.retired),
+      baseUrl: scimBaseUrl(req),
+      approvalId: gate.approval?.approvalId || null,
+    });
+  } catch (err) {
+    console.error('[/admin/policies/scim-tokens/:tokenId/rotate POST] error:', err);
+    return res.status(500).json({ error: 'admin_scim_token_rotate_failed' });
+  }
+});
+
+app.delete('/admin/policies/scim-tokens/:tokenId', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const { orgId, licenseId } = scimTokenAdminScope(req);
+    const tokenId = String(req.params.tokenId || '').trim();
+    let result;
+    try {
+      result = revokeScimToken(await getOrgScimTokens(orgId), tokenId, { revokedBy: req.user.uid });
+    } catch (err) {
+      if (err.message === 'scim_token_not_found') return res.status(404).json({ error: err.message });
+      throw err;
+    }
+    await saveOrgScimTokens(orgId, result.records, req.user);
+
+    await writeAuditEvent({
+      action: 'ADMIN_SCIM_TOKEN_REVOKE',
+      actor: req.user,
+      target: { resourceType: 'SCIM_TOKEN', resourceId: tokenId, orgId, licenseId },
+      details: { label: result.revoked.label, lastUsedAt: result.revoked.lastUsedAt },
     });
+
+    return res.json({ ok: true, record: describeScimToken(result.revoked) });
   } catch (err) {
-    console.error('[/admin/codes/generate] error:', err);
-    return res.status(500).json({ error: 'admin_code_generation_failed' });
+    console.error('[/admin/policies/scim-tokens/:tokenId DELETE] error:', err);
+    return res.status(500).json({ error: 'admin_scim_token_revoke_failed' });
   }
 });
 
-app.get('/admin/users', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+// Knowledge library: reference material Asema retrieves from and cites.
+const KNOWLEDGE_INPUT_ERRORS = new Set(['title_required', 'text_required', 'document_too_large']);
+
+function knowledgeOrgFromRequest(req) {
+  const licenseId = normalizedLicenseId(req.user.licenseId);
+  return { licenseId, orgId: normalizedOrgId(req.user.orgId || '', licenseId) };
+}
+
+app.get('/admin/knowledge', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const licenseId = normalizedLicenseId(req.user.licenseId);
-    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const limit = toPositiveInt(req.query?.limit, 200, { min: 1, max: 500 });
-    const out = await listOrgUsers(orgId, limit);
-    const users = Array.isArray(out.items) ? out.items : [];
-    return res.json({ users, nextCursor: out.lastKey ? encodeCursor({ kind: 'org_users', lastKey: out.lastKey }) : null });
+    const { orgId } = knowledgeOrgFromRequest(req);
+    const docs = (await listKnowledgeRows(orgId)).map(mapKnowledgeDoc);
+    return res.json({ orgId, docs, limits: KNOWLEDGE_LIMITS });
   } catch (err) {
-    console.error('[/admin/users GET] error:', err);
-    return res.status(500).json({ error: 'admin_users_list_failed' });
+    console.error('[/admin/knowledge GET] error:', err);
+    return res.status(500).json({ error: 'admin_knowledge_list_failed' });
   }
 });
 
-app.put('/admin/users/:userId', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+app.post('/admin/knowledge', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const licenseId = normalizedLicenseId(req.user.licenseId);
-    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const bodyRole = normalizeOrgUserRole(req.body?.role);
-    if (bodyRole === 'SUPER_ADMIN' && !isSuperAdminReq(req)) {
-      return res.status(403).json({ error: 'super_admin_role_forbidden' });
+    const { orgId, licenseId } = knowledgeOrgFromRequest(req);
+    let row = null;
+    try {
+      row = await saveKnowledgeDoc(orgId, req.body || {}, req.user);
+    } catch (err) {
+      if (KNOWLEDGE_INPUT_ERRORS.has(err?.message)) return res.status(400).json({ error: err.message });
+      if (err?.message === 'knowledge_library_full') return res.status(409).json({ error: err.message });
+      throw err;
     }
-    const fallbackUserId = deriveOrgUserIdFromEmail(req.body?.email || '');
-    const userId = normalizeOrgUserId(req.params.userId || fallbackUserId);
-    if (!userId) return res.status(400).json({ error: 'userId_or_email_required' });
-
-    const user = await saveOrgUser(
-      orgId,
-      userId,
-      {
-        email: req.body?.email,
-        name: req.body?.name,
-        role: bodyRole,
-        siteIds: parseSiteIdsInput(req.body?.siteIds, []),
-        groups: Array.isArray(req.body?.groups) ? req.body.groups : [],
-        active: req.body?.active !== false,
-        invitedBy: req.user.uid,
-        notes: req.body?.notes,
-      },
-      req.user
-    );
-
+    const doc = mapKnowledgeDoc(row);
     await writeAuditEvent({
-      action: 'ADMIN_USER_UPSERT',
+      action: 'ADMIN_KNOWLEDGE_UPLOAD',
       actor: req.user,
-      target: {
-        resourceType: 'ORG_USER',
-        resourceId: userId,
-        orgId,
-        licenseId,
-      },
-      details: {
-        role: user.role,
-        active: !!user.active,
-        siteCount: Array.isArray(user.siteIds) ? user.siteIds.length : 0,
-      },
+      target: { resourceType: 'KNOWLEDGE_DOC', resourceId: doc.docId, orgId, licenseId },
+      details: { title: doc.title, kind: doc.kind, charCount: doc.charCount, chunkCount: doc.chunkCount },
     });
-
-    return res.json({ ok: true, user });
+    return res.status(201).json({ ok: true, doc });
   } catch (err) {
-    console.error('[/admin/users/:userId PUT] error:', err);
-    return res.status(500).json({ error: 'admin_user_upsert_failed' });
+    console.error('[/admin/knowledge POST] error:', err);
+    return res.status(500).json({ error: 'admin_knowledge_upload_failed' });
   }
 });
 
-app.post('/admin/users/:userId/deactivate', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+app.delete('/admin/knowledge/:docId', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const licenseId = normalizedLicenseId(req.user.licenseId);
-    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const userId = normalizeOrgUserId(req.params.userId || '');
-    if (!userId) return res.status(400).json({ error: 'userId_required' });
-    await deactivateOrgUser(orgId, userId);
-
+    const { orgId, licenseId } = knowledgeOrgFromRequest(req);
+    const row = await archiveKnowledgeDoc(orgId, req.params.docId, req.user);
+    if (!row) return res.status(404).json({ error: 'knowledge_doc_not_found' });
     await writeAuditEvent({
-      action: 'ADMIN_USER_DEACTIVATE',
+      action: 'ADMIN_KNOWLEDGE_ARCHIVE',
       actor: req.user,
-      target: {
-        resourceType: 'ORG_USER',
-        resourceId: userId,
-        orgId,
-        licenseId,
-      },
-      details: {},
+      target: { resourceType: 'KNOWLEDGE_DOC', resourceId: row.docId, orgId, licenseId },
+      details: { title: row.title },
     });
-    return res.json({ ok: true });
+    return res.json({ ok: true, docId: row.docId });
   } catch (err) {
-    console.error('[/admin/users/:userId/deactivate] error:', err);
-    return res.status(500).json({ error: 'admin_user_deactivate_failed' });
+    console.error('[/admin/knowledge DELETE] error:', err);
+    return res.status(500).json({ error: 'admin_knowledge_archive_failed' });
   }
 });
 
-app.put('/admin/sites', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+// Preview of what Asema would be handed for a question.
+app.get('/admin/knowledge/search', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const licenseId = normalizedLicenseId(req.user.licenseId);
-    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const currentWorkshop = await ensureWorkshopConfig({
-      licenseId,
-      orgId,
-      siteIds: req.user.siteId ? [req.user.siteId] : [],
-    });
-    const siteIds = parseSiteIdsInput(req.body?.siteIds, currentWorkshop?.siteIds || []);
-    if (!siteIds.length) return res.status(400).json({ error: 'siteIds_required' });
+    const { orgId } = knowledgeOrgFromRequest(req);
+    const query = String(req.query?.q || '').trim().slice(0, 500);
+    if (!query) return res.status(400).json({ error: 'query_required' });
+    const limit = toPositiveInt(req.query?.limit, KNOWLEDGE_PASSAGES_PER_CALL, { min: 1, max: 10 });
+    const passages = searchKnowledge(await getOrgKnowledgeIndex(orgId), query, { limit });
+    return res.json({ query, passages });
+  } catch (err) {
+    console.error('[/admin/knowledge/search GET] error:', err);
+    return res.status(500).json({ error: 'admin_knowledge_search_failed' });
+  }
+});
 
-    const workshop = await saveWorkshopConfig(licenseId, {
-      orgId,
-      siteIds,
-    });
-    await saveOrgRecord(orgId, {
-      orgId,
-      tier: req.body?.tier,
-      siteIds,
-      name: req.body?.name,
-      supportPlan: req.body?.supportPlan,
-      ownerEmail: req.body?.ownerEmail,
-      primaryDomain: req.body?.primaryDomain,
-      notes: req.body?.notes,
-    }, req.user);
-    clearWorkshopTenantCache(licenseId);
+// Prompt versions per workshop mode. A version only overrides the assets it
+// names; the rollout sends a stable share of rooms to the candidate version.
+const PROMPT_INPUT_ERRORS = new Set(['prompt_asset_too_long', 'prompt_assets_required']);
 
-    for (const siteId of workshop.siteIds || []) {
-      for (let i = 1; i <= workshop.roomsPerSite; i++) {
-        // eslint-disable-next-line no-await-in-loop
-        await syncRoomWorkshopConfig(`${siteId}-${i}`, workshop);
-      }
-    }
+function promptVersionSummary(version = {}) {
+  return {
+    versionId: version.versionId,
+    label: version.label,
+    hash: version.hash,
+    basedOn: version.basedOn || '',
+    assetKeys: Object.keys(version.assets || {}),
+    assets: version.assets || {},
+    createdAt: version.createdAt || null,
+    createdBy: version.createdBy || '',
+  };
+}
 
-    await writeAuditEvent({
-      action: 'ADMIN_SITES_UPDATE',
-      actor: req.user,
-      target: {
-        resourceType: 'WORKSHOP',
-        resourceId: licenseId,
-        orgId,
-        licenseId,
-      },
-      details: { siteIds },
+app.get('/admin/prompts', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const { orgId } = knowledgeOrgFromRequest(req);
+    const library = await getPromptLibrary(orgId, req.query?.mode, { fresh: true });
+    return res.json({
+      orgId,
+      mode: library.mode,
+      modes: Object.keys(WORKSHOP_MODE_TEMPLATES),
+      defaults: DEFAULT_PROMPT_ASSETS,
+      defaultsHash: promptAssetsHash(DEFAULT_PROMPT_ASSETS),
+      versions: library.versions.map(promptVersionSummary).reverse(),
+      rollout: library.rollout,
+      updatedAt: library.updatedAt,
     });
-    return res.json({ ok: true, siteIds, workshop });
   } catch (err) {
-    console.error('[/admin/sites PUT] error:', err);
-    return res.status(500).json({ error: 'admin_sites_update_failed' });
+    console.error('[/admin/prompts GET] error:', err);
+    return res.status(500).json({ error: 'admin_prompts_fetch_failed' });
   }
 });
 
-app.get('/admin/license', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+app.post('/admin/prompts', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const licenseId = normalizedLicenseId(req.user.licenseId);
-    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const workshop = await ensureWorkshopConfig({
-      licenseId,
-      orgId,
-      siteIds: req.user.siteId ? [req.user.siteId] : [],
-    });
-    const org = await ensureOrgRecord({
-      orgId,
-      licenseId,
-      siteIds: workshop?.siteIds || [],
-      tier: workshop?.tier || 'STARTER',
-    });
-    const license = await ensureLicenseRecord({
-      licenseId,
-      orgId,
-      seatCap: Number(workshop?.expectedUsers || 30),
-      activeUserCap: Number(workshop?.activeUserCap || workshop?.expectedUsers || 30),
-      tier: org?.tier || 'STARTER',
-    });
-    const usage = await getLicenseUsageSnapshot({
-      licenseId,
-      orgId,
-      siteIds: sanitizeSiteIds(workshop?.siteIds, org?.siteIds || []),
+    const { orgId, licenseId } = knowledgeOrgFromRequest(req);
+    const mode = normalizeMode(req.body?.mode);
+    let version = null;
+    try {
+      version = await createPromptVersion(orgId, mode, req.body || {}, req.user);
+    } catch (err) {
+      if (PROMPT_INPUT_ERRORS.has(err?.message)) return res.status(400).json({ error: err.message });
+      throw err;
+    }
+    await writeAuditEvent({
+      action: 'ADMIN_PROMPT_VERSION_CREATE',
+      actor: req.user,
+      target: { resourceType: 'PROMPT_VERSION', resourceId: version.versionId, orgId, licenseId },
+      details: { mode, label: version.label, hash: version.hash, assetKeys: Object.keys(version.assets) },
     });
-    return res.json({ org, license, workshop, usage });
+    return res.status(201).json({ ok: true, mode, version: promptVersionSummary(version) });
   } catch (err) {
-    console.error('[/admin/license GET] error:', err);
-    return res.status(500).json({ error: 'admin_license_fetch_failed' });
+    console.error('[/admin/prompts POST] error:', err);
+    return res.status(500).json({ error: 'admin_prompt_version_create_failed' });
   }
 });
 
-app.put('/admin/license', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+app.put('/admin/prompts/rollout', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
-    const licenseId = normalizedLicenseId(req.user.licenseId);
-    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const payload = {
-      orgId,
-      status: req.body?.status,
-      tier: req.body?.tier,
-      seatCap: req.body?.seatCap,
-      activeUserCap: req.body?.activeUserCap,
-      usageCap: req.body?.usageCap,
-      expiresAt: req.body?.expiresAt,
-      renewalAt: req.body?.renewalAt,
-      overagePolicy: req.body?.overagePolicy,
-      billingMode: req.body?.billingMode,
-      billingAccountId: req.body?.billingAccountId,
-      notes: req.body?.notes,
-    };
-    const renewDays = Number(req.body?.renewDays || 0);
-    if (Number.isFinite(renewDays) && renewDays > 0) {
-      const now = Date.now();
-      payload.expiresAt = now + Math.round(renewDays) * 24 * 60 * 60 * 1000;
+    const { orgId, licenseId } = knowledgeOrgFromRequest(req);
+    const mode = normalizeMode(req.body?.mode);
+    const rollout = normalizePromptRollout(req.body?.rollout || req.body || {});
+    const library = await getPromptLibrary(orgId, mode, { fresh: true });
+    for (const versionId of [rollout.baseVersionId, rollout.candidateVersionId]) {
+      if (versionId && !findPromptVersion(library, versionId)) {
+        return res.status(400).json({ error: 'prompt_version_not_found', versionId });
+      }
     }
 
     const gate = await resolveSensitiveChangeGate(req, {
       orgId,
       licenseId,
-      requestType: 'LICENSE_CHANGE',
-      targetType: 'LICENSE',
-      targetId: licenseId,
-      payload,
+      requestType: 'PROMPT_ROLLOUT_CHANGE',
+      targetType: 'PROMPT_ROLLOUT',
+      targetId: `${orgId}#${mode}`,
+      payload: { mode, rollout },
     });
     if (!gate.ok) {
       return res.status(gate.statusCode || 409).json(renderApprovalGate(gate));
     }
 
-    const license = await saveLicenseRecord(licenseId, payload, req.user);
-    const workshop = await saveWorkshopConfig(licenseId, {
-      orgId,
-      expectedUsers: license.seatCap,
-      activeUserCap: license.activeUserCap,
-      licenseStatus: license.status,
-      licenseExpiresAt: Number(license.expiresAt || 0) || null,
-    });
-    clearWorkshopTenantCache(licenseId);
+    await savePromptLibrary(orgId, { ...library, rollout }, req.user);
     if (gate.approval?.approvalId) {
       await markApprovalConsumed(orgId, gate.approval.approvalId).catch(() => null);
     }
 
     await writeAuditEvent({
-      action: 'ADMIN_LICENSE_UPDATE',
+      action: 'ADMIN_PROMPT_ROLLOUT_UPDATE',
       actor: req.user,
       target: {
-        resourceType: 'LICENSE',
-        resourceId: licenseId,
+        resourceType: 'PROMPT_ROLLOUT',
+        resourceId: `${orgId}#${mode}`,
         orgId,
         licenseId,
       },
       details: {
-        status: license.status,
-        tier: license.tier,
-        seatCap: license.seatCap,
-        activeUserCap: license.activeUserCap,
-        expiresAt: license.expiresAt,
+        mode,
+        before: library.rollout,
+        rollout,
         approvalId: gate.approval?.approvalId || '',
       },
     });
-    return res.json({ ok: true, license, workshop, approvalId: gate.approval?.approvalId || null });
+
+    return res.json({ ok: true, mode, rollout, approvalId: gate.approval?.approvalId || null });
   } catch (err) {
-    console.error('[/admin/license PUT] error:', err);
-    return res.status(500).json({ error: 'admin_license_update_failed' });
+    console.error('[/admin/prompts/rollout PUT] error:', err);
+    return res.status(500).json({ error: 'admin_prompt_rollout_update_failed' });
+  }
+});
+
+// Replays recorded participant questions from the org's own rooms against
+// two versions ('' is the built-in prompts) and scores both. The stub provider
+// is free and deterministic; `provider: 'policy'` uses the org's real model,
+// metered and budget-guarded like any other call.
+app.post('/admin/prompts/eval', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const { orgId } = knowledgeOrgFromRequest(req);
+    const mode = normalizeMode(req.body?.mode);
+    const library = await getPromptLibrary(orgId, mode, { fresh: true });
+    const arms = { A: String(req.body?.versionA || '').trim(), B: String(req.body?.versionB || '').trim() };
+    for (const versionId of Object.values(arms)) {
+      if (versionId && !findPromptVersion(library, versionId)) {
+        return res.status(400).json({ error: 'prompt_version_not_found', versionId });
+      }
+    }
+    const roomIds = (Array.isArray(req.body?.roomIds) ? req.body.roomIds : [])
+      .map((roomId) => String(roomId || '').trim())
+      .filter(Boolean)
+      .slice(0, 10);
+    if (!roomIds.length) return res.status(400).json({ error: 'room_ids_required' });
+    const limit = toPositiveInt(req.body?.limit, PROMPT_EVAL_MAX_CASES, { min: 1, max: PROMPT_EVAL_MAX_CASES });
+    const useModel = String(req.body?.provider || 'stub').trim().toLowerCase() === 'policy';
+
+    const cases = [];
+    let room = null;
+    for (const roomId of roomIds) {
+      if (cases.length >= limit) break;
+      const candidate = await getRoom(roomId);
+      if (!candidate || roomBillingScope(candidate).orgId !== orgId) {
+        return res.status(404).json({ error: 'room_not_found', roomId });
+      }
+      room = room || candidate;
+      const messages = await getMessagesForRoom(roomId, 800);
+      cases.push(
+        ...transcriptCases({ roomId, topic: candidate.topic || '', messages }, { limit: limit - cases.length })
+      );
+    }
+    if (!cases.length) return res.status(400).json({ error: 'no_eval_cases' });
+
+    const policy = await resolveAiPolicyForRoom(room);
+    const report = await runPromptEval({
+      cases,
+      policy,
+      generate: (arm, testCase) => {
+        const version = findPromptVersion(library, arms[arm]);
+        const options = buildAsemaOptions(room, policy, {
+          source: 'prompt_eval',
+          promptSelection: { prompts: version?.assets || null },
+        });
+        return Asema.replyToUser(testCase.stage, testCase.topic, testCase.input, {
+          ...options,
+          ...(useModel ? {} : { provider: 'stub', fallbackProvider: '', guard: null, onModelCall: null }),
+        });
+      },
+    });
+    return res.json({
+      mode,
+      provider: useModel ? policy.provider || 'default' : 'stub',
+      versions: arms,
+      ...report,
+    });
+  } catch (err) {
+    console.error('[/admin/prompts/eval POST] error:', err);
+    return res.status(500).json({ error: 'admin_prompt_eval_failed' });
+  }
+});
+
+// Moderation decisions for this org, newest first. `blocked=1` narrows the
+// list to what was stopped, which is what most reviews start from.
+app.get('/admin/moderation/decisions', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.user.licenseId);
+    const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
+    const limit = toPositiveInt(req.query?.limit, 100, { min: 1, max: 300 });
+    const blockedOnly = ['1', 'true'].includes(String(req.query?.blocked || '').toLowerCase());
+    const direction = String(req.query?.direction || '').trim().toLowerCase();
+
+    const page = await queryByPartitionKey({
+      tableName: TABLES.audit,
+      indexName: undefined,
+      partitionKey: 'scopeId',
+      partitionValue: orgId,
+      limit: 500,
+      scanForward: false,
+    });
+    const decisions = [];
+    for (const item of page.items || []) {
+      if (item.action !== 'AI_MODERATION_DECISION') continue;
+      const details = parseJsonObject(item.details, {});
+      if (blockedOnly && !details.blocked) continue;
+      if (direction && details.direction !== direction) continue;
+      decisions.push({
+        createdAt: Number(item.createdAt || 0) || null,
+        roomId: String(item.roomId || ''),
+        siteId: normalizedSiteId(item.siteId || ''),
+        actorUid: String(item.actorUid || ''),
+        ...details,
+      });
+      if (decisions.length >= limit) break;
+    }
+    return res.json({ decisions, moderation: moderationPipeline.status() });
+  } catch (err) {
+    console.error('[/admin/moderation/decisions GET] error:', err);
+    return res.status(500).json({ error: 'admin_moderation_fetch_failed' });
+  }
+});
+
+function aiReceiptRow(message = {}) {
+  const receipt = message.aiReceipt && typeof message.aiReceipt === 'object' ? message.aiReceipt : {};
+  const checks = receipt.policyChecks || {};
+  return {
+    createdAt: Number(message.createdAt || 0) || null,
+    roomId: String(message.roomId || ''),
+    stage: String(receipt.stage || message.phase || ''),
+    source: String(receipt.source || ''),
+    partial: !!receipt.partial,
+    provider: String(receipt.model?.provider || ''),
+    model: String(receipt.model?.name || ''),
+    requestedModel: String(receipt.model?.requested || ''),
+    fallbackFrom: String(receipt.model?.fallbackFrom || ''),
+    fallbackModel: !!receipt.model?.fallbackModel,
+    attempts: Number(receipt.model?.attempts || 0),
+    inputTokens: Number(receipt.usage?.inputTokens || 0),
+    outputTokens: Number(receipt.usage?.outputTokens || 0),
+    latencyMs: receipt.latencyMs ?? null,
+    systemPromptSha256: String(receipt.hashes?.systemPrompt || ''),
+    promptSha256: String(receipt.hashes?.prompt || ''),
+    responseSha256: String(receipt.hashes?.response || ''),
+    redactions: Number(checks.redactions || 0),
+    moderation: (Array.isArray(checks.moderation) ? checks.moderation : [])
+      .map((check) => `${check.direction}:${check.stage}/${check.classifier}${check.blocked ? ':blocked' : ''}`)
+      .join(' '),
+    passed: checks.passed !== false,
+    flags: (Array.isArray(checks.flags) ? checks.flags : []).join(' '),
+    citedSources: (Array.isArray(receipt.sources) ? receipt.sources : [])
+      .filter((source) => source.cited)
+      .map((source) => `${source.docId}#${source.chunkIndex}`)
+      .join(' '),
+    promptVersion: String(receipt.promptVersion?.versionId || ''),
+    promptArm: String(receipt.promptVersion?.arm || ''),
+    toolCalls: (Array.isArray(receipt.toolCalls) ? receipt.toolCalls : [])
+      .map((call) => `${call.name}:${call.ok ? 'ok' : call.error || 'refused'}`)
+      .join(' '),
+  };
+}
+
+app.get(
+  '/admin/rooms/:roomId/ai-receipts',
+  requireAuth,
+  requireAdmin,
+  requireAdminLicense,
+  requireRoomAccess,
+  async (req, res) => {
+    try {
+      const roomId = req.room.roomId;
+      const format = String(req.query?.format || 'json').trim().toLowerCase();
+      const limit = toPositiveInt(req.query?.limit, 400, { min: 1, max: 800 });
+      const messages = await getMessagesForRoom(roomId, limit);
+      const items = messages
+        .filter((message) => message.aiReceipt && typeof message.aiReceipt === 'object')
+        .map((message) => ({ ...message, roomId }));
+
+      if (format === 'csv') {
+        const rows = items.map(aiReceiptRow);
+        const headers = Object.keys(aiReceiptRow({}));
+        const esc = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+        const csv = [headers.join(','), ...rows.map((row) => headers.map((h) => esc(row[h])).join(','))].join(
+          '\n'
+        );
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="ai-receipts-${roomId}.csv"`);
+        return res.status(200).send(csv);
+      }
+
+      return res.json({
+        roomId,
+        receipts: items.map((message) => ({
+          createdAt: Number(message.createdAt || 0) || null,
+          text: clipText(String(message.text || ''), 280),
+          streamId: String(message.streamId || ''),
+          aiReceipt: message.aiReceipt,
+        })),
+      });
+    } catch (err) {
+      console.error('[/admin/rooms/:roomId/ai-receipts GET] error:', err);
+      return res.status(500).json({ error: 'admin_ai_receipts_failed' });
+    }
   }
-});
+);
 
-app.get('/admin/feature-flags', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+app.get('/admin/policies/sso', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
     const licenseId = normalizedLicenseId(req.user.licenseId);
     const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const license = (await ensureLicenseRecord({
-      licenseId,
-      orgId,
-      seatCap: 30,
-      activeUserCap: 30,
-      tier: 'STARTER',
-    })) || {};
-
-    const tier = normalizeLicenseTier(license.tier || 'STARTER');
-    const orgScope = makeScopeId({ orgId, licenseId });
-    const licenseScope = makeScopeId({ licenseId });
-    const tierScope = makeScopeId({ tier });
-    const [effective, orgRows, licenseRows, tierRows] = await Promise.all([
-      getEffectiveFeatureFlags({ orgId, licenseId, tier }),
-      listFeatureFlags(orgScope),
-      listFeatureFlags(licenseScope),
-      listFeatureFlags(tierScope),
-    ]);
-
+    const config = (await getOrgSsoConfig(orgId)) || normalizeOidcConfig({});
     return res.json({
-      effective,
-      tierDefaults: FEATURE_FLAG_DEFAULTS_BY_TIER[tier] || {},
-      tierOverrides: tierRows,
-      orgOverrides: orgRows,
-      licenseOverrides: licenseRows,
-      scope: {
-        org: orgScope,
-        license: licenseScope,
-      },
+      scopeId: makeScopeId({ orgId }),
+      config: redactOidcConfig(config),
+      updatedAt: Number(config.updatedAt || 0) || null,
     });
   } catch (err) {
-    console.error('[/admin/feature-flags GET] error:', err);
-    return res.status(500).json({ error: 'admin_feature_flags_fetch_failed' });
+    console.error('[/admin/policies/sso GET] error:', err);
+    return res.status(500).json({ error: 'admin_sso_config_fetch_failed' });
   }
 });
 
-app.put('/admin/feature-flags', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+app.put('/admin/policies/sso', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
     const licenseId = normalizedLicenseId(req.user.licenseId);
     const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const scopeRaw = String(req.body?.scope || 'ORG').trim().toUpperCase();
-    const scopeId = scopeRaw === 'LICENSE' ? makeScopeId({ licenseId }) : makeScopeId({ orgId, licenseId });
-    const flags = normalizeFeatureFlagPatch(req.body?.flags || req.body || {});
-    if (!Object.keys(flags).length) {
-      return res.status(400).json({ error: 'flags_required' });
+    const scopeId = makeScopeId({ orgId });
+    const configInput = req.body?.config && typeof req.body.config === 'object'
+      ? req.body.config
+      : req.body || {};
+    if (configInput.provider !== undefined && !normalizeOidcProvider(configInput.provider)) {
+      return res.status(400).json({ error: 'unsupported_sso_provider' });
     }
-    const saved = await saveFeatureFlags(scopeId, flags, req.user);
-    const license = await ensureLicenseRecord({
-      licenseId,
-      orgId,
-      seatCap: 30,
-      activeUserCap: 30,
-      tier: 'STARTER',
-    });
-    const effective = await getEffectiveFeatureFlags({
+
+    const gate = await resolveSensitiveChangeGate(req, {
       orgId,
       licenseId,
-      tier: license?.tier || 'STARTER',
+      requestType: 'SSO_CONFIG_CHANGE',
+      targetType: 'SSO_CONFIG',
+      targetId: scopeId,
+      payload: redactOidcConfig(configInput),
     });
+    if (!gate.ok) {
+      return res.status(gate.statusCode || 409).json(renderApprovalGate(gate));
+    }
+
+    const saved = await saveOrgSsoConfig(orgId, configInput, req.user);
+    if (gate.approval?.approvalId) {
+      await markApprovalConsumed(orgId, gate.approval.approvalId).catch(() => null);
+    }
 
     await writeAuditEvent({
-      action: 'ADMIN_FEATURE_FLAGS_UPDATE',
+      action: 'ADMIN_SSO_CONFIG_UPDATE',
       actor: req.user,
       target: {
-        resourceType: 'FEATURE_FLAGS',
+        resourceType: 'SSO_CONFIG',
         resourceId: scopeId,
         orgId,
         licenseId,
       },
-      details: { flags },
+      details: {
+        config: redactOidcConfig(saved.config),
+        approvalId: gate.approval?.approvalId || '',
+      },
+    });
+
+    return res.json({
+      ok: true,
+      scopeId,
+      config: redactOidcConfig(saved.config),
+      approvalId: gate.approval?.approvalId || null,
     });
-    return res.json({ ok: true, scopeId, saved, effective });
   } catch (err) {
-    console.error('[/admin/feature-flags PUT] error:', err);
-    return res.status(500).json({ error: 'admin_feature_flags_update_failed' });
+    console.error('[/admin/policies/sso PUT] error:', err);
+    return res.status(500).json({ error: 'admin_sso_config_update_failed' });
   }
 });
 
-app.get('/admin/policies/ai', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+app.get('/admin/policies/saml', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
     const licenseId = normalizedLicenseId(req.user.licenseId);
     const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const scopeId = makeScopeId({ orgId, licenseId });
-    const policyRow = await getPolicy(scopeId, 'AI');
-    const policy = normalizeAiPolicy(parseJsonObject(policyRow?.policy, AI_POLICY_DEFAULT));
-    return res.json({ scopeId, policy, updatedAt: Number(policyRow?.updatedAt || 0) || null });
+    const config = (await getOrgSamlConfig(orgId)) || normalizeSamlConfig({});
+    return res.json({
+      scopeId: makeScopeId({ orgId }),
+      config,
+      certificates: describeSamlCertificates(config.idpCertificates),
+      serviceProvider: samlServiceProviderUrls(req, orgId),
+      updatedAt: Number(config.updatedAt || 0) || null,
+    });
   } catch (err) {
-    console.error('[/admin/policies/ai GET] error:', err);
-    return res.status(500).json({ error: 'admin_ai_policy_fetch_failed' });
+    console.error('[/admin/policies/saml GET] error:', err);
+    return res.status(500).json({ error: 'admin_saml_config_fetch_failed' });
   }
 });
 
-app.put('/admin/policies/ai', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
+app.put('/admin/policies/saml', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
     const licenseId = normalizedLicenseId(req.user.licenseId);
     const orgId = normalizedOrgId(req.user.orgId || '', licenseId);
-    const scopeId = makeScopeId({ orgId, licenseId });
-    const policyInput = req.body?.policy && typeof req.body.policy === 'object'
-      ? req.body.policy
+    const scopeId = makeScopeId({ orgId });
+    const configInput = req.body?.config && typeof req.body.config === 'object'
+      ? req.body.config
       : req.body || {};
+    const preview = normalizeSamlConfig(configInput);
+    if (configInput.idpCertificates !== undefined
+      && describeSamlCertificates(preview.idpCertificates).some((cert) => cert.invalid)) {
+      return res.status(400).json({ error: 'saml_certificate_invalid' });
+    }
 
     const gate = await resolveSensitiveChangeGate(req, {
       orgId,
       licenseId,
-      requestType: 'AI_POLICY_CHANGE',
-      targetType: 'AI_POLICY',
+      requestType: 'SAML_CONFIG_CHANGE',
+      targetType: 'SAML_CONFIG',
       targetId: scopeId,
-      payload: policyInput,
+      payload: configInput,
     });
     if (!gate.ok) {
       return res.status(gate.statusCode || 409).json(renderApprovalGate(gate));
     }
 
-    const saved = await saveAiPolicy(scopeId, policyInput, req.user);
+    const saved = await saveOrgSamlConfig(orgId, configInput, req.user);
     if (gate.approval?.approvalId) {
       await markApprovalConsumed(orgId, gate.approval.approvalId).catch(() => null);
     }
 
     await writeAuditEvent({
-      action: 'ADMIN_AI_POLICY_UPDATE',
+      action: 'ADMIN_SAML_CONFIG_UPDATE',
       actor: req.user,
       target: {
-        resourceType: 'AI_POLICY',
+        resourceType: 'SAML_CONFIG',
         resourceId: scopeId,
         orgId,
         licenseId,
       },
       details: {
-        policy: saved.policy,
+        enabled: saved.config.enabled,
+        idpEntityId: saved.config.idpEntityId,
+        idpSsoUrl: saved.config.idpSsoUrl,
+        certificates: describeSamlCertificates(saved.config.idpCertificates),
         approvalId: gate.approval?.approvalId || '',
       },
     });
@@ -14676,12 +19374,13 @@ app.put('/admin/policies/ai', requireAuth, requireAdmin, requireAdminLicense, as
     return res.json({
       ok: true,
       scopeId,
-      policy: saved.policy,
+      config: saved.config,
+      certificates: describeSamlCertificates(saved.config.idpCertificates),
       approvalId: gate.approval?.approvalId || null,
     });
   } catch (err) {
-    console.error('[/admin/policies/ai PUT] error:', err);
-    return res.status(500).json({ error: 'admin_ai_policy_update_failed' });
+    console.error('[/admin/policies/saml PUT] error:', err);
+    return res.status(500).json({ error: 'admin_saml_config_update_failed' });
   }
 });
 
@@ -15220,6 +19919,29 @@ app.post('/admin/billing/invoices', requireAuth, requireAdmin, requireAdminLicen
   }
 });
 
+// Stripe webhooks. Authenticated by the Stripe-Signature header alone; a
+// non-2xx answer makes Stripe retry, so only our own failures return one.
+app.post('/billing/webhooks/stripe', async (req, res) => {
+  if (!BILLING_WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'billing_webhook_not_configured' });
+  }
+  let event;
+  try {
+    event = verifyStripeSignature(req.rawBody || '', req.headers['stripe-signature'], BILLING_WEBHOOK_SECRET);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const result = await applyStripeWebhook(event);
+    // Another delivery is applying this event right now; a retry settles it.
+    if (result.inFlight) return res.status(409).json({ error: 'billing_webhook_in_flight' });
+    return res.json({ received: true, ...result });
+  } catch (err) {
+    console.error('[/billing/webhooks/stripe POST] error:', err);
+    return res.status(500).json({ error: 'billing_webhook_failed' });
+  }
+});
+
 app.get('/admin/support/tickets', requireAuth, requireAdmin, requireAdminLicense, async (req, res) => {
   try {
     const licenseId = normalizedLicenseId(req.user.licenseId);
@@ -15412,14 +20134,7 @@ app.get('/super-admin/ops', requireAuth, requireSuperAdmin, async (req, res) =>
       health: {
         apiOk: true,
         region: AWS_REGION,
-        openaiEnabled: (() => {
-          try {
-            getOpenAI();
-            return true;
-          } catch {
-            return false;
-          }
-        })(),
+        openaiEnabled: defaultLlmProviderReady(),
         statusPageUrl: STATUS_PAGE_URL,
         supportEscalationEmail: SUPPORT_ESCALATION_EMAIL,
         requestsTotal: runtimeMetrics.requestsTotal,
@@ -15530,6 +20245,82 @@ app.put('/super-admin/orgs/:orgId', requireAuth, requireSuperAdmin, async (req,
   }
 });
 
+function isPriceBookError(err) {
+  return /^(price|discount|credit)_/.test(String(err?.message || ''));
+}
+
+function priceBookAuditDetails(book = {}) {
+  return {
+    currency: book.currency,
+    plans: Object.keys(book.plans || {}),
+    discounts: (book.discounts || []).map((discount) => discount.id),
+    credits: (book.credits || []).map((credit) => `${credit.id}:${credit.periodKey}:${credit.amountCents}`),
+  };
+}
+
+app.get('/super-admin/billing/price-book', requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const stored = await getPriceBook(makeScopeId({ global: true }));
+    return res.json({ priceBook: await getPlatformPriceBook(), customized: !!stored, defaults: DEFAULT_PRICE_BOOK });
+  } catch (err) {
+    console.error('[/super-admin/billing/price-book GET] error:', err);
+    return res.status(500).json({ error: 'price_book_fetch_failed' });
+  }
+});
+
+// The platform book prices plans only; discounts and credits are per org.
+app.put('/super-admin/billing/price-book', requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const priceBook = await savePriceBook(
+      makeScopeId({ global: true }),
+      { currency: req.body?.currency, plans: req.body?.plans || {} },
+      req.user
+    );
+    await writeAuditEvent({
+      action: 'SUPER_ADMIN_PRICE_BOOK_UPDATE',
+      actor: req.user,
+      target: { resourceType: 'PRICE_BOOK', resourceId: 'GLOBAL' },
+      details: priceBookAuditDetails(priceBook),
+    });
+    return res.json({ ok: true, priceBook: await getPlatformPriceBook() });
+  } catch (err) {
+    if (isPriceBookError(err)) return res.status(400).json({ error: err.message });
+    console.error('[/super-admin/billing/price-book PUT] error:', err);
+    return res.status(500).json({ error: 'price_book_save_failed' });
+  }
+});
+
+app.get('/super-admin/orgs/:orgId/price-book', requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const orgId = normalizedOrgId(req.params.orgId || '');
+    if (!orgId) return res.status(400).json({ error: 'orgId_required' });
+    const [priceBook, effective] = await Promise.all([getOrgPriceBook(orgId), getEffectivePriceBook(orgId)]);
+    return res.json({ orgId, priceBook, effective });
+  } catch (err) {
+    console.error('[/super-admin/orgs/:orgId/price-book GET] error:', err);
+    return res.status(500).json({ error: 'price_book_fetch_failed' });
+  }
+});
+
+app.put('/super-admin/orgs/:orgId/price-book', requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const orgId = normalizedOrgId(req.params.orgId || '');
+    if (!orgId) return res.status(400).json({ error: 'orgId_required' });
+    const priceBook = await savePriceBook(makeScopeId({ orgId }), req.body || {}, req.user);
+    await writeAuditEvent({
+      action: 'SUPER_ADMIN_PRICE_BOOK_UPDATE',
+      actor: req.user,
+      target: { resourceType: 'PRICE_BOOK', resourceId: orgId, orgId },
+      details: priceBookAuditDetails(priceBook),
+    });
+    return res.json({ ok: true, orgId, priceBook, effective: await getEffectivePriceBook(orgId) });
+  } catch (err) {
+    if (isPriceBookError(err)) return res.status(400).json({ error: err.message });
+    console.error('[/super-admin/orgs/:orgId/price-book PUT] error:', err);
+    return res.status(500).json({ error: 'price_book_save_failed' });
+  }
+});
+
 app.get('/super-admin/licenses', requireAuth, requireSuperAdmin, async (req, res) => {
   try {
     const limit = toPositiveInt(req.query?.limit, 160, { min: 1, max: 500 });
@@ -15682,12 +20473,22 @@ app.put('/super-admin/licenses/:licenseId', requireAuth, requireSuperAdmin, asyn
     const current = await getLicenseRecord(licenseId);
     if (!current) return res.status(404).json({ error: 'license_not_found' });
     const orgId = normalizedOrgId(req.body?.orgId || current.orgId || '', licenseId);
+    // Lifting a dunning suspension by hand restarts the grace period rather
+    // than letting the next dunning sweep suspend the license again.
+    const liftsDunning =
+      current.billing?.suspendedBy === 'DUNNING' &&
+      normalizeLicenseState(current.status) === 'SUSPENDED' &&
+      req.body?.status !== undefined &&
+      normalizeLicenseState(req.body.status) !== 'SUSPENDED';
 
     const license = await saveLicenseRecord(
       licenseId,
       {
         ...req.body,
         orgId,
+        billing: liftsDunning
+          ? { ...current.billing, suspendedBy: '', delinquentSince: Date.now(), remindersSent: [] }
+          : undefined,
       },
       req.user
     );
@@ -15732,6 +20533,56 @@ app.put('/super-admin/licenses/:licenseId', requireAuth, requireSuperAdmin, asyn
   }
 });
 
+app.post('/super-admin/licenses/:licenseId/billing-sync', requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const licenseId = normalizedLicenseId(req.params.licenseId || '');
+    if (!licenseId) return res.status(400).json({ error: 'licenseId_required' });
+    let result;
+    try {
+      result = await syncLicenseBilling(licenseId, req.user);
+    } catch (err) {
+      if (err.message === 'license_not_found') return res.status(404).json({ error: err.message });
+      if (err.message === 'billing_provider_not_stripe') return res.status(409).json({ error: err.message });
+      if (err.message === 'stripe_request_failed') {
+        return res.status(502).json({ error: err.message, detail: err.detail || '' });
+      }
+      throw err;
+    }
+
+    await writeAuditEvent({
+      action: 'SUPER_ADMIN_BILLING_SYNC',
+      actor: req.user,
+      target: { resourceType: 'LICENSE', resourceId: licenseId, orgId: result.orgId, licenseId },
+      details: { customerId: result.customerId, subscriptionId: result.subscriptionId, priceId: result.priceId },
+    });
+    return res.json({
+      ok: true,
+      customerId: result.customerId,
+      subscriptionId: result.subscriptionId,
+      account: describeBillingAccount(result.license.billing || {}, BILLING_DUNNING_POLICY),
+    });
+  } catch (err) {
+    console.error('[/super-admin/licenses/:licenseId/billing-sync POST] error:', err);
+    return res.status(500).json({ error: 'super_admin_billing_sync_failed' });
+  }
+});
+
+app.post('/super-admin/billing/dunning/run', requireAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const result = await runDunningCycle();
+    await writeAuditEvent({
+      action: 'SUPER_ADMIN_DUNNING_RUN',
+      actor: req.user,
+      target: { resourceType: 'BILLING', resourceId: 'DUNNING' },
+      details: { checked: result.checked, reminded: result.reminded.length, suspended: result.suspended },
+    });
+    return res.json({ ok: true, ...result, policy: BILLING_DUNNING_POLICY });
+  } catch (err) {
+    console.error('[/super-admin/billing/dunning/run POST] error:', err);
+    return res.status(500).json({ error: 'super_admin_dunning_run_failed' });
+  }
+});
+
 app.get('/super-admin/approvals', requireAuth, requireSuperAdmin, async (req, res) => {
   try {
     const limit = toPositiveInt(req.query?.limit, 200, { min: 1, max: 500 });
@@ -16326,14 +21177,17 @@ app.post('/codes/consume', requireAuth, async (req, res) => {
 // ---------- Server-Sent Events ----------
 app.get('/rooms/:roomId/events', requireAuth, requireRoomAccess, async (req, res) => {
   const roomId = req.params.roomId;
+  const lastEventId = requestedLastEventId(req);
   const stopHeartbeat = setupSseResponse(res);
   const detach = attachSseClient(roomEventStreams, roomId, res);
+  const resumed = resumeSseClient(res, roomEventReplay, roomId, lastEventId, { roomId });
 
   const room = await advanceRoomTimeline(roomId, { room: req.room });
   writeSseEvent(res, 'ready', {
     roomId,
     siteId: room.siteId || parseRoomId(roomId).siteId,
     event: 'ready',
+    resumed,
     at: Date.now(),
   });
 
@@ -16362,14 +21216,17 @@ app.get(
     return res.status(400).json({ error: 'siteId required' });
   }
 
+  const lastEventId = requestedLastEventId(req);
   const stopHeartbeat = setupSseResponse(res);
   const detach = attachSseClient(presenterEventStreams, siteId, res, {
     upperCase: true,
   });
+  const resumed = resumeSseClient(res, presenterEventReplay, siteId, lastEventId, { siteId });
 
   writeSseEvent(res, 'ready', {
     siteId,
     event: 'ready',
+    resumed,
     at: Date.now(),
   });
 
@@ -16432,6 +21289,223 @@ app.get('/super-admin/events', requireAuth, requireSuperAdmin, async (req, res)
   });
 });
 
+// ---------- Room WebSocket ----------
+// Optional bidirectional transport for rooms. Every frame goes through the same
+// guards and room actions as the REST routes, and events mirror the SSE stream.
+const ROOM_SOCKET_GUARDED_ACTIONS = new Set([
+  'chat.send',
+  'vote.submit',
+  'canvas.update',
+  'canvas.board',
+]);
+
+function prepareRoomSocketRequest(req, url, roomId) {
+  req.query = Object.fromEntries(url.searchParams);
+  req.params = { roomId };
+  req.path = url.pathname;
+  req.body = {};
+  req.ip = String(req.headers['x-forwarded-for'] || req.socket?.remoteAddress || '')
+    .split(',')[0]
+    .trim();
+  req.get = (name) => req.headers[String(name || '').toLowerCase()];
+  return req;
+}
+
+// Runs Express-style guards outside of a route and reports the first rejection.
+async function runRouteGuards(req, guards) {
+  for (const guard of guards) {
+    const outcome = await new Promise((resolve, reject) => {
+      const res = {
+        statusCode: 200,
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          resolve({ ok: false, statusCode: this.statusCode, body });
+          return this;
+        },
+      };
+      Promise.resolve(guard(req, res, () => resolve({ ok: true }))).catch(reject);
+    });
+    if (!outcome.ok) return outcome;
+  }
+  return { ok: true };
+}
+
+function rejectSocketUpgrade(socket, statusCode, body = {}) {
+  const payload = JSON.stringify(body);
+  socket.write(
+    `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode] || 'Error'}\r\n` +
+      'Content-Type: application/json\r\n' +
+      `Content-Length: ${Buffer.byteLength(payload)}\r\n` +
+      'Connection: close\r\n\r\n' +
+      payload
+  );
+  socket.destroy();
+}
+
+async function dispatchRoomSocketAction(type, roomId, req, data) {
+  if (type === 'chat.send') return submitRoomMessage(roomId, req.user, data);
+  if (type === 'vote.submit') return submitRoomVote(roomId, req.user, data);
+  if (type === 'gallery_ballot.submit') return submitGalleryBallot(roomId, req.user, data);
+  if (type === 'canvas.update') {
+    return updateRoomCanvas(roomId, req.room || (await ensureRoom(roomId)), req.user, data);
+  }
+  if (type === 'typing') return recordTypingPresence(roomId, req.room, req.user, data);
+  if (type === 'canvas.cursor') return updateCanvasCursor(roomId, req.room, req.user, data);
+  if (type === 'canvas.board') {
+    return updateStickyBoard(roomId, req.room || (await ensureRoom(roomId)), req.user, data);
+  }
+  if (type === 'presence.heartbeat') touchSessionHeartbeat(req.user, req);
+  return roomActionResult(200, { ok: true, at: Date.now() });
+}
+
+function handleRoomSocket(ws, req, roomId) {
+  const detach = roomSockets.add(roomId, ws);
+  const allowFrame = createFrameRateLimiter();
+  let authorizedAt = Date.now();
+  let queue = Promise.resolve();
+  let alive = true;
+
+  const lastEventId = requestedLastEventId(req);
+  let resumed = false;
+  if (lastEventId) {
+    const missed = roomEventReplay.since(roomId, lastEventId);
+    if (missed) {
+      resumed = true;
+      for (const entry of missed) ws.send(socketEventFrame(entry.event, entry.payload, entry.id));
+    } else {
+      ws.send(
+        socketEventFrame('resync_required', {
+          roomId,
+          event: 'resync_required',
+          lastEventId,
+          at: Date.now(),
+        })
+      );
+    }
+  }
+  ws.send(
+    socketEventFrame('ready', {
+      roomId,
+      siteId: req.room?.siteId || parseRoomId(roomId).siteId,
+      event: 'ready',
+      resumed,
+      at: Date.now(),
+    })
+  );
+
+  // Access tokens are short-lived; clients reconnect with a refreshed one.
+  const expiresInMs = Number(req.user?.exp || 0) * 1000 - Date.now();
+  const expiryTimer = expiresInMs > 0
+    ? setTimeout(() => ws.close(ROOM_SOCKET_CLOSE.unauthorized, 'token_expired'), expiresInMs)
+    : null;
+  if (expiryTimer && typeof expiryTimer.unref === 'function') expiryTimer.unref();
+
+  const heartbeat = setInterval(() => {
+    if (!alive) {
+      ws.terminate();
+      return;
+    }
+    alive = false;
+    ws.ping();
+  }, 25_000);
+  if (typeof heartbeat.unref === 'function') heartbeat.unref();
+  ws.on('pong', () => {
+    alive = true;
+  });
+
+  const roomTick = setInterval(() => {
+    advanceRoomTimeline(roomId).catch((err) => {
+      console.error('[room socket] room tick error:', roomId, err?.message || err);
+    });
+  }, 1_000);
+  if (typeof roomTick.unref === 'function') roomTick.unref();
+
+  async function handleFrame(raw) {
+    const parsed = parseRoomSocketFrame(raw);
+    if (!parsed.ok) {
+      ws.send(socketErrorFrame(parsed.error, parsed.requestId));
+      return;
+    }
+    const { type, requestId, data } = parsed.frame;
+    if (!allowFrame()) {
+      ws.send(socketAckFrame(requestId, roomActionResult(429, { error: 'rate_limited' })));
+      return;
+    }
+
+    if (ROOM_SOCKET_GUARDED_ACTIONS.has(type) || Date.now() - authorizedAt > ROOM_SOCKET_REAUTH_MS) {
+      req.body = data;
+      const outcome = await runRouteGuards(req, [requireAuth, requireRoomAccess]);
+      if (!outcome.ok) {
+        const code = outcome.statusCode === 401
+          ? ROOM_SOCKET_CLOSE.unauthorized
+          : ROOM_SOCKET_CLOSE.forbidden;
+        ws.send(socketAckFrame(requestId, roomActionResult(outcome.statusCode, outcome.body)));
+        ws.close(code, String(outcome.body?.error || '').slice(0, 120));
+        return;
+      }
+      authorizedAt = Date.now();
+    }
+
+    let result = null;
+    try {
+      result = await dispatchRoomSocketAction(type, roomId, req, data);
+    } catch (err) {
+      console.error(`[room socket] ${type} error:`, err);
+      result = roomActionResult(500, { error: `${type.replace('.', '_')}_failed` });
+    }
+    if (requestId && ws.readyState === ws.OPEN) ws.send(socketAckFrame(requestId, result));
+  }
+
+  ws.on('message', (raw) => {
+    queue = queue.then(() => handleFrame(raw)).catch((err) => {
+      console.error('[room socket] frame error:', roomId, err);
+    });
+  });
+  ws.on('close', () => {
+    detach();
+    clearTimeout(expiryTimer);
+    clearInterval(heartbeat);
+    clearInterval(roomTick);
+  });
+  ws.on('error', (err) => {
+    console.warn('[room socket] connection error:', roomId, err?.message || err);
+  });
+}
+
+function attachRoomSocketServer(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const roomId = matchRoomSocketPath(url.pathname);
+    if (!roomId) {
+      rejectSocketUpgrade(socket, 404, { error: 'Not found' });
+      return;
+    }
+    const origin = String(req.headers.origin || '');
+    if (origin && CORS_ORIGINS.length && !CORS_ORIGINS.includes(origin)) {
+      rejectSocketUpgrade(socket, 403, { error: 'origin_not_allowed' });
+      return;
+    }
+    prepareRoomSocketRequest(req, url, roomId);
+    runRouteGuards(req, [requireAuth, requireRoomAccess])
+      .then((outcome) => {
+        if (!outcome.ok) {
+          rejectSocketUpgrade(socket, outcome.statusCode, outcome.body);
+          return;
+        }
+        wss.handleUpgrade(req, socket, head, (ws) => handleRoomSocket(ws, req, roomId));
+      })
+      .catch((err) => {
+        console.error('[room socket] upgrade error:', err);
+        rejectSocketUpgrade(socket, 500, { error: 'room_socket_failed' });
+      });
+  });
+  return wss;
+}
+
 // ---------- Static (optional SPA) ----------
 function hasIndex(dir) {
   try {
@@ -16527,7 +21601,7 @@ app.use((err, _req, res, _next) => {
 });
 
 // ---------- Listen ----------
-app.listen(PORT, () => {
+const httpServer = app.listen(PORT, () => {
   console.log(`API listening on 0.0.0.0:${PORT}`);
   console.log(`[env] region=${AWS_REGION}`);
   console.log(`[env] endpoint=${AWS_DYNAMO_ENDPOINT || '(default)'}`);
@@ -16536,6 +21610,17 @@ app.listen(PORT, () => {
   );
   console.log(`[env] SPA=${ENABLE_SPA} dist=${WEB_DIST_DIR} present=${distHasIndex}`);
 
+  streamEventBus
+    .start()
+    .then(() =>
+      console.log(
+        `[event-bus] backend=${streamEventBus.backend} instance=${streamEventBus.instanceId}`
+      )
+    )
+    .catch((err) =>
+      console.warn('[event-bus] start failed, events stay local:', err?.message || err)
+    );
+
   if (SUPPORT_AUTO_ESCALATE_ENABLED) {
     console.log(
       `[support] overdue escalation automation enabled (interval=${SUPPORT_AUTO_ESCALATE_INTERVAL_MS}ms)`
@@ -16573,6 +21658,19 @@ app.listen(PORT, () => {
     console.log('[support] overdue escalation automation disabled');
   }
 
+  if (BILLING_AUTOMATION_ENABLED) {
+    const dunningTimer = setInterval(() => {
+      runDunningCycle()
+        .then((out) => {
+          if (out.reminded.length || out.suspended.length) {
+            console.log(`[billing] dunning reminded ${out.reminded.length}, suspended ${out.suspended.length}`);
+          }
+        })
+        .catch((err) => console.warn('[billing] dunning cycle failed:', err?.message || err));
+    }, BILLING_DUNNING_INTERVAL_MS);
+    if (typeof dunningTimer.unref === 'function') dunningTimer.unref();
+  }
+
   if (RELIABILITY_AUTO_BACKUP_ENABLED) {
     console.log(
       `[reliability] auto backup enabled (interval=${RELIABILITY_AUTO_BACKUP_INTERVAL_MS}ms mode=${RELIABILITY_BACKUP_EXECUTION_MODE})`
@@ -16598,3 +21696,8 @@ app.listen(PORT, () => {
     console.log('[reliability] auto backup checkpoint disabled');
   }
 });
+
+if (ROOM_SOCKET_ENABLED) {
+  attachRoomSocketServer(httpServer);
+  console.log('[room socket] WebSocket transport enabled at /rooms/:roomId/socket');
+}
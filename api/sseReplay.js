@@ -0,0 +1,89 @@
+const DEFAULT_CAPACITY = 200;
+const DEFAULT_MAX_STREAMS = 5_000;
+
+// IDs are `<epochMs>-<seq>-<origin>`: monotonic on the publishing instance,
+// and ordered by (time, sequence, origin) across instances so two instances
+// publishing in the same millisecond never collide and peers can still place
+// each event in sequence.
+export function createStreamEventIdGenerator({ now = () => Date.now(), origin = '' } = {}) {
+  const suffix = String(origin || '').replace(/[^A-Za-z0-9]/g, '').slice(0, 32);
+  let lastMs = 0;
+  let seq = 0;
+  return () => {
+    const ms = now();
+    if (ms > lastMs) {
+      lastMs = ms;
+      seq = 0;
+    } else {
+      seq += 1;
+    }
+    return suffix ? `${lastMs}-${seq}-${suffix}` : `${lastMs}-${seq}`;
+  };
+}
+
+export function parseStreamEventId(value) {
+  const match = /^(\d{1,15})-(\d{1,9})(?:-([A-Za-z0-9]{1,32}))?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return { ms: Number(match[1]), seq: Number(match[2]), origin: match[3] || '' };
+}
+
+export function compareStreamEventIds(a, b) {
+  return a.ms - b.ms || a.seq - b.seq || (a.origin < b.origin ? -1 : a.origin > b.origin ? 1 : 0);
+}
+
+// Bounded per-stream ring buffers (one per room or site). Map order tracks
+// recency, so when too many streams are buffered the idle ones go first.
+export function createSseReplayBuffer({
+  capacity = DEFAULT_CAPACITY,
+  maxStreams = DEFAULT_MAX_STREAMS,
+} = {}) {
+  const streams = new Map(); // key -> [{ id, event, payload }]
+
+  function remember(key, entry) {
+    if (!key || !entry?.id) return;
+    let buffer = streams.get(key);
+    if (buffer) {
+      streams.delete(key);
+    } else {
+      buffer = [];
+      if (streams.size >= maxStreams) streams.delete(streams.keys().next().value);
+    }
+    streams.set(key, buffer);
+    // Events from other instances can arrive late; keep the buffer in id
+    // order so buffer[0] really is the oldest event it holds.
+    const parsed = parseStreamEventId(entry.id);
+    let idx = buffer.length;
+    while (parsed && idx > 0) {
+      const prev = parseStreamEventId(buffer[idx - 1].id);
+      if (!prev || compareStreamEventIds(prev, parsed) <= 0) break;
+      idx -= 1;
+    }
+    buffer.splice(idx, 0, entry);
+    if (buffer.length > capacity) buffer.splice(0, buffer.length - capacity);
+  }
+
+  // Returns the entries after `lastEventId`, or null when the buffer can no
+  // longer prove nothing was missed and the client has to reload its state.
+  function since(key, lastEventId) {
+    const buffer = streams.get(key) || [];
+    const exactIdx = buffer.findIndex((entry) => entry.id === lastEventId);
+    if (exactIdx >= 0) return buffer.slice(exactIdx + 1);
+
+    const last = parseStreamEventId(lastEventId);
+    if (!last || !buffer.length) return null;
+    const oldest = parseStreamEventId(buffer[0].id);
+    if (!oldest || compareStreamEventIds(last, oldest) < 0) return null;
+    return buffer.filter((entry) => {
+      const parsed = parseStreamEventId(entry.id);
+      return parsed && compareStreamEventIds(parsed, last) > 0;
+    });
+  }
+
+  return {
+    remember,
+    since,
+    get size() {
+      return streams.size;
+    },
+  };
+}
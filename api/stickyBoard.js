@@ -0,0 +1,354 @@
+import crypto from 'node:crypto';
+
+export const STICKY_NOTE_COLORS = Object.freeze(['yellow', 'pink', 'blue', 'green', 'purple', 'orange']);
+export const STICKY_BOARD_ACTIONS = Object.freeze([
+  'note.create',
+  'note.update',
+  'note.delete',
+  'note.dot',
+  'cluster.create',
+  'cluster.update',
+  'cluster.delete',
+  'cluster.promote',
+  'board.import',
+]);
+
+const MAX_NOTES = 300;
+const MAX_CLUSTERS = 40;
+const MAX_NOTE_TEXT = 280;
+const MAX_CLUSTER_NAME = 60;
+const MAX_TAGS = 6;
+const MAX_TAG_LENGTH = 24;
+const DEFAULT_DOT_BUDGET = 5;
+const CER_TAGS = Object.freeze({
+  claim: 'Claim',
+  evidence: 'Evidence',
+  reasoning: 'Reasoning',
+  citation: 'Citations',
+});
+
+function cleanText(value, maxLen) {
+  return String(value || '').replace(/\s+/g, ' ').trim().slice(0, maxLen);
+}
+
+function clampUnit(value, fallback = 0) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(0, Math.min(1, Math.round(n * 1000) / 1000));
+}
+
+function normalizeColor(value, fallback = 'yellow') {
+  const color = String(value || '').trim().toLowerCase();
+  return STICKY_NOTE_COLORS.includes(color) ? color : fallback;
+}
+
+export function normalizeNoteTags(tags = []) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,\s]+/);
+  const out = [];
+  for (const raw of list) {
+    const tag = String(raw || '')
+      .trim()
+      .replace(/^#/, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]/g, '')
+      .slice(0, MAX_TAG_LENGTH);
+    if (tag && !out.includes(tag)) out.push(tag);
+    if (out.length >= MAX_TAGS) break;
+  }
+  return out;
+}
+
+function normalizeDots(dots = {}) {
+  const out = {};
+  for (const [uid, count] of Object.entries(dots && typeof dots === 'object' ? dots : {})) {
+    const n = Math.floor(Number(count) || 0);
+    if (uid && n > 0) out[uid] = n;
+  }
+  return out;
+}
+
+function normalizeNote(raw = {}, id = '') {
+  const noteId = String(raw.id || id || '').trim();
+  if (!noteId) return null;
+  return {
+    id: noteId,
+    text: cleanText(raw.text, MAX_NOTE_TEXT),
+    color: normalizeColor(raw.color),
+    x: clampUnit(raw.x),
+    y: clampUnit(raw.y),
+    tags: normalizeNoteTags(raw.tags),
+    clusterId: String(raw.clusterId || '').trim(),
+    dots: normalizeDots(raw.dots),
+    author: {
+      uid: String(raw.author?.uid || '').trim(),
+      label: cleanText(raw.author?.label, 40),
+    },
+    createdAt: Number(raw.createdAt || 0) || 0,
+    updatedAt: Number(raw.updatedAt || 0) || 0,
+  };
+}
+
+function normalizeCluster(raw = {}, id = '') {
+  const clusterId = String(raw.id || id || '').trim();
+  if (!clusterId) return null;
+  return {
+    id: clusterId,
+    name: cleanText(raw.name, MAX_CLUSTER_NAME) || 'Untitled cluster',
+    color: normalizeColor(raw.color, 'blue'),
+    createdBy: String(raw.createdBy || '').trim(),
+    createdAt: Number(raw.createdAt || 0) || 0,
+    promotedAt: Number(raw.promotedAt || 0) || 0,
+  };
+}
+
+export function normalizeStickyBoard(raw = {}) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const clusters = {};
+  for (const [id, value] of Object.entries(source.clusters || {})) {
+    const cluster = normalizeCluster(value, id);
+    if (cluster) clusters[cluster.id] = cluster;
+  }
+  const notes = {};
+  for (const [id, value] of Object.entries(source.notes || {})) {
+    const note = normalizeNote(value, id);
+    if (!note) continue;
+    if (note.clusterId && !clusters[note.clusterId]) note.clusterId = '';
+    notes[note.id] = note;
+  }
+  const dotBudget = Math.floor(Number(source.dotBudget || DEFAULT_DOT_BUDGET));
+  return {
+    notes,
+    clusters,
+    dotBudget: Math.max(1, Math.min(20, dotBudget || DEFAULT_DOT_BUDGET)),
+    updatedAt: Number(source.updatedAt || 0) || 0,
+  };
+}
+
+export function noteDotCount(note = {}) {
+  return Object.values(note.dots || {}).reduce((sum, n) => sum + Number(n || 0), 0);
+}
+
+export function dotsUsedBy(board = {}, uid = '') {
+  return Object.values(board.notes || {}).reduce((sum, note) => sum + Number(note.dots?.[uid] || 0), 0);
+}
+
+// Stable reading order: most-dotted first, then top-to-bottom, left-to-right.
+function sortNotes(notes = []) {
+  return notes
+    .slice()
+    .sort((a, b) => noteDotCount(b) - noteDotCount(a) || a.y - b.y || a.x - b.x || a.createdAt - b.createdAt);
+}
+
+function notesIn(board, clusterId) {
+  return sortNotes(Object.values(board.notes || {}).filter((note) => note.clusterId === clusterId));
+}
+
+function noteLine(note) {
+  const dots = noteDotCount(note);
+  const tags = note.tags.length ? ` ${note.tags.map((tag) => `#${tag}`).join(' ')}` : '';
+  return `- ${note.text}${dots ? ` (${dots} dot${dots === 1 ? '' : 's'})` : ''}${tags}`;
+}
+
+// Markdown export of the whole board, grouped by cluster.
+export function stickyBoardToText(board = {}) {
+  const clusters = Object.values(board.clusters || {}).sort((a, b) => a.createdAt - b.createdAt);
+  const blocks = [];
+  for (const cluster of clusters) {
+    const notes = notesIn(board, cluster.id);
+    blocks.push([`## ${cluster.name}`, ...notes.map(noteLine)].join('\n'));
+  }
+  const loose = notesIn(board, '');
+  if (loose.length) {
+    blocks.push((clusters.length ? ['## Unsorted'] : []).concat(loose.map(noteLine)).join('\n'));
+  }
+  return blocks.join('\n\n');
+}
+
+// Notes tagged #claim, #evidence, #reasoning or #citation, laid out the way
+// the CER gate reads an evidence board.
+export function stickyBoardCerText(board = {}) {
+  const blocks = [];
+  for (const [tag, heading] of Object.entries(CER_TAGS)) {
+    const notes = sortNotes(Object.values(board.notes || {}).filter((note) => note.tags.includes(tag)));
+    if (notes.length) blocks.push([`${heading}:`, ...notes.map((note) => `- ${note.text}`)].join('\n'));
+  }
+  return blocks.join('\n');
+}
+
+export function clusterOutlineText(board = {}, clusterId = '') {
+  const cluster = board.clusters?.[clusterId];
+  if (!cluster) return '';
+  const notes = notesIn(board, clusterId);
+  return [`${cluster.name}:`, ...notes.map((note) => `- ${note.text}`)].join('\n');
+}
+
+export function parseStickyNotesText(text = '') {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean)
+    .slice(0, MAX_NOTES);
+}
+
+function requireNote(board, noteId) {
+  const note = board.notes[String(noteId || '').trim()];
+  if (!note) throw new Error('note_not_found');
+  return note;
+}
+
+function requireCluster(board, clusterId) {
+  const cluster = board.clusters[String(clusterId || '').trim()];
+  if (!cluster) throw new Error('cluster_not_found');
+  return cluster;
+}
+
+function optionalClusterId(board, clusterId) {
+  const id = String(clusterId || '').trim();
+  if (id && !board.clusters[id]) throw new Error('cluster_not_found');
+  return id;
+}
+
+function canEditNote(note, actor) {
+  return !!actor.canModerate || (!!actor.uid && note.author.uid === actor.uid);
+}
+
+// Applies one board action. Returns the next board plus `changes` (the notes
+// and clusters that changed, null when deleted) so peers can patch in place.
+export function applyStickyBoardAction(
+  boardRaw = {},
+  input = {},
+  actor = {},
+  { now = Date.now(), newId = () => crypto.randomUUID() } = {}
+) {
+  const action = String(input.action || '').trim();
+  if (!STICKY_BOARD_ACTIONS.includes(action)) throw new Error('board_action_unsupported');
+  const board = normalizeStickyBoard(boardRaw);
+  const changes = { notes: {}, clusters: {} };
+  const result = { action, changes };
+  const uid = String(actor.uid || '').trim();
+
+  if (action === 'note.create') {
+    const text = cleanText(input.text, MAX_NOTE_TEXT);
+    if (!text) throw new Error('note_text_required');
+    if (Object.keys(board.notes).length >= MAX_NOTES) throw new Error('board_full');
+    const note = normalizeNote({
+      id: newId(),
+      text,
+      color: input.color,
+      x: clampUnit(input.x, 0.05),
+      y: clampUnit(input.y, 0.05),
+      tags: input.tags,
+      clusterId: optionalClusterId(board, input.clusterId),
+      author: { uid, label: input.authorLabel },
+      createdAt: now,
+      updatedAt: now,
+    });
+    board.notes[note.id] = note;
+    changes.notes[note.id] = note;
+    result.noteId = note.id;
+  } else if (action === 'note.update') {
+    const note = requireNote(board, input.noteId);
+    const contentChange = input.text !== undefined || input.tags !== undefined || input.color !== undefined;
+    // Anyone may move notes between clusters; only authors and facilitators reword them.
+    if (contentChange && !canEditNote(note, actor)) throw new Error('note_forbidden');
+    const next = { ...note, updatedAt: now };
+    if (input.text !== undefined) {
+      next.text = cleanText(input.text, MAX_NOTE_TEXT);
+      if (!next.text) throw new Error('note_text_required');
+    }
+    if (input.tags !== undefined) next.tags = normalizeNoteTags(input.tags);
+    if (input.color !== undefined) next.color = normalizeColor(input.color, note.color);
+    if (input.x !== undefined) next.x = clampUnit(input.x, note.x);
+    if (input.y !== undefined) next.y = clampUnit(input.y, note.y);
+    if (input.clusterId !== undefined) next.clusterId = optionalClusterId(board, input.clusterId);
+    board.notes[note.id] = next;
+    changes.notes[note.id] = next;
+    result.noteId = note.id;
+  } else if (action === 'note.delete') {
+    const note = requireNote(board, input.noteId);
+    if (!canEditNote(note, actor)) throw new Error('note_forbidden');
+    delete board.notes[note.id];
+    changes.notes[note.id] = null;
+    result.noteId = note.id;
+  } else if (action === 'note.dot') {
+    if (!uid) throw new Error('dot_voter_required');
+    const note = requireNote(board, input.noteId);
+    const delta = Number(input.delta) < 0 ? -1 : 1;
+    const mine = Number(note.dots[uid] || 0);
+    if (delta < 0 && mine < 1) throw new Error('dot_not_placed');
+    if (delta > 0 && dotsUsedBy(board, uid) >= board.dotBudget) throw new Error('dot_budget_exhausted');
+    const dots = { ...note.dots, [uid]: mine + delta };
+    if (dots[uid] < 1) delete dots[uid];
+    const next = { ...note, dots };
+    board.notes[note.id] = next;
+    changes.notes[note.id] = next;
+    result.noteId = note.id;
+    result.dotsRemaining = board.dotBudget - dotsUsedBy(board, uid);
+  } else if (action === 'cluster.create') {
+    if (Object.keys(board.clusters).length >= MAX_CLUSTERS) throw new Error('board_full');
+    const cluster = normalizeCluster({
+      id: newId(),
+      name: input.name,
+      color: input.color,
+      createdBy: uid,
+      createdAt: now,
+    });
+    board.clusters[cluster.id] = cluster;
+    changes.clusters[cluster.id] = cluster;
+    result.clusterId = cluster.id;
+    for (const noteId of Array.isArray(input.noteIds) ? input.noteIds : []) {
+      const note = board.notes[String(noteId || '')];
+      if (!note) continue;
+      board.notes[note.id] = { ...note, clusterId: cluster.id, updatedAt: now };
+      changes.notes[note.id] = board.notes[note.id];
+    }
+  } else if (action === 'cluster.update') {
+    const cluster = requireCluster(board, input.clusterId);
+    const next = {
+      ...cluster,
+      name: input.name !== undefined ? cleanText(input.name, MAX_CLUSTER_NAME) || cluster.name : cluster.name,
+      color: input.color !== undefined ? normalizeColor(input.color, cluster.color) : cluster.color,
+    };
+    board.clusters[cluster.id] = next;
+    changes.clusters[cluster.id] = next;
+    result.clusterId = cluster.id;
+  } else if (action === 'cluster.delete') {
+    const cluster = requireCluster(board, input.clusterId);
+    delete board.clusters[cluster.id];
+    changes.clusters[cluster.id] = null;
+    for (const note of Object.values(board.notes)) {
+      if (note.clusterId !== cluster.id) continue;
+      board.notes[note.id] = { ...note, clusterId: '', updatedAt: now };
+      changes.notes[note.id] = board.notes[note.id];
+    }
+    result.clusterId = cluster.id;
+  } else if (action === 'cluster.promote') {
+    const cluster = requireCluster(board, input.clusterId);
+    const outline = clusterOutlineText(board, cluster.id);
+    if (!notesIn(board, cluster.id).length) throw new Error('cluster_empty');
+    board.clusters[cluster.id] = { ...cluster, promotedAt: now };
+    changes.clusters[cluster.id] = board.clusters[cluster.id];
+    result.clusterId = cluster.id;
+    result.outline = outline;
+  } else if (action === 'board.import') {
+    const lines = parseStickyNotesText(input.text);
+    const room = MAX_NOTES - Object.keys(board.notes).length;
+    lines.slice(0, Math.max(0, room)).forEach((text, idx) => {
+      const note = normalizeNote({
+        id: newId(),
+        text,
+        x: 0.05 + (idx % 4) * 0.24,
+        y: 0.05 + Math.floor(idx / 4) * 0.12,
+        author: { uid, label: input.authorLabel },
+        createdAt: now + idx,
+        updatedAt: now + idx,
+      });
+      board.notes[note.id] = note;
+      changes.notes[note.id] = note;
+    });
+    result.imported = Object.keys(changes.notes).length;
+  }
+
+  board.updatedAt = now;
+  return { board, result };
+}
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  aiCallCostMicros,
+  evaluateAiBudget,
+  microsToCents,
+  normalizeAiBudget,
+  parseAiPriceTable,
+  priceForModel,
+  sumAiUsageRows,
+} from '../aiMetering.js';
+
+test('calls are priced per model prefix, with local and stub free', () => {
+  const usage = { inputTokens: 1000, outputTokens: 500 };
+  assert.equal(aiCallCostMicros({ provider: 'openai', model: 'gpt-4o-mini-2024-07-18', usage }), 450);
+  assert.equal(aiCallCostMicros({ provider: 'openai', model: 'gpt-4o', usage }), 7500);
+  assert.equal(aiCallCostMicros({ provider: 'local', model: 'gpt-4o', usage }), 0);
+  assert.deepEqual(priceForModel('anthropic', 'mystery-model'), { input: 1, output: 4 });
+
+  const prices = parseAiPriceTable('{"mystery":{"input":2,"output":2},"bad":{"input":"x"}}');
+  assert.deepEqual(priceForModel('openai', 'mystery-model', prices), { input: 2, output: 2 });
+  assert.equal(prices.bad, undefined);
+  assert.deepEqual(parseAiPriceTable('not json')['gpt-4o'], { input: 2.5, output: 10 });
+  assert.equal(microsToCents(450), 1);
+  assert.equal(microsToCents(20_000), 2);
+});
+
+test('budgets warn at the threshold and stop at the tighter limit', () => {
+  assert.equal(evaluateAiBudget({}, { totalTokens: 10 ** 9 }).state, 'UNLIMITED');
+
+  const budget = { monthlyTokenLimit: 1000, monthlyCostLimitCents: 100, warnPercent: 75 };
+  assert.equal(evaluateAiBudget(budget, { totalTokens: 100, costMicros: 0 }).state, 'OK');
+  const warn = evaluateAiBudget(budget, { totalTokens: 800, costMicros: 0 });
+  assert.equal(warn.state, 'WARN');
+  assert.equal(warn.allowed, true);
+
+  // The cost limit trips first even though tokens are low.
+  const over = evaluateAiBudget(budget, { totalTokens: 10, costMicros: 1_000_000 });
+  assert.equal(over.state, 'EXCEEDED');
+  assert.equal(over.allowed, false);
+  assert.equal(evaluateAiBudget({ ...budget, hardStop: false }, { totalTokens: 5000 }).allowed, true);
+
+  assert.deepEqual(normalizeAiBudget({ monthlyTokenLimit: -5, warnPercent: 400, hardStop: 'no' }), {
+    monthlyTokenLimit: 0,
+    monthlyCostLimitCents: 0,
+    warnPercent: 100,
+    hardStop: true,
+  });
+});
+
+test('meter rows sum into period totals per site', () => {
+  const totals = sumAiUsageRows([
+    { siteId: 'E1', calls: 2, inputTokens: 100, outputTokens: 50, costMicros: 300 },
+    { siteId: 'E2', calls: 1, inputTokens: 10, outputTokens: 5, costMicros: 30 },
+    { siteId: 'E1', calls: 1, inputTokens: 1, outputTokens: 1, costMicros: 1 },
+  ]);
+  assert.equal(totals.calls, 4);
+  assert.equal(totals.totalTokens, 167);
+  assert.equal(totals.costMicros, 331);
+  assert.deepEqual(totals.bySite.E1, { calls: 3, totalTokens: 152, costMicros: 301 });
+});
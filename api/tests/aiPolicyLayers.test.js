@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  aiPolicyLockConflicts,
+  diffAiPolicyOverrides,
+  mergeAiPolicyLayers,
+  normalizeAiPolicyScope,
+  parseAiPolicyLayer,
+} from '../aiPolicyLayers.js';
+
+const DEFAULTS = {
+  tone: 'BALANCED',
+  ageSafeMode: 'TEEN',
+  provider: 'openai',
+  modelChoice: 'gpt-4.1-mini',
+  blockedTerms: [],
+};
+const FIELDS = Object.keys(DEFAULTS);
+const MODELS = { openai: 'gpt-4.1-mini', anthropic: 'claude-x' };
+const normalize = (policy) => ({ ...policy, modelChoice: policy.modelChoice || MODELS[policy.provider] });
+
+function layer(scope, policy, lockedFields = []) {
+  return parseAiPolicyLayer(scope, `${scope}#X`, { policy: JSON.stringify(policy), lockedFields }, FIELDS);
+}
+
+test('fields merge one at a time and explain where each came from', () => {
+  const { policy, fields } = mergeAiPolicyLayers({
+    defaults: DEFAULTS,
+    normalize,
+    layers: [layer('GLOBAL', { tone: 'COACH' }), layer('ORG', { blockedTerms: ['x'] }), layer('SITE', { ageSafeMode: 'K12' })],
+  });
+  assert.deepEqual(policy, { ...DEFAULTS, tone: 'COACH', ageSafeMode: 'K12', blockedTerms: ['x'] });
+  assert.equal(fields.tone.scope, 'GLOBAL');
+  assert.equal(fields.blockedTerms.scope, 'ORG');
+  assert.equal(fields.ageSafeMode.scope, 'SITE');
+  assert.equal(fields.provider.scope, 'DEFAULT');
+  assert.equal(normalizeAiPolicyScope('site'), 'SITE');
+  assert.equal(normalizeAiPolicyScope('planet'), 'ORG');
+});
+
+test('locked fields ignore overrides from lower scopes', () => {
+  const { policy, fields, ignored } = mergeAiPolicyLayers({
+    defaults: DEFAULTS,
+    normalize,
+    layers: [layer('ORG', { ageSafeMode: 'K12' }, ['ageSafeMode', 'bogus']), layer('SITE', { ageSafeMode: 'ADULT' })],
+  });
+  assert.equal(policy.ageSafeMode, 'K12');
+  assert.deepEqual([fields.ageSafeMode.locked, fields.ageSafeMode.lockedBy], [true, 'ORG']);
+  assert.deepEqual(ignored, [{ field: 'ageSafeMode', scope: 'SITE', lockedBy: 'ORG' }]);
+
+  assert.deepEqual(aiPolicyLockConflicts({ ageSafeMode: 'ADULT', tone: 'SOFT' }, fields), [
+    { field: 'ageSafeMode', lockedBy: 'ORG' },
+  ]);
+});
+
+test('a lower provider override resets an inherited model', () => {
+  const { policy, fields } = mergeAiPolicyLayers({
+    defaults: DEFAULTS,
+    normalize,
+    layers: [layer('GLOBAL', { modelChoice: 'gpt-4o' }), layer('LICENSE', { provider: 'anthropic' })],
+  });
+  assert.equal(policy.modelChoice, 'claude-x');
+  assert.equal(fields.modelChoice.scope, 'LICENSE');
+});
+
+test('only values that differ from the inherited policy are stored', () => {
+  const inherited = { ...DEFAULTS, tone: 'COACH' };
+  assert.deepEqual(diffAiPolicyOverrides({ ...inherited, ageSafeMode: 'K12', blockedTerms: [] }, inherited), {
+    ageSafeMode: 'K12',
+  });
+  // Rows saved before layering held whole policies and still parse.
+  const legacy = parseAiPolicyLayer('ORG', 'ORG#A', { policy: JSON.stringify(DEFAULTS) }, FIELDS);
+  assert.deepEqual(Object.keys(legacy.overrides), FIELDS);
+  assert.deepEqual(legacy.locked, []);
+});
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { createAsemaRelay } from '../asemaRelay.js';
+
+const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('deltas are coalesced and closed with a done event', async () => {
+  const events = [];
+  const relay = createAsemaRelay({
+    publish: (payload) => events.push(payload),
+    meta: { kind: 'reply', stage: 'PLANNING' },
+    flushMs: 10,
+    streamId: 's1',
+  });
+  relay.push('Who ');
+  relay.push('is the ');
+  await tick(25);
+  relay.push('protagonist?');
+  relay.settle({ text: 'Who is the protagonist?' });
+  relay.finish();
+  relay.push('ignored');
+
+  assert.deepEqual(
+    events.map(({ seq, delta, done }) => [seq, delta || '', !!done]),
+    [
+      [1, 'Who is the ', false],
+      [2, 'protagonist?', false],
+      [3, '', true],
+    ]
+  );
+  assert.equal(events[0].streamId, 's1');
+  assert.equal(events[0].stage, 'PLANNING');
+  assert.equal(events[2].partial, false);
+  assert.equal(relay.text, 'Who is the protagonist?');
+});
+
+test('blocked text stops the relay and discards the stream', async () => {
+  const events = [];
+  const relay = createAsemaRelay({
+    publish: (payload) => events.push(payload),
+    isBlocked: (text) => text.includes('address'),
+    flushMs: 5,
+  });
+  relay.push('Her home ');
+  await tick(15);
+  relay.push('address is');
+  await tick(15);
+  relay.push(' 12 Elm St');
+  relay.finish();
+
+  assert.equal(events.length, 2);
+  assert.equal(events[0].delta, 'Her home ');
+  assert.deepEqual([events[1].done, events[1].discarded], [true, true]);
+});
+
+test('partial and discarded finishes are reported to clients', () => {
+  const events = [];
+  const relay = createAsemaRelay({ publish: (payload) => events.push(payload), flushMs: 1000 });
+  relay.push('Half a thought');
+  relay.settle({ text: 'Half a thought', partial: true });
+  relay.finish();
+  assert.equal(events[0].delta, 'Half a thought');
+  assert.equal(events[1].partial, true);
+  assert.equal(relay.partial, true);
+
+  const dropped = [];
+  const guarded = createAsemaRelay({ publish: (payload) => dropped.push(payload), flushMs: 1000 });
+  guarded.push('never shown');
+  guarded.finish({ discard: true });
+  // Nothing reached the room, so there is nothing to close either.
+  assert.deepEqual(dropped, []);
+});
+
+test('with an async check, text is released a sentence at a time after it passes', async () => {
+  const events = [];
+  const checked = [];
+  const relay = createAsemaRelay({
+    publish: (payload) => events.push(payload),
+    moderate: async (text) => {
+      checked.push(text);
+      return text.includes('secret');
+    },
+    flushMs: 5,
+  });
+  relay.push('First idea. Second');
+  await tick(15);
+  assert.deepEqual(events.map((row) => row.delta), ['First idea. ']);
+  relay.push(' idea!\nThe secret');
+  await tick(15);
+  relay.push(' is out.');
+  await relay.finish();
+
+  assert.deepEqual(checked, ['First idea. ', 'First idea. Second idea!\n', 'First idea. Second idea!\nThe secret is out.']);
+  assert.deepEqual(
+    events.map(({ delta, done, discarded }) => [delta || '', !!done, !!discarded]),
+    [
+      ['First idea. ', false, false],
+      ['Second idea!\n', false, false],
+      ['', true, true],
+    ]
+  );
+});
+
+test('a failing async check blocks instead of letting text through', async () => {
+  const events = [];
+  const relay = createAsemaRelay({
+    publish: (payload) => events.push(payload),
+    moderate: async () => {
+      throw new Error('classifier_down');
+    },
+    flushMs: 1000,
+  });
+  relay.push('Anything at all.');
+  await relay.finish();
+  assert.deepEqual(events.map(({ done, discarded }) => [!!done, !!discarded]), [[true, true]]);
+});
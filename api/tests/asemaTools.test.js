@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  asemaToolActionLine,
+  asemaToolsFor,
+  evidenceEntryText,
+  outlineProposalText,
+  validateAsemaToolCall,
+} from '../asemaTools.js';
+
+const passages = [{ docId: 'D1', title: 'Food Brief', sourceUrl: 'https://example.org/brief', text: '...' }];
+
+test('only tools the stage and role allow are offered', () => {
+  const names = (ctx) => asemaToolsFor(ctx).map((tool) => tool.name);
+  assert.deepEqual(names({ stage: 'DISCOVERY', role: 'PARTICIPANT' }), ['add_sticky_note', 'request_extension']);
+  assert.deepEqual(names({ stage: 'discovery', role: 'presenter' }), ['add_sticky_note', 'open_vote', 'request_extension']);
+  assert.deepEqual(names({ stage: 'PLANNING', role: 'PARTICIPANT' }), ['add_sticky_note', 'propose_outline', 'request_extension']);
+  assert.ok(names({ stage: 'PLANNING', role: 'PARTICIPANT', passages }).includes('cite_evidence'));
+  assert.deepEqual(names({ stage: 'LOBBY', role: 'SUPER_ADMIN' }), []);
+  const [note] = asemaToolsFor({ stage: 'DISCOVERY' });
+  assert.deepEqual(note.parameters.required, ['text']);
+});
+
+test('calls are re-checked against stage, role and input before they run', () => {
+  assert.deepEqual(validateAsemaToolCall({ name: 'drop_table', input: {} }, { stage: 'DISCOVERY' }), {
+    ok: false,
+    name: 'drop_table',
+    error: 'tool_unknown',
+  });
+  assert.equal(validateAsemaToolCall({ name: 'open_vote' }, { stage: 'DISCOVERY', role: 'PARTICIPANT' }).error, 'tool_forbidden');
+  assert.equal(validateAsemaToolCall({ name: 'open_vote' }, { stage: 'PLANNING', role: 'PRESENTER' }).error, 'tool_wrong_stage');
+  assert.equal(validateAsemaToolCall({ name: 'add_sticky_note', input: { text: '  ' } }, { stage: 'IDEA_DUMP' }).error, 'note_text_required');
+
+  const note = validateAsemaToolCall(
+    { name: 'add_sticky_note', input: { text: ' Bus   routes skip\nour block ', tags: ['evidence', ''] } },
+    { stage: 'IDEA_DUMP' }
+  );
+  assert.deepEqual(note, { ok: true, name: 'add_sticky_note', input: { text: 'Bus routes skip our block', tags: ['evidence'] } });
+
+  const ext = validateAsemaToolCall(
+    { name: 'request_extension', input: { seconds: 5000, reason: 'Still outlining' } },
+    { stage: 'PLANNING' }
+  );
+  assert.equal(ext.input.seconds, 300);
+
+  const ctx = { stage: 'PLANNING', passages };
+  assert.equal(
+    validateAsemaToolCall({ name: 'cite_evidence', input: { claim: 'c', quote: 'q', passage: 2 } }, ctx).error,
+    'evidence_passage_unknown'
+  );
+  const cite = validateAsemaToolCall({ name: 'cite_evidence', input: { claim: 'One store', quote: 'one grocery', passage: 1 } }, ctx);
+  assert.equal(cite.input.title, 'Food Brief');
+});
+
+test('applied calls render into canvas text and a chat line', () => {
+  assert.equal(
+    outlineProposalText({ title: 'The Last Store', beats: ['Maya finds the store closed', 'She maps the walk'] }),
+    'Proposed outline: The Last Store (Asema)\n1. Maya finds the store closed\n2. She maps the walk'
+  );
+  assert.equal(
+    evidenceEntryText({ claim: 'One store', quote: 'one grocery', title: 'Food Brief', passage: 1 }),
+    'Claim: One store\nEvidence: "one grocery" — Food Brief [1]'
+  );
+  assert.equal(asemaToolActionLine({ ok: true, name: 'open_vote', input: {} }), '🗳️ Opened topic voting.');
+  assert.equal(asemaToolActionLine({ ok: false, name: 'open_vote', error: 'tool_forbidden' }), '');
+});
@@ -0,0 +1,197 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  applyBillingEvent,
+  createStripeClient,
+  describeBillingAccount,
+  dunningStep,
+  licenseStatusForBilling,
+  normalizeDunningPolicy,
+  normalizeStripeEvent,
+  sampleStripeEvent,
+  stripeForm,
+  stripeSignatureHeader,
+  verifyStripeSignature,
+} from '../billing.js';
+
+const DAY = 24 * 60 * 60_000;
+const SECRET = 'whsec_test';
+
+test('webhook signatures are checked against the raw body and a time window', () => {
+  const now = Date.UTC(2026, 9, 1);
+  const ts = Math.floor(now / 1000);
+  const payload = JSON.stringify(sampleStripeEvent('invoice.paid', { licenseId: 'LIC-1', created: ts }));
+  const header = stripeSignatureHeader(payload, SECRET, ts);
+  assert.equal(verifyStripeSignature(payload, header, SECRET, { now }).type, 'invoice.paid');
+  assert.equal(verifyStripeSignature(Buffer.from(payload), header, SECRET, { now }).type, 'invoice.paid');
+
+  const rolled = `${stripeSignatureHeader(payload, 'whsec_old', ts)},${header.split(',')[1]}`;
+  assert.ok(verifyStripeSignature(payload, rolled, SECRET, { now }), 'any v1 signature may match');
+
+  assert.throws(() => verifyStripeSignature(`${payload} `, header, SECRET, { now }), /webhook_signature_invalid/);
+  assert.throws(() => verifyStripeSignature(payload, header, 'whsec_other', { now }), /webhook_signature_invalid/);
+  assert.throws(() => verifyStripeSignature(payload, header, SECRET, { now: now + 301_000 }), /out_of_tolerance/);
+  assert.throws(() => verifyStripeSignature(payload, `t=${ts}`, SECRET, { now }), /webhook_signature_missing/);
+  assert.throws(() => verifyStripeSignature(payload, header, '', { now }), /webhook_secret_missing/);
+  const garbled = 'not json';
+  assert.throws(
+    () => verifyStripeSignature(garbled, stripeSignatureHeader(garbled, SECRET, ts), SECRET, { now }),
+    /webhook_payload_invalid/
+  );
+});
+
+test('events normalise across API versions', () => {
+  const invoice = normalizeStripeEvent({
+    id: 'evt_1',
+    type: 'invoice.payment_failed',
+    created: 1_790_000_000,
+    data: {
+      object: {
+        id: 'in_1',
+        customer: { id: 'cus_1' },
+        amount_due: 4200,
+        currency: 'eur',
+        attempt_count: 2,
+        metadata: { billingEventId: 'INV-1' },
+        parent: { subscription_details: { subscription: 'sub_1', metadata: { licenseId: 'LIC-1', orgId: 'ORG-1' } } },
+      },
+    },
+  });
+  assert.equal(invoice.kind, 'invoice');
+  assert.equal(invoice.licenseId, 'LIC-1');
+  assert.equal(invoice.orgId, 'ORG-1');
+  assert.equal(invoice.billingEventId, 'INV-1');
+  assert.equal(invoice.customerId, 'cus_1');
+  assert.equal(invoice.subscriptionId, 'sub_1');
+  assert.equal(invoice.currency, 'EUR');
+  assert.equal(invoice.createdAt, 1_790_000_000_000);
+
+  const deleted = normalizeStripeEvent(sampleStripeEvent('customer.subscription.deleted', { licenseId: 'LIC-1' }));
+  assert.equal(deleted.kind, 'subscription');
+  assert.equal(deleted.subscriptionStatus, 'canceled');
+  assert.equal(deleted.priceId, 'price_local');
+  assert.equal(normalizeStripeEvent({ type: 'charge.refunded' }).kind, 'other');
+});
+
+test('billing state tolerates out-of-order deliveries', () => {
+  const t0 = Date.UTC(2026, 9, 1);
+  const event = (type, createdAt, extra = {}) => ({ ...normalizeStripeEvent({ type }), createdAt, ...extra });
+
+  const failed = applyBillingEvent({}, event('invoice.payment_failed', t0, { attemptCount: 1, invoiceId: 'in_1' }));
+  assert.equal(failed.billing.state, 'PAST_DUE');
+  assert.equal(failed.billing.delinquentSince, t0);
+
+  const retried = applyBillingEvent(
+    { ...failed.billing, remindersSent: [1] },
+    event('invoice.payment_failed', t0 + 2 * DAY, { attemptCount: 2 })
+  );
+  assert.equal(retried.billing.delinquentSince, t0, 'a retry keeps the original clock');
+  assert.deepEqual(retried.billing.remindersSent, [1]);
+  const earlier = applyBillingEvent(retried.billing, event('invoice.payment_failed', t0 - DAY));
+  assert.equal(earlier.billing.delinquentSince, t0 - DAY, 'an earlier failure delivered late moves the clock back');
+
+  const unattributed = applyBillingEvent(retried.billing, event('invoice.paid', t0 + 3 * DAY));
+  assert.equal(unattributed.billing.state, 'PAST_DUE', 'a payment without an invoice id settles nothing');
+  assert.deepEqual(unattributed.billing.unpaidInvoices, { in_1: t0 });
+
+  const paid = applyBillingEvent(retried.billing, event('invoice.paid', t0 + 3 * DAY, { invoiceId: 'in_1' }));
+  assert.equal(paid.billing.state, 'CURRENT');
+  assert.equal(paid.billing.delinquentSince, null);
+
+  const late = applyBillingEvent(paid.billing, event('invoice.payment_failed', t0 + DAY));
+  assert.equal(late.changed, false, 'a failure older than the last payment is ignored');
+
+  const sub = event('customer.subscription.updated', t0 + 4 * DAY, { kind: 'subscription', subscriptionStatus: 'past_due' });
+  const pastDue = applyBillingEvent(paid.billing, sub);
+  assert.equal(pastDue.billing.delinquentSince, t0 + 4 * DAY);
+  assert.equal(applyBillingEvent(pastDue.billing, { ...sub, createdAt: t0 }).changed, false);
+});
+
+test('paying an older invoice leaves a newer failure in dunning', () => {
+  const t0 = Date.UTC(2026, 9, 1);
+  const event = (type, createdAt, invoiceId) => ({ ...normalizeStripeEvent({ type }), createdAt, invoiceId });
+
+  const first = applyBillingEvent({}, event('invoice.payment_failed', t0, 'in_1'));
+  const second = applyBillingEvent(first.billing, event('invoice.payment_failed', t0 + 5 * DAY, 'in_2'));
+  const olderPaid = applyBillingEvent(second.billing, event('invoice.paid', t0 + 6 * DAY, 'in_1'));
+  assert.equal(olderPaid.billing.state, 'PAST_DUE');
+  assert.equal(olderPaid.billing.delinquentSince, t0 + 5 * DAY, 'the clock follows the oldest invoice still owed');
+
+  const allPaid = applyBillingEvent(olderPaid.billing, event('invoice.paid', t0 + 7 * DAY, 'in_2'));
+  assert.equal(allPaid.billing.state, 'CURRENT');
+  assert.equal(allPaid.billing.delinquentSince, null);
+  assert.equal(
+    applyBillingEvent(allPaid.billing, event('invoice.payment_failed', t0 + 8 * DAY, 'in_1')).changed,
+    false,
+    'a failure for an invoice already paid is ignored'
+  );
+
+  const legacy = { state: 'PAST_DUE', delinquentSince: t0, lastInvoiceId: 'in_9' };
+  assert.equal(applyBillingEvent(legacy, event('invoice.paid', t0 + DAY, 'in_8')).billing.state, 'PAST_DUE');
+  assert.equal(applyBillingEvent(legacy, event('invoice.paid', t0 + DAY, 'in_9')).billing.state, 'CURRENT');
+});
+
+test('billing only lifts suspensions it imposed', () => {
+  const paid = { type: 'invoice.paid', kind: 'invoice' };
+  const sub = (subscriptionStatus) => ({ kind: 'subscription', subscriptionStatus });
+  assert.equal(licenseStatusForBilling('SUSPENDED', { suspendedBy: 'DUNNING' }, paid), 'ACTIVE');
+  assert.equal(
+    licenseStatusForBilling('SUSPENDED', { suspendedBy: 'DUNNING', delinquentSince: 1 }, paid),
+    '',
+    'a payment leaves the suspension while other invoices are owed'
+  );
+  assert.equal(licenseStatusForBilling('SUSPENDED', {}, paid), '');
+  assert.equal(licenseStatusForBilling('SUSPENDED', {}, sub('active')), '');
+  assert.equal(licenseStatusForBilling('ACTIVE', {}, paid), '');
+  assert.equal(licenseStatusForBilling('ACTIVE', {}, sub('canceled')), 'EXPIRED');
+  assert.equal(licenseStatusForBilling('TRIAL', {}, sub('active')), 'ACTIVE');
+  assert.equal(licenseStatusForBilling('ACTIVE', {}, sub('trialing')), 'TRIAL');
+  assert.equal(licenseStatusForBilling('ACTIVE', {}, sub('past_due')), '');
+});
+
+test('dunning reminds on schedule and suspends after the grace period', () => {
+  const since = Date.UTC(2026, 9, 1);
+  const policy = normalizeDunningPolicy({ graceDays: 10, reminderDays: [7, 1, 3, 12, 3] });
+  assert.deepEqual(policy, { graceDays: 10, reminderDays: [1, 3, 7] });
+
+  assert.equal(dunningStep({}, policy, since).action, 'NONE');
+  assert.equal(dunningStep({ delinquentSince: since }, policy, since + DAY / 2).action, 'NONE');
+  assert.deepEqual(dunningStep({ delinquentSince: since }, policy, since + 4 * DAY), {
+    action: 'REMIND',
+    reminderDay: 3,
+    graceEndsAt: since + 10 * DAY,
+    daysPastDue: 4,
+  });
+  assert.equal(dunningStep({ delinquentSince: since, remindersSent: [1, 3] }, policy, since + 4 * DAY).action, 'NONE');
+  assert.equal(dunningStep({ delinquentSince: since }, policy, since + 10 * DAY).action, 'SUSPEND');
+
+  const account = describeBillingAccount({ delinquentSince: since, state: 'PAST_DUE' }, policy, since + 2 * DAY);
+  assert.equal(account.daysPastDue, 2);
+  assert.equal(account.graceEndsAt, since + 10 * DAY);
+});
+
+test('the Stripe client form-encodes, sends idempotency keys and surfaces errors', async () => {
+  assert.equal(
+    decodeURIComponent(stripeForm({ metadata: { licenseId: 'LIC-1' }, items: [{ price: 'p1' }], skip: null })),
+    'metadata[licenseId]=LIC-1&items[0][price]=p1'
+  );
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    if (url.endsWith('/invoices')) return new Response(JSON.stringify({ error: { message: 'No such customer' } }), { status: 400 });
+    return new Response(JSON.stringify({ id: 'cus_1' }), { status: 200 });
+  };
+  const stripe = createStripeClient({ apiKey: 'sk_test', baseUrl: 'https://stripe.test/v1/', fetchImpl });
+  assert.deepEqual(await stripe.createCustomer({ name: 'North' }, { idempotencyKey: 'customer-LIC-1' }), { id: 'cus_1' });
+  assert.equal(calls[0].url, 'https://stripe.test/v1/customers');
+  assert.equal(calls[0].init.headers['Idempotency-Key'], 'customer-LIC-1');
+  assert.equal(calls[0].init.headers.Authorization, 'Bearer sk_test');
+  await assert.rejects(stripe.createInvoice({ customer: 'cus_x' }), (err) => {
+    assert.equal(err.message, 'stripe_request_failed');
+    assert.equal(err.status, 400);
+    assert.equal(err.detail, 'No such customer');
+    return true;
+  });
+  assert.throws(() => createStripeClient({}), /stripe_api_key_required/);
+});
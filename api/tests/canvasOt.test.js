@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  applyCanvasSectionEdit,
+  applyTextOp,
+  diffTextOp,
+  normalizeTextOp,
+  transformTextIndex,
+  transformTextOps,
+} from '../canvasOt.js';
+
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function randomEdit(text, rand) {
+  const start = Math.floor(rand() * (text.length + 1));
+  const end = Math.min(text.length, start + Math.floor(rand() * 4));
+  const insert = rand() < 0.7 ? 'xyz'.slice(0, 1 + Math.floor(rand() * 3)) : '';
+  return text.slice(0, start) + insert + text.slice(end);
+}
+
+test('diffs into a compact replace and applies back', () => {
+  assert.deepEqual(diffTextOp('Claim: cats', 'Claim: dogs'), [7, 'dog', -3, 1]);
+  assert.deepEqual(diffTextOp('abc', 'abc'), [3]);
+  assert.equal(applyTextOp('Claim: cats', [7, 'dog', -3, 1]), 'Claim: dogs');
+  assert.throws(() => applyTextOp('short', [9]), /canvas_op_base_mismatch/);
+  assert.throws(() => normalizeTextOp([1.5]), /canvas_op_invalid/);
+  assert.deepEqual(normalizeTextOp([2, 3, -1, 'a', 'b']), [5, 'ab', -1]);
+});
+
+test('concurrent edits converge in either order', () => {
+  const rand = seededRandom(7);
+  for (let round = 0; round < 300; round += 1) {
+    const base = 'Opening:\nConflict:\nTurn'.slice(0, Math.floor(rand() * 24));
+    const a = diffTextOp(base, randomEdit(base, rand));
+    const b = diffTextOp(base, randomEdit(base, rand));
+    const [aPrime, bPrime] = transformTextOps(a, b);
+    assert.equal(
+      applyTextOp(applyTextOp(base, a), bPrime),
+      applyTextOp(applyTextOp(base, b), aPrime),
+      `round ${round}`
+    );
+  }
+});
+
+test('same-position inserts keep the first op ahead', () => {
+  const [aPrime, bPrime] = transformTextOps([2, 'A'], [2, 'B']);
+  assert.equal(applyTextOp(applyTextOp('xy', [2, 'A']), bPrime), 'xyAB');
+  assert.equal(applyTextOp(applyTextOp('xy', [2, 'B']), aPrime), 'xyAB');
+});
+
+test('carets follow inserts and collapse into deletions', () => {
+  assert.equal(transformTextIndex(5, [3, 'xy', 5]), 7);
+  assert.equal(transformTextIndex(5, [5, 'x', 3]), 6);
+  assert.equal(transformTextIndex(5, [2, -5, 1]), 2);
+  assert.equal(transformTextIndex(1, [3, 'xy', 5]), 1);
+});
+
+test('section edits rebase over revisions the client missed', () => {
+  let section = { text: 'Claim:', revision: 0, history: [] };
+  section = applyCanvasSectionEdit(section, { baseRevision: 0, op: [6, ' A'], uid: 'u1' });
+  assert.equal(section.text, 'Claim: A');
+  assert.equal(section.revision, 1);
+
+  // u2 still thinks the text is "Claim:" and prepends a heading.
+  const out = applyCanvasSectionEdit(section, { baseRevision: 0, op: ['# ', 6], uid: 'u2' });
+  assert.equal(out.text, '# Claim: A');
+  assert.equal(out.revision, 2);
+  assert.deepEqual(out.op, ['# ', 8]);
+  assert.deepEqual(out.history.map((entry) => entry.uid), ['u1', 'u2']);
+});
+
+test('rejects edits the history can no longer rebase', () => {
+  let section = { text: '', revision: 0, history: [] };
+  for (let n = 0; n < 4; n += 1) {
+    section = applyCanvasSectionEdit(
+      section,
+      { baseRevision: section.revision, op: [section.text.length, 'x'] },
+      { historyLimit: 2 }
+    );
+  }
+  assert.equal(section.history.length, 2);
+  assert.throws(
+    () => applyCanvasSectionEdit(section, { baseRevision: 1, op: [1, 'y'] }),
+    /canvas_revision_stale/
+  );
+  assert.throws(
+    () => applyCanvasSectionEdit(section, { baseRevision: 9, op: [4, 'y'] }),
+    /canvas_revision_invalid/
+  );
+  assert.throws(
+    () => applyCanvasSectionEdit(section, { baseRevision: 4, op: [4, 'yy'] }, { maxLength: 5 }),
+    /canvas_section_too_long/
+  );
+  const noop = applyCanvasSectionEdit(section, { baseRevision: 4, op: [4] });
+  assert.equal(noop.changed, false);
+  assert.equal(noop.revision, 4);
+});
@@ -61,6 +61,8 @@ test('participant-sensitive room endpoints require room membership guard', () =>
     ['post', '/rooms/:roomId/vote/ready'],
     ['get', '/rooms/:roomId/vote'],
     ['post', '/rooms/:roomId/vote/submit'],
+    ['get', '/rooms/:roomId/gallery-ballot'],
+    ['post', '/rooms/:roomId/gallery-ballot/submit'],
     ['post', '/rooms/:roomId/final/ready'],
     ['get', '/rooms/:roomId/events'],
   ];
@@ -93,6 +95,23 @@ test('facilitator-control endpoints enforce presenter scope', () => {
   }
 });
 
+test('site-wide presenter endpoints check the requested site', () => {
+  const siteRoutes = [
+    ['get', '/presenter/gallery'],
+    ['get', '/presenter/gallery-ballot'],
+    ['post', '/presenter/gallery-ballot/open'],
+    ['post', '/presenter/gallery-ballot/close'],
+  ];
+
+  for (const [method, route] of siteRoutes) {
+    assertRouteMiddleware(method, route, [
+      'requireAuth',
+      'requirePresenter',
+      'requirePresenterSiteMatchFromQuery',
+    ]);
+  }
+});
+
 test('admin endpoints enforce admin role plus license scope', () => {
   const adminRoutes = [
     ['get', '/admin/console'],
@@ -101,6 +120,27 @@ test('admin endpoints enforce admin role plus license scope', () => {
     ['get', '/admin/billing/summary'],
     ['post', '/admin/billing/run-cycle'],
     ['post', '/admin/support/tickets'],
+    ['get', '/admin/policies/sso'],
+    ['get', '/admin/policies/saml'],
+    ['get', '/admin/policies/scim-groups'],
+    ['put', '/admin/policies/scim-groups'],
+    ['get', '/admin/policies/scim-tokens'],
+    ['post', '/admin/policies/scim-tokens'],
+    ['post', '/admin/policies/scim-tokens/:tokenId/rotate'],
+    ['delete', '/admin/policies/scim-tokens/:tokenId'],
+    ['get', '/admin/policies/ai'],
+    ['put', '/admin/policies/ai'],
+    ['get', '/admin/policies/ai-budget'],
+    ['put', '/admin/policies/ai-budget'],
+    ['get', '/admin/knowledge'],
+    ['post', '/admin/knowledge'],
+    ['delete', '/admin/knowledge/:docId'],
+    ['get', '/admin/knowledge/search'],
+    ['get', '/admin/prompts'],
+    ['post', '/admin/prompts'],
+    ['put', '/admin/prompts/rollout'],
+    ['post', '/admin/prompts/eval'],
+    ['get', '/admin/moderation/decisions'],
   ];
 
   for (const [method, route] of adminRoutes) {
@@ -110,6 +150,13 @@ test('admin endpoints enforce admin role plus license scope', () => {
       'requireAdminLicense',
     ]);
   }
+
+  assertRouteMiddleware('get', '/admin/rooms/:roomId/ai-receipts', [
+    'requireAuth',
+    'requireAdmin',
+    'requireAdminLicense',
+    'requireRoomAccess',
+  ]);
 });
 
 test('super-admin endpoints enforce super-admin middleware', () => {
@@ -123,9 +170,53 @@ test('super-admin endpoints enforce super-admin middleware', () => {
     ['get', '/super-admin/outcomes'],
     ['get', '/super-admin/support'],
     ['post', '/super-admin/status/events'],
+    ['post', '/super-admin/licenses/:licenseId/billing-sync'],
+    ['post', '/super-admin/billing/dunning/run'],
+    ['get', '/super-admin/billing/price-book'],
+    ['put', '/super-admin/billing/price-book'],
+    ['get', '/super-admin/orgs/:orgId/price-book'],
+    ['put', '/super-admin/orgs/:orgId/price-book'],
   ];
 
   for (const [method, route] of superAdminRoutes) {
     assertRouteMiddleware(method, route, ['requireAuth', 'requireSuperAdmin']);
   }
 });
+
+test('every SCIM endpoint authenticates with an org-scoped SCIM token', () => {
+  const scimRoutes = [...serverSource.matchAll(/app\.(get|post|put|patch|delete)\('(\/scim\/v2\/[^']*)'/g)];
+  assert.ok(scimRoutes.length >= 10, 'SCIM routes not found in server.js');
+  for (const match of scimRoutes) {
+    const head = serverSource.slice(match.index, serverSource.indexOf('\n', match.index));
+    assert.match(head, /requireScimAuth/, `${match[0]} is missing requireScimAuth`);
+  }
+});
+
+test('the web app can preflight every method its routes use', () => {
+  const methods = serverSource.match(/cors\(\{[\s\S]*?methods: \[([^\]]*)\]/)?.[1] || '';
+  const allowed = new Set([...methods.matchAll(/'([A-Z]+)'/g)].map((match) => match[1]));
+  const browserRoutes = [
+    ['patch', '/rooms/:roomId/canvas/notes/:noteId'],
+    ['delete', '/rooms/:roomId/canvas/notes/:noteId'],
+    ['patch', '/rooms/:roomId/canvas/clusters/:clusterId'],
+    ['delete', '/rooms/:roomId/canvas/clusters/:clusterId'],
+    ['delete', '/admin/policies/scim-tokens/:tokenId'],
+    ['delete', '/admin/knowledge/:docId'],
+  ];
+  for (const [method, route] of browserRoutes) {
+    routeSnippet(method, route);
+    assert.ok(allowed.has(method.toUpperCase()), `CORS does not allow ${method.toUpperCase()} for ${route}`);
+  }
+});
+
+test('OIDC state is only exchanged by the browser that requested it', () => {
+  const start = serverSource.indexOf("app.post('/auth/sso/authorize'");
+  const exchangeAt = serverSource.indexOf("app.post('/auth/sso/exchange'");
+  assert.ok(start >= 0 && exchangeAt > start, 'OIDC routes not found in server.js');
+  const authorize = serverSource.slice(start, exchangeAt);
+  assert.match(authorize, /bindingHash: hashTokenValue\(browserBinding\)/);
+  assert.match(authorize, /oidcTransactionCookie\(req, browserBinding/);
+  const exchange = routeSnippet('post', '/auth/sso/exchange');
+  assert.match(exchange, /readRequestCookie\(req, OIDC_TRANSACTION_COOKIE\)/);
+  assert.match(exchange, /sso_transaction_mismatch/);
+});
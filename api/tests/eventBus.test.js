@@ -0,0 +1,208 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import test from 'node:test';
+
+import {
+  createMemoryEventBus,
+  createPollingEventBus,
+  createRedisEventBus,
+  eventChannel,
+  eventChannelsBetween,
+  eventSortKey,
+  normalizeEventBusBackend,
+} from '../eventBus.js';
+
+function createFakeRedis() {
+  const channels = new Map(); // channel -> Set<listener>
+  function createClient() {
+    const client = new EventEmitter();
+    client.isReady = false;
+    client.duplicate = () => createClient();
+    client.connect = async () => {
+      client.isReady = true;
+    };
+    client.quit = async () => {
+      client.isReady = false;
+    };
+    client.subscribe = async (channel, listener) => {
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      channels.get(channel).add(listener);
+    };
+    client.publish = async (channel, message) => {
+      for (const listener of channels.get(channel) || []) listener(message);
+      return 1;
+    };
+    return client;
+  }
+  return { createClient };
+}
+
+function createFakeStore() {
+  const records = [];
+  return {
+    records,
+    async append(record) {
+      records.push(record);
+      records.sort((a, b) => (a.sortKey < b.sortKey ? -1 : a.sortKey > b.sortKey ? 1 : 0));
+    },
+    async listSince(channel, afterSortKey, limit) {
+      return records
+        .filter((record) => record.channel === channel && record.sortKey > afterSortKey)
+        .slice(0, limit);
+    },
+  };
+}
+
+test('unknown backends fall back to the in-memory bus', () => {
+  assert.equal(normalizeEventBusBackend('REDIS'), 'redis');
+  assert.equal(normalizeEventBusBackend('dynamo'), 'dynamo');
+  assert.equal(normalizeEventBusBackend('kafka'), 'memory');
+  assert.equal(normalizeEventBusBackend(''), 'memory');
+});
+
+test('memory bus delivers to local subscribers and isolates handler failures', () => {
+  const bus = createMemoryEventBus({ instanceId: 'a', onError: () => {} });
+  const seen = [];
+  bus.subscribe(() => {
+    throw new Error('boom');
+  });
+  const unsubscribe = bus.subscribe((envelope) => seen.push(envelope.message));
+  bus.publish({ kind: 'room', roomId: 'R1' });
+  unsubscribe();
+  bus.publish({ kind: 'room', roomId: 'R2' });
+  assert.deepEqual(seen, [{ kind: 'room', roomId: 'R1' }]);
+});
+
+test('redis bus fans events out to other instances exactly once', async () => {
+  const redis = createFakeRedis();
+  const a = createRedisEventBus({ createClient: redis.createClient, instanceId: 'a' });
+  const b = createRedisEventBus({ createClient: redis.createClient, instanceId: 'b' });
+  await a.start();
+  await b.start();
+  const seenA = [];
+  const seenB = [];
+  a.subscribe((envelope) => seenA.push(envelope.message.roomId));
+  b.subscribe((envelope) => seenB.push(envelope.message.roomId));
+
+  a.publish({ kind: 'room', roomId: 'R1' });
+  b.publish({ kind: 'room', roomId: 'R2' });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(seenA, ['R1', 'R2']);
+  assert.deepEqual(seenB, ['R1', 'R2']);
+  await a.stop();
+  await b.stop();
+});
+
+test('redis bus still delivers locally while the broker is down', () => {
+  const redis = createFakeRedis();
+  const bus = createRedisEventBus({ createClient: redis.createClient, instanceId: 'a' });
+  const seen = [];
+  bus.subscribe((envelope) => seen.push(envelope.message.kind));
+  bus.publish({ kind: 'status' });
+  assert.deepEqual(seen, ['status']);
+});
+
+test('polling bus picks up other instances and tolerates clock drift', async () => {
+  const store = createFakeStore();
+  let clockA = 1_000_000;
+  let clockB = 1_000_000;
+  const a = createPollingEventBus({ store, instanceId: 'a', now: () => clockA, lagMs: 5_000 });
+  const b = createPollingEventBus({ store, instanceId: 'b', now: () => clockB, lagMs: 5_000 });
+  await a.start();
+  await b.start();
+  await a.stop();
+  await b.stop();
+
+  const seenA = [];
+  const seenB = [];
+  a.subscribe((envelope) => seenA.push(envelope.message.roomId));
+  b.subscribe((envelope) => seenB.push(envelope.message.roomId));
+
+  a.publish({ kind: 'room', roomId: 'R1' });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(store.records.length, 1);
+  assert.deepEqual(seenA, ['R1']);
+
+  clockB += 1_000;
+  await b.pollOnce();
+  assert.deepEqual(seenB, ['R1']);
+  await b.pollOnce();
+  assert.deepEqual(seenB, ['R1']);
+
+  // An event stamped slightly in the past by a lagging clock is still found.
+  await store.append({
+    channel: eventChannel(clockB - 3_000, 'R3'),
+    sortKey: eventSortKey(clockB - 3_000, 'c', 1),
+    envelope: { id: 'c:1', origin: 'c', seq: 1, at: clockB - 3_000, message: { roomId: 'R3' } },
+  });
+  clockA += 2_000;
+  await a.pollOnce();
+  await b.pollOnce();
+  assert.deepEqual(seenA, ['R1', 'R3']);
+  assert.deepEqual(seenB, ['R1', 'R3']);
+});
+
+test('polling bus pages through large batches', async () => {
+  const store = createFakeStore();
+  let clock = 5_000_000;
+  const reader = createPollingEventBus({ store, instanceId: 'r', now: () => clock, batchSize: 2 });
+  const writer = createPollingEventBus({ store, instanceId: 'w', now: () => clock });
+  await reader.start();
+  const seen = [];
+  reader.subscribe((envelope) => seen.push(envelope.message.n));
+  for (let n = 0; n < 5; n += 1) writer.publish({ n });
+  await new Promise((resolve) => setImmediate(resolve));
+  clock += 500;
+  await reader.pollOnce();
+  await reader.stop();
+  assert.deepEqual(seen, [0, 1, 2, 3, 4]);
+});
+
+test('polling bus spreads rooms over shards and reads across bucket edges', async () => {
+  const store = createFakeStore();
+  const sharding = { shardCount: 4, shardBucketMs: 10_000 };
+  let clock = 9_999_000;
+  const reader = createPollingEventBus({ store, instanceId: 'r', now: () => clock, lagMs: 2_000, ...sharding });
+  const writer = createPollingEventBus({ store, instanceId: 'w', now: () => clock, ...sharding });
+  await reader.start();
+  await reader.stop();
+  const seen = [];
+  reader.subscribe((envelope) => seen.push(envelope.message.roomId));
+
+  const rooms = Array.from({ length: 12 }, (_, n) => `R${n}`);
+  for (const roomId of rooms.slice(0, 6)) writer.publish({ kind: 'room', roomId });
+  clock += 2_000; // into the next bucket
+  for (const roomId of rooms.slice(6)) writer.publish({ kind: 'room', roomId });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.ok(new Set(store.records.map((record) => record.channel)).size > 2, 'rooms land on several channels');
+  for (const record of store.records) {
+    assert.equal(record.channel, eventChannel(record.at, record.envelope.message.roomId, { shardCount: 4, bucketMs: 10_000 }));
+  }
+  clock += 500;
+  await reader.pollOnce();
+  assert.deepEqual(seen.sort(), [...rooms].sort());
+
+  assert.deepEqual(eventChannelsBetween(9_998_000, 10_001_000, { shardCount: 2, bucketMs: 10_000 }), [
+    '999#0',
+    '999#1',
+    '1000#0',
+    '1000#1',
+  ]);
+});
+
+test('sort keys order by time, then origin and sequence', () => {
+  const keys = [
+    eventSortKey(20, 'a', 1),
+    eventSortKey(3, 'b', 2),
+    eventSortKey(3, 'b', 10),
+    eventSortKey(3, 'a', 5),
+  ].sort();
+  assert.deepEqual(keys, [
+    eventSortKey(3, 'a', 5),
+    eventSortKey(3, 'b', 2),
+    eventSortKey(3, 'b', 10),
+    eventSortKey(20, 'a', 1),
+  ]);
+});
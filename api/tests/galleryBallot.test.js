@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  createGalleryBallot,
+  galleryBallotChoices,
+  galleryBallotOptions,
+  galleryBallotTurnout,
+  normalizeGalleryBallot,
+  tallyGalleryBallot,
+} from '../galleryBallot.js';
+
+const ITEMS = [
+  { roomId: 'E1-3', index: 3, topic: 'Red Lining', abstract: 'Maps that still shape blocks.' },
+  { roomId: 'E1-1', index: 1, topic: 'Food Deserts', abstract: 'Corner stores and bus lines.' },
+  { roomId: 'E1-2', index: 2, topic: '', abstract: 'Untitled but finished.' },
+  { roomId: 'E1-4', index: 4, topic: 'Draft only', abstract: '   ' },
+];
+
+test('gallery entries become options ordered by room', () => {
+  const options = galleryBallotOptions(ITEMS);
+  assert.deepEqual(options.map((opt) => [opt.num, opt.label]), [
+    [1, 'Food Deserts'],
+    [2, 'Room 2'],
+    [3, 'Red Lining'],
+  ]);
+  assert.throws(() => createGalleryBallot({ siteId: 'e1', items: ITEMS.slice(0, 1) }), /gallery_ballot_needs_two_entries/);
+
+  const ballot = createGalleryBallot({ siteId: 'e1', items: ITEMS, config: { mode: 'approval', anonymous: true } });
+  assert.equal(ballot.siteId, 'E1');
+  assert.equal(ballot.open, true);
+  assert.equal(ballot.config.mode, 'approval');
+  assert.equal(ballot.config.anonymous, false);
+});
+
+test('voters cannot pick their own room', () => {
+  const ballot = createGalleryBallot({ siteId: 'E1', items: ITEMS, config: { mode: 'ranked' } });
+  assert.deepEqual(galleryBallotChoices(ballot, 'E1-2').map((opt) => opt.num), [1, 3]);
+  assert.deepEqual(normalizeGalleryBallot({ ranking: [3, 1] }, ballot, 'E1-2'), [3, 1]);
+  assert.throws(() => normalizeGalleryBallot({ ranking: [3, 2] }, ballot, 'E1-2'), /own_room_excluded/);
+  assert.throws(() => normalizeGalleryBallot({ ranking: [9] }, ballot, 'E1-2'), /invalid_choice/);
+
+  // Voters from rooms without a gallery entry can pick anything.
+  assert.deepEqual(normalizeGalleryBallot({ ranking: [2] }, ballot, 'E1-5'), [2]);
+});
+
+test('tallies and turnout come from the stored ballots', () => {
+  const ballot = createGalleryBallot({ siteId: 'E1', items: ITEMS, config: { tieBreak: 'option_order' } });
+  ballot.ballots = {
+    u1: { roomId: 'E1-1', ballot: 3 },
+    u2: { roomId: 'E1-1', ballot: 2 },
+    u3: { roomId: 'E1-2', ballot: 3 },
+    u4: { roomId: 'E1-3', ballot: 1 },
+  };
+  const results = tallyGalleryBallot(ballot);
+  assert.equal(results.winner, 3);
+  assert.deepEqual(results.rounds[0].counts, { 1: 1, 2: 1, 3: 2 });
+  assert.deepEqual(galleryBallotTurnout(ballot), { 'E1-1': 2, 'E1-2': 1, 'E1-3': 1 });
+});
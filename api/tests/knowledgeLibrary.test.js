@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  appendSourceList,
+  buildKnowledgeIndex,
+  chunkDocument,
+  citedPassages,
+  knowledgePrompt,
+  normalizeKnowledgeDoc,
+  searchKnowledge,
+} from '../knowledgeLibrary.js';
+
+const docs = [
+  {
+    docId: 'D1',
+    title: 'Oakland Food Access Brief',
+    sourceUrl: 'https://example.org/food-brief',
+    chunks: [
+      'West Oakland has one full-service grocery store for roughly 25,000 residents.',
+      'Corner stores stock mostly packaged snacks; fresh produce is rare and expensive.',
+    ],
+  },
+  {
+    docId: 'D2',
+    title: 'Story Style Guide',
+    chunks: ['Write abstracts in present tense and name the protagonist in the first sentence.'],
+  },
+];
+
+test('documents are validated and split into overlapping passages', () => {
+  assert.throws(() => normalizeKnowledgeDoc({ title: '', text: 'x' }), /title_required/);
+  const doc = normalizeKnowledgeDoc({ title: ' Brief ', text: 'Body', kind: 'style_guide', sourceUrl: 'javascript:alert(1)' });
+  assert.deepEqual(doc, { title: 'Brief', kind: 'STYLE_GUIDE', sourceUrl: '', text: 'Body' });
+
+  const text = ['First paragraph about grocery stores.', 'Second paragraph about bus routes.', 'Third about prices.'].join('\n\n');
+  const chunks = chunkDocument(text, { chunkChars: 60, overlap: 20 });
+  assert.equal(chunks.length, 3);
+  assert.ok(chunks[1].startsWith('grocery stores.'), chunks[1]);
+  assert.ok(chunks.every((chunk) => chunk.length <= 90));
+});
+
+test('BM25 ranks the passage that matches the question', () => {
+  const index = buildKnowledgeIndex(docs);
+  const hits = searchKnowledge(index, 'How many grocery stores are in West Oakland?');
+  assert.equal(hits[0].docId, 'D1');
+  assert.equal(hits[0].chunkIndex, 0);
+  assert.equal(searchKnowledge(index, 'protagonist tense')[0].docId, 'D2');
+  assert.deepEqual(searchKnowledge(index, 'the and of'), []);
+  assert.equal(searchKnowledge(index, 'store produce grocery', { perDoc: 1 }).length, 1);
+});
+
+test('citations map back to the passages that were offered', () => {
+  const passages = searchKnowledge(buildKnowledgeIndex(docs), 'grocery store produce');
+  assert.match(knowledgePrompt(passages), /\[1\] Oakland Food Access Brief \(https:\/\/example\.org\/food-brief\)/);
+
+  const reply = 'Only one grocery store serves West Oakland [1]; [9] is not a real source.';
+  assert.deepEqual(citedPassages(reply, passages).map((p) => p.n), [1]);
+  assert.equal(
+    appendSourceList(reply, passages),
+    `${reply}\n\n**Sources**\n[1] Oakland Food Access Brief — https://example.org/food-brief`
+  );
+  assert.equal(appendSourceList('No citations here.', passages), 'No citations here.');
+});
@@ -0,0 +1,269 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import test from 'node:test';
+
+import {
+  createLlmRouter,
+  defaultLlmModel,
+  describeLlmCall,
+  llmModelFitsProvider,
+  normalizeLlmProvider,
+  stubCompletion,
+  stubToolCalls,
+  toAnthropicRequest,
+} from '../llmProviders.js';
+
+const quiet = { warn() {} };
+const noSleep = async () => {};
+
+function scripted(results) {
+  const calls = [];
+  return {
+    calls,
+    async complete(request) {
+      calls.push(request.model);
+      const next = results.shift();
+      if (next instanceof Error) throw next;
+      return { text: next, usage: { inputTokens: 1, outputTokens: 1 } };
+    },
+  };
+}
+
+function httpError(status, message = 'failed') {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+test('provider names normalize with aliases and per-provider default models', () => {
+  assert.equal(normalizeLlmProvider('Azure'), 'azure_openai');
+  assert.equal(normalizeLlmProvider('ollama'), 'local');
+  assert.equal(normalizeLlmProvider('bard'), 'openai');
+  assert.equal(normalizeLlmProvider('bard', ''), '');
+  assert.equal(defaultLlmModel('anthropic', { ANTHROPIC_MODEL: 'claude-x' }), 'claude-x');
+  assert.equal(defaultLlmModel('stub', {}), 'stub');
+});
+
+test('anthropic requests lift system prompts and merge consecutive turns', () => {
+  const body = toAnthropicRequest(
+    [
+      { role: 'system', content: 'Be Asema.' },
+      { role: 'system', content: 'Stage: PLANNING' },
+      { role: 'user', content: 'one' },
+      { role: 'user', content: 'two' },
+    ],
+    { model: 'claude-x', maxTokens: 100, temperature: 1.4 }
+  );
+  assert.equal(body.system, 'Be Asema.\n\nStage: PLANNING');
+  assert.deepEqual(body.messages, [{ role: 'user', content: 'one\n\ntwo' }]);
+  assert.equal(body.temperature, 1);
+  assert.equal(body.max_tokens, 100);
+});
+
+test('stub completions are deterministic', () => {
+  const messages = [{ role: 'system', content: 'x' }, { role: 'user', content: 'Write a greeting\nmore' }];
+  assert.equal(stubCompletion(messages), stubCompletion(messages));
+  assert.match(stubCompletion(messages), /^Offline Asema \([0-9a-f]{8}\): Write a greeting$/);
+});
+
+test('tools are offered in each provider shape and come back as calls', async () => {
+  const tools = [{ name: 'open_vote', description: 'Open voting', parameters: { type: 'object', properties: {} } }];
+  const body = toAnthropicRequest([{ role: 'user', content: 'hi' }], { tools });
+  assert.deepEqual(body.tools, [{ name: 'open_vote', description: 'Open voting', input_schema: { type: 'object', properties: {} } }]);
+  assert.equal(toAnthropicRequest([{ role: 'user', content: 'hi' }]).tools, undefined);
+
+  const asked = [{ role: 'user', content: 'please\ntool:open_vote {}\ntool:delete_room {}' }];
+  assert.deepEqual(stubToolCalls(asked, tools), [{ id: 'stub_1', name: 'open_vote', input: {} }]);
+  assert.deepEqual(stubToolCalls(asked, []), []);
+
+  // Anthropic streams tool input as JSON fragments on its own content block.
+  const events = [
+    { type: 'message_start', message: { usage: { input_tokens: 7 } } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Opening it.' } },
+    { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'tu_1', name: 'add_sticky_note' } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"text":"bus ' } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: 'routes"}' } },
+    { type: 'message_delta', usage: { output_tokens: 12 } },
+  ];
+  const router = createLlmRouter({
+    env: { LLM_PROVIDER: 'anthropic', ANTHROPIC_API_KEY: 'k' },
+    fetchImpl: async () => new Response(events.map((event) => `data: ${JSON.stringify(event)}\n\n`).join('')),
+    log: quiet,
+  });
+  const deltas = [];
+  const out = await router.stream({ messages: asked, tools }, (delta) => deltas.push(delta));
+  assert.equal(out.text, 'Opening it.');
+  assert.deepEqual(deltas, ['Opening it.']);
+  assert.deepEqual(out.toolCalls, [{ id: 'tu_1', name: 'add_sticky_note', input: { text: 'bus routes' } }]);
+  assert.deepEqual(describeLlmCall({ messages: asked }, out).toolCalls, ['add_sticky_note']);
+});
+
+test('retries transient errors and switches to the fallback model last', async () => {
+  const openai = scripted([httpError(429), httpError(503), 'ok']);
+  const router = createLlmRouter({
+    env: { OPENAI_MODEL: 'big', OPENAI_FALLBACK_MODEL: 'small' },
+    backends: { openai },
+    sleep: noSleep,
+    log: quiet,
+  });
+  const out = await router.complete({ messages: [] });
+  assert.deepEqual(openai.calls, ['big', 'big', 'small']);
+  assert.equal(out.text, 'ok');
+  assert.equal(out.attempts, 3);
+  assert.equal(out.model, 'small');
+});
+
+test('non-retryable failures fall through to the fallback provider', async () => {
+  const anthropic = scripted([httpError(401, 'invalid x-api-key')]);
+  const stub = scripted(['offline']);
+  const router = createLlmRouter({
+    env: {},
+    backends: { anthropic, stub },
+    sleep: noSleep,
+    log: quiet,
+  });
+  const out = await router.complete({ provider: 'anthropic', fallbackProvider: 'stub', model: 'claude-x' });
+  assert.deepEqual(anthropic.calls, ['claude-x']);
+  // The fallback provider uses its own model, not the primary's.
+  assert.deepEqual(stub.calls, ['stub']);
+  assert.equal(out.provider, 'stub');
+  assert.equal(out.fallbackFrom, 'anthropic');
+
+  const strict = createLlmRouter({ env: {}, backends: { anthropic: scripted([httpError(401)]) }, log: quiet });
+  await assert.rejects(() => strict.complete({ provider: 'anthropic' }), /failed/);
+});
+
+test('slow providers time out with a retryable error', async () => {
+  const local = {
+    complete: ({ signal }) =>
+      new Promise((resolve) => {
+        const timer = setTimeout(() => resolve({ text: 'late' }), 200);
+        signal.addEventListener('abort', () => clearTimeout(timer));
+      }),
+  };
+  const router = createLlmRouter({
+    env: { LOCAL_LLM_TIMEOUT_MS: '20', LLM_FALLBACK_PROVIDER: 'stub' },
+    backends: { local, stub: scripted(['stubbed']) },
+    log: quiet,
+  });
+  const out = await router.complete({ provider: 'local' });
+  assert.equal(out.text, 'stubbed');
+  assert.equal(router.status().local.configured, false);
+});
+
+function streaming(chunks, failAfter = null) {
+  return {
+    async stream({ onDelta }) {
+      for (const chunk of chunks) onDelta(chunk);
+      if (failAfter) throw failAfter;
+      return { text: chunks.join(''), usage: { inputTokens: 1, outputTokens: chunks.length } };
+    },
+  };
+}
+
+test('streams relay deltas and keep partial output when the stream breaks', async () => {
+  const deltas = [];
+  const router = createLlmRouter({
+    env: {},
+    backends: { openai: streaming(['Hel', 'lo ', 'room']) },
+    log: quiet,
+  });
+  const out = await router.stream({ messages: [] }, (delta) => deltas.push(delta));
+  assert.deepEqual(deltas, ['Hel', 'lo ', 'room']);
+  assert.equal(out.text, 'Hello room');
+  assert.equal(out.partial, undefined);
+
+  // Text already shown to the room is kept rather than retried or replaced.
+  const stub = scripted(['offline']);
+  const broken = createLlmRouter({
+    env: {},
+    backends: { openai: streaming(['Half a ', 'sentence'], httpError(503)), stub },
+    sleep: noSleep,
+    log: quiet,
+  });
+  const partial = await broken.stream(
+    { fallbackProvider: 'stub', messages: [{ role: 'user', content: 'Write a sentence.' }] },
+    () => {}
+  );
+  assert.equal(partial.text, 'Half a sentence');
+  assert.equal(partial.partial, true);
+  assert.deepEqual(partial.usage, { inputTokens: 5, outputTokens: 4 }, 'a broken stream estimates usage');
+  assert.equal(partial.attempts, 1);
+  assert.deepEqual(stub.calls, []);
+});
+
+test('streams fall back before the first delta and emit whole completions once', async () => {
+  const deltas = [];
+  const router = createLlmRouter({
+    env: {},
+    backends: { anthropic: scripted([httpError(401)]), stub: scripted(['offline reply']) },
+    log: quiet,
+  });
+  const out = await router.stream({ provider: 'anthropic', fallbackProvider: 'stub' }, (delta) => deltas.push(delta));
+  assert.deepEqual(deltas, ['offline reply']);
+  assert.equal(out.fallbackFrom, 'anthropic');
+});
+
+test('stream timeouts count idle time, not total time', async () => {
+  const local = {
+    async stream({ onDelta }) {
+      for (const word of ['one ', 'two ', 'three']) {
+        await new Promise((resolve) => setTimeout(resolve, 15));
+        onDelta(word);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 80));
+      onDelta(' late');
+      return { text: 'never' };
+    },
+  };
+  const router = createLlmRouter({ env: { LOCAL_LLM_TIMEOUT_MS: '30' }, backends: { local }, log: quiet });
+  const deltas = [];
+  const out = await router.stream({ provider: 'local' }, (delta) => deltas.push(delta));
+  assert.equal(out.text, 'one two three');
+  assert.equal(out.partial, true);
+  assert.equal(out.error, 'llm_timeout');
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.deepEqual(deltas, ['one ', 'two ', 'three']);
+});
+
+test('call descriptions carry usage, latency, model fallback and prompt hashes', async () => {
+  const openai = scripted([httpError(503), httpError(503), 'ok']);
+  const router = createLlmRouter({
+    env: { OPENAI_MODEL: 'big', OPENAI_FALLBACK_MODEL: 'small' },
+    backends: { openai },
+    sleep: noSleep,
+    log: quiet,
+  });
+  const request = { messages: [{ role: 'system', content: 'Be Asema.' }, { role: 'user', content: 'hi' }] };
+  const call = describeLlmCall(request, await router.complete(request), { redactions: 2 });
+  assert.equal(call.provider, 'openai');
+  assert.equal(call.model, 'small');
+  assert.equal(call.requestedModel, 'big');
+  assert.equal(call.modelFallback, true);
+  assert.equal(call.attempts, 3);
+  assert.deepEqual(call.usage, { inputTokens: 1, outputTokens: 1, totalTokens: 2 });
+  assert.ok(call.latencyMs >= 0);
+  assert.equal(call.redactions, 2);
+  assert.equal(
+    call.hashes.systemPrompt,
+    createHash('sha256').update('Be Asema.').digest('hex')
+  );
+  assert.match(call.hashes.prompt, /^[0-9a-f]{64}$/);
+
+  const other = describeLlmCall({ ...request, messages: [...request.messages, { role: 'user', content: 'x' }] }, {});
+  assert.equal(other.hashes.systemPrompt, call.hashes.systemPrompt);
+  assert.notEqual(other.hashes.prompt, call.hashes.prompt);
+});
+
+test('model names are checked against the provider they are sent to', () => {
+  const env = { AZURE_OPENAI_DEPLOYMENT: 'prod-chat' };
+  assert.equal(llmModelFitsProvider('gpt-4o', 'openai', env), true);
+  assert.equal(llmModelFitsProvider('o3-mini', 'openai', env), true);
+  assert.equal(llmModelFitsProvider('gpt-4o', 'anthropic', env), false);
+  assert.equal(llmModelFitsProvider('claude-3-5-sonnet-latest', 'claude', env), true);
+  assert.equal(llmModelFitsProvider('claude-3-5-sonnet-latest', 'local', env), false);
+  assert.equal(llmModelFitsProvider('gpt-4o', 'azure', env), true, 'azure deployments are named freely');
+  assert.equal(llmModelFitsProvider('llama3.1', 'local', env), true);
+  assert.equal(llmModelFitsProvider('', 'openai', env), false);
+  assert.equal(llmModelFitsProvider('my-tuned-model', 'openai', { OPENAI_MODEL: 'my-tuned-model' }), true);
+});
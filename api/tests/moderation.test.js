@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  createModerationPipeline,
+  mapCategoryScores,
+  normalizeModerationThresholds,
+  prefilterModerationText,
+  resolveModerationThresholds,
+  stubClassifier,
+} from '../moderation.js';
+
+const quiet = { warn() {} };
+
+function fixedScores(scores) {
+  const calls = [];
+  return {
+    name: 'fixed',
+    model: 'fixed',
+    calls,
+    async classify(text) {
+      calls.push(text);
+      return scores;
+    },
+  };
+}
+
+test('the regex prefilter blocks before the classifier runs', async () => {
+  assert.deepEqual(prefilterModerationText('email me at kid@example.com', {}), ['pii_detected']);
+  assert.deepEqual(prefilterModerationText('email me at kid@example.com', { ageSafeMode: 'ADULT' }), []);
+  assert.deepEqual(prefilterModerationText('The Vault is open', { blockedTerms: ['vault'] }), ['blocked_term:vault']);
+
+  const classifier = fixedScores({});
+  const pipeline = createModerationPipeline({ env: {}, classifier, log: quiet });
+  const out = await pipeline.moderate('call 555-123-4567', { ageSafeMode: 'K12' });
+  assert.equal(out.blocked, true);
+  assert.equal(out.stage, 'prefilter');
+  assert.deepEqual(classifier.calls, []);
+});
+
+test('classifier scores are judged against thresholds for the age mode', async () => {
+  const pipeline = createModerationPipeline({
+    env: {},
+    classifier: fixedScores({ violence: 0.5, sexual: 0.05 }),
+    log: quiet,
+  });
+  const k12 = await pipeline.moderate('the knight swings at the dragon', { ageSafeMode: 'K12' });
+  assert.equal(k12.blocked, true);
+  assert.deepEqual(k12.flags, ['classifier:violence']);
+  assert.equal(k12.stage, 'classifier');
+
+  const adult = await pipeline.moderate('the knight swings at the dragon', { ageSafeMode: 'ADULT' });
+  assert.equal(adult.blocked, false);
+
+  // A policy can loosen one category for one mode.
+  const tuned = await pipeline.moderate('the knight swings at the dragon', {
+    ageSafeMode: 'K12',
+    moderationThresholds: { K12: { violence: 0.7 } },
+  });
+  assert.equal(tuned.blocked, false);
+
+  const off = await pipeline.moderate('anything', { ageSafeMode: 'K12', moderationLevel: 'OFF' });
+  assert.equal(off.blocked, false);
+});
+
+test('thresholds normalize, merge and tighten under STRICT', () => {
+  assert.deepEqual(
+    normalizeModerationThresholds({ k12: { Violence: '0.2', nope: 1 }, martian: { hate: 0.1 }, TEEN: { hate: 'x' } }),
+    { K12: { violence: 0.2 } }
+  );
+  const strict = resolveModerationThresholds({ ageSafeMode: 'TEEN', moderationLevel: 'STRICT' });
+  assert.equal(strict.violence, 0.45);
+  assert.deepEqual(resolveModerationThresholds({ ageSafeMode: 'OFF' }), { sexual_minors: 0.05 });
+});
+
+test('provider categories fold into ours and classifier failures fail open by default', async () => {
+  assert.deepEqual(
+    mapCategoryScores({ 'self-harm/intent': 0.4, 'self-harm': 0.1, 'sexual/minors': 0.02, 'violence/graphic': 0.3, other: 1 }),
+    { self_harm: 0.4, sexual_minors: 0.02, violence: 0.3 }
+  );
+
+  const broken = { name: 'broken', async classify() { throw new Error('boom'); } };
+  const open = createModerationPipeline({ env: {}, classifier: broken, log: quiet });
+  assert.equal((await open.moderate('hello', {})).blocked, false);
+  const closed = createModerationPipeline({ env: { MODERATION_FAIL_CLOSED: 'true' }, classifier: broken, log: quiet });
+  const out = await closed.moderate('hello', {});
+  assert.deepEqual([out.blocked, out.flags, out.error], [true, ['moderation_unavailable'], 'boom']);
+
+  assert.equal((await stubClassifier.classify('then we stab the map')).violence, 0.9);
+  assert.equal(createModerationPipeline({ env: { MODERATION_PROVIDER: 'stub' } }).status().provider, 'stub');
+  assert.equal(createModerationPipeline({ env: {} }).status().provider, 'none');
+});
@@ -0,0 +1,373 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import test from 'node:test';
+
+import {
+  buildAuthorizationUrl,
+  clearOidcCaches,
+  exchangeAuthorizationCode,
+  extractIdentityClaims,
+  fetchDiscoveryDocument,
+  generatePkcePair,
+  normalizeOidcConfig,
+  openSsoTransaction,
+  redactOidcConfig,
+  sealSsoTransaction,
+  verifyIdToken,
+} from '../oidc.js';
+
+const CLIENT_ID = 'storibloom-test-client';
+const SECRET = 'test-secret';
+
+function toBase64Url(input) {
+  return Buffer.from(input)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/g, '');
+}
+
+function makeSigningKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+  });
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' },
+  };
+}
+
+function signIdToken(claims, key, header = {}) {
+  const headerSegment = toBase64Url(
+    JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: key.kid, ...header })
+  );
+  const payloadSegment = toBase64Url(JSON.stringify(claims));
+  const signingInput = `${headerSegment}.${payloadSegment}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), key.privateKey);
+  return `${signingInput}.${toBase64Url(signature)}`;
+}
+
+// Minimal issuer serving discovery, JWKS and a token endpoint that checks PKCE.
+async function startMockIssuer() {
+  const state = {
+    keys: [makeSigningKey('key-1')],
+    jwksHits: 0,
+    pendingCodes: new Map(), // code -> { codeChallenge, idToken }
+    lastTokenRequest: null,
+  };
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, state.issuer);
+    const sendJson = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(200, {
+        issuer: state.issuer,
+        authorization_endpoint: `${state.issuer}/authorize`,
+        token_endpoint: `${state.issuer}/token`,
+        jwks_uri: `${state.issuer}/jwks`,
+        token_endpoint_auth_methods_supported: ['client_secret_basic'],
+      });
+    }
+    if (url.pathname === '/jwks') {
+      state.jwksHits += 1;
+      return sendJson(200, { keys: state.keys.map((key) => key.jwk) });
+    }
+    if (url.pathname === '/token' && req.method === 'POST') {
+      let raw = '';
+      req.on('data', (chunk) => {
+        raw += chunk;
+      });
+      req.on('end', () => {
+        const form = new URLSearchParams(raw);
+        state.lastTokenRequest = {
+          form,
+          authorization: String(req.headers.authorization || ''),
+        };
+        const pending = state.pendingCodes.get(form.get('code'));
+        const challenge = toBase64Url(
+          crypto.createHash('sha256').update(String(form.get('code_verifier') || '')).digest()
+        );
+        if (!pending || pending.codeChallenge !== challenge) {
+          return sendJson(400, { error: 'invalid_grant' });
+        }
+        state.pendingCodes.delete(form.get('code'));
+        return sendJson(200, { id_token: pending.idToken, token_type: 'Bearer' });
+      });
+      return undefined;
+    }
+    return sendJson(404, { error: 'not_found' });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  state.issuer = `http://127.0.0.1:${server.address().port}`;
+  state.close = () => new Promise((resolve) => server.close(resolve));
+  return state;
+}
+
+function baseClaims(issuer, overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    iss: issuer,
+    aud: CLIENT_ID,
+    sub: 'okta-user-1',
+    email: 'Teacher@Example.org',
+    email_verified: true,
+    nonce: 'nonce-123',
+    groups: ['StoriBloom Presenters', 'Everyone'],
+    iat: now,
+    exp: now + 300,
+    ...overrides,
+  };
+}
+
+let issuer;
+
+test.before(async () => {
+  issuer = await startMockIssuer();
+});
+
+test.after(async () => {
+  await issuer.close();
+});
+
+test.beforeEach(() => {
+  clearOidcCaches();
+});
+
+test('discovery document is fetched and issuer checked', async () => {
+  const doc = await fetchDiscoveryDocument(`${issuer.issuer}/`);
+  assert.equal(doc.jwks_uri, `${issuer.issuer}/jwks`);
+
+  await assert.rejects(
+    () => fetchDiscoveryDocument('not-a-url'),
+    /oidc_issuer_invalid/
+  );
+});
+
+test('authorization code exchange sends PKCE verifier and client credentials', async () => {
+  const discovery = await fetchDiscoveryDocument(issuer.issuer);
+  const pkce = generatePkcePair();
+  const idToken = signIdToken(baseClaims(issuer.issuer), issuer.keys[0]);
+  issuer.pendingCodes.set('code-1', { codeChallenge: pkce.codeChallenge, idToken });
+
+  const url = new URL(
+    buildAuthorizationUrl({
+      discovery,
+      clientId: CLIENT_ID,
+      redirectUri: 'https://app.example.org/sso/callback',
+      scopes: ['openid', 'email', 'groups'],
+      state: 'state-1',
+      nonce: 'nonce-123',
+      codeChallenge: pkce.codeChallenge,
+    })
+  );
+  assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+  assert.equal(url.searchParams.get('scope'), 'openid email groups');
+
+  const tokens = await exchangeAuthorizationCode({
+    discovery,
+    clientId: CLIENT_ID,
+    clientSecret: 's3cret',
+    code: 'code-1',
+    redirectUri: 'https://app.example.org/sso/callback',
+    codeVerifier: pkce.codeVerifier,
+  });
+  assert.equal(tokens.id_token, idToken);
+  assert.match(issuer.lastTokenRequest.authorization, /^Basic /);
+  assert.equal(issuer.lastTokenRequest.form.get('grant_type'), 'authorization_code');
+
+  await assert.rejects(
+    () =>
+      exchangeAuthorizationCode({
+        discovery,
+        clientId: CLIENT_ID,
+        code: 'code-unknown',
+        redirectUri: 'https://app.example.org/sso/callback',
+        codeVerifier: pkce.codeVerifier,
+      }),
+    /oidc_token_exchange_failed/
+  );
+});
+
+test('verifies signature, audience and nonce of ID tokens', async () => {
+  const discovery = await fetchDiscoveryDocument(issuer.issuer);
+  const options = {
+    issuer: discovery.issuer,
+    audience: CLIENT_ID,
+    nonce: 'nonce-123',
+    jwksUri: discovery.jwks_uri,
+  };
+
+  const claims = await verifyIdToken(
+    signIdToken(baseClaims(issuer.issuer), issuer.keys[0]),
+    options
+  );
+  assert.equal(claims.sub, 'okta-user-1');
+
+  await assert.rejects(
+    () =>
+      verifyIdToken(
+        signIdToken(baseClaims(issuer.issuer, { aud: 'someone-else' }), issuer.keys[0]),
+        options
+      ),
+    /oidc_id_token_bad_audience/
+  );
+  await assert.rejects(
+    () =>
+      verifyIdToken(
+        signIdToken(baseClaims(issuer.issuer, { nonce: 'replayed' }), issuer.keys[0]),
+        options
+      ),
+    /oidc_id_token_bad_nonce/
+  );
+  await assert.rejects(
+    () =>
+      verifyIdToken(
+        signIdToken(baseClaims('https://evil.example.com'), issuer.keys[0]),
+        options
+      ),
+    /oidc_id_token_bad_issuer/
+  );
+  await assert.rejects(
+    () =>
+      verifyIdToken(
+        signIdToken(baseClaims(issuer.issuer, { exp: 1000, iat: 900 }), issuer.keys[0]),
+        options
+      ),
+    /oidc_id_token_expired/
+  );
+});
+
+test('rejects tokens signed by an unknown key and body-forged claims', async () => {
+  const discovery = await fetchDiscoveryDocument(issuer.issuer);
+  const attacker = makeSigningKey('key-1');
+  await assert.rejects(
+    () =>
+      verifyIdToken(signIdToken(baseClaims(issuer.issuer), attacker), {
+        issuer: discovery.issuer,
+        audience: CLIENT_ID,
+        nonce: 'nonce-123',
+        jwksUri: discovery.jwks_uri,
+      }),
+    /oidc_id_token_invalid_signature/
+  );
+
+  const unsigned = signIdToken(baseClaims(issuer.issuer), issuer.keys[0], { alg: 'none' });
+  await assert.rejects(
+    () =>
+      verifyIdToken(unsigned, {
+        issuer: discovery.issuer,
+        audience: CLIENT_ID,
+        nonce: 'nonce-123',
+        jwksUri: discovery.jwks_uri,
+      }),
+    /oidc_id_token_alg_unsupported/
+  );
+});
+
+test('caches JWKS and refetches when the IdP rotates keys', async () => {
+  const discovery = await fetchDiscoveryDocument(issuer.issuer);
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const options = {
+    issuer: discovery.issuer,
+    audience: CLIENT_ID,
+    nonce: 'nonce-123',
+    jwksUri: discovery.jwks_uri,
+    nowSeconds,
+  };
+  const hitsBefore = issuer.jwksHits;
+  await verifyIdToken(signIdToken(baseClaims(issuer.issuer), issuer.keys[0]), options);
+  await verifyIdToken(signIdToken(baseClaims(issuer.issuer), issuer.keys[0]), options);
+  assert.equal(issuer.jwksHits - hitsBefore, 1);
+
+  const rotated = makeSigningKey('key-2');
+  issuer.keys.push(rotated);
+  const claims = await verifyIdToken(signIdToken(baseClaims(issuer.issuer), rotated), {
+    ...options,
+    nowSeconds: nowSeconds + 60,
+  });
+  assert.equal(claims.sub, 'okta-user-1');
+  assert.equal(issuer.jwksHits - hitsBefore, 2);
+  issuer.keys.pop();
+});
+
+test('extracts identity and group claims per provider', () => {
+  const okta = extractIdentityClaims(
+    { sub: 'u1', email: 'A@B.org', email_verified: true, groups: ['Admins'] },
+    { provider: 'OKTA' }
+  );
+  assert.equal(okta.email, 'a@b.org');
+  assert.deepEqual(okta.groups, ['Admins']);
+
+  const entra = extractIdentityClaims(
+    { sub: 'u2', preferred_username: 'Teacher@School.edu', groups: ['g-1'], roles: ['Presenter'] },
+    { provider: 'ENTRA' }
+  );
+  assert.equal(entra.email, 'teacher@school.edu');
+  assert.equal(entra.emailVerified, null);
+  assert.deepEqual(entra.groups, ['g-1', 'Presenter']);
+
+  const nested = extractIdentityClaims(
+    { sub: 'u3', email: 'x@y.org', realm_access: { roles: ['ops'] } },
+    { provider: 'GOOGLE', groupsClaim: 'realm_access.roles' }
+  );
+  assert.deepEqual(nested.groups, ['ops']);
+  assert.equal(okta.siteId, '');
+
+  assert.equal(extractIdentityClaims({ sub: 'u4', site_id: 'SITE-1' }, { provider: 'OKTA' }).siteId, 'SITE-1');
+  const custom = extractIdentityClaims(
+    { sub: 'u5', site_id: 'SITE-1', org: { sites: ['SITE-2', 'SITE-3'] } },
+    { provider: 'ENTRA', siteClaim: 'org.sites' }
+  );
+  assert.equal(custom.siteId, 'SITE-2');
+});
+
+test('sealed SSO transactions round-trip and reject tampering or expiry', () => {
+  const sealed = sealSsoTransaction(
+    { orgId: 'ORG-1', nonce: 'n', codeVerifier: 'v' },
+    { secret: SECRET }
+  );
+  assert.ok(!sealed.includes('codeVerifier'));
+  const opened = openSsoTransaction(sealed, { secret: SECRET });
+  assert.equal(opened.orgId, 'ORG-1');
+  assert.equal(opened.codeVerifier, 'v');
+
+  assert.throws(
+    () => openSsoTransaction(sealed, { secret: 'other-secret' }),
+    /oidc_state_invalid/
+  );
+  assert.throws(
+    () =>
+      openSsoTransaction(sealed, {
+        secret: SECRET,
+        nowSeconds: Math.floor(Date.now() / 1000) + 3600,
+      }),
+    /oidc_state_expired/
+  );
+});
+
+test('normalizes org SSO config and keeps stored secret when omitted', () => {
+  const stored = normalizeOidcConfig({
+    enabled: true,
+    provider: 'entra',
+    issuer: 'https://login.microsoftonline.com/tenant/v2.0/',
+    clientId: 'abc',
+    clientSecret: 'shh',
+    redirectUris: 'https://app/cb, https://app/cb',
+  });
+  assert.equal(stored.provider, 'ENTRA');
+  assert.equal(stored.issuer, 'https://login.microsoftonline.com/tenant/v2.0');
+  assert.deepEqual(stored.redirectUris, ['https://app/cb']);
+  assert.deepEqual(stored.scopes, ['openid', 'email', 'profile']);
+
+  const edited = normalizeOidcConfig({ groupsClaim: 'roles' }, stored);
+  assert.equal(edited.clientSecret, 'shh');
+  assert.equal(redactOidcConfig(edited).clientSecret, undefined);
+  assert.equal(redactOidcConfig(edited).clientSecretSet, true);
+
+  const google = normalizeOidcConfig({ provider: 'GOOGLE' });
+  assert.equal(google.issuer, 'https://accounts.google.com');
+});
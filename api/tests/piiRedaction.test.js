@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { createPiiRedactor, PII_PLACEHOLDER_NOTE, redactChatMessages } from '../piiRedaction.js';
+
+test('redacts emails, phones, addresses and school IDs with stable placeholders', () => {
+  const redactor = createPiiRedactor();
+  const text = redactor.redact(
+    'Email maya@school.org or call 555-123-4567. I live at 42 Elm Street. Student ID: S123456. Again: maya@school.org'
+  );
+  assert.equal(
+    text,
+    'Email [EMAIL_1] or call [PHONE_1]. I live at [ADDRESS_1]. Student ID: [SCHOOL_ID_1]. Again: [EMAIL_1]'
+  );
+  assert.equal(redactor.count, 4);
+  assert.equal(
+    redactor.rehydrate('Reach [EMAIL_1] at [ADDRESS_1]; [NAME_9] is unknown.'),
+    'Reach maya@school.org at 42 Elm Street; [NAME_9] is unknown.'
+  );
+});
+
+test('names introduced in one message are replaced across the conversation', () => {
+  const redactor = createPiiRedactor();
+  const messages = redactChatMessages(redactor, [
+    { role: 'system', content: 'Be Asema.' },
+    { role: 'user', content: 'Maya wants a scene for Ms. Okafor.' },
+    { role: 'user', content: 'My name is Maya Brooks and the topic is Food Deserts.' },
+  ]);
+  assert.deepEqual(
+    messages.map((m) => m.content),
+    [
+      'Be Asema.',
+      PII_PLACEHOLDER_NOTE,
+      '[NAME_2] wants a scene for Ms. [NAME_1].',
+      'My name is [NAME_3] and the topic is Food Deserts.',
+    ]
+  );
+  assert.equal(redactor.rehydrate('[NAME_3] thanks [NAME_1].'), 'Maya Brooks thanks Okafor.');
+
+  const clean = createPiiRedactor();
+  const untouched = [{ role: 'user', content: 'A story about Food Deserts.' }];
+  assert.deepEqual(redactChatMessages(clean, untouched), untouched);
+});
+
+test('streamed placeholders are rehydrated even when split across deltas', () => {
+  const redactor = createPiiRedactor();
+  redactor.redact('my email is kid@example.com');
+  const out = [];
+  const sink = redactor.rehydrateStream((delta) => out.push(delta));
+  for (const delta of ['Write to [EM', 'AIL_', '1] today', ' [soon', '] and [']) sink.push(delta);
+  sink.flush();
+  assert.equal(out.join(''), 'Write to kid@example.com today [soon] and [');
+  assert.ok(out.every((delta) => !delta.includes('[EM')));
+});
@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  mergePriceBooks,
+  normalizePriceBook,
+  planSegments,
+  pricingInvoiceLines,
+  rateBillingPeriod,
+  rateDimension,
+  recordPlanChange,
+} from '../pricing.js';
+
+const START = Date.UTC(2026, 8, 1);
+const END = Date.UTC(2026, 9, 1);
+const DAY = 24 * 60 * 60_000;
+
+const tiers = [
+  { upTo: 10, unitCents: 100 },
+  { upTo: 50, unitCents: 80, flatCents: 500 },
+  { upTo: null, unitCents: 50 },
+];
+
+test('tiered prices fill each tier, volume prices price the whole quantity', () => {
+  const tiered = normalizePriceBook({ plans: { PRO: { dimensions: { seats: { model: 'tiered', tiers } } } } }).plans.PRO
+    .dimensions.SEATS;
+  const out = rateDimension(60, tiered);
+  assert.equal(out.amountCents, 10 * 100 + (40 * 80 + 500) + 10 * 50);
+  assert.deepEqual(out.tiers.map((tier) => tier.units), [10, 40, 10]);
+
+  const volume = { ...tiered, model: 'VOLUME' };
+  assert.equal(rateDimension(60, volume).amountCents, 60 * 50);
+  assert.equal(rateDimension(30, volume).amountCents, 30 * 80 + 500);
+  assert.equal(rateDimension(0, volume).amountCents, 0, 'no usage, no flat fee');
+
+  assert.equal(rateDimension(25, { model: 'PER_UNIT', unitCents: 0.4, includedUnits: 20 }).amountCents, 2);
+  assert.equal(rateDimension(15, { model: 'PER_UNIT', unitCents: 3, includedUnits: 20 }).billableUnits, 0);
+});
+
+test('price books reject malformed plans, tiers, discounts and credits', () => {
+  const bad = [
+    [{ plans: { GOLD: {} } }, /price_plan_tier_invalid/],
+    [{ plans: { PRO: { dimensions: { MINUTES: {} } } } }, /price_dimension_invalid/],
+    [{ plans: { PRO: { dimensions: { SEATS: { model: 'TIERED', tiers: [{ upTo: 5 }] } } } } }, /price_tiers_invalid/],
+    [{ plans: { PRO: { dimensions: { SEATS: { model: 'TIERED', tiers: [{ upTo: 5 }, { upTo: 5 }, {}] } } } } }, /price_tiers_invalid/],
+    [{ plans: { PRO: { baseCents: -1 } } }, /price_amount_invalid/],
+    [{ discounts: [{ type: 'PERCENT', percent: 120 }] }, /discount_percent_invalid/],
+    [{ discounts: [{ type: 'AMOUNT', appliesTo: 'SNACKS', amountCents: 5 }] }, /discount_target_invalid/],
+    [{ credits: [{ amountCents: 500 }] }, /credit_period_invalid/],
+    [{ currency: 'dollars' }, /price_currency_invalid/],
+  ];
+  for (const [input, error] of bad) assert.throws(() => normalizePriceBook(input), error, JSON.stringify(input));
+
+  const platform = normalizePriceBook({ plans: { STARTER: { baseCents: 1000 }, PRO: { baseCents: 5000 } } });
+  const org = normalizePriceBook({ plans: { PRO: { baseCents: 4000 } }, credits: [{ periodKey: '2026-09', amountCents: 100 }] });
+  const merged = mergePriceBooks(platform, org);
+  assert.equal(merged.plans.STARTER.baseCents, 1000);
+  assert.equal(merged.plans.PRO.baseCents, 4000);
+  assert.equal(merged.credits[0].id, 'CREDIT-1');
+  assert.equal(
+    mergePriceBooks(normalizePriceBook({ plans: { PRO: { overageUnitCents: 95 } } }), merged).plans.PRO.overageUnitCents,
+    95,
+    'an unset overage rate is inherited'
+  );
+  assert.deepEqual(mergePriceBooks(platform, {}).discounts, []);
+});
+
+test('plan changes split the period into prorated segments', () => {
+  const history = recordPlanChange(recordPlanChange([], 'STARTER', 'PRO', START + 10 * DAY), 'PRO', 'PRO', END);
+  assert.equal(history.length, 1, 'a save without a tier change is not a plan change');
+  const segments = planSegments({ tier: 'PRO', history, startMs: START, endMs: END });
+  assert.deepEqual(segments.map((row) => row.tier), ['STARTER', 'PRO']);
+  assert.equal(segments[0].fraction, 10 / 30);
+
+  const late = planSegments({ tier: 'PRO', history: [], startMs: START, endMs: END, activeFrom: START + 15 * DAY });
+  assert.equal(late.length, 1);
+  assert.equal(late[0].fraction, 0.5, 'a license that starts mid-period pays for its half');
+  assert.deepEqual(
+    planSegments({ tier: 'STARTER', history: [{ from: 'ENTERPRISE', to: 'STARTER', at: END + DAY }], startMs: START, endMs: END })
+      .map((row) => row.tier),
+    ['ENTERPRISE'],
+    'a change after the period leaves it on the earlier plan'
+  );
+});
+
+test('a period rates base fees, dimensions, overage, discounts then credits', () => {
+  const book = normalizePriceBook({
+    plans: {
+      STARTER: { baseCents: 3000, overageUnitCents: 125, dimensions: { SEATS: { unitCents: 100, includedUnits: 10 } } },
+      PRO: {
+        baseCents: 9000,
+        overageUnitCents: 95,
+        dimensions: {
+          SEATS: { unitCents: 50, includedUnits: 10 },
+          ROOM_HOURS: { model: 'TIERED', tiers: [{ upTo: 100, unitCents: 0 }, { upTo: null, unitCents: 20 }] },
+          AI_CALLS: { unitCents: 0.5 },
+        },
+      },
+    },
+    discounts: [
+      { id: 'EDU', type: 'PERCENT', percent: 10, appliesTo: 'BASE' },
+      { id: 'EXPIRED', type: 'AMOUNT', amountCents: 999, endsAt: START - DAY },
+    ],
+    credits: [
+      { id: 'OUTAGE', periodKey: '2026-09', amountCents: 1000 },
+      { id: 'NEXT', periodKey: '2026-10', amountCents: 1000 },
+    ],
+  });
+  const rated = rateBillingPeriod({
+    priceBook: book,
+    tier: 'PRO',
+    history: [{ from: 'STARTER', to: 'PRO', at: START + 15 * DAY }],
+    usage: { assignedSeats: 30, roomHours: 130, aiCalls: 1001, sites: 3 },
+    overageUnits: 4,
+    periodKey: '2026-09',
+    startMs: START,
+    endMs: END,
+  });
+  const line = (code) => rated.lines.find((row) => row.code === code)?.amountCents;
+  assert.equal(rated.tier, 'PRO');
+  assert.equal(line('BASE'), 1500 + 4500);
+  assert.equal(line('SEATS'), Math.round(20 * 100 * 0.5 + 20 * 50 * 0.5));
+  assert.equal(line('ROOM_HOURS'), 30 * 20);
+  assert.equal(line('AI_CALLS'), 501);
+  assert.equal(line('SITES'), undefined, 'unpriced dimensions are free');
+  assert.equal(line('OVERAGE'), 4 * 95, 'overage uses the closing plan');
+  assert.equal(rated.subtotalCents, 6000 + 1500 + 600 + 501 + 380);
+  assert.deepEqual(rated.discounts.map((row) => [row.id, row.amountCents]), [['EDU', 600]]);
+  assert.deepEqual(rated.credits.map((row) => row.id), ['OUTAGE']);
+  assert.equal(rated.totalCents, rated.subtotalCents - 600 - 1000);
+
+  const invoiceLines = pricingInvoiceLines(rated);
+  assert.deepEqual(
+    invoiceLines.filter((row) => row.type !== 'CHARGE').map((row) => [row.type, row.code, row.amountCents]),
+    [['DISCOUNT', 'EDU', -600], ['CREDIT', 'OUTAGE', -1000]]
+  );
+  assert.equal(invoiceLines.reduce((sum, row) => sum + row.amountCents, 0), rated.totalCents);
+
+  const capped = rateBillingPeriod({
+    priceBook: { ...book, credits: [{ id: 'BIG', periodKey: '2026-09', amountCents: 1_000_000 }] },
+    tier: 'STARTER',
+    periodKey: '2026-09',
+    startMs: START,
+    endMs: END,
+  });
+  assert.equal(capped.totalCents, 0, 'credits never take a period below zero');
+  assert.equal(capped.credits[0].unappliedCents, 1_000_000 - 2700);
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { runPromptEval, scorePromptOutput, transcriptCases } from '../promptEval.js';
+
+test('outputs are scored on length, stage adherence and policy flags', () => {
+  const good = scorePromptOutput('Who is your protagonist, and what are the stakes if the store closes?', { stage: 'PLANNING' });
+  assert.equal(good.score, 1);
+
+  const rambling = scorePromptOutput('One. Two. Three. Four. Five. Six. Seven. Eight.', { stage: 'IDEA_DUMP' });
+  assert.equal(rambling.length, 0);
+
+  const offStage = scorePromptOutput('Let’s start over with a brand new story.', { stage: 'EDITING' });
+  assert.equal(offStage.stageAdherence, 0.5);
+  assert.deepEqual(scorePromptOutput('As an AI language model I cannot.', { stage: 'LOBBY' }).misses, ['implementation_leak']);
+
+  const flagged = scorePromptOutput('Email me at kid@example.com.', { stage: 'LOBBY' });
+  assert.deepEqual(flagged.policyFlags, ['pii_detected']);
+  assert.equal(flagged.score, 0);
+
+  const board = scorePromptOutput('- a\n- b\n- c\n- d\n- e', { kind: 'ideaBoard', stage: 'IDEA_DUMP' });
+  assert.equal(board.length, 1);
+});
+
+test('transcripts become cases from the questions Asema answered', () => {
+  const cases = transcriptCases({
+    roomId: 'E1-R1',
+    topic: 'Food Deserts',
+    messages: [
+      { authorType: 'user', phase: 'DISCOVERY', text: 'hi all' },
+      { authorType: 'user', phase: 'DISCOVERY', text: 'Asema, what should we do?' },
+      { authorType: 'asema', phase: 'DISCOVERY', text: 'Share one real moment.' },
+      { authorType: 'asema', phase: 'DISCOVERY', text: 'Timer notice.' },
+    ],
+  });
+  assert.deepEqual(cases, [
+    {
+      roomId: 'E1-R1',
+      topic: 'Food Deserts',
+      stage: 'DISCOVERY',
+      kind: 'reply',
+      input: 'Asema, what should we do?',
+      recorded: 'Share one real moment.',
+    },
+  ]);
+});
+
+test('runs every case against both versions and tallies wins', async () => {
+  const cases = [
+    { stage: 'PLANNING', kind: 'reply', input: 'help' },
+    { stage: 'EDITING', kind: 'reply', input: 'fix it' },
+  ];
+  const report = await runPromptEval({
+    cases,
+    generate: async (arm, testCase) => {
+      if (arm === 'A' && testCase.stage === 'EDITING') throw new Error('provider_down');
+      return arm === 'A' ? 'Name your protagonist and their goal.' : 'What are the stakes for your protagonist?';
+    },
+  });
+  assert.deepEqual(report.wins, { A: 0, B: 1, tie: 1 });
+  assert.equal(report.summary.A.errors, 1);
+  assert.equal(report.summary.B.score, 1);
+  assert.equal(report.results[1].outputs.A.error, 'provider_down');
+});
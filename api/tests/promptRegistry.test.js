@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DEFAULT_PROMPT_ASSETS, personaSystemPrompt, stageGreeting } from '../asemaPersona.js';
+import {
+  mergePromptAssets,
+  normalizePromptAssets,
+  pickPromptVersion,
+  promptAssetsHash,
+  renderPromptTemplate,
+  rolloutBucket,
+} from '../promptRegistry.js';
+
+test('prompt versions keep only valid overrides', () => {
+  const assets = normalizePromptAssets({
+    persona: '  You are Asema. Issues: {{issues}}  ',
+    ideaBoard: '',
+    stageInstructions: { planning: 'Lock the hero\n\nLock the stakes', 'bad key!': ['x'] },
+    stageHints: { EDITING: 'Edit surgically.' },
+    unknown: 'dropped',
+  });
+  assert.deepEqual(assets, {
+    persona: 'You are Asema. Issues: {{issues}}',
+    stageInstructions: { PLANNING: ['Lock the hero', 'Lock the stakes'] },
+    stageHints: { EDITING: 'Edit surgically.' },
+  });
+  assert.throws(() => normalizePromptAssets({ persona: 'x'.repeat(9000) }), /prompt_asset_too_long/);
+  assert.equal(renderPromptTemplate('{{issues}} / {{typo}}', { issues: 'A, B' }), 'A, B / {{typo}}');
+});
+
+test('overrides merge over the built-in defaults stage by stage', () => {
+  const merged = mergePromptAssets(DEFAULT_PROMPT_ASSETS, { stageHints: { EDITING: 'Edit surgically.' } });
+  assert.equal(merged.stageHints.EDITING, 'Edit surgically.');
+  assert.equal(merged.stageHints.PLANNING, DEFAULT_PROMPT_ASSETS.stageHints.PLANNING);
+  assert.equal(merged.persona, DEFAULT_PROMPT_ASSETS.persona);
+
+  const prompts = { persona: 'You are Coach Asema. Pick from: {{issues}}', stageInstructions: { PLANNING: ['Only this'] } };
+  assert.match(personaSystemPrompt({ prompts }), /^You are Coach Asema\. Pick from: Law Enforcement Profiling/);
+  assert.match(personaSystemPrompt({ prompts }), /- AI facilitation style:/);
+  assert.match(stageGreeting('PLANNING', { prompts }), /• Only this/);
+  assert.match(personaSystemPrompt(), /^You are \*\*Asema\*\*/);
+  assert.notEqual(promptAssetsHash(prompts), promptAssetsHash({}));
+});
+
+test('rollout buckets are stable per room and grow monotonically', () => {
+  assert.equal(rolloutBucket('E1-R1', 'ORG'), rolloutBucket('E1-R1', 'ORG'));
+  const rooms = Array.from({ length: 200 }, (_, i) => `E1-R${i}`);
+  const arm = (percent) =>
+    rooms.filter((roomId) => pickPromptVersion({ candidateVersionId: 'PV-2', percent }, roomId, 'ORG').arm === 'candidate');
+  const at20 = arm(20);
+  const at50 = arm(50);
+  assert.ok(at20.length > 20 && at20.length < 60, `20% picked ${at20.length} of 200`);
+  assert.ok(at20.every((roomId) => at50.includes(roomId)));
+  assert.equal(arm(0).length, 0);
+  assert.deepEqual(pickPromptVersion({ baseVersionId: 'PV-1', percent: 100 }, 'E1-R1'), { versionId: 'PV-1', arm: 'base' });
+});
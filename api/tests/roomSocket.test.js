@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  createFrameRateLimiter,
+  createRoomSocketRegistry,
+  matchRoomSocketPath,
+  parseRoomSocketFrame,
+  socketAckFrame,
+  socketEventFrame,
+} from '../roomSocket.js';
+
+test('matches only the room socket path', () => {
+  assert.equal(matchRoomSocketPath('/rooms/S1-room-2/socket'), 'S1-room-2');
+  assert.equal(matchRoomSocketPath('/rooms/S1%20x/socket/'), 'S1 x');
+  assert.equal(matchRoomSocketPath('/rooms/S1-room-2/events'), '');
+  assert.equal(matchRoomSocketPath('/rooms/%E0%A4%A/socket'), '');
+});
+
+test('parses action frames and rejects malformed ones', () => {
+  assert.deepEqual(
+    parseRoomSocketFrame(JSON.stringify({ type: 'chat.send', requestId: 'r1', data: { text: 'hi' } })),
+    { ok: true, frame: { type: 'chat.send', requestId: 'r1', data: { text: 'hi' } } }
+  );
+  assert.deepEqual(parseRoomSocketFrame(Buffer.from('{"type":"ping","data":[1]}')), {
+    ok: true,
+    frame: { type: 'ping', requestId: '', data: {} },
+  });
+  assert.equal(parseRoomSocketFrame('not json').error, 'frame_invalid_json');
+  assert.equal(parseRoomSocketFrame('[1]').error, 'frame_invalid');
+  assert.deepEqual(parseRoomSocketFrame('{"type":"room.delete","requestId":"r2"}'), {
+    ok: false,
+    error: 'frame_type_unsupported',
+    requestId: 'r2',
+  });
+  assert.equal(parseRoomSocketFrame('x'.repeat(70 * 1024)).error, 'frame_too_large');
+});
+
+test('acks carry the REST status and body', () => {
+  assert.deepEqual(JSON.parse(socketAckFrame('r1', { statusCode: 403, body: { error: 'room_locked' } })), {
+    type: 'ack',
+    requestId: 'r1',
+    ok: false,
+    status: 403,
+    data: { error: 'room_locked' },
+  });
+  assert.deepEqual(JSON.parse(socketEventFrame('message', { roomId: 'R1' }, '10-0')), {
+    type: 'event',
+    event: 'message',
+    id: '10-0',
+    data: { roomId: 'R1' },
+  });
+});
+
+test('rate limiter allows a burst per window', () => {
+  let clock = 0;
+  const allow = createFrameRateLimiter({ limit: 2, windowMs: 1_000, now: () => clock });
+  assert.deepEqual([allow(), allow(), allow()], [true, true, false]);
+  clock = 1_000;
+  assert.equal(allow(), true);
+});
+
+test('registry broadcasts to open sockets and drops closed ones', () => {
+  const registry = createRoomSocketRegistry();
+  const sent = [];
+  const open = { readyState: 1, send: (frame) => sent.push(frame) };
+  const closed = { readyState: 3, send: () => assert.fail('closed socket written') };
+  const detach = registry.add('R1', open);
+  registry.add('R1', closed);
+  registry.add('R2', closed);
+
+  assert.equal(registry.broadcast('R1', 'f1'), 1);
+  assert.equal(registry.broadcast('R2', 'f2'), 0);
+  assert.equal(registry.count(), 1);
+  detach();
+  assert.equal(registry.broadcast('R1', 'f3'), 0);
+  assert.equal(registry.count(), 0);
+  assert.deepEqual(sent, ['f1']);
+});
@@ -0,0 +1,265 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import test from 'node:test';
+import zlib from 'node:zlib';
+
+import { SignedXml } from 'xml-crypto';
+
+import {
+  buildAuthnRequest,
+  buildRedirectBindingUrl,
+  buildServiceProviderMetadata,
+  createSamlRequestId,
+  mapSamlAttributes,
+  normalizeSamlConfig,
+  validateSamlResponse,
+} from '../saml.js';
+
+const IDP_ENTITY_ID = 'https://idp.example.test/metadata';
+const SP_ENTITY_ID = 'https://api.example.test/auth/saml/ORG-ACME/metadata';
+const ACS_URL = 'https://api.example.test/auth/saml/ORG-ACME/acs';
+const NOW_MS = Date.parse('2026-03-01T12:00:00Z');
+
+const idpKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const IDP_PRIVATE_KEY = idpKey.privateKey.export({ type: 'pkcs8', format: 'pem' });
+const IDP_PUBLIC_KEY = idpKey.publicKey.export({ type: 'spki', format: 'pem' });
+
+function iso(offsetMs) {
+  return new Date(NOW_MS + offsetMs).toISOString();
+}
+
+function buildAssertion({
+  id = '_assertion1',
+  issuer = IDP_ENTITY_ID,
+  nameId = 'ada@acme.test',
+  audience = SP_ENTITY_ID,
+  recipient = ACS_URL,
+  inResponseTo = '_request1',
+  notOnOrAfter = iso(5 * 60 * 1000),
+  attributes = { email: ['ada@acme.test'], groups: ['Presenters', 'Staff'] },
+} = {}) {
+  const attributeXml = Object.entries(attributes)
+    .map(
+      ([name, values]) =>
+        `<saml:Attribute Name="${name}">${values
+          .map((value) => `<saml:AttributeValue>${value}</saml:AttributeValue>`)
+          .join('')}</saml:Attribute>`
+    )
+    .join('');
+  return [
+    `<saml:Assertion xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="${id}" Version="2.0" IssueInstant="${iso(0)}">`,
+    `<saml:Issuer>${issuer}</saml:Issuer>`,
+    '<saml:Subject>',
+    `<saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${nameId}</saml:NameID>`,
+    '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">',
+    `<saml:SubjectConfirmationData InResponseTo="${inResponseTo}" NotOnOrAfter="${notOnOrAfter}" Recipient="${recipient}"/>`,
+    '</saml:SubjectConfirmation>',
+    '</saml:Subject>',
+    `<saml:Conditions NotBefore="${iso(-60 * 1000)}" NotOnOrAfter="${notOnOrAfter}">`,
+    `<saml:AudienceRestriction><saml:Audience>${audience}</saml:Audience></saml:AudienceRestriction>`,
+    '</saml:Conditions>',
+    `<saml:AuthnStatement AuthnInstant="${iso(0)}" SessionIndex="_session1"/>`,
+    `<saml:AttributeStatement>${attributeXml}</saml:AttributeStatement>`,
+    '</saml:Assertion>',
+  ].join('');
+}
+
+function signAssertion(responseXml, privateKey = IDP_PRIVATE_KEY) {
+  const sig = new SignedXml({
+    privateKey,
+    canonicalizationAlgorithm: 'http://www.w3.org/2001/10/xml-exc-c14n#',
+    signatureAlgorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+  });
+  sig.addReference({
+    xpath: "//*[local-name(.)='Assertion']",
+    transforms: [
+      'http://www.w3.org/2000/09/xmldsig#enveloped-signature',
+      'http://www.w3.org/2001/10/xml-exc-c14n#',
+    ],
+    digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256',
+  });
+  sig.computeSignature(responseXml, {
+    location: {
+      reference: "//*[local-name(.)='Assertion']/*[local-name(.)='Issuer']",
+      action: 'after',
+    },
+  });
+  return sig.getSignedXml();
+}
+
+function wrapResponse(assertionXml, { inResponseTo = '_request1', destination = ACS_URL } = {}) {
+  return [
+    '<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol"',
+    ` ID="_response1" Version="2.0" IssueInstant="${iso(0)}"`,
+    ` Destination="${destination}" InResponseTo="${inResponseTo}">`,
+    '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>',
+    assertionXml,
+    '</samlp:Response>',
+  ].join('');
+}
+
+function encode(xml) {
+  return Buffer.from(xml, 'utf8').toString('base64');
+}
+
+function signedResponse(assertionOptions = {}, responseOptions = {}) {
+  return signAssertion(wrapResponse(buildAssertion(assertionOptions), responseOptions));
+}
+
+function validate(xml, overrides = {}) {
+  return validateSamlResponse(encode(xml), {
+    idpCertificates: [IDP_PUBLIC_KEY],
+    idpEntityId: IDP_ENTITY_ID,
+    spEntityId: SP_ENTITY_ID,
+    acsUrl: ACS_URL,
+    expectedInResponseTo: '_request1',
+    requireSignedAssertion: true,
+    nowMs: NOW_MS,
+    ...overrides,
+  });
+}
+
+test('accepts a correctly signed assertion and returns its claims', () => {
+  const result = validate(signedResponse());
+  assert.equal(result.assertionId, '_assertion1');
+  assert.equal(result.issuer, IDP_ENTITY_ID);
+  assert.equal(result.nameId, 'ada@acme.test');
+  assert.equal(result.sessionIndex, '_session1');
+  assert.equal(result.inResponseTo, '_request1');
+  assert.deepEqual(result.attributes.groups, ['Presenters', 'Staff']);
+});
+
+test('rejects tampered assertions and assertions signed by another key', () => {
+  const tampered = signedResponse().replace('ada@acme.test</saml:NameID>', 'eve@acme.test</saml:NameID>');
+  assert.throws(() => validate(tampered), /saml_signature_invalid/);
+
+  const otherKey = crypto
+    .generateKeyPairSync('rsa', { modulusLength: 2048 })
+    .privateKey.export({ type: 'pkcs8', format: 'pem' });
+  const forged = signAssertion(wrapResponse(buildAssertion()), otherKey);
+  assert.throws(() => validate(forged), /saml_signature_invalid/);
+
+  const unsigned = wrapResponse(buildAssertion());
+  assert.throws(() => validate(unsigned), /saml_assertion_unsigned/);
+  assert.throws(
+    () => validate(unsigned, { requireSignedAssertion: false }),
+    /saml_signature_missing/
+  );
+});
+
+test('rejects signature wrapping and duplicate assertions', () => {
+  const signed = signedResponse();
+  const evil = buildAssertion({ nameId: 'eve@acme.test' });
+  const injected = signed.replace('<samlp:Status>', `<samlp:Extensions>${evil}</samlp:Extensions><samlp:Status>`);
+  assert.throws(() => validate(injected), /saml_signature_reference_invalid/);
+
+  const duplicated = signed.replace('</samlp:Response>', `${evil}</samlp:Response>`);
+  assert.throws(() => validate(duplicated), /saml_assertion_count_invalid/);
+});
+
+test('enforces audience, recipient, issuer, expiry and InResponseTo', () => {
+  assert.throws(
+    () => validate(signedResponse({ audience: 'https://other.example.test' })),
+    /saml_audience_mismatch/
+  );
+  assert.throws(
+    () => validate(signedResponse({ recipient: 'https://other.example.test/acs' })),
+    /saml_recipient_mismatch/
+  );
+  assert.throws(
+    () => validate(signedResponse({ issuer: 'https://rogue.example.test' })),
+    /saml_issuer_mismatch/
+  );
+  assert.throws(
+    () => validate(signedResponse(), { nowMs: NOW_MS + 60 * 60 * 1000 }),
+    /saml_assertion_expired/
+  );
+  assert.throws(
+    () => validate(signedResponse({ inResponseTo: '_other' }, { inResponseTo: '_other' })),
+    /saml_in_response_to_mismatch/
+  );
+  assert.throws(
+    () => validate(signedResponse({}, { destination: 'https://other.example.test/acs' })),
+    /saml_destination_mismatch/
+  );
+});
+
+test('refuses documents that declare entities', () => {
+  const withDoctype = `<!DOCTYPE r [<!ENTITY x "ada">]>${signedResponse()}`;
+  assert.throws(() => validate(withDoctype), /saml_xml_doctype_forbidden/);
+});
+
+test('maps attributes with the default and custom attribute names', () => {
+  const result = validate(
+    signedResponse({
+      attributes: {
+        'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress': ['Ada@Acme.test'],
+        memberOf: ['Admins'],
+        campus: ['north'],
+      },
+    })
+  );
+  const defaults = mapSamlAttributes(result);
+  assert.equal(defaults.email, 'ada@acme.test');
+  assert.deepEqual(defaults.groups, ['Admins']);
+  assert.equal(defaults.siteId, '');
+
+  const custom = mapSamlAttributes(result, { siteId: ['campus'] });
+  assert.equal(custom.siteId, 'NORTH');
+  assert.equal(custom.subject, 'ada@acme.test');
+});
+
+test('builds SP metadata and a redirect-binding AuthnRequest', () => {
+  const metadata = buildServiceProviderMetadata({ entityId: SP_ENTITY_ID, acsUrl: ACS_URL });
+  assert.match(metadata, /entityID="https:\/\/api\.example\.test\/auth\/saml\/ORG-ACME\/metadata"/);
+  assert.match(metadata, /WantAssertionsSigned="true"/);
+  assert.match(metadata, /Location="https:\/\/api\.example\.test\/auth\/saml\/ORG-ACME\/acs"/);
+
+  const id = createSamlRequestId();
+  assert.match(id, /^_[0-9a-f]{40}$/);
+  const authnRequestXml = buildAuthnRequest({
+    id,
+    spEntityId: SP_ENTITY_ID,
+    acsUrl: ACS_URL,
+    idpSsoUrl: 'https://idp.example.test/sso',
+  });
+  const url = new URL(
+    buildRedirectBindingUrl({
+      idpSsoUrl: 'https://idp.example.test/sso?tenant=acme',
+      authnRequestXml,
+      relayState: 'relay123',
+    })
+  );
+  assert.equal(url.searchParams.get('tenant'), 'acme');
+  assert.equal(url.searchParams.get('RelayState'), 'relay123');
+  const inflated = zlib
+    .inflateRawSync(Buffer.from(url.searchParams.get('SAMLRequest'), 'base64'))
+    .toString('utf8');
+  assert.equal(inflated, authnRequestXml);
+  assert.ok(inflated.includes(`ID="${id}"`));
+});
+
+test('normalizes SAML config and keeps stored values on partial updates', () => {
+  const body = IDP_PUBLIC_KEY.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+  const config = normalizeSamlConfig({
+    enabled: true,
+    idpEntityId: ` ${IDP_ENTITY_ID} `,
+    idpSsoUrl: 'https://idp.example.test/sso',
+    idpCertificates: body,
+    redirectUris: 'https://app.example.test/sso/callback, https://app.example.test/sso/callback',
+    allowedDomains: ['ACME.test'],
+    attributeMap: { groups: 'roles' },
+  });
+  assert.equal(config.idpEntityId, IDP_ENTITY_ID);
+  assert.equal(config.idpCertificates.length, 1);
+  assert.match(config.idpCertificates[0], /^-----BEGIN CERTIFICATE-----\n/);
+  assert.deepEqual(config.redirectUris, ['https://app.example.test/sso/callback']);
+  assert.deepEqual(config.allowedDomains, ['acme.test']);
+  assert.deepEqual(config.attributeMap, { groups: ['roles'] });
+  assert.equal(config.requireSignedAssertion, false);
+
+  const updated = normalizeSamlConfig({ requireSignedAssertion: true }, config);
+  assert.equal(updated.enabled, true);
+  assert.deepEqual(updated.idpCertificates, config.idpCertificates);
+  assert.equal(updated.requireSignedAssertion, true);
+});
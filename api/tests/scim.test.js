@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  applyScimPatch,
+  describeScimToken,
+  findScimToken,
+  issueScimToken,
+  matchesScimFilter,
+  normalizeScimGroupMap,
+  normalizeScimTokens,
+  parseScimFilter,
+  parseScimToken,
+  projectScimResource,
+  revokeScimToken,
+  rotateScimToken,
+  scimErrorBody,
+  scimEtag,
+  scimGroupAccess,
+  scimIfMatch,
+  scimListResponse,
+  scimNotModified,
+  scimPageParams,
+} from '../scim.js';
+
+const ada = {
+  schemas: ['urn:ietf:params:scim:schemas:core:2.0:User'],
+  id: 'u1',
+  externalId: 'OKTA-1',
+  userName: 'Ada@School.org',
+  active: true,
+  name: { givenName: 'Ada', familyName: 'Lovelace' },
+  emails: [
+    { value: 'ada@school.org', type: 'work', primary: true },
+    { value: 'ada@home.example', type: 'home' },
+  ],
+  meta: { resourceType: 'User', lastModified: '2026-03-01T00:00:00.000Z' },
+};
+
+function matches(filter, resource = ada) {
+  return matchesScimFilter(parseScimFilter(filter), resource);
+}
+
+test('filters follow the RFC 7644 grammar and precedence', () => {
+  assert.equal(matches('userName eq "ada@school.org"'), true);
+  assert.equal(matches('USERNAME Eq "ADA@SCHOOL.ORG"'), true);
+  assert.equal(matches('externalId eq "okta-1"'), false);
+  assert.equal(matches('name.familyName sw "Love" and active eq true'), true);
+  assert.equal(matches('emails[type eq "work" and value co "school"]'), true);
+  assert.equal(matches('emails.value ew ".example"'), true);
+  assert.equal(matches('title pr or not (active eq false)'), true);
+  assert.equal(matches('title pr or active eq false and userName pr'), false);
+  assert.equal(matches('meta.lastModified gt "2026-01-01T00:00:00Z"'), true);
+  assert.equal(matches('urn:ietf:params:scim:schemas:core:2.0:User:userName ne "someone@else.org"'), true);
+  assert.equal(parseScimFilter('  '), null);
+  for (const bad of ['userName eq', 'userName like "a"', '(active eq true', 'emails[type eq "work"', 'a eq "x" b']) {
+    assert.throws(() => parseScimFilter(bad), /scim_invalid_filter/, bad);
+  }
+});
+
+test('pages are 1-based slices with the full match count', () => {
+  const rows = Array.from({ length: 7 }, (_, idx) => ({ id: `u${idx + 1}` }));
+  assert.deepEqual(scimPageParams({ startIndex: '0', count: '-4' }), { startIndex: 1, count: 0 });
+  assert.deepEqual(scimPageParams({}), { startIndex: 1, count: 100 });
+  const page = scimListResponse(rows, scimPageParams({ startIndex: '6', count: '5' }));
+  assert.equal(page.totalResults, 7);
+  assert.equal(page.startIndex, 6);
+  assert.equal(page.itemsPerPage, 2);
+  assert.deepEqual(page.Resources.map((row) => row.id), ['u6', 'u7']);
+});
+
+test('PATCH handles Okta and Entra operation shapes', () => {
+  const deactivated = applyScimPatch(ada, {
+    Operations: [{ op: 'replace', value: { active: false, 'name.givenName': 'Augusta' } }],
+  });
+  assert.equal(deactivated.active, false);
+  assert.deepEqual(deactivated.name, { givenName: 'Augusta', familyName: 'Lovelace' });
+  assert.equal(ada.active, true, 'input is not mutated');
+
+  const entra = applyScimPatch(ada, {
+    Operations: [
+      { op: 'Replace', path: 'emails[type eq "work"].value', value: 'ada@district.org' },
+      { op: 'Add', path: 'emails[type eq "other"].value', value: 'ada@club.org' },
+      { op: 'Remove', path: 'emails[type eq "home"]' },
+      { op: 'Add', path: 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User:department', value: 'Science' },
+    ],
+  });
+  assert.deepEqual(
+    entra.emails.map((email) => `${email.type}:${email.value}`),
+    ['work:ada@district.org', 'other:ada@club.org']
+  );
+  assert.equal(entra['urn:ietf:params:scim:schemas:extension:enterprise:2.0:User'].department, 'Science');
+
+  const group = { id: 'g1', displayName: 'Teachers', members: [{ value: 'u1' }, { value: 'u2' }] };
+  const synced = applyScimPatch(group, {
+    Operations: [
+      { op: 'add', path: 'members', value: [{ value: 'u2' }, { value: 'u3' }] },
+      { op: 'remove', path: 'members[value eq "u1"]' },
+      { op: 'remove', path: 'members', value: [{ value: 'u3' }] },
+      { op: 'replace', value: { id: 'g1', displayName: 'Teachers 2026' } },
+    ],
+  });
+  assert.deepEqual(synced.members, [{ value: 'u2' }]);
+  assert.equal(synced.displayName, 'Teachers 2026');
+
+  assert.throws(() => applyScimPatch(ada, { Operations: [{ op: 'replace', path: 'id', value: 'x' }] }), /scim_mutability/);
+  assert.throws(() => applyScimPatch(ada, { Operations: [{ op: 'remove' }] }), /scim_no_target/);
+  assert.throws(() => applyScimPatch(ada, { Operations: [{ op: 'move', path: 'active' }] }), /scim_invalid_syntax/);
+  assert.throws(
+    () => applyScimPatch(ada, { Operations: [{ op: 'replace', path: 'emails[type eq "fax" or value co "zzz"].value', value: 'x' }] }),
+    /scim_no_target/
+  );
+  assert.throws(() => applyScimPatch(ada, {}), /scim_invalid_syntax/);
+});
+
+test('versions, projections and error bodies', () => {
+  const etag = scimEtag(ada);
+  assert.match(etag, /^W\/"[0-9a-f]{20}"$/);
+  assert.equal(scimEtag({ ...ada, meta: { version: 'other' } }), etag);
+  assert.notEqual(scimEtag({ ...ada, active: false }), etag);
+  assert.equal(scimIfMatch('', etag), true);
+  assert.equal(scimIfMatch(etag.replace('W/', ''), etag), true);
+  assert.equal(scimIfMatch('W/"stale"', etag), false);
+  assert.equal(scimNotModified(`W/"stale", ${etag}`, etag), true);
+
+  const slim = projectScimResource(ada, { attributes: 'userName,emails.value' });
+  assert.deepEqual(Object.keys(slim).sort(), ['emails', 'id', 'meta', 'schemas', 'userName']);
+  assert.deepEqual(slim.emails, [{ value: 'ada@school.org' }, { value: 'ada@home.example' }]);
+  assert.equal(projectScimResource(ada, { excludedAttributes: 'emails,name.familyName' }).name.familyName, undefined);
+
+  assert.deepEqual(scimErrorBody(400, 'scim_invalid_filter'), {
+    schemas: ['urn:ietf:params:scim:api:messages:2.0:Error'],
+    status: '400',
+    scimType: 'invalidFilter',
+    detail: 'scim_invalid_filter',
+  });
+  assert.equal(scimErrorBody(404, 'scim_user_not_found').scimType, undefined);
+});
+
+test('group mappings grant roles and sites by name, external id or id', () => {
+  const map = normalizeScimGroupMap({
+    mappings: [
+      { group: 'Teachers', role: 'presenter' },
+      { group: 'okta-north', siteId: ' n1 ' },
+      { group: 'g-admins', role: 'ADMIN', siteId: 'S2' },
+      { group: 'Empty' },
+    ],
+  });
+  assert.deepEqual(map.mappings, [
+    { group: 'Teachers', role: 'PRESENTER' },
+    { group: 'okta-north', siteId: 'N1' },
+    { group: 'g-admins', role: 'ADMIN', siteId: 'S2' },
+  ]);
+  assert.throws(() => normalizeScimGroupMap({ mappings: [{ group: 'Ops', role: 'SUPER_ADMIN' }] }), /scim_group_role_invalid/);
+
+  const groups = [
+    { id: 'g1', displayName: 'TEACHERS' },
+    { id: 'g2', displayName: 'North', externalId: 'okta-north' },
+  ];
+  assert.deepEqual(scimGroupAccess(groups, map), { roles: ['PRESENTER'], siteIds: ['N1'] });
+  assert.deepEqual(scimGroupAccess([...groups, { id: 'g-admins', displayName: 'x' }], map), {
+    roles: ['PRESENTER', 'ADMIN'],
+    siteIds: ['N1', 'S2'],
+  });
+  assert.deepEqual(scimGroupAccess([], map), { roles: [], siteIds: [] });
+});
+
+test('org tokens carry their org, store only a hash and rotate with an overlap', () => {
+  const now = Date.UTC(2026, 9, 1);
+  const issued = issueScimToken([], 'ORG-NORTH', { label: 'Okta', licenseId: 'LIC-N', now });
+  const parsed = parseScimToken(issued.token);
+  assert.equal(parsed.orgId, 'ORG-NORTH');
+  assert.equal(parsed.tokenId, issued.record.tokenId);
+  assert.equal(JSON.stringify(issued.records).includes(parsed.secret), false, 'plaintext is never stored');
+  assert.equal(describeScimToken(issued.record, now).hash, undefined);
+  assert.equal(findScimToken(issued.records, parsed, now), issued.record);
+  assert.equal(findScimToken(issued.records, { ...parsed, secret: `${parsed.secret.slice(1)}x` }, now), null);
+  assert.equal(parseScimToken('not-a-token'), null);
+  assert.equal(parseScimToken(issued.token.replace(parsed.tokenId, 'zz')), null);
+
+  const rotated = rotateScimToken(issued.records, 'ORG-NORTH', parsed.tokenId, { overlapHours: 2, now });
+  assert.equal(rotated.retired.replacedBy, rotated.record.tokenId);
+  assert.equal(rotated.record.label, 'Okta');
+  assert.equal(describeScimToken(rotated.retired, now).status, 'ROTATING');
+  assert.ok(findScimToken(rotated.records, parsed, now + 60 * 60_000), 'old token works during the overlap');
+  assert.equal(findScimToken(rotated.records, parsed, now + 3 * 60 * 60_000), null, 'and not after it');
+  assert.ok(findScimToken(rotated.records, parseScimToken(rotated.token), now + 3 * 60 * 60_000));
+  assert.throws(() => rotateScimToken(rotated.records, 'ORG-NORTH', parsed.tokenId, { now }), /scim_token_inactive/);
+
+  const { records } = revokeScimToken(rotated.records, rotated.record.tokenId, { revokedBy: 'admin', now });
+  assert.equal(findScimToken(records, parseScimToken(rotated.token), now), null);
+  assert.throws(() => revokeScimToken(records, 'ffffffffffff', { now }), /scim_token_not_found/);
+  assert.equal(normalizeScimTokens(records, now + 91 * 24 * 60 * 60_000).length, 0, 'dead tokens are pruned');
+
+  let many = [];
+  for (let idx = 0; idx < 5; idx += 1) many = issueScimToken(many, 'ORG-NORTH', { now }).records;
+  assert.throws(() => issueScimToken(many, 'ORG-NORTH', { now }), /scim_token_limit/);
+  assert.ok(rotateScimToken(many, 'ORG-NORTH', many[0].tokenId, { now }).token, 'rotation is allowed at the limit');
+});
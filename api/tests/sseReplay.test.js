@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  createSseReplayBuffer,
+  createStreamEventIdGenerator,
+  parseStreamEventId,
+} from '../sseReplay.js';
+
+test('event ids stay monotonic when the clock stalls or steps back', () => {
+  const clock = [1000, 1000, 999, 1001];
+  const nextId = createStreamEventIdGenerator({ now: () => clock.shift() });
+  assert.deepEqual([nextId(), nextId(), nextId(), nextId()], [
+    '1000-0',
+    '1000-1',
+    '1000-2',
+    '1001-0',
+  ]);
+  assert.deepEqual(parseStreamEventId('1000-2'), { ms: 1000, seq: 2, origin: '' });
+  assert.equal(parseStreamEventId('garbage'), null);
+});
+
+test('ids from different instances never collide', () => {
+  const a = createStreamEventIdGenerator({ now: () => 1000, origin: '41-ab12' });
+  const b = createStreamEventIdGenerator({ now: () => 1000, origin: '42-cd34' });
+  const [idA, idB] = [a(), b()];
+  assert.equal(idA, '1000-0-41ab12');
+  assert.notEqual(idA, idB);
+  assert.deepEqual(parseStreamEventId(idB), { ms: 1000, seq: 0, origin: '42cd34' });
+});
+
+test('remote events arriving late are replayed in id order', () => {
+  const replay = createSseReplayBuffer({ capacity: 3 });
+  replay.remember('R1', { id: '100-0-a', event: 'a', payload: {} });
+  replay.remember('R1', { id: '102-0-a', event: 'c', payload: {} });
+  replay.remember('R1', { id: '100-0-b', event: 'b', payload: {} });
+
+  assert.deepEqual(replay.since('R1', '100-0-a').map((entry) => entry.event), ['b', 'c']);
+  assert.deepEqual(replay.since('R1', '101-0-a').map((entry) => entry.event), ['c']);
+
+  replay.remember('R1', { id: '103-0-b', event: 'd', payload: {} });
+  assert.equal(replay.since('R1', '099-9-a'), null, 'the oldest buffered event is still the floor');
+  assert.deepEqual(replay.since('R1', '100-0-b').map((entry) => entry.event), ['c', 'd']);
+});
+
+test('replays only the events after the last one the client saw', () => {
+  const replay = createSseReplayBuffer({ capacity: 10 });
+  replay.remember('R1', { id: '100-0', event: 'canvas_update', payload: { n: 1 } });
+  replay.remember('R1', { id: '100-1', event: 'vote_update', payload: { n: 2 } });
+  replay.remember('R2', { id: '101-0', event: 'message', payload: { n: 3 } });
+  replay.remember('R1', { id: '102-0', event: 'room_state', payload: { n: 4 } });
+
+  assert.deepEqual(
+    replay.since('R1', '100-0').map((entry) => entry.payload.n),
+    [2, 4]
+  );
+  assert.deepEqual(replay.since('R1', '102-0'), []);
+  // An id from another room's sequence still orders correctly by time.
+  assert.deepEqual(
+    replay.since('R1', '101-0').map((entry) => entry.payload.n),
+    [4]
+  );
+});
+
+test('asks for a resync when the gap is older than the buffer', () => {
+  const replay = createSseReplayBuffer({ capacity: 2 });
+  replay.remember('R1', { id: '100-0', event: 'a', payload: {} });
+  replay.remember('R1', { id: '101-0', event: 'b', payload: {} });
+  replay.remember('R1', { id: '102-0', event: 'c', payload: {} });
+
+  assert.equal(replay.since('R1', '099-0'), null);
+  assert.equal(replay.since('R1', '100-0'), null);
+  assert.deepEqual(replay.since('R1', '101-0').map((entry) => entry.event), ['c']);
+  assert.equal(replay.since('R9', '101-0'), null);
+  assert.equal(replay.since('R1', 'not-an-id'), null);
+});
+
+test('evicts the least recently active stream when full', () => {
+  const replay = createSseReplayBuffer({ capacity: 5, maxStreams: 2 });
+  replay.remember('R1', { id: '1-0', event: 'a', payload: {} });
+  replay.remember('R2', { id: '2-0', event: 'a', payload: {} });
+  replay.remember('R1', { id: '3-0', event: 'a', payload: {} });
+  replay.remember('R3', { id: '4-0', event: 'a', payload: {} });
+
+  assert.equal(replay.size, 2);
+  assert.equal(replay.since('R2', '2-0'), null);
+  assert.deepEqual(replay.since('R1', '1-0').map((entry) => entry.id), ['3-0']);
+});
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  applyStickyBoardAction,
+  normalizeNoteTags,
+  stickyBoardCerText,
+  stickyBoardToText,
+} from '../stickyBoard.js';
+
+function idSequence() {
+  let n = 0;
+  return () => `id${(n += 1)}`;
+}
+
+function run(board, input, actor = { uid: 'u1' }, newId = idSequence()) {
+  return applyStickyBoardAction(board, input, actor, { now: 1_000, newId }).board;
+}
+
+test('creates notes and groups them into clusters for export', () => {
+  const newId = idSequence();
+  let board = run({}, { action: 'note.create', text: ' Bees  matter ', tags: '#Claim, local' }, { uid: 'u1' }, newId);
+  board = run(board, { action: 'note.create', text: 'Hive counts fell 30%', color: 'pink' }, { uid: 'u2' }, newId);
+  board = run(board, { action: 'cluster.create', name: 'Why it matters', noteIds: ['id1'] }, { uid: 'u1' }, newId);
+
+  assert.deepEqual(board.notes.id1.tags, ['claim', 'local']);
+  assert.equal(board.notes.id1.clusterId, 'id3');
+  assert.equal(board.notes.id2.color, 'pink');
+  assert.equal(
+    stickyBoardToText(board),
+    '## Why it matters\n- Bees matter #claim #local\n\n## Unsorted\n- Hive counts fell 30%'
+  );
+});
+
+test('dot votes respect each voter budget', () => {
+  let board = run({ dotBudget: 2 }, { action: 'note.create', text: 'Idea' }, { uid: 'u1' }, () => 'n1');
+  board = run(board, { action: 'note.dot', noteId: 'n1' }, { uid: 'u2' });
+  board = run(board, { action: 'note.dot', noteId: 'n1' }, { uid: 'u2' });
+  assert.throws(() => run(board, { action: 'note.dot', noteId: 'n1' }, { uid: 'u2' }), /dot_budget_exhausted/);
+  board = run(board, { action: 'note.dot', noteId: 'n1', delta: -1 }, { uid: 'u2' });
+  assert.deepEqual(board.notes.n1.dots, { u2: 1 });
+  assert.throws(() => run(board, { action: 'note.dot', noteId: 'n1', delta: -1 }, { uid: 'u3' }), /dot_not_placed/);
+  assert.match(stickyBoardToText(board), /\(1 dot\)/);
+});
+
+test('only authors or facilitators reword notes, anyone can move them', () => {
+  const board = run({}, { action: 'note.create', text: 'Mine' }, { uid: 'u1' }, () => 'n1');
+  assert.throws(() => run(board, { action: 'note.update', noteId: 'n1', text: 'Yours' }, { uid: 'u2' }), /note_forbidden/);
+  assert.equal(run(board, { action: 'note.update', noteId: 'n1', x: 0.5 }, { uid: 'u2' }).notes.n1.x, 0.5);
+  assert.equal(
+    run(board, { action: 'note.update', noteId: 'n1', text: 'Edited' }, { uid: 'p1', canModerate: true }).notes.n1.text,
+    'Edited'
+  );
+  assert.throws(() => run(board, { action: 'note.delete', noteId: 'n1' }, { uid: 'u2' }), /note_forbidden/);
+});
+
+test('promoting a cluster yields outline text ordered by dots', () => {
+  const newId = idSequence();
+  let board = run({}, { action: 'cluster.create', name: 'Opening' }, { uid: 'u1' }, newId);
+  board = run(board, { action: 'note.create', text: 'Quiet start', clusterId: 'id1' }, { uid: 'u1' }, newId);
+  board = run(board, { action: 'note.create', text: 'Bold hook', clusterId: 'id1' }, { uid: 'u1' }, newId);
+  board = run(board, { action: 'note.dot', noteId: 'id3' }, { uid: 'u2' });
+
+  const { board: promoted, result } = applyStickyBoardAction(
+    board,
+    { action: 'cluster.promote', clusterId: 'id1' },
+    { uid: 'u1' },
+    { now: 2_000 }
+  );
+  assert.equal(result.outline, 'Opening:\n- Bold hook\n- Quiet start');
+  assert.equal(promoted.clusters.id1.promotedAt, 2_000);
+});
+
+test('CER-tagged notes export in evidence board layout', () => {
+  const newId = idSequence();
+  let board = run({}, { action: 'board.import', text: '- Story spark\n- Tension line\n\n' }, { uid: 'u1' }, newId);
+  assert.equal(Object.keys(board.notes).length, 2);
+  board = run(board, { action: 'note.create', text: 'Bees pollinate crops', tags: ['claim'] }, { uid: 'u1' }, newId);
+  board = run(board, { action: 'note.create', text: 'https://example.org/bees', tags: ['citation'] }, { uid: 'u1' }, newId);
+  assert.equal(stickyBoardCerText(board), 'Claim:\n- Bees pollinate crops\nCitations:\n- https://example.org/bees');
+  assert.deepEqual(normalizeNoteTags(['#A b', 'a', '', 'x'.repeat(40)]), ['ab', 'a', 'x'.repeat(24)]);
+});
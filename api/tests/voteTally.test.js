@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  ballotTallyDelta,
+  canonicalBallot,
+  normalizeBallot,
+  normalizeVoteConfig,
+  tallyVote,
+  voteNullifier,
+  voteReceipt,
+} from '../voteTally.js';
+
+const OPTIONS = [1, 2, 3, 4];
+
+test('validates ballots for each mode', () => {
+  assert.equal(normalizeBallot({ choice: 2 }, {}, OPTIONS), 2);
+  assert.throws(() => normalizeBallot({ choice: 9 }, {}, OPTIONS), /invalid_choice/);
+
+  const ranked = { mode: 'ranked' };
+  assert.deepEqual(normalizeBallot({ ranking: [3, 1] }, ranked, OPTIONS), [3, 1]);
+  assert.deepEqual(normalizeBallot({ choice: 4 }, ranked, OPTIONS), [4]);
+  assert.throws(() => normalizeBallot({ ranking: [1, 1] }, ranked, OPTIONS), /duplicate_choice/);
+  assert.throws(() => normalizeBallot({ ranking: [] }, ranked, OPTIONS), /ranking_required/);
+
+  const approval = { mode: 'approval', maxApprovals: 2 };
+  assert.deepEqual(normalizeBallot({ approvals: [4, 2] }, approval, OPTIONS), [2, 4]);
+  assert.throws(() => normalizeBallot({ approvals: [1, 2, 3] }, approval, OPTIONS), /approvals_exceeded/);
+
+  const points = { mode: 'points', pointsBudget: 5 };
+  assert.deepEqual(normalizeBallot({ points: { 1: 3, 2: 0, 4: 2 } }, points, OPTIONS), { 1: 3, 4: 2 });
+  assert.throws(() => normalizeBallot({ points: { 1: 6 } }, points, OPTIONS), /points_budget_exceeded/);
+  assert.throws(() => normalizeBallot({ points: { 1: 1.5 } }, points, OPTIONS), /points_invalid/);
+  assert.throws(() => normalizeBallot({ points: {} }, points, OPTIONS), /points_required/);
+
+  assert.throws(() => normalizeVoteConfig({ mode: 'borda' }), /vote_mode_invalid/);
+  assert.throws(() => normalizeVoteConfig({ tieBreak: 'coin' }), /vote_tie_break_invalid/);
+});
+
+test('stored tallies count first preferences, approvals and points', () => {
+  assert.deepEqual(ballotTallyDelta(2), { 2: 1 });
+  assert.deepEqual(ballotTallyDelta([3, 1], 'ranked'), { 3: 1 });
+  assert.deepEqual(ballotTallyDelta([1, 3], 'approval'), { 1: 1, 3: 1 });
+  assert.deepEqual(ballotTallyDelta({ 1: 3, 4: 2 }, 'points'), { 1: 3, 4: 2 });
+});
+
+test('instant runoff transfers eliminated ballots until a majority', () => {
+  const ballots = [[1, 2], [1, 2], [2, 1], [2, 3], [3, 2]];
+  const out = tallyVote(ballots, OPTIONS, { mode: 'ranked' });
+
+  // Option 4 has no first preferences and goes out first, then option 3.
+  assert.deepEqual(out.rounds[0].counts, { 1: 2, 2: 2, 3: 1, 4: 0 });
+  assert.deepEqual(out.rounds[0].eliminated, [4]);
+  assert.deepEqual(out.rounds[1].eliminated, [3]);
+  assert.deepEqual(out.rounds[2].counts, { 1: 2, 2: 3 });
+  assert.equal(out.winner, 2);
+  assert.equal(out.tie, null);
+});
+
+test('exhausted ballots shrink the majority threshold', () => {
+  const ballots = [[1], [1], [2], [3]];
+  const out = tallyVote(ballots, [1, 2, 3], { mode: 'ranked', tieBreak: 'option_order' });
+
+  // 2 and 3 tie for last; option order keeps 2 and drops 3, whose ballot exhausts.
+  assert.deepEqual(out.rounds[0].tie, { rule: 'option_order', among: [2, 3], picked: 3 });
+  assert.equal(out.rounds[1].exhausted, 1);
+  assert.equal(out.rounds[1].active, 3);
+  assert.equal(out.winner, 1);
+});
+
+test('previous_rounds breaks a last-place tie using earlier rounds', () => {
+  const ballots = [[2], [2], [1], [3, 1], [4]];
+  const out = tallyVote(ballots, OPTIONS, { mode: 'ranked' });
+
+  // 1 and 2 tie in round 3, but 2 led in round 2, so 1 is eliminated.
+  assert.deepEqual(out.rounds[2].counts, { 1: 2, 2: 2 });
+  assert.deepEqual(out.rounds[2].tie, { rule: 'previous_rounds', among: [1, 2], picked: 1 });
+  assert.equal(out.winner, 2);
+  assert.equal(tallyVote(ballots, OPTIONS, { mode: 'ranked', tieBreak: 'option_order' }).winner, 1);
+});
+
+test('approval, points and random tie-breaks pick deterministic winners', () => {
+  const approval = tallyVote([[1, 2], [2, 3], [1]], OPTIONS, { mode: 'approval', tieBreak: 'option_order' });
+  assert.deepEqual(approval.rounds[0].counts, { 1: 2, 2: 2, 3: 1, 4: 0 });
+  assert.equal(approval.winner, 1);
+  assert.deepEqual(approval.tie.among, [1, 2]);
+
+  const points = tallyVote([{ 3: 7, 1: 3 }, { 1: 4 }], OPTIONS, { mode: 'points' });
+  assert.equal(points.winner, 1);
+  assert.equal(points.rounds[0].counts[1], 7);
+
+  const config = { mode: 'single', tieBreak: 'random', seed: 'room-1' };
+  const first = tallyVote([1, 2], OPTIONS, config);
+  assert.equal(tallyVote([2, 1], OPTIONS, config).winner, first.winner);
+  assert.ok([1, 2].includes(first.winner));
+
+  assert.equal(tallyVote([], OPTIONS, {}).winner, 0);
+});
+
+test('anonymous nullifiers and receipts are stable but unlinkable', () => {
+  const scope = { roomId: 'E1-1', sessionId: 's1', uid: 'u1' };
+  const nullifier = voteNullifier('secret', scope);
+  assert.equal(voteNullifier('secret', scope), nullifier);
+  assert.notEqual(voteNullifier('secret', { ...scope, sessionId: 's2' }), nullifier);
+  assert.notEqual(voteNullifier('other', scope), nullifier);
+  assert.ok(!nullifier.includes('u1'));
+  assert.throws(() => voteNullifier('', scope), /vote_nullifier_secret_required/);
+
+  const receipt = voteReceipt({ sessionId: 's1', salt: 'abc', ballot: { 4: 2, 1: 3 } });
+  assert.equal(voteReceipt({ sessionId: 's1', salt: 'abc', ballot: { 1: 3, 4: 2 } }), receipt);
+  assert.notEqual(voteReceipt({ sessionId: 's1', salt: 'abd', ballot: { 1: 3, 4: 2 } }), receipt);
+  assert.equal(canonicalBallot([3, 1]), '[3,1]');
+  assert.equal(normalizeVoteConfig({ anonymous: true }).anonymous, true);
+});
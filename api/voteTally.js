@@ -0,0 +1,227 @@
+import crypto from 'node:crypto';
+
+export const VOTE_MODES = Object.freeze(['single', 'ranked', 'approval', 'points']);
+// previous_rounds only separates ties in ranked votes; other modes have a
+// single round, so it falls through to option_order.
+export const VOTE_TIE_BREAKS = Object.freeze(['previous_rounds', 'option_order', 'random']);
+
+const DEFAULT_POINTS_BUDGET = 10;
+const MAX_POINTS_BUDGET = 100;
+
+function toInt(value, fallback = 0) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function normalizeVoteConfig(raw = {}) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const mode = String(source.mode || 'single').trim().toLowerCase();
+  const tieBreak = String(source.tieBreak || 'previous_rounds').trim().toLowerCase();
+  if (!VOTE_MODES.includes(mode)) throw new Error('vote_mode_invalid');
+  if (!VOTE_TIE_BREAKS.includes(tieBreak)) throw new Error('vote_tie_break_invalid');
+  return {
+    mode,
+    tieBreak,
+    pointsBudget: Math.max(1, Math.min(MAX_POINTS_BUDGET, toInt(source.pointsBudget, DEFAULT_POINTS_BUDGET))),
+    maxApprovals: Math.max(0, toInt(source.maxApprovals, 0)),
+    anonymous: source.anonymous === true || source.anonymous === 'true',
+    seed: String(source.seed || '').slice(0, 64),
+  };
+}
+
+// Old rooms have no stored config; read it leniently so they tally as single-choice.
+export function readVoteConfig(raw = {}) {
+  try {
+    return normalizeVoteConfig(raw);
+  } catch {
+    return normalizeVoteConfig({});
+  }
+}
+
+function distinctChoices(list, optionNums) {
+  if (!Array.isArray(list)) return null;
+  const out = [];
+  for (const raw of list) {
+    const num = Number(raw);
+    if (!optionNums.includes(num)) throw new Error('invalid_choice');
+    if (out.includes(num)) throw new Error('duplicate_choice');
+    out.push(num);
+  }
+  return out;
+}
+
+// Turns a submit body into the ballot stored under voteByUid. Single-choice
+// ballots stay plain numbers so rooms voted before modes existed read the same.
+export function normalizeBallot(input = {}, config = {}, optionNums = []) {
+  const { mode, maxApprovals, pointsBudget } = readVoteConfig(config);
+  const single = input.choice === undefined ? null : Number(input.choice);
+
+  if (mode === 'single') {
+    if (!optionNums.includes(single)) throw new Error('invalid_choice');
+    return single;
+  }
+  if (mode === 'ranked') {
+    const ranking = distinctChoices(input.ranking ?? (single === null ? null : [single]), optionNums);
+    if (!ranking?.length) throw new Error('ranking_required');
+    return ranking;
+  }
+  if (mode === 'approval') {
+    const approvals = distinctChoices(input.approvals ?? (single === null ? null : [single]), optionNums);
+    if (!approvals?.length) throw new Error('approvals_required');
+    if (maxApprovals && approvals.length > maxApprovals) throw new Error('approvals_exceeded');
+    return approvals.sort((a, b) => a - b);
+  }
+
+  const raw = input.points && typeof input.points === 'object' ? input.points : null;
+  if (!raw) throw new Error('points_required');
+  const points = {};
+  let spent = 0;
+  for (const [key, value] of Object.entries(raw)) {
+    const num = Number(key);
+    const amount = Number(value);
+    if (!optionNums.includes(num)) throw new Error('invalid_choice');
+    if (!Number.isInteger(amount) || amount < 0) throw new Error('points_invalid');
+    if (!amount) continue;
+    points[num] = amount;
+    spent += amount;
+  }
+  if (!spent) throw new Error('points_required');
+  if (spent > pointsBudget) throw new Error('points_budget_exceeded');
+  return points;
+}
+
+// The increments a ballot adds to voteTallies. Ranked ballots count toward
+// their first preference, so the stored tallies are always the opening round.
+export function ballotTallyDelta(ballot, mode = 'single') {
+  if (typeof ballot === 'number') return { [ballot]: 1 };
+  if (Array.isArray(ballot)) {
+    if (mode === 'approval') return Object.fromEntries(ballot.map((num) => [num, 1]));
+    return ballot.length ? { [ballot[0]]: 1 } : {};
+  }
+  return Object.fromEntries(
+    Object.entries(ballot || {}).map(([num, amount]) => [Number(num), Number(amount) || 0])
+  );
+}
+
+function emptyCounts(nums) {
+  return Object.fromEntries(nums.map((num) => [num, 0]));
+}
+
+function randomRank(seed, num) {
+  return crypto.createHash('sha256').update(`${seed}:${num}`).digest('hex');
+}
+
+// Orders tied options best-first under the configured rule.
+function rankTied(tied, { tieBreak, seed, rounds, optionNums }) {
+  const byOrder = (a, b) => optionNums.indexOf(a) - optionNums.indexOf(b);
+  if (tieBreak === 'random') {
+    return tied.slice().sort((a, b) => randomRank(seed, a).localeCompare(randomRank(seed, b)));
+  }
+  if (tieBreak === 'previous_rounds') {
+    return tied.slice().sort((a, b) => {
+      for (let i = rounds.length - 1; i >= 0; i -= 1) {
+        const diff = Number(rounds[i].counts[b] || 0) - Number(rounds[i].counts[a] || 0);
+        if (diff) return diff;
+      }
+      return byOrder(a, b);
+    });
+  }
+  return tied.slice().sort(byOrder);
+}
+
+function pickWinner(counts, context) {
+  const entries = Object.entries(counts).map(([num, count]) => [Number(num), Number(count) || 0]);
+  const top = Math.max(0, ...entries.map(([, count]) => count));
+  if (!top) return { winner: 0, tie: null };
+  const tied = entries.filter(([, count]) => count === top).map(([num]) => num);
+  if (tied.length === 1) return { winner: tied[0], tie: null };
+  const ranked = rankTied(tied, context);
+  return { winner: ranked[0], tie: { rule: context.tieBreak, among: tied, picked: ranked[0] } };
+}
+
+function tallyRanked(ballots, optionNums, context) {
+  const rounds = [];
+  let continuing = optionNums.slice();
+  for (;;) {
+    const counts = emptyCounts(continuing);
+    let exhausted = 0;
+    for (const ballot of ballots) {
+      const ranking = Array.isArray(ballot) ? ballot : [ballot];
+      const pick = ranking.find((num) => continuing.includes(Number(num)));
+      if (pick === undefined) exhausted += 1;
+      else counts[pick] += 1;
+    }
+    const active = ballots.length - exhausted;
+    const round = { round: rounds.length + 1, counts, active, exhausted, eliminated: [] };
+    const leader = Object.entries(counts).find(([, count]) => count * 2 > active);
+    if (!active || leader || continuing.length <= 1) {
+      rounds.push(round);
+      if (leader) return { winner: Number(leader[0]), rounds, tie: null };
+      return { rounds, ...pickWinner(counts, { ...context, rounds: rounds.slice(0, -1) }) };
+    }
+
+    // Options nobody ranked go out together; otherwise drop the single lowest.
+    const zero = continuing.filter((num) => !counts[num]);
+    if (zero.length && zero.length < continuing.length) {
+      round.eliminated = zero;
+    } else {
+      const low = Math.min(...continuing.map((num) => counts[num]));
+      const tied = continuing.filter((num) => counts[num] === low);
+      const ranked = rankTied(tied, { ...context, rounds });
+      round.eliminated = [ranked[ranked.length - 1]];
+      if (tied.length > 1) {
+        round.tie = { rule: context.tieBreak, among: tied, picked: round.eliminated[0] };
+      }
+    }
+    rounds.push(round);
+    continuing = continuing.filter((num) => !round.eliminated.includes(num));
+  }
+}
+
+// Tallies stored ballots. Returns the winning option number (0 when nothing
+// was cast), every round with per-option counts, and how any tie was settled.
+export function tallyVote(ballots = [], optionNums = [], config = {}) {
+  const { mode, tieBreak, seed } = readVoteConfig(config);
+  const cast = ballots.filter((ballot) => ballot !== null && ballot !== undefined);
+  const context = { tieBreak, seed, rounds: [], optionNums };
+  if (mode === 'ranked') {
+    return { mode, tieBreak, ...tallyRanked(cast, optionNums, context) };
+  }
+  const counts = emptyCounts(optionNums);
+  for (const ballot of cast) {
+    for (const [num, amount] of Object.entries(ballotTallyDelta(ballot, mode))) {
+      if (num in counts) counts[num] += amount;
+    }
+  }
+  const round = { round: 1, counts, active: cast.length, exhausted: 0, eliminated: [] };
+  return { mode, tieBreak, rounds: [round], ...pickWinner(counts, context) };
+}
+
+// Anonymous votes store a keyed hash of the voter instead of their uid. It is
+// stable within one voting session, so a second ballot collides, but cannot be
+// linked back to the uid without the server secret.
+export function voteNullifier(secret, { roomId = '', sessionId = '', uid = '' } = {}) {
+  if (!secret) throw new Error('vote_nullifier_secret_required');
+  return crypto
+    .createHmac('sha256', String(secret))
+    .update(`vote-nullifier:${roomId}:${sessionId}:${uid}`)
+    .digest('hex');
+}
+
+// Points keys are sorted so the same ballot always hashes the same way.
+export function canonicalBallot(ballot) {
+  if (ballot && typeof ballot === 'object' && !Array.isArray(ballot)) {
+    const keys = Object.keys(ballot).sort((a, b) => Number(a) - Number(b));
+    return JSON.stringify(Object.fromEntries(keys.map((key) => [key, ballot[key]])));
+  }
+  return JSON.stringify(ballot);
+}
+
+// A voter holding the salt can recompute their receipt from their own ballot,
+// then find it on the published receipt list to confirm it was counted as cast.
+export function voteReceipt({ sessionId = '', salt = '', ballot } = {}) {
+  return crypto
+    .createHash('sha256')
+    .update(`vote-receipt:${sessionId}:${salt}:${canonicalBallot(ballot)}`)
+    .digest('hex');
+}
@@ -70,6 +70,9 @@ const TABLES = {
   billing: process.env.DDB_TABLE_BILLING || 'storibloom_billing',
   support: process.env.DDB_TABLE_SUPPORT || 'storibloom_support',
   status: process.env.DDB_TABLE_STATUS || 'storibloom_status',
+  streamEvents: process.env.DDB_TABLE_STREAM_EVENTS || 'storibloom_stream_events',
+  knowledge: process.env.DDB_TABLE_KNOWLEDGE || 'storibloom_knowledge',
+  samlAssertions: process.env.DDB_TABLE_SAML_ASSERTIONS || 'storibloom_saml_assertions',
 };
 
 const TABLE_DEFS = [
@@ -569,6 +572,41 @@ const TABLE_DEFS = [
       },
     ],
   },
+  {
+    key: 'streamEvents',
+    tableName: TABLES.streamEvents,
+    keySchema: [
+      { AttributeName: 'channel', KeyType: 'HASH' },
+      { AttributeName: 'eventKey', KeyType: 'RANGE' },
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'channel', AttributeType: 'S' },
+      { AttributeName: 'eventKey', AttributeType: 'S' },
+    ],
+    gsis: [],
+    ttlAttribute: 'expiresAt',
+  },
+  {
+    key: 'knowledge',
+    tableName: TABLES.knowledge,
+    keySchema: [
+      { AttributeName: 'orgId', KeyType: 'HASH' },
+      { AttributeName: 'docId', KeyType: 'RANGE' },
+    ],
+    attributeDefinitions: [
+      { AttributeName: 'orgId', AttributeType: 'S' },
+      { AttributeName: 'docId', AttributeType: 'S' },
+    ],
+    gsis: [],
+  },
+  {
+    key: 'samlAssertions',
+    tableName: TABLES.samlAssertions,
+    keySchema: [{ AttributeName: 'assertionId', KeyType: 'HASH' }],
+    attributeDefinitions: [{ AttributeName: 'assertionId', AttributeType: 'S' }],
+    gsis: [],
+    ttlAttribute: 'expiresAt',
+  },
 ];
 
 const ddb = new DynamoDBClient({
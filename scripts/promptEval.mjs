@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+// Offline A/B run of two prompt versions over exported room transcripts.
+//   node scripts/promptEval.mjs --transcripts=./rooms.json --a=./base.json --b=./candidate.json
+// Transcripts: one { roomId, topic, messages: [{ authorType, text, phase }] }
+// or an array of them. Version files hold prompt asset overrides (the shape
+// POST /admin/prompts takes); leave one out to compare against the built-in
+// prompts. LLM_PROVIDER picks the model (stub unless set).
+
+import fs from 'node:fs/promises';
+import { Asema } from '../api/asemaPersona.js';
+import { runPromptEval, transcriptCases } from '../api/promptEval.js';
+import { normalizePromptAssets } from '../api/promptRegistry.js';
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((arg) => {
+      const [k, v] = String(arg).split('=');
+      return [k.replace(/^--/, ''), v ?? true];
+    })
+);
+
+const TRANSCRIPTS = String(args.transcripts || '').trim();
+const LIMIT = Math.max(1, Math.min(200, Number(args.limit) || 50));
+const PROVIDER = String(process.env.LLM_PROVIDER || 'stub').trim();
+if (!TRANSCRIPTS) {
+  console.error('Provide --transcripts=./rooms.json (and --a= / --b= prompt version files)');
+  process.exit(1);
+}
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+async function loadVersion(file) {
+  if (!file || file === true) return null;
+  const raw = await readJson(String(file));
+  return normalizePromptAssets(raw?.assets || raw);
+}
+
+async function main() {
+  const raw = await readJson(TRANSCRIPTS);
+  const transcripts = Array.isArray(raw) ? raw : [raw];
+  const cases = transcripts.flatMap((transcript) => transcriptCases(transcript, { limit: LIMIT })).slice(0, LIMIT);
+  if (!cases.length) {
+    console.error('No cases: transcripts need participant messages answered by Asema.');
+    process.exit(1);
+  }
+  const prompts = { A: await loadVersion(args.a), B: await loadVersion(args.b) };
+
+  const report = await runPromptEval({
+    cases,
+    generate: (arm, testCase) =>
+      Asema.replyToUser(testCase.stage, testCase.topic, testCase.input, { prompts: prompts[arm], provider: PROVIDER }),
+  });
+
+  const out = args.full ? report : { provider: PROVIDER, summary: report.summary, wins: report.wins };
+  console.log(JSON.stringify(out, null, 2));
+}
+
+main().catch((err) => {
+  console.error('[promptEval] failed:', err);
+  process.exit(1);
+});
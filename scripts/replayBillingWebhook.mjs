@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+// Signs Stripe-shaped events with BILLING_WEBHOOK_SECRET and posts them to a
+// running API, so webhook handling and dunning can be exercised without Stripe.
+//   node scripts/replayBillingWebhook.mjs --type=invoice.payment_failed --licenseId=LIC-DEMO
+//   node scripts/replayBillingWebhook.mjs --file=./events.json
+// --file takes one Stripe event or an array of them (e.g. saved from the
+// Stripe dashboard); --type builds one from --licenseId, --amountCents,
+// --invoiceId, --status and --daysAgo. --url defaults to the local API.
+
+import fs from 'node:fs/promises';
+import { sampleStripeEvent, stripeSignatureHeader } from '../api/billing.js';
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((arg) => {
+      const [k, v] = String(arg).split('=');
+      return [k.replace(/^--/, ''), v ?? true];
+    })
+);
+
+const SECRET = String(process.env.BILLING_WEBHOOK_SECRET || '').trim();
+const URL_TARGET = String(args.url || `http://localhost:${process.env.PORT || 8080}/billing/webhooks/stripe`);
+if (!SECRET) {
+  console.error('Set BILLING_WEBHOOK_SECRET to the secret the API verifies with.');
+  process.exit(1);
+}
+if (!args.file && !args.type) {
+  console.error('Provide --file=./events.json or --type=<stripe event type> --licenseId=LIC-...');
+  process.exit(1);
+}
+
+async function loadEvents() {
+  if (args.file) {
+    const raw = JSON.parse(await fs.readFile(String(args.file), 'utf8'));
+    return Array.isArray(raw) ? raw : [raw];
+  }
+  const created = Math.floor(Date.now() / 1000) - Math.round(Number(args.daysAgo || 0) * 24 * 60 * 60);
+  return [
+    sampleStripeEvent(String(args.type), {
+      licenseId: String(args.licenseId || ''),
+      orgId: String(args.orgId || ''),
+      invoiceId: args.invoiceId ? String(args.invoiceId) : '',
+      amountCents: Number(args.amountCents || 0),
+      status: args.status ? String(args.status) : '',
+      created,
+    }),
+  ];
+}
+
+async function main() {
+  const events = await loadEvents();
+  for (const event of events) {
+    const payload = JSON.stringify(event);
+    const res = await fetch(URL_TARGET, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': stripeSignatureHeader(payload, SECRET) },
+      body: payload,
+    });
+    console.log(`${event.type} ${event.id} -> ${res.status} ${await res.text()}`);
+  }
+}
+
+main().catch((err) => {
+  console.error('[replayBillingWebhook] failed:', err);
+  process.exit(1);
+});
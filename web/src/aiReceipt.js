@@ -0,0 +1,49 @@
+// One-line summaries of the model data an AI receipt carries. Older receipts
+// (and guard/fallback replies) have no model block and summarize to ''.
+
+export function receiptModelLine(receipt = {}) {
+  const model = receipt?.model;
+  if (!model || !model.name) return '';
+  const parts = [`${model.name} via ${model.provider || 'unknown'}`];
+  if (model.fallbackFrom) parts.push(`fallback from ${model.fallbackFrom}`);
+  else if (model.fallbackModel && model.requested) parts.push(`fallback from ${model.requested}`);
+  if (Number(model.attempts || 0) > 1) parts.push(`${model.attempts} attempts`);
+  return parts.join(' • ');
+}
+
+export function receiptUsageLine(receipt = {}) {
+  const usage = receipt?.usage;
+  const parts = [];
+  if (usage && (usage.inputTokens || usage.outputTokens)) {
+    parts.push(`${Number(usage.inputTokens || 0)} in / ${Number(usage.outputTokens || 0)} out tokens`);
+  }
+  const latency = Number(receipt?.latencyMs);
+  if (receipt?.latencyMs != null && Number.isFinite(latency)) {
+    parts.push(latency >= 1000 ? `${(latency / 1000).toFixed(1)}s` : `${Math.round(latency)}ms`);
+  }
+  return parts.join(' • ');
+}
+
+// Library passages the reply was grounded in; cited ones are what the
+// **Sources** list under the reply shows.
+export function receiptSourcesLine(receipt = {}) {
+  const sources = Array.isArray(receipt?.sources) ? receipt.sources : [];
+  if (!sources.length) return '';
+  const cited = sources.filter((source) => source.cited);
+  const titles = [...new Set(cited.map((source) => source.title).filter(Boolean))];
+  const count = `${sources.length} library passage${sources.length === 1 ? '' : 's'}`;
+  return cited.length ? `${count} • cited ${titles.join(', ')}` : `${count} • none cited`;
+}
+
+// Room actions Asema took (or was refused) through tool calls.
+export function receiptToolsLine(receipt = {}) {
+  const calls = Array.isArray(receipt?.toolCalls) ? receipt.toolCalls : [];
+  return calls
+    .map((call) => `${String(call.name || '').replace(/_/g, ' ')}${call.ok ? '' : ` (refused: ${call.error || 'not allowed'})`}`)
+    .join(' • ');
+}
+
+export function shortHash(hash = '') {
+  const value = String(hash || '');
+  return value ? value.slice(0, 12) : '—';
+}
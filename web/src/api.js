@@ -101,6 +101,20 @@ export function buildSseUrl(path) {
   return `${API_BASE}${path}${sep}token=${encodeURIComponent(token)}`;
 }
 
+// Same origin as the REST API, with the scheme switched to ws(s).
+export function buildRoomSocketUrl(roomId, { lastEventId = '' } = {}) {
+  let base = API_BASE;
+  if (!/^https?:\/\//i.test(base)) {
+    const loc = typeof location === 'undefined' ? null : location;
+    base = `${loc?.protocol || 'http:'}//${loc?.host || 'localhost'}${base}`;
+  }
+  const url = new URL(`${base.replace(/^http/i, 'ws')}/rooms/${encodeURIComponent(roomId)}/socket`);
+  const token = getToken();
+  if (token) url.searchParams.set('token', token);
+  if (lastEventId) url.searchParams.set('lastEventId', lastEventId);
+  return url.toString();
+}
+
 export async function ensureGuest() {
   let token = getToken();
   let userId = typeof sessionStorage === 'undefined' ? '' : sessionStorage.getItem('userId');
@@ -0,0 +1,71 @@
+// web/src/asemaStream.js
+// Asema replies stream in as `asema_delta` events. Each stream is shown as a
+// growing bubble until the persisted message with the same streamId lands.
+
+const STREAM_HEADINGS = {
+  draft: '📝 **Rough Draft**',
+  edit: '✅ **Updated Draft**',
+};
+
+// A finished stream whose message never arrives (the save failed) is dropped
+// after this long.
+const DONE_STREAM_TTL_MS = 30_000;
+
+export function applyAsemaDelta(streams, payload = {}, now = Date.now()) {
+  const id = String(payload.streamId || '');
+  if (!id) return streams;
+  const current = streams[id];
+  if (payload.done) {
+    if (!current) return streams;
+    if (payload.discarded) {
+      const { [id]: _dropped, ...rest } = streams;
+      return rest;
+    }
+    return { ...streams, [id]: { ...current, done: true, partial: !!payload.partial, doneAt: now } };
+  }
+  // The socket and SSE fallback can both deliver an event during a handover.
+  const seq = Number(payload.seq || 0);
+  if (current && (current.done || seq <= current.seq)) return streams;
+  return {
+    ...streams,
+    [id]: {
+      streamId: id,
+      kind: String(payload.kind || current?.kind || 'reply'),
+      stage: String(payload.stage || current?.stage || ''),
+      seq,
+      text: `${current?.text || ''}${String(payload.delta || '')}`,
+      done: false,
+      partial: false,
+      doneAt: 0,
+    },
+  };
+}
+
+export function pruneAsemaStreams(streams, messages = [], now = Date.now()) {
+  const persisted = new Set(messages.map((m) => m?.streamId).filter(Boolean));
+  let changed = false;
+  const out = {};
+  for (const [id, stream] of Object.entries(streams)) {
+    if (persisted.has(id) || (stream.done && now - stream.doneAt > DONE_STREAM_TTL_MS)) {
+      changed = true;
+      continue;
+    }
+    out[id] = stream;
+  }
+  return changed ? out : streams;
+}
+
+// Message-shaped entries for the chat list, in arrival order.
+export function asemaStreamMessages(streams) {
+  return Object.values(streams).map((stream) => {
+    const heading = STREAM_HEADINGS[stream.kind];
+    return {
+      id: `stream-${stream.streamId}`,
+      streamId: stream.streamId,
+      authorType: 'asema',
+      phase: stream.stage || 'LOBBY',
+      text: heading ? `${heading}\n\n${stream.text}` : stream.text,
+      streaming: !stream.done,
+    };
+  });
+}
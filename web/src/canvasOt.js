@@ -0,0 +1,152 @@
+// web/src/canvasOt.js
+// Client half of the canvas text operations; keep in step with api/canvasOt.js.
+// An op walks the whole base text: a positive integer retains that many
+// characters, a string is inserted, and a negative integer deletes.
+
+function isRetain(part) {
+  return Number.isInteger(part) && part > 0;
+}
+
+function isDelete(part) {
+  return Number.isInteger(part) && part < 0;
+}
+
+function isInsert(part) {
+  return typeof part === 'string' && part.length > 0;
+}
+
+function pushPart(op, part) {
+  if (part === 0 || part === '') return op;
+  const last = op[op.length - 1];
+  if (isRetain(part) && isRetain(last)) op[op.length - 1] = last + part;
+  else if (isDelete(part) && isDelete(last)) op[op.length - 1] = last + part;
+  else if (isInsert(part) && isInsert(last)) op[op.length - 1] = last + part;
+  else if (isInsert(part) && isDelete(last)) {
+    // Keep inserts ahead of deletes so equivalent ops compare equal.
+    const prev = op[op.length - 2];
+    if (isInsert(prev)) op[op.length - 2] = prev + part;
+    else op.splice(op.length - 1, 0, part);
+  } else op.push(part);
+  return op;
+}
+
+export function textOpBaseLength(op = []) {
+  return op.reduce((sum, part) => sum + (isRetain(part) ? part : isDelete(part) ? -part : 0), 0);
+}
+
+export function isNoopTextOp(op = []) {
+  return op.every((part) => isRetain(part));
+}
+
+// A single replace around the common prefix and suffix. Autosave batches are
+// small, so this keeps ops compact without a full diff.
+export function diffTextOp(before = '', after = '') {
+  const a = String(before);
+  const b = String(after);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  const op = [];
+  pushPart(op, start);
+  pushPart(op, b.slice(start, endB));
+  pushPart(op, start - endA);
+  pushPart(op, a.length - endA);
+  return op;
+}
+
+export function applyTextOp(text = '', op = []) {
+  const source = String(text);
+  if (textOpBaseLength(op) !== source.length) throw new Error('canvas_op_base_mismatch');
+  let index = 0;
+  let out = '';
+  for (const part of op) {
+    if (isRetain(part)) {
+      out += source.slice(index, index + part);
+      index += part;
+    } else if (isDelete(part)) {
+      index -= part;
+    } else {
+      out += part;
+    }
+  }
+  return out;
+}
+
+// Returns [a', b'] so that apply(apply(s, a), b') === apply(apply(s, b), a').
+// When both sides insert at the same spot, `a` goes first.
+export function transformTextOps(a = [], b = []) {
+  if (textOpBaseLength(a) !== textOpBaseLength(b)) throw new Error('canvas_op_base_mismatch');
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let partA = a[i++];
+  let partB = b[j++];
+  for (;;) {
+    if (partA === undefined && partB === undefined) break;
+    if (isInsert(partA)) {
+      pushPart(aPrime, partA);
+      pushPart(bPrime, partA.length);
+      partA = a[i++];
+      continue;
+    }
+    if (isInsert(partB)) {
+      pushPart(aPrime, partB.length);
+      pushPart(bPrime, partB);
+      partB = b[j++];
+      continue;
+    }
+    if (partA === undefined || partB === undefined) throw new Error('canvas_op_base_mismatch');
+
+    const lenA = Math.abs(partA);
+    const lenB = Math.abs(partB);
+    const len = Math.min(lenA, lenB);
+    if (isRetain(partA) && isRetain(partB)) {
+      pushPart(aPrime, len);
+      pushPart(bPrime, len);
+    } else if (isDelete(partA) && isRetain(partB)) {
+      pushPart(aPrime, -len);
+    } else if (isRetain(partA) && isDelete(partB)) {
+      pushPart(bPrime, -len);
+    }
+    // Both deleting the same span: neither side has anything left to do.
+    partA = lenA === len ? a[i++] : Math.sign(partA) * (lenA - len);
+    partB = lenB === len ? b[j++] : Math.sign(partB) * (lenB - len);
+  }
+  return [aPrime, bPrime];
+}
+
+// Maps a caret offset through an op. Inserts exactly at the caret push it
+// forward, so a peer typing at your position does not pull you behind them.
+export function transformTextIndex(index = 0, op = []) {
+  let cursor = Math.max(0, Number(index) || 0);
+  let pos = 0;
+  let result = cursor;
+  for (const part of op) {
+    if (pos > cursor) break;
+    if (isRetain(part)) {
+      pos += part;
+    } else if (isInsert(part)) {
+      result += part.length;
+    } else {
+      const len = -part;
+      result -= Math.min(len, Math.max(0, cursor - pos));
+      pos += len;
+    }
+  }
+  return result;
+}
+
+// Carries unsaved local edits (made against `base`) over onto a newer server
+// text, as if the server's changes had landed before the user started typing.
+export function rebaseLocalText(base = '', local = '', server = '') {
+  if (local === base) return server;
+  if (server === base) return local;
+  const [localPrime] = transformTextOps(diffTextOp(base, local), diffTextOp(base, server));
+  return applyTextOp(server, localPrime);
+}
@@ -1,6 +1,7 @@
 // web/src/components/ChatMessage.jsx
 import React from 'react';
 import { motion } from 'framer-motion';
+import { receiptModelLine, receiptSourcesLine, receiptToolsLine, receiptUsageLine, shortHash } from '../aiReceipt.js';
 
 function normalizePromptLineage(receipt = {}) {
   const out = [];
@@ -35,6 +36,7 @@ export default function ChatMessage({
   text,
   aiReceipt = null,
   deliveryState = '',
+  streaming = false,
   enableReadAloud = false,
   onUsePromptLineage,
 }) {
@@ -112,7 +114,7 @@ export default function ChatMessage({
           <div className="bubble-label">
             <span className="bubble-label-dot" />
             <span className="bubble-label-text">Asema</span>
-            {enableReadAloud ? (
+            {enableReadAloud && !streaming ? (
               <button
                 type="button"
                 className="msg-read-btn"
@@ -138,8 +140,9 @@ export default function ChatMessage({
             </button>
           </div>
         ) : null}
-        <div className="bubble-text">
+        <div className="bubble-text" aria-live={streaming ? 'polite' : undefined} aria-busy={streaming || undefined}>
           {renderText(text)}
+          {streaming ? <span className="msg-streaming-caret" aria-hidden="true" /> : null}
         </div>
         {!isAsema && deliveryState ? (
           <div className={`msg-delivery msg-delivery-${deliveryState}`}>
@@ -155,7 +158,18 @@ export default function ChatMessage({
             <summary>AI with receipts</summary>
             <div className="ai-receipt-body">
               <div><b>Why:</b> {aiReceipt.reason || 'Phase context + room prompt.'}</div>
-              <div><b>Confidence:</b> {Math.round(Number(aiReceipt.confidence || 0) * 100)}%</div>
+              {receiptModelLine(aiReceipt) ? (
+                <div><b>Model:</b> {receiptModelLine(aiReceipt)}</div>
+              ) : null}
+              {receiptUsageLine(aiReceipt) ? (
+                <div><b>Usage:</b> {receiptUsageLine(aiReceipt)}</div>
+              ) : null}
+              {receiptSourcesLine(aiReceipt) ? (
+                <div><b>Library:</b> {receiptSourcesLine(aiReceipt)}</div>
+              ) : null}
+              {receiptToolsLine(aiReceipt) ? (
+                <div><b>Actions:</b> {receiptToolsLine(aiReceipt)}</div>
+              ) : null}
               <div>
                 <b>Policy checks:</b>{' '}
                 {policyChecks.passed === false ? 'Flagged' : 'Passed'} • tone:{' '}
@@ -171,6 +185,12 @@ export default function ChatMessage({
               ) : null}
               <div><b>Data usage:</b> {policyChecks.dataUsage || aiReceipt.dataUsage || 'NO_TRAINING'}</div>
               <div><b>Source:</b> {aiReceipt.source || 'ai'}</div>
+              {aiReceipt.hashes ? (
+                <div title={aiReceipt.hashes.systemPrompt}>
+                  <b>System prompt:</b> sha256 {shortHash(aiReceipt.hashes.systemPrompt)}
+                  {policyChecks.redactions ? ` • ${policyChecks.redactions} details redacted` : ''}
+                </div>
+              ) : null}
               {promptLineage.length ? (
                 <div className="ai-lineage-list">
                   <div className="ai-lineage-title">Editable prompt lineage</div>
@@ -1,4 +1,25 @@
-import React from 'react';
+import React, { useLayoutEffect, useRef, useState } from 'react';
+import { diffTextOp, transformTextIndex } from '../canvasOt';
+import StickyBoard, { CLUSTER_DRAG_TYPE } from './StickyBoard.jsx';
+
+const MIRRORED_STYLES = [
+  'boxSizing',
+  'width',
+  'height',
+  'paddingTop',
+  'paddingRight',
+  'paddingBottom',
+  'paddingLeft',
+  'borderTopWidth',
+  'borderRightWidth',
+  'borderBottomWidth',
+  'borderLeftWidth',
+  'fontFamily',
+  'fontSize',
+  'fontWeight',
+  'lineHeight',
+  'letterSpacing',
+];
 
 function formatPhase(phase) {
   return String(phase || '').replace(/_/g, ' ');
@@ -14,6 +35,159 @@ function formatSaved(ms) {
   }
 }
 
+function cursorColor(uid = '') {
+  let hash = 0;
+  for (const ch of String(uid)) hash = (hash * 31 + ch.charCodeAt(0)) % 360;
+  return `hsl(${hash}, 70%, 45%)`;
+}
+
+// Splits the text at every remote caret and selection edge so the overlay can
+// draw them in place behind the transparent mirror text.
+function cursorSegments(text, cursors) {
+  const marks = cursors.map((cursor) => ({
+    ...cursor,
+    from: Math.min(cursor.anchor, cursor.head),
+    to: Math.max(cursor.anchor, cursor.head),
+    color: cursorColor(cursor.uid),
+  }));
+  const edges = new Set([0, text.length]);
+  for (const mark of marks) {
+    edges.add(mark.from);
+    edges.add(mark.to);
+    edges.add(mark.head);
+  }
+  const points = Array.from(edges).sort((a, b) => a - b);
+  const out = [];
+  points.forEach((point, idx) => {
+    for (const mark of marks) {
+      if (mark.head === point) {
+        out.push(
+          <span
+            key={`caret-${mark.uid}`}
+            className="canvas-remote-caret"
+            style={{ borderColor: mark.color }}
+          >
+            <span className="canvas-remote-label" style={{ background: mark.color }}>
+              {mark.label || 'Teammate'}
+            </span>
+          </span>
+        );
+      }
+    }
+    const next = points[idx + 1];
+    if (next === undefined || next === point) return;
+    const cover = marks.find((mark) => mark.from <= point && mark.to >= next && mark.from !== mark.to);
+    out.push(
+      <span
+        key={`seg-${point}`}
+        className={cover ? 'canvas-remote-selection' : undefined}
+        style={cover ? { background: cover.color } : undefined}
+      >
+        {text.slice(point, next)}
+      </span>
+    );
+  });
+  return out;
+}
+
+function CanvasTextField({
+  section,
+  label,
+  value,
+  placeholder,
+  disabled,
+  cursors = [],
+  onChange,
+  onCursor,
+  onDropCluster,
+}) {
+  const [dropping, setDropping] = useState(false);
+  const inputRef = useRef(null);
+  const layerRef = useRef(null);
+  const selectionRef = useRef({ start: 0, end: 0 });
+  const emittedRef = useRef(value);
+  const previousRef = useRef(value);
+
+  function readSelection() {
+    const el = inputRef.current;
+    if (!el) return selectionRef.current;
+    selectionRef.current = { start: el.selectionStart, end: el.selectionEnd };
+    return selectionRef.current;
+  }
+
+  // Remote edits replace the value; keep the local caret on the same text.
+  useLayoutEffect(() => {
+    const previous = previousRef.current;
+    previousRef.current = value;
+    const el = inputRef.current;
+    if (!el || previous === value || value === emittedRef.current) return;
+    emittedRef.current = value;
+    if (typeof document === 'undefined' || document.activeElement !== el) return;
+    const op = diffTextOp(previous, value);
+    const start = transformTextIndex(selectionRef.current.start, op);
+    const end = transformTextIndex(selectionRef.current.end, op);
+    el.setSelectionRange(start, end);
+    selectionRef.current = { start, end };
+  }, [value]);
+
+  useLayoutEffect(() => {
+    const el = inputRef.current;
+    const layer = layerRef.current;
+    if (!el || !layer || typeof window === 'undefined') return;
+    const computed = window.getComputedStyle(el);
+    for (const prop of MIRRORED_STYLES) layer.style[prop] = computed[prop];
+    layer.scrollTop = el.scrollTop;
+  });
+
+  const dropProps = onDropCluster
+    ? {
+        onDragOver: (e) => {
+          if (disabled || !Array.from(e.dataTransfer?.types || []).includes(CLUSTER_DRAG_TYPE)) return;
+          e.preventDefault();
+          setDropping(true);
+        },
+        onDragLeave: () => setDropping(false),
+        onDrop: (e) => {
+          const clusterId = e.dataTransfer.getData(CLUSTER_DRAG_TYPE);
+          setDropping(false);
+          if (!clusterId) return;
+          e.preventDefault();
+          onDropCluster(clusterId);
+        },
+      }
+    : {};
+
+  return (
+    <label className={`canvas-field${dropping ? ' is-drop' : ''}`} {...dropProps}>
+      <span className="canvas-label">{label}</span>
+      <div className="canvas-input-wrap">
+        <textarea
+          ref={inputRef}
+          value={value}
+          onChange={(e) => {
+            emittedRef.current = e.target.value;
+            onChange?.(section, e.target.value);
+            onCursor?.(section, readSelection());
+          }}
+          onSelect={() => onCursor?.(section, readSelection())}
+          onBlur={() => onCursor?.(section, null)}
+          onScroll={(e) => {
+            if (layerRef.current) layerRef.current.scrollTop = e.currentTarget.scrollTop;
+          }}
+          rows={4}
+          disabled={disabled}
+          placeholder={placeholder}
+        />
+        {cursors.length ? (
+          <div ref={layerRef} className="canvas-cursor-layer" aria-hidden="true">
+            {cursorSegments(value, cursors)}
+          </div>
+        ) : null}
+      </div>
+    </label>
+  );
+}
+
 export default function CollaborativeCanvas({
   phase = 'DISCOVERY',
   phases = [],
@@ -21,12 +195,24 @@ export default function CollaborativeCanvas({
   disabled = false,
   dirty = false,
   saving = false,
+  error = '',
+  remoteCursors = [],
+  board = null,
+  uid = '',
+  canModerate = false,
+  authorLabel = '',
   phaseGoal = '',
   nextHint = '',
   onPhaseChange,
   onChange,
+  onCursor,
+  onBoardAction,
   onSave,
 }) {
+  const [notesView, setNotesView] = useState('board');
+  const cursorsFor = (section) => remoteCursors.filter((cursor) => cursor.section === section);
+  const editors = Array.from(new Map(remoteCursors.map((cursor) => [cursor.uid, cursor])).values());
+
   function seedBoard() {
     if (disabled) return;
     if (!String(canvas.stickyNotes || '').trim()) {
@@ -100,49 +286,85 @@ export default function CollaborativeCanvas({
       ) : null}
 
       <div className="canvas-grid">
-        <label className="canvas-field">
-          <span className="canvas-label">Sticky Notes</span>
-          <textarea
+        {board && onBoardAction ? (
+          <div className="canvas-field">
+            <div className="canvas-label-row">
+              <span className="canvas-label">Sticky Notes</span>
+              <span className="canvas-view-toggle" role="group" aria-label="Sticky notes view">
+                {['board', 'text'].map((view) => (
+                  <button
+                    key={view}
+                    type="button"
+                    className={`chip${notesView === view ? ' active' : ''}`}
+                    onClick={() => setNotesView(view)}
+                  >
+                    {view === 'board' ? 'Board' : 'Text'}
+                  </button>
+                ))}
+              </span>
+            </div>
+            {notesView === 'board' ? (
+              <StickyBoard
+                board={board}
+                uid={uid}
+                canModerate={canModerate}
+                disabled={disabled}
+                authorLabel={authorLabel}
+                importableText={canvas.stickyNotes || canvas.ideas || ''}
+                onAction={onBoardAction}
+              />
+            ) : null}
+          </div>
+        ) : null}
+
+        {!board || !onBoardAction || notesView === 'text' ? (
+          <CanvasTextField
+            section="stickyNotes"
+            label={board && onBoardAction ? 'Sticky Notes (text)' : 'Sticky Notes'}
             value={canvas.stickyNotes || canvas.ideas || ''}
-            onChange={(e) => onChange?.('stickyNotes', e.target.value)}
-            rows={4}
-            disabled={disabled}
             placeholder="Rapid ideas: one thought per line, no over-editing."
-          />
-        </label>
-
-        <label className="canvas-field">
-          <span className="canvas-label">Outline Map</span>
-          <textarea
-            value={canvas.outlineMap || canvas.structure || ''}
-            onChange={(e) => onChange?.('outlineMap', e.target.value)}
-            rows={4}
-            disabled={disabled}
-            placeholder="Outline flow: opening, tension, turn, ending, call to action."
-          />
-        </label>
-
-        <label className="canvas-field">
-          <span className="canvas-label">Evidence Board (CER + citation)</span>
-          <textarea
-            value={canvas.evidenceBoard || ''}
-            onChange={(e) => onChange?.('evidenceBoard', e.target.value)}
-            rows={4}
-            disabled={disabled}
-            placeholder="Use Claim, Evidence, Reasoning, and at least one citation/source URL."
-          />
-        </label>
-
-        <label className="canvas-field">
-          <span className="canvas-label">Narrative Map</span>
-          <textarea
-            value={canvas.narrativeMap || canvas.map || ''}
-            onChange={(e) => onChange?.('narrativeMap', e.target.value)}
-            rows={4}
             disabled={disabled}
-            placeholder="Map voices, facts, key moments, and final story arc."
+            cursors={cursorsFor('stickyNotes')}
+            onChange={onChange}
+            onCursor={onCursor}
           />
-        </label>
+        ) : null}
+
+        <CanvasTextField
+          section="outlineMap"
+          label="Outline Map"
+          value={canvas.outlineMap || canvas.structure || ''}
+          placeholder="Outline flow: opening, tension, turn, ending, call to action."
+          disabled={disabled}
+          cursors={cursorsFor('outlineMap')}
+          onChange={onChange}
+          onCursor={onCursor}
+          onDropCluster={
+            onBoardAction ? (clusterId) => onBoardAction('cluster.promote', { clusterId }) : undefined
+          }
+        />
+
+        <CanvasTextField
+          section="evidenceBoard"
+          label="Evidence Board (CER + citation)"
+          value={canvas.evidenceBoard || ''}
+          placeholder="Use Claim, Evidence, Reasoning, and at least one citation/source URL."
+          disabled={disabled}
+          cursors={cursorsFor('evidenceBoard')}
+          onChange={onChange}
+          onCursor={onCursor}
+        />
+
+        <CanvasTextField
+          section="narrativeMap"
+          label="Narrative Map"
+          value={canvas.narrativeMap || canvas.map || ''}
+          placeholder="Map voices, facts, key moments, and final story arc."
+          disabled={disabled}
+          cursors={cursorsFor('narrativeMap')}
+          onChange={onChange}
+          onCursor={onCursor}
+        />
       </div>
 
       <div className="canvas-foot">
@@ -152,7 +374,11 @@ export default function CollaborativeCanvas({
         <span className="canvas-meta">
           {canvas.updatedAt ? `Last saved ${formatSaved(canvas.updatedAt)}` : 'Not saved yet'}
           {canvas.updatedBy ? ` by ${canvas.updatedBy}` : ''}
+          {editors.length
+            ? ` · Editing now: ${editors.map((cursor) => cursor.label || 'Teammate').join(', ')}`
+            : ''}
         </span>
+        {error ? <span className="canvas-meta text-danger">Canvas not saved: {error}</span> : null}
       </div>
     </section>
   );
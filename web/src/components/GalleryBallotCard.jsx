@@ -0,0 +1,100 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { API_BASE, authHeaders } from '../api';
+import VoteBallot from './VoteBallot.jsx';
+import { voteInstructions } from '../voting.js';
+
+// Site-wide showcase ballot over the other rooms' final abstracts. Reloads
+// whenever `refreshKey` changes (the room's gallery_ballot event).
+export default function GalleryBallotCard({ roomId, roomAction, refreshKey = 0 }) {
+  const [state, setState] = useState({ ballot: null, eligible: false });
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    if (!roomId) return;
+    try {
+      const res = await fetch(`${API_BASE}/rooms/${roomId}/gallery-ballot`, await authHeaders());
+      if (!res.ok) return;
+      const data = await res.json();
+      setState({ ballot: data.ballot || null, eligible: !!data.eligible });
+    } catch (e) {
+      console.warn('[GalleryBallotCard] load failed', e);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const { ballot, eligible } = state;
+  if (!ballot) return null;
+
+  const choices = ballot.options.filter((opt) => !opt.ownRoom);
+
+  async function submit(body) {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await roomAction('gallery_ballot.submit', '/gallery-ballot/submit', { body });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || `gallery_ballot_failed_${res.status}`);
+        return;
+      }
+      if (data.ballot) setState((prev) => ({ ...prev, ballot: data.ballot }));
+    } catch (e) {
+      console.warn('[GalleryBallotCard] submit failed', e);
+      setError('gallery_ballot_failed');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="hud-pill final-abstract-card mt12">
+      <div className="final-abstract-title">
+        Gallery showcase {ballot.open ? '· voting open' : '· results'}
+      </div>
+
+      {!ballot.open && ballot.results?.winnerLabel ? (
+        <p>
+          Site favourite: <b>{ballot.results.winnerLabel}</b> ({ballot.votes} ballots)
+        </p>
+      ) : null}
+
+      {ballot.open && ballot.hasVoted ? <p>Thanks — your ballot is in. Results appear when voting closes.</p> : null}
+
+      {ballot.open && !ballot.hasVoted && !eligible ? (
+        <p>Only participants seated in a room can vote in the showcase.</p>
+      ) : null}
+
+      {ballot.open && !ballot.hasVoted && eligible ? (
+        <>
+          <p style={{ fontSize: 13, opacity: 0.85 }}>
+            {voteInstructions(ballot.mode, ballot.config)} Your own room is not on the ballot.
+          </p>
+          <div style={{ display: 'grid', gap: 8 }}>
+            {choices.map((opt) => (
+              <details key={opt.num}>
+                <summary>
+                  <b>{opt.num}.</b> {opt.label}
+                </summary>
+                <div style={{ whiteSpace: 'pre-wrap', fontSize: 13 }}>{opt.abstract}</div>
+              </details>
+            ))}
+          </div>
+          <VoteBallot
+            key={ballot.id}
+            mode={ballot.mode}
+            config={ballot.config}
+            options={choices}
+            disabled={busy}
+            onSubmit={submit}
+          />
+        </>
+      ) : null}
+
+      {error ? <div className="text-danger">{error}</div> : null}
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
 // web/src/components/PresenterHUD.jsx
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { authHeaders, API_BASE } from '../api.js';
+import { VOTE_MODES, describeRounds } from '../voting.js';
 
-export default function PresenterHUD({ siteId, rooms }) {
+export default function PresenterHUD({ siteId, rooms, galleryBallotSeq = 0 }) {
   const sorted = useMemo(
     () => [...(rooms || [])].sort((a, b) => (a.index || 0) - (b.index || 0)),
     [rooms]
@@ -65,12 +66,57 @@ export default function PresenterHUD({ siteId, rooms }) {
     [post]
   );
 
+  // Site-wide gallery showcase ballot
+  const [galleryBallot, setGalleryBallot] = useState(null);
+  const [galleryMode, setGalleryMode] = useState('single');
+  const galleryUrl = useCallback(
+    (suffix = '') =>
+      `${API_BASE}/presenter/gallery-ballot${suffix}?siteId=${encodeURIComponent(
+        String(siteId || '').toUpperCase()
+      )}`,
+    [siteId]
+  );
+
+  const loadGalleryBallot = useCallback(async () => {
+    if (!siteId) return;
+    try {
+      const res = await fetch(galleryUrl(), { ...(await authHeaders()) });
+      if (!res.ok) return;
+      const j = await res.json();
+      setGalleryBallot(j.ballot || null);
+    } catch (err) {
+      console.warn('[PresenterHUD] gallery ballot load failed', err);
+    }
+  }, [siteId, galleryUrl]);
+
+  useEffect(() => {
+    loadGalleryBallot();
+  }, [loadGalleryBallot, galleryBallotSeq]);
+
+  const galleryAction = useCallback(
+    async (suffix, body) => {
+      try {
+        const res = await fetch(galleryUrl(suffix), {
+          method: 'POST',
+          ...(await authHeaders()),
+          body: body ? JSON.stringify(body) : undefined,
+        });
+        const j = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(j.error || 'Action failed');
+        setGalleryBallot(j.ballot || null);
+      } catch (err) {
+        alert(err.message || 'Action failed');
+      }
+    },
+    [galleryUrl]
+  );
+
   // hotkeys
   useEffect(() => {
     const handler = (e) => {
       // ignore if typing in input
       const tag = (e.target?.tagName || '').toLowerCase();
-      if (tag === 'input' || tag === 'textarea' || e.isComposing) return;
+      if (tag === 'input' || tag === 'textarea' || tag === 'select' || e.isComposing) return;
 
       // HUD + help toggles
       if (e.key === 'h' || e.key === 'H') {
@@ -234,6 +280,69 @@ export default function PresenterHUD({ siteId, rooms }) {
           </button>
         </div>
 
+        <div className="hud-row" style={{ justifyContent: 'space-between' }}>
+          <div className="hud-title">Gallery showcase</div>
+          {galleryBallot && (
+            <div className="hud-pill">
+              {galleryBallot.open ? 'Open' : 'Closed'} · <b>{galleryBallot.votes}</b> ballots
+            </div>
+          )}
+        </div>
+        {galleryBallot?.results && (
+          <div className="hud-row">
+            <div className="hud-pill wide">
+              {galleryBallot.open ? 'Leading' : 'Winner'}:&nbsp;
+              <b>{galleryBallot.results.winnerLabel || '—'}</b>
+              {galleryBallot.results.tie
+                ? ` (tie broken by ${String(galleryBallot.results.tie.rule).replace(/_/g, ' ')})`
+                : ''}
+            </div>
+          </div>
+        )}
+        {galleryBallot?.mode === 'ranked' &&
+          describeRounds(galleryBallot.results, galleryBallot.options).map((line) => (
+            <div key={line} className="hud-row" style={{ fontSize: 12, opacity: 0.85 }}>
+              {line}
+            </div>
+          ))}
+        {galleryBallot?.turnout && Object.keys(galleryBallot.turnout).length > 0 && (
+          <div className="hud-row" style={{ flexWrap: 'wrap' }}>
+            {Object.entries(galleryBallot.turnout).map(([roomId, count]) => (
+              <div key={roomId} className="hud-pill">
+                {roomId}&nbsp;<b>{count}</b>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="hud-row">
+          {galleryBallot?.open ? (
+            <button className="hud-btn warn" onClick={() => galleryAction('/close')}>
+              Close showcase vote
+            </button>
+          ) : (
+            <>
+              <select
+                value={galleryMode}
+                onChange={(e) => setGalleryMode(e.target.value)}
+                aria-label="Showcase voting mode"
+              >
+                {VOTE_MODES.map((entry) => (
+                  <option key={entry.value} value={entry.value}>
+                    {entry.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="hud-btn"
+                onClick={() => galleryAction('/open', { mode: galleryMode })}
+                title="Every seated participant votes on the other rooms' final abstracts"
+              >
+                Open showcase vote
+              </button>
+            </>
+          )}
+        </div>
+
         <div className="hud-footer">
           <span className="hud-kbd">H</span> HUD
           <span className="hud-kbd">?</span> Help
@@ -1,6 +1,7 @@
 // web/src/components/PresenterVotingPanel.jsx
-import React, { useEffect, useMemo } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useRoomVoting } from '../hooks/useRoomVoting.js';
+import { VOTE_MODES, VOTE_TIE_BREAKS, describeRounds, voteModeLabel } from '../voting.js';
 
 export default function PresenterVotingPanel({
   roomId,
@@ -8,11 +9,22 @@ export default function PresenterVotingPanel({
   refreshKey = 0,
 }) {
   const { status, loading, startVoting, closeVoting, refresh } = useRoomVoting(roomId);
+  const [draftConfig, setDraftConfig] = useState(null);
 
   useEffect(() => {
     refresh();
   }, [refresh, refreshKey]);
 
+  // Until the presenter edits the settings, they mirror the room's last vote.
+  const config = draftConfig || {
+    mode: status.config?.mode || 'single',
+    tieBreak: status.config?.tieBreak || 'previous_rounds',
+    pointsBudget: status.config?.pointsBudget || 10,
+    maxApprovals: status.config?.maxApprovals || 0,
+    anonymous: !!status.config?.anonymous,
+  };
+  const setConfig = (patch) => setDraftConfig({ ...config, ...patch });
+
   // Normalize options to { label, num? } for display
   const options = useMemo(() => {
     const arr = Array.isArray(status.options) ? status.options : [];
@@ -42,6 +54,12 @@ export default function PresenterVotingPanel({
   );
 
   const topic = status.topic || status.selectedTopic || '';
+  const results = status.results || null;
+  const roundLines = useMemo(
+    () => (status.mode === 'ranked' ? describeRounds(results || {}, options) : []),
+    [status.mode, results, options]
+  );
+  const countLabel = status.mode === 'ranked' ? 'first choices' : status.mode === 'points' ? 'points' : '';
 
   return (
     <div className="rounded-xl border bg-white/80 backdrop-blur p-4 shadow text-black">
@@ -49,6 +67,10 @@ export default function PresenterVotingPanel({
       <div className="flex items-center justify-between mb-2">
         <div className="flex flex-col gap-0.5">
           <h3 className="font-semibold">Presenter — Topic Voting</h3>
+          <div className="text-xs text-gray-700">
+            {voteModeLabel(status.mode)}
+            {status.config?.anonymous ? ' · anonymous' : ''}
+          </div>
           {topic && (
             <div className="text-xs text-gray-700">
               Selected topic:&nbsp;<span className="font-semibold">{topic}</span>
@@ -71,9 +93,20 @@ export default function PresenterVotingPanel({
           <span className="font-semibold">{votesReceived}</span>
         </div>
         <div className="flex items-center gap-1 text-xs opacity-70">
-          <span>Total counted:</span>
+          <span>Total counted{countLabel ? ` (${countLabel})` : ''}:</span>
           <span className="font-semibold">{totalVotes}</span>
         </div>
+        {results?.winnerLabel ? (
+          <div className="flex items-center gap-1 text-xs">
+            <span className="opacity-70">{status.votingOpen ? 'Leading:' : 'Winner:'}</span>
+            <span className="font-semibold">{results.winnerLabel}</span>
+            {results.tie ? (
+              <span className="opacity-70">
+                (tie broken by {String(results.tie.rule).replace(/_/g, ' ')})
+              </span>
+            ) : null}
+          </div>
+        ) : null}
       </div>
 
       {/* Options list with mini bars */}
@@ -110,11 +143,86 @@ export default function PresenterVotingPanel({
         )}
       </ol>
 
+      {roundLines.length > 1 && (
+        <ol className="text-xs space-y-0.5 mb-3 opacity-80">
+          {roundLines.map((line) => (
+            <li key={line}>{line}</li>
+          ))}
+        </ol>
+      )}
+
+      {isPresenter && !status.votingOpen && (
+        <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+          <label className="flex items-center gap-1">
+            <span className="opacity-70">Mode</span>
+            <select
+              value={config.mode}
+              onChange={(e) => setConfig({ mode: e.target.value })}
+              className="rounded border px-1 py-0.5"
+            >
+              {VOTE_MODES.map((mode) => (
+                <option key={mode.value} value={mode.value}>
+                  {mode.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            <span className="opacity-70">Ties</span>
+            <select
+              value={config.tieBreak}
+              onChange={(e) => setConfig({ tieBreak: e.target.value })}
+              className="rounded border px-1 py-0.5"
+            >
+              {VOTE_TIE_BREAKS.map((rule) => (
+                <option key={rule.value} value={rule.value}>
+                  {rule.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={config.anonymous}
+              onChange={(e) => setConfig({ anonymous: e.target.checked })}
+            />
+            <span className="opacity-70">Anonymous (receipts, no names)</span>
+          </label>
+          {config.mode === 'points' && (
+            <label className="flex items-center gap-1">
+              <span className="opacity-70">Points each</span>
+              <input
+                type="number"
+                min={1}
+                max={100}
+                value={config.pointsBudget}
+                onChange={(e) => setConfig({ pointsBudget: Number(e.target.value) || 1 })}
+                className="w-16 rounded border px-1 py-0.5"
+              />
+            </label>
+          )}
+          {config.mode === 'approval' && (
+            <label className="flex items-center gap-1">
+              <span className="opacity-70">Max approvals (0 = any)</span>
+              <input
+                type="number"
+                min={0}
+                max={options.length || 10}
+                value={config.maxApprovals}
+                onChange={(e) => setConfig({ maxApprovals: Number(e.target.value) || 0 })}
+                className="w-16 rounded border px-1 py-0.5"
+              />
+            </label>
+          )}
+        </div>
+      )}
+
       {/* Controls for presenter only */}
       {isPresenter && (
         <div className="flex flex-wrap items-center gap-2">
           <button
-            onClick={startVoting}
+            onClick={() => startVoting(status.votingOpen ? {} : config)}
             disabled={loading}
             className="px-3 py-2 rounded bg-black text-white text-xs sm:text-sm disabled:opacity-50"
           >
@@ -1,4 +1,5 @@
 import React, { useEffect, useMemo, useState } from 'react';
+import { receiptModelLine, receiptUsageLine } from '../aiReceipt.js';
 
 function phaseName(phase) {
   return String(phase || '').replace(/_/g, ' ');
@@ -247,7 +248,8 @@ export default function ReplayModal({
                     <div className="replay-active-body">{active.text || '—'}</div>
                     {active.aiReceipt ? (
                       <div className="replay-receipt">
-                        <span>Confidence: {Math.round(Number(active.aiReceipt.confidence || 0) * 100)}%</span>
+                        {receiptModelLine(active.aiReceipt) ? <span>{receiptModelLine(active.aiReceipt)}</span> : null}
+                        {receiptUsageLine(active.aiReceipt) ? <span>{receiptUsageLine(active.aiReceipt)}</span> : null}
                         <span>Policy: {active.aiReceipt.policyChecks?.strictness || '—'}</span>
                         <span>Source: {active.aiReceipt.source || '—'}</span>
                       </div>
@@ -0,0 +1,329 @@
+import React, { useMemo, useState } from 'react';
+
+export const NOTE_DRAG_TYPE = 'application/x-storibloom-note';
+export const CLUSTER_DRAG_TYPE = 'application/x-storibloom-cluster';
+
+const NOTE_COLORS = ['yellow', 'pink', 'blue', 'green', 'purple', 'orange'];
+
+function noteDots(note = {}) {
+  return Object.values(note.dots || {}).reduce((sum, n) => sum + Number(n || 0), 0);
+}
+
+function byDotsThenAge(a, b) {
+  return noteDots(b) - noteDots(a) || Number(a.createdAt || 0) - Number(b.createdAt || 0);
+}
+
+function hasDrag(e, type) {
+  return Array.from(e.dataTransfer?.types || []).includes(type);
+}
+
+function StickyNote({ note, uid, canModerate, disabled, dotsRemaining, onAction, style }) {
+  const mine = Number(note.dots?.[uid] || 0);
+  const canEdit = canModerate || (uid && note.author?.uid === uid);
+  return (
+    <div
+      className={`sticky-note sticky-${note.color || 'yellow'}`}
+      style={style}
+      draggable={!disabled}
+      onDragStart={(e) => {
+        e.dataTransfer.setData(NOTE_DRAG_TYPE, note.id);
+        e.dataTransfer.effectAllowed = 'move';
+      }}
+    >
+      <div className="sticky-note-text">{note.text}</div>
+      {note.tags?.length ? (
+        <div className="sticky-note-tags">
+          {note.tags.map((tag) => (
+            <span key={tag}>#{tag}</span>
+          ))}
+        </div>
+      ) : null}
+      <div className="sticky-note-foot">
+        <span className="sticky-note-author">{note.author?.label || 'Teammate'}</span>
+        <span className="sticky-note-actions">
+          <button
+            type="button"
+            className="sticky-dot"
+            title={mine ? `You placed ${mine}` : 'Place a dot'}
+            onClick={() => onAction('note.dot', { noteId: note.id, delta: 1 })}
+            disabled={disabled || dotsRemaining < 1}
+          >
+            ● {noteDots(note)}
+          </button>
+          {mine ? (
+            <button
+              type="button"
+              className="sticky-dot"
+              title="Take a dot back"
+              onClick={() => onAction('note.dot', { noteId: note.id, delta: -1 })}
+              disabled={disabled}
+            >
+              −
+            </button>
+          ) : null}
+          {canEdit ? (
+            <button
+              type="button"
+              className="sticky-dot"
+              title="Delete note"
+              onClick={() => onAction('note.delete', { noteId: note.id })}
+              disabled={disabled}
+            >
+              ×
+            </button>
+          ) : null}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// Board view of the sticky-notes section. Notes are dragged onto clusters or
+// back onto the free-form area; clusters are dragged onto the outline field.
+export default function StickyBoard({
+  board = {},
+  uid = '',
+  canModerate = false,
+  disabled = false,
+  authorLabel = '',
+  importableText = '',
+  onAction,
+}) {
+  const [draft, setDraft] = useState({ text: '', color: 'yellow', tags: '' });
+  const [clusterName, setClusterName] = useState('');
+  const [renaming, setRenaming] = useState({ id: '', name: '' });
+  const [error, setError] = useState('');
+  const [dropTarget, setDropTarget] = useState('');
+
+  const notes = useMemo(() => Object.values(board.notes || {}), [board.notes]);
+  const clusters = useMemo(
+    () =>
+      Object.values(board.clusters || {}).sort(
+        (a, b) => Number(a.createdAt || 0) - Number(b.createdAt || 0)
+      ),
+    [board.clusters]
+  );
+  const used = notes.reduce((sum, note) => sum + Number(note.dots?.[uid] || 0), 0);
+  const dotsRemaining = Math.max(0, Number(board.dotBudget || 0) - used);
+  const unsorted = notes.filter((note) => !board.clusters?.[note.clusterId]);
+
+  async function act(action, data = {}) {
+    const out = await onAction?.(action, { authorLabel, ...data });
+    setError(out && !out.ok ? out.error || 'board_action_failed' : '');
+    return out;
+  }
+
+  async function addNote(e) {
+    e.preventDefault();
+    if (!draft.text.trim()) return;
+    const out = await act('note.create', draft);
+    if (out?.ok) setDraft((prev) => ({ ...prev, text: '', tags: '' }));
+  }
+
+  async function addCluster(e) {
+    e.preventDefault();
+    if (!clusterName.trim()) return;
+    const out = await act('cluster.create', { name: clusterName });
+    if (out?.ok) setClusterName('');
+  }
+
+  function dropZoneProps(target, onDrop) {
+    return {
+      onDragOver: (e) => {
+        if (disabled || !hasDrag(e, NOTE_DRAG_TYPE)) return;
+        e.preventDefault();
+        setDropTarget(target);
+      },
+      onDragLeave: () => setDropTarget((cur) => (cur === target ? '' : cur)),
+      onDrop: (e) => {
+        const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE);
+        setDropTarget('');
+        if (!noteId) return;
+        e.preventDefault();
+        onDrop(noteId, e);
+      },
+    };
+  }
+
+  const noteProps = { uid, canModerate, disabled, dotsRemaining, onAction: act };
+
+  return (
+    <div className="sticky-board">
+      <div className="sticky-board-toolbar">
+        <form className="sticky-board-form" onSubmit={addNote}>
+          <input
+            className="input"
+            value={draft.text}
+            maxLength={280}
+            onChange={(e) => setDraft((prev) => ({ ...prev, text: e.target.value }))}
+            placeholder="New note"
+            disabled={disabled}
+            aria-label="New note text"
+          />
+          <input
+            className="input sticky-board-tags"
+            value={draft.tags}
+            onChange={(e) => setDraft((prev) => ({ ...prev, tags: e.target.value }))}
+            placeholder="#claim #evidence"
+            disabled={disabled}
+            aria-label="New note tags"
+          />
+          <select
+            className="select"
+            value={draft.color}
+            onChange={(e) => setDraft((prev) => ({ ...prev, color: e.target.value }))}
+            disabled={disabled}
+            aria-label="New note color"
+          >
+            {NOTE_COLORS.map((color) => (
+              <option key={color} value={color}>
+                {color}
+              </option>
+            ))}
+          </select>
+          <button type="submit" className="btn" disabled={disabled || !draft.text.trim()}>
+            Add note
+          </button>
+        </form>
+        <form className="sticky-board-form" onSubmit={addCluster}>
+          <input
+            className="input"
+            value={clusterName}
+            maxLength={60}
+            onChange={(e) => setClusterName(e.target.value)}
+            placeholder="New cluster"
+            disabled={disabled}
+            aria-label="New cluster name"
+          />
+          <button type="submit" className="btn ghost" disabled={disabled || !clusterName.trim()}>
+            Add cluster
+          </button>
+        </form>
+        <span className="canvas-meta">
+          Dots left: {dotsRemaining}/{board.dotBudget || 0}
+        </span>
+        {!notes.length && importableText.trim() ? (
+          <button
+            type="button"
+            className="btn ghost"
+            onClick={() => act('board.import')}
+            disabled={disabled}
+          >
+            Import text notes
+          </button>
+        ) : null}
+      </div>
+
+      {clusters.length ? (
+        <div className="sticky-clusters">
+          {clusters.map((cluster) => {
+            const members = notes.filter((note) => note.clusterId === cluster.id).sort(byDotsThenAge);
+            const dots = members.reduce((sum, note) => sum + noteDots(note), 0);
+            return (
+              <div
+                key={cluster.id}
+                className={`sticky-cluster${dropTarget === cluster.id ? ' is-drop' : ''}`}
+                {...dropZoneProps(cluster.id, (noteId) =>
+                  act('note.update', { noteId, clusterId: cluster.id })
+                )}
+              >
+                <div
+                  className="sticky-cluster-head"
+                  draggable={!disabled && members.length > 0}
+                  title="Drag onto the Outline Map to promote"
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData(CLUSTER_DRAG_TYPE, cluster.id);
+                    e.dataTransfer.effectAllowed = 'copy';
+                  }}
+                >
+                  {renaming.id === cluster.id ? (
+                    <form
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        void act('cluster.update', { clusterId: cluster.id, name: renaming.name });
+                        setRenaming({ id: '', name: '' });
+                      }}
+                    >
+                      <input
+                        className="input"
+                        value={renaming.name}
+                        maxLength={60}
+                        autoFocus
+                        onChange={(e) => setRenaming({ id: cluster.id, name: e.target.value })}
+                        onBlur={() => setRenaming({ id: '', name: '' })}
+                        aria-label="Cluster name"
+                      />
+                    </form>
+                  ) : (
+                    <button
+                      type="button"
+                      className="sticky-cluster-name"
+                      onClick={() => setRenaming({ id: cluster.id, name: cluster.name })}
+                      disabled={disabled}
+                    >
+                      {cluster.name}
+                    </button>
+                  )}
+                  <span className="canvas-meta">
+                    {members.length} notes · {dots} dots
+                    {cluster.promotedAt ? ' · in outline' : ''}
+                  </span>
+                </div>
+                <div className="sticky-cluster-notes">
+                  {members.map((note) => (
+                    <StickyNote key={note.id} note={note} {...noteProps} />
+                  ))}
+                  {!members.length ? <div className="canvas-meta">Drop notes here</div> : null}
+                </div>
+                <div className="sticky-cluster-actions">
+                  <button
+                    type="button"
+                    className="btn ghost"
+                    onClick={() => act('cluster.promote', { clusterId: cluster.id })}
+                    disabled={disabled || !members.length}
+                  >
+                    Promote to outline
+                  </button>
+                  <button
+                    type="button"
+                    className="btn ghost"
+                    onClick={() => act('cluster.delete', { clusterId: cluster.id })}
+                    disabled={disabled}
+                  >
+                    Ungroup
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ) : null}
+
+      <div
+        className={`sticky-free${dropTarget === 'free' ? ' is-drop' : ''}`}
+        {...dropZoneProps('free', (noteId, e) => {
+          const rect = e.currentTarget.getBoundingClientRect();
+          const x = rect.width ? (e.clientX - rect.left) / rect.width : 0;
+          const y = rect.height ? (e.clientY - rect.top) / rect.height : 0;
+          void act('note.update', { noteId, clusterId: '', x, y });
+        })}
+      >
+        {unsorted.map((note) => (
+          <StickyNote
+            key={note.id}
+            note={note}
+            {...noteProps}
+            style={{ left: `${Number(note.x || 0) * 100}%`, top: `${Number(note.y || 0) * 100}%` }}
+          />
+        ))}
+        {!unsorted.length ? (
+          <div className="canvas-meta sticky-free-empty">
+            {notes.length ? 'Drag notes here to ungroup them.' : 'No notes yet. Add one above.'}
+          </div>
+        ) : null}
+      </div>
+
+      {error ? <span className="canvas-meta text-danger">Board: {error}</span> : null}
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import {
+  ballotBody,
+  pointsSpent,
+  setPoints,
+  toggleApproval,
+  toggleRanking,
+} from '../voting.js';
+
+// Ballot for the room's voting mode. Single-choice submits on click; the other
+// modes build a draft first and submit it with one button.
+export default function VoteBallot({
+  mode = 'single',
+  config = {},
+  options = [],
+  counts = null,
+  disabled = false,
+  onSubmit,
+}) {
+  const [draft, setDraft] = useState({ ranking: [], approvals: [], points: {} });
+  const budget = Number(config.pointsBudget || 10);
+  const body = ballotBody(mode, draft);
+
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8 };
+
+  if (mode === 'single') {
+    return (
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: 8, marginTop: 8 }}>
+        {options.map((opt, idx) => (
+          <button
+            key={opt.num}
+            className="btn"
+            disabled={disabled}
+            onClick={() => onSubmit?.({ choice: opt.num })}
+            style={rowStyle}
+          >
+            <span>
+              <b>{opt.num}.</b> {opt.label}
+            </span>
+            {disabled && Array.isArray(counts) && typeof counts[idx] === 'number' && (
+              <span className="hud-pill">{counts[idx]} votes</span>
+            )}
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: 8, marginTop: 8 }}>
+      {options.map((opt) => {
+        const rank = draft.ranking.indexOf(opt.num) + 1;
+        const approved = draft.approvals.includes(opt.num);
+        if (mode === 'points') {
+          return (
+            <label key={opt.num} className="btn" style={rowStyle}>
+              <span>
+                <b>{opt.num}.</b> {opt.label}
+              </span>
+              <input
+                type="number"
+                min={0}
+                max={budget}
+                value={draft.points[opt.num] || 0}
+                disabled={disabled}
+                onChange={(e) =>
+                  setDraft((prev) => ({
+                    ...prev,
+                    points: setPoints(prev.points, opt.num, e.target.value, budget),
+                  }))
+                }
+                aria-label={`Points for ${opt.label}`}
+                style={{ width: 64 }}
+              />
+            </label>
+          );
+        }
+        return (
+          <button
+            key={opt.num}
+            className={`btn${rank || approved ? ' primary' : ''}`}
+            disabled={disabled}
+            aria-pressed={!!(rank || approved)}
+            onClick={() =>
+              setDraft((prev) =>
+                mode === 'ranked'
+                  ? { ...prev, ranking: toggleRanking(prev.ranking, opt.num) }
+                  : {
+                      ...prev,
+                      approvals: toggleApproval(prev.approvals, opt.num, Number(config.maxApprovals || 0)),
+                    }
+              )
+            }
+            style={rowStyle}
+          >
+            <span>
+              <b>{opt.num}.</b> {opt.label}
+            </span>
+            {mode === 'ranked' && rank ? <span className="hud-pill">#{rank}</span> : null}
+            {mode === 'approval' && approved ? <span className="hud-pill">Approved</span> : null}
+          </button>
+        );
+      })}
+
+      <div style={{ ...rowStyle, fontSize: 12, opacity: 0.85 }}>
+        <span>
+          {mode === 'points'
+            ? `${budget - pointsSpent(draft.points)} of ${budget} points left`
+            : mode === 'ranked'
+            ? `${draft.ranking.length} ranked`
+            : `${draft.approvals.length} approved${
+                config.maxApprovals ? ` (max ${config.maxApprovals})` : ''
+              }`}
+        </span>
+        <button
+          className="btn primary"
+          disabled={disabled || !body}
+          onClick={() => body && onSubmit?.(body)}
+        >
+          Submit ballot
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { API_BASE, authHeaders } from '../api';
+import { computeVoteReceipt, describeBallot } from '../voting.js';
+
+// Lets an anonymous voter confirm their receipt is on the room's published
+// list and that the ballot filed under it hashes back to the same receipt.
+export default function VoteReceiptCheck({ roomId, receipt, options = [], mode = 'single' }) {
+  const [state, setState] = useState({ status: 'idle', ballot: null });
+
+  async function check() {
+    setState({ status: 'checking', ballot: null });
+    try {
+      const res = await fetch(
+        `${API_BASE}/rooms/${roomId}/vote/receipts?receipt=${encodeURIComponent(receipt.receipt)}`,
+        await authHeaders()
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.counted) {
+        setState({ status: 'missing', ballot: null });
+        return;
+      }
+      const recomputed = await computeVoteReceipt({
+        sessionId: data.sessionId,
+        salt: receipt.salt,
+        ballot: data.ballot,
+      });
+      setState({ status: recomputed === receipt.receipt ? 'counted' : 'mismatch', ballot: data.ballot });
+    } catch (e) {
+      console.warn('[VoteReceiptCheck] lookup failed', e);
+      setState({ status: 'error', ballot: null });
+    }
+  }
+
+  const message = {
+    checking: 'Checking…',
+    counted: `Counted as cast: ${describeBallot(state.ballot, options, mode)}`,
+    missing: 'Not on the current ballot list.',
+    mismatch: 'The ballot on file does not match your receipt. Tell your facilitator.',
+    error: 'Could not reach the ballot list. Try again.',
+  }[state.status];
+
+  return (
+    <div className="hud-pill" style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+      <span title={receipt.receipt}>
+        Receipt <code>{receipt.receipt.slice(0, 12)}…</code>
+      </span>
+      <button type="button" className="btn" onClick={check} disabled={state.status === 'checking'}>
+        Check my ballot
+      </button>
+      {message ? (
+        <span className={state.status === 'mismatch' || state.status === 'error' ? 'text-danger' : undefined}>
+          {message}
+        </span>
+      ) : null}
+    </div>
+  );
+}
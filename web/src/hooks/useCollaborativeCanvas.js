@@ -0,0 +1,428 @@
+// web/src/hooks/useCollaborativeCanvas.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { authHeaders, API_BASE as API } from '../api';
+import {
+  applyTextOp,
+  diffTextOp,
+  rebaseLocalText,
+  transformTextIndex,
+  transformTextOps,
+} from '../canvasOt';
+
+export const CANVAS_SECTIONS = ['stickyNotes', 'outlineMap', 'evidenceBoard', 'narrativeMap'];
+
+const SECTION_ALIASES = { stickyNotes: 'ideas', outlineMap: 'structure', narrativeMap: 'map' };
+const AUTOSAVE_MS = 600;
+const CURSOR_THROTTLE_MS = 350;
+const CURSOR_TTL_MS = 15_000;
+const EMPTY_BOARD = { notes: {}, clusters: {}, dotBudget: 5, updatedAt: 0 };
+
+// REST fallbacks for board actions; the socket sends the same body as `canvas.board`.
+function boardRoute(action, { noteId = '', clusterId = '' } = {}) {
+  const note = `/canvas/notes/${encodeURIComponent(noteId)}`;
+  const cluster = `/canvas/clusters/${encodeURIComponent(clusterId)}`;
+  switch (action) {
+    case 'note.create':
+      return { path: '/canvas/notes', method: 'POST' };
+    case 'board.import':
+      return { path: '/canvas/notes/import', method: 'POST' };
+    case 'note.update':
+      return { path: note, method: 'PATCH' };
+    case 'note.delete':
+      return { path: note, method: 'DELETE' };
+    case 'note.dot':
+      return { path: `${note}/dots`, method: 'POST' };
+    case 'cluster.create':
+      return { path: '/canvas/clusters', method: 'POST' };
+    case 'cluster.update':
+      return { path: cluster, method: 'PATCH' };
+    case 'cluster.delete':
+      return { path: cluster, method: 'DELETE' };
+    case 'cluster.promote':
+      return { path: `${cluster}/promote`, method: 'POST' };
+    default:
+      return null;
+  }
+}
+
+function readServerBoard(next) {
+  if (!next || typeof next !== 'object') return EMPTY_BOARD;
+  return {
+    notes: next.notes && typeof next.notes === 'object' ? next.notes : {},
+    clusters: next.clusters && typeof next.clusters === 'object' ? next.clusters : {},
+    dotBudget: Number(next.dotBudget || EMPTY_BOARD.dotBudget),
+    updatedAt: Number(next.updatedAt || 0),
+  };
+}
+
+function patchEntries(current, changes) {
+  const out = { ...current };
+  for (const [id, value] of Object.entries(changes || {})) {
+    if (value) out[id] = value;
+    else delete out[id];
+  }
+  return out;
+}
+
+function emptyTexts() {
+  return Object.fromEntries(CANVAS_SECTIONS.map((section) => [section, '']));
+}
+
+function emptyRevisions() {
+  return Object.fromEntries(CANVAS_SECTIONS.map((section) => [section, 0]));
+}
+
+function readServerCanvas(next = {}) {
+  return {
+    texts: {
+      stickyNotes: String(next.stickyNotes ?? next.ideas ?? ''),
+      outlineMap: String(next.outlineMap ?? next.structure ?? ''),
+      evidenceBoard: String(next.evidenceBoard ?? ''),
+      narrativeMap: String(next.narrativeMap ?? next.map ?? ''),
+    },
+    revisions: { ...emptyRevisions(), ...(next.revisions || {}) },
+    updatedAt: Number(next.updatedAt || 0),
+    updatedBy: String(next.updatedBy || ''),
+  };
+}
+
+// Keeps the legacy alias keys that other Room panels still read.
+function toCanvasView(texts, meta) {
+  const view = { ...texts, updatedAt: meta.updatedAt, updatedBy: meta.updatedBy };
+  for (const [section, alias] of Object.entries(SECTION_ALIASES)) view[alias] = texts[section];
+  return view;
+}
+
+function currentUid() {
+  if (typeof sessionStorage === 'undefined') return '';
+  return sessionStorage.getItem('userId') || '';
+}
+
+// Local edits are sent as ops against the last server revision the client has
+// seen; the server rebases them over anything a teammate saved in between, and
+// incoming ops are folded into unsaved local text the same way.
+export function useCollaborativeCanvas({ roomId, phase, enabled, roomAction }) {
+  const [canvas, setCanvas] = useState(() => toCanvasView(emptyTexts(), {}));
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [remoteCursors, setRemoteCursors] = useState([]);
+  const [board, setBoard] = useState(EMPTY_BOARD);
+
+  const phaseRef = useRef(phase);
+  const baseRef = useRef({ phase: '', texts: emptyTexts(), revisions: emptyRevisions() });
+  const localRef = useRef(emptyTexts());
+  const metaRef = useRef({ updatedAt: 0, updatedBy: '' });
+  const savingRef = useRef(false);
+  const missedRef = useRef(false);
+  const queuedRef = useRef([]);
+  const blockedRef = useRef(false);
+  const cursorsRef = useRef(new Map());
+  const cursorSendRef = useRef({ at: 0, timer: null, pending: null });
+  const applyRemoteUpdateRef = useRef(() => {});
+
+  phaseRef.current = phase;
+
+  const publish = useCallback(() => {
+    const texts = localRef.current;
+    const base = baseRef.current.texts;
+    setCanvas(toCanvasView(texts, metaRef.current));
+    setDirty(CANVAS_SECTIONS.some((section) => texts[section] !== base[section]));
+  }, []);
+
+  const publishCursors = useCallback(() => {
+    const now = Date.now();
+    const base = baseRef.current;
+    const out = [];
+    for (const [uid, cursor] of cursorsRef.current) {
+      if (now - cursor.at > CURSOR_TTL_MS || cursor.phase !== base.phase) {
+        cursorsRef.current.delete(uid);
+        continue;
+      }
+      let { anchor, head } = cursor;
+      const section = cursor.section;
+      // Offsets line up with our base text; shift them past our unsaved edits.
+      if (cursor.revision === base.revisions[section]) {
+        const pending = diffTextOp(base.texts[section], localRef.current[section]);
+        anchor = transformTextIndex(anchor, pending);
+        head = transformTextIndex(head, pending);
+      }
+      const max = localRef.current[section].length;
+      out.push({ ...cursor, anchor: Math.min(anchor, max), head: Math.min(head, max) });
+    }
+    setRemoteCursors(out);
+  }, []);
+
+  const applyServerCanvas = useCallback(
+    (next, { sentTexts = null } = {}) => {
+      const server = readServerCanvas(next);
+      const base = baseRef.current;
+      const samePhase = base.phase === phaseRef.current;
+      const local = {};
+      for (const section of CANVAS_SECTIONS) {
+        const from = sentTexts?.[section] ?? base.texts[section];
+        local[section] = samePhase
+          ? rebaseLocalText(from, localRef.current[section], server.texts[section])
+          : server.texts[section];
+      }
+      baseRef.current = { phase: phaseRef.current, texts: server.texts, revisions: server.revisions };
+      localRef.current = local;
+      metaRef.current = { updatedAt: server.updatedAt, updatedBy: server.updatedBy };
+      const nextBoard = readServerBoard(next.board);
+      // A patch from a newer canvas_board event may already be applied.
+      setBoard((prev) => (samePhase && prev.updatedAt > nextBoard.updatedAt ? prev : nextBoard));
+      publish();
+      publishCursors();
+    },
+    [publish, publishCursors]
+  );
+
+  const fetchCanvas = useCallback(async () => {
+    if (!enabled || !roomId) return;
+    const targetPhase = phaseRef.current;
+    try {
+      const res = await fetch(
+        `${API}/rooms/${roomId}/canvas?phase=${encodeURIComponent(targetPhase)}`,
+        await authHeaders()
+      );
+      if (!res.ok) return;
+      const data = await res.json().catch(() => ({}));
+      if (targetPhase !== phaseRef.current) return;
+      if (savingRef.current) {
+        missedRef.current = true;
+        return;
+      }
+      const me = currentUid();
+      for (const cursor of Array.isArray(data.cursors) ? data.cursors : []) {
+        if (cursor?.uid && cursor.uid !== me) cursorsRef.current.set(cursor.uid, cursor);
+      }
+      applyServerCanvas(data.canvas || {});
+    } catch (e) {
+      console.warn('[Canvas] fetch error', e);
+    }
+  }, [applyServerCanvas, enabled, roomId]);
+
+  const save = useCallback(async () => {
+    if (!enabled || savingRef.current) return;
+    const base = baseRef.current;
+    const sentTexts = { ...localRef.current };
+    const edits = {};
+    for (const section of CANVAS_SECTIONS) {
+      if (sentTexts[section] === base.texts[section]) continue;
+      edits[section] = {
+        baseRevision: base.revisions[section],
+        op: diffTextOp(base.texts[section], sentTexts[section]),
+      };
+    }
+    if (!Object.keys(edits).length) return;
+
+    savingRef.current = true;
+    setSaving(true);
+    try {
+      const res = await roomAction('canvas.update', '/canvas', {
+        method: 'PUT',
+        body: { phase: base.phase, edits },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (base.phase !== phaseRef.current) return;
+      if (res.ok) {
+        setError('');
+        applyServerCanvas(data.canvas || {}, { sentTexts });
+      } else if (res.status === 409 && data.canvas) {
+        // Our base was too old to rebase on the server; rebase here and retry.
+        applyServerCanvas(data.canvas);
+      } else {
+        blockedRef.current = true;
+        setError(data.error || `canvas_save_failed_${res.status}`);
+      }
+    } catch (e) {
+      console.warn('[Canvas] save error', e);
+    } finally {
+      savingRef.current = false;
+      setSaving(false);
+      // Updates that arrived mid-save are replayed now; ones already folded
+      // into the save response are skipped by revision.
+      for (const payload of queuedRef.current.splice(0)) applyRemoteUpdateRef.current(payload);
+      if (missedRef.current) {
+        missedRef.current = false;
+        void fetchCanvas();
+      }
+    }
+  }, [applyServerCanvas, enabled, fetchCanvas, roomAction]);
+
+  const setSection = useCallback(
+    (section, value) => {
+      if (!CANVAS_SECTIONS.includes(section)) return;
+      localRef.current = { ...localRef.current, [section]: String(value ?? '') };
+      blockedRef.current = false;
+      publish();
+    },
+    [publish]
+  );
+
+  const applyRemoteUpdate = useCallback(
+    (payload = {}) => {
+      const base = baseRef.current;
+      if (payload.phase && payload.phase !== base.phase) return;
+      if (!payload.sections || typeof payload.sections !== 'object') {
+        void fetchCanvas();
+        return;
+      }
+      if (savingRef.current) {
+        queuedRef.current.push(payload);
+        return;
+      }
+      const texts = { ...base.texts };
+      const revisions = { ...base.revisions };
+      const local = { ...localRef.current };
+      try {
+        for (const [section, change] of Object.entries(payload.sections)) {
+          if (!CANVAS_SECTIONS.includes(section)) continue;
+          const revision = Number(change?.revision || 0);
+          if (revision <= revisions[section]) continue;
+          if (revision !== revisions[section] + 1 || !Array.isArray(change.op)) {
+            void fetchCanvas();
+            return;
+          }
+          const pending = diffTextOp(texts[section], local[section]);
+          const [, remotePrime] = transformTextOps(pending, change.op);
+          texts[section] = applyTextOp(texts[section], change.op);
+          local[section] = applyTextOp(local[section], remotePrime);
+          revisions[section] = revision;
+        }
+      } catch (e) {
+        console.warn('[Canvas] remote op rejected, refetching', e);
+        void fetchCanvas();
+        return;
+      }
+      baseRef.current = { phase: base.phase, texts, revisions };
+      localRef.current = local;
+      metaRef.current = { updatedAt: Number(payload.at || Date.now()), updatedBy: String(payload.uid || '') };
+      publish();
+      publishCursors();
+    },
+    [fetchCanvas, publish, publishCursors]
+  );
+
+  applyRemoteUpdateRef.current = applyRemoteUpdate;
+
+  const applyRemoteCursor = useCallback(
+    (payload = {}) => {
+      const uid = String(payload.uid || '');
+      if (!uid || uid === currentUid()) return;
+      if (payload.section) cursorsRef.current.set(uid, { ...payload, at: Date.now() });
+      else cursorsRef.current.delete(uid);
+      publishCursors();
+    },
+    [publishCursors]
+  );
+
+  const applyBoardChanges = useCallback(
+    (payload = {}) => {
+      if (payload.phase && payload.phase !== baseRef.current.phase) return;
+      if (!payload.changes || typeof payload.changes !== 'object') {
+        void fetchCanvas();
+        return;
+      }
+      setBoard((prev) => ({
+        ...prev,
+        notes: patchEntries(prev.notes, payload.changes.notes),
+        clusters: patchEntries(prev.clusters, payload.changes.clusters),
+        updatedAt: Math.max(prev.updatedAt, Number(payload.at || 0)),
+      }));
+    },
+    [fetchCanvas]
+  );
+
+  const boardAction = useCallback(
+    async (action, data = {}) => {
+      const route = boardRoute(action, data);
+      if (!enabled || !route) return { ok: false, error: 'board_action_unsupported' };
+      const phaseAtSend = baseRef.current.phase;
+      try {
+        const res = await roomAction('canvas.board', route.path, {
+          method: route.method,
+          body: { ...data, action, phase: phaseAtSend },
+        });
+        const out = await res.json().catch(() => ({}));
+        if (!res.ok) return { ok: false, error: out.error || `board_action_failed_${res.status}` };
+        if (phaseAtSend === baseRef.current.phase && out.board) {
+          const nextBoard = readServerBoard(out.board);
+          setBoard((prev) => (prev.updatedAt > nextBoard.updatedAt ? prev : nextBoard));
+        }
+        return { ok: true, ...out };
+      } catch (e) {
+        console.warn('[Canvas] board action error', e);
+        return { ok: false, error: 'board_action_failed' };
+      }
+    },
+    [enabled, roomAction]
+  );
+
+  const sendCursor = useCallback(
+    (section, selection = null, label = '') => {
+      if (!enabled) return;
+      const state = cursorSendRef.current;
+      state.pending = {
+        phase: baseRef.current.phase,
+        section: selection ? section : '',
+        anchor: Number(selection?.start || 0),
+        head: Number(selection?.end ?? selection?.start ?? 0),
+        revision: baseRef.current.revisions[section] || 0,
+        label,
+      };
+      const flush = () => {
+        state.timer = null;
+        state.at = Date.now();
+        const body = state.pending;
+        state.pending = null;
+        if (body) roomAction('canvas.cursor', '/canvas/cursor', { body }).catch(() => {});
+      };
+      if (state.timer) return;
+      const wait = CURSOR_THROTTLE_MS - (Date.now() - state.at);
+      if (wait <= 0) flush();
+      else state.timer = setTimeout(flush, wait);
+    },
+    [enabled, roomAction]
+  );
+
+  useEffect(() => {
+    if (!enabled) return;
+    void fetchCanvas();
+  }, [enabled, fetchCanvas, phase]);
+
+  useEffect(() => {
+    if (!dirty || blockedRef.current) return undefined;
+    const id = setTimeout(() => {
+      void save();
+    }, AUTOSAVE_MS);
+    return () => clearTimeout(id);
+  }, [canvas, dirty, save]);
+
+  useEffect(() => {
+    const id = setInterval(publishCursors, 5_000);
+    const cursorSend = cursorSendRef.current;
+    return () => {
+      clearInterval(id);
+      clearTimeout(cursorSend.timer);
+    };
+  }, [publishCursors]);
+
+  return {
+    canvas,
+    dirty,
+    saving,
+    error,
+    remoteCursors,
+    board,
+    uid: currentUid(),
+    fetchCanvas,
+    save,
+    setSection,
+    applyRemoteUpdate,
+    applyRemoteCursor,
+    applyBoardChanges,
+    boardAction,
+    sendCursor,
+  };
+}
@@ -10,13 +10,19 @@ async function getHeaders() {
   return cfg.headers || cfg;
 }
 
+const EMPTY_STATUS = {
+  votingOpen: false,
+  mode: 'single',
+  config: {},
+  options: [],
+  votesReceived: 0,
+  counts: [],
+  results: null,
+  topic: '',
+};
+
 export function useRoomVoting(roomId) {
-  const [status, setStatus] = useState({
-    votingOpen: false,
-    options: [],
-    votesReceived: 0,
-    counts: [],
-  });
+  const [status, setStatus] = useState(EMPTY_STATUS);
   const [loading, setLoading] = useState(false);
   const mountedRef = useRef(true);
 
@@ -43,9 +49,13 @@ export function useRoomVoting(roomId) {
 
       setStatus({
         votingOpen: !!json.votingOpen,
+        mode: json.mode || 'single',
+        config: json.config || {},
         options: Array.isArray(json.options) ? json.options : [],
         votesReceived: Number(json.votesReceived || 0),
         counts: Array.isArray(json.counts) ? json.counts : [],
+        results: json.results || null,
+        topic: json.topic || '',
       });
     } catch (err) {
       if (!mountedRef.current) return;
@@ -54,13 +64,16 @@ export function useRoomVoting(roomId) {
     }
   }, [roomId]);
 
-  const startVoting = useCallback(async () => {
+  // `config` ({ mode, tieBreak, pointsBudget, maxApprovals }) is optional;
+  // fields left out keep the room's previous voting settings.
+  const startVoting = useCallback(async (config = {}) => {
     if (!roomId) return false;
     setLoading(true);
     try {
       const res = await fetch(`${API}/rooms/${roomId}/vote/start`, {
         method: 'POST',
         headers: await getHeaders(),
+        body: JSON.stringify(config),
       });
       if (!res.ok) {
         const j = await res.json().catch(() => ({}));
@@ -76,15 +89,16 @@ export function useRoomVoting(roomId) {
     }
   }, [roomId, fetchStatus]);
 
+  // Accepts a plain option number or a ballot body from ballotBody().
   const submitVote = useCallback(
-    async (choice) => {
+    async (ballot) => {
       if (!roomId) return false;
       setLoading(true);
       try {
         const res = await fetch(`${API}/rooms/${roomId}/vote/submit`, {
           method: 'POST',
           headers: await getHeaders(),
-          body: JSON.stringify({ choice }),
+          body: JSON.stringify(typeof ballot === 'number' ? { choice: ballot } : ballot),
         });
         if (!res.ok) {
           const j = await res.json().catch(() => ({}));
@@ -128,12 +142,7 @@ export function useRoomVoting(roomId) {
   useEffect(() => {
     // If no roomId, reset status to a safe default
     if (!roomId) {
-      setStatus({
-        votingOpen: false,
-        options: [],
-        votesReceived: 0,
-        counts: [],
-      });
+      setStatus(EMPTY_STATUS);
       return;
     }
 
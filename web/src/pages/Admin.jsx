@@ -3,6 +3,41 @@ import { API_BASE, authHeaders, ensureGuest, setAuthSession } from '../api.js';
 import CopilotPanel from '../components/CopilotPanel.jsx';
 import { GaugeCard, MiniBarChart, SparklineCard } from '../components/AnalyticsCharts.jsx';
 import { EmptyState, SkeletonCard } from '../components/LoadingSkeleton.jsx';
+import { receiptModelLine, receiptSourcesLine, receiptUsageLine, shortHash } from '../aiReceipt.js';
+
+const LLM_PROVIDER_OPTIONS = [
+  { value: 'openai', label: 'OpenAI' },
+  { value: 'azure_openai', label: 'Azure OpenAI' },
+  { value: 'anthropic', label: 'Anthropic' },
+  { value: 'local', label: 'Local (OpenAI-compatible)' },
+  { value: 'stub', label: 'Offline stub' },
+];
+
+const AI_POLICY_SCOPE_OPTIONS = [
+  { value: 'ORG', label: 'Organization' },
+  { value: 'LICENSE', label: 'License' },
+  { value: 'SITE', label: 'Single site' },
+];
+
+function policyDraftFrom(policy = {}) {
+  return {
+    tone: policy.tone || 'BALANCED',
+    strictness: policy.strictness || 'MEDIUM',
+    dataUsage: policy.dataUsage || 'NO_TRAINING',
+    provider: policy.provider || 'openai',
+    fallbackProvider: policy.fallbackProvider || '',
+    modelChoice: policy.modelChoice || 'gpt-4.1-mini',
+    piiRedaction: policy.piiRedaction !== false,
+    citationMode: !!policy.citationMode,
+    ageSafeMode: policy.ageSafeMode || 'K12',
+    moderationLevel: policy.moderationLevel || 'STANDARD',
+    blockedTermsText: listToMultiline(policy.blockedTerms || []),
+  };
+}
+
+function lockedAt(fields = {}, scope) {
+  return Object.keys(fields).filter((field) => fields[field]?.lockedBy === scope);
+}
 
 function listToMultiline(values) {
   if (!Array.isArray(values)) return '';
@@ -167,6 +202,8 @@ export default function Admin() {
     tone: 'BALANCED',
     strictness: 'MEDIUM',
     dataUsage: 'NO_TRAINING',
+    provider: 'openai',
+    fallbackProvider: '',
     modelChoice: 'gpt-4.1-mini',
     piiRedaction: true,
     citationMode: false,
@@ -174,6 +211,25 @@ export default function Admin() {
     moderationLevel: 'STANDARD',
     blockedTermsText: '',
   });
+  const [policyScope, setPolicyScope] = useState({ scope: 'ORG', siteId: '' });
+  const [policyFields, setPolicyFields] = useState({});
+  const [policyLocked, setPolicyLocked] = useState([]);
+  const [moderationDecisions, setModerationDecisions] = useState(null);
+  const [receiptRoomId, setReceiptRoomId] = useState('');
+  const [knowledgeDocs, setKnowledgeDocs] = useState(null);
+  const [knowledgeForm, setKnowledgeForm] = useState({ title: '', kind: 'DATA_BRIEF', sourceUrl: '', text: '' });
+  const [knowledgeQuery, setKnowledgeQuery] = useState('');
+  const [knowledgeHits, setKnowledgeHits] = useState(null);
+  const [promptMode, setPromptMode] = useState('HIDDEN_GENIUS');
+  const [promptLibrary, setPromptLibrary] = useState(null);
+  const [promptForm, setPromptForm] = useState({ label: '', assets: '' });
+  const [promptRollout, setPromptRollout] = useState({ baseVersionId: '', candidateVersionId: '', percent: 0 });
+  const [promptEvalForm, setPromptEvalForm] = useState({ roomIds: '', versionA: '', versionB: '', provider: 'stub' });
+  const [promptEval, setPromptEval] = useState(null);
+  const [roomReceipts, setRoomReceipts] = useState(null);
+  const [scimTokens, setScimTokens] = useState(null);
+  const [scimTokenForm, setScimTokenForm] = useState({ label: '', ttlDays: '', approvalId: '' });
+  const [scimIssued, setScimIssued] = useState(null);
   const [retentionDraft, setRetentionDraft] = useState({
     messageRetentionDays: 90,
     draftRetentionDays: 365,
@@ -188,6 +244,12 @@ export default function Admin() {
     description: '',
   });
   const [templateVersionInputs, setTemplateVersionInputs] = useState({});
+  const [aiBudgetDraft, setAiBudgetDraft] = useState({
+    monthlyTokenLimit: 0,
+    monthlyCostLimitCents: 0,
+    warnPercent: 80,
+    hardStop: true,
+  });
   const [billingForm, setBillingForm] = useState({
     amountCents: 0,
     currency: 'USD',
@@ -254,6 +316,10 @@ export default function Admin() {
   const projectedOverageUsd = Number(
     billingSummary?.overage?.projectedAmountUsd || 0
   );
+  const aiUsage = billingSummary?.aiUsage || null;
+  const billingAccount = billingSummary?.account || null;
+  const pricing = billingSummary?.pricing || {};
+  const formatCents = (cents) => `$${(Number(cents || 0) / 100).toFixed(2)}`;
   const outcomeOrg = outcomes?.org || {};
   const outcomeBySite = Array.isArray(outcomes?.bySite) ? outcomes.bySite : [];
   const outcomeTrend = Array.isArray(outcomes?.trendline) ? outcomes.trendline : [];
@@ -331,21 +397,28 @@ export default function Admin() {
     setFlagDraft(effective);
   }, [consoleSnapshot?.featureFlags?.effective]);
 
+  // The console snapshot carries the org-level policy; other scopes are
+  // fetched on demand by loadPolicyScope.
   useEffect(() => {
     const policy = consoleSnapshot?.aiPolicy;
-    if (!policy) return;
-    setPolicyDraft({
-      tone: policy.tone || 'BALANCED',
-      strictness: policy.strictness || 'MEDIUM',
-      dataUsage: policy.dataUsage || 'NO_TRAINING',
-      modelChoice: policy.modelChoice || 'gpt-4.1-mini',
-      piiRedaction: policy.piiRedaction !== false,
-      citationMode: !!policy.citationMode,
-      ageSafeMode: policy.ageSafeMode || 'K12',
-      moderationLevel: policy.moderationLevel || 'STANDARD',
-      blockedTermsText: listToMultiline(policy.blockedTerms || []),
+    if (!policy || policyScope.scope !== 'ORG') return;
+    const fields = consoleSnapshot?.aiPolicyFields || {};
+    setPolicyDraft(policyDraftFrom(policy));
+    setPolicyFields(fields);
+    setPolicyLocked(lockedAt(fields, 'ORG'));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [consoleSnapshot?.aiPolicy, consoleSnapshot?.aiPolicyFields]);
+
+  useEffect(() => {
+    const budget = consoleSnapshot?.billingSummary?.aiUsage?.budget;
+    if (!budget) return;
+    setAiBudgetDraft({
+      monthlyTokenLimit: Number(budget.monthlyTokenLimit || 0),
+      monthlyCostLimitCents: Number(budget.monthlyCostLimitCents || 0),
+      warnPercent: Number(budget.warnPercent || 80),
+      hardStop: budget.hardStop !== false,
     });
-  }, [consoleSnapshot?.aiPolicy]);
+  }, [consoleSnapshot?.billingSummary?.aiUsage?.budget]);
 
   useEffect(() => {
     const workshopSettings = consoleSnapshot?.workshop;
@@ -670,6 +743,275 @@ export default function Admin() {
     }
   }
 
+  async function loadPolicyScope(target = policyScope) {
+    const siteId = String(target.siteId || '').trim().toUpperCase();
+    if (target.scope === 'SITE' && !siteId) return;
+    try {
+      setError('');
+      const query = new URLSearchParams({ scope: target.scope, ...(target.scope === 'SITE' ? { siteId } : {}) });
+      const { data } = await apiRequest(`/admin/policies/ai?${query}`);
+      const fields = data.explain?.fields || {};
+      setPolicyDraft(policyDraftFrom(data.policy || {}));
+      setPolicyFields(fields);
+      setPolicyLocked(Array.isArray(data.locked) ? data.locked : lockedAt(fields, target.scope));
+    } catch (err) {
+      setError(err.message || 'Failed to load AI policy.');
+    }
+  }
+
+  async function loadModerationDecisions() {
+    try {
+      setError('');
+      const { data } = await apiRequest('/admin/moderation/decisions?blocked=1&limit=50');
+      setModerationDecisions(Array.isArray(data.decisions) ? data.decisions : []);
+    } catch (err) {
+      setError(err.message || 'Failed to load moderation decisions.');
+    }
+  }
+
+  async function loadRoomReceipts() {
+    const roomId = receiptRoomId.trim().toUpperCase();
+    if (!roomId) return;
+    try {
+      setError('');
+      const { data } = await apiRequest(`/admin/rooms/${encodeURIComponent(roomId)}/ai-receipts`);
+      setRoomReceipts(Array.isArray(data.receipts) ? data.receipts.slice().reverse() : []);
+    } catch (err) {
+      setError(err.message || 'Failed to load AI receipts.');
+    }
+  }
+
+  async function exportRoomReceipts() {
+    const roomId = receiptRoomId.trim().toUpperCase();
+    if (!roomId) return;
+    try {
+      setError('');
+      const res = await fetch(
+        `${API_BASE}/admin/rooms/${encodeURIComponent(roomId)}/ai-receipts?format=csv`,
+        await authHeaders()
+      );
+      if (!res.ok) throw new Error(`Export failed: ${res.status}`);
+      const url = URL.createObjectURL(new Blob([await res.text()], { type: 'text/csv;charset=utf-8' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `ai-receipts-${roomId}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || 'Failed to export AI receipts.');
+    }
+  }
+
+  async function loadKnowledge() {
+    try {
+      setError('');
+      const { data } = await apiRequest('/admin/knowledge');
+      setKnowledgeDocs(Array.isArray(data.docs) ? data.docs : []);
+    } catch (err) {
+      setError(err.message || 'Failed to load the knowledge library.');
+    }
+  }
+
+  function readKnowledgeFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () =>
+      setKnowledgeForm((p) => ({
+        ...p,
+        title: p.title || file.name.replace(/\.[^.]+$/, ''),
+        text: String(reader.result || ''),
+      }));
+    reader.readAsText(file);
+  }
+
+  async function uploadKnowledge() {
+    try {
+      setSaving(true);
+      setError('');
+      await apiRequest('/admin/knowledge', { method: 'POST', body: knowledgeForm });
+      setKnowledgeForm({ title: '', kind: knowledgeForm.kind, sourceUrl: '', text: '' });
+      setNotice('Added to the knowledge library.');
+      await loadKnowledge();
+    } catch (err) {
+      setError(err.message || 'Failed to add document.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function archiveKnowledge(docId) {
+    try {
+      setError('');
+      await apiRequest(`/admin/knowledge/${encodeURIComponent(docId)}`, { method: 'DELETE' });
+      await loadKnowledge();
+    } catch (err) {
+      setError(err.message || 'Failed to remove document.');
+    }
+  }
+
+  async function previewKnowledge() {
+    const q = knowledgeQuery.trim();
+    if (!q) return;
+    try {
+      setError('');
+      const { data } = await apiRequest(`/admin/knowledge/search?${new URLSearchParams({ q })}`);
+      setKnowledgeHits(Array.isArray(data.passages) ? data.passages : []);
+    } catch (err) {
+      setError(err.message || 'Failed to search the knowledge library.');
+    }
+  }
+
+  async function loadPrompts(mode = promptMode) {
+    try {
+      setError('');
+      const { data } = await apiRequest(`/admin/prompts?${new URLSearchParams({ mode })}`);
+      setPromptLibrary(data);
+      setPromptRollout(data.rollout || { baseVersionId: '', candidateVersionId: '', percent: 0 });
+      setPromptEval(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load prompt versions.');
+    }
+  }
+
+  async function createPromptVersion() {
+    let assets;
+    try {
+      assets = JSON.parse(promptForm.assets || '{}');
+    } catch {
+      setError('Prompt overrides must be valid JSON.');
+      return;
+    }
+    try {
+      setSaving(true);
+      setError('');
+      await apiRequest('/admin/prompts', {
+        method: 'POST',
+        body: { mode: promptMode, label: promptForm.label, assets },
+      });
+      setPromptForm({ label: '', assets: '' });
+      setNotice('Prompt version saved.');
+      await loadPrompts();
+    } catch (err) {
+      setError(err.message || 'Failed to save prompt version.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function savePromptRollout() {
+    try {
+      setSaving(true);
+      setError('');
+      const { data } = await apiRequest('/admin/prompts/rollout', {
+        method: 'PUT',
+        body: { mode: promptMode, rollout: { ...promptRollout, percent: Number(promptRollout.percent || 0) } },
+      });
+      if (data.approvalRequired && data.approval?.approvalId) {
+        setNotice(`Prompt rollout submitted for approval: ${data.approval.approvalId}`);
+      } else {
+        setNotice('Prompt rollout saved.');
+      }
+      await loadPrompts();
+    } catch (err) {
+      setError(err.message || 'Failed to save prompt rollout.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function runPromptEval() {
+    try {
+      setSaving(true);
+      setError('');
+      const { data } = await apiRequest('/admin/prompts/eval', {
+        method: 'POST',
+        body: {
+          ...promptEvalForm,
+          mode: promptMode,
+          roomIds: promptEvalForm.roomIds.split(/[\s,]+/).map((id) => id.trim().toUpperCase()).filter(Boolean),
+        },
+      });
+      setPromptEval(data);
+    } catch (err) {
+      setError(err.message || 'Failed to run prompt eval.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function loadScimTokens() {
+    try {
+      setError('');
+      const { data } = await apiRequest('/admin/policies/scim-tokens');
+      setScimTokens(data);
+    } catch (err) {
+      setError(err.message || 'Failed to load SCIM tokens.');
+    }
+  }
+
+  // The plaintext token comes back once; it stays on screen until dismissed.
+  async function submitScimToken(path, body, action) {
+    try {
+      setSaving(true);
+      setError('');
+      const { data } = await apiRequest(path, { method: 'POST', body });
+      if (data.approvalRequired && data.approval?.approvalId) {
+        setNotice(`SCIM token ${action} submitted for approval: ${data.approval.approvalId}`);
+      } else {
+        setScimIssued({ token: data.token, baseUrl: data.baseUrl, retired: data.retired || null });
+        setScimTokenForm({ label: '', ttlDays: '', approvalId: '' });
+      }
+      await loadScimTokens();
+    } catch (err) {
+      setError(err.message || `Failed to ${action} SCIM token.`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function issueScimToken() {
+    return submitScimToken(
+      '/admin/policies/scim-tokens',
+      {
+        label: scimTokenForm.label,
+        ttlDays: Number(scimTokenForm.ttlDays || 0),
+        ...(scimTokenForm.approvalId.trim() ? { approvalId: scimTokenForm.approvalId.trim() } : {}),
+      },
+      'issue'
+    );
+  }
+
+  function rotateScimToken(tokenId) {
+    return submitScimToken(
+      `/admin/policies/scim-tokens/${encodeURIComponent(tokenId)}/rotate`,
+      scimTokenForm.approvalId.trim() ? { approvalId: scimTokenForm.approvalId.trim() } : {},
+      'rotate'
+    );
+  }
+
+  async function revokeScimToken(tokenId) {
+    try {
+      setError('');
+      await apiRequest(`/admin/policies/scim-tokens/${encodeURIComponent(tokenId)}`, { method: 'DELETE' });
+      setNotice('SCIM token revoked.');
+      await loadScimTokens();
+    } catch (err) {
+      setError(err.message || 'Failed to revoke SCIM token.');
+    }
+  }
+
+  // Locked by a scope above the one being edited.
+  function policyFieldLocked(field) {
+    const info = policyFields[field];
+    return !!info?.locked && info.lockedBy !== policyScope.scope;
+  }
+
+  function togglePolicyLock(field, on) {
+    setPolicyLocked((prev) => (on ? [...new Set([...prev, field])] : prev.filter((f) => f !== field)));
+  }
+
   async function savePolicy() {
     try {
       setSaving(true);
@@ -681,7 +1023,10 @@ export default function Admin() {
       const { data } = await apiRequest('/admin/policies/ai', {
         method: 'PUT',
         body: {
+          scope: policyScope.scope,
+          siteId: policyScope.scope === 'SITE' ? policyScope.siteId.trim().toUpperCase() : '',
           policy: policyPayload,
+          locked: policyLocked,
         },
       });
       if (data.approvalRequired && data.approval?.approvalId) {
@@ -690,6 +1035,7 @@ export default function Admin() {
         setNotice('AI policy saved.');
       }
       await loadConsole();
+      if (policyScope.scope !== 'ORG') await loadPolicyScope();
     } catch (err) {
       setError(err.message || 'Failed to save AI policy.');
     } finally {
@@ -697,6 +1043,32 @@ export default function Admin() {
     }
   }
 
+  async function saveAiBudget() {
+    try {
+      setSaving(true);
+      setError('');
+      const { data } = await apiRequest('/admin/policies/ai-budget', {
+        method: 'PUT',
+        body: {
+          monthlyTokenLimit: Number(aiBudgetDraft.monthlyTokenLimit || 0),
+          monthlyCostLimitCents: Number(aiBudgetDraft.monthlyCostLimitCents || 0),
+          warnPercent: Number(aiBudgetDraft.warnPercent || 80),
+          hardStop: !!aiBudgetDraft.hardStop,
+        },
+      });
+      if (data.approvalRequired && data.approval?.approvalId) {
+        setNotice(`AI budget change submitted for approval: ${data.approval.approvalId}`);
+      } else {
+        setNotice('AI budget saved.');
+      }
+      await loadConsole();
+    } catch (err) {
+      setError(err.message || 'Failed to save AI budget.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
   async function saveRetention() {
     try {
       setSaving(true);
@@ -1613,50 +1985,386 @@ export default function Admin() {
               <div>
                 <div style={{ fontWeight: 600, marginBottom: 8 }}>AI Policy</div>
                 <div style={{ display: 'grid', gap: 8 }}>
-                  <select className="select" value={policyDraft.tone} onChange={(e) => setPolicyDraft((p) => ({ ...p, tone: e.target.value }))}>
+                  <div className="row" style={{ gap: 6 }}>
+                    <select
+                      className="select"
+                      value={policyScope.scope}
+                      onChange={(e) => {
+                        const next = { ...policyScope, scope: e.target.value };
+                        setPolicyScope(next);
+                        if (next.scope === 'ORG') loadConsole();
+                        else loadPolicyScope(next);
+                      }}
+                      aria-label="Policy scope"
+                    >
+                      {AI_POLICY_SCOPE_OPTIONS.map((opt) => (
+                        <option key={opt.value} value={opt.value}>{opt.label}</option>
+                      ))}
+                    </select>
+                    {policyScope.scope === 'SITE' ? (
+                      <>
+                        <input
+                          className="input"
+                          value={policyScope.siteId}
+                          onChange={(e) => setPolicyScope((p) => ({ ...p, siteId: e.target.value }))}
+                          placeholder="Site ID"
+                          style={{ maxWidth: 100 }}
+                        />
+                        <button className="btn ghost" onClick={() => loadPolicyScope()} disabled={!policyScope.siteId.trim()}>
+                          Load
+                        </button>
+                      </>
+                    ) : null}
+                  </div>
+                  <select className="select" disabled={policyFieldLocked('tone')} value={policyDraft.tone} onChange={(e) => setPolicyDraft((p) => ({ ...p, tone: e.target.value }))}>
                     <option value="SOFT">SOFT</option>
                     <option value="BALANCED">BALANCED</option>
                     <option value="DIRECT">DIRECT</option>
                     <option value="COACH">COACH</option>
                   </select>
-                  <select className="select" value={policyDraft.strictness} onChange={(e) => setPolicyDraft((p) => ({ ...p, strictness: e.target.value }))}>
+                  <select className="select" disabled={policyFieldLocked('strictness')} value={policyDraft.strictness} onChange={(e) => setPolicyDraft((p) => ({ ...p, strictness: e.target.value }))}>
                     <option value="LOW">LOW</option>
                     <option value="MEDIUM">MEDIUM</option>
                     <option value="HIGH">HIGH</option>
                   </select>
-                  <select className="select" value={policyDraft.dataUsage} onChange={(e) => setPolicyDraft((p) => ({ ...p, dataUsage: e.target.value }))}>
+                  <select className="select" disabled={policyFieldLocked('dataUsage')} value={policyDraft.dataUsage} onChange={(e) => setPolicyDraft((p) => ({ ...p, dataUsage: e.target.value }))}>
                     <option value="NO_TRAINING">NO_TRAINING</option>
                     <option value="ANONYMIZED">ANONYMIZED</option>
                     <option value="ANALYTICS_ONLY">ANALYTICS_ONLY</option>
                   </select>
-                  <select className="select" value={policyDraft.ageSafeMode} onChange={(e) => setPolicyDraft((p) => ({ ...p, ageSafeMode: e.target.value }))}>
+                  <select className="select" disabled={policyFieldLocked('ageSafeMode')} value={policyDraft.ageSafeMode} onChange={(e) => setPolicyDraft((p) => ({ ...p, ageSafeMode: e.target.value }))}>
                     <option value="K12">K12</option>
                     <option value="TEEN">TEEN</option>
                     <option value="ADULT">ADULT</option>
                     <option value="OFF">OFF</option>
                   </select>
-                  <select className="select" value={policyDraft.moderationLevel} onChange={(e) => setPolicyDraft((p) => ({ ...p, moderationLevel: e.target.value }))}>
+                  <select className="select" disabled={policyFieldLocked('moderationLevel')} value={policyDraft.moderationLevel} onChange={(e) => setPolicyDraft((p) => ({ ...p, moderationLevel: e.target.value }))}>
                     <option value="STANDARD">STANDARD</option>
                     <option value="STRICT">STRICT</option>
                     <option value="OFF">OFF</option>
                   </select>
-                  <input className="input" value={policyDraft.modelChoice} onChange={(e) => setPolicyDraft((p) => ({ ...p, modelChoice: e.target.value }))} placeholder="Model choice" />
+                  <select
+                    className="select"
+                    disabled={policyFieldLocked('provider')}
+                    value={policyDraft.provider}
+                    onChange={(e) => {
+                      const provider = e.target.value;
+                      // Model names are provider-specific, so start from the new provider's default.
+                      const model = consoleSnapshot?.aiProviders?.[provider]?.model || '';
+                      setPolicyDraft((p) => ({ ...p, provider, modelChoice: model }));
+                    }}
+                    aria-label="Model provider"
+                  >
+                    {LLM_PROVIDER_OPTIONS.map((opt) => (
+                      <option key={opt.value} value={opt.value}>
+                        {opt.label}
+                        {consoleSnapshot?.aiProviders?.[opt.value]?.configured === false ? ' (not configured)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                  <input className="input" disabled={policyFieldLocked('modelChoice')} value={policyDraft.modelChoice} onChange={(e) => setPolicyDraft((p) => ({ ...p, modelChoice: e.target.value }))} placeholder="Model choice" />
+                  <select
+                    className="select"
+                    disabled={policyFieldLocked('fallbackProvider')}
+                    value={policyDraft.fallbackProvider}
+                    onChange={(e) => setPolicyDraft((p) => ({ ...p, fallbackProvider: e.target.value }))}
+                    aria-label="Fallback provider"
+                  >
+                    <option value="">No fallback provider</option>
+                    {LLM_PROVIDER_OPTIONS.filter((opt) => opt.value !== policyDraft.provider).map((opt) => (
+                      <option key={opt.value} value={opt.value}>
+                        Fallback: {opt.label}
+                      </option>
+                    ))}
+                  </select>
                   <label className="row">
-                    <input type="checkbox" checked={!!policyDraft.piiRedaction} onChange={(e) => setPolicyDraft((p) => ({ ...p, piiRedaction: e.target.checked }))} />
+                    <input type="checkbox" disabled={policyFieldLocked('piiRedaction')} checked={!!policyDraft.piiRedaction} onChange={(e) => setPolicyDraft((p) => ({ ...p, piiRedaction: e.target.checked }))} />
                     PII redaction
                   </label>
                   <label className="row">
-                    <input type="checkbox" checked={!!policyDraft.citationMode} onChange={(e) => setPolicyDraft((p) => ({ ...p, citationMode: e.target.checked }))} />
+                    <input type="checkbox" disabled={policyFieldLocked('citationMode')} checked={!!policyDraft.citationMode} onChange={(e) => setPolicyDraft((p) => ({ ...p, citationMode: e.target.checked }))} />
                     Citation mode
                   </label>
                   <textarea
                     className="input"
                     rows={3}
+                    disabled={policyFieldLocked('blockedTerms')}
                     value={policyDraft.blockedTermsText}
                     onChange={(e) => setPolicyDraft((p) => ({ ...p, blockedTermsText: e.target.value }))}
                     placeholder="Blocked terms (one per line)"
                   />
+                  {Object.keys(policyFields).length ? (
+                    <details>
+                      <summary style={{ fontSize: 12 }}>Where each setting comes from</summary>
+                      <div style={{ display: 'grid', gap: 4, fontSize: 12, marginTop: 6 }}>
+                        {Object.entries(policyFields).map(([field, info]) => (
+                          <label key={field} className="row" style={{ gap: 6 }}>
+                            {policyScope.scope !== 'SITE' ? (
+                              <input
+                                type="checkbox"
+                                checked={policyLocked.includes(field)}
+                                disabled={policyFieldLocked(field)}
+                                onChange={(e) => togglePolicyLock(field, e.target.checked)}
+                                aria-label={`Lock ${field} for lower scopes`}
+                              />
+                            ) : null}
+                            <b>{field}</b>
+                            <span style={{ color: 'var(--ink-muted)' }}>
+                              {info.scope === 'DEFAULT' ? 'default' : `from ${info.scope}`}
+                              {info.lockedBy ? ` · locked by ${info.lockedBy}` : ''}
+                            </span>
+                          </label>
+                        ))}
+                      </div>
+                      {policyScope.scope !== 'SITE' ? (
+                        <div style={{ fontSize: 12, color: 'var(--ink-muted)', marginTop: 4 }}>
+                          Checked settings can't be changed by lower scopes.
+                        </div>
+                      ) : null}
+                    </details>
+                  ) : null}
                   <button className="btn" onClick={savePolicy} disabled={saving || busy}>Save AI Policy</button>
+                  <button className="btn ghost" onClick={loadModerationDecisions} disabled={busy}>
+                    Review blocked content
+                  </button>
+                  {moderationDecisions ? (
+                    <div style={{ display: 'grid', gap: 6, fontSize: 12 }}>
+                      {moderationDecisions.map((d, idx) => (
+                        <div key={`${d.createdAt}-${idx}`} className="hud-pill">
+                          <div>
+                            <b>{d.direction === 'output' ? 'AI output' : 'Input'}</b> · {d.roomId || 'no room'} ·{' '}
+                            {d.createdAt ? new Date(d.createdAt).toLocaleString() : '—'}
+                          </div>
+                          <div>{(d.flags || []).join(', ') || 'blocked'} · {d.stage} ({d.classifier})</div>
+                          {d.excerpt ? <div style={{ color: 'var(--ink-muted)' }}>{d.excerpt}</div> : null}
+                        </div>
+                      ))}
+                      {!moderationDecisions.length ? (
+                        <div style={{ color: 'var(--ink-muted)' }}>Nothing blocked recently.</div>
+                      ) : null}
+                    </div>
+                  ) : null}
+                  <div style={{ fontWeight: 600, marginTop: 8 }}>AI receipts</div>
+                  <div className="row" style={{ gap: 6 }}>
+                    <input
+                      className="input"
+                      value={receiptRoomId}
+                      onChange={(e) => setReceiptRoomId(e.target.value)}
+                      placeholder="Room ID (e.g. E1-R1)"
+                      aria-label="Room ID for AI receipts"
+                    />
+                    <button className="btn ghost" onClick={loadRoomReceipts} disabled={busy || !receiptRoomId.trim()}>
+                      View
+                    </button>
+                    <button className="btn ghost" onClick={exportRoomReceipts} disabled={busy || !receiptRoomId.trim()}>
+                      Export CSV
+                    </button>
+                  </div>
+                  {roomReceipts ? (
+                    <div style={{ display: 'grid', gap: 6, fontSize: 12 }}>
+                      {roomReceipts.map((item, idx) => {
+                        const receipt = item.aiReceipt || {};
+                        return (
+                          <div key={`${item.createdAt}-${idx}`} className="hud-pill">
+                            <div>
+                              <b>{receipt.stage || '—'}</b> · {receipt.source || 'ai'} ·{' '}
+                              {item.createdAt ? new Date(item.createdAt).toLocaleString() : '—'}
+                            </div>
+                            <div>{receiptModelLine(receipt) || 'No model call'}</div>
+                            {receiptUsageLine(receipt) ? <div>{receiptUsageLine(receipt)}</div> : null}
+                            {receiptSourcesLine(receipt) ? <div>{receiptSourcesLine(receipt)}</div> : null}
+                            {receipt.hashes ? (
+                              <div style={{ color: 'var(--ink-muted)' }} title={receipt.hashes.systemPrompt}>
+                                system {shortHash(receipt.hashes.systemPrompt)} · response {shortHash(receipt.hashes.response)}
+                              </div>
+                            ) : null}
+                          </div>
+                        );
+                      })}
+                      {!roomReceipts.length ? (
+                        <div style={{ color: 'var(--ink-muted)' }}>No AI replies in this room yet.</div>
+                      ) : null}
+                    </div>
+                  ) : null}
+                  <div style={{ fontWeight: 600, marginTop: 8 }}>Knowledge library</div>
+                  <div style={{ fontSize: 12, color: 'var(--ink-muted)' }}>
+                    Data briefs, style guides and lesson plans Asema can quote and cite as [1], [2]…
+                  </div>
+                  <div style={{ display: 'grid', gap: 6 }}>
+                    <div className="row" style={{ gap: 6 }}>
+                      <input className="input" value={knowledgeForm.title} onChange={(e) => setKnowledgeForm((p) => ({ ...p, title: e.target.value }))} placeholder="Title" />
+                      <select className="select" value={knowledgeForm.kind} onChange={(e) => setKnowledgeForm((p) => ({ ...p, kind: e.target.value }))}>
+                        <option value="DATA_BRIEF">Data brief</option>
+                        <option value="STYLE_GUIDE">Style guide</option>
+                        <option value="LESSON_PLAN">Lesson plan</option>
+                        <option value="REFERENCE">Reference</option>
+                      </select>
+                    </div>
+                    <input className="input" value={knowledgeForm.sourceUrl} onChange={(e) => setKnowledgeForm((p) => ({ ...p, sourceUrl: e.target.value }))} placeholder="Source URL (optional)" />
+                    <textarea className="input" rows={4} value={knowledgeForm.text} onChange={(e) => setKnowledgeForm((p) => ({ ...p, text: e.target.value }))} placeholder="Paste text, or load a .txt / .md file" />
+                    <div className="row" style={{ gap: 6 }}>
+                      <input type="file" accept=".txt,.md,text/plain,text/markdown" onChange={(e) => readKnowledgeFile(e.target.files?.[0])} aria-label="Load a text file" />
+                      <button className="btn" onClick={uploadKnowledge} disabled={saving || busy || !knowledgeForm.title.trim() || !knowledgeForm.text.trim()}>
+                        Add to library
+                      </button>
+                      <button className="btn ghost" onClick={loadKnowledge} disabled={busy}>
+                        {knowledgeDocs ? 'Refresh' : 'Show library'}
+                      </button>
+                    </div>
+                  </div>
+                  {knowledgeDocs ? (
+                    <div style={{ display: 'grid', gap: 6, fontSize: 12 }}>
+                      {knowledgeDocs.map((doc) => (
+                        <div key={doc.docId} className="hud-pill row" style={{ justifyContent: 'space-between' }}>
+                          <span>
+                            <b>{doc.title}</b> · {doc.kind} · {doc.chunkCount} passages
+                          </span>
+                          <button className="btn ghost" onClick={() => archiveKnowledge(doc.docId)} disabled={busy}>
+                            Remove
+                          </button>
+                        </div>
+                      ))}
+                      {!knowledgeDocs.length ? (
+                        <div style={{ color: 'var(--ink-muted)' }}>The library is empty.</div>
+                      ) : null}
+                    </div>
+                  ) : null}
+                  <div className="row" style={{ gap: 6 }}>
+                    <input
+                      className="input"
+                      value={knowledgeQuery}
+                      onChange={(e) => setKnowledgeQuery(e.target.value)}
+                      placeholder="Try a question a student might ask"
+                      aria-label="Knowledge library search"
+                    />
+                    <button className="btn ghost" onClick={previewKnowledge} disabled={busy || !knowledgeQuery.trim()}>
+                      Preview retrieval
+                    </button>
+                  </div>
+                  {knowledgeHits ? (
+                    <div style={{ display: 'grid', gap: 6, fontSize: 12 }}>
+                      {knowledgeHits.map((hit, idx) => (
+                        <div key={`${hit.docId}-${hit.chunkIndex}`} className="hud-pill">
+                          <div><b>[{idx + 1}] {hit.title}</b> · score {hit.score}</div>
+                          <div style={{ color: 'var(--ink-muted)' }}>{hit.text}</div>
+                        </div>
+                      ))}
+                      {!knowledgeHits.length ? (
+                        <div style={{ color: 'var(--ink-muted)' }}>No passages match.</div>
+                      ) : null}
+                    </div>
+                  ) : null}
+                  <div style={{ fontWeight: 600, marginTop: 8 }}>Prompt versions</div>
+                  <div style={{ fontSize: 12, color: 'var(--ink-muted)' }}>
+                    Override Asema&apos;s persona, stage hints or board/draft prompts per workshop mode, roll a candidate out to a share of rooms, and A/B it on past transcripts first.
+                  </div>
+                  <div className="row" style={{ gap: 6 }}>
+                    <select
+                      className="select"
+                      value={promptMode}
+                      onChange={(e) => {
+                        setPromptMode(e.target.value);
+                        if (promptLibrary) loadPrompts(e.target.value);
+                      }}
+                      aria-label="Workshop mode"
+                    >
+                      {(promptLibrary?.modes || ['HIDDEN_GENIUS', 'CREATIVE_WRITING', 'PROJECT_IDEATION', 'RESTORATIVE_CIRCLE']).map((mode) => (
+                        <option key={mode} value={mode}>{mode}</option>
+                      ))}
+                    </select>
+                    <button className="btn ghost" onClick={() => loadPrompts()} disabled={busy}>
+                      {promptLibrary ? 'Refresh' : 'Show versions'}
+                    </button>
+                  </div>
+                  {promptLibrary ? (
+                    <div style={{ display: 'grid', gap: 6, fontSize: 12 }}>
+                      <div className="hud-pill">
+                        <b>Built-in</b> · {promptLibrary.defaultsHash}
+                      </div>
+                      {promptLibrary.versions.map((version) => (
+                        <div key={version.versionId} className="hud-pill">
+                          <b>{version.label}</b> · {version.versionId} · {version.hash} · overrides {version.assetKeys.join(', ')}
+                        </div>
+                      ))}
+                      <input className="input" value={promptForm.label} onChange={(e) => setPromptForm((p) => ({ ...p, label: e.target.value }))} placeholder="Version label" />
+                      <textarea
+                        className="input"
+                        rows={4}
+                        value={promptForm.assets}
+                        onChange={(e) => setPromptForm((p) => ({ ...p, assets: e.target.value }))}
+                        placeholder='{"stageHints": {"DISCOVERY": "Ask for one real moment."}}'
+                        aria-label="Prompt overrides (JSON)"
+                      />
+                      <button className="btn" onClick={createPromptVersion} disabled={saving || busy || !promptForm.assets.trim()}>
+                        Save version
+                      </button>
+                      <div className="row" style={{ gap: 6 }}>
+                        {['baseVersionId', 'candidateVersionId'].map((key) => (
+                          <select
+                            key={key}
+                            className="select"
+                            value={promptRollout[key] || ''}
+                            onChange={(e) => setPromptRollout((p) => ({ ...p, [key]: e.target.value }))}
+                            aria-label={key === 'baseVersionId' ? 'Base version' : 'Candidate version'}
+                          >
+                            <option value="">{key === 'baseVersionId' ? 'Base: built-in' : 'No candidate'}</option>
+                            {promptLibrary.versions.map((version) => (
+                              <option key={version.versionId} value={version.versionId}>{version.label}</option>
+                            ))}
+                          </select>
+                        ))}
+                        <input
+                          className="input"
+                          type="number"
+                          min={0}
+                          max={100}
+                          value={promptRollout.percent}
+                          onChange={(e) => setPromptRollout((p) => ({ ...p, percent: e.target.value }))}
+                          aria-label="Candidate percent of rooms"
+                          style={{ maxWidth: 90 }}
+                        />
+                        <button className="btn" onClick={savePromptRollout} disabled={saving || busy}>
+                          Save rollout
+                        </button>
+                      </div>
+                      <div className="row" style={{ gap: 6 }}>
+                        <input className="input" value={promptEvalForm.roomIds} onChange={(e) => setPromptEvalForm((p) => ({ ...p, roomIds: e.target.value }))} placeholder="Room IDs to replay" />
+                        {['versionA', 'versionB'].map((key) => (
+                          <select
+                            key={key}
+                            className="select"
+                            value={promptEvalForm[key]}
+                            onChange={(e) => setPromptEvalForm((p) => ({ ...p, [key]: e.target.value }))}
+                            aria-label={key === 'versionA' ? 'Version A' : 'Version B'}
+                          >
+                            <option value="">{key === 'versionA' ? 'A' : 'B'}: built-in</option>
+                            {promptLibrary.versions.map((version) => (
+                              <option key={version.versionId} value={version.versionId}>{version.label}</option>
+                            ))}
+                          </select>
+                        ))}
+                        <select className="select" value={promptEvalForm.provider} onChange={(e) => setPromptEvalForm((p) => ({ ...p, provider: e.target.value }))} aria-label="Eval model">
+                          <option value="stub">Stub (free)</option>
+                          <option value="policy">Org model (metered)</option>
+                        </select>
+                        <button className="btn ghost" onClick={runPromptEval} disabled={saving || busy || !promptEvalForm.roomIds.trim()}>
+                          Run A/B
+                        </button>
+                      </div>
+                      {promptEval ? (
+                        <div className="hud-pill">
+                          {['A', 'B'].map((arm) => (
+                            <div key={arm}>
+                              <b>{arm}</b> · score {promptEval.summary[arm].score} · length {promptEval.summary[arm].length} · stage {promptEval.summary[arm].stageAdherence} · flagged {promptEval.summary[arm].flagged} · errors {promptEval.summary[arm].errors}
+                            </div>
+                          ))}
+                          <div style={{ color: 'var(--ink-muted)' }}>
+                            {promptEval.results.length} cases · A wins {promptEval.wins.A} · B wins {promptEval.wins.B} · ties {promptEval.wins.tie}
+                          </div>
+                        </div>
+                      ) : null}
+                    </div>
+                  ) : null}
                 </div>
               </div>
             </div>
@@ -1730,6 +2438,68 @@ export default function Admin() {
             </div>
           )}
 
+          <div className="mt16" style={{ borderTop: '1px solid rgba(148,163,184,.3)', paddingTop: 14 }}>
+            <div style={{ fontWeight: 700, marginBottom: 8 }}>Directory Sync (SCIM)</div>
+            <div style={{ fontSize: 12, color: 'var(--ink-muted)', marginBottom: 8 }}>
+              Bearer tokens your identity provider uses to provision users and groups into this organization only.
+              Rotating keeps the old token working for an overlap window while you update the IdP.
+            </div>
+            <div className="row wrap" style={{ marginBottom: 8 }}>
+              <input className="input" value={scimTokenForm.label} onChange={(e) => setScimTokenForm((p) => ({ ...p, label: e.target.value }))} placeholder="Label (e.g. Okta production)" />
+              <input className="input" type="number" min="0" value={scimTokenForm.ttlDays} onChange={(e) => setScimTokenForm((p) => ({ ...p, ttlDays: e.target.value }))} placeholder="Expires in days (0 = never)" />
+              <input className="input" value={scimTokenForm.approvalId} onChange={(e) => setScimTokenForm((p) => ({ ...p, approvalId: e.target.value }))} placeholder="Approval ID (once approved)" />
+              <button className="btn" onClick={issueScimToken} disabled={saving || busy}>Issue Token</button>
+              <button className="btn ghost" onClick={loadScimTokens} disabled={busy}>
+                {scimTokens ? 'Refresh' : 'Show tokens'}
+              </button>
+            </div>
+            {scimIssued ? (
+              <div className="hud-pill" style={{ display: 'grid', gap: 4, fontSize: 12, marginBottom: 8 }}>
+                <div>Copy this token now; it will not be shown again.</div>
+                <code style={{ wordBreak: 'break-all' }}>{scimIssued.token}</code>
+                <div>SCIM base URL: <code>{scimIssued.baseUrl}</code></div>
+                {scimIssued.retired?.expiresAt ? (
+                  <div>The previous token stops working {new Date(scimIssued.retired.expiresAt).toLocaleString()}.</div>
+                ) : null}
+                <button className="btn ghost" onClick={() => setScimIssued(null)}>Done</button>
+              </div>
+            ) : null}
+            {scimTokens ? (
+              <div style={{ display: 'grid', gap: 6, fontSize: 12 }}>
+                {scimTokens.legacyTokenConfigured ? (
+                  <div style={{ color: 'var(--ink-muted)' }}>
+                    A shared SCIM_BEARER_TOKEN is still configured on the server; move your IdP to an issued token.
+                  </div>
+                ) : null}
+                {(scimTokens.tokens || []).map((token) => (
+                  <div key={token.tokenId} className="hud-pill row" style={{ justifyContent: 'space-between' }}>
+                    <span>
+                      <b>{token.label || token.hint}</b> · {token.status} · created{' '}
+                      {token.createdAt ? new Date(token.createdAt).toLocaleDateString() : '—'} · last used{' '}
+                      {token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'never'}
+                      {token.expiresAt ? ` · expires ${new Date(token.expiresAt).toLocaleString()}` : ''}
+                    </span>
+                    {token.status === 'ACTIVE' || token.status === 'ROTATING' ? (
+                      <span className="row" style={{ gap: 6 }}>
+                        {token.status === 'ACTIVE' ? (
+                          <button className="btn ghost" onClick={() => rotateScimToken(token.tokenId)} disabled={saving || busy}>
+                            Rotate
+                          </button>
+                        ) : null}
+                        <button className="btn ghost" onClick={() => revokeScimToken(token.tokenId)} disabled={busy}>
+                          Revoke
+                        </button>
+                      </span>
+                    ) : null}
+                  </div>
+                ))}
+                {!(scimTokens.tokens || []).length ? (
+                  <div style={{ color: 'var(--ink-muted)' }}>No SCIM tokens issued yet.</div>
+                ) : null}
+              </div>
+            ) : null}
+          </div>
+
           <div className="mt16" style={{ borderTop: '1px solid rgba(148,163,184,.3)', paddingTop: 14 }}>
             <div style={{ fontWeight: 700, marginBottom: 8 }}>Billing, Entitlements, and Support</div>
             <div className="row wrap" style={{ fontSize: 12, color: 'var(--ink-muted)', marginBottom: 8 }}>
@@ -1740,6 +2510,44 @@ export default function Admin() {
               <span>Overage Policy: <b>{billingSummary?.entitlements?.overagePolicy || license.overagePolicy || 'NOTIFY_ONLY'}</b></span>
               <span>Projected Overage: <b>${projectedOverageUsd.toFixed(2)}</b></span>
             </div>
+            {billingAccount?.state === 'PAST_DUE' ? (
+              <div className="row wrap" style={{ fontSize: 12, color: 'var(--tone-persimmon)', marginBottom: 8 }}>
+                <span>Payment past due: <b>{Number(billingAccount.daysPastDue || 0)}</b> day(s)</span>
+                <span>Failed attempts: <b>{Number(billingAccount.failedAttempts || 0)}</b></span>
+                <span>
+                  Access suspends: <b>{billingAccount.graceEndsAt ? new Date(billingAccount.graceEndsAt).toLocaleDateString() : '—'}</b>
+                </span>
+              </div>
+            ) : null}
+            {Array.isArray(pricing.lines) && pricing.lines.length ? (
+              <div style={{ fontSize: 12, marginBottom: 10 }}>
+                <div style={{ fontWeight: 600, marginBottom: 4 }}>This period ({pricing.currency || 'USD'})</div>
+                {pricing.lines.map((line) => (
+                  <div key={line.code} className="row" style={{ justifyContent: 'space-between', maxWidth: 420 }}>
+                    <span>
+                      {line.label}
+                      {line.code !== 'BASE' ? ` · ${Number(line.billableUnits || 0)} billable of ${Number(line.quantity || 0)}` : ''}
+                    </span>
+                    <b>{formatCents(line.amountCents)}</b>
+                  </div>
+                ))}
+                {(pricing.discounts || []).concat(pricing.credits || []).map((row) => (
+                  <div key={row.id} className="row" style={{ justifyContent: 'space-between', maxWidth: 420, color: 'var(--tone-leaf)' }}>
+                    <span>{row.label || row.id}</span>
+                    <b>-{formatCents(row.amountCents)}</b>
+                  </div>
+                ))}
+                <div className="row" style={{ justifyContent: 'space-between', maxWidth: 420, borderTop: '1px solid rgba(148,163,184,.3)', marginTop: 4, paddingTop: 4 }}>
+                  <span>
+                    Projected total
+                    {Array.isArray(pricing.segments) && pricing.segments.length > 1
+                      ? ` (prorated: ${pricing.segments.map((segment) => segment.tier).join(' → ')})`
+                      : ''}
+                  </span>
+                  <b>{formatCents(pricing.totalCents)}</b>
+                </div>
+              </div>
+            ) : null}
             <div className="row wrap" style={{ marginBottom: 10 }}>
               <button className="btn" onClick={runBillingCycleNow} disabled={saving || busy}>
                 {saving ? 'Running cycle…' : 'Run Billing Cycle'}
@@ -1756,6 +2564,38 @@ export default function Admin() {
                 AI {Number(billingSummary?.usage?.unitComponents?.aiCostUnits || 0)}
               </span>
             </div>
+            <div style={{ marginBottom: 10 }}>
+              <div style={{ fontWeight: 600 }}>AI budget</div>
+              <div className="row wrap" style={{ fontSize: 12, color: 'var(--ink-muted)', marginBottom: 6 }}>
+                <span>This month: <b>{Number(aiUsage?.totalTokens || 0).toLocaleString()}</b> tokens</span>
+                <span>Cost: <b>${(Number(aiUsage?.costCents || 0) / 100).toFixed(2)}</b></span>
+                <span>Calls: <b>{Number(aiUsage?.calls || 0)}</b></span>
+                <span>
+                  State: <b>{aiUsage?.state || 'UNLIMITED'}</b>
+                  {aiUsage?.state && aiUsage.state !== 'UNLIMITED' ? ` (${Number(aiUsage.percentUsed || 0)}%)` : ''}
+                </span>
+              </div>
+              <div className="row wrap">
+                <label style={{ fontSize: 12 }}>
+                  Token limit
+                  <input className="input" type="number" min="0" value={aiBudgetDraft.monthlyTokenLimit} onChange={(e) => setAiBudgetDraft((p) => ({ ...p, monthlyTokenLimit: e.target.value }))} />
+                </label>
+                <label style={{ fontSize: 12 }}>
+                  Cost limit (cents)
+                  <input className="input" type="number" min="0" value={aiBudgetDraft.monthlyCostLimitCents} onChange={(e) => setAiBudgetDraft((p) => ({ ...p, monthlyCostLimitCents: e.target.value }))} />
+                </label>
+                <label style={{ fontSize: 12 }}>
+                  Warn at %
+                  <input className="input" type="number" min="1" max="100" value={aiBudgetDraft.warnPercent} onChange={(e) => setAiBudgetDraft((p) => ({ ...p, warnPercent: e.target.value }))} />
+                </label>
+                <label className="row" style={{ fontSize: 12 }}>
+                  <input type="checkbox" checked={aiBudgetDraft.hardStop} onChange={(e) => setAiBudgetDraft((p) => ({ ...p, hardStop: e.target.checked }))} />
+                  Pause Asema when exceeded
+                </label>
+                <button className="btn" onClick={saveAiBudget} disabled={saving || busy}>Save AI Budget</button>
+              </div>
+              <div style={{ fontSize: 11, color: 'var(--ink-muted)', marginTop: 4 }}>0 means no limit.</div>
+            </div>
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 14 }}>
               <div>
                 <div style={{ fontWeight: 600 }}>Billing</div>
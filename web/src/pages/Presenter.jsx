@@ -144,6 +144,8 @@ export default function Presenter() {
   const [notice, setNotice] = useState('');
   const [authReady, setAuthReady] = useState(false);
   const [voteRefreshSeq, setVoteRefreshSeq] = useState(0);
+  const [galleryBallotSeq, setGalleryBallotSeq] = useState(0);
+  const galleryBallotKeyRef = useRef('');
   const [viewMode, setViewMode] = useState(() => localStorage.getItem('presenter_view_mode') || 'control');
   const [autopilotConfig, setAutopilotConfig] = useState({
     enabled: false,
@@ -741,6 +743,15 @@ export default function Presenter() {
       try {
         payload = JSON.parse(String(event?.data || '{}'));
       } catch {}
+      if (payload?.event === 'gallery_ballot') {
+        // Sent once per room on the site; refresh the HUD once per change.
+        const key = `${payload.ballotId}:${payload.updatedAt}`;
+        if (galleryBallotKeyRef.current !== key) {
+          galleryBallotKeyRef.current = key;
+          setGalleryBallotSeq((n) => n + 1);
+        }
+        return;
+      }
       if (payload?.roomId && payload?.event === 'vote_update') {
         pushAlert({
           severity: 'warn',
@@ -763,16 +774,27 @@ export default function Presenter() {
         sse: { ok: true, error: '' },
       }));
     };
-    const onReady = () => {
+    const onReady = (event) => {
+      let payload = {};
+      try {
+        payload = JSON.parse(String(event?.data || '{}'));
+      } catch {}
       setHealthStatus((prev) => ({
         ...prev,
         sse: { ok: true, error: '' },
       }));
+      if (!payload?.resumed) loadRooms();
+    };
+    const onResync = () => {
       loadRooms();
+      if (galleryOpen) loadGallery();
+      setVoteRefreshSeq((n) => n + 1);
+      setGalleryBallotSeq((n) => n + 1);
     };
 
     es.addEventListener('room_update', onRoomUpdate);
     es.addEventListener('ready', onReady);
+    es.addEventListener('resync_required', onResync);
     es.onerror = () => {
       // Browser EventSource auto-reconnects.
       setHealthStatus((prev) => ({
@@ -784,6 +806,7 @@ export default function Presenter() {
     return () => {
       es.removeEventListener('room_update', onRoomUpdate);
       es.removeEventListener('ready', onReady);
+      es.removeEventListener('resync_required', onResync);
       es.close();
     };
   }, [canFetch, authReady, galleryOpen, loadGallery, loadRooms, pushAlert, siteId]);
@@ -1765,6 +1788,16 @@ export default function Presenter() {
                 )}
 
                   <section className="room-card-controls">
+                  {r.extensionRequest ? (
+                    <div className="room-card-row" style={{ fontSize: 12 }}>
+                      <span>
+                        ⏱️ Asema asks for +{r.extensionRequest.seconds}s: {r.extensionRequest.reason}
+                      </span>
+                      <button type="button" onClick={() => extend(r.id, r.extensionRequest.seconds)}>
+                        Grant
+                      </button>
+                    </div>
+                  ) : null}
                   <div className="room-card-row">
                     <button
                       type="button"
@@ -2208,7 +2241,7 @@ export default function Presenter() {
         </div>
       )}
 
-      <PresenterHUD siteId={siteId} rooms={sortedRooms} />
+      <PresenterHUD siteId={siteId} rooms={sortedRooms} galleryBallotSeq={galleryBallotSeq} />
       <CopilotPanel
         className="copilot-presenter"
         title="Presenter Copilot"
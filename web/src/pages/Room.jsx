@@ -3,6 +3,8 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { useParams } from 'react-router-dom';
 import { ensureGuest, authHeaders, API_BASE, buildSseUrl } from '../api';
+import { createRoomSocket, ROOM_SOCKET_UNAVAILABLE } from '../roomSocket';
+import { useCollaborativeCanvas } from '../hooks/useCollaborativeCanvas';
 
 import TopBanner from '../components/TopBanner.jsx';
 import CountdownRing from '../components/CountdownRing.jsx';
@@ -12,7 +14,12 @@ import StageTimelineRail from '../components/StageTimelineRail.jsx';
 import CollaborativeCanvas from '../components/CollaborativeCanvas.jsx';
 import ReplayModal from '../components/ReplayModal.jsx';
 import PremiumExportActions from '../components/PremiumExportActions.jsx';
+import VoteBallot from '../components/VoteBallot.jsx';
+import VoteReceiptCheck from '../components/VoteReceiptCheck.jsx';
+import GalleryBallotCard from '../components/GalleryBallotCard.jsx';
 import { loadA11yPrefs, subscribeA11yPrefs } from '../a11yPrefs.js';
+import { voteInstructions, voteReceiptStorageKey } from '../voting.js';
+import { applyAsemaDelta, asemaStreamMessages, pruneAsemaStreams } from '../asemaStream.js';
 
 const ORDER = [
   'LOBBY',
@@ -187,6 +194,7 @@ export default function Room() {
 
   // Messages + ideas
   const [messages, setMessages] = useState([]);
+  const [asemaStreams, setAsemaStreams] = useState({});
   const [ideaSummary, setIdeaSummary] = useState('');
 
   // Compose
@@ -214,6 +222,11 @@ export default function Room() {
   const [voteOpen, setVoteOpen] = useState(false); // backend: votingOpen
   const [voteModalOpen, setVoteModalOpen] = useState(false); // local: modal visibility
   const [voteOptions, setVoteOptions] = useState([]);
+  const [voteMode, setVoteMode] = useState('single');
+  const [voteConfig, setVoteConfig] = useState({});
+  const [voteError, setVoteError] = useState('');
+  const [voteReceipt, setVoteReceipt] = useState(null);
+  const [galleryBallotSeq, setGalleryBallotSeq] = useState(0);
   const [hasVoted, setHasVoted] = useState(false);
   const [voteCounts, setVoteCounts] = useState(null);
   const [voteTopic, setVoteTopic] = useState('');
@@ -242,19 +255,6 @@ export default function Room() {
 
   // Collaborative canvas + replay + social presence
   const [canvasPhase, setCanvasPhase] = useState('DISCOVERY');
-  const [canvas, setCanvas] = useState({
-    stickyNotes: '',
-    outlineMap: '',
-    evidenceBoard: '',
-    narrativeMap: '',
-    ideas: '',
-    structure: '',
-    map: '',
-    updatedAt: 0,
-    updatedBy: '',
-  });
-  const [canvasDirty, setCanvasDirty] = useState(false);
-  const [canvasSaving, setCanvasSaving] = useState(false);
   const [presenceTyping, setPresenceTyping] = useState([]);
   const [contributionHeat, setContributionHeat] = useState([]);
   const [presenceEquity, setPresenceEquity] = useState({
@@ -331,6 +331,7 @@ export default function Room() {
   const [offlineQueueDepth, setOfflineQueueDepth] = useState(0);
   const [offlineFlushBusy, setOfflineFlushBusy] = useState(false);
   const offlineFlushRef = useRef(false);
+  const roomSocketRef = useRef(null);
   const offlineQueueKey = useMemo(() => `storibloom_offline_queue_v1:${roomId}`, [roomId]);
 
   useEffect(() => {
@@ -398,76 +399,39 @@ export default function Room() {
     if (script) speakText(script);
   }, [prefs.readAloud, speakText, stage]);
 
-  const fetchCanvas = useCallback(
-    async (phase) => {
-      if (!authReady) return;
-      const targetPhase =
-        CANVAS_PHASES.includes(String(phase || '').toUpperCase())
-          ? String(phase || '').toUpperCase()
-          : canvasPhase;
-      try {
-        const res = await fetch(
-          `${API_BASE}/rooms/${roomId}/canvas?phase=${encodeURIComponent(targetPhase)}`,
-          await authHeaders()
-        );
-        if (!res.ok) return;
-        const data = await res.json().catch(() => ({}));
-        const next = data.canvas || {};
-        setCanvas({
-          stickyNotes: String(next.stickyNotes || next.ideas || ''),
-          outlineMap: String(next.outlineMap || next.structure || ''),
-          evidenceBoard: String(next.evidenceBoard || ''),
-          narrativeMap: String(next.narrativeMap || next.map || ''),
-          ideas: String(next.ideas || next.stickyNotes || ''),
-          structure: String(next.structure || next.outlineMap || ''),
-          map: String(next.map || next.narrativeMap || ''),
-          updatedAt: Number(next.updatedAt || 0),
-          updatedBy: String(next.updatedBy || ''),
-        });
-        setCanvasDirty(false);
-      } catch (e) {
-        console.warn('[Room] fetchCanvas error', e);
+  // Prefer the room socket when it is connected; fall back to the REST route
+  // only when the frame was never sent, so an action cannot be applied twice.
+  const roomAction = useCallback(
+    async (type, path, { method = 'POST', body = {} } = {}) => {
+      const socket = roomSocketRef.current;
+      if (socket?.isOpen()) {
+        try {
+          return await socket.request(type, body);
+        } catch (e) {
+          if (e?.message !== ROOM_SOCKET_UNAVAILABLE) throw e;
+        }
       }
+      return fetch(`${API_BASE}/rooms/${roomId}${path}`, {
+        method,
+        ...(await authHeaders()),
+        body: JSON.stringify(body),
+      });
     },
-    [authReady, canvasPhase, roomId]
+    [roomId]
   );
 
-  const saveCanvas = useCallback(async () => {
-    if (!authReady || !canvasDirty || canvasSaving) return;
-    setCanvasSaving(true);
-    try {
-      const res = await fetch(`${API_BASE}/rooms/${roomId}/canvas`, {
-        method: 'PUT',
-        ...(await authHeaders()),
-        body: JSON.stringify({
-          phase: canvasPhase,
-          stickyNotes: canvas.stickyNotes || canvas.ideas || '',
-          outlineMap: canvas.outlineMap || canvas.structure || '',
-          evidenceBoard: canvas.evidenceBoard || '',
-          narrativeMap: canvas.narrativeMap || canvas.map || '',
-        }),
-      });
-      if (!res.ok) return;
-      const data = await res.json().catch(() => ({}));
-      const next = data.canvas || {};
-      setCanvas({
-        stickyNotes: String(next.stickyNotes || next.ideas || ''),
-        outlineMap: String(next.outlineMap || next.structure || ''),
-        evidenceBoard: String(next.evidenceBoard || ''),
-        narrativeMap: String(next.narrativeMap || next.map || ''),
-        ideas: String(next.ideas || next.stickyNotes || ''),
-        structure: String(next.structure || next.outlineMap || ''),
-        map: String(next.map || next.narrativeMap || ''),
-        updatedAt: Number(next.updatedAt || 0),
-        updatedBy: String(next.updatedBy || ''),
-      });
-      setCanvasDirty(false);
-    } catch (e) {
-      console.warn('[Room] saveCanvas error', e);
-    } finally {
-      setCanvasSaving(false);
-    }
-  }, [authReady, canvas, canvasDirty, canvasPhase, canvasSaving, roomId]);
+  const canvasSync = useCollaborativeCanvas({
+    roomId,
+    phase: canvasPhase,
+    enabled: authReady && CANVAS_PHASES.includes(canvasPhase),
+    roomAction,
+  });
+  const {
+    fetchCanvas,
+    applyRemoteUpdate: applyCanvasUpdate,
+    applyRemoteCursor: applyCanvasCursor,
+    applyBoardChanges: applyCanvasBoard,
+  } = canvasSync;
 
   const fetchPresence = useCallback(async () => {
     if (!authReady) return;
@@ -509,17 +473,15 @@ export default function Room() {
     if (now - Number(typingPingRef.current.at || 0) < 2200) return;
     typingPingRef.current.at = now;
     try {
-      await fetch(`${API_BASE}/rooms/${roomId}/presence/typing`, {
-        method: 'POST',
-        ...(await authHeaders()),
-        body: JSON.stringify({
+      await roomAction('typing', '/presence/typing', {
+        body: {
           emoji: personas[activePersona] || personas[0] || '🙂',
-        }),
+        },
       });
     } catch {
       // best effort only
     }
-  }, [activePersona, authReady, personas, roomId]);
+  }, [activePersona, authReady, personas, roomAction]);
 
   const loadReplay = useCallback(async () => {
     if (!authReady) return;
@@ -584,15 +546,13 @@ export default function Room() {
         const textValue = String(item?.text || '').trim();
         if (!textValue) continue;
         try {
-          const res = await fetch(`${API_BASE}/rooms/${roomId}/messages`, {
-            method: 'POST',
-            ...(await authHeaders()),
-            body: JSON.stringify({
+          const res = await roomAction('chat.send', '/messages', {
+            body: {
               text: textValue,
               phase: item?.phase || stage || 'LOBBY',
               personaIndex: Number(item?.personaIndex || 0),
               emoji: item?.emoji || null,
-            }),
+            },
           });
           if (!res.ok) {
             throw new Error(`queued_message_failed_${res.status}`);
@@ -632,15 +592,7 @@ export default function Room() {
       offlineFlushRef.current = false;
       setOfflineFlushBusy(false);
     }
-  }, [authReady, roomId, stage, readOfflineQueue, persistOfflineQueue]);
-
-  useEffect(() => {
-    if (!canvasDirty) return undefined;
-    const id = setTimeout(() => {
-      void saveCanvas();
-    }, 1400);
-    return () => clearTimeout(id);
-  }, [canvasDirty, canvas, saveCanvas]);
+  }, [authReady, roomId, roomAction, stage, readOfflineQueue, persistOfflineQueue]);
 
   // --- Live countdown tick ---
   useEffect(() => {
@@ -648,12 +600,6 @@ export default function Room() {
     return () => clearInterval(t);
   }, []);
 
-  useEffect(() => {
-    if (!authReady) return;
-    if (!CANVAS_PHASES.includes(canvasPhase)) return;
-    fetchCanvas(canvasPhase);
-  }, [authReady, canvasPhase, fetchCanvas]);
-
   useEffect(() => {
     if (!authReady) return;
     fetchPresence();
@@ -854,6 +800,7 @@ export default function Room() {
           ...m,
         }));
         setMessages(arr);
+        setAsemaStreams((prev) => pruneAsemaStreams(prev, arr));
         requestAnimationFrame(() => {
           const el = scrollRef.current;
           if (el) el.scrollTop = el.scrollHeight;
@@ -866,13 +813,10 @@ export default function Room() {
     loadState();
     loadMessages();
 
-    const es = new EventSource(
-      buildSseUrl(`/rooms/${encodeURIComponent(roomId)}/events`)
-    );
     const refreshRoom = () => {
       loadState();
       loadMessages();
-      fetchCanvas(canvasPhase);
+      fetchCanvas();
     };
     const refreshVote = () => {
       loadState();
@@ -882,30 +826,74 @@ export default function Room() {
     const refreshPresence = () => {
       fetchPresence();
     };
-    const refreshCanvas = () => {
-      fetchCanvas(canvasPhase);
+    // After a gap nothing is known about what changed, votes included.
+    const resyncRoom = () => {
+      refreshRoom();
+      fetchVoteStatus();
+    };
+    const onReady = (payload) => {
+      // A resumed stream has already replayed whatever was missed.
+      if (!payload?.resumed) resyncRoom();
+    };
+    const handlers = {
+      ready: onReady,
+      resync_required: resyncRoom,
+      room_state: refreshRoom,
+      message: () => loadMessages(),
+      vote_update: refreshVote,
+      presence_update: refreshPresence,
+      canvas_update: applyCanvasUpdate,
+      canvas_cursor: applyCanvasCursor,
+      canvas_board: applyCanvasBoard,
+      gallery_ballot: () => setGalleryBallotSeq((n) => n + 1),
+      asema_delta: (payload) => setAsemaStreams((prev) => applyAsemaDelta(prev, payload)),
     };
-    es.addEventListener('ready', refreshRoom);
-    es.addEventListener('room_state', refreshRoom);
-    es.addEventListener('message', loadMessages);
-    es.addEventListener('vote_update', refreshVote);
-    es.addEventListener('presence_update', refreshPresence);
-    es.addEventListener('canvas_update', refreshCanvas);
-    es.onerror = () => {
-      // Browser EventSource auto-reconnects.
+
+    // The room socket carries events and actions both ways. If it cannot
+    // connect or drops, the SSE stream takes over from the last event seen.
+    let es = null;
+    let lastEventId = '';
+    const startSse = () => {
+      if (!mounted || es) return;
+      const resume = lastEventId ? `?lastEventId=${encodeURIComponent(lastEventId)}` : '';
+      es = new EventSource(
+        buildSseUrl(`/rooms/${encodeURIComponent(roomId)}/events${resume}`)
+      );
+      for (const [name, handler] of Object.entries(handlers)) {
+        es.addEventListener(name, (event) => {
+          let payload = {};
+          try {
+            payload = JSON.parse(String(event?.data || '{}'));
+          } catch {}
+          handler(payload);
+        });
+      }
+      es.onerror = () => {
+        // Browser EventSource auto-reconnects.
+      };
     };
+    const socket = createRoomSocket({
+      roomId,
+      onEvent: (name, payload, id) => {
+        if (id) lastEventId = id;
+        const handler = handlers[name];
+        if (handler) handler(payload);
+      },
+      onClose: () => {
+        if (roomSocketRef.current === socket) roomSocketRef.current = null;
+        startSse();
+      },
+    });
+    roomSocketRef.current = socket;
+    if (!socket) startSse();
 
     return () => {
       mounted = false;
-      es.removeEventListener('ready', refreshRoom);
-      es.removeEventListener('room_state', refreshRoom);
-      es.removeEventListener('message', loadMessages);
-      es.removeEventListener('vote_update', refreshVote);
-      es.removeEventListener('presence_update', refreshPresence);
-      es.removeEventListener('canvas_update', refreshCanvas);
-      es.close();
+      if (socket) socket.close();
+      if (roomSocketRef.current === socket) roomSocketRef.current = null;
+      if (es) es.close();
     };
-  }, [authReady, roomId, canvasPhase, fetchCanvas, fetchPresence]);
+  }, [authReady, roomId, fetchCanvas, applyCanvasUpdate, applyCanvasCursor, applyCanvasBoard, fetchPresence]);
 
   // --- Auto-greet when DISCOVERY begins (once per mount) ---
   useEffect(() => {
@@ -936,7 +924,10 @@ export default function Room() {
       const j = await res.json();
       setVoteOpen(!!j.votingOpen);
       setVoteOptions(Array.isArray(j.options) ? j.options : []);
+      setVoteMode(j.mode || 'single');
+      setVoteConfig(j.config || {});
       setVoteCounts(j.counts || null);
+      if (j.hasVoted) setHasVoted(true);
       setVoteTopic(j.topic || '');
       setVoteReadyCount(Number(j.voteReadyCount || 0));
       setVoteSubmittedCount(Number(j.voteSubmittedCount || 0));
@@ -963,14 +954,21 @@ export default function Room() {
     }
   }
 
-  async function submitVote(choiceNum) {
+  async function submitVote(ballot) {
     try {
-      await fetch(`${API_BASE}/rooms/${roomId}/vote/submit`, {
-        method: 'POST',
-        ...(await authHeaders()),
-        body: JSON.stringify({ choice: Number(choiceNum) }),
-      });
+      const res = await roomAction('vote.submit', '/vote/submit', { body: ballot });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setVoteError(data.error || `vote_failed_${res.status}`);
+        return;
+      }
+      setVoteError('');
       setHasVoted(true);
+      if (data.receipt) {
+        const stored = { receipt: data.receipt, salt: data.receiptSalt, sessionId: data.sessionId };
+        sessionStorage.setItem(voteReceiptStorageKey(roomId), JSON.stringify(stored));
+        setVoteReceipt(stored);
+      }
       await fetchVoteStatus();
     } catch (e) {
       console.warn('[Room] submitVote error', e);
@@ -1002,6 +1000,14 @@ export default function Room() {
     }
   }
 
+  useEffect(() => {
+    try {
+      setVoteReceipt(JSON.parse(sessionStorage.getItem(voteReceiptStorageKey(roomId)) || 'null'));
+    } catch {
+      setVoteReceipt(null);
+    }
+  }, [roomId]);
+
   useEffect(() => {
     if (!authReady) return;
     if (stage !== 'DISCOVERY') {
@@ -1257,15 +1263,13 @@ export default function Room() {
     let queuedOffline = false;
     let keepInput = false;
     try {
-      const res = await fetch(`${API_BASE}/rooms/${roomId}/messages`, {
-        method: 'POST',
-        ...(await authHeaders()),
-        body: JSON.stringify({
+      const res = await roomAction('chat.send', '/messages', {
+        body: {
           text: t,
           phase: stage,
           personaIndex: activePersona,
           emoji,
-        }),
+        },
       });
       if (!res.ok) {
         const payload = await res.json().catch(() => ({}));
@@ -1427,11 +1431,18 @@ export default function Room() {
   const phaseMessages = useMemo(
     () =>
       messages
-        .filter((m) => (m.phase || 'LOBBY') === effectivePhase)
-        .concat(optimisticMessages.filter((m) => (m.phase || 'LOBBY') === effectivePhase)),
-    [messages, optimisticMessages, effectivePhase]
+        .concat(optimisticMessages, asemaStreamMessages(asemaStreams))
+        .filter((m) => (m.phase || 'LOBBY') === effectivePhase),
+    [messages, optimisticMessages, asemaStreams, effectivePhase]
   );
 
+  // Keep a streaming reply in view while it grows.
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el || !Object.keys(asemaStreams).length) return;
+    if (el.scrollHeight - el.scrollTop - el.clientHeight < 120) el.scrollTop = el.scrollHeight;
+  }, [asemaStreams]);
+
   // FINAL stage ready meter
   const readyCount = roomMeta.finalReadyCount || 0;
   const totalSeats = roomMeta.seats || 0;
@@ -1566,6 +1577,8 @@ export default function Room() {
           </div>
         )}
 
+        <GalleryBallotCard roomId={roomId} roomAction={roomAction} refreshKey={galleryBallotSeq} />
+
         <div className="room-main-grid">
           {/* Chat card */}
           <div className="chat stagger-item">
@@ -1618,6 +1631,7 @@ export default function Room() {
                   text={m.text}
                   aiReceipt={m.aiReceipt}
                   deliveryState={m.deliveryState || ''}
+                  streaming={!!m.streaming}
                   enableReadAloud={!!prefs.readAloud}
                   onUsePromptLineage={applyPromptFromReceipt}
                 />
@@ -1966,30 +1980,29 @@ export default function Room() {
               <CollaborativeCanvas
                 phase={canvasPhase}
                 phases={CANVAS_PHASES}
-                canvas={canvas}
-                dirty={canvasDirty}
-                saving={canvasSaving}
+                canvas={canvasSync.canvas}
+                dirty={canvasSync.dirty}
+                saving={canvasSync.saving}
+                error={canvasSync.error}
+                remoteCursors={canvasSync.remoteCursors}
+                board={canvasSync.board}
+                uid={canvasSync.uid}
+                canModerate={['PRESENTER', 'ADMIN', 'SUPER_ADMIN'].includes(role)}
+                authorLabel={personas[activePersona] || personas[0] || ''}
                 disabled={stage === 'CLOSED'}
                 phaseGoal={STAGE_GOALS[canvasPhase] || ''}
                 nextHint={NEXT_ACTION_HINTS[canvasPhase] || ''}
-                onPhaseChange={(next) => {
-                  setCanvasPhase(next);
-                  fetchCanvas(next);
-                }}
-                onChange={(field, value) => {
-                  const alias = {
-                    stickyNotes: 'ideas',
-                    outlineMap: 'structure',
-                    narrativeMap: 'map',
-                  };
-                  setCanvas((prev) => ({
-                    ...prev,
-                    [field]: value,
-                    ...(alias[field] ? { [alias[field]]: value } : {}),
-                  }));
-                  setCanvasDirty(true);
-                }}
-                onSave={saveCanvas}
+                onPhaseChange={(next) => setCanvasPhase(next)}
+                onChange={canvasSync.setSection}
+                onCursor={(section, selection) =>
+                  canvasSync.sendCursor(
+                    section,
+                    selection,
+                    personas[activePersona] || personas[0] || ''
+                  )
+                }
+                onBoardAction={canvasSync.boardAction}
+                onSave={canvasSync.save}
               />
             )}
 
@@ -2120,6 +2133,15 @@ export default function Room() {
                 </button>
               )}
 
+              {voteConfig.anonymous && voteReceipt?.receipt ? (
+                <VoteReceiptCheck
+                  roomId={roomId}
+                  receipt={voteReceipt}
+                  options={voteOptions}
+                  mode={voteMode}
+                />
+              ) : null}
+
               {isPresenter && (
                 <>
                   <button className="btn" onClick={startVote}>
@@ -2337,41 +2359,39 @@ export default function Room() {
               <div>
                 <div style={{ fontWeight: 700, fontSize: 18 }}>Vote for today’s topic</div>
                 <div style={{ opacity: 0.75, fontSize: 12 }}>
-                  Pick one number. Your vote is counted once. Voting will close automatically when
+                  {voteInstructions(voteMode, voteConfig)} Voting will close automatically when
                   everyone in your room has voted.
+                  {voteConfig.anonymous
+                    ? ' This vote is anonymous: the room keeps only a receipt you can check later, never who chose what.'
+                    : ''}
                 </div>
               </div>
             </div>
 
-            <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: 8, marginTop: 8 }}>
-              {(voteOptions.length
-                ? voteOptions
-                : [
-                    { num: 1, label: 'Law Enforcement Profiling' },
-                    { num: 2, label: 'Food Deserts' },
-                    { num: 3, label: 'Red Lining' },
-                    { num: 4, label: 'Homelessness' },
-                    { num: 5, label: 'Wealth Gap' },
-                  ]
-              ).map((opt) => (
-                <button
-                  key={opt.num}
-                  className="btn"
-                  disabled={hasVoted}
-                  onClick={() => submitVote(opt.num)}
-                  style={{ display: 'flex', justifyContent: 'space-between' }}
-                >
-                  <span>
-                    <b>{opt.num}.</b> {opt.label}
-                  </span>
-                  {hasVoted &&
-                    voteCounts &&
-                    typeof voteCounts[opt.num] === 'number' && (
-                      <span className="hud-pill">{voteCounts[opt.num]} votes</span>
-                    )}
-                </button>
-              ))}
-            </div>
+            <VoteBallot
+              key={`${voteMode}:${voteOptions.length}`}
+              mode={voteMode}
+              config={voteConfig}
+              options={
+                voteOptions.length
+                  ? voteOptions
+                  : [
+                      { num: 1, label: 'Law Enforcement Profiling' },
+                      { num: 2, label: 'Food Deserts' },
+                      { num: 3, label: 'Red Lining' },
+                      { num: 4, label: 'Homelessness' },
+                      { num: 5, label: 'Wealth Gap' },
+                    ]
+              }
+              counts={voteCounts}
+              disabled={hasVoted}
+              onSubmit={submitVote}
+            />
+            {voteError ? (
+              <div className="text-danger" style={{ fontSize: 12, marginTop: 8 }}>
+                Vote not counted: {voteError}
+              </div>
+            ) : null}
 
             <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 12 }}>
               <div style={{ fontSize: 12, opacity: 0.75 }}>
@@ -122,6 +122,8 @@ export default function SuperAdmin() {
     status: 'SUCCESS',
     notes: '',
   });
+  const [priceBookOrgId, setPriceBookOrgId] = useState('');
+  const [priceBookText, setPriceBookText] = useState('');
   const [approvalNotes, setApprovalNotes] = useState({});
   const [activeView, setActiveView] = useState('overview');
   const [autoRefresh, setAutoRefresh] = useState(true);
@@ -452,6 +454,49 @@ export default function SuperAdmin() {
     }
   }
 
+  // A blank org edits the platform price book; an org ID edits that org's
+  // overrides, discounts and credits.
+  function priceBookPath() {
+    const orgId = priceBookOrgId.trim().toUpperCase();
+    return orgId ? `/super-admin/orgs/${encodeURIComponent(orgId)}/price-book` : '/super-admin/billing/price-book';
+  }
+
+  async function loadPriceBook() {
+    try {
+      setLoading(true);
+      setError('');
+      const { data } = await apiRequest(priceBookPath());
+      const book = priceBookOrgId.trim()
+        ? data.priceBook || { plans: {}, discounts: [], credits: [] }
+        : { currency: data.priceBook?.currency, plans: data.priceBook?.plans || {} };
+      setPriceBookText(JSON.stringify({ ...book, updatedAt: undefined, updatedBy: undefined }, null, 2));
+    } catch (err) {
+      setError(err.message || 'Failed to load price book.');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function savePriceBook() {
+    let body;
+    try {
+      body = JSON.parse(priceBookText || '{}');
+    } catch {
+      setError('Price book is not valid JSON.');
+      return;
+    }
+    try {
+      setLoading(true);
+      setError('');
+      const { data } = await apiRequest(priceBookPath(), { method: 'PUT', body });
+      setNotice(`Price book saved for ${data.orgId || 'the platform'}.`);
+    } catch (err) {
+      setError(err.message || 'Failed to save price book.');
+    } finally {
+      setLoading(false);
+    }
+  }
+
   async function decideApproval(approval, decision) {
     try {
       setLoading(true);
@@ -1075,6 +1120,26 @@ export default function SuperAdmin() {
                 </tbody>
               </table>
             </div>
+
+            <div className="mt12">
+              <div style={{ fontWeight: 600, marginBottom: 6 }}>Price Books</div>
+              <div style={{ fontSize: 12, color: 'var(--ink-muted)', marginBottom: 6 }}>
+                Plans per tier (base fee, SEATS / SITES / ROOM_HOURS / AI_CALLS prices, overage). Org books override plans and add discounts and credits.
+              </div>
+              <div className="row wrap">
+                <input className="input" style={{ maxWidth: 220 }} value={priceBookOrgId} onChange={(e) => setPriceBookOrgId(e.target.value)} placeholder="Org ID (blank = platform)" />
+                <button className="btn" onClick={loadPriceBook} disabled={loading}>Load</button>
+                <button className="btn" onClick={savePriceBook} disabled={loading || !priceBookText.trim()}>Save Price Book</button>
+              </div>
+              <textarea
+                className="input mt6"
+                rows={12}
+                style={{ fontFamily: 'monospace', fontSize: 12 }}
+                value={priceBookText}
+                onChange={(e) => setPriceBookText(e.target.value)}
+                placeholder='{"plans": {"PRO": {"baseCents": 9000, "dimensions": {"SEATS": {"unitCents": 50, "includedUnits": 25}}}}}'
+              />
+            </div>
             </div>
           ) : null}
 
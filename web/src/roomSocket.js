@@ -0,0 +1,85 @@
+// web/src/roomSocket.js
+import { buildRoomSocketUrl } from './api';
+
+const REQUEST_TIMEOUT_MS = 10_000;
+
+// Thrown when a frame could not be sent at all, so the caller can safely
+// retry the same action over REST without risking a duplicate.
+export const ROOM_SOCKET_UNAVAILABLE = 'room_socket_unavailable';
+
+// Acks carry the REST status and body, so callers can treat them like fetch responses.
+export function ackToResponse(ack = {}) {
+  const status = Number(ack.status || 0);
+  return {
+    ok: !!ack.ok,
+    status,
+    json: async () => ack.data || {},
+  };
+}
+
+export function createRoomSocket({ roomId, lastEventId = '', onEvent, onOpen, onClose }) {
+  if (typeof WebSocket === 'undefined') return null;
+  const ws = new WebSocket(buildRoomSocketUrl(roomId, { lastEventId }));
+  const pending = new Map(); // requestId -> { resolve, reject, timer }
+  let seq = 0;
+  let opened = false;
+
+  function settle(requestId, fn) {
+    const entry = pending.get(requestId);
+    if (!entry) return;
+    pending.delete(requestId);
+    clearTimeout(entry.timer);
+    fn(entry);
+  }
+
+  ws.onopen = () => {
+    opened = true;
+    if (onOpen) onOpen();
+  };
+  ws.onmessage = (msg) => {
+    let frame = null;
+    try {
+      frame = JSON.parse(String(msg.data || ''));
+    } catch {
+      return;
+    }
+    if (frame?.type === 'event') {
+      if (onEvent) onEvent(frame.event, frame.data || {}, frame.id || '');
+    } else if (frame?.type === 'ack') {
+      settle(frame.requestId, (entry) => entry.resolve(ackToResponse(frame)));
+    } else if (frame?.type === 'error' && frame.requestId) {
+      settle(frame.requestId, (entry) => entry.reject(new Error(frame.error)));
+    }
+  };
+  ws.onclose = (event) => {
+    for (const requestId of Array.from(pending.keys())) {
+      settle(requestId, (entry) => entry.reject(new Error('room_socket_closed')));
+    }
+    if (onClose) onClose({ opened, code: event?.code || 0, reason: event?.reason || '' });
+  };
+
+  return {
+    isOpen: () => ws.readyState === WebSocket.OPEN,
+    request(type, data = {}) {
+      if (ws.readyState !== WebSocket.OPEN) {
+        return Promise.reject(new Error(ROOM_SOCKET_UNAVAILABLE));
+      }
+      seq += 1;
+      const requestId = `r${seq}`;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          settle(requestId, (entry) => entry.reject(new Error('room_socket_timeout')));
+        }, REQUEST_TIMEOUT_MS);
+        pending.set(requestId, { resolve, reject, timer });
+        ws.send(JSON.stringify({ type, requestId, data }));
+      });
+    },
+    close() {
+      ws.onclose = null;
+      for (const requestId of Array.from(pending.keys())) {
+        settle(requestId, (entry) => entry.reject(new Error('room_socket_closed')));
+      }
+      ws.close();
+    },
+  };
+}
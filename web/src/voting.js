@@ -0,0 +1,118 @@
+// web/src/voting.js
+export const VOTE_MODES = [
+  { value: 'single', label: 'Single choice' },
+  { value: 'ranked', label: 'Ranked choice (instant runoff)' },
+  { value: 'approval', label: 'Approval' },
+  { value: 'points', label: 'Allocate points' },
+];
+
+export const VOTE_TIE_BREAKS = [
+  { value: 'previous_rounds', label: 'Earlier rounds, then option order' },
+  { value: 'option_order', label: 'Option order' },
+  { value: 'random', label: 'Seeded random draw' },
+];
+
+export function voteModeLabel(mode) {
+  return VOTE_MODES.find((entry) => entry.value === mode)?.label || 'Single choice';
+}
+
+export function voteInstructions(mode, config = {}) {
+  if (mode === 'ranked') {
+    return 'Tap options in order of preference. If your first pick is knocked out, your vote moves to your next pick.';
+  }
+  if (mode === 'approval') {
+    const max = Number(config.maxApprovals || 0);
+    return max
+      ? `Approve up to ${max} options you could live with.`
+      : 'Approve every option you could live with.';
+  }
+  if (mode === 'points') {
+    return `Spread up to ${Number(config.pointsBudget || 10)} points across the options you care about.`;
+  }
+  return 'Pick one number. Your vote is counted once.';
+}
+
+export function toggleRanking(ranking = [], num) {
+  return ranking.includes(num) ? ranking.filter((n) => n !== num) : [...ranking, num];
+}
+
+export function toggleApproval(approvals = [], num, maxApprovals = 0) {
+  if (approvals.includes(num)) return approvals.filter((n) => n !== num);
+  if (maxApprovals && approvals.length >= maxApprovals) return approvals;
+  return [...approvals, num];
+}
+
+export function pointsSpent(points = {}) {
+  return Object.values(points).reduce((sum, n) => sum + (Number(n) || 0), 0);
+}
+
+// Clamps one option's allocation so the ballot never exceeds the budget.
+export function setPoints(points = {}, num, value, budget = 10) {
+  const others = pointsSpent(points) - (Number(points[num]) || 0);
+  const amount = Math.max(0, Math.min(Math.floor(Number(value) || 0), budget - others));
+  const next = { ...points };
+  if (amount) next[num] = amount;
+  else delete next[num];
+  return next;
+}
+
+// Submit body for a ballot draft, or null while the draft is incomplete.
+export function ballotBody(mode, draft = {}) {
+  if (mode === 'ranked') return draft.ranking?.length ? { ranking: draft.ranking } : null;
+  if (mode === 'approval') return draft.approvals?.length ? { approvals: draft.approvals } : null;
+  if (mode === 'points') return pointsSpent(draft.points) > 0 ? { points: draft.points } : null;
+  return Number.isFinite(Number(draft.choice)) && draft.choice !== null
+    ? { choice: Number(draft.choice) }
+    : null;
+}
+
+// One line per runoff round, e.g. "Round 1: Red Lining eliminated".
+export function describeRounds(results = {}, options = []) {
+  const label = (num) => options.find((opt) => Number(opt.num) === Number(num))?.label || `#${num}`;
+  const rounds = Array.isArray(results.rounds) ? results.rounds : [];
+  return rounds.map((round) => {
+    const parts = [`Round ${round.round}`];
+    if (round.eliminated?.length) {
+      parts.push(`${round.eliminated.map(label).join(', ')} eliminated`);
+    } else if (results.winner) {
+      parts.push(`${label(results.winner)} wins`);
+    }
+    if (round.tie) parts.push(`tie broken by ${String(round.tie.rule).replace(/_/g, ' ')}`);
+    if (round.exhausted) parts.push(`${round.exhausted} exhausted`);
+    return parts.join(' · ');
+  });
+}
+
+export function describeBallot(ballot, options = [], mode = 'single') {
+  const label = (num) => options.find((opt) => Number(opt.num) === Number(num))?.label || `#${num}`;
+  if (typeof ballot === 'number') return label(ballot);
+  if (Array.isArray(ballot)) {
+    return mode === 'ranked'
+      ? ballot.map((num, idx) => `${idx + 1}. ${label(num)}`).join(', ')
+      : ballot.map(label).join(', ');
+  }
+  return Object.entries(ballot || {})
+    .map(([num, amount]) => `${label(num)}: ${amount}`)
+    .join(', ');
+}
+
+// Must match canonicalBallot/voteReceipt in api/voteTally.js.
+export function canonicalBallot(ballot) {
+  if (ballot && typeof ballot === 'object' && !Array.isArray(ballot)) {
+    const keys = Object.keys(ballot).sort((a, b) => Number(a) - Number(b));
+    return JSON.stringify(Object.fromEntries(keys.map((key) => [key, ballot[key]])));
+  }
+  return JSON.stringify(ballot);
+}
+
+export async function computeVoteReceipt({ sessionId = '', salt = '', ballot } = {}) {
+  const data = new TextEncoder().encode(
+    `vote-receipt:${sessionId}:${salt}:${canonicalBallot(ballot)}`
+  );
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function voteReceiptStorageKey(roomId) {
+  return `voteReceipt:${roomId}`;
+}
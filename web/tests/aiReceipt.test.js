@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { receiptModelLine, receiptSourcesLine, receiptToolsLine, receiptUsageLine, shortHash } from '../src/aiReceipt.js';
+
+test('receipts summarize the model that answered, including fallbacks', () => {
+  assert.equal(receiptModelLine({ model: { name: 'gpt-4o-mini', provider: 'openai', attempts: 1 } }), 'gpt-4o-mini via openai');
+  assert.equal(
+    receiptModelLine({ model: { name: 'small', requested: 'big', fallbackModel: true, provider: 'openai', attempts: 3 } }),
+    'small via openai • fallback from big • 3 attempts'
+  );
+  assert.equal(
+    receiptModelLine({ model: { name: 'stub', provider: 'stub', fallbackFrom: 'anthropic', attempts: 1 } }),
+    'stub via stub • fallback from anthropic'
+  );
+  // Legacy and guard receipts have no model block.
+  assert.equal(receiptModelLine({ confidence: 0.77 }), '');
+});
+
+test('usage lines show tokens and latency when present', () => {
+  assert.equal(receiptUsageLine({ usage: { inputTokens: 812, outputTokens: 96 }, latencyMs: 1430 }), '812 in / 96 out tokens • 1.4s');
+  assert.equal(receiptUsageLine({ usage: { inputTokens: 0, outputTokens: 0 }, latencyMs: 42 }), '42ms');
+  assert.equal(receiptUsageLine({ latencyMs: null }), '');
+  assert.equal(shortHash('ab'.repeat(32)), 'abababababab');
+  assert.equal(shortHash(''), '—');
+});
+
+test('source lines name the library documents a reply cited', () => {
+  const sources = [
+    { n: 1, title: 'Food Brief', cited: true },
+    { n: 2, title: 'Food Brief', cited: true },
+    { n: 3, title: 'Style Guide', cited: false },
+  ];
+  assert.equal(receiptSourcesLine({ sources }), '3 library passages • cited Food Brief');
+  assert.equal(receiptSourcesLine({ sources: [{ n: 1, title: 'Style Guide', cited: false }] }), '1 library passage • none cited');
+  assert.equal(receiptSourcesLine({}), '');
+});
+
+test('tool calls list what Asema did and what it was refused', () => {
+  const toolCalls = [
+    { name: 'add_sticky_note', ok: true },
+    { name: 'open_vote', ok: false, error: 'tool_forbidden' },
+  ];
+  assert.equal(receiptToolsLine({ toolCalls }), 'add sticky note • open vote (refused: tool_forbidden)');
+  assert.equal(receiptToolsLine({}), '');
+});
@@ -1,7 +1,13 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
 
-import { API_BASE, buildSseUrl, getToken, setAuthSession } from '../src/api.js';
+import {
+  API_BASE,
+  buildRoomSocketUrl,
+  buildSseUrl,
+  getToken,
+  setAuthSession,
+} from '../src/api.js';
 
 function makeSessionStorage() {
   const store = new Map();
@@ -54,3 +60,16 @@ test('buildSseUrl appends token query safely', () => {
     '/api/presenter/events?siteId=E1&token=abc.123'
   );
 });
+
+test('buildRoomSocketUrl switches the page scheme to ws and carries the token', () => {
+  globalThis.location = { protocol: 'https:', host: 'rooms.example.org' };
+  try {
+    setAuthSession({ token: 'abc.123' });
+    assert.equal(
+      buildRoomSocketUrl('E1 1', { lastEventId: '10-2' }),
+      'wss://rooms.example.org/api/rooms/E1%201/socket?token=abc.123&lastEventId=10-2'
+    );
+  } finally {
+    delete globalThis.location;
+  }
+});
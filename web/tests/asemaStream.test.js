@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { applyAsemaDelta, asemaStreamMessages, pruneAsemaStreams } from '../src/asemaStream.js';
+
+test('deltas build up a streaming bubble until the message lands', () => {
+  let streams = {};
+  streams = applyAsemaDelta(streams, { streamId: 's1', kind: 'draft', stage: 'ROUGH_DRAFT', seq: 1, delta: 'Mara ' });
+  streams = applyAsemaDelta(streams, { streamId: 's1', seq: 2, delta: 'runs.' });
+  // Duplicate delivery from the SSE fallback is ignored.
+  streams = applyAsemaDelta(streams, { streamId: 's1', seq: 2, delta: 'runs.' });
+
+  const [bubble] = asemaStreamMessages(streams);
+  assert.equal(bubble.text, '📝 **Rough Draft**\n\nMara runs.');
+  assert.equal(bubble.phase, 'ROUGH_DRAFT');
+  assert.equal(bubble.streaming, true);
+
+  streams = applyAsemaDelta(streams, { streamId: 's1', seq: 3, done: true }, 1000);
+  assert.equal(asemaStreamMessages(streams)[0].streaming, false);
+
+  assert.equal(pruneAsemaStreams(streams, [{ streamId: 'other' }], 2000), streams);
+  assert.deepEqual(pruneAsemaStreams(streams, [{ streamId: 's1' }], 2000), {});
+  assert.deepEqual(pruneAsemaStreams(streams, [], 60_000), {});
+});
+
+test('discarded streams disappear straight away', () => {
+  let streams = applyAsemaDelta({}, { streamId: 's2', kind: 'reply', seq: 1, delta: 'Her address' });
+  streams = applyAsemaDelta(streams, { streamId: 's2', seq: 2, done: true, discarded: true });
+  assert.deepEqual(streams, {});
+  // A late close for an unknown stream is a no-op.
+  assert.equal(applyAsemaDelta(streams, { streamId: 's3', done: true }), streams);
+});
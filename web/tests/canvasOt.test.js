@@ -0,0 +1,18 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { applyTextOp, diffTextOp, rebaseLocalText, transformTextOps } from '../src/canvasOt.js';
+
+test('remote ops fold into unsaved local text', () => {
+  const base = 'Claim:\nEvidence:';
+  const local = 'Claim: bees matter\nEvidence:';
+  const remote = diffTextOp(base, 'Claim:\nEvidence: pollination data');
+  const [, remotePrime] = transformTextOps(diffTextOp(base, local), remote);
+  assert.equal(applyTextOp(local, remotePrime), 'Claim: bees matter\nEvidence: pollination data');
+});
+
+test('rebases local edits onto a newer server text', () => {
+  assert.equal(rebaseLocalText('ab', 'aXb', 'abY'), 'aXbY');
+  assert.equal(rebaseLocalText('ab', 'ab', 'server'), 'server');
+  assert.equal(rebaseLocalText('ab', 'local', 'ab'), 'local');
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  ballotBody,
+  computeVoteReceipt,
+  describeBallot,
+  describeRounds,
+  setPoints,
+  toggleApproval,
+  toggleRanking,
+} from '../src/voting.js';
+
+test('builds submit bodies only for complete ballots', () => {
+  assert.deepEqual(ballotBody('single', { choice: 3 }), { choice: 3 });
+  assert.equal(ballotBody('single', { choice: null }), null);
+  assert.deepEqual(ballotBody('ranked', { ranking: [2, 1] }), { ranking: [2, 1] });
+  assert.equal(ballotBody('approval', { approvals: [] }), null);
+  assert.equal(ballotBody('points', { points: {} }), null);
+});
+
+test('ranking and approval toggles respect order and limits', () => {
+  assert.deepEqual(toggleRanking([2], 4), [2, 4]);
+  assert.deepEqual(toggleRanking([2, 4, 1], 4), [2, 1]);
+  assert.deepEqual(toggleApproval([1, 2], 3, 2), [1, 2]);
+  assert.deepEqual(toggleApproval([1, 2], 1, 2), [2]);
+});
+
+test('point allocations are clamped to the remaining budget', () => {
+  let points = setPoints({}, 1, 7, 10);
+  points = setPoints(points, 2, 9, 10);
+  assert.deepEqual(points, { 1: 7, 2: 3 });
+  assert.deepEqual(setPoints(points, 1, 0, 10), { 2: 3 });
+});
+
+test('describes runoff rounds with eliminations and ties', () => {
+  const options = [
+    { num: 1, label: 'Food Deserts' },
+    { num: 2, label: 'Red Lining' },
+  ];
+  const lines = describeRounds(
+    {
+      winner: 1,
+      rounds: [
+        { round: 1, eliminated: [2], tie: { rule: 'option_order' }, exhausted: 0 },
+        { round: 2, eliminated: [], exhausted: 1 },
+      ],
+    },
+    options
+  );
+  assert.deepEqual(lines, [
+    'Round 1 · Red Lining eliminated · tie broken by option order',
+    'Round 2 · Food Deserts wins · 1 exhausted',
+  ]);
+});
+
+test('recomputes anonymous vote receipts the same way as the server', async () => {
+  const { createHash } = await import('node:crypto');
+  const expected = createHash('sha256')
+    .update('vote-receipt:s1:abc:{"1":3,"4":2}')
+    .digest('hex');
+  assert.equal(await computeVoteReceipt({ sessionId: 's1', salt: 'abc', ballot: { 4: 2, 1: 3 } }), expected);
+  assert.equal(
+    describeBallot([2, 1], [{ num: 1, label: 'A' }, { num: 2, label: 'B' }], 'ranked'),
+    '1. B, 2. A'
+  );
+});
@@ -11,6 +11,8 @@ export default defineConfig({
       '/api': {
         target: apiTarget,
         changeOrigin: true,
+        // room sockets upgrade through the same prefix
+        ws: true,
         // strip the /api prefix when proxying to the API
         rewrite: (path) => path.replace(/^\/api/, ''),
       },